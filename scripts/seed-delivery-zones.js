@@ -138,8 +138,10 @@ const run = async () => {
         console.warn(`! ${zone.name}: no City row named "${zone.cityName}" — seeding unlinked`);
       }
 
+      // Scoped to platform zones: a store may well have drawn one called
+      // "Khartoum" too, and this must never overwrite it.
       const saved = await DeliveryZone.findOneAndUpdate(
-        { name: zone.name },
+        { name: zone.name, merchant: null },
         {
           $set: {
             nameAr: zone.nameAr || '',
@@ -182,6 +184,7 @@ const run = async () => {
   const coveringZone = (lat, lng) =>
     DeliveryZone.findOne({
       isActive: true,
+      merchant: null,
       area: { $geoIntersects: { $geometry: { type: 'Point', coordinates: [lng, lat] } } },
     })
       .sort({ priority: -1 })
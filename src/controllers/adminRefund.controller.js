@@ -0,0 +1,136 @@
+import Refund from "../models/refund.model.js";
+import refundService from "../services/refund.service.js";
+import paymentService from "../services/payment.service.js";
+import { ServiceError } from "../lib/errors.js";
+import { sendSuccess, sendError, sendNotFound, sendPaginated } from "../lib/response.js";
+import { isApprovedImageUrl } from "../lib/imageHost.js";
+import logger from "../lib/logger.js";
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+/**
+ * Refunds across the platform, newest first — the finance queue.
+ */
+export const getAllRefunds = async (req, res) => {
+  try {
+    const { status, source, method, orderId, startDate, endDate } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (source) query.source = source;
+    if (method) query.method = method;
+    if (orderId) query.order = orderId;
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const p = req.query.page || 1;
+    const l = req.query.limit || 20;
+
+    const [refunds, total] = await Promise.all([
+      Refund.find(query)
+        .sort({ createdAt: -1 })
+        .skip((p - 1) * l)
+        .limit(l)
+        .populate("order", "orderNumber finalAmount currencyCodeSelected paymentMethod")
+        .populate("user", "fullName emailAddress phoneNumber")
+        .populate("merchant", "storeName")
+        .lean(),
+      Refund.countDocuments(query),
+    ]);
+
+    return sendPaginated(res, { data: refunds, page: p, limit: l, total, message: "Refunds retrieved successfully" });
+  } catch (error) {
+    logger.error("Error listing refunds", { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: "Failed to retrieve refunds", statusCode: 500 });
+  }
+};
+
+export const getRefund = async (req, res) => {
+  try {
+    const refund = await Refund.findById(req.params.id)
+      .populate("order", "orderNumber finalAmount currencyCodeSelected paymentMethod fxSnapshot")
+      .populate("user", "fullName emailAddress phoneNumber")
+      .populate("merchant", "storeName")
+      .populate("returnRequest")
+      .populate("dispute", "status resolution amount reason")
+      .lean();
+    if (!refund) return sendNotFound(res, "Refund");
+
+    return sendSuccess(res, { data: refund });
+  } catch (error) {
+    logger.error("Error retrieving refund", { requestId: req.requestId, refundId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to retrieve refund", statusCode: 500 });
+  }
+};
+
+/**
+ * Approve a requested refund (a paid order that was cancelled).
+ */
+export const approveRefund = async (req, res) => {
+  try {
+    const refund = await refundService.approve(req.params.id, {
+      adminId: req.adminUser?.userId || null,
+      note: req.body.note,
+    });
+    return sendSuccess(res, { data: refund, message: "Refund approved" });
+  } catch (error) {
+    if (error.name === "ServiceError") return sendServiceError(res, error);
+    logger.error("Error approving refund", { requestId: req.requestId, refundId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to approve refund", statusCode: 500 });
+  }
+};
+
+/**
+ * Record that an approved refund was paid out, with the receipt(s) of the
+ * transfer uploaded to the image host.
+ */
+export const markRefundPaid = async (req, res) => {
+  const bad = req.body.proofUrls.find((url) => !isApprovedImageUrl(url));
+  if (bad !== undefined) {
+    return sendError(res, {
+      message: "proofUrls must be HTTPS URLs from the approved image host",
+      code: "VALIDATION_ERROR",
+      statusCode: 400,
+      details: [{ field: "proofUrls", message: "Must be a valid HTTPS URL from the approved image host", value: bad }],
+    });
+  }
+
+  try {
+    const refund = await refundService.markPaid(req.params.id, {
+      adminId: req.adminUser?.userId || null,
+      proofUrls: req.body.proofUrls,
+      reference: req.body.reference,
+      method: req.body.method,
+      note: req.body.note,
+    });
+    return sendSuccess(res, { data: refund, message: "Refund marked as paid" });
+  } catch (error) {
+    if (error.name === "ServiceError") return sendServiceError(res, error);
+    logger.error("Error marking refund paid", { requestId: req.requestId, refundId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to mark refund as paid", statusCode: 500 });
+  }
+};
+
+/**
+ * Send an approved card refund back to the card through the payment gateway.
+ * Settled on the spot, it is marked paid with the gateway's refund id as the
+ * reference; otherwise it is marked paid when the gateway's webhook arrives.
+ */
+export const sendRefundThroughGateway = async (req, res) => {
+  try {
+    const { refund, gatewayRefund } = await paymentService.refundThroughGateway(req.params.id, {
+      adminId: req.adminUser?.userId || null,
+    });
+    const message = refund.status === "paid" ? "Refund paid to the card" : "Refund sent to the gateway";
+    return sendSuccess(res, { data: { refund, gatewayRefund }, message });
+  } catch (error) {
+    // Gateway errors are ServiceErrors too (PaymentProviderError), with their own name.
+    if (error instanceof ServiceError) return sendServiceError(res, error);
+    logger.error("Error sending refund through the gateway", { requestId: req.requestId, refundId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to send the refund", statusCode: 500 });
+  }
+};
@@ -5,7 +5,7 @@ import logger from '../lib/logger.js';
 
 export const quoteCheckout = async (req, res) => {
   try {
-    const { addressId, items } = req.body || {};
+    const { addressId, items, hold } = req.body || {};
 
     if (!addressId) {
       return sendError(res, {
@@ -21,6 +21,7 @@ export const quoteCheckout = async (req, res) => {
       addressId,
       items,
       req.currencyCode || 'USD',
+      { hold: hold === true },
     );
 
     return sendSuccess(res, { data: quote });
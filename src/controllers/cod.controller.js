@@ -0,0 +1,134 @@
+import CodSettlement from '../models/codSettlement.model.js';
+import codService from '../services/cod.service.js';
+import { sendSuccess, sendError, sendCreated, sendNotFound, sendPaginated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+const collectionOf = (body) => ({
+  orderId: body.orderId,
+  amount: body.amount,
+  lat: body.lat,
+  lng: body.lng,
+  collectedAt: body.collectedAt,
+});
+
+/** Courier: record the cash just taken for an order. */
+export const recordMyCollection = async (req, res) => {
+  try {
+    const collection = await codService.recordCollection({
+      ...collectionOf(req.body),
+      courierId: req.courier._id,
+      recordedBy: { type: 'courier', id: req.auth.userId },
+    });
+    return sendCreated(res, collection, 'Cash collection recorded');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error recording cash collection', { requestId: req.requestId, orderId: req.body.orderId, error: error.message });
+    return sendError(res, { message: 'Failed to record the collection', statusCode: 500 });
+  }
+};
+
+/** Courier: what they hold, and what it should add up to. */
+export const getMyCodSheet = async (req, res) => {
+  try {
+    const sheet = await codService.sheet(req.courier._id, req.query.day);
+    return sendSuccess(res, { data: sheet, message: 'Sheet retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving COD sheet', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve the sheet', statusCode: 500 });
+  }
+};
+
+/** Admin: record a collection for a courier who could not. */
+export const recordCollection = async (req, res) => {
+  try {
+    const collection = await codService.recordCollection({
+      ...collectionOf(req.body),
+      courierId: req.body.courierId,
+      recordedBy: { type: 'admin', id: req.adminUser?.userId || null },
+    });
+    return sendCreated(res, collection, 'Cash collection recorded');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error recording cash collection', { requestId: req.requestId, orderId: req.body.orderId, error: error.message });
+    return sendError(res, { message: 'Failed to record the collection', statusCode: 500 });
+  }
+};
+
+export const voidCollection = async (req, res) => {
+  try {
+    const collection = await codService.voidCollection(req.params.id, {
+      adminId: req.adminUser?.userId || null,
+      reason: req.body.reason,
+    });
+    return sendSuccess(res, { data: collection, message: 'Cash collection voided' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error voiding cash collection', { requestId: req.requestId, collectionId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to void the collection', statusCode: 500 });
+  }
+};
+
+/** Admin: a courier's draft sheet for a day, before the cash is counted. */
+export const getCourierSheet = async (req, res) => {
+  try {
+    const sheet = await codService.sheet(req.params.courierId, req.query.day);
+    return sendSuccess(res, { data: sheet, message: 'Sheet retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving COD sheet', { requestId: req.requestId, courierId: req.params.courierId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve the sheet', statusCode: 500 });
+  }
+};
+
+/**
+ * Admin: the cash was counted. Settles the courier's sheet and marks its
+ * orders paid.
+ */
+export const settleCourierSheet = async (req, res) => {
+  try {
+    const settlement = await codService.settle(req.params.courierId, {
+      day: req.body.day,
+      handedOver: req.body.handedOver,
+      adminId: req.adminUser?.userId || null,
+      note: req.body.note || '',
+    });
+    return sendCreated(res, settlement, 'Sheet settled');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error settling COD sheet', { requestId: req.requestId, courierId: req.params.courierId, error: error.message });
+    return sendError(res, { message: 'Failed to settle the sheet', statusCode: 500 });
+  }
+};
+
+/** Admin: settled sheets, latest first; ?flagged=true for the ones that did not add up. */
+export const getSettlements = async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const { settlements, total } = await codService.listSettlements({
+      courierId: req.query.courierId,
+      flagged: req.query.flagged,
+      page,
+      limit,
+    });
+    return sendPaginated(res, { data: settlements, page, limit, total, message: 'Settlements retrieved successfully' });
+  } catch (error) {
+    logger.error('Error listing COD settlements', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve settlements', statusCode: 500 });
+  }
+};
+
+export const getSettlement = async (req, res) => {
+  try {
+    const settlement = await CodSettlement.findById(req.params.id).populate('courier', 'fullName phone kind').lean();
+    if (!settlement) return sendNotFound(res, 'Settlement');
+    return sendSuccess(res, { data: settlement });
+  } catch (error) {
+    logger.error('Error retrieving COD settlement', { requestId: req.requestId, settlementId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve settlement', statusCode: 500 });
+  }
+};
@@ -0,0 +1,54 @@
+import courierService from '../services/courier.service.js';
+import { sendSuccess, sendError, sendCreated, sendPaginated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+const COURIER_FIELDS = ['fullName', 'phone', 'kind', 'clerkId', 'note', 'active'];
+
+const pickFields = (body) =>
+  Object.fromEntries(COURIER_FIELDS.filter((f) => body[f] !== undefined).map((f) => [f, body[f]]));
+
+/** Admin: courier and agent accounts, by name. */
+export const getCouriers = async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const { couriers, total } = await courierService.list({
+      active: req.query.active,
+      kind: req.query.kind,
+      page,
+      limit,
+    });
+    return sendPaginated(res, { data: couriers, page, limit, total, message: 'Couriers retrieved successfully' });
+  } catch (error) {
+    logger.error('Error listing couriers', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve couriers', statusCode: 500 });
+  }
+};
+
+export const createCourier = async (req, res) => {
+  try {
+    const courier = await courierService.create(pickFields(req.body));
+    return sendCreated(res, courier, 'Courier created');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error creating courier', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to create courier', statusCode: 500 });
+  }
+};
+
+export const updateCourier = async (req, res) => {
+  try {
+    const courier = await courierService.update(req.params.id, pickFields(req.body));
+    return sendSuccess(res, { data: courier, message: 'Courier updated' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error updating courier', { requestId: req.requestId, courierId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to update courier', statusCode: 500 });
+  }
+};
+
+/** Courier: their own account. */
+export const getMyCourierAccount = async (req, res) => sendSuccess(res, { data: req.courier });
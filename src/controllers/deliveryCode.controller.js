@@ -0,0 +1,68 @@
+import { getAuth } from '@clerk/express';
+import deliveryCodeService from '../services/deliveryCode.service.js';
+import orderLifecycleService from '../services/orderLifecycle.service.js';
+import { isApprovedImageUrl } from '../lib/imageHost.js';
+import { sendSuccess, sendError } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+/** Shopper: the code to give at the door, per shipment on its way. */
+export const getMyDeliveryCodes = async (req, res) => {
+  try {
+    const codes = await deliveryCodeService.forShopper(getAuth(req).userId, req.params.id);
+    return sendSuccess(res, { data: codes, message: 'Delivery codes retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving delivery codes', { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve delivery codes', statusCode: 500 });
+  }
+};
+
+/**
+ * Merchant: the store's own rider handed the parcel over. Delivers the
+ * store's shipment with the code the shopper gave — the only way a store can
+ * mark its own order delivered.
+ */
+export const confirmMerchantDelivery = async (req, res) => {
+  const { code, fulfillmentId, photoUrl, lat, lng } = req.body;
+
+  // HTTP-boundary check, like transferProof: the host depends on IMAGEKIT_URL_ENDPOINT.
+  if (photoUrl && !isApprovedImageUrl(photoUrl)) {
+    return sendError(res, {
+      message: 'photoUrl must be a valid HTTPS URL from the approved image host',
+      code: 'VALIDATION_ERROR',
+      statusCode: 400,
+      details: [{ field: 'photoUrl', message: 'Must be a valid HTTPS URL from the approved image host', value: photoUrl }],
+    });
+  }
+
+  try {
+    const { order } = await orderLifecycleService.confirmDelivery(
+      req.params.id,
+      { code, fulfillmentId: fulfillmentId || null, proof: { photoUrl, lat, lng } },
+      { type: 'merchant', id: getAuth(req).userId, merchant: req.merchant._id }
+    );
+    return sendSuccess(res, { data: order, message: 'Delivery confirmed' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error confirming delivery', { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to confirm the delivery', statusCode: 500 });
+  }
+};
+
+/** Admin: a fresh code after a lockout, once the shopper has been reached. */
+export const reissueDeliveryCode = async (req, res) => {
+  try {
+    const result = await deliveryCodeService.reissue(req.params.id, {
+      fulfillmentId: req.body.fulfillmentId || null,
+      adminId: req.adminUser?.userId || null,
+    });
+    return sendSuccess(res, { data: result, message: 'Delivery code reissued' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error reissuing delivery code', { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to reissue the delivery code', statusCode: 500 });
+  }
+};
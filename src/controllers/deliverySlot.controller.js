@@ -0,0 +1,45 @@
+import deliverySlotService from '../services/deliverySlot.service.js';
+import { sendSuccess, sendError } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+// ─── Admin ───────────────────────────────────────────────────────────────────
+
+export const getSlotZones = async (req, res) => {
+  try {
+    const zones = await deliverySlotService.zones();
+    return sendSuccess(res, { data: zones, message: 'Delivery zones retrieved' });
+  } catch (error) {
+    logger.error('Error retrieving delivery zones', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve delivery zones', statusCode: 500 });
+  }
+};
+
+/** Admin: a zone's delivery windows on one day, with what is booked. */
+export const getSlotCapacity = async (req, res) => {
+  try {
+    const view = await deliverySlotService.capacity(req.params.id, req.query.day);
+    return sendSuccess(res, { data: view, message: 'Delivery slot capacity retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving delivery slot capacity', { requestId: req.requestId, zoneId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve delivery slot capacity', statusCode: 500 });
+  }
+};
+
+export const updateSlotTemplates = async (req, res) => {
+  try {
+    const slots = await deliverySlotService.updateTemplates(
+      req.params.id,
+      { enabled: req.body.enabled, daysAhead: req.body.daysAhead, templates: req.body.templates },
+      req.adminUser?.userId || null
+    );
+    return sendSuccess(res, { data: slots, message: 'Delivery slots updated' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error updating delivery slots', { requestId: req.requestId, zoneId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to update delivery slots', statusCode: 500 });
+  }
+};
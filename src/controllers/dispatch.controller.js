@@ -0,0 +1,223 @@
+import { getAuth } from '@clerk/express';
+import dispatchService from '../services/dispatch.service.js';
+import deliveryRunService from '../services/deliveryRun.service.js';
+import { isApprovedImageUrl } from '../lib/imageHost.js';
+import { sendSuccess, sendError, sendCreated, sendPaginated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+// ─── Admin ───────────────────────────────────────────────────────────────────
+
+export const getDeliveryJobs = async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const { jobs, total } = await dispatchService.list({
+      status: req.query.status,
+      courierId: req.query.courierId,
+      orderId: req.query.orderId,
+      open: req.query.open,
+      page,
+      limit,
+    });
+    return sendPaginated(res, { data: jobs, page, limit, total, message: 'Delivery jobs retrieved' });
+  } catch (error) {
+    logger.error('Error retrieving delivery jobs', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve delivery jobs', statusCode: 500 });
+  }
+};
+
+/** Admin: give an order to a courier, or to the nearest available one. */
+export const assignDelivery = async (req, res) => {
+  try {
+    const job = await dispatchService.assign({
+      orderId: req.body.orderId,
+      fulfillmentId: req.body.fulfillmentId || null,
+      courierId: req.body.courierId || null,
+      adminId: req.adminUser?.userId || null,
+    });
+    return sendCreated(res, job, 'Delivery assigned');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error assigning delivery', { requestId: req.requestId, orderId: req.body.orderId, error: error.message });
+    return sendError(res, { message: 'Failed to assign the delivery', statusCode: 500 });
+  }
+};
+
+export const cancelDelivery = async (req, res) => {
+  try {
+    const job = await dispatchService.cancel(req.params.id, {
+      adminId: req.adminUser?.userId || null,
+      reason: req.body.reason,
+    });
+    return sendSuccess(res, { data: job, message: 'Delivery job cancelled' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error cancelling delivery job', { requestId: req.requestId, jobId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to cancel the delivery job', statusCode: 500 });
+  }
+};
+
+/** Admin: who nearest-courier dispatch would consider for an order. */
+export const getNearbyCouriers = async (req, res) => {
+  try {
+    const couriers = await dispatchService.nearby(req.query.orderId);
+    return sendSuccess(res, { data: couriers, message: 'Nearby couriers retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving nearby couriers', { requestId: req.requestId, orderId: req.query.orderId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve nearby couriers', statusCode: 500 });
+  }
+};
+
+// Express 5 re-parses req.query on every read, so the validator's
+// sanitisers do not stick: numbers arrive here as strings.
+const runOptions = (query) => ({
+  day: query.day,
+  zoneId: query.zoneId || null,
+  depot: query.depotLat != null ? { lat: Number(query.depotLat), lng: Number(query.depotLng) } : null,
+  maxStops: query.maxStops ? Number(query.maxStops) : null,
+});
+
+/** Admin: the day's confirmed orders per zone, cut into runs from the depot. */
+export const getDeliveryRuns = async (req, res) => {
+  try {
+    const runs = await deliveryRunService.plan(runOptions(req.query));
+    return sendSuccess(res, { data: runs, message: 'Delivery runs planned' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error planning delivery runs', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to plan delivery runs', statusCode: 500 });
+  }
+};
+
+/** Admin: the runs as a courier manifest, CSV or printable PDF. */
+export const downloadDeliveryManifest = async (req, res) => {
+  try {
+    const file = await deliveryRunService.manifest(req.query.format || 'csv', runOptions(req.query));
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.status(200).send(file.body);
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error exporting delivery manifest', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to export the delivery manifest', statusCode: 500 });
+  }
+};
+
+// ─── Courier ─────────────────────────────────────────────────────────────────
+
+export const setMyAvailability = async (req, res) => {
+  try {
+    const courier = await dispatchService.setAvailability(req.courier._id, req.body.availability);
+    return sendSuccess(res, { data: courier, message: 'Availability updated' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error updating courier availability', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to update availability', statusCode: 500 });
+  }
+};
+
+export const postMyLocation = async (req, res) => {
+  try {
+    const result = await dispatchService.ping(req.courier._id, {
+      lat: req.body.lat,
+      lng: req.body.lng,
+      accuracyMeters: req.body.accuracyMeters ?? null,
+    });
+    return sendSuccess(res, { data: result, message: 'Location updated' });
+  } catch (error) {
+    logger.error('Error updating courier location', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to update location', statusCode: 500 });
+  }
+};
+
+export const getMyJobs = async (req, res) => {
+  try {
+    const jobs = await dispatchService.myJobs(req.courier._id, { open: req.query.open ?? true });
+    return sendSuccess(res, { data: jobs, message: 'Jobs retrieved' });
+  } catch (error) {
+    logger.error('Error retrieving courier jobs', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve jobs', statusCode: 500 });
+  }
+};
+
+/**
+ * One handler per courier move; they differ only in the service call and the
+ * message.
+ */
+const courierMove = (move, message, failure) => async (req, res) => {
+  try {
+    const result = await move(req);
+    return sendSuccess(res, { data: result, message });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error(`Error: ${failure}`, { requestId: req.requestId, jobId: req.params.id, error: error.message });
+    return sendError(res, { message: `Failed to ${failure}`, statusCode: 500 });
+  }
+};
+
+export const acceptJob = courierMove(
+  (req) => dispatchService.accept(req.courier._id, req.params.id),
+  'Job accepted',
+  'accept the job'
+);
+
+export const declineJob = courierMove(
+  (req) => dispatchService.decline(req.courier._id, req.params.id, { reason: req.body.reason || null }),
+  'Job declined',
+  'decline the job'
+);
+
+export const pickUpJob = courierMove(
+  (req) => dispatchService.pickUp(req.courier._id, req.params.id),
+  'Parcel picked up',
+  'mark the parcel picked up'
+);
+
+export const returnJob = courierMove(
+  (req) => dispatchService.bringBack(req.courier._id, req.params.id, { reason: req.body.reason }),
+  'Parcel returned',
+  'mark the parcel returned'
+);
+
+const deliver = courierMove(
+  (req) => dispatchService.deliver(req.courier._id, req.params.id, {
+    photoUrl: req.body.photoUrl,
+    lat: req.body.lat,
+    lng: req.body.lng,
+    code: req.body.code || null,
+  }),
+  'Delivered',
+  'mark the parcel delivered'
+);
+
+/** Courier: handed over, with a photo from the approved image host as proof. */
+export const deliverJob = async (req, res) => {
+  // HTTP-boundary check, like transferProof: the host depends on IMAGEKIT_URL_ENDPOINT.
+  if (!isApprovedImageUrl(req.body.photoUrl)) {
+    return sendError(res, {
+      message: 'photoUrl must be a valid HTTPS URL from the approved image host',
+      code: 'VALIDATION_ERROR',
+      statusCode: 400,
+      details: [{ field: 'photoUrl', message: 'Must be a valid HTTPS URL from the approved image host', value: req.body.photoUrl }],
+    });
+  }
+  return deliver(req, res);
+};
+
+// ─── Shopper ─────────────────────────────────────────────────────────────────
+
+/** Shopper: who is bringing the order, and where they are once it is on its way. */
+export const getMyOrderDelivery = async (req, res) => {
+  try {
+    const delivery = await dispatchService.deliveryFor(getAuth(req).userId, req.params.id);
+    return sendSuccess(res, { data: delivery, message: 'Delivery retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving order delivery', { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve the delivery', statusCode: 500 });
+  }
+};
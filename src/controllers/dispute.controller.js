@@ -25,16 +25,20 @@ export const resolveDispute = async (req, res) => {
     const { resolution, approvedAmount, adminNote } = req.body;
     // resolution: 'refund_full', 'refund_partial', 'rejected'
 
-    const dispute = await disputeService.resolveDispute(
+    const { dispute, refund } = await disputeService.resolveDispute(
         req.params.id,
         resolution,
         approvedAmount, // Optional, for partial
         adminNote,
-        user._id
+        user._id,
+        user.clerkId
     );
 
-    return sendSuccess(res, { data: dispute, message: "Dispute resolved successfully" });
+    return sendSuccess(res, { data: { ...dispute.toObject(), refund }, message: "Dispute resolved successfully" });
   } catch (error) {
+    if (error.name === "ServiceError") {
+      return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+    }
     logger.error("Resolve Dispute Error", { error: error.message });
     return sendError(res, { message: error.message, statusCode: 500 });
   }
@@ -0,0 +1,93 @@
+import { getAuth } from '@clerk/express';
+import Merchant from '../models/merchant.model.js';
+import inventoryService from '../services/inventory.service.js';
+import { DEFAULT_LOW_STOCK_THRESHOLD } from '../lib/stockAlerts.js';
+import { sendSuccess, sendError, sendPaginated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+// Admins act on any product; a store only on its own (isAdminOrApprovedMerchant).
+const scopeOf = (req) => (req.merchantIsAdmin ? null : req.merchant?._id || null);
+
+/**
+ * Add or remove units on one variant, or set its counted figure, with a
+ * reason. Body: { delta } or { stock }, and { reason }.
+ */
+export const adjustVariantStock = async (req, res) => {
+  try {
+    const movement = await inventoryService.adjust(
+      req.params.id,
+      req.params.variantId,
+      { delta: req.body.delta, stock: req.body.stock, reason: req.body.reason },
+      {
+        actor: { type: req.merchantIsAdmin ? 'admin' : 'merchant', id: getAuth(req).userId || null },
+        merchantId: scopeOf(req),
+      }
+    );
+    return sendSuccess(res, { data: movement, message: 'Stock updated' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error adjusting variant stock', {
+      requestId: req.requestId,
+      productId: req.params.id,
+      variantId: req.params.variantId,
+      error: error.message,
+    });
+    return sendError(res, { message: 'Failed to update stock', statusCode: 500 });
+  }
+};
+
+/** Every change to one variant's stock, newest first. */
+export const getVariantStockHistory = async (req, res) => {
+  try {
+    const { movements, total, page, limit } = await inventoryService.history(req.params.id, req.params.variantId, {
+      page: Math.max(1, parseInt(req.query.page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit) || 20)),
+      merchantId: scopeOf(req),
+    });
+    return sendPaginated(res, { data: movements, page, limit, total, message: 'Stock history retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving variant stock history', {
+      requestId: req.requestId,
+      productId: req.params.id,
+      variantId: req.params.variantId,
+      error: error.message,
+    });
+    return sendError(res, { message: 'Failed to retrieve stock history', statusCode: 500 });
+  }
+};
+
+const inventorySettingsOf = (merchant) => ({
+  lowStockThreshold: merchant.lowStockThreshold ?? null,
+  // What a variant without its own threshold is held to.
+  effectiveLowStockThreshold: merchant.lowStockThreshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+});
+
+/** The store's stock-alert settings. */
+export const getMyInventorySettings = async (req, res) =>
+  sendSuccess(res, { data: inventorySettingsOf(req.merchant), message: 'Inventory settings retrieved' });
+
+/**
+ * Set the store's reorder threshold. Body: { lowStockThreshold } — a whole
+ * number, or null for the platform default.
+ */
+export const updateMyInventorySettings = async (req, res) => {
+  try {
+    const merchant = await Merchant.findByIdAndUpdate(
+      req.merchant._id,
+      { $set: { lowStockThreshold: req.body.lowStockThreshold ?? null } },
+      { new: true, runValidators: true }
+    ).select('lowStockThreshold');
+    return sendSuccess(res, { data: inventorySettingsOf(merchant), message: 'Inventory settings updated' });
+  } catch (error) {
+    logger.error('Error updating inventory settings', {
+      requestId: req.requestId,
+      merchantId: String(req.merchant._id),
+      error: error.message,
+    });
+    return sendError(res, { message: 'Failed to update inventory settings', statusCode: 500 });
+  }
+};
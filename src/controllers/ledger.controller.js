@@ -0,0 +1,56 @@
+import Merchant from '../models/merchant.model.js';
+import ledgerService from '../services/ledger.service.js';
+import logger from '../lib/logger.js';
+import { sendSuccess, sendError, sendNotFound } from '../lib/response.js';
+
+const rangeOf = (query) => ({
+  from: query.from ? new Date(query.from) : undefined,
+  to: query.to ? new Date(query.to) : undefined,
+});
+
+/**
+ * The caller's store statement: opening balance, every ledger movement with a
+ * running balance, closing balance.
+ */
+export const getMyStatement = async (req, res) => {
+  try {
+    const statement = await ledgerService.statement(req.merchant._id, rangeOf(req.query));
+    return sendSuccess(res, { data: statement, message: 'Statement retrieved successfully' });
+  } catch (error) {
+    logger.error('Error building store statement', {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/** Admin: any store's statement. */
+export const getMerchantStatement = async (req, res) => {
+  try {
+    const exists = await Merchant.exists({ _id: req.params.id });
+    if (!exists) return sendNotFound(res, 'Merchant');
+
+    const statement = await ledgerService.statement(req.params.id, rangeOf(req.query));
+    return sendSuccess(res, { data: statement, message: 'Statement retrieved successfully' });
+  } catch (error) {
+    logger.error('Error building store statement', {
+      requestId: req.requestId,
+      merchantId: req.params.id,
+      error: error.message,
+    });
+    return sendError(res, { message: 'Failed to build statement', statusCode: 500 });
+  }
+};
+
+/** Admin: every account's totals — debits and credits must match. */
+export const getTrialBalance = async (req, res) => {
+  try {
+    const data = await ledgerService.trialBalance();
+    return sendSuccess(res, { data, message: 'Trial balance retrieved successfully' });
+  } catch (error) {
+    logger.error('Error building trial balance', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to build trial balance', statusCode: 500 });
+  }
+};
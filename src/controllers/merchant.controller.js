@@ -19,6 +19,7 @@ import {
 import { enrichProductsWithPricing } from './products.controller.js';
 import { convertProductPrices } from '../services/currency.service.js';
 import { getLatestRate } from '../services/fx.service.js';
+import { isValidCoordinate } from '../services/geo/types.js';
 
 // Statuses that allow a user to (re)submit an application by overwriting in place.
 // `needs_revision` and `rejected` are explicitly user-actionable: the dashboard
@@ -1353,7 +1354,7 @@ export const updateMerchantProfile = async (req, res) => {
 
     const {
       storeName, description, email, phone, city, logoUrl, banner,
-      preferredInputCurrency,
+      preferredInputCurrency, originLatitude, originLongitude,
     } = req.body;
 
     if (storeName)              merchant.storeName   = storeName;
@@ -1374,6 +1375,25 @@ export const updateMerchantProfile = async (req, res) => {
         String(preferredInputCurrency || 'USD').trim().toUpperCase() || 'USD';
     }
 
+    // Pickup pin for distance-based delivery fees. A half-set pair is refused
+    // rather than guessed; sending both as null removes the pin.
+    if (originLatitude !== undefined || originLongitude !== undefined) {
+      if (originLatitude === null && originLongitude === null) {
+        merchant.originLocation = undefined;
+      } else if (isValidCoordinate(originLatitude, originLongitude)) {
+        merchant.originLocation = {
+          type: 'Point',
+          coordinates: [Number(originLongitude), Number(originLatitude)],
+        };
+      } else {
+        return sendError(res, {
+          message: 'originLatitude and originLongitude must be sent together',
+          code: 'INVALID_ORIGIN',
+          statusCode: 400,
+        });
+      }
+    }
+
     await merchant.save();
 
     logger.info('Merchant profile updated', {
@@ -0,0 +1,193 @@
+import DeliveryZone from '../models/deliveryZone.model.js';
+import logger from '../lib/logger.js';
+import { sendSuccess, sendError, sendCreated, sendNotFound } from '../lib/response.js';
+import { MAX_ZONES_PER_MERCHANT, validateZoneArea } from '../lib/serviceArea.js';
+
+// Mongo's 2dsphere index refuses a self-intersecting or otherwise unindexable
+// shape with this code. It is the merchant's drawing that is wrong, not us.
+const GEO_KEYS_ERROR = 16755;
+
+/**
+ * Shape a store zone for the API. Pricing, priority and the legacy hierarchy
+ * ids are platform concerns and are neither shown nor accepted here: a store's
+ * zone says *where* it delivers, never what delivery costs.
+ */
+const presentZone = (z) => ({
+  id: z._id.toString(),
+  name: z.name,
+  nameAr: z.nameAr || '',
+  area: z.area,
+  isActive: z.isActive,
+  notes: z.notes || '',
+  createdAt: z.createdAt,
+  updatedAt: z.updatedAt,
+});
+
+const invalidArea = (res, message) =>
+  sendError(res, {
+    message,
+    code: 'INVALID_ZONE_GEOMETRY',
+    statusCode: 400,
+    details: { messageAr: 'حدود منطقة التوصيل غير صالحة.' },
+  });
+
+/**
+ * The store's own service-area zones. Readable by any member — staff need to
+ * know where the store delivers to answer a customer.
+ */
+export const listMyDeliveryZones = async (req, res) => {
+  try {
+    const zones = await DeliveryZone.find({ merchant: req.merchant._id })
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return sendSuccess(res, {
+      data: zones.map(presentZone),
+      message: 'Delivery zones retrieved successfully',
+      meta: { maxZones: MAX_ZONES_PER_MERCHANT },
+    });
+  } catch (error) {
+    logger.error('Error listing store delivery zones', {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Draw a new zone. From the first active zone on, the store's products are only
+ * sold to pins inside its zones (see lib/serviceArea.js).
+ */
+export const createMyDeliveryZone = async (req, res) => {
+  try {
+    const merchant = req.merchant;
+
+    const checked = validateZoneArea(req.body.area);
+    if (!checked.ok) return invalidArea(res, checked.message);
+
+    const count = await DeliveryZone.countDocuments({ merchant: merchant._id });
+    if (count >= MAX_ZONES_PER_MERCHANT) {
+      return sendError(res, {
+        message: `A store can have at most ${MAX_ZONES_PER_MERCHANT} delivery zones`,
+        code: 'ZONE_LIMIT_REACHED',
+        statusCode: 409,
+        details: { limit: MAX_ZONES_PER_MERCHANT },
+      });
+    }
+
+    let zone;
+    try {
+      zone = await DeliveryZone.create({
+        merchant: merchant._id,
+        name: req.body.name,
+        nameAr: req.body.nameAr || '',
+        area: checked.value,
+        isActive: req.body.isActive ?? true,
+        notes: req.body.notes || '',
+      });
+    } catch (writeError) {
+      if (writeError.code === GEO_KEYS_ERROR) {
+        return invalidArea(res, 'The zone boundary crosses itself or cannot be mapped');
+      }
+      throw writeError;
+    }
+
+    logger.info('Store delivery zone created', {
+      requestId: req.requestId,
+      merchantId: merchant._id.toString(),
+      zoneId: zone._id.toString(),
+    });
+
+    return sendCreated(res, presentZone(zone), 'Delivery zone created successfully');
+  } catch (error) {
+    logger.error('Error creating store delivery zone', {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/** Rename, redraw, or switch a zone on or off. */
+export const updateMyDeliveryZone = async (req, res) => {
+  try {
+    const merchant = req.merchant;
+
+    const update = {};
+    for (const field of ['name', 'nameAr', 'isActive', 'notes']) {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    }
+    if (req.body.area !== undefined) {
+      const checked = validateZoneArea(req.body.area);
+      if (!checked.ok) return invalidArea(res, checked.message);
+      update.area = checked.value;
+    }
+
+    let zone;
+    try {
+      // Scoped to the caller's store: another store's zone id is simply not found.
+      zone = await DeliveryZone.findOneAndUpdate(
+        { _id: req.params.zoneId, merchant: merchant._id },
+        { $set: update },
+        { new: true, runValidators: true }
+      );
+    } catch (writeError) {
+      if (writeError.code === GEO_KEYS_ERROR) {
+        return invalidArea(res, 'The zone boundary crosses itself or cannot be mapped');
+      }
+      throw writeError;
+    }
+
+    if (!zone) return sendNotFound(res, 'Delivery zone');
+
+    logger.info('Store delivery zone updated', {
+      requestId: req.requestId,
+      merchantId: merchant._id.toString(),
+      zoneId: zone._id.toString(),
+      fields: Object.keys(update),
+    });
+
+    return sendSuccess(res, { data: presentZone(zone), message: 'Delivery zone updated successfully' });
+  } catch (error) {
+    logger.error('Error updating store delivery zone', {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a zone. Deleting the store's last one lifts its restriction entirely —
+ * the store is back to delivering wherever the platform does.
+ */
+export const deleteMyDeliveryZone = async (req, res) => {
+  try {
+    const merchant = req.merchant;
+
+    const zone = await DeliveryZone.findOneAndDelete({
+      _id: req.params.zoneId,
+      merchant: merchant._id,
+    });
+    if (!zone) return sendNotFound(res, 'Delivery zone');
+
+    logger.info('Store delivery zone deleted', {
+      requestId: req.requestId,
+      merchantId: merchant._id.toString(),
+      zoneId: zone._id.toString(),
+    });
+
+    return sendSuccess(res, { data: { id: zone._id.toString() }, message: 'Delivery zone deleted successfully' });
+  } catch (error) {
+    logger.error('Error deleting store delivery zone', {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    throw error;
+  }
+};
@@ -2,56 +2,23 @@ import Order from "../models/orders.model.js";
 import Merchant from "../models/merchant.model.js";
 import { getAuth } from "@clerk/express";
 import User from "../models/user.model.js";
-import { queueOrderEmail, queueOrderStatusEmail } from "../services/mailService.js";
-import CommissionService from "../services/commission.service.js";
+import { queueOrderEmail } from "../services/mailService.js";
 import logger from "../lib/logger.js";
 import { sendSuccess, sendError, sendNotFound, sendForbidden, sendPaginated, sendCreated } from "../lib/response.js";
-import { handleOrderCreated, handleOrderStatusChanged } from "../services/notificationEventHandlers.js";
+import { handleOrderCreated } from "../services/notificationEventHandlers.js";
 import orderService from "../services/order.service.js";
+import orderLifecycleService from "../services/orderLifecycle.service.js";
+import invoiceService from "../services/invoice.service.js";
+import bankakService from "../services/bankak.service.js";
 import { ServiceError } from "../lib/errors.js";
 import { DEFAULT_NUBIAN_MARKUP } from "../lib/pricing.config.js";
+import { ORDER_STATUSES } from "../lib/orderLifecycle.js";
+import { isApprovedImageUrl } from "../lib/imageHost.js";
 
-// Order statuses that trigger a customer email. Kept narrow on purpose:
-// pending/confirmed/cancelled either aren't worth an email or are already
-// covered by the order-created mail.
-const EMAILED_ORDER_STATUSES = new Set(["shipped", "delivered"]);
-
-/**
- * Fire-and-forget the customer's order status email.
- *
- * Both the admin (updateOrderStatus) and merchant (updateMerchantOrderStatus)
- * endpoints can move an order to "shipped", so both call this. The queue jobId
- * dedups on (orderNumber, status), so overlapping calls send exactly one mail.
- *
- * Never awaited and never throws — a mail problem must not fail the status
- * update that already committed to the database.
- */
-function dispatchOrderStatusEmail(order, newStatus) {
-  if (!EMAILED_ORDER_STATUSES.has(newStatus)) return;
-
-  const to = order?.user?.emailAddress;
-  if (!to) {
-    logger.warn("Order status email skipped — no recipient address", {
-      orderId: order?._id?.toString(),
-      orderNumber: order?.orderNumber,
-      status: newStatus,
-    });
-    return;
-  }
-
-  queueOrderStatusEmail({
-    to,
-    userName: order.user.fullName || "",
-    orderNumber: order.orderNumber,
-    status: newStatus,
-  }).catch((err) => {
-    logger.error("Failed to dispatch order status email", {
-      error: err.message,
-      orderId: order?._id?.toString(),
-      orderNumber: order?.orderNumber,
-      status: newStatus,
-    });
-  });
+// The shopper sees the timeline of their order, not which staff member,
+// merchant or courier moved it — actor ids stay on the admin views.
+function shopperStatusHistory(order) {
+  return (order.statusHistory || []).map(({ from, to, at }) => ({ from, to, at }));
 }
 
 // Shared display formatter used by getUserOrders, getOrders, and getOrderById.
@@ -135,45 +102,10 @@ function formatOrderProduct(item, order) {
 
 export const updateOrderStatus = async (req, res) => {
   try {
-    const { status, paymentStatus } = req.body;
+    const { status, paymentStatus, reason } = req.body;
     const { id } = req.params;
 
-    const allowedStatuses = ["pending", "confirmed", "shipped", "delivered", "cancelled"];
-
-    const updateData = {};
-
-    if (status !== undefined) {
-      // Convert frontend statuses to backend compatible ones if needed
-      let normalizedStatus = status;
-      if (status === "PROCESSING") normalizedStatus = "confirmed";
-      if (status === "AWAITING_PAYMENT_CONFIRMATION") normalizedStatus = "pending";
-      if (status === "PAYMENT_FAILED") normalizedStatus = "cancelled";
-
-      if (!allowedStatuses.includes(normalizedStatus)) {
-        return sendError(res, {
-          message: "Invalid status value",
-          code: "INVALID_STATUS",
-          statusCode: 400,
-          details: { allowedStatuses },
-        });
-      }
-      updateData.status = normalizedStatus;
-    }
-
-    if (paymentStatus !== undefined) {
-      const allowedPaymentStatuses = ["pending", "paid", "failed"];
-      if (!allowedPaymentStatuses.includes(paymentStatus)) {
-        return sendError(res, {
-          message: "Invalid payment status value",
-          code: "INVALID_PAYMENT_STATUS",
-          statusCode: 400,
-          details: { allowedPaymentStatuses },
-        });
-      }
-      updateData.paymentStatus = paymentStatus;
-    }
-
-    if (Object.keys(updateData).length === 0) {
+    if (status === undefined && paymentStatus === undefined) {
       return sendError(res, {
         message: "No valid data to update",
         code: "NO_UPDATE_DATA",
@@ -181,52 +113,71 @@ export const updateOrderStatus = async (req, res) => {
       });
     }
 
-    const oldOrder = await Order.findById(id)
-      .populate("products.product", "name price images category description stock")
-      .populate("user", "fullName emailAddress phoneNumber")
-      .populate("merchants");
-
-    if (!oldOrder) return sendNotFound(res, "Order");
+    // Status goes through the lifecycle (legal moves, history, side effects);
+    // paymentStatus is bookkeeping and is written directly, as before.
+    // Both arrive already normalised by validateOrderStatusUpdate.
+    if (status !== undefined) {
+      await orderLifecycleService.transition(
+        id,
+        status,
+        { type: "admin", id: req.adminUser?.userId || getAuth(req).userId },
+        { reason }
+      );
+    }
 
-    const oldStatus = oldOrder.status;
+    if (paymentStatus !== undefined) {
+      const updated = await Order.findByIdAndUpdate(id, { paymentStatus });
+      if (!updated) return sendNotFound(res, "Order");
+    }
 
-    const order = await Order.findByIdAndUpdate(id, updateData, { new: true })
+    const order = await Order.findById(id)
       .populate("products.product", "name price images category description stock")
       .populate("user", "fullName emailAddress phoneNumber")
       .populate("merchants");
 
-    // marketer commission only on first delivered
-    if (
-      status === "delivered" &&
-      oldStatus !== "delivered" &&
-      order.marketer
-    ) {
-      try {
-        await CommissionService.createCommission(order._id);
-        logger.info(`Commission record created for delivered order: ${order.orderNumber}`);
-      } catch (commError) {
-        logger.error(`Failed to create commission for order ${order._id}:`, commError);
-      }
+    return sendSuccess(res, { data: order, message: "Order status updated successfully" });
+  } catch (error) {
+    if (error.name === "ServiceError") {
+      return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
     }
+    logger.error("Error updating order status", { orderId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to update order status", statusCode: 500 });
+  }
+};
 
-    if (status && status !== oldStatus) {
-      handleOrderStatusChanged(order._id, oldStatus, status).catch((error) => {
-        logger.error("Failed to send order status change notification", {
-          error: error.message,
-          orderId: order._id.toString(),
-          oldStatus,
-          newStatus: status,
-        });
-      });
+// Admin: move a single store's shipment within an order.
+export const updateFulfillmentStatus = async (req, res) => {
+  try {
+    const { status, reason, trackingNumber, carrier } = req.body;
+    const { id, fulfillmentId } = req.params;
 
-      // `order` here is the post-update doc, populated with the customer.
-      dispatchOrderStatusEmail(order, updateData.status);
+    if (status === undefined) {
+      return sendError(res, {
+        message: "status is required",
+        code: "NO_UPDATE_DATA",
+        statusCode: 400,
+      });
     }
 
-    return sendSuccess(res, { data: order, message: "Order status updated successfully" });
+    const { order } = await orderLifecycleService.transitionFulfillment(
+      id,
+      fulfillmentId,
+      status,
+      { type: "admin", id: req.adminUser?.userId || getAuth(req).userId },
+      { reason, trackingNumber, carrier }
+    );
+
+    return sendSuccess(res, { data: order, message: "Shipment status updated successfully" });
   } catch (error) {
-    logger.error("Error updating order status", { orderId: req.params.id, error: error.message });
-    return sendError(res, { message: "Failed to update order status", statusCode: 500 });
+    if (error.name === "ServiceError") {
+      return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+    }
+    logger.error("Error updating shipment status", {
+      orderId: req.params.id,
+      fulfillmentId: req.params.fulfillmentId,
+      error: error.message,
+    });
+    return sendError(res, { message: "Failed to update shipment status", statusCode: 500 });
   }
 };
 
@@ -258,6 +209,7 @@ export const getUserOrders = async (req, res) => {
     const enhancedOrders = orders.map((order) => ({
       ...order.toObject(),
       transferProof:  order.transferProof || null,
+      statusHistory:  shopperStatusHistory(order),
       productsCount:  order.products.length,
       productsDetails: order.products.map((p) => formatOrderProduct(p, order)).filter(Boolean),
     }));
@@ -276,7 +228,7 @@ export const createOrder = async (req, res) => {
   const rawPaymentMethod = String(req.body.paymentMethod || '').trim().toUpperCase();
   if (rawPaymentMethod === 'BANKAK') {
     const proof = req.body.transferProof || req.body.paymentProofUrl || null;
-    if (!isValidProofUrl(proof)) {
+    if (!isApprovedImageUrl(proof)) {
       return sendError(res, {
         message: 'transferProof must be a valid HTTPS URL from the approved image host',
         code: 'VALIDATION_ERROR',
@@ -330,6 +282,10 @@ export const getOrders = async (req, res) => {
       if (status === "DELIVERED") normalizedStatus = "delivered";
       if (status === "CANCELLED") normalizedStatus = "cancelled";
       if (status === "PAYMENT_FAILED") normalizedStatus = "cancelled";
+      if (status === "READY_FOR_PICKUP") normalizedStatus = "ready_for_pickup";
+      if (status === "OUT_FOR_DELIVERY") normalizedStatus = "out_for_delivery";
+      if (status === "RETURNED") normalizedStatus = "returned";
+      if (status === "REFUNDED") normalizedStatus = "refunded";
 
       filter.status = normalizedStatus;
     }
@@ -398,6 +354,7 @@ export const getOrderById = async (req, res) => {
     const enhancedOrder = {
       ...order.toObject(),
       transferProof:   order.transferProof || null,
+      statusHistory:   shopperStatusHistory(order),
       productsCount:   order.products.length,
       productsDetails: order.products.map((p) => formatOrderProduct(p, order)).filter(Boolean),
       orderSummary: {
@@ -423,8 +380,16 @@ export const getMerchantOrders = async (req, res) => {
 
     const { status } = req.query;
 
+    // On split orders the merchant's status is their own shipment's, not the
+    // order's — "show me what I still have to ship" must not be hidden by
+    // another store lagging behind, nor padded by one running ahead.
     const filter = { merchants: merchant._id };
-    if (status) filter.status = status;
+    if (status) {
+      filter.$or = [
+        { fulfillments: { $elemMatch: { merchant: merchant._id, status } } },
+        { fulfillments: { $exists: false }, status },
+      ];
+    }
 
     const page  = Math.max(1, parseInt(req.query.page)  || 1);
     const limit = Math.min(50, Math.max(1, parseInt(req.query.limit) || 10));
@@ -462,8 +427,15 @@ export const getMerchantOrders = async (req, res) => {
         return sum + p * item.quantity;
       }, 0);
 
+      const fulfillment = order.fulfillments?.find((f) => String(f.merchant) === String(merchant._id)) || null;
+
       return {
         ...order.toObject(),
+        status: fulfillment?.status || order.status,
+        orderStatus: order.status,
+        // Their own shipment only — other stores' parcels are not theirs to see.
+        fulfillment,
+        fulfillments: undefined,
         transferProof: order.transferProof || null,
         products: orderProducts,
         productsCount: orderProducts.length,
@@ -494,84 +466,78 @@ export const getMerchantOrders = async (req, res) => {
 };
 
 
-// Transfer proof must come from the configured image CDN — rejects off-domain fakes.
-const ALLOWED_PROOF_ORIGINS = (process.env.IMAGEKIT_URL_ENDPOINT || 'https://ik.imagekit.io/nubian')
-  .split(',')
-  .map((s) => s.trim())
-  .filter(Boolean);
-
-function isValidProofUrl(url) {
-  if (typeof url !== 'string' || !url) return false;
-  try {
-    const parsed = new URL(url);
-    return (
-      parsed.protocol === 'https:' &&
-      ALLOWED_PROOF_ORIGINS.some((origin) => url.startsWith(origin))
-    );
-  } catch {
-    return false;
-  }
-}
-
 export const approveBankakPayment = async (req, res) => {
-  const { id } = req.params;
-
   try {
-    const order = await Order.findById(id);
-    if (!order) return sendError(res, { message: "Order not found", statusCode: 404 });
-
-    // لازم يكون BANKAK + عنده proof
-    if (order.paymentMethod !== "BANKAK") {
-      return sendError(res, { message: "Not a BANKAK order", statusCode: 400 });
-    }
-    if (!isValidProofUrl(order.transferProof)) {
-      return sendError(res, { message: "Missing transfer proof", statusCode: 400 });
-    }
-
-    order.paymentStatus = "paid";
-    order.bankakApproval = {
-      status: "approved",
-      approvedAt: new Date(),
-      approvedBy: req.adminUser?.userId || null,
-      reason: null,
-    };
-
-    if (order.status === "pending") order.status = "confirmed";
-
-    await order.save();
+    const order = await bankakService.approve(req.params.id, { adminId: req.adminUser?.userId || null });
     return sendSuccess(res, { data: order, message: "BANKAK approved" });
   } catch (e) {
+    if (e.name === "ServiceError") {
+      return sendError(res, { message: e.message, code: e.code, statusCode: e.statusCode, details: e.details });
+    }
     return sendError(res, { message: "Failed to approve BANKAK", details: e.message });
   }
 };
 
 export const rejectBankakPayment = async (req, res) => {
-  const { id } = req.params;
-  const { reason } = req.body || {};
-
   try {
-    const order = await Order.findById(id);
-    if (!order) return sendError(res, { message: "Order not found", statusCode: 404 });
-
-    if (order.paymentMethod !== "BANKAK") {
-      return sendError(res, { message: "Not a BANKAK order", statusCode: 400 });
-    }
-
-    order.paymentStatus = "failed";
-    order.bankakApproval = {
-      status: "rejected",
-      rejectedAt: new Date(),
-      rejectedBy: req.adminUser?.userId || null,
-      reason: reason || "Rejected by admin",
-    };
-
-    await order.save();
+    const order = await bankakService.reject(req.params.id, {
+      adminId: req.adminUser?.userId || null,
+      reason: req.body?.reason,
+    });
     return sendSuccess(res, { data: order, message: "BANKAK rejected" });
   } catch (e) {
+    if (e.name === "ServiceError") {
+      return sendError(res, { message: e.message, code: e.code, statusCode: e.statusCode, details: e.details });
+    }
     return sendError(res, { message: "Failed to reject BANKAK", details: e.message });
   }
 };
 
+// Admin: BANKAK transfers waiting to be checked, oldest first, with flags
+export const getBankakQueue = async (req, res) => {
+  try {
+    const page = req.query.page || 1;
+    const limit = req.query.limit || 20;
+    const { entries, total } = await bankakService.queue({ page, limit });
+    return sendPaginated(res, { data: entries, page, limit, total, message: "BANKAK queue retrieved" });
+  } catch (error) {
+    logger.error("Error retrieving BANKAK queue", { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: "Failed to retrieve BANKAK queue", statusCode: 500 });
+  }
+};
+
+// Shopper: report the BANKAK transfer for their order, or send it again
+// after a rejection
+export const submitBankakTransfer = async (req, res) => {
+  const { transferReference, transferAmount, senderAccount, transferProof } = req.body;
+
+  // HTTP-boundary check, as at checkout.
+  if (transferProof && !isApprovedImageUrl(transferProof)) {
+    return sendError(res, {
+      message: "transferProof must be a valid HTTPS URL from the approved image host",
+      code: "VALIDATION_ERROR",
+      statusCode: 400,
+      details: [{ field: "transferProof", message: "Must be a valid HTTPS URL from the approved image host", value: transferProof }],
+    });
+  }
+
+  try {
+    const order = await bankakService.submitTransfer(getAuth(req).userId, req.params.id, {
+      reference: transferReference,
+      amount: transferAmount,
+      senderAccount,
+      transferProof,
+    });
+    return sendSuccess(res, { data: order, message: "Transfer details received" });
+  } catch (error) {
+    if (error.name === "ServiceError") {
+      return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+    }
+    logger.error("Error submitting BANKAK transfer", { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to record the transfer", statusCode: 500 });
+  }
+};
+
 // اختياري: تعديل حالة الدفع يدويًا (غير مفضل للبنكك)
 export const updatePaymentStatus = async (req, res) => {
   const { id } = req.params;
@@ -597,8 +563,13 @@ export const updatePaymentStatus = async (req, res) => {
 };
 
 
-// Get merchant order statistics
-// Merchant can update order status for orders containing their products
+// Merchant can update order status for orders containing their products —
+// on an order split per store, the status of their own shipment. Which moves
+// a merchant may make is decided in lib/orderLifecycle.js. Delivered and
+// cancelled are platform-only there, so a store can neither mark its own
+// orders delivered (commission fraud) nor refuse them unilaterally. A store's
+// own rider confirms delivery with the shopper's code instead
+// (confirmMerchantDelivery).
 export const updateMerchantOrderStatus = async (req, res) => {
   try {
     // Resolved and status-checked by isApprovedMerchant. Looking the store up by
@@ -606,31 +577,10 @@ export const updateMerchantOrderStatus = async (req, res) => {
     // Merchant row keyed to their Clerk id.
     const merchant = req.merchant;
 
-    const { status } = req.body;
+    const { status, reason, trackingNumber, carrier } = req.body;
     const { id } = req.params;
 
-    // Merchants may only advance an order to confirmed or shipped.
-    // pending/delivered/cancelled are platform-only transitions — allowing merchants
-    // to set "delivered" enables commission fraud; "cancelled" enables unilateral refusals.
-    const MERCHANT_ALLOWED_STATUSES = ["confirmed", "shipped"];
-
-    const updateData = {};
-
-    if (status !== undefined) {
-      const normalizedStatus = status === "PROCESSING" ? "confirmed" : status;
-
-      if (!MERCHANT_ALLOWED_STATUSES.includes(normalizedStatus)) {
-        return sendError(res, {
-          message: `Merchants can only set status to: ${MERCHANT_ALLOWED_STATUSES.join(", ")}`,
-          code: "INVALID_STATUS",
-          statusCode: 403,
-          details: { allowedStatuses: MERCHANT_ALLOWED_STATUSES },
-        });
-      }
-      updateData.status = normalizedStatus;
-    }
-
-    if (Object.keys(updateData).length === 0) {
+    if (status === undefined && trackingNumber === undefined && carrier === undefined) {
       return sendError(res, {
         message: "No valid data to update",
         code: "NO_UPDATE_DATA",
@@ -638,43 +588,24 @@ export const updateMerchantOrderStatus = async (req, res) => {
       });
     }
 
-    // Check if the order contains this merchant's products
-    const order = await Order.findById(id)
-      .populate("products.product", "merchant")
-      .populate("merchants");
-
-    if (!order) return sendNotFound(res, "Order");
-
-    // Check if merchant is associated with this order
-    const merchantInOrder = order.merchants?.some(m => String(m._id) === String(merchant._id));
-    if (!merchantInOrder) {
-      return sendForbidden(res, "You can only update orders that contain your products");
-    }
-
-    const oldStatus = order.status;
+    // On a multi-store order this moves only this store's shipment; the
+    // order's own status follows from all of them.
+    await orderLifecycleService.transitionForMerchant(
+      id,
+      status,
+      { type: "merchant", id: getAuth(req).userId, merchant: merchant._id },
+      { reason, trackingNumber, carrier }
+    );
 
-    const updatedOrder = await Order.findByIdAndUpdate(id, updateData, { new: true })
+    const updatedOrder = await Order.findById(id)
       .populate("products.product", "merchant")
-      .populate("merchants")
-      // Needed for the status email — merchants can move an order to "shipped".
-      .populate("user", "fullName emailAddress");
-
-    // Send status change notification
-    if (status && status !== oldStatus) {
-      handleOrderStatusChanged(order._id, oldStatus, status).catch((error) => {
-        logger.error("Failed to send order status change notification", {
-          error: error.message,
-          orderId: order._id.toString(),
-          oldStatus,
-          newStatus: status,
-        });
-      });
-
-      dispatchOrderStatusEmail(updatedOrder, updateData.status);
-    }
+      .populate("merchants");
 
     return sendSuccess(res, { data: updatedOrder, message: "Order status updated successfully" });
   } catch (error) {
+    if (error.name === "ServiceError") {
+      return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+    }
     logger.error("Error updating merchant order status", {
       orderId: req.params.id,
       error: error.message,
@@ -683,6 +614,29 @@ export const updateMerchantOrderStatus = async (req, res) => {
   }
 };
 
+// Shopper cancels their own order before it leaves the store. Stock and the
+// coupon use come back; a paid order gets a refund record.
+export const cancelMyOrder = async (req, res) => {
+  try {
+    const { order, refund } = await orderService.cancelByCustomer(
+      getAuth(req).userId,
+      req.params.id,
+      req.body.reason
+    );
+
+    return sendSuccess(res, {
+      data: { ...order.toObject(), statusHistory: shopperStatusHistory(order), refund },
+      message: "Order cancelled successfully",
+    });
+  } catch (error) {
+    if (error.name === "ServiceError") {
+      return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+    }
+    logger.error("Error cancelling order", { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to cancel order", statusCode: 500 });
+  }
+};
+
 export const getMerchantOrderStats = async (req, res) => {
   try {
     // Resolved and status-checked by isApprovedMerchant. Looking the store up by
@@ -691,21 +645,48 @@ export const getMerchantOrderStats = async (req, res) => {
     const merchant = req.merchant;
 
     // Aggregation — all arithmetic runs inside MongoDB, zero documents loaded into Node.js memory.
+    // The merchant's status on each order: their shipment's on split orders,
+    // the order's own on orders placed before shipments existed.
+    const merchantStatus = {
+      $set: {
+        merchantStatus: {
+          $ifNull: [
+            {
+              $first: {
+                $map: {
+                  input: {
+                    $filter: {
+                      input: { $ifNull: ["$fulfillments", []] },
+                      cond: { $eq: ["$$this.merchant", merchant._id] },
+                    },
+                  },
+                  in: "$$this.status",
+                },
+              },
+            },
+            "$status",
+          ],
+        },
+      },
+    };
+
     const [statusAgg, revenueAgg] = await Promise.all([
       Order.aggregate([
         { $match: { merchants: merchant._id } },
-        { $group: { _id: "$status", count: { $sum: 1 } } },
+        merchantStatus,
+        { $group: { _id: "$merchantStatus", count: { $sum: 1 } } },
       ]),
       Order.aggregate([
         { $match: { merchants: merchant._id } },
+        merchantStatus,
         { $unwind: { path: "$merchantRevenue", preserveNullAndEmptyArrays: false } },
         { $match: { "merchantRevenue.merchant": merchant._id } },
-        { $group: { _id: "$status", revenue: { $sum: "$merchantRevenue.amount" } } },
+        { $group: { _id: "$merchantStatus", revenue: { $sum: "$merchantRevenue.amount" } } },
       ]),
     ]);
 
-    const statusStats    = { pending: 0, confirmed: 0, shipped: 0, delivered: 0, cancelled: 0 };
-    const revenueByStatus = { pending: 0, confirmed: 0, shipped: 0, delivered: 0, cancelled: 0 };
+    const statusStats     = Object.fromEntries(ORDER_STATUSES.map((s) => [s, 0]));
+    const revenueByStatus = Object.fromEntries(ORDER_STATUSES.map((s) => [s, 0]));
     let totalOrders = 0;
     let totalRevenue = 0;
 
@@ -724,3 +705,54 @@ export const getMerchantOrderStats = async (req, res) => {
     return sendError(res, { message: "Failed to retrieve order stats", statusCode: 500 });
   }
 };
+
+// ─────────────────────────────────────────────────────────────
+// Invoices
+// ─────────────────────────────────────────────────────────────
+
+function sendPdf(res, { filename, pdf }) {
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(pdf);
+}
+
+function sendInvoiceError(req, res, error) {
+  if (error.name === "ServiceError") {
+    return sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+  }
+  logger.error("Error generating invoice", { requestId: req.requestId, orderId: req.params.id, error: error.message });
+  return sendError(res, { message: "Failed to generate invoice", statusCode: 500 });
+}
+
+/**
+ * The shopper's invoice (receipt once paid) for their own order.
+ * `?merchant=` narrows it to one store's sub-invoice.
+ */
+export const getMyOrderInvoice = async (req, res) => {
+  try {
+    const file = await invoiceService.forCustomer(getAuth(req).userId, req.params.id, {
+      merchant: req.query.merchant,
+    });
+    return sendPdf(res, file);
+  } catch (error) {
+    return sendInvoiceError(req, res, error);
+  }
+};
+
+/** The store's sub-invoice for an order it sold into. */
+export const getMerchantOrderInvoice = async (req, res) => {
+  try {
+    return sendPdf(res, await invoiceService.forMerchant(req.merchant._id, req.params.id));
+  } catch (error) {
+    return sendInvoiceError(req, res, error);
+  }
+};
+
+/** Admin: any order's invoice, or one store's part of it. */
+export const getOrderInvoice = async (req, res) => {
+  try {
+    return sendPdf(res, await invoiceService.forAdmin(req.params.id, { merchant: req.query.merchant }));
+  } catch (error) {
+    return sendInvoiceError(req, res, error);
+  }
+};
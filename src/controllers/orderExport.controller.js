@@ -0,0 +1,59 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import orderExportService from '../services/orderExport.service.js';
+import logger from '../lib/logger.js';
+import { sendError } from '../lib/response.js';
+
+const filtersOf = (query) => ({
+  from: query.from,
+  to: query.to,
+  status: query.status,
+  paymentMethod: query.paymentMethod,
+  city: query.city,
+  merchantId: query.merchant,
+});
+
+/**
+ * Stream the file to the client as it is written.
+ *
+ * A failure before the first byte is an ordinary 500. After it the status
+ * line has gone out, so all that is left is to cut the download short — the
+ * client sees a broken file rather than a complete-looking partial one. A
+ * client that goes away ends the pipeline, which closes the cursor.
+ */
+const streamExport = async (req, res, file, context) => {
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  try {
+    await pipeline(Readable.from(file.chunks), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    logger.error('Error exporting orders', { requestId: req.requestId, ...context, error: error.message });
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return sendError(res, { message: 'Failed to export orders', statusCode: 500 });
+    }
+    res.destroy(error);
+  }
+};
+
+/** Admin: every order matching the filters; ?mode=orders|lines&format=csv|xlsx */
+export const exportOrders = async (req, res) => {
+  const file = orderExportService.export({
+    format: req.query.format || 'csv',
+    mode: req.query.mode || 'orders',
+    filters: filtersOf(req.query),
+  });
+  return streamExport(req, res, file, {});
+};
+
+/** The store's own orders: its lines, its shipment status and its revenue only. */
+export const exportMerchantOrders = async (req, res) => {
+  const file = orderExportService.export({
+    format: req.query.format || 'csv',
+    mode: req.query.mode || 'orders',
+    filters: filtersOf(req.query),
+    merchantId: req.merchant._id,
+  });
+  return streamExport(req, res, file, { merchantId: req.merchant._id.toString() });
+};
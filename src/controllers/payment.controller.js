@@ -0,0 +1,81 @@
+import { getAuth } from "@clerk/express";
+import paymentService from "../services/payment.service.js";
+import { ServiceError } from "../lib/errors.js";
+import { sendSuccess, sendError, sendCreated } from "../lib/response.js";
+import logger from "../lib/logger.js";
+
+// Gateway errors are ServiceErrors too (PaymentProviderError), with their own name.
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+// Shopper: open a card payment attempt on their order
+export const startCardPayment = async (req, res) => {
+  try {
+    const result = await paymentService.startCardPayment(getAuth(req).userId, req.params.id);
+    return sendCreated(res, result, "Payment started");
+  } catch (error) {
+    if (error instanceof ServiceError) return sendServiceError(res, error);
+    logger.error("Error starting card payment", { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to start the payment", statusCode: 500 });
+  }
+};
+
+// Shopper: confirm an attempt with the card collected by the app
+export const confirmCardPayment = async (req, res) => {
+  try {
+    const payment = await paymentService.confirm(getAuth(req).userId, req.params.id, req.params.paymentId, {
+      paymentToken: req.body.paymentToken,
+    });
+    const message = payment.status === "failed" ? "The card was declined" : "Payment confirmed";
+    return sendSuccess(res, { data: payment, message });
+  } catch (error) {
+    if (error instanceof ServiceError) return sendServiceError(res, error);
+    logger.error("Error confirming card payment", {
+      requestId: req.requestId,
+      orderId: req.params.id,
+      paymentId: req.params.paymentId,
+      error: error.message,
+    });
+    return sendError(res, { message: "Failed to confirm the payment", statusCode: 500 });
+  }
+};
+
+// Shopper: the payment attempts on their order, latest first
+export const getMyOrderPayments = async (req, res) => {
+  try {
+    const payments = await paymentService.listMine(getAuth(req).userId, req.params.id);
+    return sendSuccess(res, { data: payments, message: "Payments retrieved" });
+  } catch (error) {
+    if (error instanceof ServiceError) return sendServiceError(res, error);
+    logger.error("Error retrieving order payments", { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to retrieve payments", statusCode: 500 });
+  }
+};
+
+/**
+ * Admin: every payment attempt on an order, with what was refunded through
+ * the gateway.
+ */
+export const getOrderPayments = async (req, res) => {
+  try {
+    const payments = await paymentService.listForOrder(req.query.orderId);
+    return sendSuccess(res, { data: payments, message: "Payments retrieved" });
+  } catch (error) {
+    logger.error("Error retrieving payments", { requestId: req.requestId, orderId: req.query.orderId, error: error.message });
+    return sendError(res, { message: "Failed to retrieve payments", statusCode: 500 });
+  }
+};
+
+/**
+ * Admin: capture an authorised payment, when PAYMENT_CAPTURE=manual.
+ */
+export const capturePayment = async (req, res) => {
+  try {
+    const payment = await paymentService.capture(req.params.id, { adminId: req.adminUser?.userId || null });
+    return sendSuccess(res, { data: payment, message: "Payment captured" });
+  } catch (error) {
+    if (error instanceof ServiceError) return sendServiceError(res, error);
+    logger.error("Error capturing payment", { requestId: req.requestId, paymentId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to capture the payment", statusCode: 500 });
+  }
+};
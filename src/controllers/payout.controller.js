@@ -0,0 +1,115 @@
+import PayoutBatch from '../models/payoutBatch.model.js';
+import payoutService from '../services/payout.service.js';
+import { sendSuccess, sendError, sendCreated, sendNotFound, sendPaginated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+/** Admin: payout runs, newest first, without their items. */
+export const getAllPayouts = async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+
+    const p = req.query.page || 1;
+    const l = req.query.limit || 20;
+
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(query)
+        .sort({ createdAt: -1 })
+        .skip((p - 1) * l)
+        .limit(l)
+        .select('-items -skipped')
+        .lean(),
+      PayoutBatch.countDocuments(query),
+    ]);
+
+    return sendPaginated(res, { data: batches, page: p, limit: l, total, message: 'Payouts retrieved successfully' });
+  } catch (error) {
+    logger.error('Error listing payouts', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve payouts', statusCode: 500 });
+  }
+};
+
+export const getPayout = async (req, res) => {
+  try {
+    const batch = await PayoutBatch.findById(req.params.id).lean();
+    if (!batch) return sendNotFound(res, 'Payout batch');
+
+    return sendSuccess(res, { data: batch });
+  } catch (error) {
+    logger.error('Error retrieving payout', { requestId: req.requestId, payoutId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve payout', statusCode: 500 });
+  }
+};
+
+/**
+ * Admin: sweep what stores are owed into a new payout run.
+ */
+export const createPayout = async (req, res) => {
+  try {
+    const batch = await payoutService.createBatch({
+      adminId: req.adminUser?.userId || null,
+      note: req.body.note || '',
+      merchantIds: req.body.merchantIds,
+      holdDays: req.body.holdDays,
+    });
+    return sendCreated(res, batch, 'Payout batch created');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error creating payout batch', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to create payout batch', statusCode: 500 });
+  }
+};
+
+/**
+ * Admin: download the bank transfer file for a run's pending transfers.
+ */
+export const downloadPayoutFile = async (req, res) => {
+  try {
+    const file = await payoutService.exportFile(req.params.id, req.query.format || 'csv');
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.status(200).send(file.body);
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error exporting payout file', { requestId: req.requestId, payoutId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to export payout file', statusCode: 500 });
+  }
+};
+
+/**
+ * Admin: record which transfers the bank paid and which it bounced.
+ */
+export const settlePayoutItems = async (req, res) => {
+  try {
+    const batch = await payoutService.settleItems(req.params.id, req.body.items, {
+      adminId: req.adminUser?.userId || null,
+    });
+    return sendSuccess(res, { data: batch, message: 'Payout items updated' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error settling payout items', { requestId: req.requestId, payoutId: req.params.id, error: error.message });
+    return sendError(res, { message: 'Failed to update payout items', statusCode: 500 });
+  }
+};
+
+/**
+ * The caller's store: its payouts, newest first.
+ */
+export const getMyPayouts = async (req, res) => {
+  try {
+    const p = req.query.page || 1;
+    const l = req.query.limit || 20;
+    const { payouts, total } = await payoutService.listForMerchant(req.merchant._id, { page: p, limit: l });
+    return sendPaginated(res, { data: payouts, page: p, limit: l, total, message: 'Payouts retrieved successfully' });
+  } catch (error) {
+    logger.error('Error listing store payouts', {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    throw error;
+  }
+};
@@ -97,7 +97,7 @@ export const getPricingAnalytics = async (req, res) => {
 
     // Get orders with pricing breakdown
     const orders = await Order.find({
-      status: { $in: ['confirmed', 'shipped', 'delivered'] },
+      status: { $in: ['confirmed', 'ready_for_pickup', 'out_for_delivery', 'shipped', 'delivered'] },
       createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }, // Last 30 days
     }).select('products totalAmount finalAmount createdAt').lean();
 
@@ -211,7 +211,7 @@ export const getMerchantPricingAnalytics = async (req, res) => {
     // Get merchant's orders
     const orders = await Order.find({
       merchants: merchant._id,
-      status: { $in: ['confirmed', 'shipped', 'delivered'] },
+      status: { $in: ['confirmed', 'ready_for_pickup', 'out_for_delivery', 'shipped', 'delivered'] },
       createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) }, // Last 30 days
     }).select('products totalAmount finalAmount merchantRevenue createdAt').lean();
 
@@ -349,7 +349,7 @@ export const getCurrencyAnalytics = async (req, res) => {
     // Get orders with currency data from the specified period
     const orders = await Order.find({
       createdAt: { $gte: startDate },
-      status: { $in: ['pending', 'confirmed', 'shipped', 'delivered'] },
+      status: { $in: ['pending', 'confirmed', 'ready_for_pickup', 'out_for_delivery', 'shipped', 'delivered'] },
     }).select('currencyCodeSelected fxSnapshot totalAmount finalAmount finalAmountConverted createdAt status').lean();
 
     // Aggregate orders by currency
@@ -0,0 +1,124 @@
+import { Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
+import mongoose from 'mongoose';
+import { getAuth } from '@clerk/express';
+import importJobService from '../services/importJob.service.js';
+import productExportService from '../services/productExport.service.js';
+import { sendSuccess, sendError, sendPaginated, sendCreated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+// Admins see every store's imports; a store only its own (isAdminOrApprovedMerchant).
+const scopeOf = (req) => (req.merchantIsAdmin ? null : req.merchant?._id || null);
+
+/**
+ * Upload a product file (multipart, field `file`) and get its dry run back.
+ * Nothing is written until the import is started. Admins name the store in
+ * the `merchantId` field; a store imports to itself.
+ */
+export const uploadProductImport = async (req, res) => {
+  const merchantId = req.merchantIsAdmin ? req.body?.merchantId : req.merchant?._id;
+  if (!merchantId || !mongoose.Types.ObjectId.isValid(String(merchantId))) {
+    return sendError(res, {
+      message: 'merchantId is required and must be a valid ObjectId',
+      code: 'VALIDATION_ERROR',
+      statusCode: 400,
+    });
+  }
+
+  try {
+    const job = await importJobService.createFromFile({
+      merchantId,
+      file: req.file,
+      actor: { type: req.merchantIsAdmin ? 'admin' : 'merchant', id: getAuth(req).userId || null },
+    });
+    return sendCreated(res, job, 'File checked');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error checking product import file', {
+      requestId: req.requestId,
+      merchantId: String(merchantId),
+      error: error.message,
+    });
+    return sendError(res, { message: 'Failed to check import file', statusCode: 500 });
+  }
+};
+
+/** Imports, newest first. Admins may narrow to one store with ?merchantId=. */
+export const listProductImports = async (req, res) => {
+  try {
+    const merchantId = scopeOf(req) || (mongoose.Types.ObjectId.isValid(req.query.merchantId) ? req.query.merchantId : null);
+    const { jobs, total, page, limit } = await importJobService.list(merchantId, {
+      page: Math.max(1, parseInt(req.query.page) || 1),
+      limit: Math.min(100, Math.max(1, parseInt(req.query.limit) || 20)),
+    });
+    return sendPaginated(res, { data: jobs, page, limit, total, message: 'Imports retrieved' });
+  } catch (error) {
+    logger.error('Error listing product imports', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve imports', statusCode: 500 });
+  }
+};
+
+/** One import: its dry run, progress and result. */
+export const getProductImport = async (req, res) => {
+  try {
+    const job = await importJobService.get(req.params.jobId, scopeOf(req));
+    return sendSuccess(res, { data: job, message: 'Import retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error retrieving product import', { requestId: req.requestId, jobId: req.params.jobId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve import', statusCode: 500 });
+  }
+};
+
+/** Write the products that passed the dry run, in the background. */
+export const startProductImport = async (req, res) => {
+  try {
+    const job = await importJobService.start(req.params.jobId, scopeOf(req));
+    return sendSuccess(res, { data: job, message: 'Import started', statusCode: 202 });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error starting product import', { requestId: req.requestId, jobId: req.params.jobId, error: error.message });
+    return sendError(res, { message: 'Failed to start import', statusCode: 500 });
+  }
+};
+
+/** Download every row an import turned down, as a CSV. */
+export const downloadProductImportErrors = async (req, res) => {
+  try {
+    const file = await importJobService.errorReport(req.params.jobId, scopeOf(req));
+    res.setHeader('Content-Type', file.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    return res.status(200).send(file.body);
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error exporting product import errors', { requestId: req.requestId, jobId: req.params.jobId, error: error.message });
+    return sendError(res, { message: 'Failed to export import errors', statusCode: 500 });
+  }
+};
+
+/**
+ * The store's catalogue as an import file, one line per variant:
+ * ?format=csv|xlsx. Edit it and upload it to /merchant/imports.
+ *
+ * Streamed as orderExport.controller.js streams orders: a failure after the
+ * first byte can only cut the download short.
+ */
+export const exportMerchantProducts = async (req, res) => {
+  const file = productExportService.export({ merchantId: req.merchant._id, format: req.query.format || 'csv' });
+  res.setHeader('Content-Type', file.contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+  try {
+    await pipeline(Readable.from(file.chunks), res);
+  } catch (error) {
+    if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    logger.error('Error exporting products', { requestId: req.requestId, merchantId: req.merchant._id.toString(), error: error.message });
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      return sendError(res, { message: 'Failed to export products', statusCode: 500 });
+    }
+    res.destroy(error);
+  }
+};
@@ -11,6 +11,10 @@ import logger from '../lib/logger.js'
 import { getUserPreferredCategories, RANKING_CONSTANTS } from '../utils/productRanking.js'
 import { convertProductPrices, getInputCurrencyContext } from '../services/currency.service.js'
 import { applyPricingCurrency, clearPricingInput } from '../lib/pricingInput.js'
+import { sanitizeDiscountInput } from '../lib/discountInput.js'
+import { findUnservedMerchants } from '../services/deliveryArea.service.js'
+import inventoryService from '../services/inventory.service.js'
+import productImportService from '../services/productImport.service.js'
 import {
   calculateFinalPrice,
   calculateProductPricing,
@@ -188,6 +192,24 @@ async function getCategoryDescendants(parentId) {
   }
 }
 
+/**
+ * `?lat=&lng=` on a listing: leave out products whose store has drawn a
+ * service area that does not contain the pin. Returns the clause to push onto
+ * `filter.$and`, or null when there is no pin or nobody is excluded. Ids are
+ * cast here because the listings run as aggregations, which do not cast.
+ */
+const servedAtPinClause = async (req) => {
+  const { lat, lng } = req.query;
+  if (lat === undefined || lng === undefined) return null;
+  const unserved = await findUnservedMerchants(
+    { latitude: lat, longitude: lng },
+    null,
+    { requestId: req.requestId }
+  );
+  if (unserved.length === 0) return null;
+  return { merchant: { $nin: unserved.map((id) => new mongoose.Types.ObjectId(id)) } };
+};
+
 export const getProducts = async (req, res) => {
   try {
     // Pagination validation with max limits
@@ -258,6 +280,12 @@ export const getProducts = async (req, res) => {
       }
     }
 
+    const pinClause = await servedAtPinClause(req);
+    if (pinClause) {
+      filter.$and = filter.$and || [];
+      filter.$and.push(pinClause);
+    }
+
     // Calculate ranking using aggregation pipeline for efficient sorting
     // This ensures ranking is computed server-side and pagination works correctly
     const now = new Date();
@@ -555,7 +583,6 @@ export const getProducts = async (req, res) => {
     });
 
 
-
     return sendPaginated(res, {
       data: finalProducts,
       page,
@@ -619,59 +646,6 @@ export const getProductById = async (req, res) => {
   }
 }
 
-// ===== Helper: an explicitly cleared product-level discount =====
-// Every sub-field is named. Assigning this (rather than `null`) is what makes
-// "turn the sale off" reliable: `product.set({ discount: null })` on a NESTED
-// PATH — which `discount` is, not a subdocument — does not dependably clear the
-// individual sub-fields, so a stale `isActive: true` / `value: 20` can survive
-// and the engine keeps applying the discount. See Issue #16.
-const clearedDiscount = () => ({
-  type: null,
-  value: 0,
-  maxDiscount: null,
-  startsAt: null,
-  endsAt: null,
-  isActive: false,
-});
-
-// ===== Helper: Sanitize product-level discount input =====
-// Coerces dashboard input into the schema shape and rejects garbage.
-// NEVER returns null: anything that isn't a usable discount (missing type,
-// value <= 0, inverted date window, an explicit `{ isActive: false }`, or a
-// non-object) resolves to the fully-cleared block above, so the caller can
-// assign the result unconditionally and be sure the sale is off.
-const sanitizeDiscountInput = (input) => {
-  if (!input || typeof input !== 'object') return clearedDiscount();
-
-  // Explicit deactivation. `{ discount: { isActive: false } }` is the natural
-  // "end the sale" payload and used to be silently dropped.
-  if (input.isActive === false) return clearedDiscount();
-
-  const type = input.type === 'percentage' || input.type === 'fixed' ? input.type : null;
-  const value = Number(input.value);
-  if (!type || !(value > 0)) return clearedDiscount();
-
-  const out = {
-    ...clearedDiscount(),
-    type,
-    value: type === 'percentage' ? Math.min(value, 100) : value,
-    isActive: true,
-  };
-  if (input.maxDiscount !== undefined && Number(input.maxDiscount) > 0) {
-    out.maxDiscount = Number(input.maxDiscount);
-  }
-  if (input.startsAt) {
-    const d = new Date(input.startsAt);
-    if (!isNaN(d.getTime())) out.startsAt = d;
-  }
-  if (input.endsAt) {
-    const d = new Date(input.endsAt);
-    if (!isNaN(d.getTime())) out.endsAt = d;
-  }
-  if (out.startsAt && out.endsAt && out.startsAt > out.endsAt) return clearedDiscount();
-  return out;
-};
-
 // ===== Helper: Validate Variants =====
 const validateVariants = (variants) => {
   if (!Array.isArray(variants) || variants.length === 0) {
@@ -752,6 +726,9 @@ const validateObjectId = (id, type) => {
   return new mongoose.Types.ObjectId(id);
 };
 
+// ===== Helper: who changed the stock, for the inventory history =====
+const stockActor = (req) => ({ type: req.merchantIsAdmin ? 'admin' : 'merchant', id: getAuth(req).userId || null });
+
 // ===== CREATE PRODUCT =====
 export const createProduct = async (req, res) => {
   try {
@@ -818,6 +795,7 @@ export const createProduct = async (req, res) => {
     if (req.body.merchant) req.body.merchant = validateObjectId(req.body.merchant, 'merchant');
 
     const product = await Product.create(req.body);
+    await inventoryService.recordChanges(product, [], product.variants, { type: 'initial', actor: stockActor(req) });
 
     // Populate and enrich pricing
     const populatedProduct = await Product.findById(product._id)
@@ -882,6 +860,11 @@ export const updateProduct = async (req, res) => {
       req.body.discount = sanitizeDiscountInput(req.body.discount);
     }
 
+    // Setting variants overwrites their stock; the inventory history needs the
+    // figures it replaced. PATCH .../variants/:variantId/stock is the way to
+    // move stock without touching the rest of the product.
+    const stockBefore = product.variants.map(({ _id, sku, stock }) => ({ _id, sku, stock }));
+
     product.set(req.body);
     if (req.body.variants) product.markModified('variants');
     // Nested-path writes are not always picked up by change tracking; be
@@ -890,6 +873,12 @@ export const updateProduct = async (req, res) => {
     if (req.body.pricingInput !== undefined) product.markModified('pricingInput');
 
     const updatedProduct = await product.save();
+    if (req.body.variants) {
+      await inventoryService.recordChanges(updatedProduct, stockBefore, updatedProduct.variants, {
+        type: 'correction',
+        actor: stockActor(req),
+      });
+    }
 
     await updatedProduct.populate([
       { path: 'merchant', select: 'storeName email logoUrl city status' },
@@ -912,7 +901,6 @@ export const updateProduct = async (req, res) => {
 };
 
 
-
 export const deleteProduct = async (req, res) => {
   try {
     const productId = req.params.id;
@@ -1556,7 +1544,7 @@ export const toggleDynamicPricing = async (req, res) => {
  *       category: string (ObjectId),
  *       images: string[],
  *       variants: Array<{ sku, attributes, merchantPrice, stock, images?, isActive?,
- *                         nubianMarkup?, dynamicMarkup?, merchantDiscount? }>,
+ *                         nubianMarkup?, dynamicMarkup?, merchantDiscount?, lowStockThreshold? }>,
  *       discount?: { type, value, maxDiscount?, startsAt?, endsAt?, isActive? },
  *       pricingCurrency?: string,   // what this row's money fields are in; USD when absent
  *       priorityScore?: number,
@@ -1601,215 +1589,14 @@ export const bulkImportProducts = async (req, res) => {
     }
   }
 
-  const merchantObjectId = new mongoose.Types.ObjectId(merchantId);
-  const failures = [];
-  const ops = [];
-
-  // Resolve each DISTINCT currency in the batch exactly once, up front.
-  //
-  // Two reasons this is not done per row. First, a 500-row file would otherwise
-  // issue 500 rate lookups. Second and more importantly, rows sharing a currency
-  // must share a rate: resolving per row lets a long import straddle the 4 AM FX
-  // refresh, so the first half of a merchant's catalogue is priced at yesterday's
-  // rate and the second half at today's, with nothing recording that it happened.
-  //
-  // A currency that fails to resolve fails ONLY the rows that asked for it —
-  // one unconfigured currency must not reject a file that is otherwise fine.
-  const currencyContexts = new Map();
-  const currencyErrors = new Map();
-  const requestedCodes = new Set(
-    rows
-      .map((r) => String(r?.pricingCurrency || '').trim().toUpperCase())
-      .filter((c) => c && c !== 'USD'),
-  );
-
-  await Promise.all(
-    [...requestedCodes].map(async (code) => {
-      try {
-        currencyContexts.set(code, await getInputCurrencyContext(code));
-      } catch (e) {
-        currencyErrors.set(code, e.message || `Cannot price in ${code}`);
-      }
-    }),
-  );
-
-  rows.forEach((row, idx) => {
-    try {
-      if (!row.importSku || typeof row.importSku !== 'string') {
-        throw new Error('importSku is required');
-      }
-      if (!row.name || typeof row.name !== 'string') {
-        throw new Error('name is required');
-      }
-      if (!row.category || !mongoose.Types.ObjectId.isValid(row.category)) {
-        throw new Error('category must be a valid ObjectId');
-      }
-      if (!Array.isArray(row.images) || row.images.length === 0) {
-        throw new Error('At least one image is required');
-      }
-
-      // Variants are required by the Product schema.
-      if (!Array.isArray(row.variants) || row.variants.length === 0) {
-        throw new Error('At least one variant is required');
-      }
-      const seenSkus = new Set();
-      for (const v of row.variants) {
-        if (!v.sku) throw new Error('Each variant must have a SKU');
-        const sku = String(v.sku).trim().toUpperCase();
-        if (seenSkus.has(sku)) throw new Error(`Duplicate variant SKU within row: ${sku}`);
-        seenSkus.add(sku);
-        if (!v.attributes || typeof v.attributes !== 'object' || Object.keys(v.attributes).length === 0) {
-          throw new Error('Each variant must have at least one attribute');
-        }
-        if (!(v.merchantPrice > 0)) {
-          throw new Error('Each variant must have merchantPrice > 0');
-        }
-        if (!(v.stock >= 0)) {
-          throw new Error('Each variant must have stock >= 0');
-        }
-      }
-
-      // Convert this row's money fields to USD if it declared a currency.
-      // Must run BEFORE the discount is sanitized (that inspects `value`, which
-      // is money for a fixed discount) and before calculateFinalPrice below,
-      // which assumes dollars. Mutates `row` in place — including stamping
-      // `row.pricingInput` and each variant's, which are carried into the
-      // update document further down.
-      const rowCode = String(row.pricingCurrency || '').trim().toUpperCase();
-      if (rowCode && rowCode !== 'USD') {
-        if (currencyErrors.has(rowCode)) throw new Error(currencyErrors.get(rowCode));
-        applyPricingCurrency(row, currencyContexts.get(rowCode));
-      }
-
-      // Optional product-level discount block (Issue #25). Only honoured when
-      // the row actually carries the key — otherwise an import must not wipe a
-      // discount configured through the dashboard.
-      const discountBlock =
-        row.discount !== undefined && row.discount !== null
-          ? sanitizeDiscountInput(row.discount)
-          : null;
-
-      // bulkWrite + $set bypasses the model's pre('save') hook, so nothing
-      // computes finalPrice for us. Without this every imported variant lands
-      // with the schema default of 0 and the root finalPrice keeps a stale
-      // value, which breaks the explore minPrice/maxPrice filters, price
-      // sorting, and add-to-cart (cartUtils falls back to `finalPrice || 0`).
-      // Route through the engine — never re-derive the formula here. (Issue #8)
-      //
-      // Context caveat: `dynamicPricingEnabled` is not part of the import
-      // payload, so the schema default (true) is assumed. That only matters
-      // when a row supplies dynamicMarkup; with the usual dynamicMarkup 0 the
-      // flag has no effect on the result.
-      const pricingContext = {
-        dynamicPricingEnabled: true,
-        discount: discountBlock,
-      };
-
-      const variants = row.variants.map((v) => {
-        const variant = {
-          sku: String(v.sku).trim().toUpperCase(),
-          attributes: v.attributes,
-          merchantPrice: Number(v.merchantPrice),
-          nubianMarkup: v.nubianMarkup ?? DEFAULT_NUBIAN_MARKUP,
-          dynamicMarkup: v.dynamicMarkup ?? 0,
-          merchantDiscount: v.merchantDiscount ?? 0,
-          stock: Number(v.stock),
-          images: Array.isArray(v.images) ? v.images : [],
-          isActive: v.isActive !== false,
-          // Written by applyPricingCurrency above; undefined for USD rows. This
-          // mapping builds a NEW variant object rather than spreading `v`, so
-          // without carrying it explicitly the typed amounts would be dropped
-          // and an imported foreign-currency product would not round-trip.
-          ...(v.pricingInput ? { pricingInput: v.pricingInput } : {}),
-        };
-        const { finalPrice } = calculateFinalPrice({ product: pricingContext, variant });
-        return { ...variant, finalPrice };
-      });
-
-      // Root finalPrice = cheapest ACTIVE variant, mirroring the pre-save hook.
-      // Unlike the hook this falls back to 0 rather than null, because null on
-      // a Number field never satisfies the `$gte` price-range filters.
-      const activeFinals = variants
-        .filter((v) => v.isActive && v.finalPrice > 0)
-        .map((v) => v.finalPrice);
-      const rootFinalPrice = activeFinals.length > 0 ? Math.min(...activeFinals) : 0;
-
-      // The pre-save hook also keeps the persisted root stock in sync; do the
-      // same here for the same reason.
-      const rootStock = variants
-        .filter((v) => v.isActive)
-        .reduce((sum, v) => sum + (v.stock || 0), 0);
-
-      const update = {
-        name: row.name.trim(),
-        description: row.description?.trim() || row.name.trim(),
-        category: new mongoose.Types.ObjectId(row.category),
-        images: row.images,
-        merchant: merchantObjectId,
-        variants,
-        finalPrice: rootFinalPrice,
-        stock: rootStock,
-        isActive: true,
-        deletedAt: null,
-        ...(discountBlock ? { discount: discountBlock } : {}),
-        // The FX audit record for this row. Set only when the row declared a
-        // currency: a USD row must not overwrite the block on a product that a
-        // previous import (or the wizard) priced in something else, because
-        // this is an upsert and $set would silently blank the audit trail for a
-        // price that is still stored in dollars either way.
-        ...(row.pricingInput ? { pricingInput: row.pricingInput } : {}),
-        ...(row.priorityScore !== undefined ? { priorityScore: Number(row.priorityScore) } : {}),
-        ...(row.featured !== undefined ? { featured: Boolean(row.featured) } : {}),
-      };
-
-      ops.push({
-        updateOne: {
-          filter: { merchant: merchantObjectId, importSku: row.importSku },
-          update: {
-            $set: update,
-            $setOnInsert: { importSku: row.importSku, createdAt: new Date() },
-          },
-          upsert: true,
-        },
-      });
-    } catch (e) {
-      failures.push({ index: idx, importSku: row.importSku ?? null, reason: e.message });
-    }
+  const { totalRows, insertedCount, updatedCount, failures } = await productImportService.run(merchantId, rows, {
+    actor: stockActor(req),
   });
 
-  let insertedCount = 0;
-  let updatedCount = 0;
-
-  if (ops.length > 0) {
-    try {
-      // ordered:false so a row failing in the middle doesn't abort the rest
-      const result = await Product.bulkWrite(ops, { ordered: false });
-      insertedCount = result.upsertedCount || 0;
-      updatedCount = result.modifiedCount || 0;
-    } catch (err) {
-      // Partial-failure path: extract per-write errors
-      const writeErrors = err?.writeErrors || [];
-      writeErrors.forEach((we) => {
-        const opIdx = we.index ?? -1;
-        const failedRowIdx =
-          opIdx >= 0 && opIdx < rows.length
-            ? rows.findIndex((r, i) => i === opIdx) // best-effort mapping
-            : -1;
-        failures.push({
-          index: failedRowIdx,
-          importSku: rows[failedRowIdx]?.importSku ?? null,
-          reason: we.errmsg || 'Database write error',
-        });
-      });
-      insertedCount = err?.result?.upsertedCount ?? 0;
-      updatedCount = err?.result?.modifiedCount ?? 0;
-    }
-  }
-
   logger.info('Bulk product import completed', {
     requestId: req.requestId,
     merchantId,
-    totalRows: rows.length,
+    totalRows,
     insertedCount,
     updatedCount,
     failedCount: failures.length,
@@ -1819,7 +1606,7 @@ export const bulkImportProducts = async (req, res) => {
     message: 'Bulk import completed',
     data: {
       success: failures.length === 0,
-      totalRows: rows.length,
+      totalRows,
       insertedCount,
       updatedCount,
       failedCount: failures.length,
@@ -1846,6 +1633,7 @@ export const bulkImportProducts = async (req, res) => {
  *   - inStock: true/false (stock > 0)
  *   - fastDelivery: true/false (placeholder for future)
  *   - verifiedStore: true/false (merchant status = APPROVED)
+ *   - lat, lng: delivery pin — hides stores whose service area leaves it out
  */
 export const exploreProducts = async (req, res) => {
   try {
@@ -1959,6 +1747,13 @@ export const exploreProducts = async (req, res) => {
         : { $nin: approvedIds };
     }
 
+    // Delivery pin — in $and so it composes with the store filters above.
+    const pinClause = await servedAtPinClause(req);
+    if (pinClause) {
+      filter.$and = filter.$and || [];
+      filter.$and.push(pinClause);
+    }
+
     // Size filter - use $or for variants OR legacy sizes field
     if (size) {
       filter.$and = filter.$and || [];
@@ -0,0 +1,96 @@
+import { getAuth } from "@clerk/express";
+import logger from "../lib/logger.js";
+import { sendSuccess, sendError, sendCreated, sendPaginated } from "../lib/response.js";
+import { isApprovedImageUrl } from "../lib/imageHost.js";
+import returnRequestService from "../services/returnRequest.service.js";
+
+const paging = (query) => ({
+  page:  Math.max(1, parseInt(query.page) || 1),
+  limit: Math.min(50, Math.max(1, parseInt(query.limit) || 10)),
+});
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+// Shopper: ask to send delivered items back. One request is created per store.
+export const openReturn = async (req, res) => {
+  // HTTP-boundary check, as for BANKAK transfer proofs: photos must come from
+  // the image host, which depends on the IMAGEKIT_URL_ENDPOINT env var.
+  const items = req.body.items || [];
+  for (const [index, item] of items.entries()) {
+    const bad = (item.photos || []).find((url) => !isApprovedImageUrl(url));
+    if (bad !== undefined) {
+      return sendError(res, {
+        message: "Return photos must be HTTPS URLs from the approved image host",
+        code: "VALIDATION_ERROR",
+        statusCode: 400,
+        details: [{ field: `items[${index}].photos`, message: "Must be a valid HTTPS URL from the approved image host", value: bad }],
+      });
+    }
+  }
+
+  try {
+    const requests = await returnRequestService.openReturn(getAuth(req).userId, req.params.id, items);
+    return sendCreated(res, requests, "Return request submitted successfully");
+  } catch (error) {
+    if (error.name === "ServiceError") return sendServiceError(res, error);
+    logger.error("Error opening return request", { requestId: req.requestId, orderId: req.params.id, error: error.message });
+    return sendError(res, { message: "Failed to submit return request", statusCode: 500 });
+  }
+};
+
+// Shopper: their return requests across all orders.
+export const getMyReturns = async (req, res) => {
+  try {
+    const { page, limit } = paging(req.query);
+    const { requests, total } = await returnRequestService.listForUser(getAuth(req).userId, { page, limit });
+    return sendPaginated(res, { data: requests, page, limit, total });
+  } catch (error) {
+    if (error.name === "ServiceError") return sendServiceError(res, error);
+    logger.error("Error listing return requests", { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: "Failed to retrieve return requests", statusCode: 500 });
+  }
+};
+
+// Merchant: the store's return requests, for review.
+export const getMerchantReturns = async (req, res) => {
+  try {
+    const { page, limit } = paging(req.query);
+    const { requests, total } = await returnRequestService.listForMerchant(req.merchant._id, {
+      status: req.query.status,
+      page,
+      limit,
+    });
+    return sendPaginated(res, { data: requests, page, limit, total });
+  } catch (error) {
+    logger.error("Error listing store return requests", {
+      requestId: req.requestId,
+      merchantId: req.merchant?._id?.toString(),
+      error: error.message,
+    });
+    return sendError(res, { message: "Failed to retrieve return requests", statusCode: 500 });
+  }
+};
+
+// Merchant: approve (records the refund) or reject a return request.
+export const decideReturn = async (req, res) => {
+  try {
+    const request = await returnRequestService.decide(req.merchant._id, req.params.returnId, {
+      decision: req.body.decision,
+      note: req.body.note,
+      actorId: getAuth(req).userId,
+    });
+    return sendSuccess(res, {
+      data: request,
+      message: request.status === "approved" ? "Return approved and refund recorded" : "Return rejected",
+    });
+  } catch (error) {
+    if (error.name === "ServiceError") return sendServiceError(res, error);
+    logger.error("Error deciding return request", {
+      requestId: req.requestId,
+      returnId: req.params.returnId,
+      error: error.message,
+    });
+    return sendError(res, { message: "Failed to update return request", statusCode: 500 });
+  }
+};
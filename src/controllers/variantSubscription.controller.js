@@ -0,0 +1,56 @@
+import { getAuth } from '@clerk/express';
+import variantSubscriptionService from '../services/variantSubscription.service.js';
+import { sendSuccess, sendError, sendCreated } from '../lib/response.js';
+import logger from '../lib/logger.js';
+
+const sendServiceError = (res, error) =>
+  sendError(res, { message: error.message, code: error.code, statusCode: error.statusCode, details: error.details });
+
+/**
+ * Watch a variant for a restock or a target price. The target is in the
+ * currency the shopper is browsing in (currency middleware).
+ * Body: { productId, variantId, kind, targetPrice? }
+ */
+export const createSubscription = async (req, res) => {
+  try {
+    const subscription = await variantSubscriptionService.subscribe(getAuth(req).userId, {
+      productId: req.body.productId,
+      variantId: req.body.variantId,
+      kind: req.body.kind,
+      targetPrice: req.body.kind === 'price' ? req.body.targetPrice : null,
+      currencyCode: req.currencyCode,
+    });
+    return sendCreated(res, subscription, 'Subscription saved');
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error creating subscription', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to save subscription', statusCode: 500 });
+  }
+};
+
+/** The shopper's watches; ?status=active|notified. */
+export const listSubscriptions = async (req, res) => {
+  try {
+    const subscriptions = await variantSubscriptionService.list(getAuth(req).userId, { status: req.query.status });
+    return sendSuccess(res, { data: subscriptions, message: 'Subscriptions retrieved' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error listing subscriptions', { requestId: req.requestId, error: error.message });
+    return sendError(res, { message: 'Failed to retrieve subscriptions', statusCode: 500 });
+  }
+};
+
+export const deleteSubscription = async (req, res) => {
+  try {
+    await variantSubscriptionService.cancel(getAuth(req).userId, req.params.subscriptionId);
+    return sendSuccess(res, { data: null, message: 'Subscription removed' });
+  } catch (error) {
+    if (error.name === 'ServiceError') return sendServiceError(res, error);
+    logger.error('Error removing subscription', {
+      requestId: req.requestId,
+      subscriptionId: req.params.subscriptionId,
+      error: error.message,
+    });
+    return sendError(res, { message: 'Failed to remove subscription', statusCode: 500 });
+  }
+};
@@ -7,6 +7,10 @@
  *   3. Computes the resulting finalPrice for each variant
  *   4. Writes only changed values via updateOne (no pre-save re-trigger)
  *
+ * Once every price has moved it checks shoppers' price subscriptions against
+ * the new prices (variantSubscription.service.js), since this is what moves
+ * them.
+ *
  * Formula:
  *   dynamicMarkup = clamp(scarcityBoost + demandBoost, -20, +50)
  *
@@ -34,6 +38,7 @@ import Product from '../models/product.model.js';
 import logger from '../lib/logger.js';
 import { calculateFinalPrice } from '../lib/pricing.engine.js';
 import { DEFAULT_NUBIAN_MARKUP } from '../lib/pricing.config.js';
+import variantSubscriptionService from '../services/variantSubscription.service.js';
 
 // ─── Helpers ────────────────────────────────────────────────────────────────
 
@@ -199,8 +204,16 @@ export async function runDynamicPricingCron() {
     }
   }
 
+  // A failed sweep is retried by the next run; the prices above stand.
+  let subscriptions = null;
+  try {
+    subscriptions = await variantSubscriptionService.evaluatePrices();
+  } catch (err) {
+    logger.error('Dynamic pricing cron: price subscription sweep failed', { error: err.message });
+  }
+
   const durationMs = Date.now() - start;
-  logger.info('✅ Dynamic pricing cron completed', { processed, updated, skipped, durationMs });
+  logger.info('✅ Dynamic pricing cron completed', { processed, updated, skipped, subscriptions, durationMs });
 
-  return { processed, updated, skipped, durationMs };
+  return { processed, updated, skipped, subscriptions, durationMs };
 }
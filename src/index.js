@@ -16,6 +16,7 @@ import reviewRoutes from './routes/reviews.route.js';
 import categoryRoutes from './routes/categories.route.js';
 import userRoutes from './routes/users.route.js';
 import webhookRoutes from './routes/webhook.routes.js';
+import paymentWebhookRoutes from './routes/paymentWebhook.routes.js';
 import ticketRoutes from './routes/tickets.route.js';
 import disputeRoutes from './routes/disputes.route.js';
 import { clerkMiddleware } from '@clerk/express';
@@ -44,6 +45,15 @@ import marketerAdminRoutes from './routes/marketer.route.js';
 import affiliateRoutes from './routes/affiliate.route.js';
 import referralTrackingRoutes from './routes/referralTracking.route.js';
 import adminCommissionRoutes from './routes/adminCommission.route.js';
+import adminRefundRoutes from './routes/adminRefund.route.js';
+import adminPaymentRoutes from './routes/adminPayment.route.js';
+import adminCourierRoutes from './routes/adminCourier.route.js';
+import adminCodRoutes from './routes/adminCod.route.js';
+import adminDispatchRoutes from './routes/adminDispatch.route.js';
+import adminDeliveryZoneRoutes from './routes/adminDeliveryZone.route.js';
+import courierRoutes from './routes/courier.route.js';
+import adminLedgerRoutes from './routes/adminLedger.route.js';
+import adminPayoutRoutes from './routes/adminPayout.route.js';
 import queuesAdminRoutes from './routes/queues.admin.route.js';
 import securityAdminRoutes from './routes/security.admin.route.js';
 import { requestLogger } from './middleware/logger.middleware.js';
@@ -123,9 +133,10 @@ app.use(cors({
     'X-Requested-With',
     'x-currency',
     'x-country',
-    'x-token'
+    'x-token',
+    'Idempotency-Key'
   ],
-  exposedHeaders: ['Set-Cookie']
+  exposedHeaders: ['Set-Cookie', 'Idempotent-Replayed']
 }));
 
 // 🛡️ Security: Helmet.js for security headers
@@ -164,6 +175,16 @@ const authLimiter = createLimiter({
   countsTowardBan: false,
 });
 
+// Card gateway webhooks. A busy checkout sends far more of these than Clerk
+// does, and like Clerk's they come from the gateway, never from a user.
+const paymentWebhookLimiter = createLimiter({
+  name: 'payment-webhooks',
+  windowMs: 15 * 60 * 1000,
+  limit: 600,
+  message: 'Too many webhook deliveries, please try again later.',
+  countsTowardBan: false,
+});
+
 // Resolve the true end-user IP before anything reads or keys off it — the
 // request log, the denylist, every limiter, and the fraud engine all consume
 // req.clientIp, so this must come first.
@@ -189,6 +210,7 @@ app.get("/ping", healthProbeLimiter, (_, res) => res.send("pong"));
 // Webhooks need raw body for signature verification - express.json() consumes the body stream
 // Apply stricter rate limiting to authentication-related endpoints
 // Webhooks handle authentication events (user.created, user.updated, user.deleted)
+app.use('/api/webhooks/payments', paymentWebhookLimiter, paymentWebhookRoutes);
 app.use('/api/webhooks', authLimiter, express.raw({ type: 'application/json' }), webhookRoutes);
 
 // Apply general rate limiting to all other API routes.
@@ -264,6 +286,15 @@ app.use('/api/admin/marketers', marketerAdminRoutes);
 app.use('/api/affiliate', affiliateRoutes);
 app.use('/api/track', referralTrackingRoutes);
 app.use('/api/admin/commissions', adminCommissionRoutes);
+app.use('/api/admin/refunds', adminRefundRoutes);
+app.use('/api/admin/payments', adminPaymentRoutes);
+app.use('/api/admin/couriers', adminCourierRoutes);
+app.use('/api/admin/cod', adminCodRoutes);
+app.use('/api/admin/dispatch', adminDispatchRoutes);
+app.use('/api/admin/delivery-zones', adminDeliveryZoneRoutes);
+app.use('/api/courier', courierRoutes);
+app.use('/api/admin/ledger', adminLedgerRoutes);
+app.use('/api/admin/payouts', adminPayoutRoutes);
 app.use('/api/admin/queues', queuesAdminRoutes);
 app.use('/api/admin/security', securityAdminRoutes);
 
@@ -0,0 +1,121 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  awaitingShopper,
+  deadlineAction,
+  expectedTransfer,
+  isAmountMismatch,
+  normalizeTransferReference,
+  paymentDeadline,
+  planBankakApproval,
+  planTransferSubmission,
+  transferFlags,
+} from '../bankak.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+const order = (overrides = {}) => ({
+  paymentMethod: 'BANKAK',
+  paymentStatus: 'pending',
+  status: 'pending',
+  currencyCodeSelected: 'SDG',
+  finalAmount: 32,
+  finalAmountConverted: 19200,
+  transferProof: 'https://ik.imagekit.io/nubian/proof.jpg',
+  bankakApproval: { status: 'pending' },
+  bankakTransfer: { reference: 'TX12345', amount: 19200, currency: 'SDG', senderAccount: '1234567' },
+  paymentDeadline: new Date(NOW.getTime() + 10 * HOUR),
+  ...overrides,
+});
+
+/* -------------------------------------------------------------------------- */
+/* Amounts and references                                                     */
+/* -------------------------------------------------------------------------- */
+
+test('references are compared without spaces, dashes or case', () => {
+  assert.equal(normalizeTransferReference(' tx-123 45 '), 'TX12345');
+  assert.equal(normalizeTransferReference(null), '');
+});
+
+test('the expected amount is the converted total, or USD when conversion failed', () => {
+  assert.deepEqual(expectedTransfer(order()), { amount: 19200, currency: 'SDG' });
+  assert.deepEqual(expectedTransfer(order({ finalAmountConverted: null })), { amount: 32, currency: 'USD' });
+  assert.deepEqual(expectedTransfer(order({ currencyCodeSelected: 'USD' })), { amount: 32, currency: 'USD' });
+});
+
+test('an amount within rounding of the total is not a mismatch', () => {
+  assert.equal(isAmountMismatch(19200, 19200), false);
+  assert.equal(isAmountMismatch(19250, 19200), false);
+  assert.equal(isAmountMismatch(19000, 19200), true);
+  assert.equal(isAmountMismatch(32.01, 32), false);
+  assert.equal(isAmountMismatch(31, 32), true);
+});
+
+test('the deadline is counted from when the order was placed', () => {
+  assert.deepEqual(paymentDeadline(NOW, 24), new Date('2026-10-20T12:00:00Z'));
+});
+
+/* -------------------------------------------------------------------------- */
+/* Submission and approval                                                    */
+/* -------------------------------------------------------------------------- */
+
+test('a transfer may be sent for an open, unpaid BANKAK order before its deadline', () => {
+  assert.deepEqual(planTransferSubmission(order(), NOW), { ok: true });
+  assert.deepEqual(planTransferSubmission(order({ paymentStatus: 'failed' }), NOW), { ok: true });
+  assert.equal(planTransferSubmission(order({ paymentMethod: 'CASH' }), NOW).code, 'NOT_BANKAK');
+  assert.equal(planTransferSubmission(order({ paymentStatus: 'paid' }), NOW).code, 'ALREADY_PAID');
+  assert.equal(planTransferSubmission(order({ status: 'cancelled' }), NOW).code, 'ORDER_CLOSED');
+  assert.equal(planTransferSubmission(order({ paymentDeadline: NOW }), NOW).code, 'DEADLINE_PASSED');
+  assert.deepEqual(planTransferSubmission(order({ paymentDeadline: undefined }), NOW), { ok: true });
+});
+
+test('a reference another order was paid with cannot be approved again', () => {
+  assert.deepEqual(planBankakApproval(order(), [{ paymentStatus: 'pending' }]), { ok: true });
+  assert.equal(planBankakApproval(order(), [{ paymentStatus: 'paid' }]).code, 'DUPLICATE_REFERENCE');
+  assert.equal(planBankakApproval(order({ transferProof: null })).code, 'MISSING_PROOF');
+  assert.equal(planBankakApproval(order({ paymentStatus: 'paid' })).code, 'ALREADY_PAID');
+});
+
+/* -------------------------------------------------------------------------- */
+/* Queue flags                                                                */
+/* -------------------------------------------------------------------------- */
+
+test('queue flags', () => {
+  assert.deepEqual(transferFlags(order(), { now: NOW }), []);
+  assert.deepEqual(transferFlags(order({ bankakTransfer: undefined }), { now: NOW }), ['MISSING_REFERENCE']);
+  assert.deepEqual(
+    transferFlags(order({ bankakTransfer: { reference: 'TX1', amount: 15000 } }), {
+      duplicates: [{ orderNumber: 'ORD-0002' }],
+      now: new Date(NOW.getTime() + 11 * HOUR),
+    }),
+    ['DUPLICATE_REFERENCE', 'AMOUNT_MISMATCH', 'DEADLINE_PASSED']
+  );
+});
+
+/* -------------------------------------------------------------------------- */
+/* Deadline sweep                                                             */
+/* -------------------------------------------------------------------------- */
+
+test('the sweep reminds once inside the reminder window, then cancels', () => {
+  const unpaid = order({ bankakTransfer: undefined });
+  assert.equal(awaitingShopper(unpaid), true);
+
+  assert.equal(deadlineAction(unpaid, { now: NOW, reminderHours: 6 }), null);
+  assert.equal(deadlineAction(unpaid, { now: new Date(NOW.getTime() + 5 * HOUR), reminderHours: 6 }), 'remind');
+  assert.equal(
+    deadlineAction({ ...unpaid, paymentReminderSentAt: NOW }, { now: new Date(NOW.getTime() + 5 * HOUR), reminderHours: 6 }),
+    null
+  );
+  assert.equal(deadlineAction(unpaid, { now: new Date(NOW.getTime() + 10 * HOUR) }), 'cancel');
+});
+
+test('the sweep leaves paid, reviewed-pending, closed and older orders alone', () => {
+  const late = { now: new Date(NOW.getTime() + 11 * HOUR) };
+  assert.equal(deadlineAction(order(), late), null); // transfer awaiting review
+  assert.equal(deadlineAction(order({ bankakApproval: { status: 'rejected' } }), late), 'cancel');
+  assert.equal(deadlineAction(order({ bankakTransfer: undefined, paymentStatus: 'paid' }), late), null);
+  assert.equal(deadlineAction(order({ bankakTransfer: undefined, status: 'cancelled' }), late), null);
+  assert.equal(deadlineAction(order({ bankakTransfer: undefined, paymentDeadline: undefined }), late), null);
+});
@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  buildSettlementSheet,
+  collectionFlags,
+  dayBounds,
+  expectedCash,
+  planCashCollection,
+  settlementDay,
+} from '../cod.js';
+
+const PIN = { type: 'Point', coordinates: [32.53, 15.59] };
+
+const order = (overrides = {}) => ({
+  paymentMethod: 'CASH',
+  paymentStatus: 'pending',
+  status: 'out_for_delivery',
+  currencyCodeSelected: 'SDG',
+  finalAmount: 32,
+  finalAmountConverted: 19200,
+  ...overrides,
+});
+
+const collection = (overrides = {}) => ({
+  _id: 'c1',
+  order: 'o1',
+  orderNumber: 'ORD-1',
+  amount: 19200,
+  expected: 19200,
+  currency: 'SDG',
+  collectedAt: new Date('2026-10-19T14:00:00Z'),
+  location: PIN,
+  ...overrides,
+});
+
+test('settlementDay: days are cut in Khartoum, not UTC', () => {
+  assert.equal(settlementDay(new Date('2026-10-19T21:30:00Z')), '2026-10-19');
+  // 22:30 UTC is half past midnight the next day in Khartoum.
+  assert.equal(settlementDay(new Date('2026-10-19T22:30:00Z')), '2026-10-20');
+});
+
+test('dayBounds: a Khartoum day, end exclusive', () => {
+  const { start, end } = dayBounds('2026-10-19');
+  assert.equal(start.toISOString(), '2026-10-18T22:00:00.000Z');
+  assert.equal(end.toISOString(), '2026-10-19T22:00:00.000Z');
+  assert.equal(settlementDay(start), '2026-10-19');
+  assert.equal(settlementDay(new Date(end.getTime() - 1)), '2026-10-19');
+});
+
+test('expectedCash: what the order costs the shopper, in their currency', () => {
+  assert.deepEqual(expectedCash(order()), { amount: 19200, currency: 'SDG' });
+});
+
+test('planCashCollection: an unpaid cash order at the door, once', () => {
+  assert.deepEqual(planCashCollection(order()), { ok: true });
+  assert.deepEqual(planCashCollection(order({ status: 'delivered' })), { ok: true });
+  assert.equal(planCashCollection(order({ paymentMethod: 'CARD' })).code, 'NOT_CASH');
+  assert.equal(planCashCollection(order(), { _id: 'c0' }).code, 'ALREADY_COLLECTED');
+  assert.equal(planCashCollection(order({ paymentStatus: 'paid' })).code, 'ALREADY_PAID');
+  assert.equal(planCashCollection(order({ status: 'confirmed' })).code, 'NOT_OUT_FOR_DELIVERY');
+  assert.equal(planCashCollection(order({ status: 'cancelled' })).code, 'NOT_OUT_FOR_DELIVERY');
+});
+
+test('collectionFlags: short, over, carried over, no pin', () => {
+  assert.deepEqual(collectionFlags(collection(), '2026-10-19'), []);
+  assert.deepEqual(collectionFlags(collection({ amount: 19000 }), '2026-10-19'), ['SHORT_COLLECTED']);
+  assert.deepEqual(collectionFlags(collection({ amount: 20000 }), '2026-10-19'), ['OVER_COLLECTED']);
+  // Rounding is not a discrepancy.
+  assert.deepEqual(collectionFlags(collection({ amount: 19200.4 }), '2026-10-19'), []);
+  assert.deepEqual(collectionFlags(collection(), '2026-10-20'), ['CARRIED_OVER']);
+  assert.deepEqual(collectionFlags(collection({ location: undefined }), '2026-10-19'), ['NO_PIN']);
+});
+
+test('buildSettlementSheet: a draft sums expected and collected per currency', () => {
+  const sheet = buildSettlementSheet(
+    [
+      collection({ _id: 'c2', amount: 9000, expected: 10000, collectedAt: new Date('2026-10-19T16:00:00Z') }),
+      collection(),
+      collection({ _id: 'c3', amount: 12, expected: 12, currency: 'USD' }),
+    ],
+    { day: '2026-10-19' }
+  );
+
+  assert.deepEqual(sheet.lines.map((l) => l.cashCollection), ['c1', 'c3', 'c2']);
+  assert.deepEqual(sheet.lines[2].flags, ['SHORT_COLLECTED']);
+  assert.deepEqual(sheet.totals, [
+    { currency: 'SDG', expected: 29200, collected: 28200 },
+    { currency: 'USD', expected: 12, collected: 12 },
+  ]);
+  assert.deepEqual(sheet.flags, []);
+});
+
+test('buildSettlementSheet: the handover is checked against what was collected', () => {
+  const collections = [collection(), collection({ _id: 'c3', amount: 12, expected: 12, currency: 'USD' })];
+
+  const exact = buildSettlementSheet(collections, {
+    day: '2026-10-19',
+    handedOver: [{ currency: 'SDG', amount: 19200 }, { currency: 'USD', amount: 12 }],
+  });
+  assert.deepEqual(exact.flags, []);
+  assert.equal(exact.totals[0].difference, 0);
+
+  // Dollars never handed over count as zero.
+  const short = buildSettlementSheet(collections, { day: '2026-10-19', handedOver: [{ currency: 'SDG', amount: 19000 }] });
+  assert.deepEqual(short.flags, ['SHORT_HANDOVER']);
+  assert.deepEqual(short.totals.map((t) => t.difference), [-200, -12]);
+
+  const over = buildSettlementSheet(collections, {
+    day: '2026-10-19',
+    handedOver: [{ currency: 'SDG', amount: 19200 }, { currency: 'USD', amount: 12 }, { currency: 'EUR', amount: 5 }],
+  });
+  assert.deepEqual(over.flags, ['OVER_HANDOVER']);
+  assert.deepEqual(over.totals.find((t) => t.currency === 'EUR'), {
+    currency: 'EUR', expected: 0, collected: 0, handedOver: 5, difference: 5,
+  });
+});
@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_MAX_CODE_ATTEMPTS,
+  afterWrongCode,
+  normalizeCode,
+  planCodeEntry,
+} from '../deliveryCode.js';
+
+const code = (overrides = {}) => ({ status: 'active', attempts: 0, ...overrides });
+
+test('normalizeCode: what was typed, digits only', () => {
+  assert.equal(normalizeCode('482 913'), '482913');
+  assert.equal(normalizeCode('482-913'), '482913');
+  assert.equal(normalizeCode(482913), '482913');
+  assert.equal(normalizeCode(undefined), '');
+});
+
+test('planCodeEntry: a live code on a parcel that left the store', () => {
+  assert.deepEqual(planCodeEntry(code(), { status: 'shipped' }), { ok: true });
+  assert.deepEqual(planCodeEntry(code(), { status: 'out_for_delivery' }), { ok: true });
+  assert.equal(planCodeEntry(null, { status: 'shipped' }).code, 'CODE_NOT_ISSUED');
+  assert.equal(planCodeEntry(code({ status: 'used' }), { status: 'delivered' }).code, 'CODE_USED');
+  assert.equal(planCodeEntry(code(), { status: 'ready_for_pickup' }).code, 'NOT_OUT_FOR_DELIVERY');
+  assert.equal(planCodeEntry(code(), { status: 'cancelled' }).code, 'NOT_OUT_FOR_DELIVERY');
+});
+
+test('planCodeEntry: a locked code takes no more guesses', () => {
+  assert.equal(planCodeEntry(code({ status: 'locked' }), { status: 'shipped' }).code, 'CODE_LOCKED');
+  // Out of attempts but not yet marked locked (two wrong entries racing).
+  const spent = code({ attempts: DEFAULT_MAX_CODE_ATTEMPTS });
+  assert.equal(planCodeEntry(spent, { status: 'shipped' }).code, 'CODE_LOCKED');
+  assert.deepEqual(planCodeEntry(spent, { status: 'shipped', maxAttempts: DEFAULT_MAX_CODE_ATTEMPTS + 1 }), { ok: true });
+});
+
+test('afterWrongCode: counts down, then locks', () => {
+  assert.deepEqual(afterWrongCode(1, 5), { attemptsLeft: 4, locked: false });
+  assert.deepEqual(afterWrongCode(4, 5), { attemptsLeft: 1, locked: false });
+  assert.deepEqual(afterWrongCode(5, 5), { attemptsLeft: 0, locked: true });
+  assert.deepEqual(afterWrongCode(7, 5), { attemptsLeft: 0, locked: true });
+});
@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { cashToCollect, manifestCsv, mapsLink, planRuns, planZone } from '../deliveryRuns.js';
+
+// Flat ground is enough to check the ordering: one unit is 1000 m.
+const distance = (a, b) => Math.hypot(a.lat - b.lat, a.lng - b.lng) * 1000;
+
+const depot = { lat: 0, lng: 0 };
+const stop = (orderNumber, lat, lng, extra = {}) => ({ orderNumber, point: { lat, lng }, window: null, cod: null, ...extra });
+
+test('planRuns: nearest stop first, starting from the depot', () => {
+  const [run] = planRuns(depot, [stop('far', 5, 0), stop('near', 1, 0), stop('side', 1, 2)], { distance });
+  assert.deepEqual(run.stops.map((s) => s.orderNumber), ['near', 'side', 'far']);
+  assert.deepEqual(run.stops.map((s) => s.sequence), [1, 2, 3]);
+  assert.deepEqual(run.stops.map((s) => s.legMeters), [1000, 2000, 4472]);
+  assert.equal(run.distanceMeters, 7472);
+});
+
+test('planRuns: a full run sends the next one back out from the depot', () => {
+  const runs = planRuns(depot, [stop('a', 1, 0), stop('b', 2, 0), stop('c', 3, 0)], { distance, maxStops: 2 });
+  assert.equal(runs.length, 2);
+  assert.deepEqual(runs[0].stops.map((s) => s.orderNumber), ['a', 'b']);
+  assert.deepEqual(runs[1].stops.map((s) => s.orderNumber), ['c']);
+  assert.equal(runs[1].stops[0].legMeters, 3000);
+  assert.deepEqual(planRuns(depot, [], { distance }), []);
+});
+
+test('planZone: runs per window, earliest first, unscheduled last, unpinned set apart', () => {
+  const morning = { id: '2026-10-20T09:00-12:00', start: '09:00', end: '12:00' };
+  const evening = { id: '2026-10-20T17:00-20:00', start: '17:00', end: '20:00' };
+  const { runs, unrouted } = planZone(
+    depot,
+    [
+      stop('any', 1, 0),
+      stop('eve', 1, 1, { window: evening }),
+      stop('legacy', 0, 0, { point: null }),
+      stop('morn-far', 4, 0, { window: morning }),
+      stop('morn-near', 2, 0, { window: morning }),
+    ],
+    { distance }
+  );
+  assert.deepEqual(runs.map((r) => r.number), [1, 2, 3]);
+  assert.deepEqual(runs.map((r) => r.window?.start ?? null), ['09:00', '17:00', null]);
+  assert.deepEqual(runs[0].stops.map((s) => s.orderNumber), ['morn-near', 'morn-far']);
+  assert.deepEqual(unrouted.map((s) => s.orderNumber), ['legacy']);
+});
+
+test('cashToCollect: totals per currency, prepaid stops left out', () => {
+  const stops = [
+    stop('a', 1, 0, { cod: { amount: 12000.5, currency: 'SDG' } }),
+    stop('b', 2, 0, { cod: { amount: 3000.25, currency: 'SDG' } }),
+    stop('c', 3, 0, { cod: { amount: 20, currency: 'USD' } }),
+    stop('d', 4, 0),
+  ];
+  assert.deepEqual(cashToCollect(stops), [
+    { currency: 'SDG', amount: 15000.75 },
+    { currency: 'USD', amount: 20 },
+  ]);
+});
+
+test('manifestCsv: a row per stop in driving order, with a map link', () => {
+  const runs = planRuns(
+    { lat: 15.5, lng: 32.5 },
+    [stop('ORD-0002', 15.6, 32.5, { name: 'Amna', phone: '+249912345678', landmark: 'Near the mosque, green gate' })],
+    { distance }
+  );
+  const [header, row] = manifestCsv([{ zoneName: 'Khartoum 2', runs }]).trim().split('\r\n');
+  assert.match(header, /^zone,run,stop,order,window,name,phone/);
+  assert.match(row, /^Khartoum 2,1,1,ORD-0002,,Amna,'\+249912345678,/);
+  assert.ok(row.includes('"Near the mosque, green gate"'));
+  // The link has a comma in it, so it is quoted like any other cell.
+  assert.ok(row.endsWith(`"${mapsLink({ lat: 15.6, lng: 32.5 })}"`));
+});
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseSlotId,
+  planSlotBooking,
+  slotTemplateError,
+  slotsForDay,
+  upcomingSlots,
+  weekdayOf,
+} from '../deliverySlots.js';
+
+// 2026-10-19 is a Monday. Saturday to Thursday, mornings and evenings; the
+// evening window closes two hours ahead.
+const slots = {
+  enabled: true,
+  daysAhead: 2,
+  templates: [
+    { days: [0, 1, 2, 3, 4, 6], start: '17:00', end: '20:00', capacity: 10, cutoffMinutes: 120 },
+    { days: [0, 1, 2, 3, 4, 6], start: '09:00', end: '12:00', capacity: 2, cutoffMinutes: 60 },
+  ],
+};
+
+// 10:30 in Khartoum.
+const now = new Date('2026-10-19T08:30:00Z');
+
+test('weekdayOf and parseSlotId', () => {
+  assert.equal(weekdayOf('2026-10-19'), 1);
+  assert.equal(weekdayOf('2026-10-23'), 5);
+  assert.deepEqual(parseSlotId('2026-10-20T09:00-12:00'), { day: '2026-10-20', start: '09:00', end: '12:00' });
+  assert.equal(parseSlotId('2026-10-20T25:00-26:00'), null);
+  assert.equal(parseSlotId('tomorrow morning'), null);
+});
+
+test('slotsForDay: windows in order, in Khartoum time, with what is left', () => {
+  const day = slotsForDay(slots, '2026-10-20', { booked: new Map([['2026-10-20T09:00-12:00', 2]]), now });
+  assert.deepEqual(day.map((s) => s.id), ['2026-10-20T09:00-12:00', '2026-10-20T17:00-20:00']);
+  assert.equal(day[0].startsAt.toISOString(), '2026-10-20T07:00:00.000Z');
+  assert.equal(day[0].remaining, 0);
+  assert.equal(day[0].available, false);
+  assert.equal(day[1].remaining, 10);
+  // Friday has no windows.
+  assert.deepEqual(slotsForDay(slots, '2026-10-23', { now }), []);
+});
+
+test('upcomingSlots: today and the days ahead, without windows whose booking closed', () => {
+  const offered = upcomingSlots(slots, { now });
+  assert.deepEqual(offered.map((s) => s.id), [
+    '2026-10-19T17:00-20:00',
+    '2026-10-20T09:00-12:00',
+    '2026-10-20T17:00-20:00',
+  ]);
+  assert.deepEqual(upcomingSlots({ ...slots, enabled: false }, { now }), []);
+});
+
+test('planSlotBooking: only windows on offer and still open', () => {
+  const booking = planSlotBooking(slots, '2026-10-20T09:00-12:00', { now });
+  assert.equal(booking.ok, true);
+  assert.equal(booking.value.capacity, 2);
+  assert.equal(booking.value.endsAt.toISOString(), '2026-10-20T10:00:00.000Z');
+
+  assert.equal(planSlotBooking(slots, '2026-10-19T09:00-12:00', { now }).code, 'SLOT_CLOSED');
+  // Past the cutoff, though the window has not started.
+  assert.equal(
+    planSlotBooking(slots, '2026-10-19T17:00-20:00', { now: new Date('2026-10-19T13:30:00Z') }).code,
+    'SLOT_CLOSED'
+  );
+  assert.equal(planSlotBooking(slots, '2026-10-20T10:00-12:00', { now }).code, 'INVALID_SLOT');
+  // Beyond the days on offer.
+  assert.equal(planSlotBooking(slots, '2026-10-21T09:00-12:00', { now }).code, 'INVALID_SLOT');
+  assert.equal(planSlotBooking(null, '2026-10-20T09:00-12:00', { now }).code, 'SLOTS_UNAVAILABLE');
+});
+
+test('slotTemplateError: sane windows, weekdays and capacity, and no window twice on a day', () => {
+  assert.equal(slotTemplateError(slots.templates), null);
+  assert.match(slotTemplateError([{ days: [1], start: '12:00', end: '09:00', capacity: 1 }]), /end after it starts/);
+  assert.match(slotTemplateError([{ days: [7], start: '09:00', end: '12:00', capacity: 1 }]), /weekdays/);
+  assert.match(slotTemplateError([{ days: [1], start: '09:00', end: '12:00', capacity: 0 }]), /capacity/);
+  assert.match(
+    slotTemplateError([
+      { days: [1, 2], start: '09:00', end: '12:00', capacity: 1 },
+      { days: [2], start: '09:00', end: '12:00', capacity: 3 },
+    ]),
+    /Slots 1 and 2/
+  );
+});
@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  isLocationFresh,
+  pickCourier,
+  planAssignment,
+  planJobMove,
+} from '../dispatch.js';
+
+const order = (overrides = {}) => ({
+  status: 'ready_for_pickup',
+  fulfillments: [],
+  ...overrides,
+});
+
+const split = () =>
+  order({
+    status: 'confirmed',
+    fulfillments: [
+      { _id: 'f1', status: 'ready_for_pickup' },
+      { _id: 'f2', status: 'shipped' },
+    ],
+  });
+
+test('planJobMove: accept, pick up, then deliver or bring back', () => {
+  assert.deepEqual(planJobMove({ from: 'assigned', to: 'accepted' }), { ok: true });
+  assert.deepEqual(planJobMove({ from: 'accepted', to: 'picked_up' }), { ok: true });
+  assert.deepEqual(planJobMove({ from: 'picked_up', to: 'delivered' }), { ok: true });
+  assert.deepEqual(planJobMove({ from: 'picked_up', to: 'returned' }), { ok: true });
+
+  // The parcel has to be in hand before it can reach the door.
+  assert.equal(planJobMove({ from: 'assigned', to: 'picked_up' }).code, 'INVALID_JOB_TRANSITION');
+  assert.equal(planJobMove({ from: 'accepted', to: 'delivered' }).code, 'INVALID_JOB_TRANSITION');
+  assert.equal(planJobMove({ from: 'assigned', to: 'lost' }).code, 'INVALID_STATUS');
+});
+
+test('planJobMove: declined and cancelled only before pick-up, and closed jobs stay closed', () => {
+  assert.deepEqual(planJobMove({ from: 'assigned', to: 'declined' }), { ok: true });
+  assert.deepEqual(planJobMove({ from: 'accepted', to: 'cancelled' }), { ok: true });
+  assert.equal(planJobMove({ from: 'picked_up', to: 'declined' }).code, 'INVALID_JOB_TRANSITION');
+  assert.equal(planJobMove({ from: 'picked_up', to: 'cancelled' }).code, 'INVALID_JOB_TRANSITION');
+  assert.equal(planJobMove({ from: 'delivered', to: 'returned' }).code, 'INVALID_JOB_TRANSITION');
+  assert.equal(planJobMove({ from: 'declined', to: 'accepted' }).code, 'INVALID_JOB_TRANSITION');
+});
+
+test('planAssignment: a packed or packing order without a courier', () => {
+  assert.deepEqual(planAssignment(order()), { ok: true });
+  assert.deepEqual(planAssignment(order({ status: 'confirmed' })), { ok: true });
+  assert.equal(planAssignment(order({ status: 'pending' })).code, 'NOT_DISPATCHABLE');
+  assert.equal(planAssignment(order({ status: 'out_for_delivery' })).code, 'NOT_DISPATCHABLE');
+  assert.equal(planAssignment(order({ status: 'cancelled' })).code, 'NOT_DISPATCHABLE');
+  assert.equal(planAssignment(order(), { hasOpenJob: true }).code, 'ALREADY_ASSIGNED');
+});
+
+test('planAssignment: a split order is dispatched one shipment at a time', () => {
+  assert.equal(planAssignment(split()).code, 'SHIPMENT_REQUIRED');
+  assert.deepEqual(planAssignment(split(), { fulfillmentId: 'f1' }), { ok: true });
+  // The store's own rider already took this one.
+  assert.equal(planAssignment(split(), { fulfillmentId: 'f2' }).code, 'NOT_DISPATCHABLE');
+  assert.equal(planAssignment(split(), { fulfillmentId: 'f9' }).code, 'NOT_FOUND');
+});
+
+test('isLocationFresh: a ping within the window', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+  assert.equal(isLocationFresh({ locationUpdatedAt: new Date('2026-10-19T11:50:00Z') }, { now }), true);
+  assert.equal(isLocationFresh({ locationUpdatedAt: new Date('2026-10-19T11:40:00Z') }, { now }), false);
+  assert.equal(isLocationFresh({ locationUpdatedAt: new Date('2026-10-19T11:40:00Z') }, { now, maxAgeMinutes: 30 }), true);
+  assert.equal(isLocationFresh({ locationUpdatedAt: null }, { now }), false);
+});
+
+test('pickCourier: the nearest with room for another job', () => {
+  const candidates = [
+    { _id: 'a', distanceMeters: 400 },
+    { _id: 'b', distanceMeters: 900 },
+    { _id: 'c', distanceMeters: 2500 },
+  ];
+  assert.equal(pickCourier(candidates, new Map())._id, 'a');
+  assert.equal(pickCourier(candidates, new Map([['a', 3]]))._id, 'b');
+  assert.equal(pickCourier(candidates, new Map([['a', 3], ['b', 1]]), 1)._id, 'c');
+  assert.equal(pickCourier(candidates, new Map([['a', 1], ['b', 1], ['c', 1]]), 1), null);
+  assert.equal(pickCourier([], new Map()), null);
+});
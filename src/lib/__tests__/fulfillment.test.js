@@ -0,0 +1,83 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  FULFILLMENT_STATUSES,
+  FULFILLMENT_TIMESTAMPS,
+  deriveOrderStatus,
+  derivedStatusEffects,
+  groupLinesByMerchant,
+} from '../fulfillment.js';
+
+/* -------------------------------------------------------------------------- */
+/* deriveOrderStatus                                                          */
+/* -------------------------------------------------------------------------- */
+
+test('one store shipping does not make the order shipped', () => {
+  assert.equal(deriveOrderStatus(['shipped', 'confirmed']), 'confirmed');
+  assert.equal(deriveOrderStatus(['shipped', 'shipped']), 'shipped');
+  assert.equal(deriveOrderStatus(['delivered', 'out_for_delivery']), 'out_for_delivery');
+  assert.equal(deriveOrderStatus(['delivered', 'delivered']), 'delivered');
+});
+
+test('a cancelled shipment does not hold the rest of the order back', () => {
+  assert.equal(deriveOrderStatus(['cancelled', 'delivered']), 'delivered');
+  assert.equal(deriveOrderStatus(['cancelled', 'pending']), 'pending');
+  assert.equal(deriveOrderStatus(['cancelled', 'cancelled']), 'cancelled');
+});
+
+test('the order is returned only when every live shipment came back', () => {
+  assert.equal(deriveOrderStatus(['returned', 'delivered']), 'delivered');
+  assert.equal(deriveOrderStatus(['returned', 'returned']), 'returned');
+  assert.equal(deriveOrderStatus(['returned', 'cancelled']), 'returned');
+});
+
+test('no shipments, no derived status', () => {
+  assert.equal(deriveOrderStatus([]), null);
+  assert.equal(deriveOrderStatus(undefined), null);
+});
+
+test('every shipment status has a timestamp field and refunded is not a shipment status', () => {
+  assert.ok(!FULFILLMENT_STATUSES.includes('refunded'));
+  for (const status of FULFILLMENT_STATUSES) {
+    if (status === 'pending') continue;
+    assert.ok(FULFILLMENT_TIMESTAMPS[status], `no timestamp for ${status}`);
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* groupLinesByMerchant                                                       */
+/* -------------------------------------------------------------------------- */
+
+test('lines are grouped per store in first-seen order, platform lines apart', () => {
+  const groups = groupLinesByMerchant([
+    { product: 'p1', variantId: 'v1', quantity: 1, merchant: { _id: 'mB' } },
+    { product: 'p2', variantId: null, quantity: 2, merchant: 'mA' },
+    { product: 'p3', variantId: 'v3', quantity: 1, merchant: null },
+    { product: 'p4', variantId: 'v4', quantity: 3, merchant: 'mB' },
+  ]);
+
+  assert.deepEqual(groups.map((g) => g.merchant), ['mB', 'mA', null]);
+  assert.deepEqual(groups[0].items, [
+    { product: 'p1', variantId: 'v1', quantity: 1 },
+    { product: 'p4', variantId: 'v4', quantity: 3 },
+  ]);
+  assert.deepEqual(groups[1].items, [{ product: 'p2', variantId: null, quantity: 2 }]);
+});
+
+/* -------------------------------------------------------------------------- */
+/* derivedStatusEffects                                                       */
+/* -------------------------------------------------------------------------- */
+
+test('commission waits until the whole order has arrived', () => {
+  assert.deepEqual(derivedStatusEffects('out_for_delivery', 'delivered'), ['commission', 'ledger', 'email']);
+  // Cancelling the last undelivered shipment completes the order too.
+  assert.deepEqual(derivedStatusEffects('confirmed', 'delivered'), ['commission', 'ledger', 'email']);
+  assert.deepEqual(derivedStatusEffects('confirmed', 'confirmed'), []);
+  assert.deepEqual(derivedStatusEffects('pending', 'confirmed'), []);
+});
+
+test('cancelling the whole order gives the coupon, the delivery window and the money back', () => {
+  assert.deepEqual(derivedStatusEffects('confirmed', 'cancelled'), ['coupon', 'refund', 'slot']);
+  assert.deepEqual(derivedStatusEffects('shipped', 'returned'), []);
+});
@@ -0,0 +1,64 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  IDEMPOTENCY_KEY_MAX,
+  fingerprintRequest,
+  parseIdempotencyKey,
+  stableStringify,
+} from '../idempotency/keys.js';
+
+/* -------------------------------------------------------------------------- */
+/* parseIdempotencyKey                                                        */
+/* -------------------------------------------------------------------------- */
+
+test('a UUID is a valid key, surrounding whitespace trimmed', () => {
+  const parsed = parseIdempotencyKey('  3f2b8c1e-6a0d-4e3b-9f7a-2c1d5e8b9a04 ');
+  assert.deepEqual(parsed, { ok: true, value: '3f2b8c1e-6a0d-4e3b-9f7a-2c1d5e8b9a04' });
+});
+
+test('empty, oversized and non-printable keys are rejected', () => {
+  assert.equal(parseIdempotencyKey('').ok, false);
+  assert.equal(parseIdempotencyKey('   ').ok, false);
+  assert.equal(parseIdempotencyKey(undefined).ok, false);
+  assert.equal(parseIdempotencyKey('a'.repeat(IDEMPOTENCY_KEY_MAX + 1)).ok, false);
+  assert.equal(parseIdempotencyKey('has space').ok, false);
+  assert.equal(parseIdempotencyKey('طلب-١').ok, false);
+  assert.equal(parseIdempotencyKey('a'.repeat(IDEMPOTENCY_KEY_MAX)).ok, true);
+});
+
+/* -------------------------------------------------------------------------- */
+/* fingerprinting                                                             */
+/* -------------------------------------------------------------------------- */
+
+test('object key order does not change the serialisation; array order does', () => {
+  assert.equal(
+    stableStringify({ b: 1, a: { d: [1, 2], c: null } }),
+    stableStringify({ a: { c: null, d: [1, 2] }, b: 1 })
+  );
+  assert.notEqual(stableStringify([1, 2]), stableStringify([2, 1]));
+  assert.equal(stableStringify({ a: 1, b: undefined }), stableStringify({ a: 1 }));
+});
+
+test('a retried body with reordered fields has the same fingerprint', () => {
+  const a = fingerprintRequest({
+    method: 'post',
+    path: '/api/orders',
+    body: { addressId: 'x', paymentMethod: 'CASH', couponCode: 'EID10' },
+  });
+  const b = fingerprintRequest({
+    method: 'POST',
+    path: '/api/orders',
+    body: { couponCode: 'EID10', addressId: 'x', paymentMethod: 'CASH' },
+  });
+  assert.equal(a, b);
+});
+
+test('a different body or endpoint is a different request', () => {
+  const base = { method: 'POST', path: '/api/carts/add', body: { productId: 'p1', quantity: 1 } };
+  const fp = fingerprintRequest(base);
+
+  assert.notEqual(fp, fingerprintRequest({ ...base, body: { productId: 'p1', quantity: 2 } }));
+  assert.notEqual(fp, fingerprintRequest({ ...base, path: '/api/carts/coupon' }));
+  assert.notEqual(fp, fingerprintRequest({ ...base, method: 'PUT' }));
+});
@@ -0,0 +1,156 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  pickFallbackVariant,
+  planAdjustment,
+  planStockReservations,
+  stockChanges,
+  variantRollupPipeline,
+} from '../inventory.js';
+
+const P1 = '65f000000000000000000001';
+const V1 = '65f0000000000000000000a1';
+const V2 = '65f0000000000000000000a2';
+const V3 = '65f0000000000000000000a3';
+
+const product = (variants, extra = {}) => ({ _id: P1, name: 'Jalabiya', variants, ...extra });
+
+/* -------------------------------------------------------------------------- */
+/* planning                                                                   */
+/* -------------------------------------------------------------------------- */
+
+test('a selected variant is reserved as-is', () => {
+  const plan = planStockReservations([
+    { product: product([{ _id: V1, stock: 3 }]), variantId: V1, quantity: 2 },
+  ]);
+
+  assert.equal(plan.ok, true);
+  assert.deepEqual(plan.value, [{ product: P1, variantId: V1, quantity: 2, name: 'Jalabiya' }]);
+});
+
+test('two lines on the same variant are merged before the stock guard', () => {
+  // Reserving 2 and 2 separately against a stock of 3 would pass both guards.
+  const p = product([{ _id: V1, stock: 3 }]);
+  const plan = planStockReservations([
+    { product: p, variantId: V1, quantity: 2 },
+    { product: p, variantId: V1, quantity: 2 },
+  ]);
+
+  assert.equal(plan.ok, true);
+  assert.equal(plan.value.length, 1);
+  assert.equal(plan.value[0].quantity, 4);
+});
+
+test('different variants of one product stay separate', () => {
+  const p = product([{ _id: V1, stock: 3 }, { _id: V2, stock: 3 }]);
+  const plan = planStockReservations([
+    { product: p, variantId: V1, quantity: 1 },
+    { product: p, variantId: V2, quantity: 1 },
+  ]);
+
+  assert.deepEqual(plan.value.map((l) => l.variantId), [V1, V2]);
+});
+
+test('a line without a variant draws from the best-stocked active variant', () => {
+  const p = product([
+    { _id: V1, stock: 2 },
+    { _id: V2, stock: 9, isActive: false },
+    { _id: V3, stock: 5 },
+  ]);
+  const plan = planStockReservations([{ product: p, quantity: 1 }]);
+
+  assert.equal(plan.ok, true);
+  assert.equal(plan.value[0].variantId, V3);
+});
+
+test('a product with nothing sellable cannot be planned', () => {
+  const plan = planStockReservations([
+    { product: product([{ _id: V1, stock: 9, isActive: false }]), quantity: 1 },
+  ]);
+
+  assert.equal(plan.ok, false);
+  assert.equal(plan.productId, P1);
+});
+
+test('a missing product or a bad quantity is rejected', () => {
+  assert.equal(planStockReservations([{ product: null, quantity: 1 }]).ok, false);
+  for (const quantity of [0, -1, 1.5, 'two']) {
+    const plan = planStockReservations([
+      { product: product([{ _id: V1, stock: 3 }]), variantId: V1, quantity },
+    ]);
+    assert.equal(plan.ok, false, String(quantity));
+  }
+});
+
+test('ids are accepted as documents or strings', () => {
+  const plan = planStockReservations([
+    { product: product([{ _id: V1, stock: 3 }]), variantId: { _id: V1 }, quantity: 1 },
+  ]);
+  assert.equal(plan.value[0].variantId, V1);
+});
+
+test('pickFallbackVariant treats a missing isActive as active', () => {
+  assert.equal(pickFallbackVariant(product([{ _id: V1, stock: 1 }]))._id, V1);
+  assert.equal(pickFallbackVariant(product([])), null);
+  assert.equal(pickFallbackVariant(null), null);
+});
+
+/* -------------------------------------------------------------------------- */
+/* rollups                                                                    */
+/* -------------------------------------------------------------------------- */
+
+test('the rollup pipeline rewrites exactly stock and finalPrice', () => {
+  const pipeline = variantRollupPipeline();
+
+  assert.equal(pipeline.length, 1);
+  assert.deepEqual(Object.keys(pipeline[0]), ['$set']);
+  assert.deepEqual(Object.keys(pipeline[0].$set).sort(), ['finalPrice', 'stock']);
+});
+
+test('the rollup only counts active variants', () => {
+  // The inactive filter is shared by both rollups; pin its condition so it
+  // keeps matching the pre-save hook and the pricing cron.
+  const json = JSON.stringify(variantRollupPipeline());
+  assert.match(json, /"\$ne":\["\$\$v\.isActive",false\]/);
+});
+
+/* -------------------------------------------------------------------------- */
+/* movements                                                                  */
+/* -------------------------------------------------------------------------- */
+
+test('stockChanges reports only variants whose figure moved', () => {
+  const before = [{ _id: V1, sku: 'JAL-S', stock: 40 }, { _id: V2, sku: 'JAL-M', stock: 5 }];
+  const after = [{ _id: V1, sku: 'JAL-S', stock: 12 }, { _id: V2, sku: 'JAL-M', stock: 5 }, { _id: V3, sku: 'JAL-L', stock: 7 }];
+
+  assert.deepEqual(stockChanges(before, after), [
+    { variantId: V1, sku: 'JAL-S', before: 40, after: 12, isNew: false },
+    { variantId: V3, sku: 'JAL-L', before: 0, after: 7, isNew: true },
+  ]);
+});
+
+test('stockChanges follows a SKU across new variant ids, and empties removed variants', () => {
+  // An import replaces the variants array: same SKUs, new ids.
+  const before = [{ _id: V1, sku: 'JAL-S', stock: 4 }, { _id: V2, sku: 'JAL-M', stock: 3 }];
+  const after = [{ _id: V3, sku: 'JAL-S', stock: 9 }];
+
+  assert.deepEqual(stockChanges(before, after), [
+    { variantId: V3, sku: 'JAL-S', before: 4, after: 9, isNew: false },
+    { variantId: V2, sku: 'JAL-M', before: 3, after: 0, isNew: false },
+  ]);
+  assert.deepEqual(stockChanges([], [{ _id: V1, sku: 'X', stock: 0 }]), []);
+});
+
+test('planAdjustment: a delta is an adjustment, a count is a correction', () => {
+  assert.deepEqual(planAdjustment(10, { delta: -4 }), { ok: true, type: 'adjustment', delta: -4, after: 6 });
+  assert.deepEqual(planAdjustment(10, { stock: 25 }), { ok: true, type: 'correction', delta: 15, after: 25 });
+});
+
+test('planAdjustment refuses negative stock, no-ops and ambiguous changes', () => {
+  assert.equal(planAdjustment(3, { delta: -5 }).code, 'INSUFFICIENT_STOCK');
+  assert.equal(planAdjustment(3, { stock: 3 }).code, 'NO_CHANGE');
+  assert.equal(planAdjustment(3, { delta: 0 }).code, 'NO_CHANGE');
+  assert.equal(planAdjustment(3, { delta: 1, stock: 4 }).code, 'INVALID_ADJUSTMENT');
+  assert.equal(planAdjustment(3, {}).code, 'INVALID_ADJUSTMENT');
+  assert.equal(planAdjustment(3, { delta: 1.5 }).code, 'INVALID_ADJUSTMENT');
+});
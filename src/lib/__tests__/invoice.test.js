@@ -0,0 +1,148 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildInvoice, formatMoney, hasArabic, rtlRuns } from '../invoice.js';
+
+const order = (overrides = {}) => ({
+  orderNumber: 'ORD-1001',
+  orderDate: new Date('2026-10-01T10:00:00Z'),
+  paymentMethod: 'CASH',
+  paymentStatus: 'pending',
+  currencyCodeSelected: 'USD',
+  totalAmount: 30,
+  discountAmount: 3,
+  shippingFee: 5,
+  finalAmount: 32,
+  couponDetails: { code: 'SAVE10' },
+  addressSnapshot: { name: 'Amna', phone: '+249912345678', formattedAddress: 'Nile St 2', city: 'Khartoum' },
+  products: [
+    { product: 'p1', price: 10, quantity: 2, size: 'XL' },
+    { product: 'p2', price: 10, quantity: 1 },
+  ],
+  fulfillments: [
+    { merchant: 'm1', status: 'pending', items: [{ product: 'p1' }] },
+    { merchant: 'm2', status: 'cancelled', items: [{ product: 'p2' }] },
+  ],
+  shipping: { groups: [{ merchant: 'm1', fee: 5 }] },
+  ...overrides,
+});
+
+const options = (overrides = {}) => ({
+  names: new Map([['p1', 'Cotton shirt'], ['p2', 'Leather bag']]),
+  storeNames: new Map([['m1', 'Store One'], ['m2', 'Store Two']]),
+  ...overrides,
+});
+
+/* -------------------------------------------------------------------------- */
+/* Text                                                                       */
+/* -------------------------------------------------------------------------- */
+
+test('rtlRuns lays Arabic words out right to left, keeping Latin runs whole', () => {
+  assert.deepEqual(rtlRuns('شارع النيل'), [
+    { text: 'النيل', rtl: true },
+    { text: 'شارع', rtl: true },
+  ]);
+  assert.deepEqual(rtlRuns('قميص size XL'), [
+    { text: 'size XL', rtl: false },
+    { text: 'قميص', rtl: true },
+  ]);
+  assert.deepEqual(rtlRuns('  '), []);
+});
+
+test('hasArabic and formatMoney', () => {
+  assert.equal(hasArabic('فاتورة'), true);
+  assert.equal(hasArabic('Invoice 12'), false);
+  assert.equal(formatMoney(1234.5, 'SDG'), '1,234.50 SDG');
+  assert.equal(formatMoney(-3, 'USD'), '-3.00 USD');
+});
+
+/* -------------------------------------------------------------------------- */
+/* buildInvoice                                                               */
+/* -------------------------------------------------------------------------- */
+
+test('a split order gets a section per store with its share of the discount', () => {
+  const invoice = buildInvoice(order(), options());
+
+  assert.equal(invoice.kind, 'invoice');
+  assert.equal(invoice.currency, 'USD');
+  assert.equal(invoice.exchangeRate, null);
+  assert.equal(invoice.coupon, 'SAVE10');
+  assert.deepEqual(invoice.customer, {
+    name: 'Amna',
+    phone: '+249912345678',
+    address: ['Nile St 2', 'Khartoum'],
+  });
+
+  const [one, two] = invoice.sections;
+  assert.equal(one.storeName, 'Store One');
+  assert.deepEqual(one.lines, [
+    { name: 'Cotton shirt', variant: 'XL', quantity: 2, unitPrice: 10, lineTotal: 20 },
+  ]);
+  assert.deepEqual(
+    { subtotal: one.subtotal, discount: one.discount, shipping: one.shipping, total: one.total },
+    { subtotal: 20, discount: 2, shipping: 5, total: 23 }
+  );
+  assert.equal(two.status, 'cancelled');
+  assert.deepEqual(
+    { subtotal: two.subtotal, discount: two.discount, shipping: two.shipping, total: two.total },
+    { subtotal: 10, discount: 1, shipping: 0, total: 9 }
+  );
+  assert.deepEqual(invoice.totals, { subtotal: 30, discount: 3, shipping: 5, total: 32 });
+});
+
+test('a paid order is a receipt', () => {
+  assert.equal(buildInvoice(order({ paymentStatus: 'paid' }), options()).kind, 'receipt');
+});
+
+test('a converted order shows the stored converted totals and converts lines at the locked rate', () => {
+  const invoice = buildInvoice(
+    order({
+      currencyCodeSelected: 'sdg',
+      fxSnapshot: { rate: 600, date: '2026-10-01' },
+      totalAmountConverted: 18000,
+      discountAmountConverted: 1800,
+      shippingFeeConverted: 3000,
+      finalAmountConverted: 19200,
+    }),
+    options({ convert: (usd) => usd * 600 })
+  );
+
+  assert.equal(invoice.currency, 'SDG');
+  assert.deepEqual(invoice.exchangeRate, { rate: 600, date: '2026-10-01' });
+  assert.deepEqual(invoice.totals, { subtotal: 18000, discount: 1800, shipping: 3000, total: 19200 });
+  const [one] = invoice.sections;
+  assert.equal(one.lines[0].unitPrice, 6000);
+  assert.deepEqual(
+    { subtotal: one.subtotal, discount: one.discount, shipping: one.shipping, total: one.total },
+    { subtotal: 12000, discount: 1200, shipping: 3000, total: 13800 }
+  );
+});
+
+test('an order whose conversion failed at checkout is shown in USD', () => {
+  const invoice = buildInvoice(
+    order({ currencyCodeSelected: 'SDG', totalAmountConverted: null }),
+    options({ convert: (usd) => usd * 600 })
+  );
+  assert.equal(invoice.currency, 'USD');
+  assert.equal(invoice.sections[0].lines[0].unitPrice, 10);
+});
+
+test('a store sub-invoice holds only that store, and its totals are the section', () => {
+  const invoice = buildInvoice(order(), options({ merchant: 'm2' }));
+  assert.equal(invoice.merchant, 'm2');
+  assert.equal(invoice.sections.length, 1);
+  assert.equal(invoice.sections[0].lines[0].name, 'Leather bag');
+  assert.deepEqual(invoice.totals, { subtotal: 10, discount: 1, shipping: 0, total: 9 });
+
+  assert.equal(buildInvoice(order(), options({ merchant: 'm9' })).sections.length, 0);
+});
+
+test('orders placed before shipments existed are split by the product\'s store', () => {
+  const invoice = buildInvoice(
+    order({ fulfillments: [] }),
+    options({ merchantOf: new Map([['p1', 'm1'], ['p2', 'm1']]) })
+  );
+  assert.equal(invoice.sections.length, 1);
+  assert.equal(invoice.sections[0].merchant, 'm1');
+  assert.equal(invoice.sections[0].lines.length, 2);
+});
@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  accountBalance,
+  buildStatement,
+  commissionLines,
+  deliveryLines,
+  disputeFreezeLines,
+  disputeSettleLines,
+  payoutBatchedLines,
+  payoutFailedLines,
+  payoutPaidLines,
+  refundPaidLines,
+  returnRefundLines,
+  validateEntry,
+} from '../ledger.js';
+
+// Sum of one account's lines on its normal side, optionally for one store.
+const total = (lines, account, merchant) =>
+  lines
+    .filter((l) => l.account === account && (merchant === undefined || l.merchant === merchant))
+    .reduce((sum, l) => sum + accountBalance(account, l.debit, l.credit), 0);
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* -------------------------------------------------------------------------- */
+/* validateEntry                                                              */
+/* -------------------------------------------------------------------------- */
+
+test('entries must balance to the cent and name their subjects', () => {
+  const ok = [
+    { account: 'platform_cash', debit: 10.1, credit: 0 },
+    { account: 'merchant_payable', merchant: 'm1', debit: 0, credit: 10.1 },
+  ];
+  assert.equal(validateEntry(ok).ok, true);
+
+  assert.equal(validateEntry([ok[0], { ...ok[1], credit: 10.09 }]).ok, false);
+  assert.equal(validateEntry([ok[0], { ...ok[1], merchant: null }]).ok, false);
+  assert.equal(validateEntry([ok[0], { ...ok[1], account: 'petty_cash' }]).ok, false);
+  assert.equal(validateEntry([ok[0]]).ok, false);
+});
+
+/* -------------------------------------------------------------------------- */
+/* deliveryLines                                                              */
+/* -------------------------------------------------------------------------- */
+
+const splitOrder = () => ({
+  totalAmount: 150,
+  discountAmount: 15,
+  shippingFee: 7,
+  products: [
+    { product: 'p1', variantId: 'v1', quantity: 2, price: 50, merchantPrice: 40 },
+    { product: 'p2', variantId: null, quantity: 1, price: 50, merchantPrice: 0, nubianMarkup: 25 },
+  ],
+  merchantRevenue: [
+    { merchant: 'm1', amount: 90 },
+    { merchant: 'm2', amount: 45 },
+  ],
+  fulfillments: [
+    { merchant: 'm1', status: 'delivered', items: [{ product: 'p1', variantId: 'v1' }] },
+    { merchant: 'm2', status: 'delivered', items: [{ product: 'p2', variantId: null }] },
+  ],
+  shipping: { groups: [{ merchant: 'm1', fee: 4 }, { merchant: 'm2', fee: 3 }] },
+});
+
+test('a delivered order credits each store its own price and books the rest', () => {
+  const lines = deliveryLines(splitOrder());
+  assert.equal(validateEntry(lines).ok, true);
+
+  assert.equal(total(lines, 'merchant_payable', 'm1'), 80);
+  // No merchantPrice on the snapshot: 50 with the 25% markup taken off.
+  assert.equal(total(lines, 'merchant_payable', 'm2'), 40);
+  assert.equal(round2(total(lines, 'markup_revenue')), 30);
+  assert.equal(round2(total(lines, 'discount_expense')), 15);
+  assert.equal(total(lines, 'shipping_revenue'), 7);
+  // What the shopper paid: 150 - 15 + 7.
+  assert.equal(round2(total(lines, 'platform_cash')), 142);
+});
+
+test('a cancelled shipment is not credited, nor its delivery fee', () => {
+  const order = splitOrder();
+  order.fulfillments[1].status = 'cancelled';
+  const lines = deliveryLines(order);
+  assert.equal(validateEntry(lines).ok, true);
+  assert.equal(lines.some((l) => l.merchant === 'm2'), false);
+  assert.equal(total(lines, 'shipping_revenue'), 4);
+  assert.equal(round2(total(lines, 'platform_cash')), 94);
+});
+
+test('orders without shipments find each line\'s store from the catalogue', () => {
+  const order = { ...splitOrder(), fulfillments: [], shipping: null };
+  const lines = deliveryLines(order, new Map([['p1', 'm1']]));
+  assert.equal(validateEntry(lines).ok, true);
+  assert.equal(total(lines, 'merchant_payable', 'm1'), 80);
+  // p2 has no store: a platform sale carrying its share of the discount.
+  assert.equal(total(lines, 'platform_sales'), 50);
+  assert.equal(round2(total(lines, 'discount_expense')), 10 + 5);
+  assert.equal(total(lines, 'shipping_revenue'), 7);
+});
+
+/* -------------------------------------------------------------------------- */
+/* the other events                                                           */
+/* -------------------------------------------------------------------------- */
+
+test('every event posts a balanced entry', () => {
+  for (const lines of [
+    commissionLines({ marketer: 'k1', amount: 4.2 }),
+    returnRefundLines({ merchant: 'm1', amount: 45 }),
+    disputeFreezeLines({ merchant: 'm1', amount: 100 }),
+    disputeSettleLines({ merchant: 'm1', refund: 40, release: 60 }),
+    refundPaidLines({ amount: 45 }),
+    payoutBatchedLines({ merchant: 'm1', amount: 150.25 }),
+    payoutPaidLines({ merchant: 'm1', amount: 150.25 }),
+    payoutFailedLines({ merchant: 'm1', amount: 150.25 }),
+  ]) {
+    assert.equal(validateEntry(lines).ok, true, JSON.stringify(lines));
+  }
+});
+
+test('a dispute moves money from balance to held, then out and back', () => {
+  const freeze = disputeFreezeLines({ merchant: 'm1', amount: 100 });
+  const settle = disputeSettleLines({ merchant: 'm1', refund: 40, release: 60 });
+  const all = [...freeze, ...settle];
+  assert.equal(total(all, 'merchant_frozen', 'm1'), 0);
+  assert.equal(total(all, 'merchant_payable', 'm1'), -40);
+  assert.equal(total(all, 'refunds_payable'), 40);
+});
+
+test('a failed payout puts the money back in the store\'s balance', () => {
+  const all = [
+    ...payoutBatchedLines({ merchant: 'm1', amount: 60 }),
+    ...payoutFailedLines({ merchant: 'm1', amount: 60 }),
+  ];
+  assert.equal(total(all, 'merchant_payable', 'm1'), 0);
+  assert.equal(total(all, 'payouts_in_transit'), 0);
+});
+
+/* -------------------------------------------------------------------------- */
+/* buildStatement                                                             */
+/* -------------------------------------------------------------------------- */
+
+test('a statement runs the balance forward from the opening figure', () => {
+  const statement = buildStatement(
+    [
+      { kind: 'delivery', debit: 0, credit: 80 },
+      { kind: 'return_refund', debit: 45.5, credit: 0 },
+    ],
+    10
+  );
+  assert.deepEqual(statement.lines.map((l) => l.balance), [90, 44.5]);
+  assert.equal(statement.opening, 10);
+  assert.equal(statement.closing, 44.5);
+});
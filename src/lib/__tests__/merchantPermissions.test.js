@@ -45,6 +45,8 @@ test('managers own the catalogue and its commercial levers', () => {
     PERMISSIONS.COUPONS_WRITE,
     PERMISSIONS.ANALYTICS_READ,
     PERMISSIONS.MARKETING_SEND,
+    PERMISSIONS.DELIVERY_WRITE,
+    PERMISSIONS.FINANCE_READ,
   ]) {
     assert.equal(hasPermission('manager', permission), true, permission);
     assert.equal(hasPermission('staff', permission), false, permission);
@@ -0,0 +1,112 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateRawSync } from 'node:zlib';
+
+import { exportColumns, exportRows } from '../orderExport.js';
+import { csvChunks, toCsv } from '../csv.js';
+import { columnName, xlsxChunks } from '../xlsx.js';
+
+const storeA = { _id: 'a1', storeName: 'Tuti Crafts' };
+const storeB = { _id: 'b1', storeName: 'Omdurman Spices' };
+
+const order = {
+  orderNumber: 'NB-1001',
+  orderDate: new Date('2026-10-18T08:00:00Z'),
+  status: 'shipped',
+  fulfillments: [
+    { merchant: 'a1', status: 'delivered' },
+    { merchant: 'b1', status: 'shipped' },
+  ],
+  paymentMethod: 'CASH',
+  paymentStatus: 'pending',
+  city: 'Khartoum',
+  addressSnapshot: { name: 'Amna Ali', phone: '+249912345678', city: 'Khartoum' },
+  user: { fullName: 'Amna Ali', emailAddress: 'amna@example.com' },
+  products: [
+    { product: { _id: 'p1', name: 'Basket', merchant: storeA }, quantity: 2, price: 10, merchantPrice: 8, size: 'L' },
+    { product: { _id: 'p2', name: 'Hibiscus', merchant: storeB }, quantity: 1, price: 5.5, merchantPrice: 4, attributes: { pack: '500g' } },
+  ],
+  merchants: [storeA, storeB],
+  merchantRevenue: [{ merchant: 'a1', amount: 16 }, { merchant: 'b1', amount: 4 }],
+  totalAmount: 25.5,
+  discountAmount: 2,
+  shippingFee: 3,
+  finalAmount: 26.5,
+  currencyCodeSelected: 'SDG',
+  finalAmountConverted: 15900,
+  couponDetails: { code: 'EID10' },
+};
+
+test('exportRows: an admin order row carries the whole order', () => {
+  const [row] = exportRows(order, { mode: 'orders' });
+  assert.equal(row.status, 'shipped');
+  assert.equal(row.stores, 'Tuti Crafts, Omdurman Spices');
+  assert.equal(row.lines, 2);
+  assert.equal(row.units, 3);
+  assert.equal(row.total, 26.5);
+  assert.equal(row.coupon, 'EID10');
+  assert.equal(row.email, 'amna@example.com');
+});
+
+test('exportRows: a store sees only its lines, its shipment status and its revenue', () => {
+  const [row] = exportRows(order, { mode: 'orders', merchantId: 'a1' });
+  assert.equal(row.status, 'delivered');
+  assert.equal(row.orderStatus, 'shipped');
+  assert.equal(row.lines, 1);
+  assert.equal(row.subtotal, 20);
+  assert.equal(row.revenue, 16);
+  assert.equal(row.coupon, undefined);
+  assert.equal(row.total, undefined);
+
+  const lines = exportRows(order, { mode: 'lines', merchantId: 'b1' });
+  assert.deepEqual(lines.map((l) => [l.product, l.variant, l.lineTotal, l.merchantTotal]), [['Hibiscus', 'pack: 500g', 5.5, 4]]);
+
+  const headers = exportColumns({ mode: 'orders', merchant: true }).map((c) => c.header);
+  assert.ok(!headers.includes('email') && !headers.includes('coupon') && !headers.includes('stores'));
+});
+
+test('csvChunks: the same file as toCsv, streamed', async () => {
+  const columns = exportColumns({ mode: 'lines' });
+  const rows = exportRows(order, { mode: 'lines' });
+  async function* each() { yield* rows; }
+  let streamed = '';
+  for await (const chunk of csvChunks(columns, each())) streamed += chunk;
+  assert.equal(streamed, toCsv(columns, rows));
+  assert.match(streamed, /,'\+249912345678,/);
+});
+
+// Just enough of a zip reader to find the parts by their local headers.
+const unzip = (buf) => {
+  const parts = {};
+  for (let at = 0; buf.readUInt32LE(at) === 0x04034b50;) {
+    const nameLength = buf.readUInt16LE(at + 26);
+    const name = buf.toString('utf8', at + 30, at + 30 + nameLength);
+    const start = at + 30 + nameLength;
+    const end = buf.indexOf(Buffer.from([0x50, 0x4b, 0x07, 0x08]), start);
+    parts[name] = inflateRawSync(buf.subarray(start, end)).toString();
+    at = end + 16;
+  }
+  return parts;
+};
+
+test('xlsxChunks: a workbook with a header row and one row per record', async () => {
+  const columns = [{ header: 'order', value: (r) => r.n }, { header: 'total', value: (r) => r.t }];
+  const pieces = [];
+  for await (const piece of xlsxChunks(columns, [{ n: 'A&B <1>', t: 12.5 }, { n: 'C', t: null }], { sheetName: 'orders' })) {
+    pieces.push(piece);
+  }
+  const file = Buffer.concat(pieces);
+  const parts = unzip(file);
+
+  assert.ok(parts['[Content_Types].xml'].includes('/xl/worksheets/sheet1.xml'));
+  assert.ok(parts['xl/workbook.xml'].includes('name="orders"'));
+  const sheet = parts['xl/worksheets/sheet1.xml'];
+  assert.equal(sheet.match(/<row /g).length, 3);
+  assert.ok(sheet.includes('<t xml:space="preserve">A&amp;B &lt;1&gt;</t>'));
+  assert.ok(sheet.includes('<c r="B2"><v>12.5</v></c>'));
+  assert.ok(!sheet.includes('r="B3"'));
+  assert.equal(file.readUInt32LE(file.length - 22), 0x06054b50);
+  assert.equal(file.readUInt16LE(file.length - 12), 5);
+
+  assert.deepEqual([0, 25, 26, 701, 702].map(columnName), ['A', 'Z', 'AA', 'ZZ', 'AAA']);
+});
@@ -0,0 +1,154 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  ORDER_ACTORS,
+  ORDER_EFFECTS,
+  ORDER_STATUSES,
+  nextStatuses,
+  planTransition,
+} from '../orderLifecycle.js';
+
+/* -------------------------------------------------------------------------- */
+/* the table                                                                  */
+/* -------------------------------------------------------------------------- */
+
+test('every transition leads to a known status and lists only known effects', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const actor of ORDER_ACTORS) {
+      for (const to of nextStatuses(from, actor)) {
+        assert.ok(ORDER_STATUSES.includes(to), `${from} → ${to} is not a status`);
+        const plan = planTransition({ from, to, actor });
+        assert.equal(plan.ok, true);
+        for (const effect of plan.value.effects) {
+          assert.ok(ORDER_EFFECTS.includes(effect), `${from} → ${to} has unknown effect ${effect}`);
+        }
+      }
+    }
+  }
+});
+
+test('refunded is terminal and nothing returns to pending', () => {
+  for (const actor of ORDER_ACTORS) {
+    assert.deepEqual(nextStatuses('refunded', actor), []);
+    for (const from of ORDER_STATUSES) {
+      assert.ok(!nextStatuses(from, actor).includes('pending'), `${actor} can move ${from} → pending`);
+    }
+  }
+});
+
+/* -------------------------------------------------------------------------- */
+/* the moves the old endpoints allowed by mistake                             */
+/* -------------------------------------------------------------------------- */
+
+test('an admin cannot send a delivered order back to pending', () => {
+  const plan = planTransition({ from: 'delivered', to: 'pending', actor: 'admin' });
+  assert.equal(plan.ok, false);
+  assert.equal(plan.code, 'INVALID_STATUS_TRANSITION');
+  assert.deepEqual(plan.allowed, ['returned']);
+});
+
+test('a cancelled order cannot be shipped, only refunded', () => {
+  const plan = planTransition({ from: 'cancelled', to: 'shipped', actor: 'admin' });
+  assert.equal(plan.code, 'INVALID_STATUS_TRANSITION');
+  assert.deepEqual(nextStatuses('cancelled', 'admin'), ['refunded']);
+});
+
+/* -------------------------------------------------------------------------- */
+/* actors                                                                     */
+/* -------------------------------------------------------------------------- */
+
+test('merchants confirm and ship but never deliver or cancel', () => {
+  assert.equal(planTransition({ from: 'pending', to: 'confirmed', actor: 'merchant' }).ok, true);
+  assert.equal(planTransition({ from: 'confirmed', to: 'shipped', actor: 'merchant' }).ok, true);
+  assert.equal(planTransition({ from: 'confirmed', to: 'ready_for_pickup', actor: 'merchant' }).ok, true);
+
+  const deliver = planTransition({ from: 'shipped', to: 'delivered', actor: 'merchant' });
+  assert.equal(deliver.code, 'TRANSITION_NOT_PERMITTED');
+  const cancel = planTransition({ from: 'pending', to: 'cancelled', actor: 'merchant' });
+  assert.equal(cancel.code, 'TRANSITION_NOT_PERMITTED');
+  assert.deepEqual(cancel.allowed, ['confirmed']);
+});
+
+test('merchants deliver only with the shopper\'s delivery code', () => {
+  assert.equal(planTransition({ from: 'shipped', to: 'delivered', actor: 'merchant', verified: true }).ok, true);
+  assert.equal(planTransition({ from: 'out_for_delivery', to: 'delivered', actor: 'merchant', verified: true }).ok, true);
+
+  const unverified = planTransition({ from: 'shipped', to: 'delivered', actor: 'merchant' });
+  assert.equal(unverified.code, 'TRANSITION_NOT_PERMITTED');
+  assert.match(unverified.message, /delivery code/);
+  // A code proves a delivery, nothing else.
+  assert.equal(planTransition({ from: 'pending', to: 'cancelled', actor: 'merchant', verified: true }).ok, false);
+  assert.equal(planTransition({ from: 'shipped', to: 'delivered', actor: 'customer', verified: true }).ok, false);
+});
+
+test('couriers carry the order from pickup to the door', () => {
+  assert.equal(planTransition({ from: 'ready_for_pickup', to: 'out_for_delivery', actor: 'courier' }).ok, true);
+  assert.equal(planTransition({ from: 'out_for_delivery', to: 'delivered', actor: 'courier' }).ok, true);
+  assert.equal(planTransition({ from: 'out_for_delivery', to: 'returned', actor: 'courier' }).ok, true);
+  assert.equal(planTransition({ from: 'pending', to: 'confirmed', actor: 'courier' }).code, 'TRANSITION_NOT_PERMITTED');
+});
+
+test('unknown actors and statuses are rejected before the table is consulted', () => {
+  assert.equal(planTransition({ from: 'pending', to: 'confirmed', actor: 'shopper' }).code, 'UNKNOWN_ACTOR');
+  assert.equal(planTransition({ from: 'pending', to: 'lost', actor: 'admin' }).code, 'INVALID_STATUS');
+});
+
+/* -------------------------------------------------------------------------- */
+/* effects                                                                    */
+/* -------------------------------------------------------------------------- */
+
+test('commission is earned on delivery and nowhere else', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const to of nextStatuses(from, 'admin')) {
+      const { effects } = planTransition({ from, to, actor: 'admin' }).value;
+      assert.equal(effects.includes('commission'), to === 'delivered', `${from} → ${to}`);
+    }
+  }
+});
+
+test('every way an order stops short of the shopper puts the stock back', () => {
+  for (const [from, to] of [
+    ['pending', 'cancelled'],
+    ['confirmed', 'cancelled'],
+    ['ready_for_pickup', 'cancelled'],
+    ['out_for_delivery', 'returned'],
+    ['shipped', 'returned'],
+    ['delivered', 'returned'],
+  ]) {
+    assert.ok(planTransition({ from, to, actor: 'admin' }).value.effects.includes('restock'), `${from} → ${to}`);
+  }
+});
+
+test('shoppers cancel until the order leaves the store, and get their coupon back', () => {
+  for (const from of ['pending', 'confirmed', 'ready_for_pickup']) {
+    const plan = planTransition({ from, to: 'cancelled', actor: 'customer' });
+    assert.equal(plan.ok, true, from);
+    assert.ok(plan.value.effects.includes('coupon'), from);
+    assert.deepEqual(nextStatuses(from, 'customer'), ['cancelled']);
+  }
+  for (const from of ['shipped', 'out_for_delivery', 'delivered']) {
+    assert.equal(planTransition({ from, to: 'cancelled', actor: 'customer' }).ok, false, from);
+  }
+  // A returned order did use its coupon.
+  assert.ok(!planTransition({ from: 'delivered', to: 'returned', actor: 'admin' }).value.effects.includes('coupon'));
+});
+
+test('stores are credited in the ledger on delivery and nowhere else', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const to of nextStatuses(from, 'admin')) {
+      const { effects } = planTransition({ from, to, actor: 'admin' }).value;
+      assert.equal(effects.includes('ledger'), to === 'delivered', `${from} → ${to}`);
+    }
+  }
+});
+
+test('a delivery code is issued whenever a parcel leaves the store', () => {
+  for (const from of ORDER_STATUSES) {
+    for (const to of nextStatuses(from, 'admin')) {
+      const { effects } = planTransition({ from, to, actor: 'admin' }).value;
+      const leaves = ['shipped', 'out_for_delivery'].includes(to);
+      assert.equal(effects.includes('delivery_code'), leaves, `${from} → ${to}`);
+    }
+  }
+});
@@ -0,0 +1,104 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  amountDue,
+  orderPaymentStatusFor,
+  planCardPayment,
+  planGatewayRefund,
+  planPaymentStatus,
+} from '../payments.js';
+
+const order = (overrides = {}) => ({
+  paymentMethod: 'CARD',
+  paymentStatus: 'pending',
+  status: 'pending',
+  currencyCodeSelected: 'SDG',
+  finalAmount: 32,
+  finalAmountConverted: 19200,
+  ...overrides,
+});
+
+const refund = (overrides = {}) => ({
+  _id: 'r1',
+  method: 'CARD',
+  status: 'approved',
+  amount: 10,
+  amountConverted: 6000,
+  currencyCode: 'SDG',
+  ...overrides,
+});
+
+const payment = (overrides = {}) => ({
+  status: 'captured',
+  amount: 19200,
+  currency: 'SDG',
+  refunds: [],
+  ...overrides,
+});
+
+test('planPaymentStatus: attempts only move forward', () => {
+  assert.deepEqual(planPaymentStatus({ from: 'requires_confirmation', to: 'authorized' }), { ok: true, changed: true });
+  assert.deepEqual(planPaymentStatus({ from: 'authorized', to: 'captured' }), { ok: true, changed: true });
+  // A gateway that captures on confirm skips authorised.
+  assert.equal(planPaymentStatus({ from: 'requires_confirmation', to: 'captured' }).ok, true);
+
+  assert.equal(planPaymentStatus({ from: 'captured', to: 'failed' }).code, 'INVALID_PAYMENT_TRANSITION');
+  assert.equal(planPaymentStatus({ from: 'failed', to: 'authorized' }).code, 'INVALID_PAYMENT_TRANSITION');
+  assert.equal(planPaymentStatus({ from: 'authorized', to: 'settled' }).code, 'INVALID_STATUS');
+});
+
+test('planPaymentStatus: hearing the same news again changes nothing', () => {
+  assert.deepEqual(planPaymentStatus({ from: 'captured', to: 'captured' }), { ok: true, changed: false });
+});
+
+test('orderPaymentStatusFor: only a capture pays the order', () => {
+  assert.equal(orderPaymentStatusFor('captured'), 'paid');
+  assert.equal(orderPaymentStatusFor('authorized'), 'pending');
+  assert.equal(orderPaymentStatusFor('requires_confirmation'), 'pending');
+  assert.equal(orderPaymentStatusFor('failed'), 'failed');
+  assert.equal(orderPaymentStatusFor('cancelled'), 'failed');
+});
+
+test('amountDue: the shopper currency, or USD when conversion failed', () => {
+  assert.deepEqual(amountDue(order()), { amount: 19200, currency: 'SDG' });
+  assert.deepEqual(amountDue(order({ finalAmountConverted: null })), { amount: 32, currency: 'USD' });
+  assert.deepEqual(amountDue(order({ currencyCodeSelected: 'usd', finalAmount: 12.345 })), { amount: 12.35, currency: 'USD' });
+});
+
+test('planCardPayment: an open, unpaid card order', () => {
+  assert.deepEqual(planCardPayment(order()), { ok: true });
+  assert.equal(planCardPayment(order({ paymentMethod: 'BANKAK' })).code, 'NOT_CARD');
+  assert.equal(planCardPayment(order({ paymentStatus: 'paid' })).code, 'ALREADY_PAID');
+  assert.equal(planCardPayment(order({ status: 'cancelled' })).code, 'ORDER_CLOSED');
+  // A declined card does not stop the shopper trying another.
+  assert.deepEqual(planCardPayment(order({ paymentStatus: 'failed' })), { ok: true });
+});
+
+test('planGatewayRefund: refunds in the currency the card was charged in', () => {
+  assert.deepEqual(planGatewayRefund(refund(), payment()), { ok: true, value: { amount: 6000, currency: 'SDG' } });
+  assert.deepEqual(
+    planGatewayRefund(refund(), payment({ amount: 32, currency: 'USD' })),
+    { ok: true, value: { amount: 10, currency: 'USD' } }
+  );
+  assert.equal(planGatewayRefund(refund({ currencyCode: 'EGP' }), payment()).code, 'CURRENCY_MISMATCH');
+});
+
+test('planGatewayRefund: only approved card refunds against a captured payment', () => {
+  assert.equal(planGatewayRefund(refund({ method: 'BANKAK' }), payment()).code, 'NOT_CARD');
+  assert.equal(planGatewayRefund(refund({ status: 'requested' }), payment()).code, 'REFUND_NOT_APPROVED');
+  assert.equal(planGatewayRefund(refund({ status: 'paid' }), payment()).code, 'REFUND_NOT_APPROVED');
+  assert.equal(planGatewayRefund(refund(), null).code, 'NO_CAPTURED_PAYMENT');
+  assert.equal(planGatewayRefund(refund(), payment({ status: 'authorized' })).code, 'NO_CAPTURED_PAYMENT');
+});
+
+test('planGatewayRefund: never sent twice, never past what was captured', () => {
+  const sent = { refund: 'r1', amount: 6000, status: 'pending' };
+  assert.equal(planGatewayRefund(refund(), payment({ refunds: [sent] })).code, 'REFUND_IN_PROGRESS');
+  // A failed send may be tried again.
+  assert.equal(planGatewayRefund(refund(), payment({ refunds: [{ ...sent, status: 'failed' }] })).ok, true);
+
+  const others = [{ refund: 'r0', amount: 15000, status: 'succeeded' }];
+  assert.equal(planGatewayRefund(refund(), payment({ refunds: others })).code, 'EXCEEDS_CAPTURED');
+  assert.equal(planGatewayRefund(refund({ amountConverted: 4200 }), payment({ refunds: others })).ok, true);
+});
@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  DEFAULT_FIXED_WIDTH_LAYOUT,
+  buildBankFile,
+  isValidIban,
+  normalizeIban,
+  parseFixedWidthLayout,
+  planPayout,
+  planPayoutSettlement,
+} from '../payouts.js';
+
+const IBAN = 'GB82WEST12345698765432';
+
+/* -------------------------------------------------------------------------- */
+/* IBAN                                                                       */
+/* -------------------------------------------------------------------------- */
+
+test('IBANs are checked with mod 97, spaces and case ignored', () => {
+  assert.equal(isValidIban(IBAN), true);
+  assert.equal(isValidIban('gb82 west 1234 5698 7654 32'), true);
+  assert.equal(normalizeIban('gb82 west 1234 5698 7654 32'), IBAN);
+  assert.equal(isValidIban('GB83WEST12345698765432'), false);
+  assert.equal(isValidIban('12345678'), false);
+  assert.equal(isValidIban(''), false);
+});
+
+/* -------------------------------------------------------------------------- */
+/* planPayout                                                                 */
+/* -------------------------------------------------------------------------- */
+
+test('a store is paid its balance less what is still on hold', () => {
+  const plan = planPayout({ balance: 250.5, held: 100.25, iban: IBAN }, 10);
+  assert.deepEqual(plan, { ok: true, value: { amount: 150.25, iban: IBAN } });
+});
+
+test('nothing due, too little, or nowhere to send it', () => {
+  assert.equal(planPayout({ balance: 80, held: 80, iban: IBAN }, 10).code, 'NOTHING_DUE');
+  assert.equal(planPayout({ balance: -5, held: 0, iban: IBAN }, 10).code, 'NOTHING_DUE');
+  assert.equal(planPayout({ balance: 9.99, held: 0, iban: IBAN }, 10).code, 'BELOW_MINIMUM');
+  assert.equal(planPayout({ balance: 50, held: 0 }, 10).code, 'MISSING_IBAN');
+  assert.equal(planPayout({ balance: 50, held: 0, iban: 'SD00 1234' }, 10).code, 'INVALID_IBAN');
+});
+
+/* -------------------------------------------------------------------------- */
+/* bank files                                                                 */
+/* -------------------------------------------------------------------------- */
+
+const batch = {
+  reference: 'PO-20261019-0001',
+  currency: 'USD',
+  createdAt: new Date('2026-10-19T08:00:00Z'),
+  items: [
+    { reference: 'PO-20261019-0001-001', beneficiary: 'Amna Osman', storeName: 'Amna, Crafts', iban: IBAN, amount: 150.25, status: 'pending' },
+    { reference: 'PO-20261019-0001-002', beneficiary: '=cmd', storeName: 'Nile', iban: IBAN, amount: 20, status: 'pending' },
+    { reference: 'PO-20261019-0001-003', beneficiary: 'Done', storeName: 'Done', iban: IBAN, amount: 5, status: 'paid' },
+  ],
+};
+
+test('the CSV file lists pending transfers, quoted and formula-safe', () => {
+  const lines = buildBankFile(batch, 'csv').trimEnd().split('\r\n');
+  assert.equal(lines.length, 3);
+  assert.equal(lines[0], 'reference,beneficiary,store,iban,amount,currency,date');
+  assert.equal(lines[1], `PO-20261019-0001-001,Amna Osman,"Amna, Crafts",${IBAN},150.25,USD,20261019`);
+  assert.ok(lines[2].startsWith(`PO-20261019-0001-002,'=cmd,`));
+});
+
+test('the fixed-width file follows the layout, column for column', () => {
+  const layout = parseFixedWidthLayout(DEFAULT_FIXED_WIDTH_LAYOUT);
+  assert.equal(layout.ok, true);
+
+  const lines = buildBankFile(batch, 'fixed', layout.value).trimEnd().split('\r\n');
+  assert.equal(lines.length, 2);
+  for (const line of lines) assert.equal(line.length, 20 + 34 + 35 + 15 + 3 + 8);
+  assert.equal(lines[0].slice(0, 20), 'PO-20261019-0001-001');
+  assert.equal(lines[0].slice(20, 54), IBAN.padEnd(34));
+  assert.equal(lines[0].slice(89, 104), '000000000015025');
+  assert.equal(lines[0].slice(104), 'USD20261019');
+});
+
+test('fixed-width layouts are parsed strictly', () => {
+  assert.deepEqual(parseFixedWidthLayout('iban:34, amount:12:right').value, [
+    { field: 'iban', width: 34, align: 'left', pad: ' ' },
+    { field: 'amount', width: 12, align: 'right', pad: ' ' },
+  ]);
+  assert.equal(parseFixedWidthLayout('').ok, false);
+  assert.equal(parseFixedWidthLayout('swift:11').ok, false);
+  assert.equal(parseFixedWidthLayout('iban:0').ok, false);
+  assert.equal(parseFixedWidthLayout('iban:34:centre').ok, false);
+  assert.equal(parseFixedWidthLayout('amount:12:right:00').ok, false);
+});
+
+/* -------------------------------------------------------------------------- */
+/* settlement                                                                 */
+/* -------------------------------------------------------------------------- */
+
+test('a transfer is settled once, as paid or failed', () => {
+  assert.equal(planPayoutSettlement({ from: 'pending', to: 'paid' }).ok, true);
+  assert.equal(planPayoutSettlement({ from: 'pending', to: 'failed' }).ok, true);
+  assert.equal(planPayoutSettlement({ from: 'pending', to: 'pending' }).code, 'INVALID_STATUS');
+  assert.equal(planPayoutSettlement({ from: 'paid', to: 'failed' }).code, 'PAYOUT_ALREADY_SETTLED');
+});
@@ -0,0 +1,213 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EXPORT_COLUMNS, exportLines, importRowsFrom } from '../productImport.js';
+import { csvChunks, parseCsv } from '../csv.js';
+import { readXlsx, xlsxChunks } from '../xlsx.js';
+
+const collect = async (chunks) => {
+  const parts = [];
+  for await (const chunk of chunks) parts.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(parts);
+};
+
+const header = ['importSku', 'name', 'category', 'images', 'sku', 'attributes', 'merchantPrice', 'stock', 'discountType', 'discountValue'];
+
+test('importRowsFrom groups lines by importSku and keeps their row numbers', () => {
+  const result = importRowsFrom([
+    header,
+    ['TEE', 'Tee', 'c1', 'a.jpg|b.jpg', 'TEE-M', 'size=M|color=White', '10', '3', '', ''],
+    ['MUG', 'Mug', 'c2', 'm.jpg', 'MUG-1', 'size=One', 4.5, 0, 'percentage', 10],
+    [],
+    ['TEE', '', '', '', 'TEE-L', 'size=L|color=White', '11', '0', '', ''],
+  ]);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.failures, []);
+  const [tee, mug] = result.rows;
+  assert.deepEqual(tee.lines, [2, 5]);
+  assert.deepEqual(tee.images, ['a.jpg', 'b.jpg']);
+  assert.equal(tee.discount, undefined);
+  assert.deepEqual(tee.variants.map((v) => v.sku), ['TEE-M', 'TEE-L']);
+  assert.deepEqual(tee.variants[1].attributes, { size: 'L', color: 'White' });
+  assert.equal(tee.variants[1].merchantPrice, 11);
+  assert.equal(mug.discount.type, 'percentage');
+  assert.equal(mug.discount.value, 10);
+});
+
+test('importRowsFrom fails the whole product when one of its lines cannot be read', () => {
+  const result = importRowsFrom([
+    header,
+    ['TEE', 'Tee', 'c1', 'a.jpg', 'TEE-M', 'size=M', '10', '3'],
+    ['TEE', '', '', '', 'TEE-L', 'size=L', 'ten', '3'],
+    ['TEE', '', '', '', 'TEE-S', 'size=S', '9', '3'],
+    ['', 'Orphan', 'c1', 'a.jpg', 'X', 'size=M', '1', '1'],
+  ]);
+
+  assert.equal(result.ok, true);
+  assert.deepEqual(result.rows, []);
+  assert.deepEqual(result.failures, [
+    { lines: [2, 3, 4], importSku: 'TEE', reason: 'Row 3: merchantPrice must be a number' },
+    { lines: [5], importSku: null, reason: 'importSku is required' },
+  ]);
+});
+
+test('importRowsFrom turns away a file without the columns it needs', () => {
+  const result = importRowsFrom([['importSku', 'Name', 'sku'], ['TEE', 'Tee', 'TEE-M']]);
+  assert.equal(result.ok, false);
+  assert.equal(result.code, 'MISSING_COLUMNS');
+  assert.match(result.message, /category, attributes, merchantPrice, stock/);
+
+  assert.equal(importRowsFrom([[], ['', '']]).code, 'EMPTY_FILE');
+  assert.equal(importRowsFrom([header]).code, 'EMPTY_FILE');
+});
+
+test('a file written by csvChunks or xlsxChunks reads back cell for cell', async () => {
+  const columns = [
+    { header: 'importSku', value: (r) => r.sku },
+    { header: 'name', value: (r) => r.name },
+    { header: 'stock', value: (r) => r.stock },
+  ];
+  const rows = [
+    { sku: 'TEE', name: 'Tee, "white"\nsoft', stock: 3 },
+    { sku: 'FX', name: '=SUM(A1)', stock: 0 },
+  ];
+
+  const csv = parseCsv((await collect(csvChunks(columns, rows))).toString('utf8'));
+  assert.deepEqual(csv.filter((r) => r.length), [
+    ['importSku', 'name', 'stock'],
+    ['TEE', 'Tee, "white"\nsoft', '3'],
+    ['FX', '=SUM(A1)', '0'],
+  ]);
+
+  const xlsx = readXlsx(await collect(xlsxChunks(columns, rows)));
+  assert.deepEqual(xlsx, [
+    ['importSku', 'name', 'stock'],
+    ['TEE', 'Tee, "white"\nsoft', 3],
+    ['FX', '=SUM(A1)', 0],
+  ]);
+
+  assert.throws(() => readXlsx(Buffer.from('not a workbook, just text long enough')), { code: 'INVALID_XLSX' });
+});
+
+test('readXlsx turns a damaged workbook away as INVALID_XLSX, not a RangeError', async () => {
+  const columns = [{ header: 'name', value: (r) => r.name }];
+  const good = await collect(xlsxChunks(columns, [{ name: 'Tee' }]));
+  assert.deepEqual(readXlsx(good), [['name'], ['Tee']]);
+
+  // Point the central directory past the end of the file.
+  const end = good.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const pastEnd = Buffer.from(good);
+  pastEnd.writeUInt32LE(good.length + 100, end + 16);
+  assert.throws(() => readXlsx(pastEnd), { code: 'INVALID_XLSX' });
+
+  // And every entry's local header past it.
+  const pastLocal = Buffer.from(good);
+  for (let at = good.readUInt32LE(end + 16); at < end; ) {
+    pastLocal.writeUInt32LE(good.length - 10, at + 42);
+    at += 46 + good.readUInt16LE(at + 28) + good.readUInt16LE(at + 30) + good.readUInt16LE(at + 32);
+  }
+  assert.throws(() => readXlsx(pastLocal), { code: 'INVALID_XLSX' });
+});
+
+// A workbook as any spreadsheet might write it, its parts stored uncompressed.
+const storedWorkbook = (rowsXml) => {
+  const parts = [
+    ['xl/workbook.xml', '<workbook><sheets><sheet name="s" sheetId="1" r:id="rId1"/></sheets></workbook>'],
+    ['xl/_rels/workbook.xml.rels', '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>'],
+    ['xl/worksheets/sheet1.xml', `<worksheet><sheetData>${rowsXml}</sheetData></worksheet>`],
+  ];
+  const locals = [];
+  const directory = [];
+  let offset = 0;
+  for (const [path, xml] of parts) {
+    const name = Buffer.from(path);
+    const data = Buffer.from(xml);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, name, data);
+    directory.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = directory.reduce((n, b) => n + b.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(parts.length, 8);
+  end.writeUInt16LE(parts.length, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, ...directory, end]);
+};
+
+const inline = (ref, text) => `<c r="${ref}" t="inlineStr"><is><t>${text}</t></is></c>`;
+
+test('readXlsx keeps rows as wide as their last filled cell, and refuses far columns and rows out of order', () => {
+  const sparse = storedWorkbook(`<row r="1">${inline('C1', 'x')}${inline('E1', '')}</row><row r="3">${inline('A3', 'y')}</row>`);
+  assert.deepEqual(readXlsx(sparse), [['', '', 'x'], [], ['y']]);
+
+  // A few bytes per row, 16,384 values each once laid out.
+  const farColumn = storedWorkbook(Array.from({ length: 100 }, (_, i) => `<row r="${i + 1}">${inline(`XFD${i + 1}`, 'x')}</row>`).join(''));
+  assert.ok(farColumn.length < 10000);
+  assert.throws(() => readXlsx(farColumn), { code: 'INVALID_XLSX' });
+  assert.throws(() => readXlsx(sparse, { maxColumns: 4 }), { code: 'INVALID_XLSX' });
+  assert.throws(() => readXlsx(sparse, { maxRows: 2 }), { code: 'INVALID_XLSX' });
+
+  const backwards = storedWorkbook(`<row r="2">${inline('A2', 'x')}</row><row r="1">${inline('A1', 'y')}</row>`);
+  assert.throws(() => readXlsx(backwards), { code: 'INVALID_XLSX' });
+  const repeated = storedWorkbook(`<row r="1">${inline('A1', 'x')}</row><row r="1">${inline('A1', 'y')}</row>`);
+  assert.throws(() => readXlsx(repeated), { code: 'INVALID_XLSX' });
+});
+
+const pricedInSar = {
+  importSku: 'TEE',
+  name: 'Tee',
+  description: 'Cotton tee',
+  category: 'c1',
+  images: ['a.jpg', 'b.jpg'],
+  priorityScore: 0,
+  featured: false,
+  pricingInput: { currency: 'SAR', rate: 3.75, discountValue: 15, discountMaxDiscount: null },
+  discount: { type: 'fixed', value: 4, maxDiscount: null, startsAt: new Date('2026-11-01T00:00:00Z'), endsAt: null, isActive: true },
+  variants: [
+    { sku: 'TEE-M', attributes: { size: 'M', color: 'White' }, merchantPrice: 10, merchantDiscount: 0, nubianMarkup: 10, dynamicMarkup: -5, stock: 3, images: [], isActive: true, lowStockThreshold: null, pricingInput: { merchantPrice: 37.5, merchantDiscount: null } },
+    { sku: 'TEE-L', attributes: { size: 'L', color: 'White' }, merchantPrice: 12, merchantDiscount: 1, nubianMarkup: 10, dynamicMarkup: 0, stock: 0, images: ['l.jpg'], isActive: false, lowStockThreshold: 2, pricingInput: { merchantPrice: 45, merchantDiscount: 3.75 } },
+  ],
+};
+
+test('exportLines writes a product the way the import reads it back, in the currency it was typed in', async () => {
+  const records = parseCsv((await collect(csvChunks(EXPORT_COLUMNS, exportLines(pricedInSar)))).toString('utf8'));
+  const { ok, rows: [row], failures } = importRowsFrom(records);
+
+  assert.equal(ok, true);
+  assert.deepEqual(failures, []);
+  assert.equal(row.pricingCurrency, 'SAR');
+  assert.deepEqual(row.images, ['a.jpg', 'b.jpg']);
+  assert.deepEqual(row.discount, {
+    type: 'fixed', value: 15, maxDiscount: null, startsAt: '2026-11-01T00:00:00.000Z', endsAt: null, isActive: true,
+  });
+  assert.deepEqual(row.variants, [
+    { sku: 'TEE-M', attributes: { size: 'M', color: 'White' }, merchantPrice: 37.5, stock: 3, images: [], isActive: true, nubianMarkup: 10, dynamicMarkup: -5, merchantDiscount: 0 },
+    { sku: 'TEE-L', attributes: { size: 'L', color: 'White' }, merchantPrice: 45, stock: 0, images: ['l.jpg'], isActive: false, nubianMarkup: 10, dynamicMarkup: 0, merchantDiscount: 3.75, lowStockThreshold: 2 },
+  ]);
+});
+
+test('exportLines falls back to USD when an amount typed in the currency is missing', () => {
+  const edited = {
+    ...pricedInSar,
+    variants: [...pricedInSar.variants, { ...pricedInSar.variants[0], sku: 'TEE-S', merchantPrice: 9, pricingInput: { merchantPrice: null, merchantDiscount: null } }],
+  };
+  const lines = exportLines(edited);
+  assert.equal(lines[0].pricingCurrency, 'USD');
+  assert.equal(lines[0].discountValue, 4);
+  assert.deepEqual(lines.map((l) => l.merchantPrice), [10, 12, 9]);
+  assert.equal(lines[1].name, undefined);
+});
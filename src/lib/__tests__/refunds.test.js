@@ -0,0 +1,46 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { convertRefund, planRefundTransition, settleDispute } from '../refunds.js';
+
+/* -------------------------------------------------------------------------- */
+/* planRefundTransition                                                       */
+/* -------------------------------------------------------------------------- */
+
+test('a refund is approved, then paid, and never goes back', () => {
+  assert.equal(planRefundTransition({ from: 'requested', to: 'approved' }).ok, true);
+  assert.equal(planRefundTransition({ from: 'approved', to: 'paid' }).ok, true);
+
+  assert.equal(planRefundTransition({ from: 'requested', to: 'paid' }).code, 'INVALID_REFUND_TRANSITION');
+  assert.equal(planRefundTransition({ from: 'paid', to: 'approved' }).code, 'INVALID_REFUND_TRANSITION');
+  assert.equal(planRefundTransition({ from: 'paid', to: 'paid' }).code, 'INVALID_REFUND_TRANSITION');
+  assert.equal(planRefundTransition({ from: 'approved', to: 'void' }).code, 'INVALID_STATUS');
+});
+
+/* -------------------------------------------------------------------------- */
+/* convertRefund                                                              */
+/* -------------------------------------------------------------------------- */
+
+test('refunds convert at the order\'s locked rate', () => {
+  assert.equal(convertRefund(12.5, { rate: 600 }), 7500);
+  assert.equal(convertRefund(10, { rate: 2.345 }), 23.45);
+  assert.equal(convertRefund(10, null), null);
+  assert.equal(convertRefund(10, { rate: 0 }), null);
+});
+
+/* -------------------------------------------------------------------------- */
+/* settleDispute                                                              */
+/* -------------------------------------------------------------------------- */
+
+test('settling a dispute splits the frozen amount between shopper and store', () => {
+  assert.deepEqual(settleDispute(100, 'refund_full').value, { refund: 100, release: 0 });
+  assert.deepEqual(settleDispute(100, 'rejected').value, { refund: 0, release: 100 });
+  assert.deepEqual(settleDispute(100, 'refund_partial', 40).value, { refund: 40, release: 60 });
+});
+
+test('a partial refund must be a real part of the disputed amount', () => {
+  assert.equal(settleDispute(100, 'refund_partial').code, 'INVALID_REFUND_AMOUNT');
+  assert.equal(settleDispute(100, 'refund_partial', 0).code, 'INVALID_REFUND_AMOUNT');
+  assert.equal(settleDispute(100, 'refund_partial', 150).code, 'INVALID_REFUND_AMOUNT');
+  assert.equal(settleDispute(100, 'refund_later').code, 'INVALID_RESOLUTION');
+});
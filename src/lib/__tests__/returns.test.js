@@ -0,0 +1,103 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { planReturn, refundForItems, deliveredAtFor } from '../returns.js';
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+const DELIVERED = new Date('2026-03-05T12:00:00Z');
+
+// Two stores, one delivered and one still on its way.
+const splitOrder = () => ({
+  status: 'shipped',
+  products: [
+    { product: 'p1', variantId: 'v1', quantity: 2, price: 10 },
+    { product: 'p2', variantId: null, quantity: 1, price: 30 },
+    { product: 'p3', variantId: null, quantity: 1, price: 5 },
+  ],
+  fulfillments: [
+    { _id: 'f1', merchant: 'm1', status: 'delivered', deliveredAt: DELIVERED,
+      items: [{ product: 'p1', variantId: 'v1' }, { product: 'p2', variantId: null }] },
+    { _id: 'f2', merchant: 'm2', status: 'shipped', items: [{ product: 'p3', variantId: null }] },
+  ],
+});
+
+const item = (line, quantity = 1, reasonCode = 'damaged') => ({ line, quantity, reasonCode });
+
+/* -------------------------------------------------------------------------- */
+/* planReturn                                                                 */
+/* -------------------------------------------------------------------------- */
+
+test('delivered lines from one store become one request for that store', () => {
+  const plan = planReturn({ order: splitOrder(), items: [item(0, 2), item(1)], now: NOW });
+  assert.equal(plan.ok, true);
+  assert.equal(plan.value.length, 1);
+  assert.equal(plan.value[0].merchant, 'm1');
+  assert.equal(plan.value[0].fulfillment._id, 'f1');
+  assert.deepEqual(plan.value[0].items.map((i) => [i.line, i.quantity, i.unitPrice]), [[0, 2, 10], [1, 1, 30]]);
+});
+
+test('items still on their way cannot be returned', () => {
+  const plan = planReturn({ order: splitOrder(), items: [item(2)], now: NOW });
+  assert.equal(plan.code, 'NOT_DELIVERED');
+  assert.equal(plan.line, 2);
+});
+
+test('the window closes a fixed number of days after that shipment arrived', () => {
+  const late = new Date(DELIVERED.getTime() + 15 * 24 * 60 * 60 * 1000);
+  assert.equal(planReturn({ order: splitOrder(), items: [item(0)], now: late }).code, 'RETURN_WINDOW_CLOSED');
+  assert.equal(planReturn({ order: splitOrder(), items: [item(0)], now: late, windowDays: 30 }).ok, true);
+});
+
+test('units already claimed cannot be claimed again, unless that request was rejected', () => {
+  const order = splitOrder();
+  const open = [{ status: 'requested', items: [{ line: 0, quantity: 1 }] }];
+  assert.equal(planReturn({ order, items: [item(0, 1)], existing: open, now: NOW }).ok, true);
+  assert.equal(planReturn({ order, items: [item(0, 2)], existing: open, now: NOW }).code, 'QUANTITY_NOT_RETURNABLE');
+
+  const rejected = [{ status: 'rejected', items: [{ line: 0, quantity: 2 }] }];
+  assert.equal(planReturn({ order, items: [item(0, 2)], existing: rejected, now: NOW }).ok, true);
+});
+
+test('bad lines, duplicates and unknown reasons are refused', () => {
+  const order = splitOrder();
+  assert.equal(planReturn({ order, items: [], now: NOW }).code, 'EMPTY_RETURN');
+  assert.equal(planReturn({ order, items: [item(9)], now: NOW }).code, 'INVALID_LINE');
+  assert.equal(planReturn({ order, items: [item(0), item(0)], now: NOW }).code, 'DUPLICATE_LINE');
+  assert.equal(planReturn({ order, items: [item(0, 1, 'bored')], now: NOW }).code, 'INVALID_REASON');
+  assert.equal(planReturn({ order, items: [item(0, 0)], now: NOW }).code, 'QUANTITY_NOT_RETURNABLE');
+});
+
+test('orders placed before shipments existed are split by the product\'s store', () => {
+  const order = {
+    status: 'delivered',
+    products: [
+      { product: 'p1', quantity: 1, price: 10 },
+      { product: 'p2', quantity: 1, price: 10 },
+    ],
+    statusHistory: [{ from: 'shipped', to: 'delivered', at: DELIVERED }],
+  };
+  const merchantOf = new Map([['p1', 'm1'], ['p2', 'm2']]);
+  const plan = planReturn({ order, items: [item(0), item(1)], merchantOf, now: NOW });
+  assert.deepEqual(plan.value.map((g) => g.merchant), ['m1', 'm2']);
+  assert.equal(plan.value[0].fulfillment, null);
+
+  assert.equal(deliveredAtFor(order, order.products[0]).at, DELIVERED);
+  assert.equal(planReturn({ order, items: [item(0)], now: NOW }).code, 'NOT_RETURNABLE');
+});
+
+/* -------------------------------------------------------------------------- */
+/* refundForItems                                                             */
+/* -------------------------------------------------------------------------- */
+
+test('a refund is the items\' share of what was paid for goods, not shipping', () => {
+  const order = {
+    totalAmount: 100, discountAmount: 10, shippingFee: 5,
+    totalAmountConverted: 60000, discountAmountConverted: 6000,
+  };
+  assert.deepEqual(refundForItems(order, [{ unitPrice: 25, quantity: 2 }]), { amount: 45, amountConverted: 27000 });
+});
+
+test('orders without a converted total refund in USD only', () => {
+  assert.deepEqual(refundForItems({ totalAmount: 40 }, [{ unitPrice: 10, quantity: 1 }]), { amount: 10, amountConverted: null });
+  assert.deepEqual(refundForItems({ totalAmount: 0 }, [{ unitPrice: 10, quantity: 1 }]), { amount: 0, amountConverted: null });
+});
@@ -0,0 +1,55 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { MAX_ZONE_POSITIONS, unservedMerchants, validateZoneArea } from '../serviceArea.js';
+
+const square = [[32.5, 15.5], [32.6, 15.5], [32.6, 15.6], [32.5, 15.6], [32.5, 15.5]];
+
+/* -------------------------------------------------------------------------- */
+/* validateZoneArea                                                           */
+/* -------------------------------------------------------------------------- */
+
+test('a closed polygon and a multipolygon are accepted', () => {
+  assert.equal(validateZoneArea({ type: 'Polygon', coordinates: [square] }).ok, true);
+  assert.equal(validateZoneArea({ type: 'MultiPolygon', coordinates: [[square], [square]] }).ok, true);
+});
+
+test('only the GeoJSON fields are kept', () => {
+  const { value } = validateZoneArea({ type: 'Polygon', coordinates: [square], crs: 'x' });
+  assert.deepEqual(Object.keys(value), ['type', 'coordinates']);
+});
+
+test('other geometry types are refused', () => {
+  assert.equal(validateZoneArea({ type: 'Point', coordinates: [32.5, 15.5] }).ok, false);
+  assert.equal(validateZoneArea(null).ok, false);
+  assert.equal(validateZoneArea('Polygon').ok, false);
+});
+
+test('an open ring is refused with a message naming it', () => {
+  const open = square.slice(0, -1).concat([[32.55, 15.55]]);
+  const result = validateZoneArea({ type: 'Polygon', coordinates: [open] });
+  assert.equal(result.ok, false);
+  assert.match(result.message, /ring 0 is not closed/);
+});
+
+test('too few positions, or positions out of range, are refused', () => {
+  assert.equal(validateZoneArea({ type: 'Polygon', coordinates: [square.slice(0, 3)] }).ok, false);
+  const flipped = square.map(([lng, lat]) => [lat, lng * 3]);
+  assert.match(validateZoneArea({ type: 'Polygon', coordinates: [flipped] }).message, /position/);
+});
+
+test('oversized shapes are refused', () => {
+  const ring = Array.from({ length: MAX_ZONE_POSITIONS + 1 }, (_, i) => [32 + i / 1e4, 15]);
+  ring.push(ring[0]);
+  assert.match(validateZoneArea({ type: 'Polygon', coordinates: [ring] }).message, /simplify/);
+});
+
+/* -------------------------------------------------------------------------- */
+/* unservedMerchants                                                          */
+/* -------------------------------------------------------------------------- */
+
+test('a store is unserved only when it drew zones and none contains the pin', () => {
+  assert.deepEqual(unservedMerchants(['a', 'b', 'b'], ['b']), ['a']);
+  assert.deepEqual(unservedMerchants(['a'], ['a']), []);
+  assert.deepEqual(unservedMerchants([], []), []);
+});
@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeDeliveryFee, pricingInUSD } from '../shippingRate.js';
+
+const pricing = {
+  baseFee: 2,
+  includedKm: 3,
+  perKmFee: 0.5,
+  maxFee: null,
+  freeAboveOrderValue: null,
+};
+
+/* -------------------------------------------------------------------------- */
+/* computeDeliveryFee                                                         */
+/* -------------------------------------------------------------------------- */
+
+test('the base fee covers the included kilometres', () => {
+  const r = computeDeliveryFee({ pricing, distanceMeters: 2500, subtotal: 10 });
+  assert.equal(r.fee, 2);
+  assert.equal(r.distanceKm, 2.5);
+  assert.equal(r.chargeableKm, 0);
+  assert.equal(r.distanceFee, 0);
+});
+
+test('every kilometre past the included ones is charged', () => {
+  const r = computeDeliveryFee({ pricing, distanceMeters: 7000, subtotal: 10 });
+  assert.equal(r.chargeableKm, 4);
+  assert.equal(r.distanceFee, 2);
+  assert.equal(r.fee, 4);
+  assert.equal(r.capped, false);
+});
+
+test('the fee is clamped to maxFee', () => {
+  const r = computeDeliveryFee({
+    pricing: { ...pricing, maxFee: 5 },
+    distanceMeters: 30000,
+    subtotal: 10,
+  });
+  assert.equal(r.fee, 5);
+  assert.equal(r.capped, true);
+});
+
+test('delivery is free at or above the threshold, and only then', () => {
+  const free = { ...pricing, freeAboveOrderValue: 50 };
+  assert.equal(computeDeliveryFee({ pricing: free, distanceMeters: 9000, subtotal: 50 }).fee, 0);
+  assert.equal(computeDeliveryFee({ pricing: free, distanceMeters: 9000, subtotal: 50 }).free, true);
+  assert.equal(computeDeliveryFee({ pricing: free, distanceMeters: 9000, subtotal: 49.99 }).fee, 5);
+});
+
+test('an unknown distance is charged the base fee alone', () => {
+  const r = computeDeliveryFee({ pricing, distanceMeters: null, subtotal: 10 });
+  assert.equal(r.fee, 2);
+  assert.equal(r.distanceKm, null);
+  assert.equal(r.chargeableKm, 0);
+});
+
+test('missing pricing charges nothing', () => {
+  assert.equal(computeDeliveryFee({ pricing: undefined, distanceMeters: 5000, subtotal: 10 }).fee, 0);
+});
+
+/* -------------------------------------------------------------------------- */
+/* pricingInUSD                                                               */
+/* -------------------------------------------------------------------------- */
+
+test('zone pricing in a local currency is divided back into USD', () => {
+  const usd = pricingInUSD(
+    { baseFee: 1200, includedKm: 3, perKmFee: 300, maxFee: 6000, freeAboveOrderValue: null, currencyCode: 'SDG' },
+    600,
+  );
+  assert.deepEqual(usd, {
+    baseFee: 2,
+    includedKm: 3,
+    perKmFee: 0.5,
+    maxFee: 10,
+    freeAboveOrderValue: null,
+    currencyCode: 'USD',
+  });
+});
+
+test('USD pricing passes through unchanged', () => {
+  assert.equal(pricingInUSD(pricing, 1).baseFee, 2);
+  assert.equal(pricingInUSD({ ...pricing, maxFee: 0 }, 1).maxFee, 0);
+});
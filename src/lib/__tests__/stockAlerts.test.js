@@ -0,0 +1,33 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { DEFAULT_LOW_STOCK_THRESHOLD, alertsFor, mayAlert, thresholdFor } from '../stockAlerts.js';
+
+test('thresholdFor prefers the variant, then the store, then the default — and keeps zero', () => {
+  assert.equal(thresholdFor({ lowStockThreshold: 2 }, { lowStockThreshold: 10 }), 2);
+  assert.equal(thresholdFor({ lowStockThreshold: null }, { lowStockThreshold: 10 }), 10);
+  assert.equal(thresholdFor({ lowStockThreshold: 0 }, { lowStockThreshold: 10 }), 0);
+  assert.equal(thresholdFor({}, {}), DEFAULT_LOW_STOCK_THRESHOLD);
+  assert.equal(thresholdFor(undefined, null), DEFAULT_LOW_STOCK_THRESHOLD);
+});
+
+test('alertsFor raises low_stock only on the crossing, not on every sale below it', () => {
+  assert.deepEqual(alertsFor({ before: 6, after: 5 }, 5), ['low_stock']);
+  assert.deepEqual(alertsFor({ before: 9, after: 0 }, 5), ['low_stock']);
+  assert.deepEqual(alertsFor({ before: 5, after: 4 }, 5), []);
+  assert.deepEqual(alertsFor({ before: 9, after: 6 }, 5), []);
+  assert.deepEqual(alertsFor({ before: 1, after: 0 }, 0), ['low_stock']);
+});
+
+test('alertsFor raises back_in_stock from none to some, and nothing on a further restock', () => {
+  assert.deepEqual(alertsFor({ before: 0, after: 3 }, 5), ['back_in_stock']);
+  assert.deepEqual(alertsFor({ before: 3, after: 20 }, 5), []);
+  assert.deepEqual(alertsFor({ before: 0, after: 0 }, 5), []);
+});
+
+test('mayAlert passes decreases and restocks from zero, drops other increases', () => {
+  assert.equal(mayAlert({ before: 10, after: 9 }), true);
+  assert.equal(mayAlert({ before: 0, after: 1 }), true);
+  assert.equal(mayAlert({ before: 1, after: 5 }), false);
+  assert.equal(mayAlert({ before: 4, after: 4 }), false);
+});
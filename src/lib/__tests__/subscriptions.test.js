@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SUBSCRIPTION_TTL_DAYS, checkSubscription, priceTargetMet, subscriptionExpiry } from '../subscriptions.js';
+
+test('subscriptionExpiry is SUBSCRIPTION_TTL_DAYS on', () => {
+  const from = new Date('2026-01-01T00:00:00Z');
+  assert.equal(subscriptionExpiry(from).getTime() - from.getTime(), SUBSCRIPTION_TTL_DAYS * 86400000);
+});
+
+test('priceTargetMet at or below the target, never at zero', () => {
+  assert.equal(priceTargetMet(9000, 9000), true);
+  assert.equal(priceTargetMet(8990, 9000), true);
+  assert.equal(priceTargetMet(9010, 9000), false);
+  assert.equal(priceTargetMet(0, 9000), false);
+});
+
+test('checkSubscription refuses watches that would fire at once', () => {
+  assert.equal(checkSubscription({ kind: 'restock', stock: 3 }).code, 'ALREADY_IN_STOCK');
+  assert.equal(checkSubscription({ kind: 'restock', stock: 0 }).ok, true);
+  assert.equal(checkSubscription({ kind: 'price', stock: 3, displayPrice: 100, targetPrice: 100 }).code, 'TARGET_ALREADY_MET');
+  assert.equal(checkSubscription({ kind: 'price', stock: 3, displayPrice: 100, targetPrice: 0 }).code, 'INVALID_TARGET');
+  // Sold out is no reason not to watch the price.
+  assert.equal(checkSubscription({ kind: 'price', stock: 0, displayPrice: 100, targetPrice: 80 }).ok, true);
+});
@@ -0,0 +1,162 @@
+/**
+ * BANKAK transfers — checking a shopper's bank transfer before the order goes
+ * ahead.
+ *
+ * A BANKAK order is placed unpaid. The shopper makes the transfer in the
+ * Bankak app and tells us about it: the transaction reference, the amount they
+ * sent, the account they sent it from, and a screenshot. An admin checks that
+ * against the bank and approves or rejects it.
+ *
+ * Two things make a transfer suspicious on sight, and both are flagged in the
+ * admin queue rather than blocking the shopper:
+ *
+ * - DUPLICATE_REFERENCE — the same transaction reference was given for
+ *   another order. One transfer can only pay for one order; approving a
+ *   reference another order was already paid with is refused outright.
+ * - AMOUNT_MISMATCH — the amount sent is not what the order costs in the
+ *   shopper's currency (`finalAmountConverted`), give or take rounding.
+ *
+ * An order the shopper never pays for should not keep its stock forever. New
+ * BANKAK orders carry a payment deadline; the shopper is reminded a few hours
+ * before it, and an order still waiting on the shopper when it passes is
+ * cancelled. An order whose transfer is waiting on *us* is left alone — an
+ * admin being slow is not the shopper's fault.
+ */
+
+import { amountDue } from './payments.js';
+
+/** Hours a shopper has to pay for a BANKAK order. BANKAK_PAYMENT_HOURS overrides. */
+export const DEFAULT_BANKAK_PAYMENT_HOURS = 24;
+
+/** Hours before the deadline the reminder goes out. BANKAK_REMINDER_HOURS overrides. */
+export const DEFAULT_BANKAK_REMINDER_HOURS = 6;
+
+/** How far the amount sent may be off the order total, as a share of it. */
+export const BANKAK_AMOUNT_TOLERANCE = 0.005;
+
+export const BANKAK_FLAGS = ['MISSING_REFERENCE', 'DUPLICATE_REFERENCE', 'AMOUNT_MISMATCH', 'DEADLINE_PASSED'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * A transaction reference as compared across orders: shoppers type it with
+ * spaces or dashes, or in lower case, and it is the same transfer.
+ */
+export const normalizeTransferReference = (reference) =>
+  String(reference || '').replace(/[\s-]+/g, '').toUpperCase();
+
+/** What the shopper should have sent: what the order costs them, as for a card. */
+export const expectedTransfer = amountDue;
+
+/** True when `sent` is more than rounding away from `expected`. */
+export const isAmountMismatch = (sent, expected) =>
+  Math.abs(round2(sent) - round2(expected)) > Math.max(0.01, Math.abs(expected) * BANKAK_AMOUNT_TOLERANCE);
+
+/** The payment deadline for a BANKAK order placed at `placedAt`. */
+export const paymentDeadline = (placedAt, hours = DEFAULT_BANKAK_PAYMENT_HOURS) =>
+  new Date(new Date(placedAt).getTime() + hours * HOUR_MS);
+
+/**
+ * Whether the next move is the shopper's: they have not told us about a
+ * transfer yet, or the one they did was rejected.
+ */
+export const awaitingShopper = (order) =>
+  !order.bankakTransfer?.reference || order.bankakApproval?.status === 'rejected';
+
+/**
+ * Check a shopper's transfer details can be recorded on an order. A transfer
+ * awaiting review may be replaced — shoppers mistype references — and a
+ * rejected one may be sent again until the deadline.
+ *
+ * @param {object} order
+ * @param {Date} [now]
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planTransferSubmission = (order, now = new Date()) => {
+  if (order.paymentMethod !== 'BANKAK') {
+    return { ok: false, code: 'NOT_BANKAK', message: 'This order is not paid by BANKAK transfer' };
+  }
+  if (order.paymentStatus === 'paid') {
+    return { ok: false, code: 'ALREADY_PAID', message: 'This order is already paid' };
+  }
+  if (order.status !== 'pending') {
+    return { ok: false, code: 'ORDER_CLOSED', message: `A ${order.status} order cannot take a payment` };
+  }
+  if (order.paymentDeadline && new Date(order.paymentDeadline) <= now) {
+    return { ok: false, code: 'DEADLINE_PASSED', message: 'The payment deadline for this order has passed' };
+  }
+  return { ok: true };
+};
+
+/**
+ * Check an admin may approve an order's transfer.
+ *
+ * @param {object} order
+ * @param {Array<{ paymentStatus: string }>} duplicates - other orders given
+ *        the same reference
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planBankakApproval = (order, duplicates = []) => {
+  if (order.paymentMethod !== 'BANKAK') {
+    return { ok: false, code: 'NOT_BANKAK', message: 'This order is not paid by BANKAK transfer' };
+  }
+  if (order.paymentStatus === 'paid') {
+    return { ok: false, code: 'ALREADY_PAID', message: 'This order is already paid' };
+  }
+  if (!order.transferProof) {
+    return { ok: false, code: 'MISSING_PROOF', message: 'Missing transfer proof' };
+  }
+  if (duplicates.some((d) => d.paymentStatus === 'paid')) {
+    return {
+      ok: false,
+      code: 'DUPLICATE_REFERENCE',
+      message: 'Another order was already paid with this transfer reference',
+    };
+  }
+  return { ok: true };
+};
+
+/**
+ * Why an order in the verification queue deserves a closer look.
+ *
+ * @param {object} order
+ * @param {object} [options]
+ * @param {Array} [options.duplicates] - other orders with the same reference
+ * @param {Date} [options.now]
+ * @returns {string[]} members of BANKAK_FLAGS
+ */
+export const transferFlags = (order, { duplicates = [], now = new Date() } = {}) => {
+  const flags = [];
+  const transfer = order.bankakTransfer;
+  if (!transfer?.reference) flags.push('MISSING_REFERENCE');
+  if (duplicates.length) flags.push('DUPLICATE_REFERENCE');
+  if (transfer?.amount != null && isAmountMismatch(transfer.amount, expectedTransfer(order).amount)) {
+    flags.push('AMOUNT_MISMATCH');
+  }
+  if (order.paymentDeadline && new Date(order.paymentDeadline) <= now) flags.push('DEADLINE_PASSED');
+  return flags;
+};
+
+/**
+ * What the deadline sweep should do with an unpaid BANKAK order.
+ *
+ * Orders placed before deadlines existed have none and are never touched.
+ *
+ * @param {object} order
+ * @param {object} [options]
+ * @param {Date} [options.now]
+ * @param {number} [options.reminderHours]
+ * @returns {'cancel'|'remind'|null}
+ */
+export const deadlineAction = (order, { now = new Date(), reminderHours = DEFAULT_BANKAK_REMINDER_HOURS } = {}) => {
+  if (!order.paymentDeadline || order.paymentMethod !== 'BANKAK') return null;
+  if (order.paymentStatus === 'paid' || order.status !== 'pending') return null;
+  if (!awaitingShopper(order)) return null;
+
+  const deadline = new Date(order.paymentDeadline).getTime();
+  if (deadline <= now.getTime()) return 'cancel';
+  if (!order.paymentReminderSentAt && deadline - reminderHours * HOUR_MS <= now.getTime()) return 'remind';
+  return null;
+};
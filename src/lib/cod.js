@@ -0,0 +1,160 @@
+/**
+ * Cash on delivery — who took the shopper's cash, and whether it all reached
+ * finance.
+ *
+ * A CASH order is paid at the door. The courier (or a collection agent)
+ * records the cash as they take it: how much, when, and where they were
+ * standing (the pin). At the end of the day they hand the cash over, and an
+ * admin settles their sheet: every collection not yet settled, what each
+ * order should have brought in, what the courier says it did, and what was
+ * counted at the handover. Settling marks the orders paid.
+ *
+ * A sheet covers a business day in Khartoum, and carries over anything the
+ * courier collected earlier and never handed in, so nothing falls between two
+ * days.
+ *
+ * What makes a line or a sheet worth a second look — flagged, never blocking,
+ * since the cash has already changed hands:
+ *
+ * - SHORT_COLLECTED / OVER_COLLECTED — the courier took less or more than the
+ *   order costs the shopper, give or take rounding
+ * - CARRIED_OVER — collected on an earlier day and not handed in then
+ * - NO_PIN       — recorded without a location
+ * - SHORT_HANDOVER / OVER_HANDOVER — the cash counted at the handover is not
+ *   what the courier's collections add up to, per currency
+ */
+
+import { isAmountMismatch } from './bankak.js';
+import { amountDue } from './payments.js';
+
+export const COLLECTION_STATUSES = ['collected', 'voided'];
+
+export const COURIER_KINDS = ['courier', 'agent'];
+
+export const COD_LINE_FLAGS = ['SHORT_COLLECTED', 'OVER_COLLECTED', 'CARRIED_OVER', 'NO_PIN'];
+
+export const COD_SHEET_FLAGS = ['SHORT_HANDOVER', 'OVER_HANDOVER'];
+
+/**
+ * Settlement days are cut in Khartoum time, like the admin charts. Sudan has
+ * kept UTC+2 all year since 2017, so a fixed offset is exact.
+ */
+export const COD_TIMEZONE_OFFSET = '+02:00';
+
+/** Order statuses at which the cash can have changed hands. */
+const COLLECTABLE_STATUSES = ['out_for_delivery', 'shipped', 'delivered'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFSET_MS = 2 * 60 * 60 * 1000;
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/** The Khartoum business day (`YYYY-MM-DD`) a moment falls on. */
+export const settlementDay = (date = new Date()) =>
+  new Date(new Date(date).getTime() + OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * The instants a business day runs between, `end` exclusive.
+ *
+ * @param {string} day - YYYY-MM-DD
+ * @returns {{ start: Date, end: Date }}
+ */
+export const dayBounds = (day) => {
+  const start = new Date(`${day}T00:00:00${COD_TIMEZONE_OFFSET}`);
+  return { start, end: new Date(start.getTime() + DAY_MS) };
+};
+
+/** What the courier should take at the door: what the order costs the shopper. */
+export const expectedCash = amountDue;
+
+/**
+ * Check cash can be recorded against an order.
+ *
+ * @param {object} order
+ * @param {object|null} existing - the order's standing (not voided) collection
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planCashCollection = (order, existing = null) => {
+  if (order.paymentMethod !== 'CASH') {
+    return { ok: false, code: 'NOT_CASH', message: 'This order is not paid in cash' };
+  }
+  if (existing) {
+    return { ok: false, code: 'ALREADY_COLLECTED', message: 'Cash for this order was already recorded' };
+  }
+  if (order.paymentStatus === 'paid') {
+    return { ok: false, code: 'ALREADY_PAID', message: 'This order is already paid' };
+  }
+  if (!COLLECTABLE_STATUSES.includes(order.status)) {
+    return { ok: false, code: 'NOT_OUT_FOR_DELIVERY', message: `Cash cannot be collected on a ${order.status} order` };
+  }
+  return { ok: true };
+};
+
+/**
+ * Why one collection deserves a closer look.
+ *
+ * @param {{ amount: number, expected: number, collectedAt: Date, location?: object }} collection
+ * @param {string} day - the sheet's business day
+ * @returns {string[]} members of COD_LINE_FLAGS
+ */
+export const collectionFlags = (collection, day) => {
+  const flags = [];
+  if (isAmountMismatch(collection.amount, collection.expected)) {
+    flags.push(collection.amount < collection.expected ? 'SHORT_COLLECTED' : 'OVER_COLLECTED');
+  }
+  if (settlementDay(collection.collectedAt) < day) flags.push('CARRIED_OVER');
+  if (!collection.location?.coordinates?.length) flags.push('NO_PIN');
+  return flags;
+};
+
+/**
+ * A courier's settlement sheet for a day: one line per unsettled collection,
+ * and per currency what the orders should have brought in, what was
+ * collected, and — once the cash is counted — what was handed over.
+ *
+ * @param {Array<{ _id, order, orderNumber, amount, expected, currency, collectedAt, location? }>} collections
+ * @param {object} options
+ * @param {string} options.day
+ * @param {Array<{ currency: string, amount: number }>} [options.handedOver] - omit for a draft
+ * @returns {{ lines: object[], totals: object[], flags: string[] }}
+ */
+export const buildSettlementSheet = (collections, { day, handedOver = null }) => {
+  const lines = [...collections]
+    .sort((a, b) => new Date(a.collectedAt) - new Date(b.collectedAt))
+    .map((c) => ({
+      cashCollection: c._id,
+      order:          c.order,
+      orderNumber:    c.orderNumber,
+      currency:       c.currency,
+      expected:       round2(c.expected),
+      collected:      round2(c.amount),
+      collectedAt:    c.collectedAt,
+      flags:          collectionFlags(c, day),
+    }));
+
+  const byCurrency = new Map();
+  const totalFor = (currency) => {
+    if (!byCurrency.has(currency)) byCurrency.set(currency, { currency, expected: 0, collected: 0 });
+    return byCurrency.get(currency);
+  };
+  for (const line of lines) {
+    const total = totalFor(line.currency);
+    total.expected = round2(total.expected + line.expected);
+    total.collected = round2(total.collected + line.collected);
+  }
+
+  const flags = new Set();
+  if (handedOver) {
+    for (const { currency } of handedOver) totalFor(currency);
+    for (const total of byCurrency.values()) {
+      const counted = handedOver.find((h) => h.currency === total.currency);
+      total.handedOver = round2(counted?.amount ?? 0);
+      total.difference = round2(total.handedOver - total.collected);
+      if (total.difference < 0) flags.add('SHORT_HANDOVER');
+      if (total.difference > 0) flags.add('OVER_HANDOVER');
+    }
+  }
+
+  const totals = [...byCurrency.values()].sort((a, b) => a.currency.localeCompare(b.currency));
+  return { lines, totals, flags: COD_SHEET_FLAGS.filter((f) => flags.has(f)) };
+};
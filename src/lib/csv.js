@@ -0,0 +1,116 @@
+/**
+ * CSV for files people open in a spreadsheet.
+ *
+ * RFC 4180 quoting, CRLF line ends, and one guard on top: a cell starting with
+ * `=`, `+`, `-`, `@`, tab or CR is read by Excel and Sheets as a formula, so a
+ * store name like `=HYPERLINK(...)` would run on the finance team's machine.
+ * Such cells get a leading apostrophe. Numbers are written as they are, so a
+ * negative amount stays a number.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const cell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? String(value) : '';
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const line = (cells) => `${cells.join(',')}\r\n`;
+
+/**
+ * @param {Array<{ header: string, value: (row: object) => any }>} columns
+ * @param {Array<object>} rows
+ * @returns {string}
+ */
+export const toCsv = (columns, rows) =>
+  [columns.map((c) => cell(c.header)), ...rows.map((row) => columns.map((c) => cell(c.value(row))))]
+    .map(line)
+    .join('');
+
+/** Rows gathered into one piece of a streamed file. */
+const CHUNK_ROWS = 500;
+
+/**
+ * The same file, streamed: rows are read as they come (a Mongo cursor) and
+ * written out a few hundred at a time, so an export never holds them all.
+ *
+ * @param {Array<{ header: string, value: (row: object) => any }>} columns
+ * @param {AsyncIterable<object>|Iterable<object>} rows
+ * @returns {AsyncGenerator<string>}
+ */
+export async function* csvChunks(columns, rows) {
+  let pending = [line(columns.map((c) => cell(c.header)))];
+  for await (const row of rows) {
+    pending.push(line(columns.map((c) => cell(c.value(row)))));
+    if (pending.length >= CHUNK_ROWS) {
+      yield pending.join('');
+      pending = [];
+    }
+  }
+  yield pending.join('');
+}
+
+/**
+ * Read a CSV file back into records — arrays of cell text, one per spreadsheet
+ * row, so `records[i]` is row i + 1 as the person who made the file sees it.
+ *
+ * The inverse of toCsv: quotes and doubled quotes, CRLF or LF, a UTF-8 BOM as
+ * Excel writes it, and the formula guard's apostrophe taken back off. Blank
+ * lines are kept, as empty records, so row numbers stay true.
+ *
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export const parseCsv = (text) => {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const records = [];
+  let record = [];
+  let value = '';
+  let quoted = false;
+  let wasQuoted = false;
+
+  const endCell = () => {
+    record.push(!wasQuoted && value === '' ? '' : unguard(value));
+    value = '';
+    wasQuoted = false;
+  };
+  const endRecord = () => {
+    endCell();
+    records.push(record.length === 1 && record[0] === '' ? [] : record);
+    record = [];
+  };
+
+  for (let i = 0; i < source.length; i += 1) {
+    const ch = source[i];
+    if (quoted) {
+      if (ch === '"' && source[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        value += ch;
+      }
+    } else if (ch === '"' && value === '') {
+      quoted = true;
+      wasQuoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && source[i + 1] === '\n') i += 1;
+      endRecord();
+    } else {
+      value += ch;
+    }
+  }
+  if (value !== '' || wasQuoted || record.length) endRecord();
+  return records;
+};
+
+// The apostrophe cell() puts in front of a formula-looking value.
+const unguard = (text) => (text[0] === "'" && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
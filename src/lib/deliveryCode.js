@@ -0,0 +1,77 @@
+/**
+ * Delivery codes — proof the parcel reached the shopper.
+ *
+ * When an order (or one store's shipment) leaves the store, a one-time code
+ * is issued and shown to the shopper in the app. Whoever hands the parcel
+ * over — a platform courier or the store's own rider — enters it, and only
+ * then is the order `delivered`. That is what lets a merchant mark their own
+ * order delivered at all: without the code it would be a store vouching for
+ * itself on the move that pays it (commission, ledger credit).
+ *
+ * A code takes a limited number of wrong guesses and then locks; an admin
+ * issues a new one after checking with the shopper.
+ *
+ *   active ──right code──▶ used
+ *      └────too many wrong──▶ locked ──admin reissues──▶ active
+ */
+
+export const DELIVERY_CODE_STATUSES = ['active', 'used', 'locked'];
+
+/** Digits in a code: short enough to read out at the door. */
+export const DELIVERY_CODE_LENGTH = 6;
+
+/** Wrong entries before a code locks. DELIVERY_CODE_MAX_ATTEMPTS overrides. */
+export const DEFAULT_MAX_CODE_ATTEMPTS = 5;
+
+/** Statuses at which the parcel has left the store, and a code is issued. */
+export const CODE_ISSUE_STATUSES = ['shipped', 'out_for_delivery'];
+
+/** Statuses from which an order can be delivered with its code. */
+const DELIVERABLE_STATUSES = ['shipped', 'out_for_delivery'];
+
+/** How a delivery was proven, as recorded on the status history entry. */
+export const DELIVERY_PROOFS = ['delivery_code'];
+
+/** Normalise what was typed: digits only, so "123 456" and "123-456" work. */
+export const normalizeCode = (input) => String(input ?? '').replace(/\D/g, '');
+
+/**
+ * Check a code can be tried against a delivery.
+ *
+ * @param {object|null} deliveryCode - the shipment's code, null when none was issued
+ * @param {object} options
+ * @param {string} options.status       - the order's, or the shipment's, status
+ * @param {number} options.maxAttempts
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planCodeEntry = (deliveryCode, { status, maxAttempts = DEFAULT_MAX_CODE_ATTEMPTS }) => {
+  if (!deliveryCode) {
+    return { ok: false, code: 'CODE_NOT_ISSUED', message: 'No delivery code was issued for this order' };
+  }
+  if (deliveryCode.status === 'used') {
+    return { ok: false, code: 'CODE_USED', message: 'This delivery was already confirmed' };
+  }
+  if (deliveryCode.status === 'locked' || deliveryCode.attempts >= maxAttempts) {
+    return {
+      ok: false,
+      code: 'CODE_LOCKED',
+      message: 'Too many wrong codes — ask support to issue a new one',
+    };
+  }
+  if (!DELIVERABLE_STATUSES.includes(status)) {
+    return { ok: false, code: 'NOT_OUT_FOR_DELIVERY', message: `A ${status} order cannot be delivered` };
+  }
+  return { ok: true };
+};
+
+/**
+ * What a wrong entry leaves behind.
+ *
+ * @param {number} attempts - wrong entries so far, this one included
+ * @param {number} maxAttempts
+ * @returns {{ attemptsLeft: number, locked: boolean }}
+ */
+export const afterWrongCode = (attempts, maxAttempts = DEFAULT_MAX_CODE_ATTEMPTS) => {
+  const attemptsLeft = Math.max(0, maxAttempts - attempts);
+  return { attemptsLeft, locked: attemptsLeft === 0 };
+};
@@ -0,0 +1,150 @@
+/**
+ * Delivery runs — a day's orders for one zone, cut into trips a courier can
+ * make from the depot, and the manifest they carry.
+ *
+ * Each run starts at the depot and goes to the nearest stop not yet taken,
+ * then the nearest to that, until it holds `maxStops`; the next run starts
+ * from the depot again. Nearest-neighbour is not the shortest tour, but it is
+ * predictable, fast for a day's worth of stops, and the order it gives reads
+ * sensibly to a courier who knows the streets and will cut corners anyway.
+ *
+ * Orders booked into a delivery window (deliverySlots.js) are routed with
+ * the others in their window, earliest window first, and orders without one
+ * after them: a run that mixes the morning and the evening serves neither.
+ *
+ * Only pinned orders can be routed. Orders from an un-pinned legacy address
+ * are returned apart, for ops to place by phone.
+ *
+ * Distances are straight lines: the caller passes the distance function
+ * (haversineMeters), so a road-distance provider can replace it later.
+ */
+
+import { toCsv } from './csv.js';
+
+/** Stops per run when ROUTE_MAX_STOPS is not set. */
+export const DEFAULT_MAX_STOPS_PER_RUN = 12;
+
+/** A link that opens the pin in Google Maps, on a phone or a desktop. */
+export const mapsLink = ({ lat, lng }) => `https://www.google.com/maps/search/?api=1&query=${lat},${lng}`;
+
+/**
+ * Cut stops into runs from the depot, each ordered nearest-first.
+ *
+ * @param {{ lat: number, lng: number }} depot
+ * @param {Array<{ point: { lat: number, lng: number } }>} stops
+ * @param {object} options
+ * @param {(a, b) => number} options.distance - metres between two points
+ * @param {number} [options.maxStops]
+ * @returns {Array<{ number: number, stops: object[], distanceMeters: number }>}
+ *   each stop gains `sequence` (1-based) and `legMeters`, the distance from
+ *   the previous stop or the depot
+ */
+export const planRuns = (depot, stops, { distance, maxStops = DEFAULT_MAX_STOPS_PER_RUN }) => {
+  const remaining = [...stops];
+  const runs = [];
+
+  while (remaining.length) {
+    const run = { number: runs.length + 1, stops: [], distanceMeters: 0 };
+    let at = depot;
+    while (remaining.length && run.stops.length < maxStops) {
+      // Ties go to the earlier stop, so the same input always gives the same runs.
+      let best = 0;
+      let bestMeters = distance(at, remaining[0].point);
+      for (let i = 1; i < remaining.length; i += 1) {
+        const meters = distance(at, remaining[i].point);
+        if (meters < bestMeters) {
+          best = i;
+          bestMeters = meters;
+        }
+      }
+      const [stop] = remaining.splice(best, 1);
+      const legMeters = Math.round(bestMeters);
+      run.stops.push({ ...stop, sequence: run.stops.length + 1, legMeters });
+      run.distanceMeters += legMeters;
+      at = stop.point;
+    }
+    runs.push(run);
+  }
+  return runs;
+};
+
+/**
+ * Plan one zone's day: runs per delivery window, numbered across the zone,
+ * and the stops that could not be routed.
+ *
+ * @param {{ lat: number, lng: number }} depot
+ * @param {Array<{ point: object|null, window: { id: string, start: string, end: string }|null }>} stops
+ * @param {object} options - as planRuns
+ * @returns {{ runs: object[], unrouted: object[] }} each run carries its `window`
+ */
+export const planZone = (depot, stops, options) => {
+  const groups = new Map();
+  for (const s of stops.filter((stop) => stop.point)) {
+    const key = s.window?.id || '';
+    if (!groups.has(key)) groups.set(key, { window: s.window || null, stops: [] });
+    groups.get(key).stops.push(s);
+  }
+
+  // Slot ids sort by day then start time; the unscheduled group ('') is last.
+  const keys = [...groups.keys()].sort((a, b) => (!a ? 1 : !b ? -1 : a.localeCompare(b)));
+  const runs = [];
+  for (const key of keys) {
+    const { window, stops: grouped } = groups.get(key);
+    for (const run of planRuns(depot, grouped, options)) {
+      runs.push({ ...run, number: runs.length + 1, window });
+    }
+  }
+  return { runs, unrouted: stops.filter((s) => !s.point) };
+};
+
+/**
+ * Cash a run's courier should come back with, per currency.
+ *
+ * @param {Array<{ cod: { amount: number, currency: string }|null }>} stops
+ * @returns {Array<{ currency: string, amount: number }>}
+ */
+export const cashToCollect = (stops) => {
+  const totals = new Map();
+  for (const { cod } of stops) {
+    if (!cod) continue;
+    totals.set(cod.currency, Math.round(((totals.get(cod.currency) || 0) + cod.amount) * 100) / 100);
+  }
+  return [...totals].map(([currency, amount]) => ({ currency, amount }));
+};
+
+/** `09:00-12:00`, or empty for an order with no window. */
+export const windowText = (window) => (window ? `${window.start}-${window.end}` : '');
+
+/**
+ * The manifest as CSV: one row per stop, in the order they are driven, then
+ * the zone's unrouted stops with no run.
+ *
+ * @param {Array<{ zoneName: string, runs: object[], unrouted: object[] }>} zones
+ * @returns {string}
+ */
+export const manifestCsv = (zones) =>
+  toCsv(
+    [
+      { header: 'zone',         value: (r) => r.zoneName },
+      { header: 'run',          value: (r) => r.run },
+      { header: 'stop',         value: (r) => r.sequence },
+      { header: 'order',        value: (r) => r.orderNumber },
+      { header: 'window',       value: (r) => windowText(r.window) },
+      { header: 'name',         value: (r) => r.name },
+      { header: 'phone',        value: (r) => r.phone },
+      { header: 'whatsapp',     value: (r) => r.whatsapp },
+      { header: 'address',      value: (r) => r.address },
+      { header: 'landmark',     value: (r) => r.landmark },
+      { header: 'notes',        value: (r) => r.notes },
+      { header: 'cod_amount',   value: (r) => r.cod?.amount ?? '' },
+      { header: 'cod_currency', value: (r) => r.cod?.currency ?? '' },
+      { header: 'leg_km',       value: (r) => (r.legMeters == null ? '' : Math.round(r.legMeters / 100) / 10) },
+      { header: 'latitude',     value: (r) => r.point?.lat ?? '' },
+      { header: 'longitude',    value: (r) => r.point?.lng ?? '' },
+      { header: 'map',          value: (r) => (r.point ? mapsLink(r.point) : '') },
+    ],
+    zones.flatMap((z) => [
+      ...z.runs.flatMap((run) => run.stops.map((s) => ({ ...s, zoneName: z.zoneName, run: run.number }))),
+      ...(z.unrouted || []).map((s) => ({ ...s, zoneName: z.zoneName, run: null, sequence: null })),
+    ])
+  );
@@ -0,0 +1,199 @@
+/**
+ * Delivery slots — the window a shopper picks for their order to arrive.
+ *
+ * A delivery zone can offer scheduled delivery. Its slot templates say which
+ * weekdays a window runs on, when it starts and ends, how many orders it
+ * takes, and how long before it starts booking closes (`cutoffMinutes`). From
+ * those, checkout offers the windows of the next few days (`daysAhead`,
+ * today included) that have not closed, with what is left of each.
+ *
+ * A slot is named by its day and window — `2026-10-20T09:00-12:00` — so an
+ * order, the capacity counter and the admin view all agree on it without a
+ * collection of slots to keep in step with the templates. Editing a template
+ * changes what is offered from then on; orders already booked keep the
+ * window they were given (it is snapshotted on the order).
+ *
+ * Days and times are Khartoum's, cut the same way as COD settlement days.
+ */
+
+import { COD_TIMEZONE_OFFSET, settlementDay } from './cod.js';
+
+/** HH:MM, 24-hour. */
+export const SLOT_TIME = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** Days of windows offered when a zone does not say, today included. */
+export const DEFAULT_SLOT_DAYS_AHEAD = 3;
+
+export const MAX_SLOT_DAYS_AHEAD = 14;
+
+const SLOT_ID = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})-(\d{2}:\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Minutes since midnight. */
+const minutesOf = (time) => {
+  const [h, m] = time.split(':').map(Number);
+  return h * 60 + m;
+};
+
+/** The Khartoum day (`YYYY-MM-DD`) a moment falls on. */
+export const slotDay = settlementDay;
+
+/** 0 = Sunday … 6 = Saturday, for a `YYYY-MM-DD` day. */
+export const weekdayOf = (day) => new Date(`${day}T12:00:00Z`).getUTCDay();
+
+const addDays = (day, n) => new Date(new Date(`${day}T12:00:00Z`).getTime() + n * DAY_MS).toISOString().slice(0, 10);
+
+export const slotIdOf = (day, start, end) => `${day}T${start}-${end}`;
+
+/**
+ * @param {string} id
+ * @returns {{ day: string, start: string, end: string } | null}
+ */
+export const parseSlotId = (id) => {
+  const match = SLOT_ID.exec(String(id || ''));
+  if (!match) return null;
+  const [, day, start, end] = match;
+  if (!SLOT_TIME.test(start) || !SLOT_TIME.test(end)) return null;
+  return { day, start, end };
+};
+
+/** The instants a window runs between, and when booking it closes. */
+export const slotTimes = (day, { start, end, cutoffMinutes = 0 }) => {
+  const startsAt = new Date(`${day}T${start}:00${COD_TIMEZONE_OFFSET}`);
+  return {
+    startsAt,
+    endsAt: new Date(`${day}T${end}:00${COD_TIMEZONE_OFFSET}`),
+    cutoffAt: new Date(startsAt.getTime() - cutoffMinutes * 60 * 1000),
+  };
+};
+
+/**
+ * What is wrong with a zone's slot templates, if anything.
+ *
+ * @param {Array<{ days: number[], start: string, end: string, capacity: number, cutoffMinutes?: number }>} templates
+ * @returns {string|null}
+ */
+export const slotTemplateError = (templates) => {
+  const seen = new Map();
+  for (const [i, t] of (templates || []).entries()) {
+    if (!SLOT_TIME.test(t.start || '') || !SLOT_TIME.test(t.end || '')) return `Slot ${i + 1}: times must be HH:MM`;
+    if (minutesOf(t.start) >= minutesOf(t.end)) return `Slot ${i + 1}: a window must end after it starts`;
+    if (!Array.isArray(t.days) || !t.days.length || t.days.some((d) => !Number.isInteger(d) || d < 0 || d > 6)) {
+      return `Slot ${i + 1}: days must be weekdays, 0 (Sunday) to 6 (Saturday)`;
+    }
+    if (!Number.isInteger(t.capacity) || t.capacity < 1) return `Slot ${i + 1}: capacity must be at least 1`;
+
+    // Two templates may share a weekday, but not a window on it.
+    for (const d of t.days) {
+      const key = `${d}|${t.start}-${t.end}`;
+      if (seen.has(key)) return `Slots ${seen.get(key) + 1} and ${i + 1} offer the same window on the same day`;
+      seen.set(key, i);
+    }
+  }
+  return null;
+};
+
+/**
+ * The template behind a slot id, when the zone still offers that window on
+ * that weekday.
+ */
+const templateFor = (slots, { day, start, end }) =>
+  (slots?.templates || []).find(
+    (t) => t.start === start && t.end === end && t.days.includes(weekdayOf(day))
+  ) || null;
+
+/**
+ * The windows a zone offers on one day, open or not, with what is booked.
+ *
+ * @param {object} slots - the zone's `slots`
+ * @param {string} day
+ * @param {object} options
+ * @param {Map<string, number>} [options.booked] - orders per slot id
+ * @param {Date} [options.now]
+ * @returns {object[]} in window order
+ */
+export const slotsForDay = (slots, day, { booked = new Map(), now = new Date() } = {}) =>
+  (slots?.templates || [])
+    .filter((t) => t.days.includes(weekdayOf(day)))
+    .sort((a, b) => minutesOf(a.start) - minutesOf(b.start))
+    .map((t) => {
+      const id = slotIdOf(day, t.start, t.end);
+      const { startsAt, endsAt, cutoffAt } = slotTimes(day, t);
+      const taken = booked.get(id) || 0;
+      const remaining = Math.max(0, t.capacity - taken);
+      const open = now < cutoffAt;
+      return {
+        id,
+        day,
+        start: t.start,
+        end: t.end,
+        startsAt,
+        endsAt,
+        cutoffAt,
+        capacity: t.capacity,
+        booked: taken,
+        remaining,
+        open,
+        available: open && remaining > 0,
+      };
+    });
+
+/**
+ * The windows checkout offers: every day from today for `daysAhead` days,
+ * leaving out windows whose booking has closed. Full windows stay in the list
+ * (`available: false`) so the shopper sees why they cannot pick them.
+ *
+ * @param {object} slots - the zone's `slots`
+ * @param {object} [options]
+ * @param {Map<string, number>} [options.booked]
+ * @param {Date} [options.now]
+ * @returns {object[]}
+ */
+export const upcomingSlots = (slots, { booked = new Map(), now = new Date() } = {}) => {
+  if (!slots?.enabled) return [];
+  const today = slotDay(now);
+  const days = Math.min(slots.daysAhead || DEFAULT_SLOT_DAYS_AHEAD, MAX_SLOT_DAYS_AHEAD);
+  const offered = [];
+  for (let i = 0; i < days; i += 1) {
+    offered.push(...slotsForDay(slots, addDays(today, i), { booked, now }).filter((s) => s.open));
+  }
+  return offered;
+};
+
+/** The days upcomingSlots covers, for loading what is booked on them. */
+export const upcomingDays = (slots, now = new Date()) => {
+  const today = slotDay(now);
+  const days = Math.min(slots?.daysAhead || DEFAULT_SLOT_DAYS_AHEAD, MAX_SLOT_DAYS_AHEAD);
+  return Array.from({ length: days }, (_, i) => addDays(today, i));
+};
+
+/**
+ * Check a shopper's pick before capacity is taken for it. Whether it is full
+ * is the capacity counter's call, made atomically when the order is written.
+ *
+ * @param {object|null} slots - the zone's `slots`; null when no zone covers the address
+ * @param {string} slotId
+ * @param {{ now?: Date }} [options]
+ * @returns {{ ok: true, value: { id, day, start, end, startsAt, endsAt, capacity } }
+ *         | { ok: false, code: string, message: string }}
+ */
+export const planSlotBooking = (slots, slotId, { now = new Date() } = {}) => {
+  if (!slots?.enabled) {
+    return { ok: false, code: 'SLOTS_UNAVAILABLE', message: 'Scheduled delivery is not offered at this address' };
+  }
+  const parsed = parseSlotId(slotId);
+  const template = parsed && templateFor(slots, parsed);
+  const lastDay = upcomingDays(slots, now).at(-1);
+  if (!template || parsed.day < slotDay(now) || parsed.day > lastDay) {
+    return { ok: false, code: 'INVALID_SLOT', message: 'That delivery window is not offered' };
+  }
+  const { startsAt, endsAt, cutoffAt } = slotTimes(parsed.day, template);
+  if (now >= cutoffAt) {
+    return { ok: false, code: 'SLOT_CLOSED', message: 'Booking for that delivery window has closed' };
+  }
+  return {
+    ok: true,
+    value: { id: slotId, ...parsed, startsAt, endsAt, capacity: template.capacity },
+  };
+};
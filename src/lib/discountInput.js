@@ -0,0 +1,56 @@
+/**
+ * A product-level discount block as typed — on the dashboard, in an import
+ * row — coerced into the schema's shape.
+ */
+
+// An explicitly cleared product-level discount.
+// Every sub-field is named. Assigning this (rather than `null`) is what makes
+// "turn the sale off" reliable: `product.set({ discount: null })` on a NESTED
+// PATH — which `discount` is, not a subdocument — does not dependably clear the
+// individual sub-fields, so a stale `isActive: true` / `value: 20` can survive
+// and the engine keeps applying the discount. See Issue #16.
+const clearedDiscount = () => ({
+  type: null,
+  value: 0,
+  maxDiscount: null,
+  startsAt: null,
+  endsAt: null,
+  isActive: false,
+});
+
+// Coerces dashboard input into the schema shape and rejects garbage.
+// NEVER returns null: anything that isn't a usable discount (missing type,
+// value <= 0, inverted date window, an explicit `{ isActive: false }`, or a
+// non-object) resolves to the fully-cleared block above, so the caller can
+// assign the result unconditionally and be sure the sale is off.
+export const sanitizeDiscountInput = (input) => {
+  if (!input || typeof input !== 'object') return clearedDiscount();
+
+  // Explicit deactivation. `{ discount: { isActive: false } }` is the natural
+  // "end the sale" payload and used to be silently dropped.
+  if (input.isActive === false) return clearedDiscount();
+
+  const type = input.type === 'percentage' || input.type === 'fixed' ? input.type : null;
+  const value = Number(input.value);
+  if (!type || !(value > 0)) return clearedDiscount();
+
+  const out = {
+    ...clearedDiscount(),
+    type,
+    value: type === 'percentage' ? Math.min(value, 100) : value,
+    isActive: true,
+  };
+  if (input.maxDiscount !== undefined && Number(input.maxDiscount) > 0) {
+    out.maxDiscount = Number(input.maxDiscount);
+  }
+  if (input.startsAt) {
+    const d = new Date(input.startsAt);
+    if (!isNaN(d.getTime())) out.startsAt = d;
+  }
+  if (input.endsAt) {
+    const d = new Date(input.endsAt);
+    if (!isNaN(d.getTime())) out.endsAt = d;
+  }
+  if (out.startsAt && out.endsAt && out.startsAt > out.endsAt) return clearedDiscount();
+  return out;
+};
@@ -0,0 +1,132 @@
+/**
+ * Dispatch — which courier carries an order, and how far along they are.
+ *
+ * An order (or, on a multi-store order, one store's shipment) ready to leave
+ * the store is given to a courier as a delivery job: by an admin who picks
+ * the courier, or automatically to the nearest available one. The courier
+ * accepts or declines it, picks the parcel up — the order goes
+ * `out_for_delivery` — and hands it over at the door with a photo and the
+ * shopper's delivery code (lib/deliveryCode.js) as proof, which makes it
+ * `delivered`. A parcel nobody would take comes back (`returned`).
+ *
+ *   assigned ──accept──▶ accepted ──pick up──▶ picked_up ──deliver──▶ delivered
+ *      │                    │                      └──────bring back──▶ returned
+ *      ├──decline──▶ declined ◀──decline──┘
+ *      └──cancel───▶ cancelled (an admin takes it back, before pick-up)
+ *
+ * A declined or cancelled job frees the order for someone else. An order has
+ * at most one open job per shipment.
+ *
+ * "Available" means the courier said so, has room for another job, and has
+ * sent a location recently enough for "nearest" to mean something.
+ */
+
+export const DELIVERY_JOB_STATUSES = ['assigned', 'accepted', 'picked_up', 'delivered', 'returned', 'declined', 'cancelled'];
+
+/** Jobs still holding their order. */
+export const OPEN_JOB_STATUSES = ['assigned', 'accepted', 'picked_up'];
+
+export const COURIER_AVAILABILITY = ['offline', 'available'];
+
+/** Jobs one courier may hold at once. DISPATCH_MAX_ACTIVE_JOBS overrides. */
+export const DEFAULT_MAX_ACTIVE_JOBS = 3;
+
+/** How old a courier's last location may be for nearest-courier assignment. DISPATCH_LOCATION_MAX_AGE_MINUTES overrides. */
+export const DEFAULT_LOCATION_MAX_AGE_MINUTES = 15;
+
+/** How far away a courier may be to be offered a job, km. DISPATCH_MAX_DISTANCE_KM overrides. */
+export const DEFAULT_MAX_DISTANCE_KM = 15;
+
+/** Order (or shipment) statuses a job can be opened at: packed, or being packed. */
+const DISPATCHABLE_STATUSES = ['confirmed', 'ready_for_pickup'];
+
+const NEXT = {
+  assigned:  ['accepted', 'declined', 'cancelled'],
+  accepted:  ['picked_up', 'declined', 'cancelled'],
+  picked_up: ['delivered', 'returned'],
+  delivered: [],
+  returned:  [],
+  declined:  [],
+  cancelled: [],
+};
+
+/** The order status each job move carries the order (or shipment) to, if any. */
+export const ORDER_STATUS_FOR_JOB = {
+  picked_up: 'out_for_delivery',
+  delivered: 'delivered',
+  returned:  'returned',
+};
+
+/**
+ * Check a job move.
+ *
+ * @param {{ from: string, to: string }} input
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planJobMove = ({ from, to }) => {
+  if (!DELIVERY_JOB_STATUSES.includes(to)) {
+    return { ok: false, code: 'INVALID_STATUS', message: `Unknown job status "${to}"` };
+  }
+  if (!NEXT[from]?.includes(to)) {
+    return { ok: false, code: 'INVALID_JOB_TRANSITION', message: `A ${from} job cannot become ${to}` };
+  }
+  return { ok: true };
+};
+
+/**
+ * What a job is about: the whole order, or one of its shipments. Returns null
+ * when the shipment is not on the order.
+ *
+ * @param {object} order
+ * @param {string|null} [fulfillmentId]
+ * @returns {{ status: string, fulfillment: object|null } | null}
+ */
+export const dispatchTarget = (order, fulfillmentId = null) => {
+  if (!fulfillmentId) return { status: order.status, fulfillment: null };
+  const fulfillment = (order.fulfillments || []).find((f) => String(f._id) === String(fulfillmentId));
+  return fulfillment ? { status: fulfillment.status, fulfillment } : null;
+};
+
+/**
+ * Check a job can be opened for an order, or one of its shipments.
+ *
+ * @param {object} order
+ * @param {object} options
+ * @param {string|null} [options.fulfillmentId]
+ * @param {boolean} [options.hasOpenJob]
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planAssignment = (order, { fulfillmentId = null, hasOpenJob = false } = {}) => {
+  if (order.fulfillments?.length && !fulfillmentId) {
+    return {
+      ok: false,
+      code: 'SHIPMENT_REQUIRED',
+      message: 'This order ships from several stores — assign each shipment on its own',
+    };
+  }
+  const target = dispatchTarget(order, fulfillmentId);
+  if (!target) return { ok: false, code: 'NOT_FOUND', message: 'Shipment not found' };
+  if (!DISPATCHABLE_STATUSES.includes(target.status)) {
+    return { ok: false, code: 'NOT_DISPATCHABLE', message: `A ${target.status} order cannot be given to a courier` };
+  }
+  if (hasOpenJob) {
+    return { ok: false, code: 'ALREADY_ASSIGNED', message: 'A courier already has this delivery' };
+  }
+  return { ok: true };
+};
+
+/** True when a courier's last location is recent enough to dispatch on. */
+export const isLocationFresh = (courier, { now = new Date(), maxAgeMinutes = DEFAULT_LOCATION_MAX_AGE_MINUTES } = {}) =>
+  Boolean(courier.locationUpdatedAt) &&
+  now.getTime() - new Date(courier.locationUpdatedAt).getTime() <= maxAgeMinutes * 60 * 1000;
+
+/**
+ * The courier to offer a job to: the nearest with room for another job.
+ *
+ * @param {Array<{ _id, distanceMeters: number }>} candidates - nearest first
+ * @param {Map<string, number>} openJobs - open job count by courier id
+ * @param {number} [maxActiveJobs]
+ * @returns {object|null}
+ */
+export const pickCourier = (candidates, openJobs, maxActiveJobs = DEFAULT_MAX_ACTIVE_JOBS) =>
+  candidates.find((c) => (openJobs.get(String(c._id)) || 0) < maxActiveJobs) || null;
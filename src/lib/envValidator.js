@@ -66,9 +66,9 @@ const optionalEnvVars = {
     default: 'false',
   },
   WORKER_ROLES: {
-    value: process.env.WORKER_ROLES || 'push,email,fanout,maintenance',
-    description: 'Comma-separated worker roles (push, email, sms, fanout, maintenance, all)',
-    default: 'push,email,fanout,maintenance',
+    value: process.env.WORKER_ROLES || 'push,email,fanout,maintenance,import',
+    description: 'Comma-separated worker roles (push, email, sms, fanout, maintenance, import, all)',
+    default: 'push,email,fanout,maintenance,import',
   },
   RUN_WORKERS_INPROCESS: {
     value: process.env.RUN_WORKERS_INPROCESS || 'false',
@@ -0,0 +1,102 @@
+/**
+ * Fulfilment groups — one shipment per store inside a multi-store order.
+ *
+ * A cart with products from two stores is one order to the shopper (one
+ * payment, one coupon, one order number) but two parcels in the real world,
+ * leaving on different days from different places. Each store's lines form a
+ * group with its own status, tracking number and timestamps; the order's own
+ * `status` is no longer set directly but derived from its groups, so one store
+ * shipping no longer makes the whole order look shipped.
+ *
+ * Groups move through the same transitions as orders (lib/orderLifecycle.js),
+ * except `refunded`, which is about money and therefore about the whole order.
+ */
+import { ORDER_STATUSES } from './orderLifecycle.js';
+
+export const FULFILLMENT_STATUSES = ORDER_STATUSES.filter((s) => s !== 'refunded');
+
+/** Which timestamp on a group a move into each status stamps. */
+export const FULFILLMENT_TIMESTAMPS = {
+  confirmed:        'confirmedAt',
+  ready_for_pickup: 'readyAt',
+  shipped:          'shippedAt',
+  out_for_delivery: 'outForDeliveryAt',
+  delivered:        'deliveredAt',
+  cancelled:        'cancelledAt',
+  returned:         'returnedAt',
+};
+
+// How far along each status is. `returned` ranks past `delivered` so that an
+// order where one parcel arrived and the other was sent back reads as
+// delivered, and only an order whose every parcel came back reads as returned.
+const PROGRESS = {
+  pending:          0,
+  confirmed:        1,
+  ready_for_pickup: 2,
+  shipped:          3,
+  out_for_delivery: 4,
+  delivered:        5,
+  returned:         6,
+};
+
+/**
+ * The order status implied by its groups' statuses.
+ *
+ * Cancelled groups drop out — a store that could not fulfil its part does not
+ * hold the rest of the order back — unless every group is cancelled. Of the
+ * rest, the order is as far along as its *least* advanced parcel: it is not
+ * shipped until everything has shipped, and not delivered until everything
+ * has arrived.
+ *
+ * @param {string[]} statuses
+ * @returns {string|null} null when there are no groups
+ */
+export const deriveOrderStatus = (statuses) => {
+  if (!statuses?.length) return null;
+  const live = statuses.filter((s) => s !== 'cancelled');
+  if (live.length === 0) return 'cancelled';
+  return live.reduce((least, s) => (PROGRESS[s] < PROGRESS[least] ? s : least));
+};
+
+const idOf = (value) => (value && value._id ? String(value._id) : value ? String(value) : null);
+
+/**
+ * Split order lines into one group per store, in the order stores first
+ * appear in the cart. Lines without a merchant (platform-sold stock) form a
+ * group of their own with `merchant: null`.
+ *
+ * @param {Array<{ product: *, variantId?: *, quantity: number, merchant?: * }>} lines
+ * @returns {Array<{ merchant: string|null, items: Array<{ product: string, variantId: string|null, quantity: number }> }>}
+ */
+export const groupLinesByMerchant = (lines) => {
+  const groups = new Map();
+  for (const line of lines || []) {
+    const merchant = idOf(line.merchant);
+    if (!groups.has(merchant)) groups.set(merchant, { merchant, items: [] });
+    groups.get(merchant).items.push({
+      product:   idOf(line.product),
+      variantId: idOf(line.variantId),
+      quantity:  line.quantity,
+    });
+  }
+  return [...groups.values()];
+};
+
+/**
+ * Order-level effects of the derived status changing.
+ *
+ * Per-parcel effects (restock, the shopper's push) belong to the group that
+ * moved. What belongs to the order as a whole is the marketer's commission and
+ * the ledger entry that pays the stores, both once everything has arrived; the customer email, sent when
+ * the order as a whole ships or is delivered; and the coupon, the delivery
+ * window and the refund of a prepaid order, due only once every parcel has
+ * been cancelled.
+ */
+export const derivedStatusEffects = (from, to) => {
+  if (from === to) return [];
+  const effects = [];
+  if (to === 'delivered') effects.push('commission', 'ledger');
+  if (to === 'shipped' || to === 'delivered') effects.push('email');
+  if (to === 'cancelled') effects.push('coupon', 'refund', 'slot');
+  return effects;
+};
@@ -0,0 +1,130 @@
+/**
+ * Idempotency-Key support for write endpoints that clients retry.
+ *
+ * Mobile clients on unreliable networks resend a POST whenever the response is
+ * lost, and the server cannot tell a retry from a second purchase. A client
+ * that sends `Idempotency-Key: <uuid>` gets exactly one execution per key:
+ *
+ *   first request          → runs; a 2xx response is stored for 24h
+ *   retry, same body       → the stored response, with `Idempotent-Replayed: true`
+ *   retry while in flight  → 409, try again shortly
+ *   same key, other body   → 422, the key is being reused for a different request
+ *
+ * Only 2xx responses are stored. A 4xx/5xx means nothing was committed (the
+ * order transaction aborted, validation failed), so the key is released and a
+ * corrected retry under the same key simply runs. Requests without the header
+ * behave exactly as before.
+ */
+import { sendError } from '../response.js';
+import logger from '../logger.js';
+import { claimKey } from './store.js';
+import { fingerprintRequest, parseIdempotencyKey } from './keys.js';
+
+export { IDEMPOTENCY_TTL_SECONDS, parseIdempotencyKey, fingerprintRequest } from './keys.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+/**
+ * @param {object} opts
+ * @param {string} opts.scope  Stable name of the endpoint family, part of the
+ *                             stored key ('orders.create'). Treat it as an id.
+ *
+ * Mount after `isAuthenticated` — keys are scoped to the Clerk user.
+ */
+export const idempotent = ({ scope }) => {
+  if (!scope) throw new Error('idempotent requires a stable `scope`');
+
+  return async (req, res, next) => {
+    const raw = req.get(IDEMPOTENCY_HEADER);
+    if (raw === undefined) return next();
+
+    const parsed = parseIdempotencyKey(raw);
+    if (!parsed.ok) {
+      return sendError(res, { message: parsed.message, code: 'INVALID_IDEMPOTENCY_KEY', statusCode: 400 });
+    }
+
+    const userId = req.auth?.userId;
+    if (!userId) return next();
+
+    const id = { scope, userId, key: parsed.value };
+    const requestHash = fingerprintRequest({
+      method: req.method,
+      path: req.baseUrl + req.path,
+      body: req.body,
+    });
+
+    let claim;
+    try {
+      claim = await claimKey(id, requestHash);
+    } catch (err) {
+      // Both stores down. Refusing the request would block checkout entirely;
+      // running it unguarded is what happened before this existed.
+      logger.error('Idempotency claim failed — running request unguarded', {
+        requestId: req.requestId,
+        scope,
+        error: err.message,
+      });
+      return next();
+    }
+
+    if (!claim.claimed) {
+      const { existing } = claim;
+
+      if (existing.requestHash !== requestHash) {
+        return sendError(res, {
+          message: 'This Idempotency-Key was already used for a different request',
+          code: 'IDEMPOTENCY_KEY_REUSED',
+          statusCode: 422,
+        });
+      }
+
+      if (existing.status !== 'completed') {
+        return sendError(res, {
+          message: 'A request with this Idempotency-Key is still being processed',
+          code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+          statusCode: 409,
+        });
+      }
+
+      logger.info('Idempotent request replayed', { requestId: req.requestId, scope });
+      res.set(REPLAYED_HEADER, 'true');
+      return res.status(existing.responseStatus).json(existing.responseBody);
+    }
+
+    // We own the key. Capture the body on its way out, then either keep it for
+    // replay or hand the key back once the response has actually been sent.
+    const { store } = claim;
+    let captured;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      captured = body;
+      return json(body);
+    };
+
+    let settled = false;
+    const settle = () => {
+      if (settled) return;
+      settled = true;
+
+      const ok = res.writableFinished && res.statusCode >= 200 && res.statusCode < 300 && captured !== undefined;
+      const op = ok
+        ? store.complete(id, requestHash, res.statusCode, captured)
+        : store.release(id);
+
+      op.catch((err) =>
+        logger.error('Failed to settle idempotency key', {
+          requestId: req.requestId,
+          scope,
+          store: store.name,
+          stored: ok,
+          error: err.message,
+        })
+      );
+    };
+
+    res.once('finish', settle);
+    res.once('close', settle);
+    return next();
+  };
+};
@@ -0,0 +1,65 @@
+/**
+ * Idempotency-Key rules.
+ *
+ * Dependency-free so the middleware, both stores and the unit tests share one
+ * definition of what a valid key is and what counts as "the same request".
+ */
+import { createHash } from 'node:crypto';
+
+/** How long a completed response is replayable. Matches the client retry window. */
+export const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * How long an in-flight claim blocks the key.
+ *
+ * Far shorter than the replay window on purpose: if the process dies mid
+ * request the claim is never completed or released, and a 24h lock would turn
+ * one crash into a day of 409s for that shopper.
+ */
+export const IDEMPOTENCY_LOCK_SECONDS = 2 * 60;
+
+export const IDEMPOTENCY_KEY_MAX = 255;
+
+// Printable ASCII only. UUIDs are what the apps send; anything with control
+// characters or whitespace is a client bug, not a key.
+const KEY_RE = /^[\x21-\x7e]+$/;
+
+/**
+ * @param {string|undefined} raw - the Idempotency-Key header as received
+ * @returns {{ ok: true, value: string } | { ok: false, message: string }}
+ */
+export const parseIdempotencyKey = (raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : '';
+  if (!value) return { ok: false, message: 'Idempotency-Key must not be empty' };
+  if (value.length > IDEMPOTENCY_KEY_MAX) {
+    return { ok: false, message: `Idempotency-Key may be at most ${IDEMPOTENCY_KEY_MAX} characters` };
+  }
+  if (!KEY_RE.test(value)) {
+    return { ok: false, message: 'Idempotency-Key may only contain printable ASCII characters' };
+  }
+  return { ok: true, value };
+};
+
+/**
+ * JSON with object keys sorted at every level, so a client that serialises the
+ * same body with its fields in a different order on retry still matches.
+ * Array order is meaningful and kept.
+ */
+export const stableStringify = (value) => {
+  if (value === undefined) return 'null';
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (typeof value.toJSON === 'function') return stableStringify(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+  const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+  return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+};
+
+/**
+ * Fingerprint of what the client asked for. Two requests under one key must
+ * agree on this, or the second is a different request reusing a key (422).
+ */
+export const fingerprintRequest = ({ method, path, body }) =>
+  createHash('sha256')
+    .update(`${String(method).toUpperCase()} ${path}\n${stableStringify(body ?? null)}`)
+    .digest('hex');
@@ -0,0 +1,129 @@
+/**
+ * Where Idempotency-Key records live.
+ *
+ * Redis (the queue connection from lib/queue/redis.js) when REDIS_URL is
+ * configured — a claim is one `SET NX`, and expiry is exact. Mongo otherwise,
+ * and also for any single operation Redis fails on: a retried order must still
+ * be deduplicated during a Redis blip, and Mongo is always there. The cost is
+ * that a claim made in one store during an outage is invisible to the other;
+ * that window is the outage itself, which is the same trade the rate-limit
+ * store makes (see lib/rateLimit/store.js).
+ *
+ * Every operation takes the same id `{ scope, userId, key }` and records share
+ * one shape:
+ *   { requestHash, status: 'in_progress' | 'completed', responseStatus, responseBody }
+ */
+import IdempotencyKey from '../../models/idempotencyKey.model.js';
+import { getRedis } from '../queue/redis.js';
+import logger from '../logger.js';
+import { IDEMPOTENCY_LOCK_SECONDS, IDEMPOTENCY_TTL_SECONDS } from './keys.js';
+
+const redisConfigured = () => Boolean(process.env.REDIS_URL);
+
+const redisKey = ({ scope, userId, key }) =>
+  `${process.env.REDIS_PREFIX || ''}nubian_idem:${scope}:${userId}:${key}`;
+
+const inProgress = (requestHash) => ({
+  requestHash,
+  status: 'in_progress',
+  responseStatus: null,
+  responseBody: null,
+});
+
+// ─── Redis ────────────────────────────────────────────────────────────────────
+
+const redisStore = {
+  name: 'redis',
+
+  async claim(id, requestHash) {
+    const k = redisKey(id);
+    const ok = await getRedis().set(k, JSON.stringify(inProgress(requestHash)), 'EX', IDEMPOTENCY_LOCK_SECONDS, 'NX');
+    if (ok === 'OK') return { claimed: true };
+
+    const raw = await getRedis().get(k);
+    // Expired between the SET and the GET — a rare race, and claiming again is
+    // exactly what a fresh request would do.
+    if (raw === null) return this.claim(id, requestHash);
+    return { claimed: false, existing: JSON.parse(raw) };
+  },
+
+  async complete(id, requestHash, responseStatus, responseBody) {
+    const record = { requestHash, status: 'completed', responseStatus, responseBody };
+    await getRedis().set(redisKey(id), JSON.stringify(record), 'EX', IDEMPOTENCY_TTL_SECONDS);
+  },
+
+  async release(id) {
+    await getRedis().del(redisKey(id));
+  },
+};
+
+// ─── Mongo ────────────────────────────────────────────────────────────────────
+
+const toRecord = (doc) => ({
+  requestHash:    doc.requestHash,
+  status:         doc.status,
+  responseStatus: doc.responseStatus,
+  responseBody:   doc.responseBody,
+});
+
+const mongoStore = {
+  name: 'mongo',
+
+  async claim(id, requestHash) {
+    const expiresAt = new Date(Date.now() + IDEMPOTENCY_LOCK_SECONDS * 1000);
+    try {
+      await IdempotencyKey.create({ ...id, ...inProgress(requestHash), expiresAt });
+      return { claimed: true };
+    } catch (err) {
+      if (err?.code !== 11000) throw err;
+    }
+
+    // The row exists. If it has lapsed but the TTL monitor hasn't reaped it
+    // yet, take it over atomically — otherwise report what is there.
+    const takenOver = await IdempotencyKey.findOneAndUpdate(
+      { ...id, expiresAt: { $lte: new Date() } },
+      { $set: { ...inProgress(requestHash), expiresAt } },
+      { new: true }
+    );
+    if (takenOver) return { claimed: true };
+
+    const existing = await IdempotencyKey.findOne(id).lean();
+    if (!existing) return this.claim(id, requestHash);
+    return { claimed: false, existing: toRecord(existing) };
+  },
+
+  async complete(id, requestHash, responseStatus, responseBody) {
+    await IdempotencyKey.updateOne(id, {
+      $set: {
+        requestHash,
+        status: 'completed',
+        responseStatus,
+        responseBody,
+        expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL_SECONDS * 1000),
+      },
+    });
+  },
+
+  async release(id) {
+    await IdempotencyKey.deleteOne(id);
+  },
+};
+
+// ─── Selection ────────────────────────────────────────────────────────────────
+
+/**
+ * Claim a key. Returns the store that made the claim so the caller completes
+ * or releases it in the same place.
+ *
+ * @returns {{ claimed: boolean, existing?: object, store: object }}
+ */
+export const claimKey = async (id, requestHash) => {
+  if (redisConfigured()) {
+    try {
+      return { ...(await redisStore.claim(id, requestHash)), store: redisStore };
+    } catch (err) {
+      logger.warn('Idempotency store fell back to Mongo', { scope: id.scope, error: err.message });
+    }
+  }
+  return { ...(await mongoStore.claim(id, requestHash)), store: mongoStore };
+};
@@ -0,0 +1,27 @@
+/**
+ * Uploaded images the platform will accept a link to.
+ *
+ * Clients upload straight to the image CDN (upload.controller.js hands out the
+ * signed parameters) and send back the resulting URL. Anything stored as proof
+ * — a BANKAK transfer screenshot, a photo of a damaged item — must come from
+ * that CDN, or a shopper could "prove" a transfer with any image on the web.
+ */
+
+const ALLOWED_ORIGINS = (process.env.IMAGEKIT_URL_ENDPOINT || 'https://ik.imagekit.io/nubian')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+/** True for an HTTPS URL on the configured image CDN. */
+export const isApprovedImageUrl = (url) => {
+  if (typeof url !== 'string' || !url) return false;
+  try {
+    const parsed = new URL(url);
+    return (
+      parsed.protocol === 'https:' &&
+      ALLOWED_ORIGINS.some((origin) => url.startsWith(origin))
+    );
+  } catch {
+    return false;
+  }
+};
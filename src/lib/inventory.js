@@ -0,0 +1,217 @@
+/**
+ * Inventory rules.
+ *
+ * Stock lives on each variant (`variants[].stock`) and is moved by conditional
+ * `$inc` updates, never by read-modify-save: two shoppers buying the last unit
+ * must race on the database, not on two copies of the document in Node. Those
+ * updates bypass the product pre-save hook, so the `product.stock` and
+ * `product.finalPrice` rollups have to be recomputed by the same write path —
+ * `variantRollupPipeline` is that recomputation, expressed server-side so it
+ * reads the variants as they are *after* the `$inc`, not as we last saw them.
+ *
+ * Every change to a variant's stock is also written down as an inventory
+ * movement (models/inventoryMovement.model.js): what moved it, who, and the
+ * figure before and after — so "why did this SKU go from 40 to 12?" has an
+ * answer.
+ *
+ * This module is dependency-free (no mongoose, no express) for the same reason
+ * `collection.js` is: the service and the unit tests need the same rules, and
+ * only one of them can afford a database.
+ */
+
+const idOf = (value) => (value && value._id ? String(value._id) : value ? String(value) : null);
+
+const isSellable = (variant) => variant && variant.isActive !== false;
+
+/**
+ * Pick the variant a line without an explicit `variantId` draws stock from.
+ *
+ * Every product has at least one variant, but older clients still send lines
+ * without a selection. Those lines were always stock-checked against the sum of
+ * live variants; to actually decrement something we take the active variant
+ * with the most stock — deterministic, and the one most likely to cover the
+ * quantity. Returns null when the product has nothing sellable.
+ */
+export const pickFallbackVariant = (product) => {
+  const candidates = (product?.variants || []).filter(isSellable);
+  if (candidates.length === 0) return null;
+  return candidates.reduce((best, v) => ((v.stock || 0) > (best.stock || 0) ? v : best));
+};
+
+/**
+ * Turn order lines into one reservation per (product, variant).
+ *
+ * The same variant can appear on two lines (different attribute maps on the
+ * same SKU). Reserving them separately would let each line pass its own
+ * `stock >= qty` guard while their sum oversells, so quantities are merged
+ * before anything touches the database.
+ *
+ * @param {Array<{ product: Object, variantId?: *, quantity: number }>} lines -
+ *   `product` must be the product document (or a plain object with `_id`,
+ *   `name` and `variants`).
+ * @returns {{ ok: true, value: Array<{ product: string, variantId: string, quantity: number, name: string }> }
+ *         | { ok: false, message: string, productId: string|null }}
+ */
+export const planStockReservations = (lines) => {
+  const byKey = new Map();
+
+  for (const line of lines || []) {
+    const product = line?.product;
+    const productId = idOf(product);
+    const quantity = Number(line?.quantity) || 0;
+
+    if (!productId) {
+      return { ok: false, message: 'A product in your cart is no longer available', productId: null };
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { ok: false, message: 'quantity must be a positive integer', productId };
+    }
+
+    let variantId = idOf(line.variantId);
+    if (!variantId) {
+      variantId = idOf(pickFallbackVariant(product));
+      if (!variantId) {
+        return { ok: false, message: `"${product.name || productId}" has no variant available`, productId };
+      }
+    }
+
+    const key = `${productId}:${variantId}`;
+    const entry = byKey.get(key);
+    if (entry) {
+      entry.quantity += quantity;
+    } else {
+      byKey.set(key, { product: productId, variantId, quantity, name: product.name || '' });
+    }
+  }
+
+  return { ok: true, value: Array.from(byKey.values()) };
+};
+
+/**
+ * Aggregation-pipeline update that re-derives the product rollups from its
+ * variants, mirroring the pre-save hook in models/product.model.js:
+ *
+ *   stock      — sum of stock over active variants
+ *   finalPrice — lowest positive finalPrice over active variants, null when
+ *                there is none (the model's "no purchasable variant" signal)
+ *
+ * "Active" follows the cron and checkout convention: a missing `isActive`
+ * counts as active.
+ */
+export const variantRollupPipeline = () => {
+  const active = {
+    $filter: { input: '$variants', as: 'v', cond: { $ne: ['$$v.isActive', false] } },
+  };
+
+  return [
+    {
+      $set: {
+        stock: {
+          $sum: { $map: { input: active, as: 'v', in: { $ifNull: ['$$v.stock', 0] } } },
+        },
+        // $min over an empty array is null, which is exactly the signal we want.
+        finalPrice: {
+          $min: {
+            $map: {
+              input: {
+                $filter: {
+                  input: active,
+                  as: 'v',
+                  cond: { $gt: [{ $ifNull: ['$$v.finalPrice', 0] }, 0] },
+                },
+              },
+              as: 'v',
+              in: '$$v.finalPrice',
+            },
+          },
+        },
+      },
+    },
+  ];
+};
+
+/**
+ * Why a variant's stock moved.
+ *
+ * - sale         — taken by an order
+ * - cancellation — an order or shipment cancelled; its units back on the shelf
+ * - return       — a returned order's units back on the shelf
+ * - adjustment   — the store added or removed units, with a reason
+ * - correction   — the store set the figure outright: a stock count, or a
+ *                  product edit that overwrote it
+ * - import       — set by a bulk import
+ * - initial      — a new variant's opening stock
+ */
+export const MOVEMENT_TYPES = ['sale', 'cancellation', 'return', 'adjustment', 'correction', 'import', 'initial'];
+
+// Who moved it: the order actors (orderLifecycle.js), for the same people.
+export const MOVEMENT_ACTORS = ['customer', 'merchant', 'courier', 'admin', 'system'];
+
+/**
+ * Stock changes between two versions of a product's variants — a product edit
+ * or an import that overwrote them.
+ *
+ * Variants are matched by id, then by SKU: an import replaces the variants
+ * array and every variant gets a new id, but it is still the same SKU on the
+ * shelf. A new variant moves from 0; a removed one moves to 0.
+ *
+ * @param {Array<{ _id?: *, sku: string, stock: number }>} before
+ * @param {Array<{ _id?: *, sku: string, stock: number }>} after
+ * @returns {Array<{ variantId: string|null, sku: string, before: number, after: number, isNew: boolean }>}
+ */
+export const stockChanges = (before, after) => {
+  const previous = [...(before || [])];
+  const take = (variant) => {
+    let index = previous.findIndex((p) => p._id && variant._id && idOf(p._id) === idOf(variant._id));
+    if (index < 0) index = previous.findIndex((p) => p.sku && p.sku === variant.sku);
+    return index < 0 ? null : previous.splice(index, 1)[0];
+  };
+
+  const changes = [];
+  for (const variant of after || []) {
+    const was = take(variant);
+    const from = was ? Number(was.stock) || 0 : 0;
+    const to = Number(variant.stock) || 0;
+    if (from !== to) {
+      changes.push({ variantId: idOf(variant._id), sku: variant.sku, before: from, after: to, isNew: !was });
+    }
+  }
+  for (const gone of previous) {
+    if (Number(gone.stock) > 0) {
+      changes.push({ variantId: idOf(gone._id), sku: gone.sku, before: Number(gone.stock), after: 0, isNew: false });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Check a manual stock change against the variant's current figure.
+ *
+ * Either `delta` (units added, or removed when negative) or `stock` (the
+ * counted figure). Stock never goes below zero, and a change that changes
+ * nothing is refused rather than logged.
+ *
+ * @param {number} current
+ * @param {{ delta?: number, stock?: number }} change
+ * @returns {{ ok: true, type: 'adjustment'|'correction', delta: number, after: number }
+ *         | { ok: false, code: string, message: string }}
+ */
+export const planAdjustment = (current, { delta, stock } = {}) => {
+  const hasDelta = delta !== undefined && delta !== null;
+  const hasStock = stock !== undefined && stock !== null;
+  if (hasDelta === hasStock) {
+    return { ok: false, code: 'INVALID_ADJUSTMENT', message: 'Send either delta or stock' };
+  }
+
+  const after = hasStock ? Number(stock) : current + Number(delta);
+  if (!Number.isInteger(after)) {
+    return { ok: false, code: 'INVALID_ADJUSTMENT', message: 'Stock is counted in whole units' };
+  }
+  if (after < 0) {
+    return { ok: false, code: 'INSUFFICIENT_STOCK', message: `Only ${current} unit(s) in stock` };
+  }
+  if (after === current) {
+    return { ok: false, code: 'NO_CHANGE', message: `Stock is already ${current}` };
+  }
+  return { ok: true, type: hasStock ? 'correction' : 'adjustment', delta: after - current, after };
+};
@@ -0,0 +1,203 @@
+/**
+ * Order invoices — what goes on the PDF, worked out from the order alone.
+ *
+ * An order keeps everything an invoice needs: the line snapshots, the coupon,
+ * the address as it was at checkout, the locked exchange rate. This module
+ * turns that into a document: one section per store (its sub-invoice), and
+ * the order's totals. services/invoice.service.js draws it.
+ *
+ * Amounts are shown in the currency the shopper paid in. Order totals are the
+ * stored converted figures — the ones on the shopper's confirmation — and
+ * line prices are converted unit by unit with the order's locked rate, the
+ * same way checkout built those totals. Orders paid in USD, or whose
+ * conversion failed at checkout, are shown in USD.
+ *
+ * Every label is bilingual. Arabic is drawn right to left; `rtlRuns` splits a
+ * mixed string (an Arabic product name with a size in it) into runs in the
+ * order they appear on the page, since the PDF library lays out each run in
+ * one direction only.
+ */
+
+export const LABELS = {
+  invoice:       { en: 'Invoice', ar: 'فاتورة' },
+  receipt:       { en: 'Receipt', ar: 'إيصال' },
+  subInvoice:    { en: 'Store invoice', ar: 'فاتورة المتجر' },
+  orderNumber:   { en: 'Order number', ar: 'رقم الطلب' },
+  date:          { en: 'Date', ar: 'التاريخ' },
+  billTo:        { en: 'Bill to', ar: 'العميل' },
+  store:         { en: 'Store', ar: 'المتجر' },
+  payment:       { en: 'Payment', ar: 'طريقة الدفع' },
+  paymentStatus: { en: 'Payment status', ar: 'حالة الدفع' },
+  item:          { en: 'Item', ar: 'المنتج' },
+  quantity:      { en: 'Qty', ar: 'الكمية' },
+  unitPrice:     { en: 'Unit price', ar: 'سعر الوحدة' },
+  lineTotal:     { en: 'Total', ar: 'المجموع' },
+  subtotal:      { en: 'Subtotal', ar: 'المجموع الفرعي' },
+  discount:      { en: 'Discount', ar: 'الخصم' },
+  shipping:      { en: 'Delivery', ar: 'التوصيل' },
+  total:         { en: 'Total', ar: 'الإجمالي' },
+  exchangeRate:  { en: 'Exchange rate', ar: 'سعر الصرف' },
+  cancelled:     { en: 'Cancelled', ar: 'ملغى' },
+  thanks:        { en: 'Thank you for shopping with Nubian', ar: 'شكراً لتسوقك مع نوبيان' },
+};
+
+export const PAYMENT_METHOD_LABELS = {
+  CASH:   { en: 'Cash on delivery', ar: 'الدفع عند الاستلام' },
+  BANKAK: { en: 'Bankak transfer', ar: 'تحويل بنكك' },
+  CARD:   { en: 'Card', ar: 'بطاقة' },
+};
+
+export const PAYMENT_STATUS_LABELS = {
+  pending: { en: 'Pending', ar: 'قيد الانتظار' },
+  paid:    { en: 'Paid', ar: 'مدفوع' },
+  failed:  { en: 'Failed', ar: 'فشل' },
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const ARABIC = /[\u0600-\u06FF\u0750-\u077F\u08A0-\u08FF\uFB50-\uFDFF\uFE70-\uFEFF]/;
+
+export const hasArabic = (text) => ARABIC.test(String(text || ''));
+
+/**
+ * Split `text` into pieces of one direction, in left-to-right page order, for
+ * a right-to-left line: the first word in the string ends up on the right.
+ * Arabic comes back a word at a time, Latin a run at a time (digits and
+ * punctuation go with the Latin run they touch), and the renderer puts a
+ * space's width between pieces.
+ *
+ * @param {string} text
+ * @returns {Array<{ text: string, rtl: boolean }>}
+ */
+export const rtlRuns = (text) => {
+  const runs = [];
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    const rtl = hasArabic(word);
+    const last = runs[runs.length - 1];
+    if (last && !rtl && !last.rtl) last.text += ` ${word}`;
+    else runs.push({ text: word, rtl });
+  }
+  return runs.reverse();
+};
+
+/**
+ * An amount as printed: grouped, Latin digits, with the currency code —
+ * easier to check against a bank statement than a symbol.
+ */
+export const formatMoney = (amount, currency) =>
+  `${round2(amount).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })} ${currency}`;
+
+const variantText = (line) => {
+  const attrs = line.attributes && typeof line.attributes === 'object' ? Object.values(line.attributes) : [];
+  const parts = [...attrs, line.size].filter((v) => v !== undefined && v !== null && v !== '');
+  return [...new Set(parts.map(String))].join(' / ');
+};
+
+/**
+ * The invoice for an order, or one store's part of it.
+ *
+ * @param {object} order - lean order
+ * @param {object} options
+ * @param {Map<string, string>} options.names      - product id → name
+ * @param {Map<string, string>} options.storeNames - store id → store name
+ * @param {Map<string, string>} [options.merchantOf] - product id → store id,
+ *        for orders placed before shipments existed
+ * @param {(usd: number) => number} [options.convert] - a USD unit price in the
+ *        shopper's currency at the order's rate; omit for USD orders
+ * @param {string} [options.merchant] - only this store's sub-invoice
+ * @returns {object}
+ */
+export const buildInvoice = (order, { names, storeNames, merchantOf = new Map(), convert, merchant } = {}) => {
+  const code = String(order.currencyCodeSelected || 'USD').toUpperCase();
+  const converted = Boolean(convert) && code !== 'USD' && order.totalAmountConverted != null;
+  const currency = converted ? code : 'USD';
+  const toDisplay = converted ? convert : round2;
+
+  const storeOfLine = new Map();
+  const statusOfStore = new Map();
+  for (const f of order.fulfillments || []) {
+    if (f.merchant) statusOfStore.set(String(f.merchant), f.status);
+    for (const i of f.items || []) storeOfLine.set(`${i.product}:${i.variantId ?? ''}`, f.merchant ? String(f.merchant) : null);
+  }
+  const storeOf = (p) =>
+    order.fulfillments?.length
+      ? storeOfLine.get(`${p.product}:${p.variantId ?? ''}`) || null
+      : merchantOf.get(String(p.product)) || null;
+
+  const totals = converted
+    ? {
+        subtotal: order.totalAmountConverted,
+        discount: order.discountAmountConverted || 0,
+        shipping: order.shippingFeeConverted || 0,
+        total:    order.finalAmountConverted,
+      }
+    : {
+        subtotal: order.totalAmount,
+        discount: order.discountAmount || 0,
+        shipping: order.shippingFee || 0,
+        total:    order.finalAmount,
+      };
+
+  const sections = new Map();
+  for (const p of order.products || []) {
+    const store = storeOf(p);
+    if (!sections.has(store)) {
+      sections.set(store, {
+        merchant:  store,
+        storeName: store ? storeNames?.get(store) || '' : '',
+        status:    store ? statusOfStore.get(store) || null : null,
+        lines:     [],
+        grossUsd:  0,
+      });
+    }
+    const unitPrice = toDisplay(p.price);
+    const section = sections.get(store);
+    section.grossUsd += p.price * p.quantity;
+    section.lines.push({
+      name:      names?.get(String(p.product)) || '',
+      variant:   variantText(p),
+      quantity:  p.quantity,
+      unitPrice,
+      lineTotal: round2(unitPrice * p.quantity),
+    });
+  }
+
+  const feeOf = new Map((order.shipping?.groups || []).map((g) => [String(g.merchant), g.fee]));
+  const orderGross = Number(order.totalAmount) || 0;
+  const built = [...sections.values()].map(({ grossUsd, ...section }) => {
+    const subtotal = round2(section.lines.reduce((sum, l) => sum + l.lineTotal, 0));
+    // The discount was spread over the whole basket; each store's part of it
+    // is its share of the basket.
+    const discount = orderGross > 0 ? round2((totals.discount * grossUsd) / orderGross) : 0;
+    const fee = section.merchant ? feeOf.get(section.merchant) || 0 : 0;
+    const shipping = fee > 0 ? toDisplay(fee) : 0;
+    return { ...section, subtotal, discount, shipping, total: round2(Math.max(0, subtotal - discount) + shipping) };
+  });
+
+  const only = merchant ? built.filter((s) => s.merchant === String(merchant)) : built;
+  const snapshot = order.addressSnapshot || {};
+
+  return {
+    kind:          order.paymentStatus === 'paid' ? 'receipt' : 'invoice',
+    orderNumber:   order.orderNumber,
+    date:          order.orderDate || order.createdAt,
+    currency,
+    exchangeRate:  converted && order.fxSnapshot?.rate ? { rate: order.fxSnapshot.rate, date: order.fxSnapshot.date || null } : null,
+    paymentMethod: order.paymentMethod,
+    paymentStatus: order.paymentStatus,
+    coupon:        order.couponDetails?.code || null,
+    customer: {
+      name:    snapshot.name || order.user?.fullName || '',
+      phone:   snapshot.phone || order.phoneNumber || '',
+      address: [
+        snapshot.formattedAddress || order.address || '',
+        [snapshot.neighborhood, snapshot.city || order.city].filter(Boolean).join(', '),
+      ].filter(Boolean),
+    },
+    sections: only,
+    totals: merchant && only[0]
+      ? { subtotal: only[0].subtotal, discount: only[0].discount, shipping: only[0].shipping, total: only[0].total }
+      : totals,
+    merchant: merchant ? String(merchant) : null,
+  };
+};
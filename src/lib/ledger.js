@@ -0,0 +1,294 @@
+/**
+ * Double-entry ledger — the accounts, and the journal entries each money event
+ * posts to them.
+ *
+ * A store's balance used to be a number on the Merchant document that only
+ * dispute freezes ever touched; nothing credited a store when its goods were
+ * delivered. Every movement is now a balanced journal entry (debits equal
+ * credits, to the cent), and a store's balance is what its `merchant_payable`
+ * lines add up to. Merchant.balance / frozenBalance are kept as a projection
+ * of the ledger for the screens that read them, and are written nowhere else.
+ *
+ * All amounts are USD, like every other stored price.
+ *
+ * What posts, and when:
+ *
+ * - delivery          — the order is delivered: the shopper's money is split
+ *                       into what each store is owed (its own price for the
+ *                       goods), the platform's markup, the delivery fee, and
+ *                       the discount the platform gave
+ * - commission        — a marketer's commission is earned on that delivery
+ * - commission_paid   — the marketer is paid
+ * - return_refund     — a store approves a return: the refund comes out of
+ *                       what the store is owed and waits to be paid
+ * - dispute_freeze    — a dispute holds part of a store's balance
+ * - dispute_settle    — the held amount goes to the shopper, back to the
+ *                       store, or both
+ * - refund_paid       — a refund waiting to be paid goes out
+ * - payout_batched    — a store's balance is swept into a payout run
+ * - payout_paid       — the bank transfer went through
+ * - payout_failed     — it bounced, and the money is the store's again
+ *
+ * A paid order cancelled before delivery never reached the ledger, and neither
+ * does its refund; the Refund row is its record.
+ */
+
+/**
+ * Each account's normal side: a debit-normal account grows with debits.
+ * `merchant_*` lines name a store, `marketer_payable` lines a marketer.
+ */
+export const ACCOUNTS = {
+  platform_cash:      'debit',  // money collected from shoppers, less what was paid out
+  discount_expense:   'debit',  // coupon and referral discounts the platform gave
+  commission_expense: 'debit',  // marketer commissions earned
+  merchant_payable:   'credit', // what the platform owes a store
+  merchant_frozen:    'credit', // part of a store's balance held by a dispute
+  markup_revenue:     'credit', // platform markup on store goods
+  platform_sales:     'credit', // goods sold that belong to no store
+  shipping_revenue:   'credit', // delivery fees
+  marketer_payable:   'credit', // what the platform owes a marketer
+  refunds_payable:    'credit', // refunds approved and not yet paid out
+  payouts_in_transit: 'credit', // store balances in a payout run, not yet confirmed by the bank
+};
+
+export const ENTRY_KINDS = [
+  'delivery',
+  'commission',
+  'commission_paid',
+  'return_refund',
+  'dispute_freeze',
+  'dispute_settle',
+  'refund_paid',
+  'payout_batched',
+  'payout_paid',
+  'payout_failed',
+];
+
+const toCents = (n) => Math.round((Number(n) || 0) * 100);
+const fromCents = (c) => c / 100;
+
+/**
+ * One ledger line from a signed amount in cents: positive debits the account,
+ * negative credits it. Zero-amount lines are dropped by the builders.
+ */
+const line = (account, cents, subject = {}) => ({
+  account,
+  merchant: subject.merchant ? String(subject.merchant) : null,
+  marketer: subject.marketer ? String(subject.marketer) : null,
+  debit:    cents > 0 ? fromCents(cents) : 0,
+  credit:   cents < 0 ? fromCents(-cents) : 0,
+});
+
+const compact = (lines) => lines.filter((l) => l.debit > 0 || l.credit > 0);
+
+/**
+ * Check that an entry can be posted.
+ *
+ * @param {Array<{ account: string, debit: number, credit: number }>} lines
+ * @returns {{ ok: true } | { ok: false, message: string }}
+ */
+export const validateEntry = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    return { ok: false, message: 'A journal entry needs at least two lines' };
+  }
+  let debits = 0;
+  let credits = 0;
+  for (const l of lines) {
+    if (!(l.account in ACCOUNTS)) return { ok: false, message: `Unknown account "${l.account}"` };
+    if (l.debit < 0 || l.credit < 0 || (l.debit > 0 && l.credit > 0)) {
+      return { ok: false, message: `Line on ${l.account} must be a debit or a credit, not both` };
+    }
+    if ((l.account.startsWith('merchant_')) && !l.merchant) {
+      return { ok: false, message: `${l.account} lines must name a store` };
+    }
+    if (l.account === 'marketer_payable' && !l.marketer) {
+      return { ok: false, message: 'marketer_payable lines must name a marketer' };
+    }
+    debits += toCents(l.debit);
+    credits += toCents(l.credit);
+  }
+  if (debits !== credits) {
+    return { ok: false, message: `Entry is unbalanced: debits ${fromCents(debits)} ≠ credits ${fromCents(credits)}` };
+  }
+  return { ok: true };
+};
+
+/**
+ * Balance of an account from its debit and credit totals, on its normal side.
+ */
+export const accountBalance = (account, debit, credit) =>
+  fromCents(ACCOUNTS[account] === 'debit' ? toCents(debit) - toCents(credit) : toCents(credit) - toCents(debit));
+
+/**
+ * What a store asked for one unit: the snapshot's `merchantPrice`, or — on
+ * lines from before it was kept — the charged price with the markup taken back
+ * off.
+ */
+const unitBase = (p) => {
+  if (p.merchantPrice > 0) return p.merchantPrice;
+  const markup = (Number(p.nubianMarkup) || 0) + (Number(p.dynamicMarkup) || 0);
+  return (Number(p.price) || 0) / (1 + markup / 100);
+};
+
+/**
+ * The delivery entry for an order.
+ *
+ * On an order split into shipments only the stores whose shipment was
+ * delivered are credited, with their share of the delivery fee; a cancelled
+ * store's goods were never sold. For each store:
+ *
+ *   Dr platform_cash      what the shopper paid for its goods (merchantRevenue)
+ *   Dr discount_expense   the part of the discount that fell on them
+ *   Cr merchant_payable   the store's own price for the goods
+ *   Cr markup_revenue     the platform's markup on them
+ *
+ * @param {object} order - lean order: products, merchantRevenue, fulfillments,
+ *                         discountAmount, totalAmount, shippingFee, shipping
+ * @param {Map<string, string>} [merchantOf] - product id → store id, for
+ *                         orders placed before shipments existed
+ * @returns {Array<object>} lines
+ */
+export const deliveryLines = (order, merchantOf = new Map()) => {
+  const split = Boolean(order.fulfillments?.length);
+  const groupOf = new Map();
+  if (split) {
+    for (const f of order.fulfillments) {
+      for (const i of f.items || []) groupOf.set(`${i.product}:${i.variantId ?? ''}`, f);
+    }
+  }
+
+  const stores = new Map(); // merchant → { gross, base }
+  let platformGross = 0;
+  for (const p of order.products || []) {
+    const group = split ? groupOf.get(`${p.product}:${p.variantId ?? ''}`) : null;
+    const merchant = split ? (group ? String(group.merchant) : null) : merchantOf.get(String(p.product)) || null;
+    if (split && group && group.status !== 'delivered') continue;
+
+    const gross = toCents(p.price * p.quantity);
+    if (!merchant) {
+      platformGross += gross;
+      continue;
+    }
+    const s = stores.get(merchant) || { gross: 0, base: 0 };
+    s.gross += gross;
+    s.base += toCents(unitBase(p) * p.quantity);
+    stores.set(merchant, s);
+  }
+
+  const revenueOf = new Map((order.merchantRevenue || []).map((r) => [String(r.merchant), toCents(r.amount)]));
+  const lines = [];
+
+  for (const [merchant, s] of stores) {
+    const paid = Math.min(s.gross, revenueOf.get(merchant) ?? s.gross);
+    lines.push(
+      line('platform_cash', paid),
+      line('discount_expense', s.gross - paid),
+      line('merchant_payable', -s.base, { merchant }),
+      line('markup_revenue', -(s.gross - s.base)),
+    );
+  }
+
+  if (platformGross > 0) {
+    // The discount is spread over the whole basket; the platform's own goods
+    // carry their share of it like any store's.
+    const total = toCents(order.totalAmount);
+    const discount = total > 0 ? Math.round((toCents(order.discountAmount) * platformGross) / total) : 0;
+    lines.push(
+      line('platform_cash', platformGross - discount),
+      line('discount_expense', discount),
+      line('platform_sales', -platformGross),
+    );
+  }
+
+  const shipping = order.shipping?.groups?.length && split
+    ? order.shipping.groups
+        .filter((g) => order.fulfillments.some((f) => String(f.merchant) === String(g.merchant) && f.status === 'delivered'))
+        .reduce((sum, g) => sum + toCents(g.fee), 0)
+    : toCents(order.shippingFee);
+  lines.push(line('platform_cash', shipping), line('shipping_revenue', -shipping));
+
+  return compact(lines);
+};
+
+/** A marketer's commission, earned. */
+export const commissionLines = ({ marketer, amount }) =>
+  compact([
+    line('commission_expense', toCents(amount)),
+    line('marketer_payable', -toCents(amount), { marketer }),
+  ]);
+
+/** A marketer's commission, paid out. */
+export const commissionPaidLines = ({ marketer, amount }) =>
+  compact([
+    line('marketer_payable', toCents(amount), { marketer }),
+    line('platform_cash', -toCents(amount)),
+  ]);
+
+/** An approved return: the refund comes out of what the store is owed. */
+export const returnRefundLines = ({ merchant, amount }) =>
+  compact([
+    line('merchant_payable', toCents(amount), { merchant }),
+    line('refunds_payable', -toCents(amount)),
+  ]);
+
+/** A dispute holds part of the store's balance. */
+export const disputeFreezeLines = ({ merchant, amount }) =>
+  compact([
+    line('merchant_payable', toCents(amount), { merchant }),
+    line('merchant_frozen', -toCents(amount), { merchant }),
+  ]);
+
+/** A dispute settles: `refund` goes to the shopper, `release` back to the store. */
+export const disputeSettleLines = ({ merchant, refund, release }) =>
+  compact([
+    line('merchant_frozen', toCents(refund) + toCents(release), { merchant }),
+    line('refunds_payable', -toCents(refund)),
+    line('merchant_payable', -toCents(release), { merchant }),
+  ]);
+
+/** An approved refund is paid out. */
+export const refundPaidLines = ({ amount }) =>
+  compact([
+    line('refunds_payable', toCents(amount)),
+    line('platform_cash', -toCents(amount)),
+  ]);
+
+/** A store's balance swept into a payout run. */
+export const payoutBatchedLines = ({ merchant, amount }) =>
+  compact([
+    line('merchant_payable', toCents(amount), { merchant }),
+    line('payouts_in_transit', -toCents(amount), { merchant }),
+  ]);
+
+/** A payout transfer went through. */
+export const payoutPaidLines = ({ merchant, amount }) =>
+  compact([
+    line('payouts_in_transit', toCents(amount), { merchant }),
+    line('platform_cash', -toCents(amount)),
+  ]);
+
+/** A payout transfer failed: the amount is owed to the store again. */
+export const payoutFailedLines = ({ merchant, amount }) =>
+  compact([
+    line('payouts_in_transit', toCents(amount), { merchant }),
+    line('merchant_payable', -toCents(amount), { merchant }),
+  ]);
+
+/**
+ * A store's statement: its lines on one account in date order, each with the
+ * running balance after it.
+ *
+ * @param {Array<{ postedAt: Date, debit: number, credit: number }>} lines - oldest first
+ * @param {number} opening - balance before the first line
+ * @param {string} [account]
+ * @returns {{ opening: number, closing: number, lines: Array<object> }}
+ */
+export const buildStatement = (lines, opening = 0, account = 'merchant_payable') => {
+  let running = toCents(opening);
+  const sign = ACCOUNTS[account] === 'debit' ? 1 : -1;
+  const rows = lines.map((l) => {
+    running += sign * (toCents(l.debit) - toCents(l.credit));
+    return { ...l, balance: fromCents(running) };
+  });
+  return { opening: fromCents(toCents(opening)), closing: fromCents(running), lines: rows };
+};
@@ -1,7 +1,15 @@
 import { Resend } from 'resend';
 import dotenv from "dotenv"
 dotenv.config()
-const resend = new Resend(process.env.RESEND_API_KEY);
+
+// Created on first send rather than at import: the constructor throws without
+// RESEND_API_KEY, and this module is reached from the order services, which
+// must load (in tests, in scripts) whether mail is configured or not.
+let resend = null;
+const client = () => {
+  if (!resend) resend = new Resend(process.env.RESEND_API_KEY);
+  return resend;
+};
 
 // Must be an address on a domain verified in the Resend account, otherwise
 // every send is rejected with 403. The verified domain is nubian-sd.com —
@@ -18,8 +26,14 @@ const FROM_ADDRESS = process.env.MAIL_FROM || 'Nubian <nubiang@nubian-sd.com>';
  * delivered. Converting `error` into a thrown Error is what makes failures
  * visible to the worker (and lets it classify 4xx as unrecoverable).
  */
-const send = async ({ to, subject, html }) => {
-  const { data, error } = await resend.emails.send({ from: FROM_ADDRESS, to, subject, html });
+const send = async ({ to, subject, html, attachments }) => {
+  const { data, error } = await client().emails.send({
+    from: FROM_ADDRESS,
+    to,
+    subject,
+    html,
+    ...(attachments?.length ? { attachments } : {}),
+  });
 
   if (error) {
     const err = new Error(error.message || 'Resend rejected the message');
@@ -256,8 +270,9 @@ export async function sendWelcomeEmail({ to, userName }) {
  * @param {string} params.status - Order status
  * @param {number} params.totalAmount - Total order amount
  * @param {Array} params.products - Array of products {name, quantity, price}
+ * @param {Array} [params.attachments] - Resend attachments {filename, content}
  */
-export async function sendOrderEmail({ to, userName, orderNumber, status, totalAmount, products, currencyCode = 'USD' }) {
+export async function sendOrderEmail({ to, userName, orderNumber, status, totalAmount, products, currencyCode = 'USD', attachments }) {
   const html = `
     <div dir="rtl" style="font-family: Arial, sans-serif;">
       <h2>مرحباً ${userName} 👋</h2>
@@ -276,6 +291,7 @@ export async function sendOrderEmail({ to, userName, orderNumber, status, totalA
     to,
     subject: `تم إنشاء طلبك رقم #${orderNumber}`,
     html,
+    attachments,
   });
 }
 
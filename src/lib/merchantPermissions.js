@@ -19,6 +19,10 @@ export const PERMISSIONS = {
   PAYOUTS_WRITE:  'payouts:write',
   // Invite, change the role of, and revoke members.
   TEAM_WRITE:     'team:write',
+  // Draw and edit the store's own service-area polygons.
+  DELIVERY_WRITE: 'delivery:write',
+  // The store's ledger statement: what it is owed and why.
+  FINANCE_READ:   'finance:read',
 };
 
 const ALL = Object.values(PERMISSIONS);
@@ -39,6 +43,8 @@ const MANAGER = [
   PERMISSIONS.COUPONS_WRITE,
   PERMISSIONS.ANALYTICS_READ,
   PERMISSIONS.MARKETING_SEND,
+  PERMISSIONS.DELIVERY_WRITE,
+  PERMISSIONS.FINANCE_READ,
 ];
 
 export const ROLE_PERMISSIONS = Object.freeze({
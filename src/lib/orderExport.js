@@ -0,0 +1,169 @@
+/**
+ * Order exports — what goes in each column, for admins and for stores.
+ *
+ * Two shapes: a row per order, or a row per order line. Amounts are the USD
+ * base orders are stored in, like every report; the admin order export adds
+ * the shopper's currency and what they were charged in it.
+ *
+ * A store's export is its own part of each order and nothing else: its lines,
+ * its shipment's status, its subtotal and its revenue. Other stores' lines,
+ * the coupon, the referral code and the order's grand total stay out — the
+ * same limits GET /orders/merchant keeps.
+ *
+ * The file formats are csv.js and xlsx.js.
+ */
+
+export const EXPORT_MODES = ['orders', 'lines'];
+export const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+const idOf = (ref) => (ref ? String(ref._id || ref) : null);
+
+const storeOf = (line) => {
+  const merchant = line.product?.merchant;
+  return { id: idOf(merchant), name: merchant?.storeName || '' };
+};
+
+const variantOf = (line) =>
+  [line.size, ...Object.entries(line.attributes || {}).map(([k, v]) => `${k}: ${v}`)].filter(Boolean).join(', ');
+
+/** The store's own shipment status on a split order; the order's otherwise. */
+const statusFor = (order, merchantId) =>
+  (merchantId && order.fulfillments?.find((f) => idOf(f.merchant) === merchantId)?.status) || order.status;
+
+const orderFields = (order, merchantId) => ({
+  orderNumber: order.orderNumber,
+  date: order.orderDate,
+  status: statusFor(order, merchantId),
+  orderStatus: order.status,
+  paymentMethod: order.paymentMethod,
+  paymentStatus: order.paymentStatus,
+  city: order.addressSnapshot?.city || order.city || '',
+  customer: order.addressSnapshot?.name || order.user?.fullName || '',
+  email: order.user?.emailAddress || '',
+  phone: order.addressSnapshot?.phone || order.phoneNumber || '',
+});
+
+const lineFields = (line) => ({
+  store: storeOf(line).name,
+  productId: idOf(line.product),
+  product: line.product?.name || '',
+  variant: variantOf(line),
+  quantity: line.quantity,
+  unitPrice: round2(line.price),
+  lineTotal: round2(line.price * line.quantity),
+  merchantUnitPrice: round2(line.merchantPrice),
+  merchantTotal: round2(line.merchantPrice * line.quantity),
+});
+
+/**
+ * The rows one order contributes to an export.
+ *
+ * @param {object} order - lean, with `user`, `products.product` (and its
+ *   `merchant`) and `merchants` populated
+ * @param {object} options
+ * @param {'orders'|'lines'} options.mode
+ * @param {string|null} [options.merchantId] - a store's export: only its part
+ * @returns {object[]}
+ */
+export const exportRows = (order, { mode, merchantId = null }) => {
+  const lines = (order.products || []).filter((line) => !merchantId || storeOf(line).id === merchantId);
+  const base = orderFields(order, merchantId);
+
+  if (mode === 'lines') return lines.map((line) => ({ ...base, ...lineFields(line) }));
+
+  const subtotal = round2(lines.reduce((sum, l) => sum + l.price * l.quantity, 0));
+  const units = lines.reduce((sum, l) => sum + l.quantity, 0);
+  if (merchantId) {
+    const entry = order.merchantRevenue?.find((r) => idOf(r.merchant) === merchantId);
+    const revenue = entry ? entry.amount : lines.reduce((sum, l) => sum + l.merchantPrice * l.quantity, 0);
+    return [{ ...base, lines: lines.length, units, subtotal, revenue: round2(revenue) }];
+  }
+
+  return [{
+    ...base,
+    stores: (order.merchants || []).map((m) => m?.storeName).filter(Boolean).join(', '),
+    lines: lines.length,
+    units,
+    subtotal: round2(order.totalAmount),
+    discount: round2(order.discountAmount),
+    shipping: round2(order.shippingFee),
+    total: round2(order.finalAmount),
+    currency: order.currencyCodeSelected || 'USD',
+    totalInCurrency: order.finalAmountConverted ?? null,
+    coupon: order.couponDetails?.code || '',
+    referralCode: order.referralCodeUsed || '',
+    zone: order.shipping?.zoneName || '',
+    window: order.deliverySlot ? `${order.deliverySlot.day} ${order.deliverySlot.start}-${order.deliverySlot.end}` : '',
+  }];
+};
+
+const column = (header, key) => ({ header, value: (row) => row[key] });
+
+const ORDER_COLUMNS = [
+  column('order', 'orderNumber'),
+  column('date', 'date'),
+  column('status', 'status'),
+  column('payment_method', 'paymentMethod'),
+  column('payment_status', 'paymentStatus'),
+  column('city', 'city'),
+  column('customer', 'customer'),
+];
+
+/**
+ * @param {object} options
+ * @param {'orders'|'lines'} options.mode
+ * @param {boolean} [options.merchant] - a store's export
+ * @returns {Array<{ header: string, value: (row: object) => any }>} for csv.js / xlsx.js
+ */
+export const exportColumns = ({ mode, merchant = false }) => {
+  const who = merchant
+    ? [column('phone', 'phone')]
+    : [column('email', 'email'), column('phone', 'phone')];
+  const common = merchant
+    ? [...ORDER_COLUMNS.slice(0, 3), column('order_status', 'orderStatus'), ...ORDER_COLUMNS.slice(3), ...who]
+    : [...ORDER_COLUMNS, ...who];
+
+  if (mode === 'lines') {
+    return [
+      ...common,
+      ...(merchant ? [] : [column('store', 'store')]),
+      column('product_id', 'productId'),
+      column('product', 'product'),
+      column('variant', 'variant'),
+      column('quantity', 'quantity'),
+      column('unit_price_usd', 'unitPrice'),
+      column('line_total_usd', 'lineTotal'),
+      ...(merchant
+        ? [column('revenue_usd', 'merchantTotal')]
+        : [column('merchant_unit_price_usd', 'merchantUnitPrice'), column('merchant_total_usd', 'merchantTotal')]),
+    ];
+  }
+
+  if (merchant) {
+    return [
+      ...common,
+      column('lines', 'lines'),
+      column('units', 'units'),
+      column('subtotal_usd', 'subtotal'),
+      column('revenue_usd', 'revenue'),
+    ];
+  }
+  return [
+    ...common,
+    column('stores', 'stores'),
+    column('lines', 'lines'),
+    column('units', 'units'),
+    column('subtotal_usd', 'subtotal'),
+    column('discount_usd', 'discount'),
+    column('shipping_usd', 'shipping'),
+    column('total_usd', 'total'),
+    column('currency', 'currency'),
+    column('total_in_currency', 'totalInCurrency'),
+    column('coupon', 'coupon'),
+    column('referral_code', 'referralCode'),
+    column('zone', 'zone'),
+    column('delivery_window', 'window'),
+  ];
+};
@@ -0,0 +1,181 @@
+/**
+ * Order lifecycle rules.
+ *
+ * One table says which status an order may move to next, who may move it
+ * there, and what has to happen once it has moved. The admin and merchant
+ * endpoints used to carry their own allow-lists of *target* statuses, which
+ * said nothing about where an order was coming from — an admin could send a
+ * delivered order back to `pending`, or ship a cancelled one. Every status
+ * change now goes through `planTransition`, and a move that is not in the
+ * table does not happen.
+ *
+ * This module is dependency-free (no mongoose, no express) for the same reason
+ * `inventory.js` is: the model, the service and the unit tests all read the
+ * same table.
+ */
+
+export const ORDER_STATUSES = [
+  'pending',
+  'confirmed',
+  'ready_for_pickup',
+  'out_for_delivery',
+  'shipped',
+  'delivered',
+  'cancelled',
+  'returned',
+  'refunded',
+];
+
+/**
+ * Who can move an order.
+ *
+ * - admin    — platform staff (isAdmin)
+ * - merchant — a store member holding `orders:write` on an order that contains
+ *              their products
+ * - courier  — the rider carrying the order
+ * - customer — the shopper who placed it, and only to cancel before it leaves
+ * - system   — the platform itself: payment confirmations, scheduled jobs
+ */
+export const ORDER_ACTORS = ['admin', 'merchant', 'courier', 'customer', 'system'];
+
+/**
+ * What happens after a transition has been written.
+ *
+ * - commission — marketer commission for the order (only ever on delivery)
+ * - restock    — put the order's reserved units back on the shelf
+ * - notify     — push/in-app notification to the shopper
+ * - email      — customer status email
+ * - coupon     — give the shopper's coupon use back (CouponUsage + counters)
+ * - refund     — record a refund for what the shopper already paid, if anything
+ * - ledger     — post the sale to the ledger, crediting the stores (only ever on
+ *                delivery)
+ * - delivery_code — issue the code the shopper gives at the door to confirm
+ *                delivery (lib/deliveryCode.js), as the parcel leaves the store
+ * - slot       — free the delivery window the order booked (lib/deliverySlots.js)
+ */
+export const ORDER_EFFECTS = ['commission', 'restock', 'notify', 'email', 'coupon', 'refund', 'ledger', 'delivery_code', 'slot'];
+
+const A = 'admin';
+const M = 'merchant';
+const C = 'courier';
+const U = 'customer';
+const S = 'system';
+
+/**
+ * from → to → { actors, effects }.
+ *
+ * There are two ways out of a store. Merchants who deliver with their own
+ * riders mark the order `shipped`; orders handed to a platform courier go
+ * `ready_for_pickup` → `out_for_delivery`. Both end at `delivered`.
+ *
+ * Nothing moves backwards. A wrong status is fixed by moving forward
+ * (`returned`, `cancelled`), so the history always reads as what happened.
+ * `refunded` is terminal, and `cancelled` only leads to `refunded` — a
+ * prepaid order that was cancelled still has money to give back. A return is
+ * not announced on its own; the shopper hears about it when the refund lands.
+ *
+ * `verified` names actors who may make a move only with proof it happened:
+ * a store marks its own order delivered only with the code the shopper gave
+ * at the door, never on its own say-so — delivery is the move that pays it.
+ *
+ * The shopper may cancel for as long as nothing has left the store. A
+ * cancelled order never used its coupon, so the use is given back; a returned
+ * one did, and keeps it. The same goes for its delivery window. Whoever
+ * cancels, a prepaid order is owed its money, and the refund is recorded then
+ * rather than left for someone to remember.
+ */
+const TRANSITIONS = {
+  pending: {
+    confirmed:        { actors: [A, M, S], effects: ['notify'] },
+    cancelled:        { actors: [A, U, S], effects: ['restock', 'notify', 'coupon', 'refund', 'slot'] },
+  },
+  confirmed: {
+    ready_for_pickup: { actors: [A, M],    effects: [] },
+    shipped:          { actors: [A, M],    effects: ['notify', 'email', 'delivery_code'] },
+    cancelled:        { actors: [A, U, S], effects: ['restock', 'notify', 'coupon', 'refund', 'slot'] },
+  },
+  ready_for_pickup: {
+    out_for_delivery: { actors: [A, C],    effects: ['notify', 'delivery_code'] },
+    shipped:          { actors: [A, M],    effects: ['notify', 'email', 'delivery_code'] },
+    cancelled:        { actors: [A, U, S], effects: ['restock', 'notify', 'coupon', 'refund', 'slot'] },
+  },
+  out_for_delivery: {
+    delivered:        { actors: [A, C],    verified: [M], effects: ['commission', 'ledger', 'notify', 'email'] },
+    // Nobody home, refused at the door: the parcel comes back to the store.
+    returned:         { actors: [A, C],    effects: ['restock'] },
+  },
+  shipped: {
+    out_for_delivery: { actors: [A, C],    effects: ['notify', 'delivery_code'] },
+    delivered:        { actors: [A, C],    verified: [M], effects: ['commission', 'ledger', 'notify', 'email'] },
+    returned:         { actors: [A, C],    effects: ['restock'] },
+  },
+  delivered: {
+    returned:         { actors: [A],       effects: ['restock'] },
+  },
+  returned: {
+    refunded:         { actors: [A, S],    effects: ['notify'] },
+  },
+  cancelled: {
+    refunded:         { actors: [A, S],    effects: ['notify'] },
+  },
+  refunded: {},
+};
+
+/**
+ * Statuses `actor` may move an order to from `from`. Used to tell a client
+ * what it can do next, and in error details when it asked for something else.
+ *
+ * @param {string} from
+ * @param {string} actor
+ * @returns {string[]}
+ */
+export const nextStatuses = (from, actor) =>
+  Object.entries(TRANSITIONS[from] || {})
+    .filter(([, rule]) => rule.actors.includes(actor))
+    .map(([to]) => to);
+
+/**
+ * Check a status change against the table.
+ *
+ * Two ways to fail, kept apart because they mean different things to the
+ * caller: the move does not exist at all (409 — the order is in the wrong
+ * state), or it exists but this actor may not make it (403).
+ *
+ * `verified` says the caller has proof the move happened (a delivery code
+ * that checked out), which some actors need for some moves.
+ *
+ * @param {{ from: string, to: string, actor: string, verified?: boolean }} input
+ * @returns {{ ok: true, value: { from: string, to: string, effects: string[] } }
+ *         | { ok: false, code: string, message: string, allowed: string[] }}
+ */
+export const planTransition = ({ from, to, actor, verified = false }) => {
+  if (!ORDER_ACTORS.includes(actor)) {
+    return { ok: false, code: 'UNKNOWN_ACTOR', message: `Unknown actor "${actor}"`, allowed: [] };
+  }
+  if (!ORDER_STATUSES.includes(to)) {
+    return { ok: false, code: 'INVALID_STATUS', message: `Unknown order status "${to}"`, allowed: nextStatuses(from, actor) };
+  }
+
+  const rule = TRANSITIONS[from]?.[to];
+  if (!rule) {
+    return {
+      ok: false,
+      code: 'INVALID_STATUS_TRANSITION',
+      message: `An order cannot move from ${from} to ${to}`,
+      allowed: nextStatuses(from, actor),
+    };
+  }
+  const permitted = rule.actors.includes(actor) || (verified && rule.verified?.includes(actor));
+  if (!permitted) {
+    return {
+      ok: false,
+      code: 'TRANSITION_NOT_PERMITTED',
+      message: rule.verified?.includes(actor)
+        ? `A ${actor} can move an order from ${from} to ${to} only with the shopper's delivery code`
+        : `A ${actor} cannot move an order from ${from} to ${to}`,
+      allowed: nextStatuses(from, actor),
+    };
+  }
+
+  return { ok: true, value: { from, to, effects: [...rule.effects] } };
+};
@@ -0,0 +1,149 @@
+/**
+ * Card payments — what a payment attempt may do next, and what it means for
+ * the order.
+ *
+ * A CARD order is placed unpaid. Paying for it is a Payment (payment.model.js):
+ * one attempt at the gateway, made through whichever provider is configured
+ * (services/payments/). An attempt is created, confirmed with the shopper's
+ * card, authorised, and captured — and only a captured payment makes the
+ * order `paid`. A declined card fails the attempt; the shopper may start
+ * another.
+ *
+ * Gateways tell us what happened twice over: in the answer to our own call,
+ * and again later by webhook, in any order and as often as they like. Both go
+ * through `planPaymentStatus`, which only lets an attempt move forward and
+ * treats hearing the same news again as nothing to do.
+ *
+ * A refund on a card order goes back through the gateway that took the money,
+ * against the captured attempt, and is recorded on it so the total refunded
+ * can never pass what was captured.
+ */
+
+export const PAYMENT_STATUSES = ['requires_confirmation', 'authorized', 'captured', 'failed', 'cancelled'];
+
+export const GATEWAY_REFUND_STATUSES = ['pending', 'succeeded', 'failed'];
+
+/** Normalised webhook events; each provider maps its own onto these. */
+export const PAYMENT_EVENT_TYPES = [
+  'payment.authorized',
+  'payment.captured',
+  'payment.failed',
+  'payment.cancelled',
+  'refund.succeeded',
+  'refund.failed',
+];
+
+const NEXT = {
+  requires_confirmation: ['authorized', 'captured', 'failed', 'cancelled'],
+  authorized:            ['captured', 'failed', 'cancelled'],
+  captured:              [],
+  failed:                [],
+  cancelled:             [],
+};
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Check a payment attempt status change. Hearing the status it already has
+ * is fine and changes nothing.
+ *
+ * @param {{ from: string, to: string }} input
+ * @returns {{ ok: true, changed: boolean } | { ok: false, code: string, message: string }}
+ */
+export const planPaymentStatus = ({ from, to }) => {
+  if (!PAYMENT_STATUSES.includes(to)) {
+    return { ok: false, code: 'INVALID_STATUS', message: `Unknown payment status "${to}"` };
+  }
+  if (from === to) return { ok: true, changed: false };
+  if (!NEXT[from]?.includes(to)) {
+    return { ok: false, code: 'INVALID_PAYMENT_TRANSITION', message: `A ${from} payment cannot become ${to}` };
+  }
+  return { ok: true, changed: true };
+};
+
+/** What an attempt's status makes the order's `paymentStatus`. */
+export const orderPaymentStatusFor = (status) => {
+  if (status === 'captured') return 'paid';
+  if (status === 'failed' || status === 'cancelled') return 'failed';
+  return 'pending';
+};
+
+/**
+ * What the shopper owes: the order total in the currency they checked out
+ * in, or in USD when the conversion failed at checkout.
+ *
+ * @param {object} order
+ * @returns {{ amount: number, currency: string }}
+ */
+export const amountDue = (order) => {
+  const code = String(order.currencyCodeSelected || 'USD').toUpperCase();
+  return code !== 'USD' && order.finalAmountConverted != null
+    ? { amount: round2(order.finalAmountConverted), currency: code }
+    : { amount: round2(order.finalAmount), currency: 'USD' };
+};
+
+/**
+ * Check a shopper may start a card payment on an order.
+ *
+ * @param {object} order
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planCardPayment = (order) => {
+  if (order.paymentMethod !== 'CARD') {
+    return { ok: false, code: 'NOT_CARD', message: 'This order is not paid by card' };
+  }
+  if (order.paymentStatus === 'paid') {
+    return { ok: false, code: 'ALREADY_PAID', message: 'This order is already paid' };
+  }
+  if (order.status !== 'pending') {
+    return { ok: false, code: 'ORDER_CLOSED', message: `A ${order.status} order cannot take a payment` };
+  }
+  return { ok: true };
+};
+
+/**
+ * Check a refund can be sent through the gateway, and for how much in the
+ * currency the card was charged in.
+ *
+ * @param {object} refund  - Refund row: status, method, amount, amountConverted, currencyCode
+ * @param {object|null} payment - the order's captured attempt
+ * @returns {{ ok: true, value: { amount: number, currency: string } }
+ *         | { ok: false, code: string, message: string }}
+ */
+export const planGatewayRefund = (refund, payment) => {
+  if (refund.method !== 'CARD') {
+    return { ok: false, code: 'NOT_CARD', message: 'Only card refunds go back through the gateway' };
+  }
+  if (refund.status !== 'approved') {
+    return { ok: false, code: 'REFUND_NOT_APPROVED', message: `A ${refund.status} refund cannot be sent` };
+  }
+  if (!payment || payment.status !== 'captured') {
+    return { ok: false, code: 'NO_CAPTURED_PAYMENT', message: 'The order has no captured card payment to refund' };
+  }
+
+  const entries = payment.refunds || [];
+  if (entries.some((r) => String(r.refund) === String(refund._id) && r.status !== 'failed')) {
+    return { ok: false, code: 'REFUND_IN_PROGRESS', message: 'This refund was already sent to the gateway' };
+  }
+
+  let amount;
+  if (payment.currency === 'USD') amount = refund.amount;
+  else if (refund.amountConverted != null && refund.currencyCode === payment.currency) amount = refund.amountConverted;
+  else {
+    return {
+      ok: false,
+      code: 'CURRENCY_MISMATCH',
+      message: `The refund has no amount in ${payment.currency}, the currency the card was charged in`,
+    };
+  }
+
+  const refunded = entries.filter((r) => r.status !== 'failed').reduce((sum, r) => sum + r.amount, 0);
+  if (round2(refunded + amount) > round2(payment.amount)) {
+    return {
+      ok: false,
+      code: 'EXCEEDS_CAPTURED',
+      message: `Refunding ${round2(amount)} would take the total refunded past the ${payment.amount} captured`,
+    };
+  }
+  return { ok: true, value: { amount: round2(amount), currency: payment.currency } };
+};
@@ -0,0 +1,182 @@
+/**
+ * Merchant payouts — sweeping what stores are owed into a bank transfer run.
+ *
+ * A payout batch takes every store's ledger balance (lib/ledger.js), less the
+ * delivery credits still inside the hold period, and turns it into one bank
+ * transfer per store. The hold gives returns and disputes time to land before
+ * the money has left. Amounts under a dispute are already out of `balance` —
+ * the freeze moved them to `merchant_frozen` — so they are never swept.
+ *
+ * Sweeping moves the amount out of the store's balance straight away
+ * (`payout_batched`), so a second batch cannot pick it up again. Each transfer
+ * then settles one way or the other: `paid` sends it out of the platform's
+ * cash, `failed` gives it back to the store's balance for the next run.
+ *
+ * The bank file comes in two shapes: CSV, and a fixed-width layout for banks
+ * that want one, described by PAYOUT_FIXED_WIDTH_LAYOUT.
+ */
+
+import { toCsv } from './csv.js';
+
+export const PAYOUT_BATCH_STATUSES = ['processing', 'completed'];
+export const PAYOUT_ITEM_STATUSES = ['pending', 'paid', 'failed'];
+export const PAYOUT_FILE_FORMATS = ['csv', 'fixed'];
+
+/** Days a delivery credit waits before it can be paid out. PAYOUT_HOLD_DAYS overrides. */
+export const DEFAULT_PAYOUT_HOLD_DAYS = 7;
+
+/** Smallest transfer worth making, USD. PAYOUT_MIN_AMOUNT overrides. */
+export const DEFAULT_PAYOUT_MIN_AMOUNT = 10;
+
+/**
+ * Fields a fixed-width line can carry.
+ *
+ * - reference   — the transfer's own reference, e.g. PO-20261019-0001
+ * - iban        — the store's IBAN, without spaces
+ * - name        — the beneficiary: the store's owner, as the bank knows them
+ * - store       — the store's name
+ * - amount      — "1234.50"
+ * - amountCents — "123450", for layouts with an implied decimal point
+ * - currency    — ISO code
+ * - date        — the batch date, YYYYMMDD
+ */
+export const FIXED_WIDTH_FIELDS = ['reference', 'iban', 'name', 'store', 'amount', 'amountCents', 'currency', 'date'];
+
+export const DEFAULT_FIXED_WIDTH_LAYOUT = 'reference:20,iban:34,name:35,amountCents:15:right:0,currency:3,date:8';
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** An IBAN as a bank file wants it: no spaces, upper case. */
+export const normalizeIban = (iban) => String(iban || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * ISO 13616 check: country code, two check digits, up to 30 more letters or
+ * digits, and the whole thing ≡ 1 (mod 97).
+ */
+export const isValidIban = (iban) => {
+  const value = normalizeIban(iban);
+  if (!/^[A-Z]{2}\d{2}[A-Z0-9]{1,30}$/.test(value)) return false;
+  const digits = (value.slice(4) + value.slice(0, 4)).replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const d of digits) remainder = (remainder * 10 + Number(d)) % 97;
+  return remainder === 1;
+};
+
+/**
+ * What one store can be paid in this run, and if nothing, why not.
+ *
+ * @param {object} candidate
+ * @param {number} candidate.balance - the store's ledger balance, USD
+ * @param {number} candidate.held    - delivery credits still inside the hold period
+ * @param {string} [candidate.iban]
+ * @param {number} minAmount
+ * @returns {{ ok: true, value: { amount: number, iban: string } }
+ *         | { ok: false, code: string, message: string, amount: number }}
+ */
+export const planPayout = ({ balance, held, iban }, minAmount = DEFAULT_PAYOUT_MIN_AMOUNT) => {
+  const amount = Math.max(0, round2((Number(balance) || 0) - (Number(held) || 0)));
+  if (amount <= 0) return { ok: false, code: 'NOTHING_DUE', message: 'Nothing is due outside the hold period', amount };
+  if (amount < minAmount) {
+    return { ok: false, code: 'BELOW_MINIMUM', message: `Less than the ${minAmount} USD minimum payout`, amount };
+  }
+  if (!iban) return { ok: false, code: 'MISSING_IBAN', message: 'The store has no IBAN on file', amount };
+  if (!isValidIban(iban)) return { ok: false, code: 'INVALID_IBAN', message: 'The store\'s IBAN does not check out', amount };
+  return { ok: true, value: { amount, iban: normalizeIban(iban) } };
+};
+
+/**
+ * Parse a fixed-width layout: comma-separated `field:width[:align[:pad]]`,
+ * where align is `left` (default) or `right` and pad is one character (space
+ * by default). `amountCents:15:right:0` is a 15-digit zero-padded amount.
+ *
+ * @param {string} spec
+ * @returns {{ ok: true, value: Array<{ field: string, width: number, align: string, pad: string }> }
+ *         | { ok: false, message: string }}
+ */
+export const parseFixedWidthLayout = (spec) => {
+  const columns = [];
+  for (const part of String(spec || '').split(',').map((s) => s.trim()).filter(Boolean)) {
+    const [field, width, align = 'left', pad = ' '] = part.split(':');
+    if (!FIXED_WIDTH_FIELDS.includes(field)) {
+      return { ok: false, message: `Unknown field "${field}"; use ${FIXED_WIDTH_FIELDS.join(', ')}` };
+    }
+    const n = Number(width);
+    if (!Number.isInteger(n) || n < 1 || n > 200) return { ok: false, message: `Width of "${field}" must be 1 to 200` };
+    if (!['left', 'right'].includes(align)) return { ok: false, message: `Alignment of "${field}" must be left or right` };
+    if (pad.length !== 1) return { ok: false, message: `Padding of "${field}" must be one character` };
+    columns.push({ field, width: n, align, pad });
+  }
+  if (!columns.length) return { ok: false, message: 'The layout has no fields' };
+  return { ok: true, value: columns };
+};
+
+/** The values a bank file line is built from, for one batch item. */
+const fieldsOf = (batch, item) => ({
+  reference:   item.reference,
+  iban:        normalizeIban(item.iban),
+  name:        item.beneficiary || item.storeName,
+  store:       item.storeName,
+  amount:      item.amount.toFixed(2),
+  amountCents: String(Math.round(item.amount * 100)),
+  currency:    batch.currency,
+  date:        new Date(batch.createdAt).toISOString().slice(0, 10).replace(/-/g, ''),
+});
+
+/**
+ * The bank file for a batch, holding the transfers still pending.
+ *
+ * Fixed-width values longer than their column are cut, so a layout must give
+ * `iban` and the amount room enough; names are the only thing a bank expects
+ * to see truncated.
+ *
+ * @param {object} batch - reference, currency, createdAt, items
+ * @param {'csv'|'fixed'} format
+ * @param {Array<object>} [layout] - parsed fixed-width layout
+ * @returns {string}
+ */
+export const buildBankFile = (batch, format, layout = parseFixedWidthLayout(DEFAULT_FIXED_WIDTH_LAYOUT).value) => {
+  const rows = (batch.items || []).filter((i) => i.status === 'pending').map((i) => fieldsOf(batch, i));
+
+  if (format === 'csv') {
+    return toCsv(
+      [
+        { header: 'reference',   value: (r) => r.reference },
+        { header: 'beneficiary', value: (r) => r.name },
+        { header: 'store',       value: (r) => r.store },
+        { header: 'iban',        value: (r) => r.iban },
+        { header: 'amount',      value: (r) => r.amount },
+        { header: 'currency',    value: (r) => r.currency },
+        { header: 'date',        value: (r) => r.date },
+      ],
+      rows
+    );
+  }
+
+  return rows
+    .map((r) =>
+      layout
+        .map(({ field, width, align, pad }) => {
+          const value = String(r[field] ?? '').replace(/[\r\n]/g, ' ').slice(0, width);
+          return align === 'right' ? value.padStart(width, pad) : value.padEnd(width, pad);
+        })
+        .join('')
+    )
+    .map((line) => `${line}\r\n`)
+    .join('');
+};
+
+/**
+ * Check a batch item's settlement.
+ *
+ * @param {{ from: string, to: string }} input
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planPayoutSettlement = ({ from, to }) => {
+  if (!['paid', 'failed'].includes(to)) {
+    return { ok: false, code: 'INVALID_STATUS', message: 'A payout can only be marked paid or failed' };
+  }
+  if (from !== 'pending') {
+    return { ok: false, code: 'PAYOUT_ALREADY_SETTLED', message: `This payout was already marked ${from}` };
+  }
+  return { ok: true };
+};
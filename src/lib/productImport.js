@@ -0,0 +1,319 @@
+/**
+ * Product import files — the spreadsheet a store fills in, read into the
+ * rows POST /api/products/admin/bulk-import takes.
+ *
+ * One line per variant. The product a line belongs to is its `importSku`;
+ * the product's own fields (name, category, images, discount, …) are read
+ * from its first line and may be left blank on the rest. Lines of one
+ * product need not be next to each other.
+ *
+ *   images, variantImages — URLs separated by `|`
+ *   attributes            — `size=M|color=White`
+ *   discount*             — the product-level discount block; leave every
+ *                           discount column blank to keep the one the product has
+ *   pricingCurrency       — what the line's money columns are in; USD when blank
+ *
+ * exportLines() writes a store's catalogue in the same layout, so a file can
+ * go out, be edited and come back.
+ *
+ * Rows here are checked only as far as a file can be wrong — a missing
+ * column, a word where a number goes. Whether a product is valid is the
+ * import's call (services/productImport.service.js), for files and JSON
+ * alike.
+ *
+ * The file formats are csv.js and xlsx.js.
+ */
+
+export const IMPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * An uploaded file's run: checked on upload (`validated`), then started by
+ * the store (`queued`), written by the import worker (`running`) and done
+ * (`completed`, with or without failed rows) or stopped by an error
+ * (`failed`).
+ */
+export const IMPORT_JOB_STATUSES = ['validated', 'queued', 'running', 'completed', 'failed'];
+
+/** Largest upload taken. */
+export const MAX_IMPORT_FILE_BYTES = 8 * 1024 * 1024;
+
+/** Lines (variants) in one file, header aside. */
+export const MAX_IMPORT_LINES = 20000;
+
+/**
+ * How far into a spreadsheet an import reads (xlsx.js readXlsx): room for
+ * blank rows between lines, and for a store's own notes columns beside
+ * IMPORT_COLUMNS. Past that the file is refused before it is read in full.
+ */
+export const IMPORT_SHEET_LIMITS = { maxRows: 2 * MAX_IMPORT_LINES, maxColumns: 256 };
+
+/** The columns, in the order a template or an export writes them. */
+export const IMPORT_COLUMNS = [
+  'importSku', 'name', 'description', 'category', 'images', 'pricingCurrency', 'priorityScore', 'featured',
+  'discountType', 'discountValue', 'discountMaxDiscount', 'discountStartsAt', 'discountEndsAt', 'discountIsActive',
+  'sku', 'attributes', 'merchantPrice', 'stock', 'variantImages', 'variantIsActive',
+  'nubianMarkup', 'dynamicMarkup', 'merchantDiscount', 'lowStockThreshold',
+];
+
+const REQUIRED_COLUMNS = ['importSku', 'name', 'category', 'sku', 'attributes', 'merchantPrice', 'stock'];
+
+const DISCOUNT_COLUMNS = [
+  'discountType', 'discountValue', 'discountMaxDiscount', 'discountStartsAt', 'discountEndsAt', 'discountIsActive',
+];
+
+const LIST_SEPARATOR = '|';
+
+// Excel counts days from 1899-12-30; 25569 of them take it to 1970-01-01.
+const EXCEL_EPOCH_DAYS = 25569;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const blank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const text = (value) => (blank(value) ? undefined : String(value).trim());
+
+const list = (value) =>
+  blank(value) ? [] : String(value).split(LIST_SEPARATOR).map((s) => s.trim()).filter(Boolean);
+
+const fail = (column, message) => {
+  const error = new Error(`${column} ${message}`);
+  error.column = column;
+  return error;
+};
+
+const number = (value, column) => {
+  if (blank(value)) return undefined;
+  const n = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(n)) throw fail(column, 'must be a number');
+  return n;
+};
+
+const boolean = (value, column) => {
+  if (blank(value)) return undefined;
+  if (typeof value === 'boolean') return value;
+  const word = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(word)) return true;
+  if (['false', 'no', '0'].includes(word)) return false;
+  throw fail(column, 'must be true or false');
+};
+
+// A date typed into Excel arrives as a day count; in a CSV, as text.
+const date = (value) => {
+  if (blank(value)) return undefined;
+  if (typeof value === 'number') return new Date(Math.round((value - EXCEL_EPOCH_DAYS) * DAY_MS)).toISOString();
+  return String(value).trim();
+};
+
+const attributes = (value) => {
+  const out = {};
+  for (const pair of list(value)) {
+    const at = pair.indexOf('=');
+    const key = at > 0 ? pair.slice(0, at).trim() : '';
+    if (!key) throw fail('attributes', `"${pair}" is not name=value`);
+    out[key] = pair.slice(at + 1).trim();
+  }
+  return out;
+};
+
+const discount = (line) => {
+  if (DISCOUNT_COLUMNS.every((c) => blank(line[c]))) return undefined;
+  return {
+    type: text(line.discountType)?.toLowerCase() ?? null,
+    value: number(line.discountValue, 'discountValue') ?? 0,
+    maxDiscount: number(line.discountMaxDiscount, 'discountMaxDiscount') ?? null,
+    startsAt: date(line.discountStartsAt) ?? null,
+    endsAt: date(line.discountEndsAt) ?? null,
+    isActive: boolean(line.discountIsActive, 'discountIsActive') ?? true,
+  };
+};
+
+const variantOf = (line) => {
+  const variant = {
+    sku: text(line.sku),
+    attributes: attributes(line.attributes),
+    merchantPrice: number(line.merchantPrice, 'merchantPrice'),
+    stock: number(line.stock, 'stock'),
+    images: list(line.variantImages),
+    isActive: boolean(line.variantIsActive, 'variantIsActive'),
+    nubianMarkup: number(line.nubianMarkup, 'nubianMarkup'),
+    dynamicMarkup: number(line.dynamicMarkup, 'dynamicMarkup'),
+    merchantDiscount: number(line.merchantDiscount, 'merchantDiscount'),
+    lowStockThreshold: number(line.lowStockThreshold, 'lowStockThreshold'),
+  };
+  return Object.fromEntries(Object.entries(variant).filter(([, v]) => v !== undefined));
+};
+
+const productOf = (line, importSku) => {
+  const row = {
+    importSku,
+    name: text(line.name),
+    description: text(line.description),
+    category: text(line.category),
+    images: list(line.images),
+    pricingCurrency: text(line.pricingCurrency)?.toUpperCase(),
+    priorityScore: number(line.priorityScore, 'priorityScore'),
+    featured: boolean(line.featured, 'featured'),
+    discount: discount(line),
+    variants: [],
+  };
+  return Object.fromEntries(Object.entries(row).filter(([, v]) => v !== undefined));
+};
+
+/**
+ * Read a file's records (csv.js parseCsv, xlsx.js readXlsx) into import rows.
+ *
+ * Each row carries `lines`, the spreadsheet row numbers it came from, so an
+ * error can point at them. A line that cannot be read fails its whole
+ * product — importing the rest of its variants would drop the bad one from
+ * the catalogue without anyone asking.
+ *
+ * @param {Array<Array<string|number|boolean>>} records - the header first
+ * @returns {{ ok: true, rows: Array<object>, failures: Array<{ lines: number[], importSku: string|null, reason: string }> }
+ *   | { ok: false, code: string, message: string }}
+ */
+export const importRowsFrom = (records) => {
+  const headerIndex = records.findIndex((r) => r.some((cell) => !blank(cell)));
+  if (headerIndex < 0) return { ok: false, code: 'EMPTY_FILE', message: 'The file has no rows' };
+
+  const known = new Map(IMPORT_COLUMNS.map((c) => [c.toLowerCase(), c]));
+  const header = records[headerIndex].map((cell) => known.get(String(cell ?? '').trim().toLowerCase()) || null);
+  const missing = REQUIRED_COLUMNS.filter((c) => !header.includes(c));
+  if (missing.length) {
+    return { ok: false, code: 'MISSING_COLUMNS', message: `Missing columns: ${missing.join(', ')}` };
+  }
+
+  const body = records.slice(headerIndex + 1);
+  const lineCount = body.filter((r) => r.some((cell) => !blank(cell))).length;
+  if (lineCount === 0) return { ok: false, code: 'EMPTY_FILE', message: 'The file has no product lines' };
+  if (lineCount > MAX_IMPORT_LINES) {
+    return { ok: false, code: 'TOO_MANY_LINES', message: `A file can hold up to ${MAX_IMPORT_LINES} lines; this one has ${lineCount}` };
+  }
+
+  const products = new Map();
+  const failed = new Map();
+  const failures = [];
+
+  body.forEach((record, i) => {
+    if (!record.some((cell) => !blank(cell))) return;
+    const lineNumber = headerIndex + i + 2;
+    const line = {};
+    header.forEach((column, c) => {
+      if (column && line[column] === undefined) line[column] = record[c];
+    });
+
+    const importSku = text(line.importSku);
+    if (!importSku) {
+      failures.push({ lines: [lineNumber], importSku: null, reason: 'importSku is required' });
+      return;
+    }
+    if (failed.has(importSku)) {
+      failed.get(importSku).lines.push(lineNumber);
+      return;
+    }
+
+    try {
+      let row = products.get(importSku);
+      if (!row) {
+        row = { ...productOf(line, importSku), lines: [] };
+        products.set(importSku, row);
+      }
+      row.variants.push(variantOf(line));
+      row.lines.push(lineNumber);
+    } catch (error) {
+      const lines = [...(products.get(importSku)?.lines || []), lineNumber];
+      products.delete(importSku);
+      const failure = { lines, importSku, reason: `Row ${lineNumber}: ${error.message}` };
+      failed.set(importSku, failure);
+      failures.push(failure);
+    }
+  });
+
+  return { ok: true, rows: [...products.values()], failures };
+};
+
+/** Columns of the per-row error report. */
+export const IMPORT_ERROR_COLUMNS = [
+  { header: 'Rows', value: (f) => (f.lines || []).join(' ') },
+  { header: 'Import SKU', value: (f) => f.importSku || '' },
+  { header: 'Stage', value: (f) => f.stage || '' },
+  { header: 'Reason', value: (f) => f.reason },
+];
+
+// ─── Export ──────────────────────────────────────────────────────────────────
+
+const cellList = (values) => (values || []).join(LIST_SEPARATOR);
+
+/**
+ * The currency a product's money columns are exported in: the one it was
+ * priced in when every amount typed in it is on file, otherwise USD, which is
+ * what the product is stored in. Exporting what was typed, rather than
+ * converting back at today's rate, keeps a file that goes round unchanged
+ * from drifting with the rate.
+ */
+const exportCurrency = (product) => {
+  const input = product.pricingInput || {};
+  const code = input.currency;
+  if (!code || code === 'USD') return null;
+
+  const typedVariants = product.variants.every((v) =>
+    v.pricingInput?.merchantPrice != null && !(v.merchantDiscount > 0 && v.pricingInput.merchantDiscount == null)
+  );
+  const d = product.discount || {};
+  const typedDiscount =
+    !(d.type === 'fixed' && d.value > 0 && input.discountValue == null) &&
+    !(d.type && d.maxDiscount > 0 && input.discountMaxDiscount == null);
+  return typedVariants && typedDiscount ? code : null;
+};
+
+const discountColumns = (product, code) => {
+  const d = product.discount;
+  if (!d?.type) return {};
+  const input = product.pricingInput || {};
+  return {
+    discountType: d.type,
+    discountValue: code && d.type === 'fixed' ? input.discountValue : d.value,
+    discountMaxDiscount: d.maxDiscount > 0 ? (code ? input.discountMaxDiscount : d.maxDiscount) : null,
+    discountStartsAt: d.startsAt ? new Date(d.startsAt) : null,
+    discountEndsAt: d.endsAt ? new Date(d.endsAt) : null,
+    discountIsActive: Boolean(d.isActive),
+  };
+};
+
+/**
+ * A product as the lines of an import file, one per variant — what a store
+ * exports, edits and imports back. The product's own columns are written on
+ * its first line only, the one the import reads them from.
+ *
+ * @param {object} product - lean, with variants, pricingInput and discount
+ * @returns {Array<object>} lines keyed by IMPORT_COLUMNS
+ */
+export const exportLines = (product) => {
+  const code = exportCurrency(product);
+  const head = {
+    name: product.name,
+    description: product.description,
+    category: product.category ? String(product.category) : null,
+    images: cellList(product.images),
+    pricingCurrency: code || 'USD',
+    priorityScore: product.priorityScore,
+    featured: Boolean(product.featured),
+    ...discountColumns(product, code),
+  };
+
+  return product.variants.map((v, i) => ({
+    importSku: product.importSku,
+    ...(i === 0 ? head : {}),
+    sku: v.sku,
+    attributes: Object.entries(v.attributes || {}).map(([k, value]) => `${k}=${value}`).join(LIST_SEPARATOR),
+    merchantPrice: code ? v.pricingInput.merchantPrice : v.merchantPrice,
+    stock: v.stock,
+    variantImages: cellList(v.images),
+    variantIsActive: v.isActive !== false,
+    nubianMarkup: v.nubianMarkup,
+    dynamicMarkup: v.dynamicMarkup,
+    merchantDiscount: code ? v.pricingInput.merchantDiscount ?? 0 : v.merchantDiscount,
+    lowStockThreshold: v.lowStockThreshold ?? null,
+  }));
+};
+
+/** IMPORT_COLUMNS for csv.js and xlsx.js, reading exportLines() lines. */
+export const EXPORT_COLUMNS = IMPORT_COLUMNS.map((column) => ({ header: column, value: (line) => line[column] }));
@@ -64,4 +64,10 @@ export const assertVersion = (job) => {
  *   { ...FANOUT_BROADCAST, targetRecipients: null | string[] | { segment: object } }
  *
  * MAINT_*: empty payload — these run on a repeatable schedule.
+ *
+ * IMPORT_PRODUCTS payload:
+ *   {
+ *     v: 1,
+ *     importJobId: string        // Mongo _id of the ProductImportJob
+ *   }
  */
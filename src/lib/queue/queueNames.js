@@ -11,6 +11,7 @@ export const QUEUE_NAMES = Object.freeze({
   SMS: 'nubian_notif_sms',
   FANOUT: 'nubian_notif_fanout',
   MAINTENANCE: 'nubian_notif_maintenance',
+  IMPORT: 'nubian_product_import',
 });
 
 /**
@@ -41,6 +42,11 @@ export const JOB_NAMES = Object.freeze({
   MAINT_DLQ_SWEEP: 'maintenance.dlq-sweep',
   MAINT_TOKEN_CLEANUP: 'maintenance.token-cleanup',
   MAINT_EXPIRED_NOTIFS: 'maintenance.expired-notifs',
+  MAINT_EXPIRED_HOLDS: 'maintenance.expired-holds',
+  MAINT_BANKAK_DEADLINES: 'maintenance.bankak-deadlines',
+
+  // IMPORT queue
+  IMPORT_PRODUCTS: 'import.products',
 });
 
 export const ALL_QUEUE_NAMES = Object.values(QUEUE_NAMES);
@@ -42,6 +42,13 @@ const QUEUE_DEFAULTS = {
     removeOnComplete: { age: 24 * 3600, count: 200 },
     removeOnFail: { age: 30 * 24 * 3600, count: 1000 },
   },
+  // One attempt: a failed import is recorded on its ProductImportJob, and the
+  // store re-runs it from there rather than have it rerun unseen.
+  [QUEUE_NAMES.IMPORT]: {
+    attempts: 1,
+    removeOnComplete: { age: 24 * 3600, count: 200 },
+    removeOnFail: { age: 14 * 24 * 3600, count: 1000 },
+  },
 };
 
 const queues = new Map();
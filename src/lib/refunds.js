@@ -0,0 +1,90 @@
+/**
+ * Refund rules.
+ *
+ * Every reversal of money to a shopper is a Refund row (refund.model.js):
+ * an approved return, a paid order cancelled before it left the store, or a
+ * dispute settled in the shopper's favour. Finance reconciles against these
+ * rows, so a refund moves only forward — `requested` → `approved` → `paid` —
+ * and `paid` is only reached with proof of the transfer.
+ */
+
+export const REFUND_SOURCES = ['return', 'cancellation', 'dispute'];
+
+/** How the money goes back. Same vocabulary as `order.paymentMethod`. */
+export const REFUND_METHODS = ['BANKAK', 'CASH', 'CARD'];
+
+export const REFUND_STATUSES = ['requested', 'approved', 'paid'];
+
+const NEXT = {
+  requested: 'approved',
+  approved:  'paid',
+  paid:      null,
+};
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Check a refund status change.
+ *
+ * @param {{ from: string, to: string }} input
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const planRefundTransition = ({ from, to }) => {
+  if (!REFUND_STATUSES.includes(to)) {
+    return { ok: false, code: 'INVALID_STATUS', message: `Unknown refund status "${to}"` };
+  }
+  if (NEXT[from] !== to) {
+    return {
+      ok: false,
+      code: 'INVALID_REFUND_TRANSITION',
+      message: NEXT[from]
+        ? `A ${from} refund can only move to ${NEXT[from]}`
+        : `A ${from} refund cannot change`,
+    };
+  }
+  return { ok: true };
+};
+
+/**
+ * A USD refund in the shopper's currency, at the rate their order was placed
+ * at — what they paid is what they get back, whatever the rate is today.
+ *
+ * @param {number} amount - USD
+ * @param {{ rate?: number }|null} fxSnapshot - the order's
+ * @returns {number|null} null when the order has no usable rate
+ */
+export const convertRefund = (amount, fxSnapshot) => {
+  const rate = Number(fxSnapshot?.rate);
+  return rate > 0 ? round2(amount * rate) : null;
+};
+
+/**
+ * What settling a dispute refunds to the shopper and hands back to the store.
+ *
+ * @param {number} disputed - the frozen amount, USD
+ * @param {'refund_full'|'refund_partial'|'rejected'} resolution
+ * @param {number} [approvedAmount] - required for refund_partial
+ * @returns {{ ok: true, value: { refund: number, release: number } }
+ *         | { ok: false, code: string, message: string }}
+ */
+export const settleDispute = (disputed, resolution, approvedAmount) => {
+  switch (resolution) {
+    case 'refund_full':
+      return { ok: true, value: { refund: disputed, release: 0 } };
+    case 'rejected':
+      return { ok: true, value: { refund: 0, release: disputed } };
+    case 'refund_partial': {
+      const amount = Number(approvedAmount);
+      if (!(amount > 0) || amount > disputed) {
+        return {
+          ok: false,
+          code: 'INVALID_REFUND_AMOUNT',
+          message: `A partial refund must be more than 0 and at most the disputed ${disputed}`,
+        };
+      }
+      return { ok: true, value: { refund: round2(amount), release: round2(disputed - amount) } };
+    }
+    default:
+      return { ok: false, code: 'INVALID_RESOLUTION', message: `Unknown resolution "${resolution}"` };
+  }
+};
@@ -0,0 +1,172 @@
+/**
+ * Return requests — a shopper asking to send delivered items back.
+ *
+ * A request names order lines (by their position in `order.products`, which
+ * never changes after checkout), how many units of each, why, and optional
+ * photos. Lines from different stores become one request per store, because
+ * each store decides on its own items. Approval produces a refund record
+ * (refund.service.js); rejection ends the request.
+ *
+ * The order's own status is left alone: returning one shirt out of three does
+ * not make the order `returned`. That status still means the whole parcel
+ * came back, and is set through the lifecycle table as before.
+ */
+
+export const RETURN_REASONS = [
+  'damaged',
+  'wrong_item',
+  'not_as_described',
+  'missing_parts',
+  'size_fit',
+  'changed_mind',
+  'other',
+];
+
+export const RETURN_STATUSES = ['requested', 'approved', 'rejected'];
+
+/** Days after delivery a return may be opened. RETURN_WINDOW_DAYS overrides. */
+export const DEFAULT_RETURN_WINDOW_DAYS = 14;
+
+export const MAX_RETURN_PHOTOS = 5;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const round2 = (n) => Math.round(n * 100) / 100;
+const sameId = (a, b) => String(a ?? '') === String(b ?? '');
+
+/**
+ * When the part of the order holding `line` was delivered, or null if it has
+ * not been. Split orders answer per shipment; older orders from the history
+ * entry that made the whole order delivered.
+ */
+export const deliveredAtFor = (order, line) => {
+  if (order.fulfillments?.length) {
+    const group = order.fulfillments.find((f) =>
+      (f.items || []).some((i) => sameId(i.product, line.product) && sameId(i.variantId, line.variantId))
+    );
+    return group?.status === 'delivered' ? { at: group.deliveredAt || null, fulfillment: group } : null;
+  }
+  if (order.status !== 'delivered') return null;
+  const entry = [...(order.statusHistory || [])].reverse().find((h) => h.to === 'delivered' && !h.fulfillment);
+  return { at: entry?.at || order.updatedAt || null, fulfillment: null };
+};
+
+/**
+ * Check a return request against the order and the requests already open on
+ * it, and group the lines into one request per store.
+ *
+ * @param {object}  args
+ * @param {object}  args.order    - lean order: products, fulfillments, status, statusHistory
+ * @param {Array<{ line: number, quantity: number, reasonCode: string, note?: string, photos?: string[] }>} args.items
+ * @param {Array<{ status: string, items: Array<{ line: number, quantity: number }> }>} args.existing
+ *        other return requests on this order
+ * @param {Map<string, string>} [args.merchantOf]
+ *        product id → store id, for orders placed before shipments existed
+ * @param {Date}    args.now
+ * @param {number}  args.windowDays
+ * @returns {{ ok: true, value: Array<{ merchant: string, fulfillment: object|null, items: object[] }> }
+ *         | { ok: false, code: string, message: string, line?: number }}
+ */
+export const planReturn = ({
+  order,
+  items,
+  existing = [],
+  merchantOf = new Map(),
+  now = new Date(),
+  windowDays = DEFAULT_RETURN_WINDOW_DAYS,
+}) => {
+  const fail = (code, message, line) => ({ ok: false, code, message, ...(line !== undefined ? { line } : {}) });
+
+  if (!Array.isArray(items) || items.length === 0) return fail('EMPTY_RETURN', 'Choose at least one item to return');
+
+  // Units already claimed on each line by requests that are still open or were
+  // approved. A rejected request frees its units for another try.
+  const claimed = new Map();
+  for (const request of existing) {
+    if (request.status === 'rejected') continue;
+    for (const item of request.items || []) {
+      claimed.set(item.line, (claimed.get(item.line) || 0) + item.quantity);
+    }
+  }
+
+  const seen = new Set();
+  const groups = new Map();
+
+  for (const item of items) {
+    const line = order.products?.[item.line];
+    if (!Number.isInteger(item.line) || !line) {
+      return fail('INVALID_LINE', `Line ${item.line} is not part of this order`, item.line);
+    }
+    if (seen.has(item.line)) return fail('DUPLICATE_LINE', `Line ${item.line} is listed twice`, item.line);
+    seen.add(item.line);
+
+    if (!RETURN_REASONS.includes(item.reasonCode)) {
+      return fail('INVALID_REASON', `reasonCode must be one of: ${RETURN_REASONS.join(', ')}`, item.line);
+    }
+
+    const remaining = line.quantity - (claimed.get(item.line) || 0);
+    if (!Number.isInteger(item.quantity) || item.quantity < 1 || item.quantity > remaining) {
+      return fail(
+        'QUANTITY_NOT_RETURNABLE',
+        remaining > 0
+          ? `Only ${remaining} of line ${item.line} can still be returned`
+          : `Line ${item.line} has already been returned`,
+        item.line
+      );
+    }
+
+    const delivered = deliveredAtFor(order, line);
+    if (!delivered) return fail('NOT_DELIVERED', 'Only delivered items can be returned', item.line);
+    if (delivered.at && now.getTime() > new Date(delivered.at).getTime() + windowDays * DAY_MS) {
+      return fail('RETURN_WINDOW_CLOSED', `Returns are accepted for ${windowDays} days after delivery`, item.line);
+    }
+
+    const merchant = delivered.fulfillment
+      ? String(delivered.fulfillment.merchant)
+      : merchantOf.get(String(line.product));
+    if (!merchant) return fail('NOT_RETURNABLE', `Line ${item.line} can no longer be returned online`, item.line);
+
+    if (!groups.has(merchant)) groups.set(merchant, { merchant, fulfillment: delivered.fulfillment, items: [] });
+    groups.get(merchant).items.push({
+      line:       item.line,
+      product:    line.product,
+      variantId:  line.variantId ?? null,
+      quantity:   item.quantity,
+      unitPrice:  line.price,
+      reasonCode: item.reasonCode,
+      note:       item.note || '',
+      photos:     item.photos || [],
+    });
+  }
+
+  return { ok: true, value: [...groups.values()] };
+};
+
+/**
+ * What returning `items` gives back, in USD and in the shopper's currency.
+ *
+ * The order-level discount was spread over every line, so each returned unit
+ * refunds its price less the same share of the discount. The delivery fee is
+ * not refunded — the delivery happened. The converted amount is the same
+ * share of what the shopper actually paid in their currency, so it matches
+ * their receipt rather than today's rate.
+ *
+ * @param {object} order - totalAmount, discountAmount, totalAmountConverted, discountAmountConverted
+ * @param {Array<{ unitPrice: number, quantity: number }>} items
+ * @returns {{ amount: number, amountConverted: number|null }}
+ */
+export const refundForItems = (order, items) => {
+  const gross = (items || []).reduce((sum, i) => sum + i.unitPrice * i.quantity, 0);
+  const total = Number(order.totalAmount) || 0;
+  if (total <= 0 || gross <= 0) return { amount: 0, amountConverted: order.totalAmountConverted == null ? null : 0 };
+
+  const share = Math.min(1, gross / total);
+  const paidGoods = Math.max(0, total - (Number(order.discountAmount) || 0));
+  const amount = round2(paidGoods * share);
+
+  if (order.totalAmountConverted == null) return { amount, amountConverted: null };
+  const paidGoodsConverted = Math.max(
+    0,
+    order.totalAmountConverted - (Number(order.discountAmountConverted) || 0)
+  );
+  return { amount, amountConverted: round2(paidGoodsConverted * share) };
+};
@@ -0,0 +1,91 @@
+/**
+ * Store service areas — the polygons a merchant draws for where they deliver.
+ *
+ * A store's service area is the set of its own active DeliveryZone rows (see
+ * deliveryZone.model.js, `merchant`). A store with none has drawn nothing and
+ * delivers wherever the platform does; a store with at least one delivers only
+ * inside them. Platform zones (merchant: null) still decide whether we deliver
+ * to a pin at all and what it costs — a store's polygon can narrow that, never
+ * widen it.
+ *
+ * This module checks the geometry a client sends before Mongo sees it. Mongo
+ * would refuse most of it anyway at index time, but with a message about
+ * "geo keys" that tells a merchant nothing about which ring is wrong.
+ */
+
+/** Most zones one store may keep. A city is a handful; hundreds is a bug. */
+export const MAX_ZONES_PER_MERCHANT = 20;
+
+/** Most positions across every ring of one zone. Keeps a zone under ~20 KB. */
+export const MAX_ZONE_POSITIONS = 1000;
+
+const isPosition = (p) =>
+  Array.isArray(p) &&
+  p.length === 2 &&
+  Number.isFinite(p[0]) && p[0] >= -180 && p[0] <= 180 &&
+  Number.isFinite(p[1]) && p[1] >= -90 && p[1] <= 90;
+
+const ringProblem = (ring, where) => {
+  if (!Array.isArray(ring) || ring.length < 4) {
+    return `${where} needs at least 4 positions (a triangle plus its closing point)`;
+  }
+  const bad = ring.findIndex((p) => !isPosition(p));
+  if (bad !== -1) return `${where}, position ${bad} is not a [longitude, latitude] pair`;
+  const [first, last] = [ring[0], ring[ring.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    return `${where} is not closed — repeat the first position at the end`;
+  }
+  return null;
+};
+
+/**
+ * Check a GeoJSON Polygon or MultiPolygon for use as a zone `area`.
+ *
+ * Self-intersection is not checked here; Mongo's 2dsphere index does that on
+ * write, and the caller maps its refusal to the same error code.
+ *
+ * @param {*} area
+ * @returns {{ ok: true, value: { type: string, coordinates: Array } } | { ok: false, message: string }}
+ */
+export const validateZoneArea = (area) => {
+  const fail = (message) => ({ ok: false, message });
+
+  if (!area || typeof area !== 'object') return fail('area must be a GeoJSON Polygon or MultiPolygon');
+
+  let polygons;
+  if (area.type === 'Polygon') polygons = [area.coordinates];
+  else if (area.type === 'MultiPolygon') polygons = area.coordinates;
+  else return fail('area.type must be "Polygon" or "MultiPolygon"');
+
+  if (!Array.isArray(polygons) || polygons.length === 0) return fail('area has no coordinates');
+
+  let positions = 0;
+  for (let i = 0; i < polygons.length; i += 1) {
+    const rings = polygons[i];
+    if (!Array.isArray(rings) || rings.length === 0) return fail(`polygon ${i} has no rings`);
+    for (let r = 0; r < rings.length; r += 1) {
+      const where = polygons.length > 1 ? `polygon ${i}, ring ${r}` : `ring ${r}`;
+      const problem = ringProblem(rings[r], where);
+      if (problem) return fail(problem);
+      positions += rings[r].length;
+    }
+  }
+
+  if (positions > MAX_ZONE_POSITIONS) {
+    return fail(`area has ${positions} positions; simplify it to at most ${MAX_ZONE_POSITIONS}`);
+  }
+
+  return { ok: true, value: { type: area.type, coordinates: area.coordinates } };
+};
+
+/**
+ * Which of the given stores cannot deliver to a pin.
+ *
+ * @param {Iterable<string>} restricted - stores that have drawn a service area
+ * @param {Iterable<string>} serving    - stores with a zone containing the pin
+ * @returns {string[]}
+ */
+export const unservedMerchants = (restricted, serving) => {
+  const ok = new Set([...serving].map(String));
+  return [...new Set([...restricted].map(String))].filter((id) => !ok.has(id));
+};
@@ -0,0 +1,79 @@
+/**
+ * Delivery fee rules.
+ *
+ * The fee model lives on `DeliveryZone.pricing` (see deliveryZone.model.js):
+ * a flat `baseFee` that covers the first `includedKm`, `perKmFee` for every
+ * kilometre after that, clamped to `maxFee`, and waived entirely once the
+ * shipment is worth `freeAboveOrderValue`. This module is that formula and
+ * nothing else — zone lookup, merchant origins and currency conversion happen
+ * in shippingRate.service.js, and every amount passed in here must already be
+ * in one currency.
+ */
+
+const round2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+
+/**
+ * Fee for one shipment.
+ *
+ * A null `distanceMeters` means the distance is unknown — usually a store that
+ * has not pinned its pickup point yet. The shipment is then charged the base
+ * fee alone: under-charging a few kilometres is recoverable, refusing the
+ * order or guessing a distance is not.
+ *
+ * @param {object}      args
+ * @param {object}      args.pricing        - DeliveryZone.pricing, amounts in one currency
+ * @param {number|null} args.distanceMeters - origin → drop-off, great-circle
+ * @param {number}      args.subtotal       - shipment value, same currency as pricing
+ * @returns {{
+ *   fee: number, baseFee: number, distanceFee: number,
+ *   distanceKm: number|null, chargeableKm: number,
+ *   capped: boolean, free: boolean
+ * }}
+ */
+export const computeDeliveryFee = ({ pricing, distanceMeters, subtotal }) => {
+  const baseFee    = Math.max(0, Number(pricing?.baseFee) || 0);
+  const includedKm = Math.max(0, Number(pricing?.includedKm) || 0);
+  const perKmFee   = Math.max(0, Number(pricing?.perKmFee) || 0);
+  const maxFee     = pricing?.maxFee ?? null;
+  const freeAbove  = pricing?.freeAboveOrderValue ?? null;
+
+  const distanceKm = Number.isFinite(distanceMeters) ? round2(distanceMeters / 1000) : null;
+  const chargeableKm = distanceKm === null ? 0 : round2(Math.max(0, distanceKm - includedKm));
+  const distanceFee = round2(chargeableKm * perKmFee);
+
+  let fee = round2(baseFee + distanceFee);
+  let capped = false;
+  if (maxFee !== null && fee > maxFee) {
+    fee = round2(maxFee);
+    capped = true;
+  }
+
+  const free = freeAbove !== null && (Number(subtotal) || 0) >= freeAbove;
+  if (free) fee = 0;
+
+  return { fee, baseFee: round2(baseFee), distanceFee, distanceKm, chargeableKm, capped, free };
+};
+
+/**
+ * Express a zone's pricing in USD.
+ *
+ * Zones may be priced in the local currency (a Khartoum zone in SDG), while
+ * order amounts are stored in USD. `rate` is USD→currency, the direction the
+ * FX layer publishes, so going back is a division. Null caps and thresholds
+ * stay null.
+ *
+ * @param {object} pricing
+ * @param {number} rate - USD→pricing.currencyCode; 1 for USD
+ */
+export const pricingInUSD = (pricing, rate) => {
+  const r = Number(rate) > 0 ? Number(rate) : 1;
+  const toUSD = (n) => (n === null || n === undefined ? null : round2(Number(n) / r));
+  return {
+    baseFee:             toUSD(pricing?.baseFee ?? 0),
+    includedKm:          Number(pricing?.includedKm) || 0,
+    perKmFee:            toUSD(pricing?.perKmFee ?? 0),
+    maxFee:              toUSD(pricing?.maxFee ?? null),
+    freeAboveOrderValue: toUSD(pricing?.freeAboveOrderValue ?? null),
+    currencyCode:        'USD',
+  };
+};
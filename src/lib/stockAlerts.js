@@ -0,0 +1,69 @@
+/**
+ * Stock alerts — when a change to a variant's stock is worth telling someone.
+ *
+ * Two alerts, both on a crossing rather than a level:
+ *
+ * - low_stock     — to the store team, when the figure falls to the reorder
+ *                   threshold or below from above it. Selling the fourth-last
+ *                   unit and then the third-last is one alert, not two.
+ * - back_in_stock — to shoppers waiting on the variant, when it goes from
+ *                   none to some.
+ *
+ * The threshold is the variant's own, else the store's, else
+ * DEFAULT_LOW_STOCK_THRESHOLD. Zero is a real threshold: tell me only when it
+ * sells out.
+ *
+ * A crossing alone is not enough for a SKU that flaps — sold out, a
+ * cancellation puts one back, sold out again. Each alert is claimed per
+ * variant at most once a debounce window (services/stockAlert.service.js);
+ * these are the windows.
+ */
+
+export const STOCK_ALERTS = ['low_stock', 'back_in_stock'];
+
+/** Reorder threshold when neither the variant nor the store sets one. */
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+export const MAX_LOW_STOCK_THRESHOLD = 100000;
+
+/** At most one alert of a kind per variant in this long. */
+export const STOCK_ALERT_DEBOUNCE_MS = {
+  low_stock: 24 * 60 * 60 * 1000,
+  back_in_stock: 12 * 60 * 60 * 1000,
+};
+
+const isThreshold = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * @param {{ lowStockThreshold?: number|null }} [variant]
+ * @param {{ lowStockThreshold?: number|null }} [merchant]
+ * @returns {number}
+ */
+export const thresholdFor = (variant, merchant) => {
+  if (isThreshold(variant?.lowStockThreshold)) return variant.lowStockThreshold;
+  if (isThreshold(merchant?.lowStockThreshold)) return merchant.lowStockThreshold;
+  return DEFAULT_LOW_STOCK_THRESHOLD;
+};
+
+/**
+ * The alerts one stock movement sets off.
+ *
+ * @param {{ before: number, after: number }} movement
+ * @param {number} threshold
+ * @returns {Array<'low_stock'|'back_in_stock'>}
+ */
+export const alertsFor = ({ before, after }, threshold) => {
+  const alerts = [];
+  if (before > threshold && after <= threshold) alerts.push('low_stock');
+  if (before <= 0 && after > 0) alerts.push('back_in_stock');
+  return alerts;
+};
+
+/**
+ * Whether a movement could set off any alert, whatever the threshold — so
+ * the products and stores behind the rest are never loaded.
+ *
+ * @param {{ before: number, after: number }} movement
+ * @returns {boolean}
+ */
+export const mayAlert = ({ before, after }) => after < before || (before <= 0 && after > 0);
@@ -0,0 +1,72 @@
+/**
+ * Variant subscriptions — a shopper watching one variant of a product.
+ *
+ * Where a wishlist holds whole products, a subscription names the variant
+ * (size, colour) and what the shopper is waiting for:
+ *
+ * - restock — the variant is sold out; tell me when it is back.
+ * - price   — tell me when it costs `targetPrice` or less, in the currency I
+ *             shop in. The target is compared against the price as that
+ *             currency shows it (rate, market markup and rounding applied),
+ *             so the shopper is told exactly when the figure they see meets
+ *             the one they typed.
+ *
+ * A subscription fires once and is done. Unfired or not, it lapses
+ * SUBSCRIPTION_TTL_DAYS after it was last set, so a watch nobody remembers
+ * placing does not ping someone a year later.
+ */
+
+export const SUBSCRIPTION_KINDS = ['restock', 'price'];
+
+export const SUBSCRIPTION_STATUSES = ['active', 'notified'];
+
+export const SUBSCRIPTION_TTL_DAYS = 90;
+
+/** Watches one shopper may have running at once. */
+export const MAX_ACTIVE_SUBSCRIPTIONS = 100;
+
+/**
+ * @param {Date} [from]
+ * @returns {Date}
+ */
+export const subscriptionExpiry = (from = new Date()) =>
+  new Date(from.getTime() + SUBSCRIPTION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Whether a price in the shopper's currency meets their target. A price of
+ * zero is a variant with no price worked out yet, never a bargain.
+ *
+ * @param {number} displayPrice
+ * @param {number} targetPrice
+ * @returns {boolean}
+ */
+export const priceTargetMet = (displayPrice, targetPrice) =>
+  displayPrice > 0 && displayPrice <= targetPrice;
+
+/**
+ * Whether a subscription is worth placing now. A restock watch on a variant
+ * that is in stock, or a price watch already met, would only fire at once.
+ *
+ * @param {object} watch
+ * @param {'restock'|'price'} watch.kind
+ * @param {number} watch.stock - the variant's figure now
+ * @param {number} [watch.displayPrice] - the variant's price now, in the target's currency
+ * @param {number} [watch.targetPrice]
+ * @returns {{ ok: true } | { ok: false, code: string, message: string }}
+ */
+export const checkSubscription = ({ kind, stock, displayPrice, targetPrice }) => {
+  if (kind === 'restock') {
+    if (stock > 0) {
+      return { ok: false, code: 'ALREADY_IN_STOCK', message: 'This option is in stock — it can be ordered now' };
+    }
+    return { ok: true };
+  }
+
+  if (!(targetPrice > 0)) {
+    return { ok: false, code: 'INVALID_TARGET', message: 'Target price must be greater than zero' };
+  }
+  if (priceTargetMet(displayPrice, targetPrice)) {
+    return { ok: false, code: 'TARGET_ALREADY_MET', message: 'This option already costs your target price or less' };
+  }
+  return { ok: true };
+};
@@ -0,0 +1,398 @@
+/**
+ * XLSX for exports too big to build in memory, and for reading back the
+ * first sheet of an uploaded one.
+ *
+ * A workbook is a zip of XML parts. Everything but the one worksheet is a few
+ * fixed lines; the worksheet is written row by row through a deflate stream,
+ * with each zip entry's checksum and sizes in a data descriptor after it, so
+ * nothing is ever held whole — a 100k-row export costs what one batch of rows
+ * costs. Strings are written inline rather than to a shared-strings part,
+ * which would need every string known before the sheet.
+ *
+ * One sheet, a frozen header row, strings and numbers; dates are written as
+ * ISO text, as in csv.js. No zip64: a sheet past 4 GB is not an export anyone
+ * opens.
+ *
+ * Node's zlib only; no package.
+ */
+
+import { once } from 'node:events';
+import { createDeflateRaw, deflateRawSync, inflateRawSync } from 'node:zlib';
+
+// ─── Zip ─────────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n += 1) {
+    let c = n;
+    for (let k = 0; k < 8; k += 1) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (buf, crc = 0) => {
+  let c = ~crc >>> 0;
+  for (let i = 0; i < buf.length; i += 1) c = CRC_TABLE[(c ^ buf[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+};
+
+// Bit 3: sizes and checksum follow the data. Bit 11: names are UTF-8.
+const FLAGS = 0x0808;
+const DEFLATE = 8;
+// 1980-01-01 00:00 in DOS time; the parts carry no meaningful date.
+const DOS_DATE = 0x21;
+
+const localHeader = (name) => {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4);
+  header.writeUInt16LE(FLAGS, 6);
+  header.writeUInt16LE(DEFLATE, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(DOS_DATE, 12);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+};
+
+const dataDescriptor = ({ crc, compressed, size }) => {
+  const d = Buffer.alloc(16);
+  d.writeUInt32LE(0x08074b50, 0);
+  d.writeUInt32LE(crc, 4);
+  d.writeUInt32LE(compressed, 8);
+  d.writeUInt32LE(size, 12);
+  return d;
+};
+
+const centralDirectory = (entries, offset) => {
+  const records = entries.map((e) => {
+    const r = Buffer.alloc(46);
+    r.writeUInt32LE(0x02014b50, 0);
+    r.writeUInt16LE(20, 4);
+    r.writeUInt16LE(20, 6);
+    r.writeUInt16LE(FLAGS, 8);
+    r.writeUInt16LE(DEFLATE, 10);
+    r.writeUInt16LE(0, 12);
+    r.writeUInt16LE(DOS_DATE, 14);
+    r.writeUInt32LE(e.crc, 16);
+    r.writeUInt32LE(e.compressed, 20);
+    r.writeUInt32LE(e.size, 24);
+    r.writeUInt16LE(e.name.length, 28);
+    r.writeUInt32LE(e.offset, 42);
+    return Buffer.concat([r, e.name]);
+  });
+  const size = records.reduce((sum, r) => sum + r.length, 0);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(size, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...records, end]);
+};
+
+// ─── Workbook parts ──────────────────────────────────────────────────────────
+
+const XML_HEAD = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const NS = 'http://schemas.openxmlformats.org';
+
+const staticParts = (sheetName) => [
+  ['[Content_Types].xml',
+    `${XML_HEAD}<Types xmlns="${NS}/package/2006/content-types">` +
+    `<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>` +
+    `<Default Extension="xml" ContentType="application/xml"/>` +
+    `<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>` +
+    `<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>` +
+    `</Types>`],
+  ['_rels/.rels',
+    `${XML_HEAD}<Relationships xmlns="${NS}/package/2006/relationships">` +
+    `<Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>` +
+    `</Relationships>`],
+  ['xl/workbook.xml',
+    `${XML_HEAD}<workbook xmlns="${NS}/spreadsheetml/2006/main" xmlns:r="${NS}/officeDocument/2006/relationships">` +
+    `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+  ['xl/_rels/workbook.xml.rels',
+    `${XML_HEAD}<Relationships xmlns="${NS}/package/2006/relationships">` +
+    `<Relationship Id="rId1" Type="${NS}/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>` +
+    `</Relationships>`],
+];
+
+// Characters XML 1.0 cannot carry at all, even escaped.
+const INVALID_XML = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+function escapeXml(text) {
+  return String(text)
+    .replace(INVALID_XML, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** A, B, … Z, AA, AB, … */
+export const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  return name;
+};
+
+const cell = (value, ref) => {
+  if (value === null || value === undefined || value === '') return '';
+  if (typeof value === 'number') return Number.isFinite(value) ? `<c r="${ref}"><v>${value}</v></c>` : '';
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  // Unlike CSV there is no formula to guard against: an inline string is
+  // never evaluated.
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(text)}</t></is></c>`;
+};
+
+const rowXml = (values, number) =>
+  `<row r="${number}">${values.map((v, i) => cell(v, `${columnName(i)}${number}`)).join('')}</row>`;
+
+const SHEET_HEAD =
+  `${XML_HEAD}<worksheet xmlns="${NS}/spreadsheetml/2006/main">` +
+  `<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>` +
+  `<sheetData>`;
+const SHEET_TAIL = '</sheetData></worksheet>';
+
+// Rows are gathered to about this many bytes before each trip through deflate.
+const FLUSH_BYTES = 64 * 1024;
+
+/**
+ * Stream a one-sheet workbook.
+ *
+ * @param {Array<{ header: string, value: (row: object) => any }>} columns - as csv.js toCsv
+ * @param {AsyncIterable<object>|Iterable<object>} rows
+ * @param {{ sheetName?: string }} [options]
+ * @returns {AsyncGenerator<Buffer>} the .xlsx file, in pieces
+ */
+export async function* xlsxChunks(columns, rows, { sheetName = 'Sheet1' } = {}) {
+  const entries = [];
+  let offset = 0;
+
+  for (const [path, xml] of staticParts(sheetName)) {
+    const name = Buffer.from(path);
+    const data = Buffer.from(xml);
+    const compressed = deflateRawSync(data);
+    const entry = { name, offset, crc: crc32(data), compressed: compressed.length, size: data.length };
+    const piece = Buffer.concat([localHeader(name), compressed, dataDescriptor(entry)]);
+    entries.push(entry);
+    offset += piece.length;
+    yield piece;
+  }
+
+  // The worksheet, through one deflate stream for the whole sheet.
+  const sheet = { name: Buffer.from('xl/worksheets/sheet1.xml'), offset, crc: 0, compressed: 0, size: 0 };
+  const header = localHeader(sheet.name);
+  offset += header.length;
+  yield header;
+
+  const deflate = createDeflateRaw();
+  const out = [];
+  deflate.on('data', (chunk) => out.push(chunk));
+  const take = () => {
+    const piece = Buffer.concat(out.splice(0));
+    sheet.compressed += piece.length;
+    offset += piece.length;
+    return piece;
+  };
+  const feed = async (text) => {
+    const data = Buffer.from(text);
+    sheet.crc = crc32(data, sheet.crc);
+    sheet.size += data.length;
+    await new Promise((resolve, reject) => deflate.write(data, (error) => (error ? reject(error) : resolve())));
+    return take();
+  };
+
+  let pending = SHEET_HEAD + rowXml(columns.map((c) => c.header), 1);
+  let number = 1;
+  for await (const row of rows) {
+    number += 1;
+    pending += rowXml(columns.map((c) => c.value(row)), number);
+    if (pending.length >= FLUSH_BYTES) {
+      const piece = await feed(pending);
+      pending = '';
+      if (piece.length) yield piece;
+    }
+  }
+  const last = await feed(pending + SHEET_TAIL);
+  if (last.length) yield last;
+  deflate.end();
+  await once(deflate, 'end');
+  const rest = take();
+  if (rest.length) yield rest;
+
+  const descriptor = dataDescriptor(sheet);
+  offset += descriptor.length;
+  entries.push(sheet);
+  yield descriptor;
+
+  yield centralDirectory(entries, offset);
+}
+
+// ─── Reading ─────────────────────────────────────────────────────────────────
+
+// Past this much XML a workbook is refused rather than inflated: an 8 MB
+// upload can otherwise unpack to gigabytes.
+const MAX_PART_BYTES = 64 * 1024 * 1024;
+
+const badWorkbook = (detail) => {
+  const error = new Error(`Not a readable .xlsx file (${detail})`);
+  error.code = 'INVALID_XLSX';
+  return error;
+};
+
+// Excel's own limits; a cell past them is a damaged (or hostile) sheet.
+const MAX_ROWS = 1048576;
+const MAX_COLUMNS = 16384;
+
+// Values held for a whole sheet, blanks up to each row's last cell included.
+// What a record costs is its width, not what the file holds: one cell at XFD
+// is 16,384 values, so a small file could otherwise ask for gigabytes.
+const MAX_CELLS = 1000000;
+
+// Offsets in a zip come from the file itself. Each is checked before it is
+// read, so a damaged upload is INVALID_XLSX rather than a RangeError.
+const within = (buf, at, length, detail) => {
+  if (!(at >= 0 && at + length <= buf.length)) throw badWorkbook(detail);
+};
+
+/** Every entry of a zip, by path, read from its central directory. */
+const zipEntries = (buf) => {
+  let end = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 22 - 0xffff); i -= 1) {
+    if (buf.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw badWorkbook('no zip directory');
+
+  const entries = new Map();
+  const count = buf.readUInt16LE(end + 10);
+  let at = buf.readUInt32LE(end + 16);
+  for (let n = 0; n < count; n += 1) {
+    within(buf, at, 46, 'damaged zip directory');
+    if (buf.readUInt32LE(at) !== 0x02014b50) throw badWorkbook('damaged zip directory');
+    const method = buf.readUInt16LE(at + 10);
+    const compressed = buf.readUInt32LE(at + 20);
+    const nameLength = buf.readUInt16LE(at + 28);
+    const extraLength = buf.readUInt16LE(at + 30);
+    const commentLength = buf.readUInt16LE(at + 32);
+    const local = buf.readUInt32LE(at + 42);
+    within(buf, at + 46, nameLength, 'damaged zip directory');
+    const name = buf.toString('utf8', at + 46, at + 46 + nameLength);
+    entries.set(name, { method, compressed, local });
+    at += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+};
+
+const readPart = (buf, entries, path) => {
+  const entry = entries.get(path);
+  if (!entry) return null;
+  within(buf, entry.local, 30, `damaged entry for ${path}`);
+  const start = entry.local + 30 + buf.readUInt16LE(entry.local + 26) + buf.readUInt16LE(entry.local + 28);
+  within(buf, start, entry.compressed, `damaged entry for ${path}`);
+  const data = buf.subarray(start, start + entry.compressed);
+  if (entry.method === 0) return data.toString('utf8');
+  if (entry.method !== DEFLATE) throw badWorkbook(`unsupported compression in ${path}`);
+  try {
+    return inflateRawSync(data, { maxOutputLength: MAX_PART_BYTES }).toString('utf8');
+  } catch {
+    throw badWorkbook(`${path} is too large or damaged`);
+  }
+};
+
+const unescapeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (entity, code) => {
+    const lower = code.toLowerCase();
+    if (lower[0] === '#') {
+      const point = lower[1] === 'x' ? parseInt(lower.slice(2), 16) : Number(lower.slice(1));
+      // Past Unicode, fromCodePoint throws; keep the entity as it was written.
+      return point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+    }
+    return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[lower];
+  });
+
+// The text of a shared string or inline string: one <t>, or rich-text runs.
+const textOf = (xml) => [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map((m) => unescapeXml(m[1])).join('');
+
+const columnIndex = (ref) => {
+  let index = 0;
+  for (const ch of ref.match(/^[A-Z]+/)[0]) index = index * 26 + (ch.charCodeAt(0) - 64);
+  return index - 1;
+};
+
+/**
+ * The first sheet of a workbook as records — one array of cell values per
+ * row, `records[i]` being row i + 1, with blank rows kept as empty arrays so
+ * row numbers stay true. Text stays text; numbers, dates among them (as Excel
+ * serials), come back as numbers; TRUE/FALSE as booleans. Formulas give their
+ * last computed value.
+ *
+ * Rows must come in order, as every spreadsheet writes them; a sheet that
+ * goes past `maxRows`, `maxColumns` or `maxCells` is refused before the rest
+ * of it is read.
+ *
+ * @param {Buffer} buf - the .xlsx file
+ * @param {{ maxRows?: number, maxColumns?: number, maxCells?: number }} [limits]
+ * @returns {Array<Array<string|number|boolean>>}
+ * @throws {Error} code INVALID_XLSX
+ */
+export const readXlsx = (buf, { maxRows = MAX_ROWS, maxColumns = MAX_COLUMNS, maxCells = MAX_CELLS } = {}) => {
+  if (!Buffer.isBuffer(buf) || buf.length < 22) throw badWorkbook('empty file');
+  const entries = zipEntries(buf);
+
+  const workbook = readPart(buf, entries, 'xl/workbook.xml');
+  const rels = readPart(buf, entries, 'xl/_rels/workbook.xml.rels');
+  if (!workbook || !rels) throw badWorkbook('no workbook');
+  const sheetRel = workbook.match(/<sheet\b[^>]*\br:id="([^"]+)"/)?.[1];
+  const target = [...rels.matchAll(/<Relationship\b([^>]*)>/g)]
+    .map(([, attrs]) => ({ id: attrs.match(/\bId="([^"]+)"/)?.[1], target: attrs.match(/\bTarget="([^"]+)"/)?.[1] }))
+    .find((rel) => rel.id === sheetRel)?.target;
+  if (!target) throw badWorkbook('no worksheet');
+  const sheetPath = target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  const sheet = readPart(buf, entries, sheetPath);
+  if (!sheet) throw badWorkbook('no worksheet');
+
+  const sharedXml = readPart(buf, entries, 'xl/sharedStrings.xml');
+  const shared = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map((m) => textOf(m[1])) : [];
+
+  const records = [];
+  let cellCount = 0;
+  for (const [, attrs, body] of sheet.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const number = Number(attrs.match(/\br="(\d+)"/)?.[1]) || records.length + 1;
+    if (number <= records.length) throw badWorkbook(`row ${number} is out of order`);
+    if (number > maxRows) throw badWorkbook(`row ${number} is past the last row read (${maxRows})`);
+    while (records.length < number - 1) records.push([]);
+
+    // Gathered first and laid out once the row's width is known, so a far
+    // cell is refused before its row is allocated.
+    const cells = [];
+    let width = 0;
+    for (const [, cellAttrs, content = ''] of (body || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = cellAttrs.match(/\br="([A-Z]+)\d+"/)?.[1];
+      const type = cellAttrs.match(/\bt="(\w+)"/)?.[1] || 'n';
+      const raw = content.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+      let value;
+      if (type === 'inlineStr') value = textOf(content);
+      else if (raw === undefined) continue;
+      else if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'b') value = raw === '1';
+      else if (type === 'str' || type === 'e') value = unescapeXml(raw);
+      else value = Number(raw);
+      const column = ref ? columnIndex(ref) : (cells.at(-1)?.[0] ?? -1) + 1;
+      if (column >= maxColumns) throw badWorkbook(`column ${ref || column + 1} is past the last column read (${maxColumns})`);
+      cells.push([column, value]);
+      if (value !== '') width = Math.max(width, column + 1);
+    }
+
+    cellCount += width;
+    if (cellCount > maxCells) throw badWorkbook(`more than ${maxCells} cells`);
+    const record = new Array(width).fill('');
+    for (const [column, value] of cells) if (column < width) record[column] = value;
+    records.push(record);
+  }
+  return records;
+};
@@ -0,0 +1,30 @@
+import courierService from '../services/courier.service.js';
+import logger from '../lib/logger.js';
+import { sendError, sendUnauthorized, sendForbidden } from '../lib/response.js';
+
+/**
+ * Let through a signed-in user linked to an active courier account, with the
+ * account on `req.courier`. Mount after `isAuthenticated`.
+ *
+ * Couriers are not a Clerk role: an admin links a Clerk user to a Courier
+ * when they take someone on, and deactivating the Courier is what takes the
+ * access away again.
+ */
+export const isCourier = async (req, res, next) => {
+  try {
+    const userId = req.auth?.userId;
+    if (!userId) return sendUnauthorized(res, 'Authentication required');
+
+    const courier = await courierService.findActiveByClerkId(userId);
+    if (!courier) {
+      logger.warn('Courier access denied', { requestId: req.requestId, userId, url: req.url });
+      return sendForbidden(res, 'Couriers only');
+    }
+
+    req.courier = courier;
+    return next();
+  } catch (error) {
+    logger.error('Unexpected error in isCourier middleware', { error: error.message });
+    return sendError(res, { message: 'Server error during authorization' });
+  }
+};
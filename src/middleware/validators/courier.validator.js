@@ -0,0 +1,147 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+import { COURIER_KINDS } from '../../lib/cod.js';
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+// On update every field is optional; on create the name and phone are not.
+const courierFields = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('fullName')
+      .isString().withMessage('fullName is required')
+      .bail()
+      .trim()
+      .isLength({ min: 2, max: 120 })
+      .withMessage('fullName must be between 2 and 120 characters'),
+    field('phone')
+      .isString().withMessage('phone is required')
+      .bail()
+      .trim()
+      .isLength({ min: 6, max: 30 })
+      .withMessage('phone must be between 6 and 30 characters'),
+    body('kind').optional().isIn(COURIER_KINDS)
+      .withMessage(`kind must be one of: ${COURIER_KINDS.join(', ')}`),
+    body('clerkId')
+      .optional()
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('clerkId must be a Clerk user id'),
+    body('note')
+      .optional({ nullable: true })
+      .isString()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('note cannot exceed 1000 characters'),
+  ];
+};
+
+export const validateCourierList = [
+  query('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  query('kind').optional().isIn(COURIER_KINDS)
+    .withMessage(`kind must be one of: ${COURIER_KINDS.join(', ')}`),
+  query('page').optional().isInt({ min: 1, max: 500 }).withMessage('Page must be between 1 and 500').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors,
+];
+
+export const validateCourierCreate = [...courierFields(false), handleValidationErrors];
+
+export const validateCourierUpdate = [
+  param('id').isMongoId().withMessage('Invalid courier ID'),
+  ...courierFields(true),
+  body('active').optional().isBoolean().withMessage('active must be true or false').toBoolean(),
+  handleValidationErrors,
+];
+
+// ─── Cash on delivery ────────────────────────────────────────────────────────
+
+const collectionFields = [
+  body('orderId').isMongoId().withMessage('orderId must be a valid MongoId'),
+  body('amount')
+    .isFloat({ min: 0, max: 1e9 })
+    .withMessage('amount must be a non-negative number')
+    .toFloat(),
+  body('lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90').toFloat(),
+  body('lng').optional({ nullable: true }).isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180').toFloat(),
+  body('collectedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('collectedAt must be an ISO 8601 date')
+    .bail()
+    .custom((value) => new Date(value) <= new Date(Date.now() + 5 * 60 * 1000))
+    .withMessage('collectedAt cannot be in the future')
+    .toDate(),
+];
+
+export const validateCashCollection = [...collectionFields, handleValidationErrors];
+
+export const validateAdminCashCollection = [
+  body('courierId').isMongoId().withMessage('courierId must be a valid MongoId'),
+  ...collectionFields,
+  handleValidationErrors,
+];
+
+export const validateCollectionVoid = [
+  param('id').isMongoId().withMessage('Invalid collection ID'),
+  body('reason')
+    .isString().withMessage('reason is required')
+    .bail()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('reason must be between 3 and 500 characters'),
+  handleValidationErrors,
+];
+
+export const validateMyCodSheet = [
+  query('day').optional().matches(DAY).withMessage('day must be YYYY-MM-DD'),
+  handleValidationErrors,
+];
+
+export const validateCodSheet = [
+  param('courierId').isMongoId().withMessage('Invalid courier ID'),
+  ...validateMyCodSheet,
+];
+
+// What finance counted at the handover, per currency. A currency the courier
+// collected but nothing was handed over for counts as zero.
+export const validateCodSettle = [
+  param('courierId').isMongoId().withMessage('Invalid courier ID'),
+  body('day').matches(DAY).withMessage('day must be YYYY-MM-DD'),
+  body('handedOver')
+    .isArray({ min: 1, max: 10 })
+    .withMessage('handedOver must list the cash counted, per currency'),
+  body('handedOver.*.currency')
+    .isString()
+    .trim()
+    .toUpperCase()
+    .isLength({ min: 3, max: 3 })
+    .withMessage('currency must be a 3-letter code'),
+  body('handedOver.*.amount')
+    .isFloat({ min: 0, max: 1e10 })
+    .withMessage('amount must be a non-negative number')
+    .toFloat(),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('note cannot exceed 1000 characters'),
+  handleValidationErrors,
+];
+
+export const validateCodSettlementList = [
+  query('courierId').optional().isMongoId().withMessage('courierId must be a valid MongoId'),
+  query('flagged').optional().isBoolean().withMessage('flagged must be true or false').toBoolean(),
+  query('page').optional().isInt({ min: 1, max: 500 }).withMessage('Page must be between 1 and 500').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors,
+];
+
+export const validateCodSettlementId = [
+  param('id').isMongoId().withMessage('Invalid settlement ID'),
+  handleValidationErrors,
+];
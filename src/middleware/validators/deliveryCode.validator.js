@@ -0,0 +1,30 @@
+import { body } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+
+/**
+ * The code as typed: digits, with the spaces or dashes people add when they
+ * read it out. lib/deliveryCode.js strips them before comparing.
+ */
+export const deliveryCodeField = (optional = false) =>
+  (optional ? body('code').optional({ nullable: true }) : body('code'))
+    .isString().withMessage('code is required')
+    .bail()
+    .matches(/^[\d\s-]{4,12}$/)
+    .withMessage('code must be the digits the shopper was given');
+
+// The photo host is checked in the controller, like transferProof.
+export const validateDeliveryConfirm = [
+  deliveryCodeField(),
+  body('fulfillmentId').optional({ nullable: true }).isMongoId().withMessage('fulfillmentId must be a valid MongoId'),
+  body('photoUrl').optional({ nullable: true }).isString().trim(),
+  body('lat').optional({ nullable: true }).isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90').toFloat(),
+  body('lng').optional({ nullable: true }).isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180').toFloat(),
+  handleValidationErrors,
+];
+
+export const validateDeliveryCodeReissue = [
+  body('fulfillmentId').optional({ nullable: true }).isMongoId().withMessage('fulfillmentId must be a valid MongoId'),
+  handleValidationErrors,
+];
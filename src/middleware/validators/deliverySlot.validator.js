@@ -0,0 +1,33 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+import { MAX_SLOT_DAYS_AHEAD, SLOT_TIME } from '../../lib/deliverySlots.js';
+
+const DAY = /^\d{4}-\d{2}-\d{2}$/;
+
+const zoneId = () => param('id').isMongoId().withMessage('Invalid zone ID');
+
+export const validateSlotCapacity = [
+  zoneId(),
+  query('day').optional().matches(DAY).withMessage('day must be YYYY-MM-DD'),
+  handleValidationErrors,
+];
+
+// The shape only; overlapping windows and the like are checked in
+// lib/deliverySlots.js (slotTemplateError).
+export const validateSlotTemplates = [
+  zoneId(),
+  body('enabled').optional().isBoolean().withMessage('enabled must be true or false').toBoolean(),
+  body('daysAhead').optional()
+    .isInt({ min: 1, max: MAX_SLOT_DAYS_AHEAD }).withMessage(`daysAhead must be between 1 and ${MAX_SLOT_DAYS_AHEAD}`)
+    .toInt(),
+  body('templates').optional().isArray({ max: 50 }).withMessage('templates must be an array of up to 50 windows'),
+  body('templates.*.days').isArray({ min: 1, max: 7 }).withMessage('days must list at least one weekday'),
+  body('templates.*.days.*').isInt({ min: 0, max: 6 }).withMessage('days must be 0 (Sunday) to 6 (Saturday)').toInt(),
+  body('templates.*.start').matches(SLOT_TIME).withMessage('start must be HH:MM'),
+  body('templates.*.end').matches(SLOT_TIME).withMessage('end must be HH:MM'),
+  body('templates.*.capacity').isInt({ min: 1, max: 10000 }).withMessage('capacity must be a positive integer').toInt(),
+  body('templates.*.cutoffMinutes').optional()
+    .isInt({ min: 0, max: 7 * 24 * 60 }).withMessage('cutoffMinutes must be between 0 and 10080')
+    .toInt(),
+  handleValidationErrors,
+];
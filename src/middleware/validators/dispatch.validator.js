@@ -0,0 +1,107 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+import { deliveryCodeField } from './deliveryCode.validator.js';
+import { COURIER_AVAILABILITY, DELIVERY_JOB_STATUSES } from '../../lib/dispatch.js';
+
+// Factories: a validation chain is mutable, so each use needs its own.
+const jobId = () => param('id').isMongoId().withMessage('Invalid job ID');
+
+const reason = (optional) =>
+  (optional ? body('reason').optional({ nullable: true }) : body('reason'))
+    .isString().withMessage('reason is required')
+    .bail()
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('reason must be between 3 and 500 characters');
+
+const lat = (optional = false) =>
+  (optional ? body('lat').optional({ nullable: true }) : body('lat'))
+    .isFloat({ min: -90, max: 90 }).withMessage('lat must be between -90 and 90').toFloat();
+const lng = (optional = false) =>
+  (optional ? body('lng').optional({ nullable: true }) : body('lng'))
+    .isFloat({ min: -180, max: 180 }).withMessage('lng must be between -180 and 180').toFloat();
+
+// ─── Admin ───────────────────────────────────────────────────────────────────
+
+export const validateDeliveryJobList = [
+  query('status').optional().isIn(DELIVERY_JOB_STATUSES)
+    .withMessage(`status must be one of: ${DELIVERY_JOB_STATUSES.join(', ')}`),
+  query('courierId').optional().isMongoId().withMessage('courierId must be a valid MongoId'),
+  query('orderId').optional().isMongoId().withMessage('orderId must be a valid MongoId'),
+  query('open').optional().isBoolean().withMessage('open must be true or false').toBoolean(),
+  query('page').optional().isInt({ min: 1, max: 500 }).withMessage('Page must be between 1 and 500').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors,
+];
+
+// Without a courierId, the nearest available courier gets the job.
+export const validateDeliveryAssign = [
+  body('orderId').isMongoId().withMessage('orderId must be a valid MongoId'),
+  body('fulfillmentId').optional({ nullable: true }).isMongoId().withMessage('fulfillmentId must be a valid MongoId'),
+  body('courierId').optional({ nullable: true }).isMongoId().withMessage('courierId must be a valid MongoId'),
+  handleValidationErrors,
+];
+
+export const validateDeliveryCancel = [jobId(), reason(false), handleValidationErrors];
+
+export const validateNearbyCouriers = [
+  query('orderId').isMongoId().withMessage('orderId must be a valid MongoId'),
+  handleValidationErrors,
+];
+
+// Depot defaults to ROUTE_DEPOT_LAT/LNG; both or neither.
+const runQuery = () => [
+  query('day').optional().matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('day must be YYYY-MM-DD'),
+  query('zoneId').optional().isMongoId().withMessage('zoneId must be a valid MongoId'),
+  query('depotLat').optional().isFloat({ min: -90, max: 90 }).withMessage('depotLat must be between -90 and 90').toFloat(),
+  query('depotLng').optional().isFloat({ min: -180, max: 180 }).withMessage('depotLng must be between -180 and 180').toFloat(),
+  query('depotLat').if(query('depotLng').exists()).exists().withMessage('depotLat and depotLng go together'),
+  query('depotLng').if(query('depotLat').exists()).exists().withMessage('depotLat and depotLng go together'),
+  query('maxStops').optional().isInt({ min: 1, max: 100 }).withMessage('maxStops must be between 1 and 100').toInt(),
+];
+
+export const validateDeliveryRuns = [...runQuery(), handleValidationErrors];
+
+export const validateDeliveryManifest = [
+  ...runQuery(),
+  query('format').optional().isIn(['csv', 'pdf']).withMessage('format must be csv or pdf'),
+  handleValidationErrors,
+];
+
+// ─── Courier ─────────────────────────────────────────────────────────────────
+
+export const validateAvailability = [
+  body('availability').isIn(COURIER_AVAILABILITY)
+    .withMessage(`availability must be one of: ${COURIER_AVAILABILITY.join(', ')}`),
+  handleValidationErrors,
+];
+
+export const validateLocationPing = [
+  lat(),
+  lng(),
+  body('accuracyMeters').optional({ nullable: true }).isFloat({ min: 0, max: 100000 })
+    .withMessage('accuracyMeters must be a non-negative number').toFloat(),
+  handleValidationErrors,
+];
+
+export const validateMyJobs = [
+  query('open').optional().isBoolean().withMessage('open must be true or false').toBoolean(),
+  handleValidationErrors,
+];
+
+export const validateJobId = [jobId(), handleValidationErrors];
+
+export const validateJobDecline = [jobId(), reason(true), handleValidationErrors];
+
+// The photo host is checked in the controller, like transferProof.
+export const validateJobDeliver = [
+  jobId(),
+  body('photoUrl').isString().withMessage('photoUrl is required').bail().trim().notEmpty()
+    .withMessage('photoUrl is required'),
+  lat(true),
+  lng(true),
+  deliveryCodeField(true),
+  handleValidationErrors,
+];
+
+export const validateJobReturn = [jobId(), reason(false), handleValidationErrors];
@@ -1,5 +1,6 @@
 import multer from 'multer';
 import logger from '../../lib/logger.js';
+import { IMPORT_FORMATS, MAX_IMPORT_FILE_BYTES } from '../../lib/productImport.js';
 
 /**
  * Allowed file types for uploads
@@ -37,6 +38,54 @@ export const imageUpload = multer({
   fileFilter: imageFileFilter,
 });
 
+/**
+ * Multer configuration for product import files (.csv, .xlsx). Browsers label
+ * these inconsistently, so the extension is checked rather than the MIME type.
+ */
+const importFileFilter = (req, file, cb) => {
+  const extension = String(file.originalname || '').toLowerCase().split('.').pop();
+  if (IMPORT_FORMATS.includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new Error(`Invalid file type. Allowed types: ${IMPORT_FORMATS.map((f) => `.${f}`).join(', ')}`), false);
+  }
+};
+
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: MAX_IMPORT_FILE_BYTES,
+    files: 1,
+  },
+  fileFilter: importFileFilter,
+}).single('file');
+
+/**
+ * Take one import file from the `file` field, answering 400 for a missing,
+ * oversized or wrong-typed one.
+ */
+export const importFileUpload = (req, res, next) => {
+  importUpload(req, res, (err) => {
+    let message = null;
+    if (err) {
+      message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File exceeds maximum size of ${MAX_IMPORT_FILE_BYTES / 1024 / 1024}MB`
+        : err.message;
+    } else if (!req.file) {
+      message = 'No file uploaded';
+    }
+    if (!message) return next();
+
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'VALIDATION_ERROR',
+        message,
+      },
+    });
+  });
+};
+
 /**
  * Middleware to validate uploaded files
  */
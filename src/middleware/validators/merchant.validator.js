@@ -5,6 +5,7 @@ import {
   validatePhone,
   handleValidationErrors,
 } from '../validation.middleware.js';
+import { MAX_LOW_STOCK_THRESHOLD } from '../../lib/stockAlerts.js';
 
 /**
  * Validation for merchant application (POST /api/merchants/apply)
@@ -122,6 +123,18 @@ export const validateMerchantUpdate = [
     .toUpperCase()
     .matches(/^[A-Z]{3}$/)
     .withMessage('preferredInputCurrency must be a 3-letter ISO 4217 code'),
+  // Pickup pin. Both halves or neither is checked in the controller; null
+  // clears the pin.
+  body('originLatitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('originLatitude must be between -90 and 90')
+    .toFloat(),
+  body('originLongitude')
+    .optional({ nullable: true })
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('originLongitude must be between -180 and 180')
+    .toFloat(),
   handleValidationErrors,
 ];
 
@@ -192,3 +205,37 @@ export const validateInviteAccept = [
     .withMessage('merchantId must be a valid store id'),
   handleValidationErrors,
 ];
+
+/**
+ * Validation for a store's own delivery zone. The polygon itself is checked in
+ * the controller (lib/serviceArea.js validateZoneArea), which can say which
+ * ring is wrong; here only its presence and the scalar fields.
+ */
+export const validateDeliveryZoneCreate = [
+  sanitizeString('name',   { min: 1, max: 120 }),
+  sanitizeString('nameAr', { min: 0, max: 120, optional: true }),
+  body('area').isObject().withMessage('area must be a GeoJSON Polygon or MultiPolygon'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  sanitizeString('notes',  { min: 0, max: 500, optional: true }),
+  handleValidationErrors,
+];
+
+export const validateDeliveryZoneUpdate = [
+  sanitizeString('name',   { min: 1, max: 120, optional: true }),
+  sanitizeString('nameAr', { min: 0, max: 120, optional: true }),
+  body('area').optional().isObject().withMessage('area must be a GeoJSON Polygon or MultiPolygon'),
+  body('isActive').optional().isBoolean().withMessage('isActive must be a boolean').toBoolean(),
+  sanitizeString('notes',  { min: 0, max: 500, optional: true }),
+  handleValidationErrors,
+];
+
+/** PUT /api/merchants/my-store/inventory-settings */
+export const validateInventorySettings = [
+  body('lowStockThreshold')
+    .exists()
+    .withMessage('lowStockThreshold is required; send null for the platform default')
+    .bail()
+    .custom((value) => value === null || (Number.isInteger(value) && value >= 0 && value <= MAX_LOW_STOCK_THRESHOLD))
+    .withMessage(`lowStockThreshold must be a whole number between 0 and ${MAX_LOW_STOCK_THRESHOLD}, or null`),
+  handleValidationErrors,
+];
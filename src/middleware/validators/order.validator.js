@@ -1,5 +1,9 @@
-import { body } from "express-validator";
+import { body, query } from "express-validator";
 import { handleValidationErrors } from "../validation.middleware.js";
+import { MAX_RETURN_PHOTOS, RETURN_REASONS } from "../../lib/returns.js";
+import { parseSlotId } from "../../lib/deliverySlots.js";
+import { ORDER_STATUSES } from "../../lib/orderLifecycle.js";
+import { EXPORT_FORMATS, EXPORT_MODES } from "../../lib/orderExport.js";
 
 /**
  * The admin dashboard speaks a wider, uppercase payment vocabulary than the
@@ -41,6 +45,7 @@ export const validateOrderStatusUpdate = [
         "PENDING", "AWAITING_PAYMENT_CONFIRMATION",
         "CONFIRMED", "PROCESSING",
         "SHIPPED", "DELIVERED", "CANCELLED", "PAYMENT_FAILED",
+        "READY_FOR_PICKUP", "OUT_FOR_DELIVERY", "RETURNED", "REFUNDED",
       ];
       if (!allowed.includes(value)) {
         throw new Error(`Status must be one of: ${allowed.join(", ")}`);
@@ -58,9 +63,26 @@ export const validateOrderStatusUpdate = [
         DELIVERED: "delivered",
         CANCELLED: "cancelled",
         PAYMENT_FAILED: "cancelled",
+        READY_FOR_PICKUP: "ready_for_pickup",
+        OUT_FOR_DELIVERY: "out_for_delivery",
+        RETURNED: "returned",
+        REFUNDED: "refunded",
       };
       return map[value] || value.toLowerCase();
     }),
+  body("reason")
+    .optional()
+    .isString()
+    .withMessage("reason must be a string")
+    .isLength({ max: 500 })
+    .withMessage("reason must be under 500 characters"),
+  body(["trackingNumber", "carrier"])
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("must be a string")
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage("must be under 100 characters"),
   body("paymentStatus")
     .optional()
     .custom((value) => (value ? assertPaymentStatus(value) : true))
@@ -88,6 +110,29 @@ export const validateBankakReject = [
   handleValidationErrors,
 ];
 
+// The transfer as the shopper reports it: the reference from the Bankak app,
+// what they sent, and the account they sent it from. Matched against the
+// order in lib/bankak.js.
+const transferDetails = (optional) => {
+  const field = (name) => (optional ? body(name).if(body("transferReference").exists({ checkFalsy: true })) : body(name));
+  return [
+    (optional ? body("transferReference").optional({ nullable: true }) : body("transferReference"))
+      .isString().withMessage("transferReference must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 4, max: 64 }).withMessage("transferReference must be between 4 and 64 characters")
+      .matches(/^[A-Za-z0-9\s-]+$/).withMessage("transferReference may only contain letters, digits, spaces and dashes"),
+    field("transferAmount")
+      .isFloat({ gt: 0 }).withMessage("transferAmount must be a positive number")
+      .toFloat(),
+    field("senderAccount")
+      .isString().withMessage("senderAccount must be a string")
+      .bail()
+      .trim()
+      .isLength({ min: 3, max: 100 }).withMessage("senderAccount must be between 3 and 100 characters"),
+  ];
+};
+
 export const validateOrderCreate = [
   // addressId is required — the service resolves address text from it
   body("addressId")
@@ -107,6 +152,8 @@ export const validateOrderCreate = [
     .bail()
     .isLength({ min: 5, max: 2000 }).withMessage("transferProof must be between 5 and 2000 characters"),
 
+  ...transferDetails(true),
+
   body("couponCode")
     .optional({ nullable: true })
     .isString()
@@ -119,5 +166,127 @@ export const validateOrderCreate = [
     .trim()
     .isLength({ max: 20 }).withMessage("referralCode must be under 20 characters"),
 
+  // One of the quote's `deliverySlots`; whether it is still on offer is the
+  // service's call.
+  body("deliverySlotId")
+    .optional({ nullable: true })
+    .isString().withMessage("deliverySlotId must be a string")
+    .bail()
+    .custom((v) => parseSlotId(v) !== null)
+    .withMessage("deliverySlotId must look like 2026-10-20T09:00-12:00"),
+
+  handleValidationErrors,
+];
+
+export const validateOrderCancel = [
+  body("reason")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("reason must be a string")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("reason must be under 500 characters"),
   handleValidationErrors,
 ];
+
+// Which lines may be returned, and how many, depends on the order — checked in
+// lib/returns.js. This only checks the shape.
+export const validateReturnCreate = [
+  body("items")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("items must be a non-empty array"),
+  body("items.*.line")
+    .isInt({ min: 0 })
+    .withMessage("line must be the index of an order item")
+    .toInt(),
+  body("items.*.quantity")
+    .isInt({ min: 1 })
+    .withMessage("quantity must be a positive integer")
+    .toInt(),
+  body("items.*.reasonCode")
+    .isIn(RETURN_REASONS)
+    .withMessage(`reasonCode must be one of: ${RETURN_REASONS.join(", ")}`),
+  body("items.*.note")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("note must be a string")
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("note must be under 1000 characters"),
+  body("items.*.photos")
+    .optional()
+    .isArray({ max: MAX_RETURN_PHOTOS })
+    .withMessage(`photos must be an array of at most ${MAX_RETURN_PHOTOS} URLs`),
+  body("items.*.photos.*")
+    .isString()
+    .withMessage("photos must be URLs"),
+  handleValidationErrors,
+];
+
+export const validateReturnDecision = [
+  body("decision")
+    .isIn(["approve", "reject"])
+    .withMessage("decision must be one of: approve, reject"),
+  body("note")
+    .optional({ nullable: true })
+    .isString()
+    .withMessage("note must be a string")
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("note must be under 500 characters"),
+  handleValidationErrors,
+];
+
+export const validateBankakTransfer = [
+  ...transferDetails(false),
+  body("transferProof")
+    .optional({ nullable: true })
+    .isString().withMessage("transferProof must be a string")
+    .bail()
+    .isLength({ min: 5, max: 2000 }).withMessage("transferProof must be between 5 and 2000 characters"),
+  handleValidationErrors,
+];
+
+// Days, not instants: `to` takes in the whole of that day, Khartoum time.
+const exportQuery = () => [
+  query(["from", "to"])
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage("must be YYYY-MM-DD"),
+  query("to")
+    .custom((to, { req }) => !to || !req.query.from || req.query.from <= to)
+    .withMessage("from must not be after to"),
+  query("status")
+    .optional()
+    .isIn(ORDER_STATUSES)
+    .withMessage(`status must be one of: ${ORDER_STATUSES.join(", ")}`),
+  query("paymentMethod")
+    .optional()
+    .custom((v) => ["CASH", "BANKAK", "CARD"].includes(String(v).toUpperCase()))
+    .withMessage("paymentMethod must be one of: CASH, BANKAK, CARD"),
+  query("city")
+    .optional()
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("city must be under 100 characters"),
+  query("mode")
+    .optional()
+    .isIn(EXPORT_MODES)
+    .withMessage(`mode must be one of: ${EXPORT_MODES.join(", ")}`),
+  query("format")
+    .optional()
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+];
+
+export const validateOrderExport = [
+  ...exportQuery(),
+  query("merchant")
+    .optional()
+    .isMongoId()
+    .withMessage("merchant must be a valid MongoDB ID"),
+  handleValidationErrors,
+];
+
+// A store's export is its own orders; there is no `merchant` to pick.
+export const validateMerchantOrderExport = [...exportQuery(), handleValidationErrors];
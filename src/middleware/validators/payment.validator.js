@@ -0,0 +1,31 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+
+export const validateOrderPayments = [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  handleValidationErrors,
+];
+
+// The token is the gateway's stand-in for the card, collected by the app;
+// card details never reach this API.
+export const validateCardPaymentConfirm = [
+  param('id').isMongoId().withMessage('Invalid order ID'),
+  param('paymentId').isMongoId().withMessage('Invalid payment ID'),
+  body('paymentToken')
+    .isString().withMessage('paymentToken is required')
+    .bail()
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('paymentToken must be between 1 and 500 characters'),
+  handleValidationErrors,
+];
+
+export const validatePaymentList = [
+  query('orderId').isMongoId().withMessage('orderId must be a valid MongoId'),
+  handleValidationErrors,
+];
+
+export const validatePaymentId = [
+  param('id').isMongoId().withMessage('Invalid payment ID'),
+  handleValidationErrors,
+];
@@ -0,0 +1,67 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+import { PAYOUT_BATCH_STATUSES, PAYOUT_FILE_FORMATS } from '../../lib/payouts.js';
+
+export const validatePayoutList = [
+  query('status').optional().isIn(PAYOUT_BATCH_STATUSES)
+    .withMessage(`status must be one of: ${PAYOUT_BATCH_STATUSES.join(', ')}`),
+  query('page').optional().isInt({ min: 1, max: 500 }).withMessage('Page must be between 1 and 500').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors,
+];
+
+export const validatePayoutId = [
+  param('id').isMongoId().withMessage('Invalid payout batch ID'),
+  handleValidationErrors,
+];
+
+export const validatePayoutCreate = [
+  body('merchantIds')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('merchantIds must list 1 to 500 stores'),
+  body('merchantIds.*').isMongoId().withMessage('merchantIds must be valid MongoIds'),
+  body('holdDays')
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage('holdDays must be between 0 and 90')
+    .toInt(),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('note cannot exceed 1000 characters'),
+  handleValidationErrors,
+];
+
+export const validatePayoutFile = [
+  param('id').isMongoId().withMessage('Invalid payout batch ID'),
+  query('format').optional().isIn(PAYOUT_FILE_FORMATS)
+    .withMessage(`format must be one of: ${PAYOUT_FILE_FORMATS.join(', ')}`),
+  handleValidationErrors,
+];
+
+// The bank's answer, one entry per transfer. Several at once, so a whole
+// response file can be recorded in one go.
+export const validatePayoutSettle = [
+  param('id').isMongoId().withMessage('Invalid payout batch ID'),
+  body('items')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('items must list 1 to 500 transfers'),
+  body('items.*.itemId').isMongoId().withMessage('itemId must be a valid MongoId'),
+  body('items.*.status').isIn(['paid', 'failed']).withMessage('status must be paid or failed'),
+  body('items.*.bankReference')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('bankReference cannot exceed 200 characters'),
+  body('items.*.reason')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('reason cannot exceed 500 characters'),
+  handleValidationErrors,
+];
@@ -1,4 +1,4 @@
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
 import {
   sanitizeString,
   validateNumber,
@@ -9,6 +9,8 @@ import {
   validateEnum,
   handleValidationErrors,
 } from '../validation.middleware.js';
+import { MAX_LOW_STOCK_THRESHOLD } from '../../lib/stockAlerts.js';
+import { IMPORT_FORMATS } from '../../lib/productImport.js';
 
 // Validates an images array: 1–10 items, all must be https:// URLs
 const buildImagesValidator = (optional = false) => {
@@ -86,6 +88,13 @@ const validateVariants = body('variants')
         throw new Error('Each variant must have a non-negative integer stock value');
       }
 
+      if (variant.lowStockThreshold !== undefined && variant.lowStockThreshold !== null) {
+        const t = variant.lowStockThreshold;
+        if (!Number.isInteger(t) || t < 0 || t > MAX_LOW_STOCK_THRESHOLD) {
+          throw new Error(`Each variant lowStockThreshold must be a whole number from 0 to ${MAX_LOW_STOCK_THRESHOLD}`);
+        }
+      }
+
       // Absolute per-variant discount (currency amount, not a percentage).
       // Optional — schema default is 0.
       if (variant.merchantDiscount !== undefined && variant.merchantDiscount !== null) {
@@ -102,7 +111,7 @@ const validateVariants = body('variants')
 // Custom validator for the product-level discount block (product.model.js:58).
 // Optional object: { type: 'percentage'|'fixed'|null, value >= 0,
 // maxDiscount? >= 0, startsAt?/endsAt? ISO dates, isActive? boolean }.
-// The controller's sanitizeDiscountInput does the coercion — this only rejects
+// sanitizeDiscountInput (lib/discountInput.js) does the coercion — this only rejects
 // input that is structurally wrong so a bad payload fails loudly.
 const validateDiscountBlock = body('discount')
   .optional({ nullable: true })
@@ -262,3 +271,32 @@ export const validateProductUpdate = [
   handleValidationErrors,
 ];
 
+
+// Either `delta` (units in or out) or `stock` (the counted figure), and always
+// a reason. Whether the variant can take it is lib/inventory.js's call.
+export const validateStockAdjust = [
+  body('delta')
+    .optional({ nullable: true })
+    .isInt({ min: -100000, max: 100000 })
+    .withMessage('delta must be a whole number of units')
+    .toInt(),
+  body('stock')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 100000 })
+    .withMessage('stock must be between 0 and 100000')
+    .toInt(),
+  body('stock')
+    .custom((stock, { req }) => (stock === undefined || stock === null) !== (req.body.delta === undefined || req.body.delta === null))
+    .withMessage('Send either delta or stock'),
+  sanitizeString('reason', { min: 3, max: 500 }),
+  handleValidationErrors,
+];
+
+// The catalogue export is written in the import's layout, in either of its formats.
+export const validateProductExport = [
+  query('format')
+    .optional()
+    .isIn(IMPORT_FORMATS)
+    .withMessage(`format must be one of: ${IMPORT_FORMATS.join(', ')}`),
+  handleValidationErrors,
+];
@@ -34,6 +34,25 @@ export const validateMerchantFilter = [
   handleValidationErrors,
 ];
 
+/**
+ * Validate an optional delivery pin (`lat` + `lng`) on listing endpoints.
+ * Both or neither: half a pin cannot be tested against a polygon.
+ */
+export const validatePinFilter = [
+  query('lat')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('lat must be between -90 and 90'),
+  query('lng')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('lng must be between -180 and 180'),
+  query('lat')
+    .custom((lat, { req }) => (lat === undefined) === (req.query.lng === undefined))
+    .withMessage('lat and lng must be sent together'),
+  handleValidationErrors,
+];
+
 /**
  * Validate boolean query parameter
  */
@@ -57,3 +76,17 @@ export const validateStatusFilter = (allowedStatuses, field = 'status') => [
   handleValidationErrors,
 ];
 
+
+/**
+ * Validate an optional `from` / `to` date range (ISO 8601), oldest first.
+ */
+export const validateDateRange = [
+  query(['from', 'to'])
+    .optional()
+    .isISO8601()
+    .withMessage('must be an ISO 8601 date'),
+  query('to')
+    .custom((to, { req }) => !to || !req.query.from || new Date(req.query.from) <= new Date(to))
+    .withMessage('from must not be after to'),
+  handleValidationErrors,
+];
@@ -0,0 +1,61 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+import { REFUND_METHODS, REFUND_SOURCES, REFUND_STATUSES } from '../../lib/refunds.js';
+
+export const validateRefundList = [
+  query('status').optional().isIn(REFUND_STATUSES)
+    .withMessage(`status must be one of: ${REFUND_STATUSES.join(', ')}`),
+  query('source').optional().isIn(REFUND_SOURCES)
+    .withMessage(`source must be one of: ${REFUND_SOURCES.join(', ')}`),
+  query('method').optional().isIn(REFUND_METHODS)
+    .withMessage(`method must be one of: ${REFUND_METHODS.join(', ')}`),
+  query('orderId').optional().isMongoId().withMessage('orderId must be a valid MongoId'),
+  query(['startDate', 'endDate']).optional().isISO8601().withMessage('must be an ISO 8601 date'),
+  query('page').optional().isInt({ min: 1, max: 500 }).withMessage('Page must be between 1 and 500').toInt(),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100').toInt(),
+  handleValidationErrors,
+];
+
+export const validateRefundId = [
+  param('id').isMongoId().withMessage('Invalid refund ID'),
+  handleValidationErrors,
+];
+
+export const validateRefundApprove = [
+  param('id').isMongoId().withMessage('Invalid refund ID'),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('note cannot exceed 1000 characters'),
+  handleValidationErrors,
+];
+
+// Proof URLs are checked against the image host in the controller, like
+// BANKAK transfer proofs; this only checks the shape.
+export const validateRefundPay = [
+  param('id').isMongoId().withMessage('Invalid refund ID'),
+  body('proofUrls')
+    .isArray({ min: 1, max: 5 })
+    .withMessage('proofUrls must list 1 to 5 uploaded receipts'),
+  body('proofUrls.*').isString().withMessage('proofUrls must be URLs'),
+  body('reference')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('reference cannot exceed 200 characters'),
+  body('method')
+    .optional()
+    .customSanitizer((v) => String(v).trim().toUpperCase())
+    .isIn(REFUND_METHODS)
+    .withMessage(`method must be one of: ${REFUND_METHODS.join(', ')}`),
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('note cannot exceed 1000 characters'),
+  handleValidationErrors,
+];
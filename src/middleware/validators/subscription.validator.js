@@ -0,0 +1,29 @@
+import { body, param, query } from 'express-validator';
+import { handleValidationErrors } from '../validation.middleware.js';
+import { SUBSCRIPTION_KINDS, SUBSCRIPTION_STATUSES } from '../../lib/subscriptions.js';
+
+// Whether the watch is worth placing (in stock already, target already met)
+// is lib/subscriptions.js checkSubscription's call; here only the shape.
+export const validateSubscriptionCreate = [
+  body('productId').isMongoId().withMessage('productId must be a valid product id'),
+  body('variantId').isMongoId().withMessage('variantId must be a valid variant id'),
+  body('kind').isIn(SUBSCRIPTION_KINDS).withMessage(`kind must be one of: ${SUBSCRIPTION_KINDS.join(', ')}`),
+  body('targetPrice')
+    .if(body('kind').equals('price'))
+    .exists({ values: 'null' }).withMessage('targetPrice is required for a price subscription')
+    .bail()
+    .isFloat({ gt: 0 }).withMessage('targetPrice must be greater than zero')
+    .toFloat(),
+  handleValidationErrors,
+];
+
+export const validateSubscriptionList = [
+  query('status').optional().isIn(SUBSCRIPTION_STATUSES)
+    .withMessage(`status must be one of: ${SUBSCRIPTION_STATUSES.join(', ')}`),
+  handleValidationErrors,
+];
+
+export const validateSubscriptionId = [
+  param('subscriptionId').isMongoId().withMessage('Invalid subscription ID'),
+  handleValidationErrors,
+];
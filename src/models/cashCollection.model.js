@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { COLLECTION_STATUSES } from '../lib/cod.js';
+
+/**
+ * Cash taken at the door for a CASH order — who took it, how much, when, and
+ * where they were (the pin).
+ *
+ * At most one standing collection per order: a mistyped amount is voided by
+ * an admin and recorded again, so what was first claimed stays on file.
+ * `settlement` is set when the courier hands the cash over and an admin
+ * settles their sheet; until then the cash is the courier's to account for.
+ *
+ * `amount` and `expected` are in `currency`, what the shopper paid in — not
+ * USD.
+ */
+const cashCollectionSchema = new mongoose.Schema(
+  {
+    order:       { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, default: null },
+    courier:     { type: mongoose.Schema.Types.ObjectId, ref: 'Courier', required: true },
+
+    amount:   { type: Number, required: true, min: 0 },
+    // What the order cost the shopper when the cash was taken.
+    expected: { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true },
+
+    collectedAt: { type: Date, required: true },
+    /** GeoJSON Point, [longitude, latitude]. Absent when the device gave none. */
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: { type: [Number], default: undefined },
+    },
+    // Who recorded it: the courier from their app, or an admin for them.
+    recordedBy: {
+      type: { type: String, enum: ['courier', 'admin'], required: true },
+      id:   { type: String, default: null },
+    },
+
+    status:     { type: String, enum: COLLECTION_STATUSES, default: 'collected' },
+    voidedAt:   { type: Date, default: null },
+    voidedBy:   { type: String, default: null },
+    voidReason: { type: String, default: null, maxlength: 500 },
+
+    settlement: { type: mongoose.Schema.Types.ObjectId, ref: 'CodSettlement', default: null },
+  },
+  { timestamps: true }
+);
+
+// One standing collection per order; a retried submit lands on it.
+cashCollectionSchema.index(
+  { order: 1 },
+  { unique: true, partialFilterExpression: { status: 'collected' } }
+);
+// A courier's sheet: what they hold, oldest first.
+cashCollectionSchema.index({ courier: 1, settlement: 1, collectedAt: 1 });
+
+const CashCollection = mongoose.model('CashCollection', cashCollectionSchema);
+export default CashCollection;
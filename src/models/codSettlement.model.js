@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+import { COD_LINE_FLAGS, COD_SHEET_FLAGS } from '../lib/cod.js';
+
+/**
+ * A courier's settled end-of-day sheet: the collections they handed in, what
+ * each should have been, and per currency what was counted at the handover
+ * against what they collected. Written once, when an admin settles, and never
+ * changed — a mistake is settled against on the next sheet.
+ *
+ * The lines are a copy, so the sheet reads the same whatever later happens to
+ * the orders. Amounts are in each line's currency, not USD.
+ */
+const lineSchema = new mongoose.Schema(
+  {
+    cashCollection: { type: mongoose.Schema.Types.ObjectId, ref: 'CashCollection', required: true },
+    order:          { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber:    { type: String, default: null },
+    currency:       { type: String, required: true },
+    expected:       { type: Number, required: true },
+    collected:      { type: Number, required: true },
+    collectedAt:    { type: Date, required: true },
+    flags:          { type: [{ type: String, enum: COD_LINE_FLAGS }], default: [] },
+  },
+  { _id: false }
+);
+
+const totalSchema = new mongoose.Schema(
+  {
+    currency:   { type: String, required: true },
+    expected:   { type: Number, required: true },
+    collected:  { type: Number, required: true },
+    handedOver: { type: Number, required: true },
+    // handedOver − collected: negative when cash is missing.
+    difference: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const codSettlementSchema = new mongoose.Schema(
+  {
+    courier: { type: mongoose.Schema.Types.ObjectId, ref: 'Courier', required: true },
+    // Khartoum business day, YYYY-MM-DD.
+    day:     { type: String, required: true },
+    lines:   { type: [lineSchema], default: [] },
+    totals:  { type: [totalSchema], default: [] },
+    flags:   { type: [{ type: String, enum: COD_SHEET_FLAGS }], default: [] },
+
+    // Clerk id of the admin who counted the cash.
+    settledBy: { type: String, default: null },
+    note:      { type: String, default: '', maxlength: 1000 },
+  },
+  { timestamps: true }
+);
+
+codSettlementSchema.index({ courier: 1, day: -1 });
+// Finance: sheets that did not add up.
+codSettlementSchema.index({ flags: 1, day: -1 });
+
+const CodSettlement = mongoose.model('CodSettlement', codSettlementSchema);
+export default CodSettlement;
@@ -0,0 +1,52 @@
+import mongoose from 'mongoose';
+import { COURIER_KINDS } from '../lib/cod.js';
+import { COURIER_AVAILABILITY } from '../lib/dispatch.js';
+
+/**
+ * Someone who carries orders to the door, or takes cash for them.
+ *
+ * Couriers ride for the platform; agents are collection points (a shop, a
+ * partner office) where shoppers pay cash for orders delivered some other
+ * way. Both are accounted for the same way: whatever they collect sits with
+ * them until it is settled (lib/cod.js).
+ *
+ * An account is created by an admin and linked to a Clerk user by `clerkId`
+ * once the person has signed in, which is what lets them use the courier
+ * API. Deactivating it keeps its history.
+ *
+ * A courier says when they are taking jobs (`availability`) and their app
+ * sends where they are while they do; the latest ping is all that is kept.
+ * Both feed nearest-courier dispatch (lib/dispatch.js).
+ */
+const courierSchema = new mongoose.Schema(
+  {
+    fullName: { type: String, required: true, trim: true, maxlength: 120 },
+    phone:    { type: String, required: true, trim: true, maxlength: 30 },
+    kind:     { type: String, enum: COURIER_KINDS, default: 'courier' },
+    clerkId:  { type: String, default: undefined },
+    active:   { type: Boolean, default: true },
+    note:     { type: String, default: '', maxlength: 1000 },
+
+    availability: { type: String, enum: COURIER_AVAILABILITY, default: 'offline' },
+    /** GeoJSON Point, [longitude, latitude]. Absent until the first ping. */
+    location: {
+      type: {
+        type: String,
+        enum: ['Point'],
+      },
+      coordinates: { type: [Number], default: undefined },
+    },
+    locationAccuracyMeters: { type: Number, default: null },
+    locationUpdatedAt:      { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// The courier API resolves the caller by their Clerk id.
+courierSchema.index({ clerkId: 1 }, { unique: true, sparse: true });
+courierSchema.index({ active: 1, kind: 1 });
+// Nearest available courier ($geoNear).
+courierSchema.index({ location: '2dsphere' }, { sparse: true });
+
+const Courier = mongoose.model('Courier', courierSchema);
+export default Courier;
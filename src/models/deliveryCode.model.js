@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { DELIVERY_CODE_STATUSES } from '../lib/deliveryCode.js';
+
+/**
+ * The one-time code that confirms an order, or one store's shipment, reached
+ * the shopper. The rules live in lib/deliveryCode.js.
+ *
+ * `code` is never selected by default: only the shopper's own endpoint and
+ * the check itself read it. A reissued code replaces the old one on the same
+ * document, so there is exactly one per shipment.
+ */
+const pointSchema = new mongoose.Schema(
+  {
+    type:        { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+const deliveryCodeSchema = new mongoose.Schema(
+  {
+    order:       { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, default: null },
+    // The shipment, on an order split by store; null for the whole order.
+    fulfillment: { type: mongoose.Schema.Types.ObjectId, default: null },
+
+    code:   { type: String, required: true, select: false },
+    status: { type: String, enum: DELIVERY_CODE_STATUSES, default: 'active' },
+
+    // Wrong entries against the current code.
+    attempts:      { type: Number, default: 0 },
+    lastAttemptAt: { type: Date, default: null },
+    lockedAt:      { type: Date, default: null },
+
+    issuedAt:   { type: Date, default: Date.now },
+    reissues:   { type: Number, default: 0 },
+    reissuedBy: { type: String, default: null },
+
+    usedAt: { type: Date, default: null },
+    // Who entered it: a courier, or a merchant's staff member for their store.
+    usedBy: {
+      type:     { type: String, enum: ['courier', 'merchant', 'admin'] },
+      id:       { type: String },
+      merchant: { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant' },
+    },
+    // Photo taken at the door, and where the code was entered.
+    proof: {
+      photoUrl: { type: String, default: null },
+      location: { type: pointSchema, default: undefined },
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryCodeSchema.index({ order: 1, fulfillment: 1 }, { unique: true });
+
+const DeliveryCode = mongoose.model('DeliveryCode', deliveryCodeSchema);
+export default DeliveryCode;
@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+import { DELIVERY_JOB_STATUSES } from '../lib/dispatch.js';
+
+/**
+ * One courier carrying one order — or, on an order that ships from several
+ * stores, one store's shipment — from the store to the door. The rules for
+ * moving it along live in lib/dispatch.js.
+ *
+ * A job that was declined or cancelled stays on file and a new one is opened
+ * for the next courier, so the history of who was asked is kept. `open` is
+ * true while the job holds its order; the partial unique index on it is what
+ * stops two admins (or an admin and auto-dispatch) handing the same parcel to
+ * two couriers.
+ */
+const pointSchema = new mongoose.Schema(
+  {
+    type:        { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
+const deliveryJobSchema = new mongoose.Schema(
+  {
+    order:       { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    orderNumber: { type: String, default: null },
+    // The shipment, on an order split by store; null for the whole order.
+    fulfillment: { type: mongoose.Schema.Types.ObjectId, default: null },
+    courier:     { type: mongoose.Schema.Types.ObjectId, ref: 'Courier', required: true },
+
+    status: { type: String, enum: DELIVERY_JOB_STATUSES, default: 'assigned' },
+    open:   { type: Boolean, default: true },
+
+    // manual — an admin picked the courier; nearest — dispatch did.
+    assignment:     { type: String, enum: ['manual', 'nearest'], required: true },
+    assignedBy:     { type: String, default: null },
+    distanceMeters: { type: Number, default: null },
+
+    assignedAt:  { type: Date, default: Date.now },
+    acceptedAt:  { type: Date, default: null },
+    pickedUpAt:  { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    closedAt:    { type: Date, default: null },
+    // Why it was declined, cancelled or brought back.
+    closeReason: { type: String, default: null, maxlength: 500 },
+
+    // Proof of delivery: the photo taken at the door, and where it was taken.
+    proof: {
+      photoUrl: { type: String, default: null },
+      location: { type: pointSchema, default: undefined },
+    },
+  },
+  { timestamps: true }
+);
+
+deliveryJobSchema.index(
+  { order: 1, fulfillment: 1 },
+  { unique: true, partialFilterExpression: { open: true } }
+);
+// A courier's jobs, and how many they hold.
+deliveryJobSchema.index({ courier: 1, open: 1, assignedAt: -1 });
+// Admin dispatch board.
+deliveryJobSchema.index({ status: 1, assignedAt: -1 });
+
+const DeliveryJob = mongoose.model('DeliveryJob', deliveryJobSchema);
+export default DeliveryJob;
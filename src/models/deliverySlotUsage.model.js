@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+/**
+ * How many orders hold one zone's delivery window on one day.
+ *
+ * The counter is the capacity gate: an order takes its place with a
+ * conditional `$inc` (`booked` still under capacity) in the same transaction
+ * that writes the order, so two shoppers cannot both take the last place. A
+ * cancelled order gives it back. Rows exist only for windows someone booked;
+ * the windows themselves come from the zone's templates (lib/deliverySlots.js).
+ */
+const deliverySlotUsageSchema = new mongoose.Schema(
+  {
+    zone:   { type: mongoose.Schema.Types.ObjectId, ref: 'DeliveryZone', required: true },
+    // `YYYY-MM-DDTHH:MM-HH:MM`, Khartoum time.
+    slotId: { type: String, required: true },
+    day:    { type: String, required: true },
+    start:  { type: String, required: true },
+    end:    { type: String, required: true },
+    booked: { type: Number, default: 0, min: 0 },
+  },
+  { timestamps: true }
+);
+
+deliverySlotUsageSchema.index({ zone: 1, slotId: 1 }, { unique: true });
+// Checkout and the admin view load a zone's windows a day at a time.
+deliverySlotUsageSchema.index({ zone: 1, day: 1 });
+
+const DeliverySlotUsage = mongoose.model('DeliverySlotUsage', deliverySlotUsageSchema);
+export default DeliverySlotUsage;
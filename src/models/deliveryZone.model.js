@@ -1,4 +1,5 @@
 import mongoose from 'mongoose';
+import { DEFAULT_SLOT_DAYS_AHEAD, MAX_SLOT_DAYS_AHEAD, SLOT_TIME } from '../lib/deliverySlots.js';
 
 /**
  * DeliveryZone — the geographic primitive the delivery roadmap is built on.
@@ -62,6 +63,36 @@ const pricingSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * One recurring delivery window, e.g. "Saturday to Thursday, 09:00–12:00,
+ * 40 orders, booking closes an hour before". Times are Khartoum's. The rules
+ * live in lib/deliverySlots.js.
+ */
+const slotTemplateSchema = new mongoose.Schema(
+  {
+    /** Weekdays the window runs on: 0 = Sunday … 6 = Saturday. */
+    days: { type: [{ type: Number, min: 0, max: 6 }], required: true },
+    start: { type: String, required: true, match: SLOT_TIME },
+    end: { type: String, required: true, match: SLOT_TIME },
+    /** Orders the window takes. */
+    capacity: { type: Number, required: true, min: 1 },
+    /** Minutes before `start` at which booking closes. */
+    cutoffMinutes: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const slotsSchema = new mongoose.Schema(
+  {
+    /** Offer scheduled delivery at checkout for addresses in this zone. */
+    enabled: { type: Boolean, default: false },
+    /** Days of windows offered, today included. */
+    daysAhead: { type: Number, default: DEFAULT_SLOT_DAYS_AHEAD, min: 1, max: MAX_SLOT_DAYS_AHEAD },
+    templates: { type: [slotTemplateSchema], default: [] },
+  },
+  { _id: false }
+);
+
 const deliveryZoneSchema = new mongoose.Schema(
   {
     name: { type: String, required: true, trim: true, maxlength: 120 },
@@ -109,6 +140,9 @@ const deliveryZoneSchema = new mongoose.Schema(
     estimatedMinMinutes: { type: Number, default: null, min: 0 },
     estimatedMaxMinutes: { type: Number, default: null, min: 0 },
 
+    /** Scheduled delivery windows; only platform zones offer them at checkout. */
+    slots: { type: slotsSchema, default: () => ({}) },
+
     /** Soft switch — disable a zone without deleting its geometry or history. */
     isActive: { type: Boolean, default: true },
 
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+/**
+ * Mongo fallback for Idempotency-Key records, used when Redis is not configured
+ * or is unreachable. See lib/idempotency/ — the Redis store keeps the same
+ * record shape as a JSON string.
+ *
+ * One row per (scope, user, key). The unique index is the claim: whoever
+ * inserts first owns the request, everyone after reads the row.
+ */
+const idempotencyKeySchema = new mongoose.Schema(
+  {
+    // Which endpoint family the key belongs to ('orders.create', 'carts.add', …).
+    // The same UUID sent to two endpoints is two different requests.
+    scope:  { type: String, required: true },
+    // Clerk user id. Keys are per-user so one shopper can never replay another's response.
+    userId: { type: String, required: true },
+    key:    { type: String, required: true },
+
+    requestHash: { type: String, required: true },
+    status:      { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+
+    // Captured on completion and replayed verbatim.
+    responseStatus: { type: Number, default: null },
+    responseBody:   { type: mongoose.Schema.Types.Mixed, default: null },
+
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, minimize: false }
+);
+
+idempotencyKeySchema.index({ scope: 1, userId: 1, key: 1 }, { unique: true });
+// TTL monitor runs about once a minute, so a row can outlive expiresAt briefly;
+// the store treats an expired row as absent rather than trusting deletion.
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyKey = mongoose.model('IdempotencyKey', idempotencyKeySchema);
+export default IdempotencyKey;
@@ -0,0 +1,53 @@
+import mongoose from 'mongoose';
+import { MOVEMENT_ACTORS, MOVEMENT_TYPES } from '../lib/inventory.js';
+
+/**
+ * One change to one variant's stock (lib/inventory.js).
+ *
+ * Append-only: written by inventory.service.js next to the stock write it
+ * records — in the same transaction wherever the write has one — and never
+ * edited. `before` and `after` are the variant's figure either side of the
+ * change, so a variant's history reads as a running balance.
+ *
+ * `sku` is kept alongside `variantId` because an import replaces a product's
+ * variants and gives each a new id; the SKU is what stays the same.
+ */
+const inventoryMovementSchema = new mongoose.Schema(
+  {
+    product:   { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    sku:       { type: String, default: null },
+    // The store that owns the product, for store-wide history.
+    merchant:  { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', default: null },
+
+    type:      { type: String, enum: MOVEMENT_TYPES, required: true },
+    // Signed: units in are positive, units out negative. Always after − before.
+    quantity:  { type: Number, required: true },
+    before:    { type: Number, required: true, min: 0 },
+    after:     { type: Number, required: true, min: 0 },
+
+    actorType: { type: String, enum: MOVEMENT_ACTORS, required: true },
+    // Who, within actorType: a Clerk user id for admins and store staff, the
+    // job or handler name for `system`.
+    actorId:   { type: String, default: null },
+
+    // The order behind a sale, cancellation or return.
+    order:       { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    orderNumber: { type: String, default: null },
+    // Required on a manual adjustment or count; optional elsewhere.
+    reason:      { type: String, default: null, maxlength: 500 },
+
+    at: { type: Date, default: Date.now },
+  },
+  { versionKey: false }
+);
+
+// A variant's history, newest first; by SKU across imports.
+inventoryMovementSchema.index({ product: 1, variantId: 1, at: -1 });
+inventoryMovementSchema.index({ product: 1, sku: 1, at: -1 });
+// A store's movements, newest first.
+inventoryMovementSchema.index({ merchant: 1, at: -1 });
+inventoryMovementSchema.index({ order: 1 });
+
+const InventoryMovement = mongoose.model('InventoryMovement', inventoryMovementSchema);
+export default InventoryMovement;
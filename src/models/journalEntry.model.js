@@ -0,0 +1,51 @@
+import mongoose from 'mongoose';
+import { ACCOUNTS, ENTRY_KINDS } from '../lib/ledger.js';
+
+/**
+ * One balanced journal entry. See lib/ledger.js for the accounts and what
+ * posts to them.
+ *
+ * Entries are never edited or deleted: a mistake is corrected by posting the
+ * reverse. `key` names the event that posted the entry ("delivery:<orderId>",
+ * "refund_paid:<refundId>"...) and is unique, so an event retried after a
+ * timeout cannot post twice.
+ */
+const journalLineSchema = new mongoose.Schema(
+  {
+    account:  { type: String, enum: Object.keys(ACCOUNTS), required: true },
+    merchant: { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', default: null },
+    marketer: { type: mongoose.Schema.Types.ObjectId, ref: 'Marketer', default: null },
+    debit:    { type: Number, default: 0, min: 0 },
+    credit:   { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+const journalEntrySchema = new mongoose.Schema(
+  {
+    key:         { type: String, required: true, unique: true },
+    kind:        { type: String, enum: ENTRY_KINDS, required: true },
+    description: { type: String, default: '' },
+    lines:       { type: [journalLineSchema], required: true },
+
+    // What the entry is about, for drilling down from a statement line.
+    order:       { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    refund:      { type: mongoose.Schema.Types.ObjectId, ref: 'Refund', default: null },
+    dispute:     { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute', default: null },
+    commission:  { type: mongoose.Schema.Types.ObjectId, ref: 'Commission', default: null },
+    payoutBatch: { type: mongoose.Schema.Types.ObjectId, ref: 'PayoutBatch', default: null },
+
+    postedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+// A store's statement, and balances per store.
+journalEntrySchema.index({ 'lines.merchant': 1, postedAt: 1 });
+journalEntrySchema.index({ 'lines.account': 1, postedAt: 1 });
+journalEntrySchema.index({ order: 1 });
+// Recent delivery credits, held back from payout runs.
+journalEntrySchema.index({ kind: 1, postedAt: 1 });
+
+const JournalEntry = mongoose.model('JournalEntry', journalEntrySchema);
+export default JournalEntry;
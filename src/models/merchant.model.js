@@ -12,6 +12,15 @@ export const buildUnclaimedUserId = () =>
 export const isUnclaimedUserId = (userId) =>
   typeof userId === 'string' && userId.startsWith(UNCLAIMED_USER_ID_PREFIX);
 
+// Same GeoJSON shape as Address.location — [longitude, latitude].
+const originPointSchema = new mongoose.Schema(
+  {
+    type:        { type: String, enum: ['Point'], default: 'Point' },
+    coordinates: { type: [Number], required: true },
+  },
+  { _id: false }
+);
+
 const merchantSchema = new mongoose.Schema(
   {
     // ── Identity (matches merchantapplications collection) ─────────────────
@@ -39,6 +48,10 @@ const merchantSchema = new mongoose.Schema(
     description:  { type: String, required: true },
     categories:   [{ type: String }],
     city:         { type: String, required: true },
+    // Where parcels leave from — the pickup pin the delivery fee measures
+    // distance from (services/shippingRate.service.js). Optional: a store
+    // without one is charged its zone's base fee only, never refused.
+    originLocation: { type: originPointSchema, default: undefined },
     productSamples: [{ type: String }],
 
     // ── Pricing ────────────────────────────────────────────────────────────
@@ -63,6 +76,11 @@ const merchantSchema = new mongoose.Schema(
       maxlength: 3,
     },
 
+    // ── Inventory ──────────────────────────────────────────────────────────
+    // Reorder point for low-stock alerts on variants that set none of their
+    // own; null means the platform default (lib/stockAlerts.js).
+    lowStockThreshold: { type: Number, default: null, min: 0 },
+
     // ── Status ─────────────────────────────────────────────────────────────
     status: {
       type: String,
@@ -98,8 +116,11 @@ const merchantSchema = new mongoose.Schema(
 
     // ── Auth-backend extras (not in dashboard schema, safe to add) ─────────
     averageRating: { type: Number, default: 0, min: 0, max: 5 },
-    balance:       { type: Number, default: 0, min: 0 },
-    frozenBalance: { type: Number, default: 0, min: 0 },
+    // Projection of the ledger (services/ledger.service.js), written only by
+    // it. Can dip below zero: a return approved before the sale was posted
+    // is still owed by the store.
+    balance:       { type: Number, default: 0 },
+    frozenBalance: { type: Number, default: 0 },
     isFlagged:     { type: Boolean, default: false },
     flaggedAt:     { type: Date },
     flagReason:    { type: String },
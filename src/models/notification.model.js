@@ -20,6 +20,8 @@ const notificationSchema = new mongoose.Schema(
         'ORDER_DELIVERED',
         'ORDER_CANCELLED',
         'REFUND_PROCESSED',
+        'BANKAK_PAYMENT',
+        'DELIVERY_DISPATCH',
         // Merchant Alerts
         'NEW_ORDER',
         'LOW_STOCK',
@@ -196,6 +198,8 @@ notificationSchema.pre('save', function (next) {
         ORDER_DELIVERED: 'transactional',
         ORDER_CANCELLED: 'transactional',
         REFUND_PROCESSED: 'transactional',
+        BANKAK_PAYMENT: 'transactional',
+        DELIVERY_DISPATCH: 'transactional',
         NEW_ORDER: 'merchant_alerts',
         LOW_STOCK: 'merchant_alerts',
         PRODUCT_APPROVED: 'merchant_alerts',
@@ -40,6 +40,8 @@ const notificationPreferencesSchema = new mongoose.Schema(
         ORDER_DELIVERED: { enabled: true, channels: { push: true, in_app: true } },
         ORDER_CANCELLED: { enabled: true, channels: { push: true, in_app: true } },
         REFUND_PROCESSED: { enabled: true, channels: { push: true, in_app: true } },
+        BANKAK_PAYMENT: { enabled: true, channels: { push: true, in_app: true } },
+        DELIVERY_DISPATCH: { enabled: true, channels: { push: true, in_app: true } },
         // Merchant alerts
         NEW_ORDER: { enabled: true, channels: { push: true, in_app: true } },
         LOW_STOCK: { enabled: true, channels: { push: true, in_app: true } },
@@ -1,5 +1,8 @@
 import mongoose from "mongoose";
 import { DEFAULT_NUBIAN_MARKUP } from "../lib/pricing.config.js";
+import { ORDER_ACTORS, ORDER_STATUSES } from "../lib/orderLifecycle.js";
+import { FULFILLMENT_STATUSES } from "../lib/fulfillment.js";
+import { DELIVERY_PROOFS } from "../lib/deliveryCode.js";
 
 const bankakApprovalSchema = new mongoose.Schema({
   status:     { type: String, enum: ['pending', 'approved', 'rejected'], default: 'pending' },
@@ -14,6 +17,19 @@ const bankakApprovalSchema = new mongoose.Schema({
   reason:     { type: String },
 }, { _id: false });
 
+/**
+ * What the shopper told us about their BANKAK transfer. See lib/bankak.js.
+ * `reference` is normalised (no spaces or dashes, upper case) so the same
+ * transfer given for two orders is recognised.
+ */
+const bankakTransferSchema = new mongoose.Schema({
+  reference:     { type: String, required: true },
+  amount:        { type: Number, required: true, min: 0 },
+  currency:      { type: String, required: true },
+  senderAccount: { type: String, required: true, maxlength: 100 },
+  submittedAt:   { type: Date, default: Date.now },
+}, { _id: false });
+
 const orderProductSchema = new mongoose.Schema(
   {
     product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
@@ -121,6 +137,163 @@ const merchantRevenueSchema = new mongoose.Schema(
   { _id: false }
 );
 
+/**
+ * Stock taken from the catalogue when the order was placed.
+ *
+ * One line per (product, variant) actually decremented — not per order line:
+ * two lines on the same SKU are merged, and a line without a variant selection
+ * records the variant it drew from. This is what a cancellation puts back, so
+ * it must describe the stock movement, not the shopper's basket.
+ *
+ * Absent on orders placed before reservations existed; those never took stock
+ * and must never give any back.
+ */
+const stockReservationLineSchema = new mongoose.Schema(
+  {
+    product:   { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    quantity:  { type: Number, required: true, min: 1 },
+    // Set when this line's units go back on the shelf. Lines are released one
+    // by one so a single store's cancelled shipment restocks only its own.
+    releasedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const stockReservationSchema = new mongoose.Schema(
+  {
+    // `released` once every line is released. Each line is flipped by its own
+    // conditional update before its stock is returned — that flip is what
+    // makes a restock happen at most once.
+    status:     { type: String, enum: ["reserved", "released"], default: "reserved" },
+    lines:      { type: [stockReservationLineSchema], default: [] },
+    reservedAt: { type: Date, default: Date.now },
+    releasedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+const fulfillmentItemSchema = new mongoose.Schema(
+  {
+    product:   { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity:  { type: Number, required: true, min: 1 },
+  },
+  { _id: false }
+);
+
+/**
+ * One store's shipment within the order. See lib/fulfillment.js.
+ *
+ * Has an `_id` — merchants, couriers and the shopper all refer to a specific
+ * parcel. Timestamps are stamped by the transition that enters each status.
+ */
+const fulfillmentSchema = new mongoose.Schema(
+  {
+    // null for platform-sold lines that belong to no store.
+    merchant: { type: mongoose.Schema.Types.ObjectId, ref: "Merchant", default: null },
+    status:   { type: String, enum: FULFILLMENT_STATUSES, default: "pending" },
+    items:    { type: [fulfillmentItemSchema], default: [] },
+
+    trackingNumber: { type: String, default: null, trim: true, maxlength: 100 },
+    carrier:        { type: String, default: null, trim: true, maxlength: 100 },
+
+    confirmedAt:      { type: Date, default: null },
+    readyAt:          { type: Date, default: null },
+    shippedAt:        { type: Date, default: null },
+    outForDeliveryAt: { type: Date, default: null },
+    deliveredAt:      { type: Date, default: null },
+    cancelledAt:      { type: Date, default: null },
+    returnedAt:       { type: Date, default: null },
+  }
+);
+
+/**
+ * How the delivery fee was worked out, frozen at checkout.
+ *
+ * Zone pricing and store pickup pins can change the next day; this is what the
+ * shopper was actually charged and why. Amounts are USD like every other
+ * stored amount; `currencyCode` and `rate` record what the zone was priced in
+ * and the USD→currency rate the fee was converted back with.
+ */
+const shippingGroupSchema = new mongoose.Schema(
+  {
+    merchant:     { type: mongoose.Schema.Types.ObjectId, ref: "Merchant", default: null },
+    fee:          { type: Number, default: 0, min: 0 },
+    distanceKm:   { type: Number, default: null },
+    baseFee:      { type: Number, default: 0 },
+    distanceFee:  { type: Number, default: 0 },
+    chargeableKm: { type: Number, default: 0 },
+    capped:       { type: Boolean, default: false },
+    free:         { type: Boolean, default: false },
+  },
+  { _id: false }
+);
+
+const shippingSnapshotSchema = new mongoose.Schema(
+  {
+    fee:          { type: Number, default: 0, min: 0 },
+    zone:         { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryZone", default: null },
+    zoneName:     { type: String, default: null },
+    zoneNameAr:   { type: String, default: null },
+    currencyCode: { type: String, default: "USD" },
+    rate:         { type: Number, default: 1 },
+    // Why the fee is zero without a zone: 'no_pin' or 'no_zone'.
+    reason:       { type: String, default: null },
+    groups:       { type: [shippingGroupSchema], default: [] },
+    computedAt:   { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+/**
+ * The delivery window the shopper booked at checkout (lib/deliverySlots.js),
+ * as it was offered then — a later edit to the zone's templates does not move
+ * it. `releasedAt` is set when a cancellation gave the window's place back.
+ */
+const deliverySlotSnapshotSchema = new mongoose.Schema(
+  {
+    zone:       { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryZone", required: true },
+    slotId:     { type: String, required: true },
+    day:        { type: String, required: true },
+    start:      { type: String, required: true },
+    end:        { type: String, required: true },
+    startsAt:   { type: Date, required: true },
+    endsAt:     { type: Date, required: true },
+    releasedAt: { type: Date, default: null },
+  },
+  { _id: false }
+);
+
+/**
+ * One status change, as it happened.
+ *
+ * Append-only: entries are only ever `$push`ed by orderLifecycle.service.js in
+ * the same conditional update that changes `status`, so the history can never
+ * disagree with the status it ends on. Nothing edits or removes an entry.
+ */
+const statusHistorySchema = new mongoose.Schema(
+  {
+    from:      { type: String, enum: ORDER_STATUSES, required: true },
+    to:        { type: String, enum: ORDER_STATUSES, required: true },
+    actorType: { type: String, enum: ORDER_ACTORS, required: true },
+    // Who, within actorType: a Clerk user id for admins and merchant staff,
+    // the courier's id, or the job/handler name for `system`.
+    actorId:   { type: String, default: null },
+    // The store a merchant actor acted for.
+    merchant:  { type: mongoose.Schema.Types.ObjectId, ref: "Merchant", default: null },
+    // Set when the entry is about one shipment rather than the order itself.
+    fulfillment: { type: mongoose.Schema.Types.ObjectId, default: null },
+    reason:    { type: String, default: null, maxlength: 500 },
+    // How the move was proven, when it had to be: 'delivery_code' means the
+    // shopper's code was checked at the door (lib/deliveryCode.js).
+    proof:     { type: String, enum: [...DELIVERY_PROOFS, null], default: null },
+    deliveryCode: { type: mongoose.Schema.Types.ObjectId, ref: "DeliveryCode", default: null },
+    at:        { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
 const orderSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
@@ -130,12 +303,26 @@ const orderSchema = new mongoose.Schema(
     totalAmount:    { type: Number, required: true, min: 0 },
     discountAmount: { type: Number, default: 0,     min: 0 },
     finalAmount:    { type: Number, default: 0,     min: 0 },
+    // Delivery fee, USD, included in finalAmount. Breakdown in `shipping`;
+    // both absent (0 / undefined) on orders placed before fees were charged.
+    shippingFee:    { type: Number, default: 0,     min: 0 },
+    shipping:       { type: shippingSnapshotSchema, default: undefined },
+    // Absent when the shopper did not book a window.
+    deliverySlot:   { type: deliverySlotSnapshotSchema, default: undefined },
 
     status: {
       type: String,
-      enum: ["pending", "confirmed", "shipped", "delivered", "cancelled"],
+      enum: ORDER_STATUSES,
       default: "pending",
     },
+    statusHistory: { type: [statusHistorySchema], default: [] },
+
+    /**
+     * Per-store shipments. When present, `status` is derived from these and
+     * never set on its own. Absent on orders placed before they existed, which
+     * keep a single order-wide status.
+     */
+    fulfillments: { type: [fulfillmentSchema], default: undefined },
 
     paymentMethod: {
       type: String,
@@ -149,6 +336,11 @@ const orderSchema = new mongoose.Schema(
       default: "pending",
     },
     bankakApproval: { type: bankakApprovalSchema, default: () => ({}) },
+    bankakTransfer: { type: bankakTransferSchema, default: undefined },
+    // BANKAK only: an order still unpaid by then is cancelled. Absent on
+    // orders placed before deadlines existed.
+    paymentDeadline:       { type: Date, default: undefined },
+    paymentReminderSentAt: { type: Date, default: undefined },
     orderDate: { type: Date, default: Date.now },
     orderNumber: { type: String, unique: true },
 
@@ -184,6 +376,8 @@ const orderSchema = new mongoose.Schema(
     merchants: [{ type: mongoose.Schema.Types.ObjectId, ref: "Merchant" }],
     merchantRevenue: { type: [merchantRevenueSchema], default: [] },
 
+    stockReservation: { type: stockReservationSchema, default: undefined },
+
     // ===== MULTI-CURRENCY SUPPORT =====
     // Currency selected by user at checkout
     currencyCodeSelected: {
@@ -208,6 +402,7 @@ const orderSchema = new mongoose.Schema(
     totalAmountConverted: { type: Number, default: null },
     discountAmountConverted: { type: Number, default: null },
     finalAmountConverted: { type: Number, default: null },
+    shippingFeeConverted: { type: Number, default: null },
   },
   { timestamps: true }
 );
@@ -225,6 +420,10 @@ orderSchema.index({ status: 1, paymentStatus: 1 });
 orderSchema.index({ status: 1, orderDate: -1 });
 orderSchema.index({ marketer: 1, status: 1 });
 orderSchema.index({ paymentMethod: 1, paymentStatus: 1 }); // BANKAK approval queue
+orderSchema.index({ 'bankakTransfer.reference': 1 }, { sparse: true }); // duplicate transfer references
+orderSchema.index({ paymentDeadline: 1 }, { sparse: true }); // BANKAK deadline sweep
+orderSchema.index({ 'fulfillments.merchant': 1, 'fulfillments.status': 1 }); // merchant shipment queues
+orderSchema.index({ 'deliverySlot.zone': 1, 'deliverySlot.day': 1 }, { sparse: true }); // slot capacity view
 
 // Delivery geography. Sparse because orders from legacy addresses carry no pin.
 // Enables driver routing, zone assignment and "orders near X" without a rescan.
@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import { GATEWAY_REFUND_STATUSES, PAYMENT_STATUSES } from '../lib/payments.js';
+
+/**
+ * One attempt at paying for a CARD order through the card gateway.
+ *
+ * An order may have several — a declined card, a shopper who gave up and came
+ * back — numbered by `attempt`; at most one is ever captured, and that is the
+ * one refunds go back against. `gatewayRef` is the gateway's id for the
+ * payment, and is how webhooks find their way back here; `provider` is the
+ * gateway that took it, so a later swap of PAYMENT_PROVIDER still refunds old
+ * payments through the right one. The rules for moving it along live in
+ * lib/payments.js.
+ *
+ * `amount` is in `currency`, what the card was charged — not USD.
+ */
+const gatewayRefundSchema = new mongoose.Schema(
+  {
+    refund:    { type: mongoose.Schema.Types.ObjectId, ref: 'Refund', required: true },
+    amount:    { type: Number, required: true, min: 0 },
+    currency:  { type: String, required: true },
+    refundRef: { type: String, default: null },
+    status:    { type: String, enum: GATEWAY_REFUND_STATUSES, default: 'pending' },
+    failureMessage: { type: String, default: null },
+    // Clerk id of the admin who sent it.
+    sentBy:    { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+const paymentSchema = new mongoose.Schema(
+  {
+    order:    { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    user:     { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    provider: { type: String, required: true },
+    attempt:  { type: Number, required: true, min: 1 },
+
+    status:   { type: String, enum: PAYMENT_STATUSES, default: 'requires_confirmation' },
+    amount:   { type: Number, required: true, min: 0 },
+    currency: { type: String, required: true },
+
+    gatewayRef:     { type: String, required: true },
+    failureCode:    { type: String, default: null },
+    failureMessage: { type: String, default: null },
+
+    authorizedAt: { type: Date, default: null },
+    capturedAt:   { type: Date, default: null },
+    // Clerk id of the admin who captured it, when capture is manual.
+    capturedBy:   { type: String, default: null },
+
+    // Webhook event ids already applied, so a redelivered event is a no-op.
+    processedEvents: { type: [String], default: [] },
+    refunds:         { type: [gatewayRefundSchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+// An order's attempts, latest first; two starts racing cannot both be attempt n.
+paymentSchema.index({ order: 1, attempt: -1 }, { unique: true });
+// Webhooks look payments up by the gateway's id.
+paymentSchema.index({ provider: 1, gatewayRef: 1 }, { unique: true });
+// Gateway refund events carry only the refund's id.
+paymentSchema.index({ 'refunds.refundRef': 1 }, { sparse: true });
+
+const Payment = mongoose.model('Payment', paymentSchema);
+export default Payment;
@@ -0,0 +1,73 @@
+import mongoose from 'mongoose';
+import { PAYOUT_BATCH_STATUSES, PAYOUT_ITEM_STATUSES } from '../lib/payouts.js';
+
+/**
+ * One payout run: a transfer per store, and the bank file they went out in.
+ * See lib/payouts.js for how balances are swept and settled.
+ *
+ * Each item copies the store's name and IBAN as they were when the run was
+ * made — the bank file must match what was actually sent, whatever the store
+ * edits afterwards.
+ */
+const payoutItemSchema = new mongoose.Schema(
+  {
+    merchant:    { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', required: true },
+    storeName:   { type: String, required: true },
+    beneficiary: { type: String, default: null },
+    iban:        { type: String, required: true },
+    amount:      { type: Number, required: true, min: 0 },
+    // Per-transfer reference printed in the bank file, e.g. PO-20261019-0001.
+    reference:   { type: String, required: true },
+    status:      { type: String, enum: PAYOUT_ITEM_STATUSES, default: 'pending' },
+
+    // Set when the bank's answer is recorded. Clerk id of the admin.
+    settledAt:     { type: Date, default: null },
+    settledBy:     { type: String, default: null },
+    bankReference: { type: String, default: null, maxlength: 200 },
+    failureReason: { type: String, default: null, maxlength: 500 },
+  }
+);
+
+const payoutBatchSchema = new mongoose.Schema(
+  {
+    // PO-YYYYMMDD-XXXX, shown to finance and to the bank.
+    reference: { type: String, required: true, unique: true },
+    status:    { type: String, enum: PAYOUT_BATCH_STATUSES, default: 'processing' },
+    currency:  { type: String, default: 'USD' },
+
+    // Delivery credits posted after `cutoff` were held back from this run.
+    holdDays:  { type: Number, required: true },
+    cutoff:    { type: Date, required: true },
+
+    items:     { type: [payoutItemSchema], default: [] },
+    total:     { type: Number, default: 0 },
+
+    // Stores that had money due but could not be paid, and why.
+    skipped: {
+      type: [
+        {
+          _id:       false,
+          merchant:  { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant' },
+          storeName: String,
+          amount:    Number,
+          code:      String,
+          message:   String,
+        },
+      ],
+      default: [],
+    },
+
+    note:        { type: String, default: '', maxlength: 1000 },
+    createdBy:   { type: String, default: null }, // Clerk id of the admin
+    completedAt: { type: Date, default: null },
+    lastExportedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+payoutBatchSchema.index({ status: 1, createdAt: -1 });
+// A store's own payouts.
+payoutBatchSchema.index({ 'items.merchant': 1, createdAt: -1 });
+
+const PayoutBatch = mongoose.model('PayoutBatch', payoutBatchSchema);
+export default PayoutBatch;
@@ -43,6 +43,9 @@ const variantSchema = new mongoose.Schema(
     },
 
     stock: { type: Number, required: true, min: 0 },
+    // Reorder point for the store's low-stock alert; null falls back to the
+    // store's, then the platform default (lib/stockAlerts.js).
+    lowStockThreshold: { type: Number, default: null, min: 0 },
     images: { type: [String], default: [] },
     isActive: { type: Boolean, default: true },
   },
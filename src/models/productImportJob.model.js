@@ -0,0 +1,68 @@
+import mongoose from 'mongoose';
+import { IMPORT_FORMATS, IMPORT_JOB_STATUSES } from '../lib/productImport.js';
+
+/**
+ * One uploaded product file and what became of it (lib/productImport.js).
+ *
+ * The file itself is kept, unselected, until the import has run: the worker
+ * reads it again rather than trust a plan made when it was uploaded, since
+ * rates and categories can change in between. `failures` holds the rows the
+ * dry run turned down and, once run, the rows the write did too.
+ */
+const failureSchema = new mongoose.Schema(
+  {
+    lines:     { type: [Number], default: [] },
+    importSku: { type: String, default: null },
+    stage:     { type: String, enum: ['validation', 'import'], required: true },
+    reason:    { type: String, required: true },
+  },
+  { _id: false }
+);
+
+const productImportJobSchema = new mongoose.Schema(
+  {
+    merchant: { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', required: true },
+    // Who uploaded it, for the inventory history the import writes.
+    actorType: { type: String, enum: ['admin', 'merchant'], required: true },
+    actorId:   { type: String, default: null },
+
+    fileName: { type: String, default: null, maxlength: 255 },
+    format:   { type: String, enum: IMPORT_FORMATS, required: true },
+    fileSize: { type: Number, default: 0 },
+    file:     { type: Buffer, select: false },
+
+    status: { type: String, enum: IMPORT_JOB_STATUSES, default: 'validated' },
+
+    // The dry run: products and lines read, and how many of the products pass.
+    report: {
+      products: { type: Number, default: 0 },
+      lines:    { type: Number, default: 0 },
+      valid:    { type: Number, default: 0 },
+      invalid:  { type: Number, default: 0 },
+    },
+    // Products written so far, of those the run found valid.
+    progress: {
+      total:   { type: Number, default: 0 },
+      written: { type: Number, default: 0 },
+    },
+    result: {
+      inserted: { type: Number, default: 0 },
+      updated:  { type: Number, default: 0 },
+      failed:   { type: Number, default: 0 },
+    },
+    failures: { type: [failureSchema], default: [] },
+    // Why a `failed` run stopped.
+    error: { type: String, default: null },
+
+    queuedAt:   { type: Date, default: null },
+    startedAt:  { type: Date, default: null },
+    finishedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+productImportJobSchema.index({ merchant: 1, createdAt: -1 });
+productImportJobSchema.index({ createdAt: -1 });
+
+const ProductImportJob = mongoose.model('ProductImportJob', productImportJobSchema);
+export default ProductImportJob;
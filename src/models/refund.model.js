@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+import { REFUND_METHODS, REFUND_SOURCES, REFUND_STATUSES } from '../lib/refunds.js';
+
+/**
+ * Money owed back to a shopper.
+ *
+ * A refund is created by whatever made it due — an approved return, the
+ * cancellation of an order that had already been paid, or a dispute settled
+ * for the shopper — and there is at most one per cause: the partial unique
+ * indexes below are what make a retried approval or cancellation land on the
+ * same row instead of paying twice. The rules for moving it along live in
+ * lib/refunds.js.
+ *
+ * `amount` is USD, like every other stored price; `amountConverted` is the
+ * same refund in the currency the shopper paid in, at the order's rate, which
+ * is kept alongside so the figure can be checked later.
+ */
+const fxSnapshotSchema = new mongoose.Schema(
+  {
+    base:     { type: String, default: 'USD' },
+    date:     { type: String, default: null },
+    rate:     { type: Number, default: null },
+    provider: { type: String, default: null },
+  },
+  { _id: false }
+);
+
+const refundSchema = new mongoose.Schema(
+  {
+    order:         { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    user:          { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    // Store whose sale is being reversed; null when the whole order is.
+    merchant:      { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', default: null },
+    source:        { type: String, enum: REFUND_SOURCES, required: true },
+    returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: 'ReturnRequest', default: null },
+    dispute:       { type: mongoose.Schema.Types.ObjectId, ref: 'Dispute', default: null },
+
+    amount:          { type: Number, required: true, min: 0 },
+    amountConverted: { type: Number, default: null },
+    currencyCode:    { type: String, default: 'USD' },
+    fxSnapshot:      { type: fxSnapshotSchema, default: undefined },
+
+    // How the money goes back — by default, how it came in.
+    method: { type: String, enum: REFUND_METHODS, required: true },
+    status: { type: String, enum: REFUND_STATUSES, default: 'requested' },
+    reason: { type: String, default: '', maxlength: 500 },
+
+    // Clerk ids of the admins who moved it.
+    approvedAt: { type: Date, default: null },
+    approvedBy: { type: String, default: null },
+    paidAt:     { type: Date, default: null },
+    paidBy:     { type: String, default: null },
+    // Transfer receipt, card gateway id, cash voucher number...
+    reference:  { type: String, default: null, maxlength: 200 },
+    proofUrls:  { type: [String], default: [] },
+    adminNote:  { type: String, default: '', maxlength: 1000 },
+  },
+  { timestamps: true }
+);
+
+refundSchema.index(
+  { returnRequest: 1 },
+  { unique: true, partialFilterExpression: { source: 'return' } }
+);
+refundSchema.index(
+  { order: 1, source: 1 },
+  { unique: true, partialFilterExpression: { source: 'cancellation' } }
+);
+refundSchema.index(
+  { dispute: 1 },
+  { unique: true, partialFilterExpression: { source: 'dispute' } }
+);
+refundSchema.index({ order: 1 });
+refundSchema.index({ user: 1, createdAt: -1 });
+// Finance queue: what is waiting, by how it is paid.
+refundSchema.index({ status: 1, method: 1, createdAt: -1 });
+
+const Refund = mongoose.model('Refund', refundSchema);
+export default Refund;
@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { RETURN_REASONS, RETURN_STATUSES } from '../lib/returns.js';
+
+/**
+ * A shopper's request to send delivered items back to one store.
+ *
+ * Lines are addressed by their index in `order.products` and carry a copy of
+ * what they cost, so the request still reads correctly if the product is
+ * later edited or deleted. The rules for what may be returned live in
+ * lib/returns.js.
+ */
+const returnItemSchema = new mongoose.Schema(
+  {
+    line:       { type: Number, required: true, min: 0 },
+    product:    { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId:  { type: mongoose.Schema.Types.ObjectId, default: null },
+    quantity:   { type: Number, required: true, min: 1 },
+    // USD unit price charged at checkout (order.products[line].price).
+    unitPrice:  { type: Number, required: true, min: 0 },
+    reasonCode: { type: String, enum: RETURN_REASONS, required: true },
+    note:       { type: String, default: '', maxlength: 1000 },
+    photos:     { type: [String], default: [] },
+  },
+  { _id: false }
+);
+
+const returnRequestSchema = new mongoose.Schema(
+  {
+    order:       { type: mongoose.Schema.Types.ObjectId, ref: 'Order', required: true },
+    user:        { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    merchant:    { type: mongoose.Schema.Types.ObjectId, ref: 'Merchant', required: true },
+    // The store's shipment within the order; null on orders placed before
+    // shipments existed.
+    fulfillment: { type: mongoose.Schema.Types.ObjectId, default: null },
+    items:       { type: [returnItemSchema], required: true },
+
+    status:      { type: String, enum: RETURN_STATUSES, default: 'requested' },
+
+    // What approval gives back, fixed when the request is opened — see
+    // refundForItems in lib/returns.js.
+    amount:          { type: Number, required: true, min: 0 },
+    amountConverted: { type: Number, default: null },
+    currencyCode:    { type: String, default: 'USD' },
+
+    decidedAt:    { type: Date, default: null },
+    // Clerk id of the store member who decided.
+    decidedBy:    { type: String, default: null },
+    decisionNote: { type: String, default: '', maxlength: 500 },
+    refund:       { type: mongoose.Schema.Types.ObjectId, ref: 'Refund', default: null },
+  },
+  { timestamps: true }
+);
+
+// Quantity checks read every request on an order.
+returnRequestSchema.index({ order: 1 });
+// "My returns" for a shopper, and a store's review queue.
+returnRequestSchema.index({ user: 1, createdAt: -1 });
+returnRequestSchema.index({ merchant: 1, status: 1, createdAt: -1 });
+
+const ReturnRequest = mongoose.model('ReturnRequest', returnRequestSchema);
+export default ReturnRequest;
@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+import { STOCK_ALERTS } from '../lib/stockAlerts.js';
+
+/**
+ * When a stock alert (lib/stockAlerts.js) last went out for a variant.
+ *
+ * One row per variant and kind. stockAlert.service.js claims an alert by
+ * moving `sentAt` forward only if the last one is older than the debounce
+ * window; the unique index makes two movements racing for the same claim
+ * agree on a single winner.
+ */
+const stockAlertSchema = new mongoose.Schema(
+  {
+    product:   { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    kind:      { type: String, enum: STOCK_ALERTS, required: true },
+    sentAt:    { type: Date, required: true },
+    // The figure the alert was about, for support.
+    stock:     { type: Number, default: null },
+  },
+  { versionKey: false }
+);
+
+stockAlertSchema.index({ product: 1, variantId: 1, kind: 1 }, { unique: true });
+
+const StockAlert = mongoose.model('StockAlert', stockAlertSchema);
+export default StockAlert;
@@ -0,0 +1,47 @@
+import mongoose from 'mongoose';
+
+/**
+ * A short-lived claim on variant stock taken during checkout.
+ *
+ * A shopper paying by BANKAK leaves the app to make the transfer and comes back
+ * to upload the proof; on a scarce variant, someone else can buy the last unit
+ * in between. A hold keeps the quoted quantity out of everyone else's
+ * available stock for a few minutes, without touching `variants.stock` itself:
+ * the real decrement still happens once, in the order transaction, and a hold
+ * nobody converts simply stops counting when it expires.
+ *
+ * Holds are soft by design. Only `active` rows whose `expiresAt` is still in
+ * the future are counted, so expiry takes effect on time even when the
+ * maintenance job that flips them to `released` is late or the queue is off.
+ */
+export const HOLD_STATUSES = ['active', 'converted', 'released'];
+
+const stockHoldSchema = new mongoose.Schema(
+  {
+    user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    product:   { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    quantity:  { type: Number, required: true, min: 1 },
+
+    status:    { type: String, enum: HOLD_STATUSES, default: 'active' },
+    expiresAt: { type: Date, required: true },
+
+    // Set when the hold is converted — the order that took the stock for real.
+    order:      { type: mongoose.Schema.Types.ObjectId, ref: 'Order', default: null },
+    releasedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+// Availability lookups: every active hold on a set of products.
+stockHoldSchema.index({ product: 1, variantId: 1, status: 1, expiresAt: 1 });
+// Replace / convert a shopper's own holds.
+stockHoldSchema.index({ user: 1, status: 1 });
+// Maintenance sweep for lapsed holds.
+stockHoldSchema.index({ status: 1, expiresAt: 1 });
+// Rows are kept a day past expiry so support can see what a shopper held,
+// then Mongo drops them on its own.
+stockHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const StockHold = mongoose.model('StockHold', stockHoldSchema);
+export default StockHold;
@@ -0,0 +1,45 @@
+import mongoose from 'mongoose';
+import { SUBSCRIPTION_KINDS, SUBSCRIPTION_STATUSES } from '../lib/subscriptions.js';
+
+/**
+ * A shopper watching one variant for a restock or a price (lib/subscriptions.js).
+ *
+ * `active` until it fires, then `notified` — kept so the shopper can see it
+ * went out — and removed by the TTL index at `expiresAt` either way. At most
+ * one active watch per shopper, variant and kind: subscribing again renews it.
+ */
+const variantSubscriptionSchema = new mongoose.Schema(
+  {
+    user:      { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    product:   { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    variantId: { type: mongoose.Schema.Types.ObjectId, required: true },
+    kind:      { type: String, enum: SUBSCRIPTION_KINDS, required: true },
+
+    // Price watches only: the target, and the price when it was set, both in
+    // `currencyCode` — the currency the shopper was browsing in.
+    targetPrice:      { type: Number, default: null, min: 0 },
+    priceAtSubscribe: { type: Number, default: null },
+    currencyCode:     { type: String, uppercase: true, default: 'USD' },
+
+    status:        { type: String, enum: SUBSCRIPTION_STATUSES, default: 'active' },
+    notifiedAt:    { type: Date, default: null },
+    // The price that fired a price watch, in `currencyCode`.
+    notifiedPrice: { type: Number, default: null },
+    expiresAt:     { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+variantSubscriptionSchema.index(
+  { user: 1, variantId: 1, kind: 1 },
+  { unique: true, partialFilterExpression: { status: 'active' } }
+);
+// Who to tell when a variant comes back.
+variantSubscriptionSchema.index({ variantId: 1, kind: 1, status: 1 });
+// The hourly price sweep, product by product.
+variantSubscriptionSchema.index({ kind: 1, status: 1, product: 1 });
+variantSubscriptionSchema.index({ user: 1, createdAt: -1 });
+variantSubscriptionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const VariantSubscription = mongoose.model('VariantSubscription', variantSubscriptionSchema);
+export default VariantSubscription;
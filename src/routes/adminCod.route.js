@@ -0,0 +1,35 @@
+import express from 'express';
+import {
+  recordCollection,
+  voidCollection,
+  getCourierSheet,
+  settleCourierSheet,
+  getSettlements,
+  getSettlement,
+} from '../controllers/cod.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import {
+  validateAdminCashCollection,
+  validateCollectionVoid,
+  validateCodSheet,
+  validateCodSettle,
+  validateCodSettlementList,
+  validateCodSettlementId,
+} from '../middleware/validators/courier.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.post('/collections', validateAdminCashCollection, recordCollection);
+router.patch('/collections/:id/void', validateCollectionVoid, voidCollection);
+
+// A courier's day: the draft sheet, then settling it once the cash is counted
+router.get('/couriers/:courierId/sheet', validateCodSheet, getCourierSheet);
+router.post('/couriers/:courierId/settlements', validateCodSettle, settleCourierSheet);
+
+router.get('/settlements', validateCodSettlementList, getSettlements);
+router.get('/settlements/:id', validateCodSettlementId, getSettlement);
+
+export default router;
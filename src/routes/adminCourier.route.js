@@ -0,0 +1,20 @@
+import express from 'express';
+import { getCouriers, createCourier, updateCourier } from '../controllers/courier.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import {
+  validateCourierList,
+  validateCourierCreate,
+  validateCourierUpdate,
+} from '../middleware/validators/courier.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.get('/', validateCourierList, getCouriers);
+router.post('/', validateCourierCreate, createCourier);
+// Details, the Clerk link, or active: false to take access away
+router.patch('/:id', validateCourierUpdate, updateCourier);
+
+export default router;
@@ -0,0 +1,23 @@
+import express from 'express';
+import {
+  getSlotZones,
+  getSlotCapacity,
+  updateSlotTemplates,
+} from '../controllers/deliverySlot.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import {
+  validateSlotCapacity,
+  validateSlotTemplates,
+} from '../middleware/validators/deliverySlot.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.get('/', getSlotZones);
+// ?day=YYYY-MM-DD (Khartoum), today by default
+router.get('/:id/slots', validateSlotCapacity, getSlotCapacity);
+router.put('/:id/slots', validateSlotTemplates, updateSlotTemplates);
+
+export default router;
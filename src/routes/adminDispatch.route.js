@@ -0,0 +1,37 @@
+import express from 'express';
+import {
+  getDeliveryJobs,
+  assignDelivery,
+  cancelDelivery,
+  getNearbyCouriers,
+  getDeliveryRuns,
+  downloadDeliveryManifest,
+} from '../controllers/dispatch.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import {
+  validateDeliveryJobList,
+  validateDeliveryAssign,
+  validateDeliveryCancel,
+  validateNearbyCouriers,
+  validateDeliveryRuns,
+  validateDeliveryManifest,
+} from '../middleware/validators/dispatch.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.get('/jobs', validateDeliveryJobList, getDeliveryJobs);
+// Name a courier, or leave courierId out to give it to the nearest available one
+router.post('/jobs', validateDeliveryAssign, assignDelivery);
+router.patch('/jobs/:id/cancel', validateDeliveryCancel, cancelDelivery);
+
+router.get('/couriers/nearby', validateNearbyCouriers, getNearbyCouriers);
+
+// The day's confirmed orders per zone, in runs from the depot
+router.get('/runs', validateDeliveryRuns, getDeliveryRuns);
+// The same runs as a courier manifest; ?format=csv|pdf
+router.get('/runs/manifest', validateDeliveryManifest, downloadDeliveryManifest);
+
+export default router;
@@ -0,0 +1,15 @@
+import express from 'express';
+import { getMerchantStatement, getTrialBalance } from '../controllers/ledger.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import { validateObjectId, handleValidationErrors } from '../middleware/validation.middleware.js';
+import { validateDateRange } from '../middleware/validators/query.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.get('/trial-balance', getTrialBalance);
+router.get('/merchants/:id/statement', ...validateObjectId('id'), handleValidationErrors, validateDateRange, getMerchantStatement);
+
+export default router;
@@ -0,0 +1,17 @@
+import express from 'express';
+import { getOrderPayments, capturePayment } from '../controllers/payment.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import { validatePaymentList, validatePaymentId } from '../middleware/validators/payment.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+// ?orderId= — the attempts on one order
+router.get('/', validatePaymentList, getOrderPayments);
+
+// authorized → captured, when PAYMENT_CAPTURE=manual
+router.post('/:id/capture', validatePaymentId, capturePayment);
+
+export default router;
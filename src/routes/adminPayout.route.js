@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getAllPayouts,
+  getPayout,
+  createPayout,
+  downloadPayoutFile,
+  settlePayoutItems,
+} from '../controllers/payout.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import {
+  validatePayoutList,
+  validatePayoutId,
+  validatePayoutCreate,
+  validatePayoutFile,
+  validatePayoutSettle,
+} from '../middleware/validators/payout.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.get('/', validatePayoutList, getAllPayouts);
+router.post('/', validatePayoutCreate, createPayout);
+router.get('/:id', validatePayoutId, getPayout);
+
+// Bank file out (?format=csv|fixed), bank answer back in.
+router.get('/:id/file', validatePayoutFile, downloadPayoutFile);
+router.patch('/:id/items', validatePayoutSettle, settlePayoutItems);
+
+export default router;
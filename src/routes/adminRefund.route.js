@@ -0,0 +1,31 @@
+import express from 'express';
+import {
+  getAllRefunds,
+  getRefund,
+  approveRefund,
+  markRefundPaid,
+  sendRefundThroughGateway,
+} from '../controllers/adminRefund.controller.js';
+import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
+import {
+  validateRefundList,
+  validateRefundId,
+  validateRefundApprove,
+  validateRefundPay,
+} from '../middleware/validators/refund.validator.js';
+
+const router = express.Router();
+
+// All routes here require Admin privileges
+router.use(isAuthenticated, isAdmin);
+
+router.get('/', validateRefundList, getAllRefunds);
+router.get('/:id', validateRefundId, getRefund);
+
+// requested → approved → paid
+router.patch('/:id/approve', validateRefundApprove, approveRefund);
+router.patch('/:id/pay', validateRefundPay, markRefundPaid);
+// approved → paid, for card refunds: back to the card through the gateway
+router.patch('/:id/gateway', validateRefundId, sendRefundThroughGateway);
+
+export default router;
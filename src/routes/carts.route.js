@@ -8,14 +8,15 @@ import {
   removeCoupon,
 } from "../controllers/cart.controller.js";
 import { isAuthenticated } from "../middleware/auth.middleware.js";
+import { idempotent } from "../lib/idempotency/index.js";
 
 const router = express.Router();
 
 router.get("/",          isAuthenticated, getCart);
-router.post("/add",      isAuthenticated, addToCart);
+router.post("/add",      isAuthenticated, idempotent({ scope: "carts.add" }), addToCart);
 router.put("/update",    isAuthenticated, updateCart);
 router.delete("/remove", isAuthenticated, removeFromCart);
-router.post("/coupon",   isAuthenticated, applyCoupon);
+router.post("/coupon",   isAuthenticated, idempotent({ scope: "carts.coupon" }), applyCoupon);
 router.delete("/coupon", isAuthenticated, removeCoupon);
 
 export default router;
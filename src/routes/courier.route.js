@@ -0,0 +1,51 @@
+import express from 'express';
+import { getMyCourierAccount } from '../controllers/courier.controller.js';
+import { recordMyCollection, getMyCodSheet } from '../controllers/cod.controller.js';
+import {
+  setMyAvailability,
+  postMyLocation,
+  getMyJobs,
+  acceptJob,
+  declineJob,
+  pickUpJob,
+  deliverJob,
+  returnJob,
+} from '../controllers/dispatch.controller.js';
+import { isAuthenticated } from '../middleware/auth.middleware.js';
+import { isCourier } from '../middleware/courier.middleware.js';
+import { idempotent } from '../lib/idempotency/index.js';
+import { validateCashCollection, validateMyCodSheet } from '../middleware/validators/courier.validator.js';
+import {
+  validateAvailability,
+  validateLocationPing,
+  validateMyJobs,
+  validateJobId,
+  validateJobDecline,
+  validateJobDeliver,
+  validateJobReturn,
+} from '../middleware/validators/dispatch.validator.js';
+
+const router = express.Router();
+
+// Everything here is for a signed-in user linked to an active courier account
+router.use(isAuthenticated, isCourier);
+
+router.get('/me', getMyCourierAccount);
+
+// Dispatch: say when you're taking jobs, and where you are while you do
+router.patch('/availability', validateAvailability, setMyAvailability);
+router.post('/location', validateLocationPing, postMyLocation);
+
+// Jobs: accept or decline, then pick up and deliver (or bring back)
+router.get('/jobs', validateMyJobs, getMyJobs);
+router.post('/jobs/:id/accept', validateJobId, acceptJob);
+router.post('/jobs/:id/decline', validateJobDecline, declineJob);
+router.post('/jobs/:id/pickup', validateJobId, pickUpJob);
+router.post('/jobs/:id/deliver', idempotent({ scope: 'courier.jobs.deliver' }), validateJobDeliver, deliverJob);
+router.post('/jobs/:id/return', validateJobReturn, returnJob);
+
+// Cash on delivery: record it at the door, check the day before handing it in
+router.post('/cod/collections', idempotent({ scope: 'courier.cod.collect' }), validateCashCollection, recordMyCollection);
+router.get('/cod/sheet', validateMyCodSheet, getMyCodSheet);
+
+export default router;
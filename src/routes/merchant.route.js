@@ -35,12 +35,23 @@ import {
   removeMember,
   transferOwnership,
 } from '../controllers/merchantTeam.controller.js';
+import {
+  listMyDeliveryZones,
+  createMyDeliveryZone,
+  updateMyDeliveryZone,
+  deleteMyDeliveryZone,
+} from '../controllers/merchantDeliveryZone.controller.js';
+import { getMyStatement } from '../controllers/ledger.controller.js';
+import { getMyPayouts } from '../controllers/payout.controller.js';
+import { getMyInventorySettings, updateMyInventorySettings } from '../controllers/inventory.controller.js';
 import { isAuthenticated, isAdmin } from '../middleware/auth.middleware.js';
 import { isMerchant, isApprovedMerchant, requireMerchantPermission, loadStoreForAdmin } from '../middleware/merchant.middleware.js';
 import { PERMISSIONS } from '../lib/merchantPermissions.js';
-import { validateMerchantApplication, validateMerchantUpdate, validateMerchantStatusUpdate, validateMerchantSuspension, validateAdminStoreCreate, validateAdminStoreUpdate, validateStoreLink, validateTeamInvite, validateTeamRoleUpdate, validateOwnershipTransfer, validateInviteAccept } from '../middleware/validators/merchant.validator.js';
+import { validateMerchantApplication, validateMerchantUpdate, validateMerchantStatusUpdate, validateMerchantSuspension, validateAdminStoreCreate, validateAdminStoreUpdate, validateStoreLink, validateTeamInvite, validateTeamRoleUpdate, validateOwnershipTransfer, validateInviteAccept, validateDeliveryZoneCreate, validateDeliveryZoneUpdate, validateInventorySettings } from '../middleware/validators/merchant.validator.js';
 import { validateMerchantOnboarding } from '../middleware/validators/merchantOnboarding.validator.js';
 import { validateObjectId, handleValidationErrors } from '../middleware/validation.middleware.js';
+import { validateDateRange } from '../middleware/validators/query.validator.js';
+import { validatePagination } from '../middleware/validators/pagination.validator.js';
 import {
   getMerchantOnboarding,
   updateMerchantOnboarding,
@@ -98,6 +109,26 @@ router.patch('/my-store/members/:memberId', isAuthenticated, isApprovedMerchant,
 router.delete('/my-store/members/:memberId', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.TEAM_WRITE), ...validateObjectId('memberId'), handleValidationErrors, removeMember);
 router.post('/my-store/transfer-ownership', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.TEAM_WRITE), validateOwnershipTransfer, transferOwnership);
 
+// ── Service area ────────────────────────────────────────────────────────
+// The store's own delivery polygons. Reading is open to any member; drawing
+// needs delivery:write. Declared before '/:id' like the team routes.
+router.get('/my-store/delivery-zones', isAuthenticated, isApprovedMerchant, listMyDeliveryZones);
+router.post('/my-store/delivery-zones', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.DELIVERY_WRITE), validateDeliveryZoneCreate, createMyDeliveryZone);
+router.patch('/my-store/delivery-zones/:zoneId', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.DELIVERY_WRITE), ...validateObjectId('zoneId'), validateDeliveryZoneUpdate, updateMyDeliveryZone);
+router.delete('/my-store/delivery-zones/:zoneId', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.DELIVERY_WRITE), ...validateObjectId('zoneId'), handleValidationErrors, deleteMyDeliveryZone);
+
+// ── Statement and payouts ───────────────────────────────────────────────
+// What the store is owed, movement by movement, from the ledger, and the
+// bank transfers that paid it out.
+router.get('/my-store/statement', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.FINANCE_READ), validateDateRange, getMyStatement);
+router.get('/my-store/payouts', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.FINANCE_READ), validatePagination, getMyPayouts);
+
+// ── Inventory ───────────────────────────────────────────────────────────
+// The store-wide reorder threshold behind low-stock alerts; a variant's own
+// threshold, set on the product, wins over it.
+router.get('/my-store/inventory-settings', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), getMyInventorySettings);
+router.put('/my-store/inventory-settings', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), validateInventorySettings, updateMyInventorySettings);
+
 // Admin-only routes
 router.get('/', isAuthenticated, isAdmin, getAllMerchants);
 
@@ -1,6 +1,7 @@
 import express from "express";
 import {
   updateOrderStatus,
+  updateFulfillmentStatus,
   getUserOrders,
   createOrder,
   getOrders,
@@ -13,11 +14,37 @@ import {
   rejectBankakPayment,
   updatePaymentStatus,
   updateMerchantOrderStatus,
+  cancelMyOrder,
+  getMyOrderInvoice,
+  getMerchantOrderInvoice,
+  getOrderInvoice,
+  getBankakQueue,
+  submitBankakTransfer,
 } from "../controllers/order.controller.js";
+import {
+  openReturn,
+  getMyReturns,
+  getMerchantReturns,
+  decideReturn,
+} from "../controllers/returnRequest.controller.js";
+import {
+  startCardPayment,
+  confirmCardPayment,
+  getMyOrderPayments,
+} from "../controllers/payment.controller.js";
+import { getMyOrderDelivery } from "../controllers/dispatch.controller.js";
+import { exportOrders, exportMerchantOrders } from "../controllers/orderExport.controller.js";
+import {
+  getMyDeliveryCodes,
+  confirmMerchantDelivery,
+  reissueDeliveryCode,
+} from "../controllers/deliveryCode.controller.js";
 
 import { isAuthenticated, isAdmin } from "../middleware/auth.middleware.js";
 import { isApprovedMerchant, requireMerchantPermission } from "../middleware/merchant.middleware.js";
 import { PERMISSIONS } from "../lib/merchantPermissions.js";
+import { ORDER_STATUSES } from "../lib/orderLifecycle.js";
+import { RETURN_STATUSES } from "../lib/returns.js";
 
 import {
   validateOrderStatusUpdate,
@@ -25,10 +52,26 @@ import {
   // ✅ optional new validator
   validatePaymentStatusUpdate,
   validateBankakReject,
+  validateOrderCancel,
+  validateReturnCreate,
+  validateReturnDecision,
+  validateBankakTransfer,
+  validateOrderExport,
+  validateMerchantOrderExport,
 } from "../middleware/validators/order.validator.js";
+import { validatePagination } from "../middleware/validators/pagination.validator.js";
+import {
+  validateOrderPayments,
+  validateCardPaymentConfirm,
+} from "../middleware/validators/payment.validator.js";
+import {
+  validateDeliveryConfirm,
+  validateDeliveryCodeReissue,
+} from "../middleware/validators/deliveryCode.validator.js";
 
-import { validateObjectId } from "../middleware/validation.middleware.js";
-import { validateStatusFilter } from "../middleware/validators/query.validator.js";
+import { validateObjectId, handleValidationErrors } from "../middleware/validation.middleware.js";
+import { idempotent } from "../lib/idempotency/index.js";
+import { validateStatusFilter, validateObjectIdQuery } from "../middleware/validators/query.validator.js";
 
 const router = express.Router();
 
@@ -42,12 +85,48 @@ router.get("/admin", isAuthenticated, isAdmin, getOrders);
 // ✅ (optional) Stats endpoint — should call dedicated controller (recommended)
 // router.get("/admin/stats", isAuthenticated, isAdmin, getAdminOrderStats);
 
+// Every matching order as CSV or XLSX, streamed; ?mode=orders|lines&format=csv|xlsx
+router.get("/admin/export", isAuthenticated, isAdmin, validateOrderExport, exportOrders);
+
+// BANKAK transfers waiting to be checked, oldest first
+router.get("/admin/bankak-queue", isAuthenticated, isAdmin, validatePagination, getBankakQueue);
+
+// Invoice PDF for any order; ?merchant= for one store's sub-invoice
+router.get(
+  "/admin/:id/invoice",
+  isAuthenticated,
+  isAdmin,
+  ...validateObjectId("id"),
+  ...validateObjectIdQuery("merchant"),
+  getOrderInvoice
+);
+
+// A new delivery code once the old one locked; the old one stops working
+router.post(
+  "/admin/:id/delivery-code/reissue",
+  isAuthenticated,
+  isAdmin,
+  ...validateObjectId("id"),
+  validateDeliveryCodeReissue,
+  reissueDeliveryCode
+);
+
 // ✅ User orders (must come before parameterized routes)
 router.get("/my-orders", isAuthenticated, getUserOrders);
+router.get("/my-returns", isAuthenticated, getMyReturns);
 
 // ✅ Order details (admin uses same)
 router.get("/:id", isAuthenticated, ...validateObjectId("id"), getOrderById);
 
+// Invoice PDF (a receipt once paid); ?merchant= for one store's sub-invoice
+router.get(
+  "/:id/invoice",
+  isAuthenticated,
+  ...validateObjectId("id"),
+  ...validateObjectIdQuery("merchant"),
+  getMyOrderInvoice
+);
+
 // ✅ Update delivery/workflow status (admin)
 router.patch(
   "/:id/status",
@@ -58,6 +137,17 @@ router.patch(
   updateOrderStatus
 );
 
+// ✅ Update one store's shipment within a multi-store order (admin)
+router.patch(
+  "/:id/fulfillments/:fulfillmentId/status",
+  isAuthenticated,
+  isAdmin,
+  ...validateObjectId("id"),
+  ...validateObjectId("fulfillmentId"),
+  validateOrderStatusUpdate,
+  updateFulfillmentStatus
+);
+
 // ✅ NEW: Bankak approvals (admin)
 router.patch(
   "/:id/payment/approve",
@@ -95,10 +185,20 @@ router.get(
   isAuthenticated,
   isApprovedMerchant,
   requireMerchantPermission(PERMISSIONS.ORDERS_READ),
-  validateStatusFilter(["pending", "confirmed", "shipped", "delivered", "cancelled"]),
+  validateStatusFilter(ORDER_STATUSES),
   getMerchantOrders
 );
 
+// The store's own orders as CSV or XLSX: its lines and its revenue only
+router.get(
+  "/merchant/export",
+  isAuthenticated,
+  isApprovedMerchant,
+  requireMerchantPermission(PERMISSIONS.ORDERS_READ),
+  validateMerchantOrderExport,
+  exportMerchantOrders
+);
+
 // ✅ NEW: Merchant can update order status for their orders
 router.patch(
   "/merchant/:id/status",
@@ -110,11 +210,91 @@ router.patch(
   updateMerchantOrderStatus
 );
 
+// The store's own rider delivered it: confirm with the code the shopper gave
+router.post(
+  "/merchant/:id/deliver",
+  isAuthenticated,
+  isApprovedMerchant,
+  requireMerchantPermission(PERMISSIONS.ORDERS_WRITE),
+  idempotent({ scope: "orders.merchant.deliver" }),
+  ...validateObjectId("id"),
+  validateDeliveryConfirm,
+  confirmMerchantDelivery
+);
+
+// The store's own sub-invoice for an order
+router.get(
+  "/merchant/:id/invoice",
+  isAuthenticated,
+  isApprovedMerchant,
+  requireMerchantPermission(PERMISSIONS.ORDERS_READ),
+  ...validateObjectId("id"),
+  handleValidationErrors,
+  getMerchantOrderInvoice
+);
+
 router.get("/merchant/stats", isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.ORDERS_READ), getMerchantOrderStats);
 
+// Return requests on the store's items
+router.get(
+  "/merchant/returns",
+  isAuthenticated,
+  isApprovedMerchant,
+  requireMerchantPermission(PERMISSIONS.ORDERS_READ),
+  validateStatusFilter(RETURN_STATUSES),
+  getMerchantReturns
+);
+
+router.patch(
+  "/merchant/returns/:returnId",
+  isAuthenticated,
+  isApprovedMerchant,
+  requireMerchantPermission(PERMISSIONS.ORDERS_WRITE),
+  ...validateObjectId("returnId"),
+  validateReturnDecision,
+  decideReturn
+);
+
 // ─────────────────────────────────────────────────────────────
 // User routes
 // ─────────────────────────────────────────────────────────────
-router.post("/", isAuthenticated, validateOrderCreate, createOrder);
+router.post("/", isAuthenticated, idempotent({ scope: "orders.create" }), validateOrderCreate, createOrder);
+
+// Report the BANKAK transfer (again, after a rejection)
+router.post(
+  "/:id/payment/transfer",
+  isAuthenticated,
+  ...validateObjectId("id"),
+  validateBankakTransfer,
+  submitBankakTransfer
+);
+
+// Pay by card: open an attempt, then confirm it with the card the app collected
+router.get("/:id/payments", isAuthenticated, validateOrderPayments, getMyOrderPayments);
+router.post(
+  "/:id/payments",
+  isAuthenticated,
+  idempotent({ scope: "orders.payments.start" }),
+  validateOrderPayments,
+  startCardPayment
+);
+router.post(
+  "/:id/payments/:paymentId/confirm",
+  isAuthenticated,
+  idempotent({ scope: "orders.payments.confirm" }),
+  validateCardPaymentConfirm,
+  confirmCardPayment
+);
+
+// Who is bringing it, and where they are once it is on its way
+router.get("/:id/delivery", isAuthenticated, ...validateObjectId("id"), handleValidationErrors, getMyOrderDelivery);
+// The code to give the courier at the door
+router.get("/:id/delivery-code", isAuthenticated, ...validateObjectId("id"), handleValidationErrors, getMyDeliveryCodes);
+
+// Cancel before anything leaves the store
+router.post("/:id/cancel", isAuthenticated, ...validateObjectId("id"), validateOrderCancel, cancelMyOrder);
+
+// Return delivered items — one request per store
+router.post("/:id/returns", isAuthenticated, ...validateObjectId("id"), validateReturnCreate, openReturn);
 
 export default router;
@@ -0,0 +1,55 @@
+import express from 'express';
+import paymentService from '../services/payment.service.js';
+import { getPaymentProvider } from '../services/payments/index.js';
+import logger from '../lib/logger.js';
+
+const router = express.Router();
+
+/**
+ * Card gateway webhooks, one URL per provider (`/api/webhooks/payments/fake`),
+ * so payments taken before a PAYMENT_PROVIDER swap still settle through the
+ * gateway that took them.
+ *
+ * The provider checks the signature on the raw body and translates the event;
+ * only then does anything touch a payment. A 2xx tells the gateway to stop
+ * retrying, so it is only sent once the event is applied, or when there is
+ * nothing we will ever do with it.
+ */
+router.post('/:provider', express.raw({ type: '*/*' }), async (req, res) => {
+  const providerKey = req.params.provider;
+
+  let provider;
+  try {
+    provider = getPaymentProvider(providerKey);
+  } catch (err) {
+    logger.warn('Payment webhook for an unavailable provider', { provider: providerKey, error: err.message });
+    return res.status(404).json({ success: false, error: 'Unknown payment provider' });
+  }
+
+  let event;
+  try {
+    event = provider.verifyWebhook(req.body, req.headers);
+  } catch (err) {
+    logger.error('Invalid payment webhook signature', { provider: providerKey, error: err.message });
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  if (!event) return res.status(200).json({ success: true, message: 'Event ignored' });
+
+  try {
+    const result = await paymentService.handleWebhookEvent(providerKey, event);
+    logger.info('Payment webhook processed', { provider: providerKey, eventId: event.id, type: event.type, ...result });
+    return res.status(200).json({ success: true, ...result });
+  } catch (err) {
+    // Let the gateway retry: every step of applying an event is safe to repeat.
+    logger.error('Error processing payment webhook', {
+      provider: providerKey,
+      eventId: event.id,
+      type: event.type,
+      error: err.message,
+    });
+    return res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -19,17 +19,28 @@ import {
   bulkImportProducts,
   suspendProduct,
 } from '../controllers/products.controller.js'
-import { validateProductCreate, validateProductUpdate } from '../middleware/validators/product.validator.js'
+import { adjustVariantStock, getVariantStockHistory } from '../controllers/inventory.controller.js'
+import {
+  uploadProductImport,
+  listProductImports,
+  getProductImport,
+  startProductImport,
+  downloadProductImportErrors,
+  exportMerchantProducts,
+} from '../controllers/productImport.controller.js'
+import { validateProductCreate, validateProductUpdate, validateStockAdjust, validateProductExport } from '../middleware/validators/product.validator.js'
 import { validatePagination } from '../middleware/validators/pagination.validator.js'
-import { validateCategoryFilter, validateMerchantFilter } from '../middleware/validators/query.validator.js'
+import { validateCategoryFilter, validateMerchantFilter, validatePinFilter } from '../middleware/validators/query.validator.js'
 import { validateObjectId, handleValidationErrors } from '../middleware/validation.middleware.js'
+import { importFileUpload } from '../middleware/validators/fileUpload.validator.js'
 
 const router = express.Router()
 
 // Public/Merchant routes (order matters - more specific routes first)
-router.get('/', validatePagination, validateCategoryFilter, validateMerchantFilter, getProducts)
-router.get('/explore', validatePagination, exploreProducts)
+router.get('/', validatePagination, validateCategoryFilter, validateMerchantFilter, validatePinFilter, getProducts)
+router.get('/explore', validatePagination, validatePinFilter, exploreProducts)
 router.get('/merchant/my-products', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), validatePagination, validateCategoryFilter, getMerchantProducts)
+router.get('/merchant/export', isAuthenticated, isApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), validateProductExport, exportMerchantProducts)
 router.get('/:id', ...validateObjectId('id'), handleValidationErrors, getProductById)
 
 // Product creation/update/delete (merchant and admin)
@@ -37,9 +48,20 @@ router.post('/', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPerm
 router.put('/:id',    isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), ...validateObjectId('id'), handleValidationErrors, validateProductUpdate, updateProduct)
 router.delete('/:id', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), ...validateObjectId('id'), handleValidationErrors, deleteProduct)
 
+// One variant's stock: move it with a reason, and read every change to it
+router.patch('/:id/variants/:variantId/stock', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), ...validateObjectId('id'), ...validateObjectId('variantId'), handleValidationErrors, validateStockAdjust, adjustVariantStock)
+router.get('/:id/variants/:variantId/stock-history', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), ...validateObjectId('id'), ...validateObjectId('variantId'), handleValidationErrors, validatePagination, getVariantStockHistory)
+
 // Bulk import (admin OR approved merchant — controller enforces ownership)
 router.post('/admin/bulk-import', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), bulkImportProducts)
 
+// Import from a CSV/XLSX file: upload for a dry run, then start it on the import queue
+router.post('/merchant/imports', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), importFileUpload, uploadProductImport)
+router.get('/merchant/imports', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), validatePagination, listProductImports)
+router.get('/merchant/imports/:jobId', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), ...validateObjectId('jobId'), handleValidationErrors, getProductImport)
+router.post('/merchant/imports/:jobId/start', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_WRITE), ...validateObjectId('jobId'), handleValidationErrors, startProductImport)
+router.get('/merchant/imports/:jobId/errors', isAuthenticated, isAdminOrApprovedMerchant, requireMerchantPermission(PERMISSIONS.PRODUCTS_READ), ...validateObjectId('jobId'), handleValidationErrors, downloadProductImportErrors)
+
 // Admin-only routes for managing all products
 router.get('/admin/all', isAuthenticated, isAdmin, validatePagination, validateCategoryFilter, validateMerchantFilter, getAllProductsAdmin)
 router.patch('/admin/:id/toggle-active', isAuthenticated, isAdmin, ...validateObjectId('id'), handleValidationErrors, toggleProductActive)
@@ -10,6 +10,7 @@ import {
 } from "../controllers/tickets.controller.js";
 import { handleValidationErrors } from "../middleware/validation.middleware.js";
 import { isAuthenticated, isAdmin } from "../middleware/auth.middleware.js";
+import { idempotent } from "../lib/idempotency/index.js";
 
 const router = express.Router();
 
@@ -17,6 +18,7 @@ const router = express.Router();
 router.post(
   "/",
   isAuthenticated,
+  idempotent({ scope: "tickets.create" }),
   [
     body("type")
       .isIn(["support", "complaint", "legal"])
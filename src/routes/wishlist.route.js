@@ -1,12 +1,20 @@
 import express from 'express';
 import { getWishlist, addToWishlist, removeFromWishlist } from '../controllers/wishlist.controller.js';
+import { createSubscription, listSubscriptions, deleteSubscription } from '../controllers/variantSubscription.controller.js';
 import { isAuthenticated } from '../middleware/auth.middleware.js';
 import { validateObjectId, handleValidationErrors } from '../middleware/validation.middleware.js';
+import { validateSubscriptionCreate, validateSubscriptionList, validateSubscriptionId } from '../middleware/validators/subscription.validator.js';
 
 const router = express.Router();
 
 router.get('/', isAuthenticated, getWishlist);
 
+// Variant subscriptions: watch one size or colour for a restock or a target
+// price. Declared before '/:productId'.
+router.get('/subscriptions', isAuthenticated, validateSubscriptionList, listSubscriptions);
+router.post('/subscriptions', isAuthenticated, validateSubscriptionCreate, createSubscription);
+router.delete('/subscriptions/:subscriptionId', isAuthenticated, validateSubscriptionId, deleteSubscription);
+
 router.post('/:productId',
   isAuthenticated,
   ...validateObjectId('productId'),
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import FakePaymentProvider from '../payments/providers/fake.provider.js';
+import { createProvider } from '../payments/providers/index.js';
+
+/* ============================================================================
+   The fake gateway stands in for a real one in development and tests, so it
+   has to fail the way a real one does: declined cards, over-captures and
+   over-refunds, and above all webhooks that do not check out. A fake that
+   accepted any webhook would hide a missing signature check in the route.
+   ============================================================================ */
+
+const SECRET = 'whsec_test';
+const provider = () => new FakePaymentProvider({ environment: 'test', webhookSecret: SECRET });
+
+const webhook = (body, { secret = SECRET, timestamp } = {}) => {
+  const raw = JSON.stringify(body);
+  return [Buffer.from(raw), { 'x-fake-signature': FakePaymentProvider.sign(raw, secret, timestamp) }];
+};
+
+test('registry: builds the fake provider from env, never in production', () => {
+  const dev = createProvider('fake', { NODE_ENV: 'development', PAYMENT_WEBHOOK_SECRET: SECRET });
+  assert.equal(dev.key, 'fake');
+  assert.equal(dev.isConfigured(), true);
+  assert.equal(createProvider('fake', { NODE_ENV: 'production' }).isConfigured(), false);
+  assert.equal(createProvider('nope', {}), null);
+});
+
+test('intent → confirm → capture → refund', async () => {
+  const fake = provider();
+  const intent = await fake.createIntent({ amount: 19200, currency: 'SDG', reference: 'ORD-1' });
+  assert.equal(intent.status, 'requires_confirmation');
+  assert.ok(intent.clientSecret.startsWith(intent.gatewayRef));
+
+  assert.deepEqual(await fake.confirm(intent.gatewayRef, { paymentToken: 'tok_visa' }), { status: 'authorized' });
+  await assert.rejects(fake.capture(intent.gatewayRef, { amount: 20000 }), { statusCode: 400 });
+  assert.deepEqual(await fake.capture(intent.gatewayRef, { amount: 19200 }), { status: 'captured' });
+
+  const first = await fake.refund(intent.gatewayRef, { amount: 6000, currency: 'SDG' });
+  assert.equal(first.status, 'succeeded');
+  assert.ok(first.refundRef);
+  const over = await fake.refund(intent.gatewayRef, { amount: 13201, currency: 'SDG' });
+  assert.equal(over.status, 'failed');
+});
+
+test('a declined card fails the attempt and cannot be captured', async () => {
+  const fake = provider();
+  const { gatewayRef } = await fake.createIntent({ amount: 10, currency: 'USD' });
+  const result = await fake.confirm(gatewayRef, { paymentToken: 'tok_declined' });
+  assert.equal(result.status, 'failed');
+  assert.equal(result.failureCode, 'card_declined');
+  await assert.rejects(fake.capture(gatewayRef, {}), { name: 'PaymentProviderError', statusCode: 409 });
+  await assert.rejects(fake.refund(gatewayRef, { amount: 10 }), { statusCode: 409 });
+});
+
+test('verifyWebhook: a signed event is translated', () => {
+  const fake = provider();
+  const event = fake.verifyWebhook(
+    ...webhook({ id: 'evt_1', type: 'intent.failed', data: { intent: 'fake_pi_1', failure_code: 'card_declined' } })
+  );
+  assert.deepEqual(event, {
+    id: 'evt_1',
+    type: 'payment.failed',
+    gatewayRef: 'fake_pi_1',
+    refundRef: null,
+    failureCode: 'card_declined',
+    failureMessage: null,
+  });
+  assert.equal(fake.verifyWebhook(...webhook({ id: 'evt_2', type: 'customer.updated', data: {} })), null);
+});
+
+test('verifyWebhook: wrong secret, tampered body, stale or missing signature are refused', () => {
+  const fake = provider();
+  const body = { id: 'evt_1', type: 'intent.captured', data: { intent: 'fake_pi_1' } };
+  const invalid = { name: 'PaymentProviderError', code: 'INVALID_SIGNATURE', statusCode: 400 };
+
+  assert.throws(() => fake.verifyWebhook(...webhook(body, { secret: 'whsec_other' })), invalid);
+
+  const [, headers] = webhook(body);
+  const tampered = Buffer.from(JSON.stringify({ ...body, type: 'refund.succeeded' }));
+  assert.throws(() => fake.verifyWebhook(tampered, headers), invalid);
+
+  const stale = Math.floor(Date.now() / 1000) - 10 * 60;
+  assert.throws(() => fake.verifyWebhook(...webhook(body, { timestamp: stale })), invalid);
+
+  assert.throws(() => fake.verifyWebhook(Buffer.from(JSON.stringify(body)), {}), invalid);
+});
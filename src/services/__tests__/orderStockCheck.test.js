@@ -0,0 +1,81 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import Product from '../../models/product.model.js';
+import orderService from '../order.service.js';
+import { holdKey } from '../stockHold.service.js';
+
+/**
+ * The checkout stock check, with other shoppers' holds in play.
+ *
+ * buildOrderItems is synchronous and takes the held quantities as an argument,
+ * so it runs against unsaved Product documents — `variants.id()` and the
+ * pricing engine both work without a connection.
+ */
+
+const makeProduct = (variants) =>
+  new Product({
+    name: 'Toob',
+    description: 'Hand-dyed',
+    category: '507f1f77bcf86cd799439011',
+    images: ['https://ik.imagekit.io/nubian/toob.jpg'],
+    variants: variants.map((v, i) => ({ sku: `TOOB-${i}`, merchantPrice: 10, ...v })),
+  });
+
+const held = (entries = {}, products = {}) => ({
+  byVariant: new Map(Object.entries(entries)),
+  byProduct: new Map(Object.entries(products)),
+});
+
+test('without holds the variant stock is the limit', () => {
+  const product = makeProduct([{ stock: 2 }]);
+  const variantId = product.variants[0]._id;
+
+  const { orderProducts } = orderService.buildOrderItems([{ product, variantId, quantity: 2 }]);
+  assert.equal(orderProducts.length, 1);
+});
+
+test("other shoppers' holds are taken off the variant before the check", () => {
+  const product = makeProduct([{ stock: 2 }]);
+  const variantId = product.variants[0]._id;
+  const others = held({ [holdKey(product._id, variantId)]: 1 });
+
+  assert.throws(
+    () => orderService.buildOrderItems([{ product, variantId, quantity: 2 }], others),
+    (err) => err.code === 'INSUFFICIENT_STOCK' && /only has 1 unit/.test(err.message)
+  );
+  assert.doesNotThrow(() =>
+    orderService.buildOrderItems([{ product, variantId, quantity: 1 }], others)
+  );
+});
+
+test('a hold on a sibling variant does not block this one', () => {
+  const product = makeProduct([{ stock: 1 }, { stock: 1 }]);
+  const [a, b] = product.variants;
+  const others = held({ [holdKey(product._id, b._id)]: 1 });
+
+  assert.doesNotThrow(() =>
+    orderService.buildOrderItems([{ product, variantId: a._id, quantity: 1 }], others)
+  );
+});
+
+test('lines without a variant are checked against product-wide holds', () => {
+  const product = makeProduct([{ stock: 1 }, { stock: 1 }]);
+  const others = held({}, { [String(product._id)]: 2 });
+
+  assert.throws(
+    () => orderService.buildOrderItems([{ product, quantity: 1 }], others),
+    (err) => err.code === 'INSUFFICIENT_STOCK'
+  );
+});
+
+test('holds larger than the stock never report negative availability', () => {
+  const product = makeProduct([{ stock: 1 }]);
+  const variantId = product.variants[0]._id;
+  const others = held({ [holdKey(product._id, variantId)]: 5 });
+
+  assert.throws(
+    () => orderService.buildOrderItems([{ product, variantId, quantity: 1 }], others),
+    (err) => /only has 0 unit/.test(err.message)
+  );
+});
@@ -0,0 +1,335 @@
+import Order from '../models/orders.model.js';
+import User from '../models/user.model.js';
+import { ServiceError } from '../lib/errors.js';
+import { isApprovedImageUrl } from '../lib/imageHost.js';
+import logger from '../lib/logger.js';
+import {
+  DEFAULT_BANKAK_PAYMENT_HOURS,
+  DEFAULT_BANKAK_REMINDER_HOURS,
+  deadlineAction,
+  expectedTransfer,
+  normalizeTransferReference,
+  paymentDeadline,
+  planBankakApproval,
+  planTransferSubmission,
+  transferFlags,
+} from '../lib/bankak.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import { handleBankakPayment } from './notificationEventHandlers.js';
+
+const STATUS_FOR_CODE = {
+  NOT_BANKAK: 400,
+  MISSING_PROOF: 400,
+  ALREADY_PAID: 409,
+  ORDER_CLOSED: 409,
+  DEADLINE_PASSED: 409,
+  DUPLICATE_REFERENCE: 409,
+};
+
+const hoursEnv = (name, fallback) => {
+  const hours = Number(process.env[name]);
+  return Number.isFinite(hours) && hours > 0 ? hours : fallback;
+};
+
+// Read per call, like RETURN_WINDOW_DAYS.
+const paymentHours = () => hoursEnv('BANKAK_PAYMENT_HOURS', DEFAULT_BANKAK_PAYMENT_HOURS);
+const reminderHours = () => hoursEnv('BANKAK_REMINDER_HOURS', DEFAULT_BANKAK_REMINDER_HOURS);
+
+const rejectPlan = (plan) => {
+  throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400);
+};
+
+const notify = (order, kind) => {
+  handleBankakPayment(order, kind).catch((error) => {
+    logger.error('Failed to send BANKAK notification', { error: error.message, orderId: String(order._id), kind });
+  });
+};
+
+// ─── BankakService ───────────────────────────────────────────────────────────
+
+class BankakService {
+  /** The payment deadline for a BANKAK order placed now. */
+  deadlineFor(placedAt = new Date()) {
+    return paymentDeadline(placedAt, paymentHours());
+  }
+
+  /**
+   * Record the shopper's transfer details on their order — at checkout, or
+   * afterwards from the order screen. Replaces a transfer still awaiting
+   * review, and sends a rejected one back for review.
+   *
+   * The proof URL is expected to have been checked against the image host at
+   * the HTTP boundary.
+   *
+   * @param {string} clerkUserId
+   * @param {string} orderId
+   * @param {{ reference: string, amount: number, senderAccount: string, transferProof?: string }} transfer
+   * @returns {Promise<Order>}
+   * @throws ServiceError
+   */
+  async submitTransfer(clerkUserId, orderId, { reference, amount, senderAccount, transferProof }) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+
+    // Scoped to the shopper: someone else's order is simply not found.
+    const order = await Order.findOne({ _id: orderId, user: user._id }).lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const plan = planTransferSubmission(order);
+    if (!plan.ok) rejectPlan(plan);
+    if (!transferProof && !order.transferProof) {
+      throw new ServiceError('A screenshot of the transfer is required', 'MISSING_PROOF', 400);
+    }
+
+    const set = {
+      bankakTransfer: {
+        reference: normalizeTransferReference(reference),
+        amount,
+        currency: expectedTransfer(order).currency,
+        senderAccount: String(senderAccount).trim(),
+        submittedAt: new Date(),
+      },
+      bankakApproval: { status: 'pending' },
+      paymentStatus: 'pending',
+    };
+    if (transferProof) set.transferProof = transferProof;
+
+    // Conditional on the order still being open and unpaid, so a submission
+    // racing an approval or the deadline sweep cannot reopen it.
+    const updated = await Order.findOneAndUpdate(
+      { _id: order._id, status: 'pending', paymentStatus: { $ne: 'paid' } },
+      { $set: set },
+      { new: true }
+    );
+    if (!updated) {
+      throw new ServiceError('This order changed while the transfer was being recorded', 'ORDER_CLOSED', 409);
+    }
+
+    logger.info('BANKAK transfer submitted', {
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      resubmitted: Boolean(order.bankakTransfer?.reference),
+    });
+    return updated;
+  }
+
+  /**
+   * Admin: BANKAK transfers waiting to be checked, oldest order first, each
+   * with what it should have been, what the shopper says it was, and why it
+   * might be wrong.
+   *
+   * @param {{ page: number, limit: number }} paging
+   * @returns {Promise<{ entries: object[], total: number }>}
+   */
+  async queue({ page = 1, limit = 20 } = {}) {
+    const filter = {
+      paymentMethod: 'BANKAK',
+      paymentStatus: 'pending',
+      status: 'pending',
+      transferProof: { $ne: null },
+    };
+    const [orders, total] = await Promise.all([
+      Order.find(filter)
+        .sort({ orderDate: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select(
+          'orderNumber orderDate status paymentStatus currencyCodeSelected finalAmount finalAmountConverted ' +
+            'transferProof bankakTransfer bankakApproval paymentDeadline user'
+        )
+        .populate('user', 'fullName emailAddress phone')
+        .lean(),
+      Order.countDocuments(filter),
+    ]);
+
+    const duplicates = await this.#duplicatesOf(orders);
+    const now = new Date();
+
+    const entries = orders.map((order) => {
+      const others = duplicates.get(String(order._id)) || [];
+      return {
+        _id: order._id,
+        orderNumber: order.orderNumber,
+        placedAt: order.orderDate,
+        waitingMinutes: Math.floor((now - new Date(order.orderDate)) / 60000),
+        paymentDeadline: order.paymentDeadline || null,
+        customer: order.user,
+        expected: expectedTransfer(order),
+        transfer: order.bankakTransfer || null,
+        transferProof: order.transferProof,
+        flags: transferFlags(order, { duplicates: others, now }),
+        duplicates: others,
+      };
+    });
+    return { entries, total };
+  }
+
+  /**
+   * Admin: the transfer checked out. The order is paid, and confirmed if it
+   * was still waiting for it.
+   *
+   * @param {string} orderId
+   * @param {{ adminId?: string }} [options]
+   * @returns {Promise<Order>}
+   * @throws ServiceError 409 DUPLICATE_REFERENCE when another order was
+   *         already paid with the same reference
+   */
+  async approve(orderId, { adminId = null } = {}) {
+    const order = await Order.findById(orderId).lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const duplicates = (await this.#duplicatesOf([order])).get(String(order._id)) || [];
+    const plan = planBankakApproval(order, duplicates);
+    if (!plan.ok) rejectPlan(plan);
+    if (!isApprovedImageUrl(order.transferProof)) {
+      throw new ServiceError('Missing transfer proof', 'MISSING_PROOF', 400);
+    }
+
+    const approved = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $ne: 'paid' } },
+      {
+        $set: {
+          paymentStatus: 'paid',
+          bankakApproval: { status: 'approved', approvedAt: new Date(), approvedBy: adminId, reason: null },
+        },
+      },
+      { new: true }
+    );
+    if (!approved) throw new ServiceError('This order is already paid', 'ALREADY_PAID', 409);
+
+    logger.info('BANKAK payment approved', { orderId: String(order._id), orderNumber: order.orderNumber, adminId });
+
+    // A verified transfer is what a pending BANKAK order was waiting for.
+    if (approved.status === 'pending') {
+      const { order: confirmed } = await orderLifecycleService.transition(
+        approved._id,
+        'confirmed',
+        { type: 'admin', id: adminId },
+        { reason: 'BANKAK payment approved' }
+      );
+      return confirmed;
+    }
+    return approved;
+  }
+
+  /**
+   * Admin: the transfer did not check out. The shopper is told, and may send
+   * another until the payment deadline.
+   *
+   * @param {string} orderId
+   * @param {{ adminId?: string, reason?: string }} [options]
+   * @returns {Promise<Order>}
+   */
+  async reject(orderId, { adminId = null, reason = null } = {}) {
+    const order = await Order.findById(orderId).select('paymentMethod paymentStatus').lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+    if (order.paymentMethod !== 'BANKAK') rejectPlan(planBankakApproval(order));
+
+    const rejected = await Order.findOneAndUpdate(
+      { _id: order._id, paymentStatus: { $ne: 'paid' } },
+      {
+        $set: {
+          paymentStatus: 'failed',
+          bankakApproval: {
+            status: 'rejected',
+            rejectedAt: new Date(),
+            rejectedBy: adminId,
+            reason: reason || 'Rejected by admin',
+          },
+        },
+      },
+      { new: true }
+    );
+    if (!rejected) throw new ServiceError('This order is already paid', 'ALREADY_PAID', 409);
+
+    logger.info('BANKAK payment rejected', { orderId: String(order._id), adminId });
+    notify(rejected, 'rejected');
+    return rejected;
+  }
+
+  /**
+   * Remind shoppers whose payment deadline is close, and cancel the orders
+   * whose deadline has passed. Run by the maintenance worker every few
+   * minutes; each order is reminded once and cancelled once, however often
+   * it runs.
+   *
+   * @param {Date} [now]
+   * @returns {Promise<{ reminded: number, cancelled: number }>}
+   */
+  async runDeadlines(now = new Date()) {
+    const remindBefore = reminderHours();
+    const candidates = await Order.find({
+      paymentMethod: 'BANKAK',
+      paymentStatus: { $ne: 'paid' },
+      status: 'pending',
+      paymentDeadline: { $lte: new Date(now.getTime() + remindBefore * 60 * 60 * 1000) },
+    })
+      .select('orderNumber status paymentMethod paymentStatus paymentDeadline paymentReminderSentAt bankakTransfer bankakApproval user')
+      .lean();
+
+    let reminded = 0;
+    let cancelled = 0;
+    for (const order of candidates) {
+      const action = deadlineAction(order, { now, reminderHours: remindBefore });
+      try {
+        if (action === 'cancel') {
+          const { changed } = await orderLifecycleService.transition(
+            order._id,
+            'cancelled',
+            { type: 'system', id: 'bankak-deadline' },
+            { reason: 'BANKAK payment not received before the deadline' }
+          );
+          if (changed) cancelled += 1;
+        } else if (action === 'remind') {
+          const { modifiedCount } = await Order.updateOne(
+            { _id: order._id, paymentReminderSentAt: { $exists: false } },
+            { $set: { paymentReminderSentAt: now } }
+          );
+          if (modifiedCount) {
+            reminded += 1;
+            notify(order, 'reminder');
+          }
+        }
+      } catch (error) {
+        // One order that moved under us (paid, cancelled by the shopper) must
+        // not stop the sweep.
+        logger.warn('BANKAK deadline sweep skipped an order', {
+          orderId: String(order._id),
+          action,
+          error: error.message,
+        });
+      }
+    }
+
+    if (reminded || cancelled) logger.info('BANKAK deadlines processed', { reminded, cancelled });
+    return { reminded, cancelled };
+  }
+
+  /**
+   * Other orders given the same transfer reference, keyed by order id.
+   *
+   * @param {Array<object>} orders
+   * @returns {Promise<Map<string, Array<object>>>}
+   */
+  async #duplicatesOf(orders) {
+    const result = new Map();
+    const references = [...new Set(orders.map((o) => o.bankakTransfer?.reference).filter(Boolean))];
+    if (!references.length) return result;
+
+    const sharing = await Order.find({ 'bankakTransfer.reference': { $in: references } })
+      .select('orderNumber status paymentStatus bankakTransfer.reference')
+      .lean();
+
+    for (const order of orders) {
+      const reference = order.bankakTransfer?.reference;
+      if (!reference) continue;
+      const others = sharing
+        .filter((o) => o.bankakTransfer.reference === reference && String(o._id) !== String(order._id))
+        .map((o) => ({ _id: o._id, orderNumber: o.orderNumber, status: o.status, paymentStatus: o.paymentStatus }));
+      if (others.length) result.set(String(order._id), others);
+    }
+    return result;
+  }
+}
+
+export default new BankakService();
@@ -7,6 +7,7 @@ import {
   sendMerchantUnsuspensionEmail,
 } from '../../lib/mail.js';
 import { JOB_NAMES } from '../../lib/queue/queueNames.js';
+import invoiceService from '../invoice.service.js';
 
 /**
  * Pure delivery layer for email. The worker dispatches on job.name to the
@@ -20,7 +21,8 @@ export const deliverEmail = async (jobName, payload) => {
     case JOB_NAMES.EMAIL_WELCOME:
       return wrapResend(jobName, () => sendWelcomeEmail(payload));
     case JOB_NAMES.EMAIL_ORDER:
-      return wrapResend(jobName, () => sendOrderEmail(payload));
+      // Invoice drawn here, not queued with the job — see mailService.js.
+      return wrapResend(jobName, async () => sendOrderEmail(await invoiceService.attachToOrderEmail(payload)));
     case JOB_NAMES.EMAIL_ORDER_STATUS:
       return wrapResend(jobName, () => sendOrderStatusEmail(payload));
     case JOB_NAMES.EMAIL_MERCHANT_SUSPENSION:
@@ -0,0 +1,249 @@
+import mongoose from 'mongoose';
+import CashCollection from '../models/cashCollection.model.js';
+import CodSettlement from '../models/codSettlement.model.js';
+import Courier from '../models/courier.model.js';
+import Order from '../models/orders.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  buildSettlementSheet,
+  dayBounds,
+  expectedCash,
+  planCashCollection,
+  settlementDay,
+} from '../lib/cod.js';
+
+const DUPLICATE_KEY = 11000;
+
+const STATUS_FOR_CODE = {
+  NOT_CASH: 400,
+  ALREADY_COLLECTED: 409,
+  ALREADY_PAID: 409,
+  NOT_OUT_FOR_DELIVERY: 409,
+};
+
+const rejectPlan = (plan) => {
+  throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400);
+};
+
+const alreadyCollected = () =>
+  new ServiceError('Cash for this order was already recorded', 'ALREADY_COLLECTED', 409);
+
+// ─── CodService ──────────────────────────────────────────────────────────────
+
+class CodService {
+  /**
+   * Record the cash a courier took for an order. The courier records it from
+   * their app as they take it; an admin may record it for them.
+   *
+   * @param {object} params
+   * @param {string} params.courierId
+   * @param {string} params.orderId
+   * @param {number} params.amount       - in the currency the shopper pays in
+   * @param {number} [params.lat]
+   * @param {number} [params.lng]
+   * @param {Date}   [params.collectedAt] - now when omitted
+   * @param {{ type: 'courier'|'admin', id: string }} params.recordedBy
+   * @returns {Promise<CashCollection>}
+   * @throws ServiceError
+   */
+  async recordCollection({ courierId, orderId, amount, lat, lng, collectedAt, recordedBy }) {
+    const courier = await Courier.findById(courierId).select('active').lean();
+    if (!courier?.active) throw new ServiceError('Courier not found', 'COURIER_NOT_FOUND', 404);
+
+    const order = await Order.findById(orderId)
+      .select('orderNumber status paymentMethod paymentStatus currencyCodeSelected finalAmount finalAmountConverted')
+      .lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const existing = await CashCollection.exists({ order: order._id, status: 'collected' });
+    const plan = planCashCollection(order, existing);
+    if (!plan.ok) rejectPlan(plan);
+
+    const expected = expectedCash(order);
+    let collection;
+    try {
+      collection = await CashCollection.create({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        courier: courierId,
+        amount,
+        expected: expected.amount,
+        currency: expected.currency,
+        collectedAt: collectedAt || new Date(),
+        ...(lat != null && lng != null ? { location: { type: 'Point', coordinates: [lng, lat] } } : {}),
+        recordedBy,
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) throw alreadyCollected();
+      throw error;
+    }
+
+    logger.info('Cash collection recorded', {
+      collectionId: String(collection._id),
+      orderId: String(order._id),
+      courierId: String(courierId),
+      amount,
+      expected: expected.amount,
+      currency: expected.currency,
+      recordedBy: recordedBy.type,
+    });
+    return collection;
+  }
+
+  /**
+   * Admin: strike out a collection recorded wrongly, so it can be recorded
+   * again. Only while the cash is still with the courier — a settled sheet is
+   * never reopened.
+   *
+   * @param {string} collectionId
+   * @param {{ adminId?: string, reason: string }} options
+   * @returns {Promise<CashCollection>}
+   */
+  async voidCollection(collectionId, { adminId = null, reason }) {
+    const voided = await CashCollection.findOneAndUpdate(
+      { _id: collectionId, status: 'collected', settlement: null },
+      { $set: { status: 'voided', voidedAt: new Date(), voidedBy: adminId, voidReason: reason } },
+      { new: true }
+    );
+    if (!voided) {
+      const exists = await CashCollection.exists({ _id: collectionId });
+      if (!exists) throw new ServiceError('Collection not found', 'NOT_FOUND', 404);
+      throw new ServiceError('Only an unsettled collection can be voided', 'COLLECTION_CLOSED', 409);
+    }
+
+    logger.info('Cash collection voided', { collectionId: String(voided._id), orderId: String(voided.order), adminId });
+    return voided;
+  }
+
+  /**
+   * A courier's draft sheet for a day: everything they collected up to the
+   * end of it and have not handed in yet.
+   *
+   * @param {string} courierId
+   * @param {string} [day] - YYYY-MM-DD, Khartoum; today when omitted
+   * @returns {Promise<{ courier: object, day: string, lines: object[], totals: object[], flags: string[] }>}
+   */
+  async sheet(courierId, day = settlementDay()) {
+    const courier = await Courier.findById(courierId).select('fullName phone kind active').lean();
+    if (!courier) throw new ServiceError('Courier not found', 'COURIER_NOT_FOUND', 404);
+
+    const collections = await this.#unsettled(courierId, day);
+    return { courier, day, ...buildSettlementSheet(collections, { day }) };
+  }
+
+  /**
+   * Admin: the courier handed their cash in. Settle everything they hold up
+   * to the end of `day` against what was counted, and mark those orders
+   * paid — in one transaction, so a sheet and its orders never disagree.
+   *
+   * @param {string} courierId
+   * @param {object} params
+   * @param {string} params.day
+   * @param {Array<{ currency: string, amount: number }>} params.handedOver
+   * @param {string} [params.adminId]
+   * @param {string} [params.note]
+   * @returns {Promise<CodSettlement>}
+   * @throws ServiceError 409 NOTHING_TO_SETTLE, COD_SETTLEMENT_CONFLICT
+   */
+  async settle(courierId, { day, handedOver, adminId = null, note = '' }) {
+    if (day > settlementDay()) {
+      throw new ServiceError('A day that has not started cannot be settled', 'INVALID_DAY', 400);
+    }
+    const courier = await Courier.exists({ _id: courierId });
+    if (!courier) throw new ServiceError('Courier not found', 'COURIER_NOT_FOUND', 404);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let settlement;
+    try {
+      const collections = await this.#unsettled(courierId, day, { session });
+      if (!collections.length) {
+        throw new ServiceError('This courier has no cash left to settle for that day', 'NOTHING_TO_SETTLE', 409);
+      }
+
+      const sheet = buildSettlementSheet(collections, { day, handedOver });
+      [settlement] = await CodSettlement.create(
+        [{ courier: courierId, day, ...sheet, settledBy: adminId, note }],
+        { session }
+      );
+
+      const ids = collections.map((c) => c._id);
+      const { modifiedCount } = await CashCollection.updateMany(
+        { _id: { $in: ids }, status: 'collected', settlement: null },
+        { $set: { settlement: settlement._id } },
+        { session }
+      );
+      if (modifiedCount !== ids.length) {
+        throw new ServiceError(
+          'The courier\'s collections changed while you were settling — reload and try again',
+          'COD_SETTLEMENT_CONFLICT',
+          409
+        );
+      }
+
+      await Order.updateMany(
+        { _id: { $in: collections.map((c) => c.order) }, paymentStatus: { $ne: 'paid' } },
+        { $set: { paymentStatus: 'paid' } },
+        { session }
+      );
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info('COD sheet settled', {
+      settlementId: String(settlement._id),
+      courierId: String(courierId),
+      day,
+      lines: settlement.lines.length,
+      flags: settlement.flags,
+      adminId,
+    });
+    return settlement;
+  }
+
+  /**
+   * Admin: settled sheets, latest day first.
+   *
+   * @param {{ courierId?: string, flagged?: boolean, page: number, limit: number }} filter
+   * @returns {Promise<{ settlements: object[], total: number }>}
+   */
+  async listSettlements({ courierId, flagged, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (courierId) query.courier = courierId;
+    if (flagged) query['flags.0'] = { $exists: true };
+
+    const [settlements, total] = await Promise.all([
+      CodSettlement.find(query)
+        .sort({ day: -1, createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-lines')
+        .populate('courier', 'fullName phone kind')
+        .lean(),
+      CodSettlement.countDocuments(query),
+    ]);
+    return { settlements, total };
+  }
+
+  /** What a courier holds up to the end of `day`, oldest first. */
+  async #unsettled(courierId, day, { session = null } = {}) {
+    return CashCollection.find({
+      courier: courierId,
+      status: 'collected',
+      settlement: null,
+      collectedAt: { $lt: dayBounds(day).end },
+    })
+      .sort({ collectedAt: 1 })
+      .session(session)
+      .lean();
+  }
+}
+
+export default new CodService();
@@ -3,6 +3,7 @@ import Marketer from "../models/marketer.model.js";
 import Order from "../models/orders.model.js";
 import mongoose from "mongoose";
 import logger from "../lib/logger.js";
+import ledgerService from "./ledger.service.js";
 
 class CommissionService {
   /**
@@ -24,7 +25,10 @@ class CommissionService {
       const marketer = await Marketer.findById(order.marketer).session(session);
       if (!marketer) throw new Error("Marketer not found");
 
-      const commissionAmount = order.finalAmount * marketer.commissionRate;
+      // Commission is earned on goods sold, not on the delivery fee the
+      // shopper paid on top.
+      const orderAmount = Math.max(0, order.finalAmount - (order.shippingFee || 0));
+      const commissionAmount = orderAmount * marketer.commissionRate;
 
       // 1. Create commission record
       const commission = await Commission.create([{
@@ -32,7 +36,7 @@ class CommissionService {
         order: order._id,
         amount: commissionAmount,
         rate: marketer.commissionRate,
-        orderAmount: order.finalAmount,
+        orderAmount,
         status: 'pending'
       }], { session });
 
@@ -84,6 +88,9 @@ class CommissionService {
       marketer.totalEarnings += commission.amount;
       await marketer.save({ session });
 
+      // 3. Record the payout in the ledger
+      await ledgerService.postCommissionPaid(commission, { session });
+
       await session.commitTransaction();
       return commission;
     } catch (error) {
@@ -126,6 +126,44 @@ class CouponService {
     };
   }
 
+  /**
+   * Undo a reserveCoupon() whose order was never written.
+   *
+   * reserveCoupon() increments the counters before the order exists, so any
+   * failure after it — stock gone, transaction aborted — would otherwise burn
+   * one global use of the coupon for an order nobody placed. Guarded on
+   * `usageCount > 0` so a double release can never push the counter negative.
+   *
+   * @param {ObjectId} couponId
+   * @param {number}   discountAmount - the amount reserveCoupon() returned
+   */
+  async releaseCoupon(couponId, discountAmount = 0) {
+    if (!couponId) return null;
+    return Coupon.findOneAndUpdate(
+      { _id: couponId, usageCount: { $gt: 0 } },
+      { $inc: { usageCount: -1, totalOrders: -1, totalDiscountGiven: -discountAmount } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Give back the coupon use of an order that was cancelled.
+   *
+   * The CouponUsage row is what the per-user limit counts, and deleting it is
+   * also what makes this safe to call twice: only the call that actually
+   * removed the row goes on to decrement the coupon's counters.
+   *
+   * @param {{ _id: ObjectId, coupon?: ObjectId, couponDetails?: object }} order
+   * @returns {Promise<boolean>} whether a use was given back
+   */
+  async releaseForOrder(order) {
+    if (!order?.coupon) return false;
+    const usage = await CouponUsage.findOneAndDelete({ coupon: order.coupon, order: order._id });
+    if (!usage) return false;
+    await this.releaseCoupon(order.coupon, order.couponDetails?.discountAmount || 0);
+    return true;
+  }
+
   /**
    * Look up an active marketer by code and return the discount amount they offer.
    * Returns 0 if the code is invalid or the marketer is inactive.
@@ -0,0 +1,74 @@
+import Courier from '../models/courier.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+
+const DUPLICATE_KEY = 11000;
+
+const clerkIdTaken = () =>
+  new ServiceError('That Clerk user is already linked to another courier', 'CLERK_ID_TAKEN', 409);
+
+// ─── CourierService ──────────────────────────────────────────────────────────
+
+class CourierService {
+  /**
+   * Admin: open a courier or agent account.
+   *
+   * @param {{ fullName: string, phone: string, kind?: string, clerkId?: string, note?: string }} fields
+   * @returns {Promise<Courier>}
+   */
+  async create(fields) {
+    try {
+      const courier = await Courier.create(fields);
+      logger.info('Courier created', { courierId: String(courier._id), kind: courier.kind });
+      return courier;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) throw clerkIdTaken();
+      throw error;
+    }
+  }
+
+  /**
+   * Admin: change a courier's details, link them to their Clerk user, or
+   * deactivate them.
+   *
+   * @param {string} courierId
+   * @param {object} fields
+   * @returns {Promise<Courier>}
+   */
+  async update(courierId, fields) {
+    try {
+      const courier = await Courier.findByIdAndUpdate(courierId, { $set: fields }, { new: true, runValidators: true });
+      if (!courier) throw new ServiceError('Courier not found', 'NOT_FOUND', 404);
+      logger.info('Courier updated', { courierId: String(courier._id), fields: Object.keys(fields) });
+      return courier;
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) throw clerkIdTaken();
+      throw error;
+    }
+  }
+
+  /**
+   * Admin: couriers, by name.
+   *
+   * @param {{ active?: boolean, kind?: string, page: number, limit: number }} filter
+   * @returns {Promise<{ couriers: object[], total: number }>}
+   */
+  async list({ active, kind, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (active !== undefined) query.active = active;
+    if (kind) query.kind = kind;
+
+    const [couriers, total] = await Promise.all([
+      Courier.find(query).sort({ fullName: 1 }).skip((page - 1) * limit).limit(limit).lean(),
+      Courier.countDocuments(query),
+    ]);
+    return { couriers, total };
+  }
+
+  /** The active courier account linked to a Clerk user, or null. */
+  async findActiveByClerkId(clerkId) {
+    return Courier.findOne({ clerkId, active: true }).lean();
+  }
+}
+
+export default new CourierService();
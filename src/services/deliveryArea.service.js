@@ -21,11 +21,23 @@
  * can't be evaluated the order goes through and the failure is logged loudly.
  * The one thing that would be unrecoverable is turning an infrastructure blip
  * into 100% checkout failure.
+ *
+ * ## Platform zones and store zones
+ *
+ * Everything above is about platform zones (`merchant: null`). A store may also
+ * draw its own zones (lib/serviceArea.js); those only ever narrow where *that
+ * store's* products can go, so they are kept out of every platform question
+ * here and answered separately by `findUnservedMerchants`.
  */
+import mongoose from 'mongoose';
 import DeliveryZone from '../models/deliveryZone.model.js';
 import { isValidCoordinate } from './geo/types.js';
+import { unservedMerchants } from '../lib/serviceArea.js';
 import logger from '../lib/logger.js';
 
+// Platform coverage. Store-drawn zones never extend it.
+const PLATFORM = { merchant: null };
+
 /** Shape returned to callers that need to explain *why* a pin was rejected. */
 export const COVERAGE = Object.freeze({
   /** A zone covers the pin, or coverage is not configured at all. */
@@ -74,7 +86,7 @@ export const pointFrom = (source) => {
 };
 
 /** True when any active zone is configured. Cheap existence check. */
-const hasActiveZones = () => DeliveryZone.exists({ isActive: true });
+const hasActiveZones = () => DeliveryZone.exists({ ...PLATFORM, isActive: true });
 
 /**
  * The active zone covering a point, or null.
@@ -89,6 +101,7 @@ export const findZoneForPoint = async (point) => {
   if (!point || !isValidCoordinate(point.lat, point.lng)) return null;
 
   return DeliveryZone.findOne({
+    ...PLATFORM,
     isActive: true,
     area: {
       $geoIntersects: {
@@ -97,7 +110,7 @@ export const findZoneForPoint = async (point) => {
     },
   })
     .sort({ priority: -1 })
-    .select('_id name nameAr pricing estimatedMinMinutes estimatedMaxMinutes')
+    .select('_id name nameAr pricing estimatedMinMinutes estimatedMaxMinutes slots')
     .lean();
 };
 
@@ -153,6 +166,52 @@ export const evaluateCoverage = async (source, { requirePin = false, requestId }
 export const isServiceable = async (source, options) =>
   (await evaluateCoverage(source, options)).status === COVERAGE.COVERED;
 
+/**
+ * Stores that have drawn a service area which does not contain this pin.
+ *
+ * Stores with no zones of their own are never in the result — they deliver
+ * wherever the platform does. Fail-open like evaluateCoverage: no pin, or a
+ * failed query, excludes nobody.
+ *
+ * @param {Object} source - anything pointFrom understands
+ * @param {Array<string|ObjectId>|null} [merchantIds] - limit the question to
+ *        these stores (checkout); null asks it of every store (product lists)
+ * @param {{ requestId?: string }} [options]
+ * @returns {Promise<string[]>} merchant ids, as strings
+ */
+export const findUnservedMerchants = async (source, merchantIds = null, { requestId } = {}) => {
+  const point = pointFrom(source);
+  if (!point) return [];
+  if (merchantIds && merchantIds.length === 0) return [];
+
+  try {
+    const scope = merchantIds
+      ? { merchant: { $in: merchantIds.map((id) => new mongoose.Types.ObjectId(String(id))) } }
+      : { merchant: { $ne: null } };
+
+    const [restricted, serving] = await Promise.all([
+      DeliveryZone.distinct('merchant', { ...scope, isActive: true }),
+      DeliveryZone.distinct('merchant', {
+        ...scope,
+        isActive: true,
+        area: {
+          $geoIntersects: {
+            $geometry: { type: 'Point', coordinates: [Number(point.lng), Number(point.lat)] },
+          },
+        },
+      }),
+    ]);
+
+    return unservedMerchants(restricted, serving);
+  } catch (error) {
+    logger.error('deliveryArea: store service-area check failed, allowing through', {
+      requestId,
+      error: error.message,
+    });
+    return [];
+  }
+};
+
 /**
  * Public service-area description for clients.
  *
@@ -175,7 +234,7 @@ export const getServiceAreaConfig = async () => {
   let value = { enabled: false, names: [], namesAr: [], geometry: null, bbox: null };
 
   try {
-    const zones = await DeliveryZone.find({ isActive: true })
+    const zones = await DeliveryZone.find({ ...PLATFORM, isActive: true })
       .select('name nameAr area')
       .lean();
 
@@ -239,6 +298,7 @@ const bboxOf = (polygons) => {
 export default {
   COVERAGE,
   evaluateCoverage,
+  findUnservedMerchants,
   findZoneForPoint,
   getServiceAreaConfig,
   invalidateServiceAreaCache,
@@ -0,0 +1,236 @@
+import { randomInt, timingSafeEqual } from 'node:crypto';
+import DeliveryCode from '../models/deliveryCode.model.js';
+import Order from '../models/orders.model.js';
+import User from '../models/user.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  DEFAULT_MAX_CODE_ATTEMPTS,
+  DELIVERY_CODE_LENGTH,
+  afterWrongCode,
+  normalizeCode,
+  planCodeEntry,
+} from '../lib/deliveryCode.js';
+
+const DUPLICATE_KEY = 11000;
+
+const STATUS_FOR_CODE = {
+  CODE_NOT_ISSUED: 409,
+  CODE_USED: 409,
+  CODE_LOCKED: 423,
+  NOT_OUT_FOR_DELIVERY: 409,
+};
+
+// Read per call, like BANKAK_PAYMENT_HOURS.
+const maxAttempts = () => {
+  const value = Number(process.env.DELIVERY_CODE_MAX_ATTEMPTS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_CODE_ATTEMPTS;
+};
+
+const rejectPlan = (plan) => {
+  throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400);
+};
+
+const newCode = () => String(randomInt(0, 10 ** DELIVERY_CODE_LENGTH)).padStart(DELIVERY_CODE_LENGTH, '0');
+
+const sameCode = (expected, given) => {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(given);
+  return a.length === b.length && timingSafeEqual(a, b);
+};
+
+// ─── DeliveryCodeService ─────────────────────────────────────────────────────
+
+/**
+ * Issues and checks delivery codes. Moving the order to `delivered` once a
+ * code checks out is orderLifecycle.service.js's job (confirmDelivery), which
+ * is also what issues codes as parcels leave the store.
+ */
+class DeliveryCodeService {
+  /**
+   * Issue the code for an order, or one of its shipments, unless it already
+   * has one — a parcel that goes `shipped` → `out_for_delivery` keeps the
+   * code the shopper was already shown.
+   *
+   * @param {{ _id, orderNumber: string }} order
+   * @param {string|null} [fulfillmentId]
+   * @returns {Promise<void>}
+   */
+  async issue(order, fulfillmentId = null) {
+    try {
+      const { upsertedCount } = await DeliveryCode.updateOne(
+        { order: order._id, fulfillment: fulfillmentId },
+        { $setOnInsert: { orderNumber: order.orderNumber, code: newCode(), issuedAt: new Date() } },
+        { upsert: true }
+      );
+      if (upsertedCount) {
+        logger.info('Delivery code issued', {
+          orderId: String(order._id),
+          fulfillmentId: fulfillmentId ? String(fulfillmentId) : null,
+        });
+      }
+    } catch (error) {
+      // Two moves racing to issue the same code: the other one won.
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+  }
+
+  /**
+   * Shopper: the codes to give at the door, one per shipment on its way.
+   *
+   * @param {string} clerkUserId
+   * @param {string} orderId
+   * @returns {Promise<Array<{ fulfillment, status: string, code: string|null, issuedAt: Date }>>}
+   */
+  async forShopper(clerkUserId, orderId) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+    const order = await Order.exists({ _id: orderId, user: user._id });
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const codes = await DeliveryCode.find({ order: orderId }).select('+code').sort({ issuedAt: 1 }).lean();
+    return codes.map((c) => ({
+      fulfillment: c.fulfillment,
+      status: c.status,
+      // A used code is spent and a locked one is useless; only show a live one.
+      code: c.status === 'active' ? c.code : null,
+      issuedAt: c.issuedAt,
+      usedAt: c.usedAt,
+    }));
+  }
+
+  /**
+   * Check a code entered at the door. A wrong one counts against the limit
+   * and locks the code once the limit is reached.
+   *
+   * The attempt is claimed before the code is compared, by a conditional
+   * increment that only succeeds under the limit, so requests sent in
+   * parallel get the limit's worth of guesses between them and not one each.
+   * A right code gives its attempt back.
+   *
+   * @param {object} params
+   * @param {string} params.orderId
+   * @param {string|null} params.fulfillmentId
+   * @param {string} params.code
+   * @param {string} params.status - the order's, or the shipment's, current status
+   * @param {{ type: string, id?: string }} params.actor
+   * @returns {Promise<DeliveryCode>} the matching code, still active
+   * @throws ServiceError 400 INVALID_DELIVERY_CODE, 423 CODE_LOCKED, 409 CODE_USED / CODE_NOT_ISSUED
+   */
+  async check({ orderId, fulfillmentId, code, status, actor }) {
+    const limit = maxAttempts();
+    const deliveryCode = await DeliveryCode.findOne({ order: orderId, fulfillment: fulfillmentId }).lean();
+    const plan = planCodeEntry(deliveryCode, { status, maxAttempts: limit });
+    if (!plan.ok) rejectPlan(plan);
+
+    const now = new Date();
+    const claimed = await DeliveryCode.findOneAndUpdate(
+      { _id: deliveryCode._id, status: 'active', attempts: { $lt: limit } },
+      { $inc: { attempts: 1 }, $set: { lastAttemptAt: now } },
+      { new: true }
+    )
+      .select('+code')
+      .lean();
+    if (!claimed) {
+      // Used or locked since it was read, or its last attempt is someone else's.
+      const current = await DeliveryCode.findById(deliveryCode._id).lean();
+      rejectPlan(planCodeEntry(current, { status, maxAttempts: limit }));
+    }
+
+    if (sameCode(claimed.code, normalizeCode(code))) {
+      await DeliveryCode.updateOne({ _id: claimed._id, attempts: { $gt: 0 } }, { $inc: { attempts: -1 } });
+      return { ...claimed, attempts: claimed.attempts - 1 };
+    }
+
+    const { attemptsLeft, locked } = afterWrongCode(claimed.attempts, limit);
+    if (locked) {
+      await DeliveryCode.updateOne({ _id: claimed._id, status: 'active' }, { $set: { status: 'locked', lockedAt: now } });
+    }
+
+    logger.warn('Wrong delivery code entered', {
+      orderId: String(orderId),
+      fulfillmentId: fulfillmentId ? String(fulfillmentId) : null,
+      actorType: actor.type,
+      actorId: actor.id ? String(actor.id) : null,
+      attemptsLeft,
+    });
+    if (locked) {
+      throw new ServiceError('Too many wrong codes — ask support to issue a new one', 'CODE_LOCKED', 423);
+    }
+    throw new ServiceError('That delivery code is not right', 'INVALID_DELIVERY_CODE', 400, { attemptsLeft });
+  }
+
+  /**
+   * The code was right and the order is delivered: spend it, and keep who
+   * entered it and the proof they took.
+   *
+   * @param {string} deliveryCodeId
+   * @param {object} params
+   * @param {{ type: string, id?: string, merchant?: string }} params.actor
+   * @param {{ photoUrl?: string, lat?: number, lng?: number }} [params.proof]
+   * @returns {Promise<DeliveryCode|null>}
+   */
+  async markUsed(deliveryCodeId, { actor, proof = {} }) {
+    return DeliveryCode.findOneAndUpdate(
+      { _id: deliveryCodeId, status: 'active' },
+      {
+        $set: {
+          status: 'used',
+          usedAt: new Date(),
+          usedBy: {
+            type: actor.type,
+            id: actor.id ? String(actor.id) : null,
+            ...(actor.merchant ? { merchant: actor.merchant } : {}),
+          },
+          'proof.photoUrl': proof.photoUrl || null,
+          ...(proof.lat != null && proof.lng != null
+            ? { 'proof.location': { type: 'Point', coordinates: [proof.lng, proof.lat] } }
+            : {}),
+        },
+      },
+      { new: true }
+    ).lean();
+  }
+
+  /** True when the shipment has a code that has not been spent. */
+  async isPending(orderId, fulfillmentId = null) {
+    return Boolean(
+      await DeliveryCode.exists({ order: orderId, fulfillment: fulfillmentId, status: { $in: ['active', 'locked'] } })
+    );
+  }
+
+  /**
+   * Admin: a fresh code for a delivery whose code locked (or that the
+   * shopper lost), after checking with the shopper. The old code stops
+   * working.
+   *
+   * @param {string} orderId
+   * @param {{ fulfillmentId?: string|null, adminId?: string }} options
+   * @returns {Promise<{ status: string, issuedAt: Date, reissues: number }>}
+   */
+  async reissue(orderId, { fulfillmentId = null, adminId = null }) {
+    const reissued = await DeliveryCode.findOneAndUpdate(
+      { order: orderId, fulfillment: fulfillmentId, status: { $ne: 'used' } },
+      {
+        $set: { code: newCode(), status: 'active', attempts: 0, lockedAt: null, issuedAt: new Date(), reissuedBy: adminId },
+        $inc: { reissues: 1 },
+      },
+      { new: true }
+    ).lean();
+    if (!reissued) {
+      const exists = await DeliveryCode.exists({ order: orderId, fulfillment: fulfillmentId });
+      if (!exists) throw new ServiceError('No delivery code was issued for this order', 'CODE_NOT_ISSUED', 404);
+      throw new ServiceError('This delivery was already confirmed', 'CODE_USED', 409);
+    }
+
+    logger.info('Delivery code reissued', {
+      orderId: String(orderId),
+      fulfillmentId: fulfillmentId ? String(fulfillmentId) : null,
+      adminId,
+      reissues: reissued.reissues,
+    });
+    return { status: reissued.status, issuedAt: reissued.issuedAt, reissues: reissued.reissues };
+  }
+}
+
+export default new DeliveryCodeService();
@@ -0,0 +1,256 @@
+import PDFDocument from 'pdfkit';
+import Order from '../models/orders.model.js';
+import { ServiceError } from '../lib/errors.js';
+import { dayBounds, expectedCash, settlementDay } from '../lib/cod.js';
+import {
+  DEFAULT_MAX_STOPS_PER_RUN,
+  cashToCollect,
+  manifestCsv,
+  mapsLink,
+  planZone,
+  windowText,
+} from '../lib/deliveryRuns.js';
+import { formatMoney } from '../lib/invoice.js';
+import { haversineMeters, isValidCoordinate } from './geo/types.js';
+import { drawText, registerFonts } from './invoice.service.js';
+
+// Read per call, like BANKAK_PAYMENT_HOURS.
+const maxStopsPerRun = () => {
+  const value = Number(process.env.ROUTE_MAX_STOPS);
+  return Number.isInteger(value) && value > 0 ? value : DEFAULT_MAX_STOPS_PER_RUN;
+};
+
+const envDepot = () => {
+  const lat = Number(process.env.ROUTE_DEPOT_LAT);
+  const lng = Number(process.env.ROUTE_DEPOT_LNG);
+  return process.env.ROUTE_DEPOT_LAT && process.env.ROUTE_DEPOT_LNG && isValidCoordinate(lat, lng) ? { lat, lng } : null;
+};
+
+const ORDER_FIELDS =
+  'orderNumber paymentMethod paymentStatus finalAmount finalAmountConverted currencyCodeSelected ' +
+  'addressSnapshot shipping.zone shipping.zoneName deliverySlot orderDate';
+
+/** One order as a stop on a run. */
+const toStop = (order) => {
+  const a = order.addressSnapshot || {};
+  return {
+    orderId: order._id,
+    orderNumber: order.orderNumber,
+    name: a.name || '',
+    phone: a.phone || '',
+    whatsapp: a.whatsapp || '',
+    address: a.formattedAddress || [a.street, a.building, a.neighborhood, a.city].filter(Boolean).join(', '),
+    landmark: a.landmark || '',
+    notes: a.notes || '',
+    window: order.deliverySlot
+      ? { id: order.deliverySlot.slotId, start: order.deliverySlot.start, end: order.deliverySlot.end }
+      : null,
+    // What the courier takes at the door; null when it is paid already.
+    cod: order.paymentMethod === 'CASH' && order.paymentStatus !== 'paid' ? expectedCash(order) : null,
+    point: a.latitude != null && a.longitude != null ? { lat: a.latitude, lng: a.longitude } : null,
+  };
+};
+
+// ─── Manifest PDF ────────────────────────────────────────────────────────────
+
+// A4 landscape: a row per stop needs the width more than the length.
+const PAGE = { size: 'A4', layout: 'landscape', margin: 36 };
+const LEFT = 36;
+const RIGHT = 806; // A4 height 842 − margin
+const BOTTOM = 550;
+const GREY = '#6b7280';
+const LINK = '#1d4ed8';
+
+const COLS = {
+  stop:     { x: LEFT, width: 24, label: '#' },
+  order:    { x: 62, width: 78, label: 'Order' },
+  customer: { x: 144, width: 150, label: 'Customer' },
+  address:  { x: 298, width: 300, label: 'Address / landmark' },
+  cod:      { x: 602, width: 110, label: 'Collect' },
+  map:      { x: 716, width: RIGHT - 716, label: 'Map' },
+};
+
+const drawRule = (doc, y) => {
+  doc.moveTo(LEFT, y).lineTo(RIGHT, y).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+  return y + 5;
+};
+
+const drawColumns = (doc, y) => {
+  for (const col of Object.values(COLS)) drawText(doc, col.label, col.x, y, col.width, { bold: true, size: 8, align: 'left' });
+  return drawRule(doc, y + 13);
+};
+
+const cashText = (totals) => totals.map((t) => formatMoney(t.amount, t.currency)).join(' + ') || '—';
+
+const drawRunHeading = (doc, y, zone, run, day) => {
+  drawText(doc, `${zone.zoneName} — Run ${run.number}`, LEFT, y, 400, { bold: true, size: 13, align: 'left' });
+  drawText(doc, 'بيان التوصيل', RIGHT - 200, y, 200, { bold: true, size: 13 });
+  y += 20;
+  const facts = [
+    day,
+    run.window ? `Window ${windowText(run.window)}` : 'No window',
+    `${run.stops.length} stops`,
+    `${(run.distanceMeters / 1000).toFixed(1)} km from the depot`,
+    `Cash to collect: ${cashText(cashToCollect(run.stops))}`,
+  ];
+  drawText(doc, facts.join('   ·   '), LEFT, y, RIGHT - LEFT, { color: GREY, align: 'left' });
+  return drawColumns(doc, y + 18);
+};
+
+const drawStop = (doc, y, stop) => {
+  drawText(doc, stop.sequence ?? '—', COLS.stop.x, y, COLS.stop.width, { bold: true, align: 'left' });
+  drawText(doc, stop.orderNumber, COLS.order.x, y, COLS.order.width, { align: 'left' });
+  if (stop.window) drawText(doc, windowText(stop.window), COLS.order.x, y + 12, COLS.order.width, { size: 8, color: GREY, align: 'left' });
+  drawText(doc, stop.name, COLS.customer.x, y, COLS.customer.width, { align: 'left' });
+  drawText(doc, [stop.phone, stop.whatsapp && stop.whatsapp !== stop.phone ? `WA ${stop.whatsapp}` : ''].filter(Boolean).join('  '),
+    COLS.customer.x, y + 12, COLS.customer.width, { size: 8, color: GREY, align: 'left' });
+  drawText(doc, stop.address, COLS.address.x, y, COLS.address.width, { align: 'left' });
+  drawText(doc, [stop.landmark, stop.notes].filter(Boolean).join(' — '), COLS.address.x, y + 12, COLS.address.width,
+    { size: 8, color: GREY, align: 'left' });
+  drawText(doc, stop.cod ? formatMoney(stop.cod.amount, stop.cod.currency) : 'Paid', COLS.cod.x, y, COLS.cod.width,
+    { bold: Boolean(stop.cod), align: 'left' });
+  if (stop.point) {
+    doc.font('regular').fontSize(9).fillColor(LINK)
+      .text('Open map', COLS.map.x, y, { width: COLS.map.width, link: mapsLink(stop.point), underline: true, lineBreak: false });
+  }
+  return y + 28;
+};
+
+/**
+ * Draw a manifest to a PDF: each run on its own page, its stops in driving
+ * order; then, per zone, the orders that could not be routed.
+ *
+ * @param {{ day: string, zones: object[] }} manifest - from DeliveryRunService.plan()
+ * @returns {Promise<Buffer>}
+ */
+export const renderManifestPdf = ({ day, zones }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ ...PAGE, info: { Title: `Nubian delivery manifest ${day}`, Author: 'Nubian' } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    registerFonts(doc);
+
+    let first = true;
+    const newPage = () => {
+      if (!first) doc.addPage(PAGE);
+      first = false;
+      return PAGE.margin;
+    };
+
+    for (const zone of zones) {
+      const sections = [
+        ...zone.runs.map((run) => ({ heading: (y) => drawRunHeading(doc, y, zone, run, day), stops: run.stops })),
+        ...(zone.unrouted.length
+          ? [{
+              heading: (y) => {
+                drawText(doc, `${zone.zoneName} — Not pinned`, LEFT, y, 400, { bold: true, size: 13, align: 'left' });
+                drawText(doc, 'Place these by phone before the runs leave.', LEFT, y + 20, 400, { color: GREY, align: 'left' });
+                return drawColumns(doc, y + 38);
+              },
+              stops: zone.unrouted,
+            }]
+          : []),
+      ];
+      for (const section of sections) {
+        let y = section.heading(newPage());
+        for (const stop of section.stops) {
+          if (y + 28 > BOTTOM) y = drawColumns(doc, newPage());
+          y = drawStop(doc, y, stop);
+        }
+      }
+    }
+    if (first) drawText(doc, `No confirmed orders to deliver on ${day}.`, LEFT, PAGE.margin, 400, { align: 'left' });
+
+    doc.end();
+  });
+
+// ─── DeliveryRunService ──────────────────────────────────────────────────────
+
+/**
+ * A day's confirmed orders, per zone, cut into runs from the depot
+ * (lib/deliveryRuns.js), and the manifest couriers take out on them.
+ */
+class DeliveryRunService {
+  /**
+   * Plan the day.
+   *
+   * The day's orders are the confirmed ones booked into one of its delivery
+   * windows, and the confirmed ones with no window placed by the end of it —
+   * an unscheduled order waits for the next run out.
+   *
+   * @param {object} [options]
+   * @param {string} [options.day]      - YYYY-MM-DD, Khartoum; today by default
+   * @param {string} [options.zoneId]   - one zone only
+   * @param {{ lat: number, lng: number }} [options.depot] - ROUTE_DEPOT_LAT/LNG by default
+   * @param {number} [options.maxStops] - ROUTE_MAX_STOPS by default
+   * @returns {Promise<{ day, depot, maxStops, zones: object[] }>}
+   * @throws ServiceError 400 DEPOT_REQUIRED
+   */
+  async plan({ day = settlementDay(), zoneId = null, depot = null, maxStops = null } = {}) {
+    const from = depot || envDepot();
+    if (!from) {
+      throw new ServiceError(
+        'Set ROUTE_DEPOT_LAT and ROUTE_DEPOT_LNG, or pass depotLat and depotLng',
+        'DEPOT_REQUIRED',
+        400
+      );
+    }
+    const perRun = maxStops || maxStopsPerRun();
+
+    const { end } = dayBounds(day);
+    const orders = await Order.find({
+      status: 'confirmed',
+      ...(zoneId ? { 'shipping.zone': zoneId } : {}),
+      $or: [
+        { 'deliverySlot.day': day },
+        { deliverySlot: { $exists: false }, orderDate: { $lt: end } },
+      ],
+    })
+      .select(ORDER_FIELDS)
+      .sort({ orderDate: 1 })
+      .lean();
+
+    const byZone = new Map();
+    for (const order of orders) {
+      const key = order.shipping?.zone ? String(order.shipping.zone) : '';
+      if (!byZone.has(key)) {
+        byZone.set(key, { zoneId: order.shipping?.zone || null, zoneName: order.shipping?.zoneName || 'No zone', stops: [] });
+      }
+      byZone.get(key).stops.push(toStop(order));
+    }
+
+    const zones = [...byZone.values()]
+      .sort((a, b) => (!a.zoneId ? 1 : !b.zoneId ? -1 : a.zoneName.localeCompare(b.zoneName)))
+      .map(({ zoneId: id, zoneName, stops }) => {
+        const { runs, unrouted } = planZone(from, stops, { distance: haversineMeters, maxStops: perRun });
+        return {
+          zoneId: id,
+          zoneName,
+          runs: runs.map((run) => ({ ...run, cashToCollect: cashToCollect(run.stops) })),
+          unrouted,
+        };
+      });
+
+    return { day, depot: from, maxStops: perRun, zones };
+  }
+
+  /**
+   * The plan as a file couriers and ops can print or open in a spreadsheet.
+   *
+   * @param {'csv'|'pdf'} format
+   * @param {object} [options] - as plan()
+   * @returns {Promise<{ filename: string, contentType: string, body: string|Buffer }>}
+   */
+  async manifest(format, options = {}) {
+    const planned = await this.plan(options);
+    const filename = `manifest-${planned.day}.${format}`;
+    if (format === 'pdf') {
+      return { filename, contentType: 'application/pdf', body: await renderManifestPdf(planned) };
+    }
+    return { filename, contentType: 'text/csv; charset=utf-8', body: manifestCsv(planned.zones) };
+  }
+}
+
+export default new DeliveryRunService();
@@ -0,0 +1,264 @@
+import mongoose from 'mongoose';
+import DeliveryZone from '../models/deliveryZone.model.js';
+import DeliverySlotUsage from '../models/deliverySlotUsage.model.js';
+import Order from '../models/orders.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  parseSlotId,
+  planSlotBooking,
+  slotDay,
+  slotTemplateError,
+  slotTimes,
+  slotsForDay,
+  upcomingDays,
+  upcomingSlots,
+} from '../lib/deliverySlots.js';
+
+const DUPLICATE_KEY = 11000;
+
+const STATUS_FOR_CODE = {
+  SLOTS_UNAVAILABLE: 409,
+  INVALID_SLOT: 400,
+  SLOT_CLOSED: 409,
+};
+
+const rejectPlan = (plan) => {
+  throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400);
+};
+
+/** Orders booked per slot id, for a zone's windows on the given days. */
+const bookedOn = async (zoneId, days) => {
+  const rows = await DeliverySlotUsage.find({ zone: zoneId, day: { $in: days } }).select('slotId booked').lean();
+  return new Map(rows.map((r) => [r.slotId, r.booked]));
+};
+
+/** What a shopper or an admin sees of a window. */
+const present = ({ id, day, start, end, startsAt, endsAt, cutoffAt, remaining, available }) => ({
+  id, day, start, end, startsAt, endsAt, cutoffAt, remaining, available,
+});
+
+// ─── DeliverySlotService ─────────────────────────────────────────────────────
+
+/**
+ * Scheduled delivery windows: what checkout offers, taking and giving back a
+ * window's places, and the admin side (templates and the capacity view). The
+ * rules live in lib/deliverySlots.js.
+ */
+class DeliverySlotService {
+  /**
+   * The windows checkout offers at an address, or null when its zone does
+   * not offer scheduled delivery (so the app hides the picker).
+   *
+   * @param {object|null} zone - the zone covering the address, with `slots`
+   * @param {{ now?: Date }} [options]
+   * @returns {Promise<object[]|null>}
+   */
+  async offered(zone, { now = new Date() } = {}) {
+    if (!zone?.slots?.enabled) return null;
+    const booked = await bookedOn(zone._id, upcomingDays(zone.slots, now));
+    return upcomingSlots(zone.slots, { booked, now }).map(present);
+  }
+
+  /**
+   * Check the shopper's pick before anything is written. Capacity is only
+   * known for sure when the order takes its place (reserve).
+   *
+   * @param {object|null} zone
+   * @param {string} slotId
+   * @returns {Promise<object>} the booking to pass to reserve()
+   * @throws ServiceError 400 INVALID_SLOT, 409 SLOTS_UNAVAILABLE / SLOT_CLOSED / SLOT_FULL
+   */
+  async plan(zone, slotId) {
+    const plan = planSlotBooking(zone?.slots, slotId);
+    if (!plan.ok) rejectPlan(plan);
+    const booking = { zone: zone._id, ...plan.value };
+
+    // Make sure the counter exists, so reserve() is a plain conditional
+    // $inc inside the order transaction rather than an upsert racing others.
+    try {
+      await DeliverySlotUsage.updateOne(
+        { zone: booking.zone, slotId: booking.id },
+        { $setOnInsert: { day: booking.day, start: booking.start, end: booking.end } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+    }
+
+    const usage = await DeliverySlotUsage.findOne({ zone: booking.zone, slotId: booking.id }).select('booked').lean();
+    if (usage && usage.booked >= booking.capacity) throw this.#full();
+    return booking;
+  }
+
+  /**
+   * Take a place in the window, inside the order transaction: the order and
+   * its place are written together or not at all.
+   *
+   * @param {object} booking - from plan()
+   * @param {{ session: import('mongoose').ClientSession }} options
+   * @returns {Promise<object>} the snapshot to store as `order.deliverySlot`
+   * @throws ServiceError 409 SLOT_FULL
+   */
+  async reserve(booking, { session }) {
+    const taken = await DeliverySlotUsage.findOneAndUpdate(
+      { zone: booking.zone, slotId: booking.id, booked: { $lt: booking.capacity } },
+      { $inc: { booked: 1 } },
+      { new: true, session }
+    );
+    if (!taken) throw this.#full();
+
+    return {
+      zone: booking.zone,
+      slotId: booking.id,
+      day: booking.day,
+      start: booking.start,
+      end: booking.end,
+      startsAt: booking.startsAt,
+      endsAt: booking.endsAt,
+    };
+  }
+
+  /**
+   * Give a cancelled order's place back. The order is marked and the place
+   * given back in one transaction, so a failed decrement leaves the order
+   * unmarked for a retry, and a repeat finds it marked and does nothing.
+   *
+   * @param {{ _id, orderNumber: string }} order
+   * @returns {Promise<boolean>} whether a place was given back
+   */
+  async releaseForOrder(order) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const marked = await Order.findOneAndUpdate(
+        { _id: order._id, deliverySlot: { $exists: true }, 'deliverySlot.releasedAt': null },
+        { $set: { 'deliverySlot.releasedAt': new Date() } },
+        { new: true, session }
+      ).select('deliverySlot').lean();
+      if (!marked?.deliverySlot) {
+        await session.abortTransaction();
+        return false;
+      }
+
+      const { zone, slotId } = marked.deliverySlot;
+      await DeliverySlotUsage.updateOne({ zone, slotId, booked: { $gt: 0 } }, { $inc: { booked: -1 } }, { session });
+      await session.commitTransaction();
+
+      logger.info('Delivery slot released', { orderNumber: order.orderNumber, slotId });
+      return true;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /** Admin: the platform zones and the delivery windows each offers. */
+  async zones() {
+    return DeliveryZone.find({ merchant: null })
+      .select('name nameAr isActive priority slots')
+      .sort({ isActive: -1, priority: -1, name: 1 })
+      .lean();
+  }
+
+  /**
+   * Admin: replace a platform zone's slot settings.
+   *
+   * @param {string} zoneId
+   * @param {{ enabled?: boolean, daysAhead?: number, templates?: object[] }} slots
+   * @param {string} adminId
+   * @returns {Promise<object>} the zone's `slots`
+   */
+  async updateTemplates(zoneId, slots, adminId) {
+    const error = slotTemplateError(slots.templates);
+    if (error) throw new ServiceError(error, 'INVALID_SLOT_TEMPLATES', 400);
+
+    const set = {};
+    if (slots.enabled !== undefined) set['slots.enabled'] = slots.enabled;
+    if (slots.daysAhead !== undefined) set['slots.daysAhead'] = slots.daysAhead;
+    if (slots.templates !== undefined) set['slots.templates'] = slots.templates;
+
+    const zone = await DeliveryZone.findOneAndUpdate(
+      { _id: zoneId, merchant: null },
+      { $set: set },
+      { new: true, runValidators: true }
+    ).select('name slots').lean();
+    if (!zone) throw new ServiceError('Delivery zone not found', 'NOT_FOUND', 404);
+
+    logger.info('Delivery slot templates updated', {
+      zoneId: String(zoneId),
+      adminId,
+      enabled: zone.slots.enabled,
+      templates: zone.slots.templates.length,
+    });
+    return zone.slots;
+  }
+
+  /**
+   * Admin: one zone's windows on one day — capacity, booked, what is left —
+   * and the orders in each. Windows booked before a template was changed
+   * still show, under the capacity they no longer have (null).
+   *
+   * @param {string} zoneId
+   * @param {string} [day] - `YYYY-MM-DD`, Khartoum; today by default
+   * @returns {Promise<{ zone: object, day: string, slots: object[], totals: object }>}
+   */
+  async capacity(zoneId, day = slotDay()) {
+    const zone = await DeliveryZone.findOne({ _id: zoneId, merchant: null }).select('name nameAr slots').lean();
+    if (!zone) throw new ServiceError('Delivery zone not found', 'NOT_FOUND', 404);
+
+    const [booked, orders] = await Promise.all([
+      bookedOn(zone._id, [day]),
+      Order.find({ 'deliverySlot.zone': zone._id, 'deliverySlot.day': day, 'deliverySlot.releasedAt': null })
+        .select('orderNumber status deliverySlot.slotId')
+        .sort({ orderDate: 1 })
+        .lean(),
+    ]);
+
+    const ordersBySlot = new Map();
+    for (const o of orders) {
+      const list = ordersBySlot.get(o.deliverySlot.slotId) || [];
+      list.push({ _id: o._id, orderNumber: o.orderNumber, status: o.status });
+      ordersBySlot.set(o.deliverySlot.slotId, list);
+    }
+
+    const current = slotsForDay(zone.slots, day, { booked }).map((s) => ({
+      ...present(s),
+      capacity: s.capacity,
+      booked: s.booked,
+      open: s.open,
+      orders: ordersBySlot.get(s.id) || [],
+    }));
+    const retired = [...booked]
+      .filter(([id, n]) => n > 0 && !current.some((s) => s.id === id))
+      .map(([id, n]) => {
+        const { start, end } = parseSlotId(id);
+        const { startsAt, endsAt } = slotTimes(day, { start, end });
+        return {
+          id, day, start, end, startsAt, endsAt,
+          capacity: null, booked: n, remaining: 0, open: false, available: false,
+          orders: ordersBySlot.get(id) || [],
+        };
+      });
+
+    const slots = [...current, ...retired].sort((a, b) => a.startsAt - b.startsAt);
+    return {
+      zone: { _id: zone._id, name: zone.name, nameAr: zone.nameAr, enabled: Boolean(zone.slots?.enabled) },
+      day,
+      slots,
+      totals: {
+        capacity: current.reduce((sum, s) => sum + s.capacity, 0),
+        booked: slots.reduce((sum, s) => sum + s.booked, 0),
+      },
+    };
+  }
+
+  #full() {
+    return new ServiceError('That delivery window is full — pick another', 'SLOT_FULL', 409);
+  }
+}
+
+export default new DeliverySlotService();
@@ -0,0 +1,509 @@
+import Courier from '../models/courier.model.js';
+import DeliveryJob from '../models/deliveryJob.model.js';
+import Order from '../models/orders.model.js';
+import User from '../models/user.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import { expectedCash } from '../lib/cod.js';
+import {
+  DEFAULT_LOCATION_MAX_AGE_MINUTES,
+  DEFAULT_MAX_ACTIVE_JOBS,
+  DEFAULT_MAX_DISTANCE_KM,
+  ORDER_STATUS_FOR_JOB,
+  isLocationFresh,
+  planAssignment,
+  planJobMove,
+  pickCourier,
+} from '../lib/dispatch.js';
+import deliveryCodeService from './deliveryCode.service.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import { handleDeliveryDispatch } from './notificationEventHandlers.js';
+
+const DUPLICATE_KEY = 11000;
+
+/** How many of the nearest couriers are weighed for one job. */
+const NEAREST_CANDIDATES = 20;
+
+const STATUS_FOR_CODE = {
+  SHIPMENT_REQUIRED: 400,
+  NOT_FOUND: 404,
+  NOT_DISPATCHABLE: 409,
+  ALREADY_ASSIGNED: 409,
+  INVALID_STATUS: 400,
+  INVALID_JOB_TRANSITION: 409,
+};
+
+const positiveEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+// Read per call, like BANKAK_PAYMENT_HOURS.
+const maxActiveJobs = () => positiveEnv('DISPATCH_MAX_ACTIVE_JOBS', DEFAULT_MAX_ACTIVE_JOBS);
+const locationMaxAgeMinutes = () => positiveEnv('DISPATCH_LOCATION_MAX_AGE_MINUTES', DEFAULT_LOCATION_MAX_AGE_MINUTES);
+const maxDistanceKm = () => positiveEnv('DISPATCH_MAX_DISTANCE_KM', DEFAULT_MAX_DISTANCE_KM);
+
+const rejectPlan = (plan) => {
+  throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400);
+};
+
+const alreadyAssigned = () =>
+  new ServiceError('A courier already has this delivery', 'ALREADY_ASSIGNED', 409);
+
+const notify = (order, job, courier, kind) => {
+  handleDeliveryDispatch(order, job, courier, kind).catch((error) => {
+    logger.error('Failed to send dispatch notification', { error: error.message, jobId: String(job._id), kind });
+  });
+};
+
+const ORDER_FIELDS = 'orderNumber user status fulfillments addressSnapshot';
+
+/** What a courier needs to find the door, and what to take there. */
+const forCourier = (job, order) => ({
+  _id: job._id,
+  status: job.status,
+  orderNumber: job.orderNumber,
+  order: job.order,
+  fulfillment: job.fulfillment,
+  assignedAt: job.assignedAt,
+  acceptedAt: job.acceptedAt,
+  pickedUpAt: job.pickedUpAt,
+  distanceMeters: job.distanceMeters,
+  dropOff: order
+    ? {
+        name: order.addressSnapshot?.name || '',
+        phone: order.addressSnapshot?.phone || '',
+        formattedAddress: order.addressSnapshot?.formattedAddress || '',
+        landmark: order.addressSnapshot?.landmark || '',
+        notes: order.addressSnapshot?.notes || '',
+        location: order.addressSnapshot?.location || null,
+      }
+    : null,
+  // Cash to take at the door; null when the order is paid some other way.
+  collect: order?.paymentMethod === 'CASH' && order.paymentStatus !== 'paid' ? expectedCash(order) : null,
+});
+
+// ─── DispatchService ─────────────────────────────────────────────────────────
+
+class DispatchService {
+  /**
+   * Admin: give an order (or one store's shipment) to a courier — the one
+   * named, or the nearest available one when none is.
+   *
+   * @param {object} params
+   * @param {string} params.orderId
+   * @param {string} [params.fulfillmentId] - required on an order split by store
+   * @param {string} [params.courierId]     - omit to pick the nearest
+   * @param {string} [params.adminId]
+   * @returns {Promise<DeliveryJob>}
+   * @throws ServiceError 404 NO_COURIER_AVAILABLE, 409 ALREADY_ASSIGNED, NO_DELIVERY_PIN
+   */
+  async assign({ orderId, fulfillmentId = null, courierId = null, adminId = null }) {
+    const order = await Order.findById(orderId).select(ORDER_FIELDS).lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const hasOpenJob = await DeliveryJob.exists({ order: order._id, fulfillment: fulfillmentId, open: true });
+    const plan = planAssignment(order, { fulfillmentId, hasOpenJob: Boolean(hasOpenJob) });
+    if (!plan.ok) rejectPlan(plan);
+
+    let courier;
+    let distanceMeters = null;
+    if (courierId) {
+      courier = await Courier.findOne({ _id: courierId, active: true, kind: 'courier' }).select('fullName phone').lean();
+      if (!courier) throw new ServiceError('Courier not found', 'COURIER_NOT_FOUND', 404);
+    } else {
+      const exclude = await DeliveryJob.distinct('courier', {
+        order: order._id,
+        fulfillment: fulfillmentId,
+        status: 'declined',
+      });
+      courier = await this.#nearestAvailable(order, { exclude });
+      if (!courier) {
+        throw new ServiceError('No courier is available near this address', 'NO_COURIER_AVAILABLE', 404);
+      }
+      distanceMeters = Math.round(courier.distanceMeters);
+    }
+
+    return this.#open(order, {
+      fulfillmentId,
+      courier,
+      assignment: courierId ? 'manual' : 'nearest',
+      assignedBy: adminId,
+      distanceMeters,
+    });
+  }
+
+  /**
+   * Admin: the couriers nearest-courier dispatch would weigh for an order,
+   * nearest first, with how many jobs each already holds.
+   *
+   * @param {string} orderId
+   * @returns {Promise<object[]>}
+   */
+  async nearby(orderId) {
+    const order = await Order.findById(orderId).select('addressSnapshot').lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const candidates = await this.#candidates(order);
+    const openJobs = await this.#openJobCounts(candidates.map((c) => c._id));
+    const limit = maxActiveJobs();
+    return candidates.map((c) => {
+      const jobs = openJobs.get(String(c._id)) || 0;
+      return { ...c, distanceMeters: Math.round(c.distanceMeters), openJobs: jobs, hasRoom: jobs < limit };
+    });
+  }
+
+  /**
+   * Admin: the dispatch board, latest first.
+   *
+   * @param {{ status?: string, courierId?: string, orderId?: string, open?: boolean, page: number, limit: number }} filter
+   * @returns {Promise<{ jobs: object[], total: number }>}
+   */
+  async list({ status, courierId, orderId, open, page = 1, limit = 20 } = {}) {
+    const query = {};
+    if (status) query.status = status;
+    if (courierId) query.courier = courierId;
+    if (orderId) query.order = orderId;
+    if (open !== undefined) query.open = open;
+
+    const [jobs, total] = await Promise.all([
+      DeliveryJob.find(query)
+        .sort({ assignedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('courier', 'fullName phone availability locationUpdatedAt')
+        .lean(),
+      DeliveryJob.countDocuments(query),
+    ]);
+    return { jobs, total };
+  }
+
+  /**
+   * Admin: take a job back before the parcel leaves the store, so the order
+   * can be given to someone else.
+   *
+   * @param {string} jobId
+   * @param {{ adminId?: string, reason: string }} options
+   * @returns {Promise<DeliveryJob>}
+   */
+  async cancel(jobId, { adminId = null, reason }) {
+    const job = await DeliveryJob.findById(jobId).lean();
+    if (!job) throw new ServiceError('Job not found', 'NOT_FOUND', 404);
+
+    const closed = await this.#move(job, 'cancelled', { closeReason: reason });
+    logger.info('Delivery job cancelled', { jobId: String(job._id), orderId: String(job.order), adminId });
+    return closed;
+  }
+
+  // ─── Courier ───────────────────────────────────────────────────────────────
+
+  /**
+   * Courier: start or stop taking jobs. Going offline keeps the jobs already
+   * held; it only stops new ones arriving.
+   *
+   * @param {string} courierId
+   * @param {'offline'|'available'} availability
+   * @returns {Promise<Courier>}
+   */
+  async setAvailability(courierId, availability) {
+    const courier = await Courier.findByIdAndUpdate(
+      courierId,
+      { $set: { availability } },
+      { new: true }
+    ).select('fullName availability locationUpdatedAt').lean();
+    if (!courier) throw new ServiceError('Courier not found', 'COURIER_NOT_FOUND', 404);
+    return courier;
+  }
+
+  /**
+   * Courier: where they are now. Only the latest ping is kept.
+   *
+   * @param {string} courierId
+   * @param {{ lat: number, lng: number, accuracyMeters?: number }} ping
+   * @returns {Promise<{ locationUpdatedAt: Date }>}
+   */
+  async ping(courierId, { lat, lng, accuracyMeters = null }) {
+    const locationUpdatedAt = new Date();
+    await Courier.updateOne(
+      { _id: courierId },
+      {
+        $set: {
+          location: { type: 'Point', coordinates: [lng, lat] },
+          locationAccuracyMeters: accuracyMeters,
+          locationUpdatedAt,
+        },
+      }
+    );
+    return { locationUpdatedAt };
+  }
+
+  /**
+   * Courier: their jobs, open ones first by default.
+   *
+   * @param {string} courierId
+   * @param {{ open?: boolean }} [filter]
+   * @returns {Promise<object[]>}
+   */
+  async myJobs(courierId, { open = true } = {}) {
+    const jobs = await DeliveryJob.find({ courier: courierId, open })
+      .sort({ assignedAt: -1 })
+      .limit(open ? 50 : 100)
+      .lean();
+
+    const orders = await Order.find({ _id: { $in: jobs.map((j) => j.order) } })
+      .select('addressSnapshot paymentMethod paymentStatus currencyCodeSelected finalAmount finalAmountConverted')
+      .lean();
+    const byId = new Map(orders.map((o) => [String(o._id), o]));
+    return jobs.map((job) => forCourier(job, byId.get(String(job.order))));
+  }
+
+  /** Courier: take the job on. */
+  async accept(courierId, jobId) {
+    const job = await this.#courierJob(courierId, jobId);
+    const accepted = await this.#move(job, 'accepted', { acceptedAt: new Date() });
+
+    const [order, courier] = await Promise.all([
+      Order.findById(job.order).select('orderNumber user').lean(),
+      Courier.findById(courierId).select('fullName phone').lean(),
+    ]);
+    if (order && courier) notify(order, accepted, courier, 'accepted');
+    return accepted;
+  }
+
+  /**
+   * Courier: turn the job down. When dispatch picked them, it tries the next
+   * nearest courier straight away; otherwise the order waits for an admin.
+   *
+   * @returns {Promise<{ job: DeliveryJob, reassignedTo: DeliveryJob|null }>}
+   */
+  async decline(courierId, jobId, { reason = null } = {}) {
+    const job = await this.#courierJob(courierId, jobId);
+    const declined = await this.#move(job, 'declined', { closeReason: reason });
+    logger.info('Delivery job declined', { jobId: String(job._id), orderId: String(job.order), courierId: String(courierId) });
+
+    let reassignedTo = null;
+    if (job.assignment === 'nearest') {
+      try {
+        reassignedTo = await this.assign({ orderId: job.order, fulfillmentId: job.fulfillment });
+      } catch (error) {
+        logger.warn('Could not reassign a declined delivery', { jobId: String(job._id), orderId: String(job.order), code: error.code, error: error.message });
+      }
+    }
+    return { job: declined, reassignedTo };
+  }
+
+  /** Courier: the parcel is in hand. The order goes out for delivery. */
+  async pickUp(courierId, jobId) {
+    const job = await this.#courierJob(courierId, jobId);
+    return this.#moveWithOrder(job, 'picked_up', { pickedUpAt: new Date() });
+  }
+
+  /**
+   * Courier: handed over at the door, with a photo as proof and the code the
+   * shopper read out. The order is delivered. The code is required whenever
+   * one was issued; only parcels that left the store before codes existed
+   * go on the photo alone.
+   *
+   * @param {string} courierId
+   * @param {string} jobId
+   * @param {{ photoUrl: string, lat?: number, lng?: number, code?: string }} proof
+   * @returns {Promise<DeliveryJob>}
+   */
+  async deliver(courierId, jobId, { photoUrl, lat, lng, code = null }) {
+    const job = await this.#courierJob(courierId, jobId);
+    if (!code && await deliveryCodeService.isPending(job.order, job.fulfillment)) {
+      throw new ServiceError('Ask the shopper for their delivery code', 'DELIVERY_CODE_REQUIRED', 400);
+    }
+
+    return this.#moveWithOrder(
+      job,
+      'delivered',
+      {
+        deliveredAt: new Date(),
+        'proof.photoUrl': photoUrl,
+        ...(lat != null && lng != null ? { 'proof.location': { type: 'Point', coordinates: [lng, lat] } } : {}),
+      },
+      { code, proof: { photoUrl, lat, lng } }
+    );
+  }
+
+  /** Courier: nobody would take it. The parcel goes back and the order is returned. */
+  async bringBack(courierId, jobId, { reason }) {
+    const job = await this.#courierJob(courierId, jobId);
+    return this.#moveWithOrder(job, 'returned', { closeReason: reason }, { reason });
+  }
+
+  // ─── Shopper ───────────────────────────────────────────────────────────────
+
+  /**
+   * Shopper: who is bringing their order, and — once the parcel is on its
+   * way — where they are. One entry per shipment that has a courier.
+   *
+   * @param {string} clerkUserId
+   * @param {string} orderId
+   * @returns {Promise<object[]>}
+   */
+  async deliveryFor(clerkUserId, orderId) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+    const order = await Order.exists({ _id: orderId, user: user._id });
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const jobs = await DeliveryJob.find({ order: orderId, status: { $nin: ['declined', 'cancelled'] } })
+      .sort({ assignedAt: -1 })
+      .populate('courier', 'fullName phone location locationUpdatedAt')
+      .lean();
+
+    // Latest job per shipment.
+    const latest = new Map();
+    for (const job of jobs) {
+      const key = String(job.fulfillment);
+      if (!latest.has(key)) latest.set(key, job);
+    }
+
+    return [...latest.values()].map((job) => ({
+      fulfillment: job.fulfillment,
+      status: job.status,
+      courier: job.courier
+        ? { firstName: String(job.courier.fullName || '').split(' ')[0], phone: job.courier.phone }
+        : null,
+      // Only while the parcel is on its way — a courier's whereabouts are
+      // nobody's business before or after — and only while the pin is fresh
+      // enough not to mislead.
+      courierLocation: job.status === 'picked_up' && job.courier?.location?.coordinates?.length &&
+        isLocationFresh(job.courier, { maxAgeMinutes: locationMaxAgeMinutes() })
+        ? { ...job.courier.location, updatedAt: job.courier.locationUpdatedAt }
+        : null,
+      pickedUpAt: job.pickedUpAt,
+      deliveredAt: job.deliveredAt,
+      proofPhotoUrl: job.proof?.photoUrl || null,
+    }));
+  }
+
+  // ─── internals ─────────────────────────────────────────────────────────────
+
+  async #open(order, { fulfillmentId, courier, assignment, assignedBy, distanceMeters }) {
+    let job;
+    try {
+      job = await DeliveryJob.create({
+        order: order._id,
+        orderNumber: order.orderNumber,
+        fulfillment: fulfillmentId,
+        courier: courier._id,
+        assignment,
+        assignedBy,
+        distanceMeters,
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY) throw alreadyAssigned();
+      throw error;
+    }
+
+    logger.info('Delivery job assigned', {
+      jobId: String(job._id),
+      orderId: String(order._id),
+      fulfillmentId: fulfillmentId ? String(fulfillmentId) : null,
+      courierId: String(courier._id),
+      assignment,
+      distanceMeters,
+    });
+    notify(order, job, courier, 'assigned');
+    return job;
+  }
+
+  /** Available couriers near the drop-off with a fresh location, nearest first. */
+  async #candidates(order, { exclude = [] } = {}) {
+    const near = order.addressSnapshot?.location;
+    if (!near?.coordinates?.length) {
+      throw new ServiceError('This order has no delivery pin to dispatch from', 'NO_DELIVERY_PIN', 409);
+    }
+
+    const freshSince = new Date(Date.now() - locationMaxAgeMinutes() * 60 * 1000);
+    return Courier.aggregate([
+      {
+        $geoNear: {
+          near,
+          distanceField: 'distanceMeters',
+          maxDistance: maxDistanceKm() * 1000,
+          spherical: true,
+          query: {
+            _id: { $nin: exclude },
+            active: true,
+            kind: 'courier',
+            availability: 'available',
+            locationUpdatedAt: { $gte: freshSince },
+          },
+        },
+      },
+      { $limit: NEAREST_CANDIDATES },
+      { $project: { fullName: 1, phone: 1, distanceMeters: 1, locationUpdatedAt: 1 } },
+    ]);
+  }
+
+  async #nearestAvailable(order, { exclude }) {
+    const candidates = await this.#candidates(order, { exclude });
+    const openJobs = await this.#openJobCounts(candidates.map((c) => c._id));
+    return pickCourier(candidates, openJobs, maxActiveJobs());
+  }
+
+  async #openJobCounts(courierIds) {
+    if (!courierIds.length) return new Map();
+    const counts = await DeliveryJob.aggregate([
+      { $match: { courier: { $in: courierIds }, open: true } },
+      { $group: { _id: '$courier', count: { $sum: 1 } } },
+    ]);
+    return new Map(counts.map((c) => [String(c._id), c.count]));
+  }
+
+  async #courierJob(courierId, jobId) {
+    const job = await DeliveryJob.findOne({ _id: jobId, courier: courierId }).lean();
+    if (!job) throw new ServiceError('Job not found', 'NOT_FOUND', 404);
+    return job;
+  }
+
+  /**
+   * Move a job along, guarded on the status it was read at so two taps (or
+   * a courier and an admin) cannot both win.
+   */
+  async #move(job, to, set = {}) {
+    const plan = planJobMove({ from: job.status, to });
+    if (!plan.ok) rejectPlan(plan);
+
+    const closes = !['accepted', 'picked_up'].includes(to);
+    const moved = await DeliveryJob.findOneAndUpdate(
+      { _id: job._id, status: job.status },
+      { $set: { status: to, ...set, ...(closes ? { open: false, closedAt: new Date() } : {}) } },
+      { new: true }
+    ).lean();
+    if (!moved) {
+      throw new ServiceError('This job changed while you were updating it — reload and try again', 'JOB_CONFLICT', 409);
+    }
+    return moved;
+  }
+
+  /**
+   * A move that carries the order with it. The order goes first: if the
+   * lifecycle refuses (the store has not packed it, the shopper cancelled,
+   * the delivery code is wrong) the job stays where it was.
+   */
+  async #moveWithOrder(job, to, set, { reason = null, code = null, proof = {} } = {}) {
+    const plan = planJobMove({ from: job.status, to });
+    if (!plan.ok) rejectPlan(plan);
+
+    const orderStatus = ORDER_STATUS_FOR_JOB[to];
+    const actor = { type: 'courier', id: String(job.courier) };
+    if (code) {
+      await orderLifecycleService.confirmDelivery(job.order, { code, fulfillmentId: job.fulfillment, proof }, actor);
+    } else if (job.fulfillment) {
+      await orderLifecycleService.transitionFulfillment(job.order, job.fulfillment, orderStatus, actor, { reason });
+    } else {
+      await orderLifecycleService.transition(job.order, orderStatus, actor, { reason });
+    }
+
+    const moved = await this.#move(job, to, set);
+    logger.info('Delivery job moved', { jobId: String(job._id), orderId: String(job.order), to });
+    return moved;
+  }
+}
+
+export default new DispatchService();
@@ -1,7 +1,10 @@
 import disputeRepository from "../repositories/dispute.repository.js";
-import merchantRepository from "../repositories/merchant.repository.js";
+import ledgerService from "./ledger.service.js";
+import refundService from "./refund.service.js";
 import mongoose from "mongoose";
 import logger from "../lib/logger.js";
+import { ServiceError } from "../lib/errors.js";
+import { settleDispute } from "../lib/refunds.js";
 
 class DisputeService {
 
@@ -28,8 +31,9 @@ class DisputeService {
 
         const dispute = await disputeRepository.createDispute(disputeData, session); // Need to pass session to repo
 
-        // Freeze balance
-        await merchantRepository.freezeBalance(ticketData.relatedMerchantId, amount, session);
+        // Freeze balance — a ledger move from the store's balance to its held
+        // amount, in the same transaction as the dispute.
+        await ledgerService.postDisputeFreeze(dispute, { session });
 
         await session.commitTransaction();
         return dispute;
@@ -45,38 +49,45 @@ class DisputeService {
   /**
    * Resolve Dispute
    * resolution: 'refund_full' | 'refund_partial' | 'rejected'
+   *
+   * Whatever goes back to the shopper is recorded as a Refund in the same
+   * transaction, approved by the resolving admin, for finance to pay out and
+   * reconcile. The merchant's frozen amount is split the same way: the
+   * refunded part leaves, the rest goes back to their balance.
+   *
+   * `adminId` is the resolving admin's User id; `adminClerkId`, when given, is
+   * what the refund records as its approver, like every other refund.
    */
-  async resolveDispute(disputeId, resolution, approvedAmount, adminNote, adminId) {
+  async resolveDispute(disputeId, resolution, approvedAmount, adminNote, adminId, adminClerkId = null) {
       const session = await mongoose.startSession();
       session.startTransaction();
 
       try {
           const dispute = await disputeRepository.findById(disputeId);
-          if (!dispute) throw new Error("Dispute not found");
-          if (dispute.status !== 'pending') throw new Error("Dispute already resolved");
-
-          let status = 'pending';
-          const originalAmount = dispute.amount;
-
-          if (resolution === 'refund_full') {
-              status = 'refunded';
-              // Money leaves frozen balance permanently (refunded to user)
-              await merchantRepository.deductFrozenBalance(dispute.merchantId, originalAmount, session);
-              // TODO: Trigger Refund to User via Payment Gateway
-          } 
-          else if (resolution === 'rejected') {
-              status = 'rejected'; // Dispute lost by user, merchant keeps money
-              // Return money to main balance
-              await merchantRepository.unfreezeBalance(dispute.merchantId, originalAmount, session);
-          }
-          else if (resolution === 'refund_partial') {
-              status = 'resolved_partial';
-              // e.g. Dispute 100. Refund 50.
-              // Deduct 50 from frozen. Return 50 to balance.
-              if (!approvedAmount) throw new Error("Partial refund requires amount");
-              
-              await merchantRepository.deductFrozenBalance(dispute.merchantId, approvedAmount, session); // Refunded part
-              await merchantRepository.unfreezeBalance(dispute.merchantId, originalAmount - approvedAmount, session); // Returned part
+          if (!dispute) throw new ServiceError("Dispute not found", "NOT_FOUND", 404);
+          if (dispute.status !== 'pending') throw new ServiceError("Dispute already resolved", "DISPUTE_ALREADY_RESOLVED", 409);
+
+          const settled = settleDispute(dispute.amount, resolution, approvedAmount);
+          if (!settled.ok) throw new ServiceError(settled.message, settled.code, 400);
+          const { refund: refundAmount, release } = settled.value;
+
+          const status = {
+              refund_full: 'refunded',
+              rejected: 'rejected', // Dispute lost by user, merchant keeps money
+              refund_partial: 'resolved_partial',
+          }[resolution];
+
+          // Refunded part leaves the frozen balance permanently; the rest
+          // returns to the merchant's main balance.
+          await ledgerService.postDisputeSettle(dispute, { refund: refundAmount, release }, { session });
+
+          let refund = null;
+          if (refundAmount > 0) {
+              refund = await refundService.createForDispute(dispute, refundAmount, {
+                  adminId: adminClerkId || adminId,
+                  note: adminNote,
+                  session,
+              });
           }
 
           const update = {
@@ -92,7 +103,7 @@ class DisputeService {
           const updatedDispute = await disputeRepository.updateStatus(disputeId, update, session);
 
           await session.commitTransaction();
-          return updatedDispute;
+          return { dispute: updatedDispute, refund };
 
       } catch (error) {
           await session.abortTransaction();
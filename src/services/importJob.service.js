@@ -0,0 +1,284 @@
+import mongoose from 'mongoose';
+import Merchant from '../models/merchant.model.js';
+import ProductImportJob from '../models/productImportJob.model.js';
+import { ServiceError } from '../lib/errors.js';
+import { parseCsv, toCsv } from '../lib/csv.js';
+import { readXlsx } from '../lib/xlsx.js';
+import { IMPORT_ERROR_COLUMNS, IMPORT_FORMATS, IMPORT_SHEET_LIMITS, importRowsFrom } from '../lib/productImport.js';
+import { QUEUE_NAMES, JOB_NAMES } from '../lib/queue/queueNames.js';
+import { enqueue } from '../lib/queue/queues.js';
+import { wrap } from '../lib/queue/jobShapes.js';
+import productImportService from './productImport.service.js';
+import logger from '../lib/logger.js';
+
+const isQueueEnabled = () => process.env.ENABLE_QUEUE === 'true';
+
+// Failed rows shown with a job; the rest are in its error report.
+const FAILURES_SHOWN = 50;
+
+const formatOf = (fileName) => {
+  const extension = String(fileName || '').toLowerCase().split('.').pop();
+  return IMPORT_FORMATS.includes(extension) ? extension : null;
+};
+
+const scoped = (jobId, merchantId) => ({ _id: jobId, ...(merchantId ? { merchant: merchantId } : {}) });
+
+const byFirstLine = (a, b) => (a.lines[0] ?? 0) - (b.lines[0] ?? 0);
+
+/**
+ * Product files uploaded for import: checked as a dry run when uploaded, then
+ * written by the import worker once the store starts them, so a catalogue of
+ * thousands of lines is never written inside an HTTP request. The reading is
+ * lib/productImport.js; the validating and writing, productImport.service.js —
+ * the same code the JSON bulk import runs.
+ */
+class ImportJobService {
+  /**
+   * Read and dry-run an uploaded file, and keep it for the run.
+   *
+   * @param {object} upload
+   * @param {string|ObjectId} upload.merchantId - the store the products go to
+   * @param {{ originalname: string, buffer: Buffer, size: number }} upload.file - from multer
+   * @param {{ type: 'admin'|'merchant', id?: string }} upload.actor
+   * @returns {Promise<object>} the job, `validated`
+   * @throws ServiceError MERCHANT_NOT_FOUND, UNSUPPORTED_FILE, INVALID_FILE, EMPTY_FILE,
+   *   MISSING_COLUMNS, TOO_MANY_LINES
+   */
+  async createFromFile({ merchantId, file, actor }) {
+    const format = formatOf(file?.originalname);
+    if (!format) {
+      throw new ServiceError(`Upload a ${IMPORT_FORMATS.map((f) => `.${f}`).join(' or ')} file`, 'UNSUPPORTED_FILE', 400);
+    }
+    if (!(await Merchant.exists({ _id: merchantId }))) {
+      throw new ServiceError('Merchant not found', 'MERCHANT_NOT_FOUND', 404);
+    }
+
+    const { report, failures } = await this.#check(merchantId, format, file.buffer);
+
+    const job = await ProductImportJob.create({
+      merchant: merchantId,
+      actorType: actor.type,
+      actorId: actor.id || null,
+      fileName: String(file.originalname).slice(0, 255),
+      format,
+      fileSize: file.size,
+      file: file.buffer,
+      report,
+      failures,
+    });
+
+    const { file: _file, ...saved } = job.toObject();
+    return { ...saved, failures: saved.failures.slice(0, FAILURES_SHOWN) };
+  }
+
+  /**
+   * Start a checked file's import.
+   *
+   * On the import queue when there is one; without it (ENABLE_QUEUE=false) the
+   * import runs in this process once the response has gone.
+   *
+   * @param {string} jobId
+   * @param {string|ObjectId|null} merchantId - the store's own jobs only; null for admins
+   * @returns {Promise<object>} the job, `queued`
+   * @throws ServiceError IMPORT_NOT_FOUND, IMPORT_ALREADY_STARTED, NOTHING_TO_IMPORT, QUEUE_UNAVAILABLE
+   */
+  async start(jobId, merchantId = null) {
+    const job = await ProductImportJob.findOne(scoped(jobId, merchantId)).select('status report').lean();
+    if (!job) throw new ServiceError('Import not found', 'IMPORT_NOT_FOUND', 404);
+    if (job.status !== 'validated') {
+      throw new ServiceError('This import has already been started', 'IMPORT_ALREADY_STARTED', 409);
+    }
+    if (!job.report.valid) {
+      throw new ServiceError('No product in this file passed the check — fix the file and upload it again', 'NOTHING_TO_IMPORT', 409);
+    }
+
+    // Conditional, so a double tap queues the file once.
+    const queued = await ProductImportJob.findOneAndUpdate(
+      { _id: job._id, status: 'validated' },
+      { $set: { status: 'queued', queuedAt: new Date() } },
+      { new: true }
+    )
+      .slice('failures', FAILURES_SHOWN)
+      .lean();
+    if (!queued) throw new ServiceError('This import has already been started', 'IMPORT_ALREADY_STARTED', 409);
+
+    if (!isQueueEnabled()) {
+      setImmediate(() => {
+        this.process(job._id).catch((error) => {
+          logger.error('Product import failed', { importJobId: String(job._id), error: error.message });
+        });
+      });
+      return queued;
+    }
+
+    try {
+      await enqueue(QUEUE_NAMES.IMPORT, JOB_NAMES.IMPORT_PRODUCTS, wrap({ importJobId: String(job._id) }), {
+        jobId: `import-${job._id}`,
+      });
+    } catch (error) {
+      // Put it back so the store can start it again.
+      await ProductImportJob.updateOne(
+        { _id: job._id, status: 'queued' },
+        { $set: { status: 'validated', queuedAt: null } }
+      );
+      logger.error('Product import enqueue failed', { importJobId: String(job._id), error: error.message });
+      throw new ServiceError('Imports cannot be started right now — try again shortly', 'QUEUE_UNAVAILABLE', 503);
+    }
+    return queued;
+  }
+
+  /**
+   * Run a started import: read the file again, check it again, and write what
+   * passes, recording progress after each batch. Run by the import worker.
+   *
+   * A job left `running` by a worker that died is taken up again — the write
+   * is an upsert by importSku, so a second run leaves the catalogue as one
+   * would.
+   *
+   * @param {string|ObjectId} importJobId
+   * @param {object} [options]
+   * @param {(written: number, total: number) => Promise<void>|void} [options.onProgress]
+   * @returns {Promise<object|null>} the result, or null when the job is not waiting to run
+   */
+  async process(importJobId, { onProgress = null } = {}) {
+    const job = await ProductImportJob.findOneAndUpdate(
+      { _id: importJobId, status: { $in: ['queued', 'running'] } },
+      { $set: { status: 'running', startedAt: new Date() } },
+      { new: true }
+    ).select('+file');
+    if (!job) return null;
+
+    try {
+      const { rows, plan, report, failures } = await this.#check(job.merchant, job.format, job.file);
+      const total = plan.ops.length;
+      await ProductImportJob.updateOne(
+        { _id: job._id },
+        { $set: { report, 'progress.total': total, 'progress.written': 0 } }
+      );
+
+      const applied = await productImportService.apply(job.merchant, plan, {
+        actor: { type: job.actorType, id: job.actorId },
+        onProgress: async (written) => {
+          await ProductImportJob.updateOne({ _id: job._id }, { $set: { 'progress.written': written } });
+          if (onProgress) await onProgress(written, total);
+        },
+      });
+
+      const allFailures = [
+        ...failures,
+        ...applied.failures.map((f) => ({
+          lines: rows[f.index]?.lines || [],
+          importSku: f.importSku,
+          stage: 'import',
+          reason: f.reason,
+        })),
+      ].sort(byFirstLine);
+      const result = { inserted: applied.insertedCount, updated: applied.updatedCount, failed: allFailures.length };
+
+      await ProductImportJob.updateOne(
+        { _id: job._id },
+        {
+          $set: { status: 'completed', result, failures: allFailures, finishedAt: new Date() },
+          $unset: { file: 1 },
+        }
+      );
+      logger.info('Product import completed', { importJobId: String(job._id), merchantId: String(job.merchant), ...result });
+      return result;
+    } catch (error) {
+      // Not retried: the store sees why and uploads the file again.
+      await ProductImportJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'failed', error: error.message, finishedAt: new Date() }, $unset: { file: 1 } }
+      );
+      throw error;
+    }
+  }
+
+  /**
+   * Imports, newest first, without their failed rows.
+   *
+   * @param {string|ObjectId|null} merchantId - one store's; null for every store's
+   * @param {{ page: number, limit: number }} paging
+   */
+  async list(merchantId, { page, limit }) {
+    const query = merchantId ? { merchant: new mongoose.Types.ObjectId(String(merchantId)) } : {};
+    const [jobs, total] = await Promise.all([
+      ProductImportJob.find(query)
+        .select('-failures')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ProductImportJob.countDocuments(query),
+    ]);
+    return { jobs, total, page, limit };
+  }
+
+  /**
+   * One import, with its first failed rows.
+   *
+   * @throws ServiceError IMPORT_NOT_FOUND
+   */
+  async get(jobId, merchantId = null) {
+    const job = await ProductImportJob.findOne(scoped(jobId, merchantId)).slice('failures', FAILURES_SHOWN).lean();
+    if (!job) throw new ServiceError('Import not found', 'IMPORT_NOT_FOUND', 404);
+    return job;
+  }
+
+  /**
+   * Every row an import turned down, as a CSV.
+   *
+   * @returns {Promise<{ filename: string, contentType: string, body: string }>}
+   * @throws ServiceError IMPORT_NOT_FOUND
+   */
+  async errorReport(jobId, merchantId = null) {
+    const job = await ProductImportJob.findOne(scoped(jobId, merchantId)).select('failures').lean();
+    if (!job) throw new ServiceError('Import not found', 'IMPORT_NOT_FOUND', 404);
+    return {
+      filename: `import-${job._id}-errors.csv`,
+      contentType: 'text/csv; charset=utf-8',
+      body: toCsv(IMPORT_ERROR_COLUMNS, job.failures),
+    };
+  }
+
+  /**
+   * Read a file and check its products, writing nothing. Every failure points
+   * at the lines it came from.
+   */
+  async #check(merchantId, format, buffer) {
+    let records;
+    try {
+      records = format === 'xlsx' ? readXlsx(buffer, IMPORT_SHEET_LIMITS) : parseCsv(buffer.toString('utf8'));
+    } catch (error) {
+      if (error.code !== 'INVALID_XLSX') throw error;
+      throw new ServiceError(error.message, 'INVALID_FILE', 400);
+    }
+
+    const read = importRowsFrom(records);
+    if (!read.ok) throw new ServiceError(read.message, read.code, 400);
+
+    const { rows } = read;
+    const plan = await productImportService.plan(merchantId, rows);
+    const failures = [
+      ...read.failures.map((f) => ({ ...f, stage: 'validation' })),
+      ...plan.failures.map((f) => ({
+        lines: rows[f.index].lines,
+        importSku: f.importSku,
+        stage: 'validation',
+        reason: f.reason,
+      })),
+    ].sort(byFirstLine);
+
+    const lines = rows.reduce((n, row) => n + row.lines.length, 0) +
+      read.failures.reduce((n, f) => n + f.lines.length, 0);
+    const report = {
+      products: rows.length + read.failures.filter((f) => f.importSku).length,
+      lines,
+      valid: plan.ops.length,
+      invalid: failures.length,
+    };
+    return { rows, plan, report, failures };
+  }
+}
+
+export default new ImportJobService();
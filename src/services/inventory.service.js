@@ -0,0 +1,471 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import Order from '../models/orders.model.js';
+import InventoryMovement from '../models/inventoryMovement.model.js';
+import stockAlertService from './stockAlert.service.js';
+import { ServiceError } from '../lib/errors.js';
+import { planAdjustment, planStockReservations, stockChanges, variantRollupPipeline } from '../lib/inventory.js';
+import logger from '../lib/logger.js';
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const DEFAULT_HISTORY_LIMIT = 20;
+
+/** A movement row for one variant; `change` is { type, before, after, actor, order?, reason? }. */
+const movementOf = (variant, { type, before, after, actor, order = null, reason = null }) => ({
+  product: variant.product,
+  variantId: variant.variantId || null,
+  sku: variant.sku || null,
+  merchant: variant.merchant || null,
+  type,
+  quantity: after - before,
+  before,
+  after,
+  actorType: actor.type,
+  actorId: actor.id ? String(actor.id) : null,
+  order: order?._id || null,
+  orderNumber: order?.orderNumber || null,
+  reason,
+});
+
+// ─── InventoryService ─────────────────────────────────────────────────────────
+
+class InventoryService {
+  /**
+   * Resolve order lines into per-variant reservations without touching the
+   * database. Run before the order transaction opens so an unreservable cart
+   * fails with a readable message instead of an aborted write.
+   *
+   * @param {Array} lines - [{ product: <Product doc>, variantId?, quantity }]
+   * @throws ServiceError when a line has no variant to draw from
+   */
+  planReservations(lines) {
+    const plan = planStockReservations(lines);
+    if (!plan.ok) {
+      throw new ServiceError(plan.message, 'PRODUCT_UNAVAILABLE', 400, [
+        { field: 'products', message: plan.message, value: plan.productId },
+      ]);
+    }
+    return plan.value;
+  }
+
+  /**
+   * Atomically take stock for every planned line.
+   *
+   * Each decrement is a conditional `$inc` guarded by `stock >= quantity`, so
+   * a concurrent buyer of the last unit gets a zero-match instead of driving
+   * stock negative. Must run inside the caller's transaction: a failed line
+   * throws, and aborting the transaction is what puts back the lines that had
+   * already been taken — along with the order that was being written.
+   *
+   * Each line is written down as a `sale` movement in the same transaction.
+   *
+   * @param {Array}  reservations - output of planReservations
+   * @param {Object} options
+   * @param {ClientSession} options.session - required
+   * @param {{ _id, orderNumber }} options.order - the order being placed
+   * @param {{ type: string, id?: string }} options.actor - the shopper
+   * @returns {Array} the reservation lines, in the shape stored on the order
+   * @throws ServiceError INSUFFICIENT_STOCK
+   */
+  async reserve(reservations, { session, order, actor }) {
+    const movements = [];
+    for (const line of reservations) {
+      const result = await Product.updateOne(
+        {
+          _id: line.product,
+          deletedAt: null,
+          variants: { $elemMatch: { _id: line.variantId, stock: { $gte: line.quantity } } },
+        },
+        { $inc: { 'variants.$.stock': -line.quantity } },
+        { session }
+      );
+
+      if (result.matchedCount === 0) {
+        logger.warn('Stock reservation failed', {
+          productId: line.product,
+          variantId: line.variantId,
+          requestedQty: line.quantity,
+        });
+        throw new ServiceError(
+          `"${line.name || 'A product in your cart'}" no longer has enough stock`,
+          'INSUFFICIENT_STOCK'
+        );
+      }
+
+      const variant = await this.#variant(line.product, line.variantId, { session });
+      movements.push(movementOf(variant, {
+        type: 'sale',
+        before: variant.stock + line.quantity,
+        after: variant.stock,
+        actor,
+        order,
+      }));
+    }
+
+    await this.syncRollups(reservations.map((l) => l.product), { session });
+    await InventoryMovement.insertMany(movements, { session });
+
+    return reservations.map(({ product, variantId, quantity }) => ({ product, variantId, quantity }));
+  }
+
+  /**
+   * Put an order's reserved stock back, exactly once.
+   *
+   * Each reservation line is flipped from unreleased to released by a
+   * conditional update before its stock moves, so a retried cancel, or an
+   * admin and a shopper cancelling at the same moment, can never restock a
+   * line twice. Once every line is back the reservation as a whole is marked
+   * `released`. Orders placed before reservations existed carry no
+   * `stockReservation` and are a no-op — they never took stock in the first
+   * place.
+   *
+   * Each line put back is written down as a movement of `type`, and raises
+   * any back-in-stock alert once committed.
+   *
+   * @param {string|ObjectId} orderId
+   * @param {object}  [options]
+   * @param {Array}   [options.products] - only release lines for these product
+   *   ids — one store's shipment. All lines when omitted.
+   * @param {'cancellation'|'return'} [options.type]
+   * @param {{ type: string, id?: string }} [options.actor] - who cancelled or
+   *   took the return
+   * @returns {{ released: boolean, lines: number }}
+   */
+  async releaseForOrder(orderId, { products = null, type = 'cancellation', actor = { type: 'system', id: null } } = {}) {
+    const only = products ? new Set(products.map(String)) : null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const order = await Order.findOne({ _id: orderId, 'stockReservation.status': 'reserved' })
+        .select('stockReservation orderNumber')
+        .session(session);
+
+      if (!order) {
+        await session.abortTransaction();
+        return { released: false, lines: 0 };
+      }
+
+      const releasedAt = new Date();
+      const released = [];
+      const movements = [];
+      for (const line of order.stockReservation.lines || []) {
+        if (line.releasedAt) continue;
+        if (only && !only.has(String(line.product))) continue;
+
+        const flipped = await Order.updateOne(
+          {
+            _id: orderId,
+            'stockReservation.lines': {
+              $elemMatch: { product: line.product, variantId: line.variantId, releasedAt: null },
+            },
+          },
+          { $set: { 'stockReservation.lines.$.releasedAt': releasedAt } },
+          { session }
+        );
+        if (flipped.modifiedCount === 0) continue;
+
+        const result = await Product.updateOne(
+          { _id: line.product, 'variants._id': line.variantId },
+          { $inc: { 'variants.$.stock': line.quantity } },
+          { session }
+        );
+        // A variant deleted since the sale has nowhere to return its units to.
+        // Not an error — but finance will ask, so leave a trace.
+        if (result.matchedCount === 0) {
+          logger.warn('Stock release skipped — variant no longer exists', {
+            orderId: String(orderId),
+            orderNumber: order.orderNumber,
+            productId: String(line.product),
+            variantId: String(line.variantId),
+            quantity: line.quantity,
+          });
+        } else {
+          const variant = await this.#variant(line.product, line.variantId, { session });
+          movements.push(movementOf(variant, {
+            type,
+            before: variant.stock - line.quantity,
+            after: variant.stock,
+            actor,
+            order,
+          }));
+        }
+        released.push(line);
+      }
+
+      // Nothing left on the order holds stock — close the reservation. On an
+      // array path `$ne: null` matches only when *no* line is still unreleased.
+      await Order.updateOne(
+        { _id: orderId, 'stockReservation.lines.releasedAt': { $ne: null } },
+        { $set: { 'stockReservation.status': 'released', 'stockReservation.releasedAt': releasedAt } },
+        { session }
+      );
+
+      await this.syncRollups(released.map((l) => l.product), { session });
+      await InventoryMovement.insertMany(movements, { session });
+
+      await session.commitTransaction();
+      stockAlertService.afterMovements(movements);
+      return { released: released.length > 0, lines: released.length };
+    } catch (error) {
+      await session.abortTransaction();
+      logger.error('Stock release failed', { orderId: String(orderId), error: error.message });
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Recompute `stock` and `finalPrice` on each product from its variants.
+   * Variant `$inc` writes skip the pre-save hook that normally maintains them.
+   */
+  async syncRollups(productIds, { session } = {}) {
+    const unique = [...new Set(productIds.map(String))];
+    for (const id of unique) {
+      await Product.updateOne({ _id: id }, variantRollupPipeline(), { session });
+    }
+  }
+
+  /**
+   * Add or remove units by hand, or set the counted figure, and write it down.
+   *
+   * `delta` moves the figure by that much with the same conditional `$inc` a
+   * sale uses, so a sale landing at the same moment is not lost. `stock` sets
+   * it outright, but only if it is still what was read: a count entered while
+   * an order was taking units would otherwise erase the sale.
+   *
+   * @param {string|ObjectId} productId
+   * @param {string|ObjectId} variantId
+   * @param {{ delta?: number, stock?: number, reason: string }} change
+   * @param {object} options
+   * @param {{ type: string, id?: string }} options.actor
+   * @param {string|ObjectId|null} [options.merchantId] - a store may only adjust its own products
+   * @returns {Promise<object>} the movement written
+   * @throws ServiceError VARIANT_NOT_FOUND, FORBIDDEN, INVALID_ADJUSTMENT, NO_CHANGE,
+   *   INSUFFICIENT_STOCK, STOCK_CHANGED
+   */
+  async adjust(productId, variantId, { delta, stock, reason }, { actor, merchantId = null }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const variant = await this.#variant(productId, variantId, { session });
+      if (!variant?.exists || variant.deletedAt) {
+        throw new ServiceError('Variant not found', 'VARIANT_NOT_FOUND', 404);
+      }
+      if (merchantId && String(variant.merchant) !== String(merchantId)) {
+        throw new ServiceError('You can only adjust stock on your own products', 'FORBIDDEN', 403);
+      }
+
+      const plan = planAdjustment(variant.stock, { delta, stock });
+      if (!plan.ok) {
+        throw new ServiceError(plan.message, plan.code, plan.code === 'INSUFFICIENT_STOCK' ? 409 : 400);
+      }
+
+      let before;
+      let after;
+      if (plan.type === 'adjustment') {
+        const result = await Product.updateOne(
+          {
+            _id: productId,
+            variants: { $elemMatch: { _id: variantId, ...(delta < 0 ? { stock: { $gte: -delta } } : {}) } },
+          },
+          { $inc: { 'variants.$.stock': delta } },
+          { session }
+        );
+        if (result.matchedCount === 0) {
+          throw new ServiceError('Not enough stock left to remove that many units', 'INSUFFICIENT_STOCK', 409);
+        }
+        after = (await this.#variant(productId, variantId, { session })).stock;
+        before = after - delta;
+      } else {
+        const result = await Product.updateOne(
+          { _id: productId, variants: { $elemMatch: { _id: variantId, stock: variant.stock } } },
+          { $set: { 'variants.$.stock': plan.after } },
+          { session }
+        );
+        if (result.matchedCount === 0) {
+          throw new ServiceError('Stock changed while it was being counted; reload and try again', 'STOCK_CHANGED', 409);
+        }
+        before = variant.stock;
+        after = plan.after;
+      }
+
+      await this.syncRollups([productId], { session });
+      const [movement] = await InventoryMovement.create(
+        [movementOf(variant, { type: plan.type, before, after, actor, reason })],
+        { session }
+      );
+
+      await session.commitTransaction();
+      stockAlertService.afterMovements([movement]);
+      return movement;
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  /**
+   * Write down the stock changes a save made to a product's variants — a
+   * product edit, a new product, or an import row.
+   *
+   * Those paths overwrite the variants array rather than move stock, so the
+   * movement is worked out afterwards from the figures either side. It is not
+   * in the write's transaction (they have none); a failure here is logged and
+   * the save stands. Stock alerts are raised from what was written.
+   *
+   * @param {{ _id, merchant }} product
+   * @param {Array} before - the variants as they were; [] for a new product
+   * @param {Array} after  - the variants as saved
+   * @param {object} options
+   * @param {'correction'|'import'|'initial'} options.type - a variant that is
+   *   new gets `initial` on an edit; an import keeps `import`
+   * @param {{ type: string, id?: string }} options.actor
+   * @returns {Promise<number>} movements written
+   */
+  async recordChanges(product, before, after, { type, actor }) {
+    const changes = stockChanges(before, after);
+    if (!changes.length) return 0;
+
+    const movements = changes.map((c) =>
+      movementOf(
+        { product: product._id, variantId: c.variantId, sku: c.sku, merchant: product.merchant },
+        { type: c.isNew && type !== 'import' ? 'initial' : type, before: c.before, after: c.after, actor }
+      )
+    );
+    try {
+      await InventoryMovement.insertMany(movements, { ordered: false });
+    } catch (error) {
+      logger.error('Failed to record inventory movements', {
+        productId: String(product._id),
+        type,
+        movements: movements.length,
+        error: error.message,
+      });
+      return 0;
+    }
+    stockAlertService.afterMovements(movements);
+    return movements.length;
+  }
+
+  /**
+   * The variants an import is about to overwrite, by importSku — soft-deleted
+   * products too, since an import brings them back.
+   *
+   * @param {ObjectId} merchantId
+   * @param {string[]} importSkus
+   * @returns {Promise<Map<string, { _id, variants: Array }>>}
+   */
+  async importSnapshot(merchantId, importSkus) {
+    const rows = await Product.aggregate([
+      { $match: { merchant: toObjectId(merchantId), importSku: { $in: importSkus } } },
+      { $project: { importSku: 1, merchant: 1, deletedAt: 1, 'variants._id': 1, 'variants.sku': 1, 'variants.stock': 1 } },
+    ]);
+    // A deleted product's shelf was empty as far as anyone could buy.
+    return new Map(rows.map((r) => [r.importSku, { ...r, variants: r.deletedAt ? [] : r.variants }]));
+  }
+
+  /**
+   * Write down what an import did to each product's stock. Like
+   * recordChanges, a failure is logged and the import stands.
+   *
+   * @param {ObjectId} merchantId
+   * @param {string[]} importSkus - the rows that were written
+   * @param {Map} snapshot - importSnapshot() from before the write
+   * @param {{ type: string, id?: string }} actor
+   * @returns {Promise<number>} movements written
+   */
+  async recordImport(merchantId, importSkus, snapshot, actor) {
+    let products;
+    try {
+      products = await Product.find({ merchant: merchantId, importSku: { $in: importSkus } })
+        .select('importSku merchant variants._id variants.sku variants.stock')
+        .lean();
+    } catch (error) {
+      logger.error('Failed to record inventory movements for import', { merchantId: String(merchantId), error: error.message });
+      return 0;
+    }
+    let written = 0;
+    for (const product of products) {
+      const before = snapshot.get(product.importSku)?.variants || [];
+      written += await this.recordChanges(product, before, product.variants, { type: 'import', actor });
+    }
+    return written;
+  }
+
+  /**
+   * One variant's movements, newest first — by its id and, across imports
+   * that renumbered it, by its SKU.
+   *
+   * @param {string|ObjectId} productId
+   * @param {string|ObjectId} variantId
+   * @param {object} [options]
+   * @param {number} [options.page]
+   * @param {number} [options.limit]
+   * @param {string|ObjectId|null} [options.merchantId] - a store sees only its own products
+   * @returns {Promise<{ movements: object[], total: number, page: number, limit: number }>}
+   * @throws ServiceError PRODUCT_NOT_FOUND, FORBIDDEN
+   */
+  async history(productId, variantId, { page = 1, limit = DEFAULT_HISTORY_LIMIT, merchantId = null } = {}) {
+    const variant = await this.#variant(productId, variantId);
+    if (!variant) throw new ServiceError('Product not found', 'PRODUCT_NOT_FOUND', 404);
+    if (merchantId && String(variant.merchant) !== String(merchantId)) {
+      throw new ServiceError('You can only view stock history for your own products', 'FORBIDDEN', 403);
+    }
+
+    const filter = {
+      product: variant.product,
+      $or: [{ variantId: toObjectId(variantId) }, ...(variant.sku ? [{ sku: variant.sku }] : [])],
+    };
+    const [movements, total] = await Promise.all([
+      InventoryMovement.find(filter)
+        .sort({ at: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      InventoryMovement.countDocuments(filter),
+    ]);
+    return { movements, total, page, limit };
+  }
+
+  /**
+   * A variant's current figure and its product's store, read by aggregate so
+   * a soft-deleted product is found too — the model's find hook hides those,
+   * and a cancelled order still puts its units back on one.
+   */
+  async #variant(productId, variantId, { session = null } = {}) {
+    const [row] = await Product.aggregate([
+      { $match: { _id: toObjectId(productId) } },
+      {
+        $project: {
+          merchant: 1,
+          deletedAt: 1,
+          variant: {
+            $arrayElemAt: [
+              { $filter: { input: '$variants', cond: { $eq: ['$$this._id', toObjectId(variantId)] } } },
+              0,
+            ],
+          },
+        },
+      },
+    ]).session(session);
+    if (!row) return null;
+    return {
+      product: row._id,
+      merchant: row.merchant || null,
+      deletedAt: row.deletedAt || null,
+      exists: Boolean(row.variant),
+      variantId: row.variant?._id || null,
+      sku: row.variant?.sku || null,
+      stock: row.variant?.stock ?? 0,
+    };
+  }
+}
+
+export default new InventoryService();
@@ -0,0 +1,342 @@
+import { createRequire } from 'module';
+import PDFDocument from 'pdfkit';
+import Order from '../models/orders.model.js';
+import Product from '../models/product.model.js';
+import Merchant from '../models/merchant.model.js';
+import User from '../models/user.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  LABELS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_STATUS_LABELS,
+  buildInvoice,
+  formatMoney,
+  hasArabic,
+  rtlRuns,
+} from '../lib/invoice.js';
+import { convertAmount, getCurrencyContext } from './currency.service.js';
+
+// DejaVu Sans carries Latin and Arabic glyphs, with the contextual forms the
+// PDF library needs to join Arabic letters. The standard PDF fonts have no
+// Arabic at all.
+const require = createRequire(import.meta.url);
+const FONT_REGULAR = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans.ttf');
+const FONT_BOLD = require.resolve('dejavu-fonts-ttf/ttf/DejaVuSans-Bold.ttf');
+
+const PAGE = { size: 'A4', margin: 40 };
+const LEFT = 40;
+const RIGHT = 555; // A4 width 595 − margin
+const BOTTOM = 780;
+const GREY = '#6b7280';
+const INK = '#111827';
+
+// Item table columns.
+const COLS = {
+  item:      { x: LEFT, width: 250 },
+  quantity:  { x: 295, width: 45 },
+  unitPrice: { x: 345, width: 100 },
+  lineTotal: { x: 450, width: RIGHT - 450 },
+};
+
+// ─── Drawing helpers ─────────────────────────────────────────────────────────
+
+/** The fonts drawText() expects, as `regular` and `bold`. */
+export const registerFonts = (doc) => {
+  doc.registerFont('regular', FONT_REGULAR);
+  doc.registerFont('bold', FONT_BOLD);
+};
+
+/**
+ * Draw one line of text in its own direction. Arabic (or mixed) text is laid
+ * out run by run, right-aligned unless `align` says otherwise, and shrunk to
+ * fit `width` rather than wrapped. Other printouts (delivery manifests) draw
+ * with it too.
+ */
+export const drawText = (doc, text, x, y, width, { align, bold = false, size = 9, color = INK } = {}) => {
+  const value = String(text ?? '');
+  doc.font(bold ? 'bold' : 'regular').fontSize(size).fillColor(color);
+
+  if (!hasArabic(value)) {
+    doc.text(value, x, y, { width, align: align || 'left', lineBreak: false, ellipsis: true, height: size * 1.4 });
+    return;
+  }
+
+  const runs = rtlRuns(value);
+  let fontSize = size;
+  const measure = () => {
+    doc.fontSize(fontSize);
+    const gap = doc.widthOfString(' ');
+    return runs.reduce((sum, r) => sum + doc.widthOfString(r.text), 0) + gap * (runs.length - 1);
+  };
+  let total = measure();
+  while (total > width && fontSize > 6) {
+    fontSize -= 0.5;
+    total = measure();
+  }
+
+  const gap = doc.widthOfString(' ');
+  let cx = (align || 'right') === 'right' ? x + Math.max(0, width - total) : x;
+  for (const run of runs) {
+    doc.text(run.text, cx, y, { lineBreak: false });
+    cx += doc.widthOfString(run.text) + gap;
+  }
+};
+
+/**
+ * English label on the left, Arabic on the right, value in between. A
+ * bilingual value is split the same way: English after the English label,
+ * Arabic before the Arabic one.
+ */
+const drawField = (doc, y, label, value) => {
+  drawText(doc, label.en, LEFT, y, 110, { color: GREY });
+  if (value && typeof value === 'object') {
+    drawText(doc, value.en, LEFT + 115, y, 140);
+    drawText(doc, value.ar, RIGHT - 255, y, 140);
+  } else {
+    drawText(doc, value, LEFT + 115, y, 300, { align: 'left' });
+  }
+  drawText(doc, label.ar, RIGHT - 110, y, 110, { color: GREY });
+  return y + 16;
+};
+
+const drawRule = (doc, y) => {
+  doc.moveTo(LEFT, y).lineTo(RIGHT, y).lineWidth(0.5).strokeColor('#d1d5db').stroke();
+  return y + 6;
+};
+
+const ensureRoom = (doc, y, needed) => {
+  if (y + needed <= BOTTOM) return y;
+  doc.addPage(PAGE);
+  return PAGE.margin;
+};
+
+const drawTableHeader = (doc, y) => {
+  for (const [key, col] of Object.entries(COLS)) {
+    const align = key === 'item' ? 'left' : 'right';
+    drawText(doc, LABELS[key].en, col.x, y, col.width, { bold: true, size: 8, align });
+    drawText(doc, LABELS[key].ar, col.x, y + 11, col.width, { bold: true, size: 8, align });
+  }
+  return drawRule(doc, y + 25);
+};
+
+const drawTotals = (doc, y, totals, currency, { coupon } = {}) => {
+  const row = (label, amount, bold = false) => {
+    drawText(doc, label.en, 235, y, 140, { size: 9, color: GREY, bold });
+    drawText(doc, label.ar, 375, y, 70, { size: 9, color: GREY, bold });
+    drawText(doc, formatMoney(amount, currency), COLS.lineTotal.x, y, COLS.lineTotal.width, { bold, align: 'right' });
+    y += 15;
+  };
+  row(LABELS.subtotal, totals.subtotal);
+  if (totals.discount > 0) {
+    row(coupon ? { en: `${LABELS.discount.en} (${coupon})`, ar: LABELS.discount.ar } : LABELS.discount, -totals.discount);
+  }
+  if (totals.shipping > 0) row(LABELS.shipping, totals.shipping);
+  y = drawRule(doc, y);
+  row(LABELS.total, totals.total, true);
+  return y;
+};
+
+const drawSection = (doc, y, section, invoice, { heading }) => {
+  y = ensureRoom(doc, y, 80);
+  if (heading) {
+    drawText(doc, LABELS.subInvoice.en, LEFT, y, 200, { bold: true, size: 11 });
+    drawText(doc, LABELS.subInvoice.ar, RIGHT - 200, y, 200, { bold: true, size: 11 });
+    y = drawField(doc, y + 16, LABELS.store, section.storeName || '—');
+    if (section.status === 'cancelled') {
+      drawText(doc, LABELS.cancelled.en, LEFT, y, 150, { color: '#b91c1c', size: 8 });
+      drawText(doc, LABELS.cancelled.ar, RIGHT - 150, y, 150, { color: '#b91c1c', size: 8 });
+      y += 12;
+    }
+    y += 4;
+  }
+
+  y = drawTableHeader(doc, y);
+  for (const line of section.lines) {
+    const height = line.variant ? 26 : 16;
+    if (y + height > BOTTOM) {
+      doc.addPage(PAGE);
+      y = drawTableHeader(doc, PAGE.margin);
+    }
+    drawText(doc, line.name, COLS.item.x, y, COLS.item.width, { align: 'left' });
+    drawText(doc, String(line.quantity), COLS.quantity.x, y, COLS.quantity.width, { align: 'right' });
+    drawText(doc, formatMoney(line.unitPrice, invoice.currency), COLS.unitPrice.x, y, COLS.unitPrice.width, { align: 'right' });
+    drawText(doc, formatMoney(line.lineTotal, invoice.currency), COLS.lineTotal.x, y, COLS.lineTotal.width, { align: 'right' });
+    if (line.variant) drawText(doc, line.variant, COLS.item.x, y + 11, COLS.item.width, { size: 7, color: GREY, align: 'left' });
+    y += height;
+  }
+  y = drawRule(doc, y);
+
+  y = ensureRoom(doc, y, 70);
+  return drawTotals(doc, y, section, invoice.currency) + 14;
+};
+
+/**
+ * Draw an invoice to a PDF.
+ *
+ * @param {object} invoice - from buildInvoice()
+ * @returns {Promise<Buffer>}
+ */
+export const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      ...PAGE,
+      info: { Title: `Nubian ${invoice.kind} ${invoice.orderNumber}`, Author: 'Nubian' },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    registerFonts(doc);
+
+    const title = LABELS[invoice.merchant ? 'subInvoice' : invoice.kind];
+    let y = PAGE.margin;
+    drawText(doc, 'Nubian', LEFT, y, 200, { bold: true, size: 20 });
+    drawText(doc, 'نوبيان', RIGHT - 200, y, 200, { bold: true, size: 20 });
+    y += 30;
+    drawText(doc, title.en, LEFT, y, 250, { bold: true, size: 14 });
+    drawText(doc, title.ar, RIGHT - 250, y, 250, { bold: true, size: 14 });
+    y = drawRule(doc, y + 22);
+
+    const method = PAYMENT_METHOD_LABELS[invoice.paymentMethod];
+    const status = PAYMENT_STATUS_LABELS[invoice.paymentStatus];
+    y = drawField(doc, y, LABELS.orderNumber, invoice.orderNumber);
+    y = drawField(doc, y, LABELS.date, new Date(invoice.date).toISOString().slice(0, 10));
+    y = drawField(doc, y, LABELS.payment, method || invoice.paymentMethod);
+    y = drawField(doc, y, LABELS.paymentStatus, status || invoice.paymentStatus);
+    if (invoice.exchangeRate) {
+      const { rate, date } = invoice.exchangeRate;
+      y = drawField(doc, y, LABELS.exchangeRate, `1 USD = ${rate} ${invoice.currency}${date ? ` (${date})` : ''}`);
+    }
+    if (invoice.merchant && invoice.sections[0]) {
+      y = drawField(doc, y, LABELS.store, invoice.sections[0].storeName);
+    }
+    y += 6;
+    y = drawField(doc, y, LABELS.billTo, invoice.customer.name);
+    for (const line of [invoice.customer.phone, ...invoice.customer.address].filter(Boolean)) {
+      drawText(doc, line, LEFT + 115, y, 300, { color: GREY, align: 'left' });
+      y += 13;
+    }
+    y = drawRule(doc, y + 6) + 6;
+
+    // One store: its items are the order. Several: a sub-invoice each, then
+    // the order's totals.
+    const split = !invoice.merchant && invoice.sections.length > 1;
+    if (split) {
+      for (const section of invoice.sections) y = drawSection(doc, y, section, invoice, { heading: true });
+      y = ensureRoom(doc, y, 80);
+      drawText(doc, LABELS.total.en, LEFT, y, 200, { bold: true, size: 11 });
+      drawText(doc, LABELS.total.ar, RIGHT - 200, y, 200, { bold: true, size: 11 });
+      y = drawTotals(doc, y + 18, invoice.totals, invoice.currency, { coupon: invoice.coupon });
+    } else {
+      const [section = { lines: [] }] = invoice.sections;
+      y = drawSection(doc, y, { ...section, ...invoice.totals }, invoice, { heading: false });
+    }
+
+    y = ensureRoom(doc, y + 10, 30);
+    drawText(doc, LABELS.thanks.en, LEFT, y, 250, { color: GREY, size: 8 });
+    drawText(doc, LABELS.thanks.ar, RIGHT - 250, y, 250, { color: GREY, size: 8 });
+
+    doc.end();
+  });
+
+// ─── InvoiceService ──────────────────────────────────────────────────────────
+
+class InvoiceService {
+  /**
+   * The shopper's invoice for their own order, or one store's part of it.
+   * Someone else's order is "not found", like GET /orders/:id.
+   *
+   * @param {string} clerkUserId
+   * @param {string} orderId
+   * @param {{ merchant?: string }} [options]
+   * @returns {Promise<{ filename: string, pdf: Buffer }>}
+   */
+  async forCustomer(clerkUserId, orderId, { merchant } = {}) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+    return this.#render({ _id: orderId, user: user._id }, { merchant });
+  }
+
+  /** A store's sub-invoice for an order it sold into. */
+  async forMerchant(merchantId, orderId) {
+    return this.#render({ _id: orderId, merchants: merchantId }, { merchant: String(merchantId) });
+  }
+
+  /** Admin: any order's invoice. */
+  async forAdmin(orderId, { merchant } = {}) {
+    return this.#render({ _id: orderId }, { merchant });
+  }
+
+  /**
+   * The order-confirmation email with the invoice attached. The email goes
+   * out without it if the invoice cannot be drawn — the confirmation matters
+   * more than the attachment.
+   *
+   * @param {object} payload - sendOrderEmail payload, carrying `orderId`
+   * @returns {Promise<object>}
+   */
+  async attachToOrderEmail(payload) {
+    if (!payload?.orderId) return payload;
+    try {
+      const { filename, pdf } = await this.#render({ _id: payload.orderId });
+      return { ...payload, attachments: [{ filename, content: pdf }] };
+    } catch (error) {
+      logger.warn('Order email sent without its invoice', { orderId: payload.orderId, error: error.message });
+      return payload;
+    }
+  }
+
+  async #render(filter, { merchant } = {}) {
+    const order = await Order.findOne(filter).populate('user', 'fullName').lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const productIds = order.products.map((p) => p.product);
+    const [products, convert] = await Promise.all([
+      Product.find({ _id: { $in: productIds } }).select('name merchant').lean(),
+      this.#converterFor(order),
+    ]);
+
+    const storeIds = [
+      ...new Set([
+        ...(order.fulfillments || []).map((f) => f.merchant).filter(Boolean).map(String),
+        ...products.map((p) => p.merchant).filter(Boolean).map(String),
+      ]),
+    ];
+    const stores = await Merchant.find({ _id: { $in: storeIds } }).select('storeName').lean();
+
+    const invoice = buildInvoice(order, {
+      names: new Map(products.map((p) => [String(p._id), p.name])),
+      storeNames: new Map(stores.map((s) => [String(s._id), s.storeName])),
+      merchantOf: new Map(products.filter((p) => p.merchant).map((p) => [String(p._id), String(p.merchant)])),
+      convert,
+      merchant,
+    });
+    if (merchant && !invoice.sections.length) {
+      throw new ServiceError('This store has no items in the order', 'NOT_FOUND', 404);
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    const suffix = merchant ? `-${invoice.sections[0].storeName || merchant}`.replace(/[^\w-]+/g, '') : '';
+    return { filename: `${invoice.kind}-${order.orderNumber}${suffix}.pdf`, pdf };
+  }
+
+  /**
+   * USD → the shopper's currency at the order's locked rate, rounded the way
+   * checkout rounded it. Null for USD orders.
+   */
+  async #converterFor(order) {
+    const code = String(order.currencyCodeSelected || 'USD').toUpperCase();
+    if (code === 'USD' || !(order.fxSnapshot?.rate > 0)) return null;
+
+    const context = await getCurrencyContext(code);
+    const locked = {
+      ...context,
+      rate: { rate: order.fxSnapshot.rate, date: order.fxSnapshot.date, provider: order.fxSnapshot.provider },
+    };
+    return (usd) => convertAmount(usd, locked);
+  }
+}
+
+export default new InvoiceService();
@@ -0,0 +1,392 @@
+import mongoose from 'mongoose';
+import JournalEntry from '../models/journalEntry.model.js';
+import Merchant from '../models/merchant.model.js';
+import Order from '../models/orders.model.js';
+import Product from '../models/product.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  accountBalance,
+  buildStatement,
+  commissionLines,
+  commissionPaidLines,
+  deliveryLines,
+  disputeFreezeLines,
+  disputeSettleLines,
+  payoutBatchedLines,
+  payoutFailedLines,
+  payoutPaidLines,
+  refundPaidLines,
+  returnRefundLines,
+  validateEntry,
+} from '../lib/ledger.js';
+
+const DUPLICATE_KEY = 11000;
+
+/** Most lines one statement returns; narrow the dates for more. */
+export const MAX_STATEMENT_LINES = 1000;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * How an entry moves each store's projected balances: credits to
+ * merchant_payable raise `balance`, credits to merchant_frozen raise
+ * `frozenBalance`.
+ */
+const projection = (lines) => {
+  const deltas = new Map();
+  for (const l of lines) {
+    if (l.account !== 'merchant_payable' && l.account !== 'merchant_frozen') continue;
+    const field = l.account === 'merchant_payable' ? 'balance' : 'frozenBalance';
+    const d = deltas.get(l.merchant) || { balance: 0, frozenBalance: 0 };
+    d[field] = Math.round((d[field] + l.credit - l.debit) * 100) / 100;
+    deltas.set(l.merchant, d);
+  }
+  return deltas;
+};
+
+// ─── LedgerService ────────────────────────────────────────────────────────────
+
+class LedgerService {
+  /**
+   * Post one journal entry, and move the projected store balances with it in
+   * the same transaction.
+   *
+   * Posting the same `key` twice returns the first entry and changes nothing.
+   * Pass `session` to post inside a transaction the caller already holds —
+   * the entry then commits or aborts with the caller's own writes.
+   *
+   * @param {object} entry
+   * @param {string} entry.key   - names the event, e.g. "delivery:<orderId>"
+   * @param {string} entry.kind  - one of ENTRY_KINDS
+   * @param {Array<object>} entry.lines
+   * @param {object} [options]
+   * @param {ClientSession} [options.session]
+   * @returns {Promise<JournalEntry|null>} null when there was nothing to post
+   * @throws ServiceError when the entry does not balance
+   */
+  async post(entry, { session } = {}) {
+    if (!entry.lines.length) return null;
+    const checked = validateEntry(entry.lines);
+    if (!checked.ok) {
+      logger.error('Refusing to post journal entry', { key: entry.key, error: checked.message });
+      throw new ServiceError(checked.message, 'LEDGER_UNBALANCED', 500);
+    }
+
+    if (session) return this.#write(entry, session);
+
+    const own = await mongoose.startSession();
+    own.startTransaction();
+    try {
+      const posted = await this.#write(entry, own);
+      await own.commitTransaction();
+      return posted;
+    } catch (error) {
+      await own.abortTransaction();
+      if (error.code === DUPLICATE_KEY) return JournalEntry.findOne({ key: entry.key });
+      throw error;
+    } finally {
+      own.endSession();
+    }
+  }
+
+  /**
+   * The delivery entry for an order: credit each delivered store with its own
+   * price for the goods, and book the platform's markup, delivery fee and
+   * discount.
+   *
+   * @param {string|ObjectId} orderId
+   * @returns {Promise<JournalEntry|null>}
+   */
+  async postDelivery(orderId) {
+    const order = await Order.findById(orderId)
+      .select('orderNumber products merchantRevenue fulfillments discountAmount totalAmount shippingFee shipping')
+      .lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    let merchantOf;
+    if (!order.fulfillments?.length) {
+      const products = await Product.find({ _id: { $in: order.products.map((p) => p.product) } })
+        .select('merchant')
+        .lean();
+      merchantOf = new Map(products.filter((p) => p.merchant).map((p) => [String(p._id), String(p.merchant)]));
+    }
+
+    return this.post({
+      key: `delivery:${order._id}`,
+      kind: 'delivery',
+      description: `Order #${order.orderNumber} delivered`,
+      order: order._id,
+      lines: deliveryLines(order, merchantOf),
+    });
+  }
+
+  /** A marketer's commission on a delivered order. */
+  async postCommission(commission, { session } = {}) {
+    return this.post(
+      {
+        key: `commission:${commission._id}`,
+        kind: 'commission',
+        description: 'Marketer commission earned',
+        order: commission.order,
+        commission: commission._id,
+        lines: commissionLines(commission),
+      },
+      { session }
+    );
+  }
+
+  /** A marketer's commission paid out. */
+  async postCommissionPaid(commission, { session } = {}) {
+    return this.post(
+      {
+        key: `commission_paid:${commission._id}`,
+        kind: 'commission_paid',
+        description: 'Marketer commission paid',
+        order: commission.order,
+        commission: commission._id,
+        lines: commissionPaidLines(commission),
+      },
+      { session }
+    );
+  }
+
+  /** A store-approved return: the refund comes out of the store's balance. */
+  async postReturnRefund(refund, { session } = {}) {
+    return this.post(
+      {
+        key: `return_refund:${refund._id}`,
+        kind: 'return_refund',
+        description: 'Return approved',
+        order: refund.order,
+        refund: refund._id,
+        lines: returnRefundLines(refund),
+      },
+      { session }
+    );
+  }
+
+  /** A dispute holds `dispute.amount` of the store's balance. */
+  async postDisputeFreeze(dispute, { session } = {}) {
+    return this.post(
+      {
+        key: `dispute_freeze:${dispute._id}`,
+        kind: 'dispute_freeze',
+        description: 'Dispute opened — amount held',
+        order: dispute.orderId,
+        dispute: dispute._id,
+        lines: disputeFreezeLines({ merchant: dispute.merchantId, amount: dispute.amount }),
+      },
+      { session }
+    );
+  }
+
+  /** A dispute settled: `refund` to the shopper, `release` back to the store. */
+  async postDisputeSettle(dispute, { refund, release }, { session } = {}) {
+    return this.post(
+      {
+        key: `dispute_settle:${dispute._id}`,
+        kind: 'dispute_settle',
+        description: 'Dispute settled',
+        order: dispute.orderId,
+        dispute: dispute._id,
+        lines: disputeSettleLines({ merchant: dispute.merchantId, refund, release }),
+      },
+      { session }
+    );
+  }
+
+  /**
+   * An approved refund paid out. Refunds of orders cancelled before delivery
+   * never reached the ledger, so their payment does not either.
+   */
+  async postRefundPaid(refund, { session } = {}) {
+    if (refund.source === 'cancellation') return null;
+    return this.post(
+      {
+        key: `refund_paid:${refund._id}`,
+        kind: 'refund_paid',
+        description: 'Refund paid',
+        order: refund.order,
+        refund: refund._id,
+        lines: refundPaidLines(refund),
+      },
+      { session }
+    );
+  }
+
+  /** A store's balance swept into payout batch `batch`. */
+  async postPayoutBatched(batch, item, { session } = {}) {
+    return this.post(
+      {
+        key: `payout_batched:${item._id}`,
+        kind: 'payout_batched',
+        description: `Payout ${item.reference}`,
+        payoutBatch: batch._id,
+        lines: payoutBatchedLines(item),
+      },
+      { session }
+    );
+  }
+
+  /** A payout transfer settled, either way. */
+  async postPayoutSettled(batch, item, { session } = {}) {
+    const paid = item.status === 'paid';
+    return this.post(
+      {
+        key: `payout_${item.status}:${item._id}`,
+        kind: paid ? 'payout_paid' : 'payout_failed',
+        description: paid ? `Payout ${item.reference} paid` : `Payout ${item.reference} failed — returned to balance`,
+        payoutBatch: batch._id,
+        lines: paid ? payoutPaidLines(item) : payoutFailedLines(item),
+      },
+      { session }
+    );
+  }
+
+  /**
+   * Delivery credits to each store's balance posted since `since` — the part
+   * of the balance a payout run still holds back.
+   *
+   * @param {Date} since
+   * @param {{ session?: ClientSession }} [options]
+   * @returns {Promise<Map<string, number>>} store id → USD
+   */
+  async recentDeliveryCredits(since, { session } = {}) {
+    const rows = await JournalEntry.aggregate([
+      { $match: { kind: 'delivery', postedAt: { $gte: since } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': 'merchant_payable' } },
+      { $group: { _id: '$lines.merchant', credit: { $sum: '$lines.credit' } } },
+    ]).session(session || null);
+    return new Map(rows.map((r) => [String(r._id), Math.round(r.credit * 100) / 100]));
+  }
+
+  /**
+   * A store's balance and held amount, from the ledger.
+   *
+   * @param {string|ObjectId} merchantId
+   * @param {{ before?: Date }} [options] - only entries posted before this
+   * @returns {Promise<{ balance: number, frozenBalance: number }>}
+   */
+  async balancesFor(merchantId, { before } = {}) {
+    const id = toObjectId(merchantId);
+    const match = { 'lines.merchant': id };
+    if (before) match.postedAt = { $lt: before };
+
+    const rows = await JournalEntry.aggregate([
+      { $match: match },
+      { $unwind: '$lines' },
+      { $match: { 'lines.merchant': id } },
+      { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+    ]);
+    const of = (account) => {
+      const row = rows.find((r) => r._id === account);
+      return row ? accountBalance(account, row.debit, row.credit) : 0;
+    };
+    return { balance: of('merchant_payable'), frozenBalance: of('merchant_frozen') };
+  }
+
+  /**
+   * A store's statement between two dates: what it was owed at the start,
+   * every movement with its running balance, and what it is owed at the end.
+   *
+   * @param {string|ObjectId} merchantId
+   * @param {{ from?: Date, to?: Date }} range
+   * @returns {Promise<object>}
+   */
+  async statement(merchantId, { from, to } = {}) {
+    const id = toObjectId(merchantId);
+    const match = { 'lines.merchant': id };
+    if (from || to) {
+      match.postedAt = {};
+      if (from) match.postedAt.$gte = from;
+      if (to) match.postedAt.$lte = to;
+    }
+
+    const [opening, rows, current] = await Promise.all([
+      from ? this.balancesFor(id, { before: from }) : Promise.resolve({ balance: 0, frozenBalance: 0 }),
+      JournalEntry.aggregate([
+        { $match: match },
+        { $sort: { postedAt: 1, _id: 1 } },
+        { $unwind: '$lines' },
+        { $match: { 'lines.merchant': id, 'lines.account': 'merchant_payable' } },
+        { $limit: MAX_STATEMENT_LINES + 1 },
+        {
+          $project: {
+            _id: 0,
+            entryId: '$_id',
+            kind: 1,
+            description: 1,
+            order: 1,
+            refund: 1,
+            dispute: 1,
+            payoutBatch: 1,
+            postedAt: 1,
+            debit: '$lines.debit',
+            credit: '$lines.credit',
+          },
+        },
+      ]),
+      this.balancesFor(id),
+    ]);
+
+    const truncated = rows.length > MAX_STATEMENT_LINES;
+    const { closing, lines } = buildStatement(rows.slice(0, MAX_STATEMENT_LINES), opening.balance);
+
+    return {
+      currency: 'USD',
+      from: from || null,
+      to: to || null,
+      openingBalance: opening.balance,
+      closingBalance: closing,
+      lines,
+      truncated,
+      // Today's figures, whatever the range.
+      balance: current.balance,
+      frozenBalance: current.frozenBalance,
+    };
+  }
+
+  /**
+   * Every account's debits, credits and balance — the platform-wide check
+   * that the books add up.
+   *
+   * @returns {Promise<{ accounts: object[], debits: number, credits: number }>}
+   */
+  async trialBalance() {
+    const rows = await JournalEntry.aggregate([
+      { $unwind: '$lines' },
+      { $group: { _id: '$lines.account', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } },
+      { $sort: { _id: 1 } },
+    ]);
+    const round2 = (n) => Math.round(n * 100) / 100;
+    const accounts = rows.map((r) => ({
+      account: r._id,
+      debit: round2(r.debit),
+      credit: round2(r.credit),
+      balance: accountBalance(r._id, r.debit, r.credit),
+    }));
+    return {
+      accounts,
+      debits: round2(accounts.reduce((s, a) => s + a.debit, 0)),
+      credits: round2(accounts.reduce((s, a) => s + a.credit, 0)),
+    };
+  }
+
+  async #write(entry, session) {
+    const existing = await JournalEntry.findOne({ key: entry.key }).session(session);
+    if (existing) return existing;
+
+    const [posted] = await JournalEntry.create([{ ...entry, postedAt: new Date() }], { session });
+
+    for (const [merchant, delta] of projection(entry.lines)) {
+      await Merchant.updateOne({ _id: merchant }, { $inc: delta }, { session });
+    }
+
+    logger.info('Journal entry posted', { key: entry.key, kind: entry.kind, entryId: posted._id.toString() });
+    return posted;
+  }
+}
+
+export default new LedgerService();
@@ -10,6 +10,7 @@ import {
   sendMerchantUnsuspensionEmail,
   sendMerchantInviteEmail,
 } from '../lib/mail.js';
+import invoiceService from './invoice.service.js';
 
 /**
  * Producer-side wrapper around lib/mail.js. Controllers call queue<X>Email()
@@ -30,9 +31,15 @@ const isQueueEnabled = () => process.env.ENABLE_QUEUE === 'true';
 const CRITICAL_PRIORITY = 1;
 const DEFAULT_PRIORITY = 10;
 
+// The invoice PDF is drawn at send time rather than carried in the job: a
+// PDF in every queued payload would bloat Redis, and a retried job picks up
+// the order as it stands.
+const sendOrderEmailWithInvoice = async (payload) =>
+  sendOrderEmail(await invoiceService.attachToOrderEmail(payload));
+
 const directSenders = {
   [JOB_NAMES.EMAIL_WELCOME]: sendWelcomeEmail,
-  [JOB_NAMES.EMAIL_ORDER]: sendOrderEmail,
+  [JOB_NAMES.EMAIL_ORDER]: sendOrderEmailWithInvoice,
   [JOB_NAMES.EMAIL_ORDER_STATUS]: sendOrderStatusEmail,
   [JOB_NAMES.EMAIL_MERCHANT_SUSPENSION]: sendMerchantSuspensionEmail,
   [JOB_NAMES.EMAIL_MERCHANT_UNSUSPENSION]: sendMerchantUnsuspensionEmail,
@@ -2,6 +2,9 @@ import notificationService from './notificationService.js';
 import Order from '../models/orders.model.js';
 import Product from '../models/product.model.js';
 import Cart from '../models/carts.model.js';
+import Merchant from '../models/merchant.model.js';
+import User from '../models/user.model.js';
+import Wishlist from '../models/wishlist.model.js';
 import logger from '../lib/logger.js';
 
 /**
@@ -124,6 +127,11 @@ export async function handleOrderStatusChanged(orderId, oldStatus, newStatus) {
         title = 'Order Shipped';
         body = `Your order #${order.orderNumber} has been shipped and is on its way`;
         break;
+      case 'out_for_delivery':
+        notificationType = 'ORDER_SHIPPED';
+        title = 'Out for Delivery';
+        body = `Your order #${order.orderNumber} is out for delivery and will arrive soon`;
+        break;
       case 'delivered':
         notificationType = 'ORDER_DELIVERED';
         title = 'Order Delivered';
@@ -176,6 +184,104 @@ export async function handleOrderStatusChanged(orderId, oldStatus, newStatus) {
   }
 }
 
+/**
+ * Handle a single shipment of a multi-store order changing status.
+ *
+ * Same notification types as ORDER_STATUS_CHANGED, but deduplicated per
+ * shipment so the shopper hears about each parcel, and worded per store when
+ * the order has more than one.
+ */
+export async function handleFulfillmentStatusChanged(orderId, fulfillmentId, oldStatus, newStatus) {
+  try {
+    const order = await Order.findById(orderId)
+      .populate('user')
+      .populate('fulfillments.merchant', 'storeName');
+
+    const fulfillment = order?.fulfillments?.id(fulfillmentId);
+    if (!order || !fulfillment) {
+      logger.error('Order or shipment not found for shipment notification', { orderId, fulfillmentId });
+      return;
+    }
+
+    const storeName = fulfillment.merchant?.storeName;
+    const split = order.fulfillments.length > 1 && storeName;
+    const what = split
+      ? `The part of your order #${order.orderNumber} from ${storeName}`
+      : `Your order #${order.orderNumber}`;
+    const tracking = fulfillment.trackingNumber ? ` (tracking: ${fulfillment.trackingNumber})` : '';
+
+    let notificationType = null;
+    let title = '';
+    let body = '';
+
+    switch (newStatus) {
+      case 'confirmed':
+        notificationType = 'ORDER_ACCEPTED';
+        title = 'Order Accepted';
+        body = `${what} has been accepted and is being prepared`;
+        break;
+      case 'shipped':
+        notificationType = 'ORDER_SHIPPED';
+        title = split ? 'Shipment On Its Way' : 'Order Shipped';
+        body = `${what} has been shipped and is on its way${tracking}`;
+        break;
+      case 'out_for_delivery':
+        notificationType = 'ORDER_SHIPPED';
+        title = 'Out for Delivery';
+        body = `${what} is out for delivery and will arrive soon`;
+        break;
+      case 'delivered':
+        notificationType = 'ORDER_DELIVERED';
+        title = split ? 'Shipment Delivered' : 'Order Delivered';
+        body = `${what} has been delivered successfully`;
+        break;
+      case 'cancelled':
+        notificationType = 'ORDER_CANCELLED';
+        title = split ? 'Part of Your Order Cancelled' : 'Order Cancelled';
+        body = `${what} has been cancelled`;
+        break;
+      default:
+        return; // No notification for other status changes
+    }
+
+    await notificationService.createNotification({
+      type: notificationType,
+      recipientType: 'user',
+      recipientId: order.user.clerkId || order.user._id,
+      title,
+      body,
+      deepLink: `/orders/${order._id}`,
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        fulfillmentId: fulfillment._id.toString(),
+        trackingNumber: fulfillment.trackingNumber || null,
+        oldStatus,
+        newStatus,
+      },
+      channel: 'push',
+      deduplicationKey: `${notificationType}_${order._id}_${fulfillment._id}_${newStatus}`,
+      priority: notificationType === 'ORDER_DELIVERED' ? 85 : 80,
+    });
+
+    logger.info('Shipment status notification sent', {
+      orderId: order._id.toString(),
+      fulfillmentId: fulfillment._id.toString(),
+      oldStatus,
+      newStatus,
+      notificationType,
+    });
+  } catch (error) {
+    logger.error('Failed to handle shipment status change', {
+      error: error.message,
+      orderId,
+      fulfillmentId,
+      oldStatus,
+      newStatus,
+    });
+  }
+}
+
 /**
  * Handle PRODUCT_CREATED event (for merchant notifications)
  */
@@ -336,47 +442,62 @@ export async function handlePriceChanged(productId, oldPrice, newPrice) {
   }
 }
 
+/** "Jalabiya (M, white)", or the product name alone for a single-variant product. */
+const variantLabel = (product, variant) => {
+  const attributes = Object.values(variant?.attributes || {}).filter(Boolean);
+  return product.variants?.length > 1 && attributes.length ? `${product.name} (${attributes.join(', ')})` : product.name;
+};
+
 /**
- * Handle LOW_STOCK event (merchant alert)
+ * Handle LOW_STOCK event (store alert)
+ *
+ * Goes to the store, so every member's devices get it. Whether it is due —
+ * the crossing and the debounce — is stockAlert.service.js's call; `alertAt`
+ * is when it claimed the alert, so each claim is its own notification.
  */
-export async function handleLowStock(productId, currentStock, threshold = 10) {
+export async function handleLowStock(productId, variantId, currentStock, threshold, alertAt = new Date()) {
   try {
-    const product = await Product.findById(productId).populate('merchant');
-
+    const product = await Product.findById(productId).select('name merchant variants._id variants.sku variants.attributes').lean();
     if (!product || !product.merchant) {
       return;
     }
+    const variant = product.variants.find((v) => String(v._id) === String(variantId));
+    const label = variantLabel(product, variant);
 
-    if (currentStock <= threshold) {
-      await notificationService.createNotification({
-        type: 'LOW_STOCK',
-        recipientType: 'merchant',
-        recipientId: product.merchant.userId || product.merchant._id,
-        title: 'Low Stock Alert',
-        body: `Your product "${product.name}" is running low. Only ${currentStock} left in stock`,
-        deepLink: `/merchant/products/${product._id}`,
-        metadata: {
-          productId: product._id.toString(),
-          productName: product.name,
-          currentStock,
-          threshold,
-        },
-        channel: 'push',
-        merchantId: product.merchant._id,
-        deduplicationKey: `LOW_STOCK_${product._id}_${currentStock}`,
-        priority: 60,
-      });
-
-      logger.info('LOW_STOCK notification sent', {
+    await notificationService.createNotification({
+      type: 'LOW_STOCK',
+      recipientType: 'merchant',
+      recipientId: product.merchant,
+      title: currentStock > 0 ? 'Low Stock Alert' : 'Sold Out',
+      body: currentStock > 0
+        ? `"${label}" is running low. Only ${currentStock} left in stock`
+        : `"${label}" has sold out`,
+      deepLink: `/merchant/products/${product._id}`,
+      metadata: {
         productId: product._id.toString(),
+        variantId: String(variantId),
+        sku: variant?.sku || null,
+        productName: product.name,
         currentStock,
         threshold,
-      });
-    }
+      },
+      channel: 'push',
+      merchantId: product.merchant,
+      deduplicationKey: `LOW_STOCK_${variantId}_${alertAt.getTime()}`,
+      priority: 60,
+    });
+
+    logger.info('LOW_STOCK notification sent', {
+      productId: product._id.toString(),
+      variantId: String(variantId),
+      currentStock,
+      threshold,
+    });
   } catch (error) {
     logger.error('Failed to handle LOW_STOCK event', {
       error: error.message,
       productId,
+      variantId: String(variantId),
       currentStock,
     });
   }
@@ -384,38 +505,136 @@ export async function handleLowStock(productId, currentStock, threshold = 10) {
 
 /**
  * Handle BACK_IN_STOCK event (behavioral notification)
+ *
+ * To every shopper with the product on their wishlist. `alertAt` is as for
+ * LOW_STOCK: the next restock after the debounce window is a new notification
+ * rather than a duplicate of this one. `exclude` holds the shoppers already
+ * told by their own restock subscription on the variant.
  */
-export async function handleBackInStock(productId, currentStock) {
+export async function handleBackInStock(productId, variantId, currentStock, alertAt = new Date(), exclude = new Set()) {
   try {
-    const product = await Product.findById(productId);
+    const product = await Product.findById(productId).select('name variants._id variants.attributes').lean();
     if (!product) {
       return;
     }
+    const variant = product.variants.find((v) => String(v._id) === String(variantId));
+    const label = variantLabel(product, variant);
+
+    let sent = 0;
+    for await (const wishlist of Wishlist.find({ products: product._id }).select('user').lean().cursor()) {
+      if (exclude.has(String(wishlist.user))) continue;
+      const notification = await notificationService.createNotification({
+        type: 'BACK_IN_STOCK',
+        recipientType: 'user',
+        recipientId: wishlist.user,
+        title: 'Back in Stock',
+        body: `"${label}" from your wishlist is back in stock`,
+        deepLink: `/products/${product._id}`,
+        metadata: {
+          productId: product._id.toString(),
+          variantId: String(variantId),
+          productName: product.name,
+        },
+        channel: 'push',
+        deduplicationKey: `BACK_IN_STOCK_${variantId}_${alertAt.getTime()}`,
+      });
+      if (notification) sent += 1;
+    }
 
-    // TODO: Get users who have this product in wishlist when it was out of stock
-    // For now, we'll just log it
-    logger.info('Product back in stock - notification opportunity', {
+    logger.info('BACK_IN_STOCK notifications sent', {
       productId: product._id.toString(),
+      variantId: String(variantId),
       currentStock,
-      productName: product.name,
+      sent,
     });
-
-    // In a full implementation, you would:
-    // 1. Query users who added this product to wishlist when stock was 0
-    // 2. Send notifications to those users
-    // 3. Mark as handled to prevent duplicate notifications
   } catch (error) {
     logger.error('Failed to handle BACK_IN_STOCK event', {
       error: error.message,
       productId,
+      variantId: String(variantId),
     });
   }
 }
 
+/**
+ * Handle a restock subscription firing (BACK_IN_STOCK, behavioral)
+ *
+ * One shopper, one variant — variantSubscription.service.js has already
+ * marked the subscription notified, so its id is the deduplication key.
+ */
+export async function handleSubscribedRestock({ subscription, product, variant, stock }) {
+  try {
+    return await notificationService.createNotification({
+      type: 'BACK_IN_STOCK',
+      recipientType: 'user',
+      recipientId: subscription.user,
+      title: 'Back in Stock',
+      body: `"${variantLabel(product, variant)}" is back in stock`,
+      deepLink: `/products/${product._id}`,
+      metadata: {
+        productId: product._id.toString(),
+        variantId: variant._id.toString(),
+        subscriptionId: subscription._id.toString(),
+        productName: product.name,
+        currentStock: stock,
+      },
+      channel: 'push',
+      deduplicationKey: `BACK_IN_STOCK_SUB_${subscription._id}`,
+    });
+  } catch (error) {
+    logger.error('Failed to handle subscribed BACK_IN_STOCK event', {
+      error: error.message,
+      subscriptionId: String(subscription._id),
+    });
+    return null;
+  }
+}
+
+/**
+ * Handle a price subscription firing (PRICE_DROPPED, behavioral)
+ *
+ * `price` is the variant's price in the subscription's currency, from
+ * convertAndFormatPriceSync — the figure the shopper will see on opening it.
+ */
+export async function handleSubscribedPriceDrop({ subscription, product, variant, price }) {
+  try {
+    return await notificationService.createNotification({
+      type: 'PRICE_DROPPED',
+      recipientType: 'user',
+      recipientId: subscription.user,
+      title: 'Price Drop',
+      body: `"${variantLabel(product, variant)}" is now ${price.priceDisplay}`,
+      deepLink: `/products/${product._id}`,
+      metadata: {
+        productId: product._id.toString(),
+        variantId: variant._id.toString(),
+        subscriptionId: subscription._id.toString(),
+        productName: product.name,
+        currencyCode: subscription.currencyCode,
+        price: price.priceConverted,
+        targetPrice: subscription.targetPrice,
+        priceAtSubscribe: subscription.priceAtSubscribe,
+      },
+      channel: 'push',
+      deduplicationKey: `PRICE_DROPPED_SUB_${subscription._id}`,
+    });
+  } catch (error) {
+    logger.error('Failed to handle PRICE_DROPPED event', {
+      error: error.message,
+      subscriptionId: String(subscription._id),
+    });
+    return null;
+  }
+}
+
 /**
  * Handle REFUND_PROCESSED event
+ *
+ * An order can be refunded more than once — one return per store, then a
+ * cancellation of what was left — so a refund record's id, when there is one,
+ * is what makes each notification distinct.
  */
-export async function handleRefundProcessed(orderId, refundAmount) {
+export async function handleRefundProcessed(orderId, refundAmount, refundId = null) {
   try {
     const order = await Order.findById(orderId).populate('user');
 
@@ -436,9 +655,10 @@ export async function handleRefundProcessed(orderId, refundAmount) {
         orderNumber: order.orderNumber,
         refundAmount,
         currency: refundCurrency,
+        ...(refundId ? { refundId: String(refundId) } : {}),
       },
       channel: 'push',
-      deduplicationKey: `REFUND_PROCESSED_${order._id}`,
+      deduplicationKey: `REFUND_PROCESSED_${refundId || order._id}`,
       priority: 75,
     });
 
@@ -454,6 +674,195 @@ export async function handleRefundProcessed(orderId, refundAmount) {
   }
 }
 
+/**
+ * Handle PAYOUT_STATUS event (merchant alert)
+ *
+ * Sent when a store's balance goes into a payout run, and again when the bank
+ * transfer is confirmed or fails — one notification per item and status.
+ */
+export async function handlePayoutStatus(batch, item) {
+  try {
+    const merchant = await Merchant.findById(item.merchant).select('userId storeName').lean();
+    if (!merchant) {
+      return;
+    }
+
+    const amount = `${item.amount.toFixed(2)} ${batch.currency}`;
+    const copy = {
+      pending: {
+        title: 'Payout on its way',
+        body: `A payout of ${amount} has been sent to your bank (ref. ${item.reference})`,
+      },
+      paid: {
+        title: 'Payout completed',
+        body: `Your payout of ${amount} has been paid (ref. ${item.reference})`,
+      },
+      failed: {
+        title: 'Payout failed',
+        body: `Your payout of ${amount} could not be completed and is back in your balance. Please check your IBAN`,
+      },
+    }[item.status];
+    if (!copy) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      type: 'PAYOUT_STATUS',
+      recipientType: 'merchant',
+      recipientId: merchant.userId || merchant._id,
+      title: copy.title,
+      body: copy.body,
+      deepLink: '/merchant/payouts',
+      metadata: {
+        payoutBatchId: batch._id.toString(),
+        payoutItemId: item._id.toString(),
+        reference: item.reference,
+        amount: item.amount,
+        currency: batch.currency,
+        status: item.status,
+      },
+      channel: 'push',
+      merchantId: merchant._id,
+      deduplicationKey: `PAYOUT_STATUS_${item._id}_${item.status}`,
+      priority: item.status === 'failed' ? 70 : 50,
+    });
+
+    logger.info('PAYOUT_STATUS notification sent', {
+      merchantId: merchant._id.toString(),
+      reference: item.reference,
+      status: item.status,
+    });
+  } catch (error) {
+    logger.error('Failed to handle PAYOUT_STATUS event', {
+      error: error.message,
+      payoutItemId: item?._id?.toString(),
+    });
+  }
+}
+
+/**
+ * Handle BANKAK_PAYMENT event (shopper alert)
+ *
+ * `reminder` goes out once, a few hours before an unpaid BANKAK order's
+ * payment deadline; `rejected` when an admin could not match the transfer,
+ * so the shopper can send the right details before the deadline.
+ */
+export async function handleBankakPayment(order, kind) {
+  try {
+    const user = await User.findById(order.user).select('clerkId').lean();
+    if (!user) {
+      return;
+    }
+
+    const deadline = order.paymentDeadline
+      ? new Date(order.paymentDeadline).toISOString().slice(0, 16).replace('T', ' ')
+      : null;
+    const copy = {
+      reminder: {
+        title: 'Complete your payment',
+        body: `Order #${order.orderNumber} is waiting for your BANKAK transfer${deadline ? ` and will be cancelled at ${deadline} UTC` : ''}`,
+      },
+      rejected: {
+        title: 'Transfer not confirmed',
+        body: `We could not confirm the BANKAK transfer for order #${order.orderNumber}. Please check the reference and amount and send them again`,
+      },
+    }[kind];
+    if (!copy) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      type: 'BANKAK_PAYMENT',
+      recipientType: 'user',
+      recipientId: user.clerkId || user._id,
+      title: copy.title,
+      body: copy.body,
+      deepLink: `/orders/${order._id}`,
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        kind,
+        paymentDeadline: order.paymentDeadline || null,
+      },
+      channel: 'push',
+      // A rejection can happen more than once; each is its own alert.
+      deduplicationKey:
+        kind === 'reminder'
+          ? `BANKAK_REMINDER_${order._id}`
+          : `BANKAK_REJECTED_${order._id}_${new Date(order.bankakApproval?.rejectedAt || Date.now()).getTime()}`,
+      priority: 85,
+    });
+
+    logger.info('BANKAK_PAYMENT notification sent', { orderId: order._id.toString(), kind });
+  } catch (error) {
+    logger.error('Failed to handle BANKAK_PAYMENT event', {
+      error: error.message,
+      orderId: order?._id?.toString(),
+      kind,
+    });
+  }
+}
+
+/**
+ * Handle DELIVERY_DISPATCH event (shopper alert)
+ *
+ * `assigned` when a courier is given the delivery, `accepted` when they take
+ * it on, with their name and number so the shopper knows who to expect.
+ * Pick-up and delivery are announced by the order status change itself.
+ */
+export async function handleDeliveryDispatch(order, job, courier, kind) {
+  try {
+    const user = await User.findById(order.user).select('clerkId').lean();
+    if (!user) {
+      return;
+    }
+
+    const firstName = String(courier.fullName || '').split(' ')[0] || 'A courier';
+    const copy = {
+      assigned: {
+        title: 'Courier assigned',
+        body: `${firstName} will deliver order #${order.orderNumber}`,
+      },
+      accepted: {
+        title: 'Your courier is on the way',
+        body: `${firstName} (${courier.phone}) is collecting order #${order.orderNumber} from the store`,
+      },
+    }[kind];
+    if (!copy) {
+      return;
+    }
+
+    await notificationService.createNotification({
+      type: 'DELIVERY_DISPATCH',
+      recipientType: 'user',
+      recipientId: user.clerkId || user._id,
+      title: copy.title,
+      body: copy.body,
+      deepLink: `/orders/${order._id}`,
+      metadata: {
+        orderId: order._id.toString(),
+        orderNumber: order.orderNumber,
+        jobId: job._id.toString(),
+        kind,
+        courierName: firstName,
+        courierPhone: courier.phone,
+      },
+      channel: 'push',
+      // A declined job is followed by a new one; each is its own alert.
+      deduplicationKey: `DELIVERY_DISPATCH_${job._id}_${kind}`,
+      priority: 80,
+    });
+
+    logger.info('DELIVERY_DISPATCH notification sent', { orderId: order._id.toString(), jobId: job._id.toString(), kind });
+  } catch (error) {
+    logger.error('Failed to handle DELIVERY_DISPATCH event', {
+      error: error.message,
+      orderId: order?._id?.toString(),
+      kind,
+    });
+  }
+}
+
 /**
  * Create marketing notification (NEW_ARRIVALS, FLASH_SALE, etc.)
  */
@@ -52,6 +52,8 @@ const TYPE_CATEGORY_MAP = Object.freeze({
   ORDER_DELIVERED: 'transactional',
   ORDER_CANCELLED: 'transactional',
   REFUND_PROCESSED: 'transactional',
+  BANKAK_PAYMENT: 'transactional',
+  DELIVERY_DISPATCH: 'transactional',
   NEW_ORDER: 'merchant_alerts',
   LOW_STOCK: 'merchant_alerts',
   PRODUCT_APPROVED: 'merchant_alerts',
@@ -839,6 +841,8 @@ class NotificationService {
       ORDER_DELIVERED: 'transactional',
       ORDER_CANCELLED: 'transactional',
       REFUND_PROCESSED: 'transactional',
+      BANKAK_PAYMENT: 'transactional',
+      DELIVERY_DISPATCH: 'transactional',
       NEW_ORDER: 'merchant_alerts',
       LOW_STOCK: 'merchant_alerts',
       PRODUCT_APPROVED: 'merchant_alerts',
@@ -1,3 +1,4 @@
+import mongoose from 'mongoose';
 import Order from '../models/orders.model.js';
 import Cart from '../models/carts.model.js';
 import Address from '../models/address.model.js';
@@ -5,9 +6,17 @@ import Counter from '../models/counter.model.js';
 import Marketer from '../models/marketer.model.js';
 import ReferralTrackingLog from '../models/referralTrackingLog.model.js';
 import CouponUsage from '../models/couponUsage.model.js';
+import Refund from '../models/refund.model.js';
 import Product from '../models/product.model.js';
 import User from '../models/user.model.js';
 import couponService from './coupon.service.js';
+import inventoryService from './inventory.service.js';
+import stockAlertService from './stockAlert.service.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import shippingRateService from './shippingRate.service.js';
+import stockHoldService, { holdKey } from './stockHold.service.js';
+import deliverySlotService from './deliverySlot.service.js';
+import bankakService from './bankak.service.js';
 import {
   getFxSnapshotForOrder,
   getCurrencyContext,
@@ -18,7 +27,10 @@ import { getProductPrice, mapToObject } from '../utils/cartUtils.js';
 import { calculateFinalPrice } from '../lib/pricing.engine.js';
 import { ServiceError } from '../lib/errors.js';
 import { buildShippingAddressText, toAddressSnapshot } from '../lib/address.js';
-import { COVERAGE, evaluateCoverage } from './deliveryArea.service.js';
+import { groupLinesByMerchant } from '../lib/fulfillment.js';
+import { nextStatuses } from '../lib/orderLifecycle.js';
+import { expectedTransfer, normalizeTransferReference } from '../lib/bankak.js';
+import { COVERAGE, evaluateCoverage, findUnservedMerchants } from './deliveryArea.service.js';
 import { LOCATION_SOURCE } from '../services/geo/types.js';
 import logger from '../lib/logger.js';
 
@@ -115,13 +127,54 @@ class OrderService {
     };
   }
 
+  /**
+   * Refuse lines whose store has drawn a service area that leaves this pin out.
+   *
+   * Platform coverage (resolveAddress) says whether we deliver here at all; a
+   * store's own zones can only narrow that for its own products. Every
+   * offending line is listed, with its store, so the client can drop or
+   * split them and retry — one round-trip instead of one per store.
+   *
+   * @param {Object} destination - address doc or snapshot
+   * @param {Array}  cartProducts - populated cart-product shape (`product.merchant`)
+   * @throws ServiceError MERCHANT_OUT_OF_AREA
+   */
+  async assertStoresServe(destination, cartProducts) {
+    const merchantOf = (item) => item.product?.merchant?._id || item.product?.merchant || null;
+    const merchantIds = [...new Set(cartProducts.map(merchantOf).filter(Boolean).map(String))];
+
+    const unserved = new Set(await findUnservedMerchants(destination, merchantIds));
+    if (unserved.size === 0) return;
+
+    const details = cartProducts
+      .filter((item) => unserved.has(String(merchantOf(item))))
+      .map((item) => ({
+        field: 'items',
+        message: `${item.product?.merchant?.storeName || 'This store'} does not deliver to this address`,
+        productId: String(item.product?._id),
+        merchantId: String(merchantOf(item)),
+      }));
+
+    throw new ServiceError(
+      'Some items cannot be delivered to this address',
+      'MERCHANT_OUT_OF_AREA',
+      400,
+      details
+    );
+  }
+
   // ── Cart → Line Items ────────────────────────────────────────────────────────
 
   /**
    * Convert a populated cart's products into order line items.
    * Validates stock for every item.  Builds merchant revenue buckets.
    *
+   * Units other shoppers are holding at checkout (see stockHold.service.js)
+   * are not available to this cart, so they are taken off the stock figure
+   * before the check. The shopper's own holds are never in `held`.
+   *
    * @param {Array} cartProducts - Populated cart.products
+   * @param {Object} [held]      - stockHoldService.heldQuantities() result
    * @returns {{
    *   orderProducts, totalAmount,
    *   merchantMap, merchantIds,
@@ -130,7 +183,7 @@ class OrderService {
    * }}
    * @throws ServiceError on missing product or insufficient stock
    */
-  buildOrderItems(cartProducts) {
+  buildOrderItems(cartProducts, held = null) {
     const orderProducts       = [];
     let totalAmount           = 0;
     const merchantMap         = new Map(); // merchantId → { amount, products[] }
@@ -167,7 +220,14 @@ class OrderService {
             0,
           )
         : (item.product.stock || 0);
-      const availableStock = itemVariant ? (itemVariant.stock || 0) : liveProductStock;
+      const productKey = String(item.product._id);
+      const heldUnits = itemVariant
+        ? (held?.byVariant.get(holdKey(productKey, itemVariant._id)) || 0)
+        : (held?.byProduct.get(productKey) || 0);
+      const availableStock = Math.max(
+        0,
+        (itemVariant ? (itemVariant.stock || 0) : liveProductStock) - heldUnits,
+      );
 
       if (availableStock < item.quantity) {
         logger.warn('Stock check failed', {
@@ -180,6 +240,7 @@ class OrderService {
           variantIsActive:  itemVariant ? itemVariant.isActive : null,
           cachedProductStock: item.product.stock,
           liveProductStock,
+          heldByOthers:     heldUnits,
           variantCount:     Array.isArray(item.product.variants) ? item.product.variants.length : 0,
         });
         throw new ServiceError(
@@ -299,10 +360,17 @@ class OrderService {
    * @param {Object} args
    * @param {Array}  args.orderProducts - order line items (USD `price`, `quantity`)
    * @param {number} args.discountAmount - USD discount already applied
+   * @param {number} [args.shippingFee] - USD delivery fee, added after the discount
    */
-  async resolveCurrencyConversions({ orderProducts, discountAmount }, currencyCode, context) {
+  async resolveCurrencyConversions({ orderProducts, discountAmount, shippingFee = 0 }, currencyCode, context) {
+    const unconverted = {
+      totalAmountConverted: null,
+      discountAmountConverted: null,
+      finalAmountConverted: null,
+      shippingFeeConverted: null,
+    };
     if (!currencyCode || currencyCode.toUpperCase() === 'USD') {
-      return { totalAmountConverted: null, discountAmountConverted: null, finalAmountConverted: null };
+      return unconverted;
     }
     try {
       const ctx = context || (await getCurrencyContext(currencyCode));
@@ -313,19 +381,22 @@ class OrderService {
       );
 
       const discountAmountConverted = discountAmount > 0 ? convertAmount(discountAmount, ctx) : 0;
+      const shippingFeeConverted = shippingFee > 0 ? convertAmount(shippingFee, ctx) : 0;
 
       return {
         totalAmountConverted,
         discountAmountConverted,
-        // Derived by subtraction rather than converted on its own, so the stored
-        // order always satisfies final = total − discount in the shopper's
+        // Derived rather than converted on its own, so the stored order always
+        // satisfies final = total − discount + shipping in the shopper's
         // currency. Converting finalAmount independently lets rounding break
-        // that identity and the dashboard shows three numbers that don't add up.
-        finalAmountConverted: Math.max(0, totalAmountConverted - discountAmountConverted),
+        // that identity and the dashboard shows numbers that don't add up.
+        finalAmountConverted:
+          Math.max(0, totalAmountConverted - discountAmountConverted) + shippingFeeConverted,
+        shippingFeeConverted,
       };
     } catch (err) {
       logger.warn('Currency conversion failed — order saved in USD', { error: err.message });
-      return { totalAmountConverted: null, discountAmountConverted: null, finalAmountConverted: null };
+      return unconverted;
     }
   }
 
@@ -338,13 +409,19 @@ class OrderService {
    *   ✓ User + cart loading
    *   ✓ Atomic order number generation
    *   ✓ Address resolution + ownership enforcement
+   *   ✓ Per-store service areas (lines a store cannot deliver are refused)
    *   ✓ Cart → line items (stock validation)
+   *   ✓ Atomic per-variant stock decrement, in the same transaction as the order
    *   ✓ Coupon validation + atomic reservation (via CouponService)
    *   ✓ Marketer discount lookup
    *   ✓ Merchant revenue distribution
+   *   ✓ One fulfilment group (shipment) per store
+   *   ✓ Delivery fee per shipment, snapshotted and added to finalAmount
    *   ✓ Referral marketer linking + self-referral prevention
    *   ✓ FX snapshot + currency conversion (best-effort)
    *   ✓ Single Order.create() — no post-create .save() calls
+   *   ✓ BANKAK payment deadline, and transfer details when sent with checkout
+   *   ✓ Coupon reservation released if the order write fails
    *   ✓ Post-create side-effects: coupon usage log, referral tracking, cart clear
    *
    * NOT responsible for (controller concern):
@@ -435,6 +512,8 @@ class OrderService {
       });
     }
 
+    await this.assertStoresServe(addressSnapshot, cart.products);
+
     // 5. Build order line items + validate stock
     const {
       orderProducts,
@@ -444,7 +523,36 @@ class OrderService {
       merchantTotalAmount,
       platformTotalAmount,
       unmerchantedProducts,
-    } = this.buildOrderItems(cart.products);
+    } = this.buildOrderItems(
+      cart.products,
+      await stockHoldService.heldQuantities(
+        cart.products.map((p) => p.product?._id).filter(Boolean),
+        user._id,
+      ),
+    );
+
+    // buildOrderItems only read stock off the loaded documents. Resolve which
+    // variant each line actually draws from now; the decrement itself happens
+    // next to the order write below.
+    const reservations = inventoryService.planReservations(cart.products);
+
+    // One shipment per store. buildOrderItems either pushes a line per cart
+    // item or throws, so the two arrays are index-aligned.
+    const fulfillments = groupLinesByMerchant(
+      orderProducts.map((line, i) => ({ ...line, merchant: cart.products[i]?.product?.merchant }))
+    );
+
+    // Priced before the coupon is reserved: a zone whose currency has lost its
+    // rate throws here, and nothing has been taken yet that would need giving
+    // back.
+    const shippingQuote = await shippingRateService.quote(addressSnapshot, fulfillments, totalAmount);
+    const shippingFee = shippingQuote.totalUSD;
+
+    // The window is checked now, for the same reason; its place is taken in
+    // the order transaction below.
+    const slotBooking = body.deliverySlotId
+      ? await deliverySlotService.plan(shippingQuote.zone, String(body.deliverySlotId))
+      : null;
 
     if (unmerchantedProducts.length > 0) {
       logger.warn('Order contains products without merchants', {
@@ -458,9 +566,11 @@ class OrderService {
     let discountAmount = 0;
     let couponId       = null;
     let couponDetails  = null;
+    let couponDiscount = 0;
 
     if (body.couponCode) {
       const result   = await couponService.reserveCoupon(body.couponCode, user._id, totalAmount);
+      couponDiscount  = result.discountAmount;
       discountAmount += result.discountAmount;
       couponId        = result.couponId;
       couponDetails   = result.couponDetails;
@@ -471,7 +581,8 @@ class OrderService {
       discountAmount = Math.min(discountAmount + marketerDiscount, totalAmount);
     }
 
-    const finalAmount = Math.max(0, totalAmount - discountAmount);
+    // Discounts apply to the goods only; delivery is charged on top.
+    const finalAmount = Math.max(0, totalAmount - discountAmount) + shippingFee;
 
     // 7. Merchant revenue distribution
     const merchantRevenue = this.buildMerchantRevenue(merchantMap, merchantTotalAmount, discountAmount);
@@ -505,39 +616,120 @@ class OrderService {
     const fxSnapshot = await getFxSnapshotForOrder(selectedCurrency, currencyContext);
 
     const currencyConversions = await this.resolveCurrencyConversions(
-      { orderProducts, discountAmount },
+      { orderProducts, discountAmount, shippingFee },
       selectedCurrency,
       currencyContext
     );
 
-    // 10. Create the order — single DB write
-    const order = await Order.create({
-      user:    user._id,
-      products: orderProducts,
-      totalAmount,
-      discountAmount,
-      finalAmount,
-      coupon:         couponId,
-      couponDetails:  couponDetails || null,
-      paymentMethod,
-      paymentStatus:  'pending',
-      orderNumber,
-      address:         addressText,
-      phoneNumber,
-      city,
-      addressSnapshot,
-      transferProof:   body.transferProof || body.paymentProofUrl || null,
-      marketer:          resolvedMarketer?.id   || null,
-      referralCodeUsed:  resolvedMarketer?.code || null,
-      marketerCommission: 0,
-      merchants:      Array.from(merchantIds),
-      merchantRevenue,
-      currencyCodeSelected: selectedCurrency,
-      fxSnapshot,
-      ...currencyConversions,
-    });
+    // A BANKAK order is placed unpaid, with a deadline to pay by. The transfer
+    // details may come with checkout or later, from the order screen.
+    const bankakFields = paymentMethod === 'BANKAK'
+      ? {
+          paymentDeadline: bankakService.deadlineFor(),
+          ...(body.transferReference
+            ? {
+                bankakTransfer: {
+                  reference:     normalizeTransferReference(body.transferReference),
+                  amount:        Number(body.transferAmount),
+                  currency:      expectedTransfer({ currencyCodeSelected: selectedCurrency, finalAmount, ...currencyConversions }).currency,
+                  senderAccount: String(body.senderAccount || '').trim(),
+                },
+              }
+            : {}),
+        }
+      : {};
+
+    // 10. Take stock and create the order — one transaction.
+    //
+    // The stock check in buildOrderItems is advisory: two shoppers can both
+    // pass it for the last unit. The conditional decrement in reserve() is the
+    // real gate, and running it in the same transaction as the insert means a
+    // line that loses the race rolls back every line already taken *and* the
+    // order — no half-reserved carts, no order without its stock. A booked
+    // delivery window's last place is taken the same way.
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    // The id is chosen here so the stock movements can point at the order
+    // they are written alongside.
+    const orderId = new mongoose.Types.ObjectId();
+    let order;
+    try {
+      const stockLines = await inventoryService.reserve(reservations, {
+        session,
+        order: { _id: orderId, orderNumber },
+        actor: { type: 'customer', id: clerkUserId },
+      });
+      const deliverySlot = slotBooking ? await deliverySlotService.reserve(slotBooking, { session }) : undefined;
+
+      [order] = await Order.create([{
+        _id:     orderId,
+        user:    user._id,
+        products: orderProducts,
+        totalAmount,
+        discountAmount,
+        finalAmount,
+        shippingFee,
+        shipping: {
+          fee:          shippingFee,
+          zone:         shippingQuote.zone?._id || null,
+          zoneName:     shippingQuote.zone?.name || null,
+          zoneNameAr:   shippingQuote.zone?.nameAr || null,
+          currencyCode: shippingQuote.zone?.pricing?.currencyCode || 'USD',
+          rate:         shippingQuote.rate,
+          reason:       shippingQuote.reason,
+          groups:       shippingQuote.groups,
+          computedAt:   new Date(),
+        },
+        deliverySlot,
+        coupon:         couponId,
+        couponDetails:  couponDetails || null,
+        paymentMethod,
+        paymentStatus:  'pending',
+        orderNumber,
+        address:         addressText,
+        phoneNumber,
+        city,
+        addressSnapshot,
+        transferProof:   body.transferProof || body.paymentProofUrl || null,
+        ...bankakFields,
+        marketer:          resolvedMarketer?.id   || null,
+        referralCodeUsed:  resolvedMarketer?.code || null,
+        marketerCommission: 0,
+        merchants:      Array.from(merchantIds),
+        merchantRevenue,
+        fulfillments,
+        currencyCodeSelected: selectedCurrency,
+        fxSnapshot,
+        ...currencyConversions,
+        stockReservation: { status: 'reserved', lines: stockLines, reservedAt: new Date() },
+      }], { session });
+
+      // Whatever the shopper was holding has just become a real decrement.
+      await stockHoldService.convertForUser(user._id, order._id, reservations, { session });
+
+      await session.commitTransaction();
+    } catch (err) {
+      await session.abortTransaction();
+
+      // The coupon was reserved outside the transaction (step 6), so the abort
+      // above does not undo it. Give the use back, or a lost stock race burns
+      // one global redemption for an order that does not exist.
+      if (couponId) {
+        couponService.releaseCoupon(couponId, couponDiscount).catch((releaseErr) =>
+          logger.error('Failed to release coupon after aborted order', {
+            error: releaseErr.message, orderNumber, couponId: String(couponId),
+          })
+        );
+      }
+      throw err;
+    } finally {
+      session.endSession();
+    }
 
     // 11. Post-create side-effects (fire-and-forget — must not block the response)
+    stockAlertService.afterOrder(order._id);
+
     if (couponId) {
       CouponUsage.create({ coupon: couponId, user: user._id, order: order._id }).catch(err =>
         logger.error('Failed to record coupon usage', { error: err.message, orderId: order._id })
@@ -612,6 +804,8 @@ class OrderService {
       to:          user.emailAddress,
       userName:    user.fullName || '',
       orderNumber,
+      // The invoice PDF is drawn from the order when the email is sent.
+      orderId:     String(order._id),
       ...emailMoney,
     };
 
@@ -625,15 +819,22 @@ class OrderService {
    * without creating an order. Used by the mobile checkout sheet so the user
    * sees authoritative pricing before confirming.
    *
-   * Shipping is not yet modelled — fee is 0 and rate is null. Wire in a real
-   * ShippingRate lookup here once the model exists.
+   * Shipping is priced per store by shippingRate.service.js from the zone
+   * covering the address pin; `shippingRate` carries the zone and the
+   * per-shipment breakdown, or is null when no zone covers the pin (fee 0).
+   * `deliverySlots` lists the zone's bookable delivery windows, if it has any.
    *
    * @param {Object} userDoc       - The User document (req.appUser)
    * @param {string} addressId     - Address ObjectId
    * @param {Array}  items         - [{ productId, quantity, variantId?, attributes? }]
    * @param {string} currencyCode  - Currency to report in the response
+   * @param {Object} [options]
+   * @param {boolean} [options.hold] - Also hold the quoted quantities for this
+   *   shopper for a few minutes (CHECKOUT_HOLD_MINUTES), so stock doesn't sell
+   *   out from under a BANKAK transfer in progress. The hold is converted by
+   *   createOrder, or simply lapses.
    */
-  async quoteOrder(userDoc, addressId, items, currencyCode = 'USD') {
+  async quoteOrder(userDoc, addressId, items, currencyCode = 'USD', { hold = false } = {}) {
     if (!Array.isArray(items) || items.length === 0) {
       throw new ServiceError('items must be a non-empty array', 'EMPTY_ITEMS');
     }
@@ -675,16 +876,29 @@ class OrderService {
       };
     });
 
+    await this.assertStoresServe(address, cartLike);
+
     const {
       orderProducts,
       totalAmount,
       merchantMap,
       platformTotalAmount,
       unmerchantedProducts,
-    } = this.buildOrderItems(cartLike);
+    } = this.buildOrderItems(
+      cartLike,
+      await stockHoldService.heldQuantities(products.map((p) => p._id), userDoc._id),
+    );
+
+    // Only after buildOrderItems has passed: a hold is a promise that the
+    // quantity is there, so never place one for a cart that failed the check.
+    const heldStock = hold
+      ? await stockHoldService.placeHolds(userDoc._id, inventoryService.planReservations(cartLike))
+      : null;
 
-    const shippingFee = 0;
-    const shippingRate = null;
+    // One shipment per store, in the same order as subOrders below.
+    const shipmentGroups = [...merchantMap.keys()].map((merchant) => ({ merchant }));
+    if (platformTotalAmount > 0) shipmentGroups.push({ merchant: null });
+    const shippingQuote = await shippingRateService.quote(address, shipmentGroups, totalAmount);
 
     // buildOrderItems works in USD (the pricing engine reads raw merchant prices
     // off the documents). Convert before returning — this response previously
@@ -699,6 +913,38 @@ class OrderService {
 
     const { total: subtotal } = toDisplay(orderProducts);
 
+    // Each shipment's fee is converted on its own and the total is their sum,
+    // the same per-part rounding convertLineTotals uses for goods.
+    const shipments = shippingQuote.groups.map((g) => ({
+      ...g,
+      fee:         g.fee > 0 ? convertAmount(g.fee, context) : 0,
+      baseFee:     g.baseFee > 0 ? convertAmount(g.baseFee, context) : 0,
+      distanceFee: g.distanceFee > 0 ? convertAmount(g.distanceFee, context) : 0,
+    }));
+    const shippingFee = shipments.reduce((sum, g) => sum + g.fee, 0);
+    const shipmentFee = (merchantId) =>
+      shipments.find((g) => String(g.merchant) === String(merchantId))?.fee || 0;
+
+    const shippingRate = shippingQuote.zone
+      ? {
+          zoneId:              String(shippingQuote.zone._id),
+          zoneName:            shippingQuote.zone.name,
+          zoneNameAr:          shippingQuote.zone.nameAr || '',
+          estimatedMinMinutes: shippingQuote.zone.estimatedMinMinutes ?? null,
+          estimatedMaxMinutes: shippingQuote.zone.estimatedMaxMinutes ?? null,
+          breakdown: shipments.map((g) => ({
+            merchantId:   g.merchant ? String(g.merchant) : null,
+            distanceKm:   g.distanceKm,
+            chargeableKm: g.chargeableKm,
+            baseFee:      g.baseFee,
+            distanceFee:  g.distanceFee,
+            fee:          g.fee,
+            capped:       g.capped,
+            free:         g.free,
+          })),
+        }
+      : null;
+
     // Build per-merchant breakdown that mirrors the mobile QuoteResponse shape.
     const subOrders = [];
     for (const [merchantId, data] of merchantMap.entries()) {
@@ -712,8 +958,8 @@ class OrderService {
           merchantPrice: convertAmount(p.merchantPrice, context),
         })),
         subtotal:    total,
-        shippingFee: 0,
-        total,
+        shippingFee: shipmentFee(merchantId),
+        total:       total + shipmentFee(merchantId),
       });
     }
 
@@ -728,8 +974,8 @@ class OrderService {
           merchantPrice: convertAmount(p.merchantPrice, context),
         })),
         subtotal:    total,
-        shippingFee: 0,
-        total,
+        shippingFee: shipmentFee(null),
+        total:       total + shipmentFee(null),
       });
     }
 
@@ -747,11 +993,70 @@ class OrderService {
       // display amount makes a fixed $10 coupon behave like a 10 SDG one.
       baseCurrency: 'USD',
       subtotalBase: totalAmount,
-      totalBase:    totalAmount + shippingFee,
+      shippingFeeBase: shippingQuote.totalUSD,
+      totalBase:    totalAmount + shippingQuote.totalUSD,
 
       subOrders,
+
+      // Delivery windows the shopper can book (send one back as
+      // `deliverySlotId`), or null when the zone offers none.
+      deliverySlots: await deliverySlotService.offered(shippingQuote.zone),
+
+      // { expiresAt, minutes, items } when a hold was requested, else null.
+      hold: heldStock,
     };
   }
+
+  /**
+   * The shopper cancels their own order.
+   *
+   * Allowed only while nothing has left a store: on a split order every
+   * shipment still live must be cancellable, or the order is left alone —
+   * a shopper who asked to cancel did not ask to keep half of it. Stock, the
+   * coupon use and, on a paid order, the refund record all come from the
+   * lifecycle's cancel effects; the refund is returned so the shopper can see
+   * it.
+   *
+   * @param {string} clerkUserId
+   * @param {string|ObjectId} orderId
+   * @param {string} [reason]
+   * @returns {Promise<{ order: Order, refund: Refund|null }>}
+   * @throws ServiceError
+   */
+  async cancelByCustomer(clerkUserId, orderId, reason = null) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+
+    // Scoped to the shopper: someone else's order is simply not found.
+    const current = await Order.findOne({ _id: orderId, user: user._id }).select('status fulfillments').lean();
+    if (!current) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const cancellable = (status) => status === 'cancelled' || nextStatuses(status, 'customer').includes('cancelled');
+    const blocked = current.fulfillments?.length
+      ? current.fulfillments.some((f) => !cancellable(f.status))
+      : !cancellable(current.status);
+    if (blocked) {
+      throw new ServiceError(
+        'This order can no longer be cancelled — part of it has already left the store',
+        'ORDER_NOT_CANCELLABLE',
+        409,
+        { status: current.status }
+      );
+    }
+
+    const { order } = await orderLifecycleService.transition(
+      orderId,
+      'cancelled',
+      { type: 'customer', id: clerkUserId },
+      { reason }
+    );
+
+    const refund = order.paymentStatus === 'paid'
+      ? await Refund.findOne({ order: order._id, source: 'cancellation' }).lean()
+      : null;
+
+    return { order, refund };
+  }
 }
 
 export default new OrderService();
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+import Order from '../models/orders.model.js';
+import { dayBounds } from '../lib/cod.js';
+import { csvChunks } from '../lib/csv.js';
+import { xlsxChunks } from '../lib/xlsx.js';
+import { exportColumns, exportRows } from '../lib/orderExport.js';
+
+// Orders read from Mongo per round trip. Each batch is populated in one go,
+// so this is also how many orders are held at once.
+const BATCH_SIZE = 200;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const ORDER_FIELDS =
+  'orderNumber orderDate status fulfillments paymentMethod paymentStatus city phoneNumber addressSnapshot ' +
+  'user products merchants merchantRevenue totalAmount discountAmount shippingFee finalAmount ' +
+  'finalAmountConverted currencyCodeSelected couponDetails.code referralCodeUsed shipping.zoneName deliverySlot';
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Streamed order exports (lib/orderExport.js) for the admin dashboard and for
+ * stores. Orders are read through a cursor and written out as they arrive, so
+ * the size of an export is bounded by the disk on the other end, not by memory
+ * here.
+ */
+class OrderExportService {
+  /**
+   * The Mongo filter for an export.
+   *
+   * A store's export is always limited to orders it is part of, whatever
+   * `merchantId` the caller sent, and its `status` is its own shipment's on a
+   * split order — as GET /orders/merchant/my-orders.
+   *
+   * @param {object} filters
+   * @param {string} [filters.from] - YYYY-MM-DD, Khartoum; orders placed that day onwards
+   * @param {string} [filters.to]   - YYYY-MM-DD, Khartoum; through the end of that day
+   * @param {string} [filters.status]
+   * @param {string} [filters.paymentMethod]
+   * @param {string} [filters.city] - either address's city, case aside
+   * @param {string} [filters.merchantId] - admin: orders with this store in them
+   * @param {string|null} [scopeMerchantId] - a store's own export
+   * @returns {object}
+   */
+  filter({ from, to, status, paymentMethod, city, merchantId } = {}, scopeMerchantId = null) {
+    const and = [];
+    if (from || to) {
+      const orderDate = {};
+      if (from) orderDate.$gte = dayBounds(from).start;
+      if (to) orderDate.$lt = dayBounds(to).end;
+      and.push({ orderDate });
+    }
+    if (paymentMethod) and.push({ paymentMethod: paymentMethod.toUpperCase() });
+    if (city) {
+      const rx = new RegExp(`^${escapeRegex(city.trim())}$`, 'i');
+      and.push({ $or: [{ 'addressSnapshot.city': rx }, { city: rx }] });
+    }
+
+    if (scopeMerchantId) {
+      const id = new mongoose.Types.ObjectId(String(scopeMerchantId));
+      and.push({ merchants: id });
+      if (status) {
+        and.push({
+          $or: [
+            { fulfillments: { $elemMatch: { merchant: id, status } } },
+            { fulfillments: { $exists: false }, status },
+          ],
+        });
+      }
+    } else {
+      if (merchantId) and.push({ merchants: new mongoose.Types.ObjectId(String(merchantId)) });
+      if (status) and.push({ status });
+    }
+
+    return and.length ? { $and: and } : {};
+  }
+
+  /**
+   * Stream an export.
+   *
+   * Nothing is read until the first chunk is asked for, so the caller can set
+   * its headers first.
+   *
+   * @param {object} options
+   * @param {'csv'|'xlsx'} [options.format]
+   * @param {'orders'|'lines'} [options.mode]
+   * @param {object} [options.filters] - as filter()
+   * @param {string|null} [options.merchantId] - a store's own export
+   * @returns {{ filename: string, contentType: string, chunks: AsyncGenerator<string|Buffer> }}
+   */
+  export({ format = 'csv', mode = 'orders', filters = {}, merchantId = null } = {}) {
+    const scope = merchantId ? String(merchantId) : null;
+    const cursor = () =>
+      Order.find(this.filter(filters, scope))
+        .select(ORDER_FIELDS)
+        .populate({ path: 'user', select: 'fullName emailAddress' })
+        .populate({
+          path: 'products.product',
+          select: 'name merchant',
+          populate: { path: 'merchant', select: 'storeName' },
+        })
+        .populate('merchants', 'storeName')
+        .sort({ orderDate: -1 })
+        .lean()
+        .cursor({ batchSize: BATCH_SIZE });
+
+    async function* rows() {
+      for await (const order of cursor()) yield* exportRows(order, { mode, merchantId: scope });
+    }
+
+    const columns = exportColumns({ mode, merchant: Boolean(scope) });
+    const { from, to } = filters;
+    const range = from && to ? `${from}_to_${to}` : from ? `from_${from}` : to ? `to_${to}` : '';
+    const filename = `${mode}${range ? `-${range}` : ''}.${format}`;
+    return {
+      filename,
+      contentType: CONTENT_TYPES[format],
+      chunks: format === 'xlsx' ? xlsxChunks(columns, rows(), { sheetName: mode }) : csvChunks(columns, rows()),
+    };
+  }
+}
+
+export default new OrderExportService();
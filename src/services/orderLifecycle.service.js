@@ -0,0 +1,552 @@
+import Order from '../models/orders.model.js';
+import { ServiceError } from '../lib/errors.js';
+import { planTransition } from '../lib/orderLifecycle.js';
+import { FULFILLMENT_TIMESTAMPS, deriveOrderStatus, derivedStatusEffects } from '../lib/fulfillment.js';
+import logger from '../lib/logger.js';
+import CommissionService from './commission.service.js';
+import couponService from './coupon.service.js';
+import deliveryCodeService from './deliveryCode.service.js';
+import deliverySlotService from './deliverySlot.service.js';
+import inventoryService from './inventory.service.js';
+import ledgerService from './ledger.service.js';
+import refundService from './refund.service.js';
+import { queueOrderStatusEmail } from './mailService.js';
+import {
+  handleFulfillmentStatusChanged,
+  handleOrderStatusChanged,
+  handleRefundProcessed,
+} from './notificationEventHandlers.js';
+
+const STATUS_FOR_CODE = {
+  UNKNOWN_ACTOR: 400,
+  INVALID_STATUS: 400,
+  INVALID_STATUS_TRANSITION: 409,
+  TRANSITION_NOT_PERMITTED: 403,
+};
+
+const planOrThrow = (from, to, actor, verification = null) => {
+  const plan = planTransition({ from, to, actor: actor.type, verified: Boolean(verification) });
+  if (!plan.ok) {
+    throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400, {
+      from,
+      to,
+      allowedStatuses: plan.allowed,
+    });
+  }
+  return plan.value;
+};
+
+const conflict = () =>
+  new ServiceError(
+    'The order status changed while you were updating it — reload and try again',
+    'ORDER_STATUS_CONFLICT',
+    409
+  );
+
+const historyEntry = (from, to, actor, reason, fulfillment = null, verification = null) => ({
+  from,
+  to,
+  actorType:   actor.type,
+  actorId:     actor.id ? String(actor.id) : null,
+  merchant:    actor.type === 'merchant' ? actor.merchant : null,
+  fulfillment,
+  reason:      reason || null,
+  proof:       verification?.proof || null,
+  deliveryCode: verification?.deliveryCode || null,
+  at:          new Date(),
+});
+
+// Why restocked units came back, for the stock history (lib/inventory.js).
+const restockType = (to) => (to === 'returned' ? 'return' : 'cancellation');
+
+// ─── OrderLifecycleService ────────────────────────────────────────────────────
+
+class OrderLifecycleService {
+  /**
+   * Move an order to `to`, record who did it, and run the side effects the
+   * lifecycle table attaches to that move.
+   *
+   * The status change and its history entry are one conditional update on
+   * `{ _id, status: from }`: two people acting on the same order at once
+   * cannot both win, and the loser gets a 409 instead of silently overwriting
+   * the first change. Side effects run only after the write has landed, and
+   * only for the caller that made it — so a commission is created once, and
+   * stock comes back once, however many times the button is pressed.
+   *
+   * On an order split into shipments the move is applied to every shipment
+   * that can make it — "cancel the order" cancels each parcel not already on
+   * its way — and the order status is re-derived. `refunded` stays an
+   * order-level move: it is about the payment, not the parcels.
+   *
+   * Asking for the status the order already has is a no-op, not an error:
+   * retried PATCHes from a flaky connection must not start failing.
+   *
+   * @param {string|ObjectId} orderId
+   * @param {string} to
+   * @param {object} actor
+   * @param {string} actor.type        - one of ORDER_ACTORS
+   * @param {string} [actor.id]        - Clerk user id, courier id, or job name
+   * @param {ObjectId} [actor.merchant] - required when type is 'merchant'
+   * @param {object} [options]
+   * @param {string} [options.reason]
+   * @param {{ proof: string, deliveryCode }} [options.verification] - set by confirmDelivery only
+   * @returns {{ order: Order, from: string, to: string, changed: boolean }}
+   * @throws ServiceError
+   */
+  async transition(orderId, to, actor, { reason = null, verification = null } = {}) {
+    const current = await Order.findById(orderId).select('status merchants fulfillments').lean();
+    if (!current) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    if (actor.type === 'merchant') {
+      const inOrder = (current.merchants || []).some((m) => String(m) === String(actor.merchant));
+      if (!inOrder) {
+        throw new ServiceError('You can only update orders that contain your products', 'FORBIDDEN', 403);
+      }
+    }
+
+    const from = current.status;
+    if (from === to) {
+      const order = await Order.findById(orderId);
+      return { order, from, to, changed: false };
+    }
+
+    if (current.fulfillments?.length && to !== 'refunded') {
+      return this.#transitionAllShipments(current, to, actor, reason);
+    }
+
+    const { effects } = planOrThrow(from, to, actor, verification);
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: from },
+      { $set: { status: to }, $push: { statusHistory: historyEntry(from, to, actor, reason, null, verification) } },
+      { new: true, runValidators: true }
+    );
+    if (!order) throw conflict();
+
+    this.#logChange(order, from, to, actor);
+    await this.#runEffects(order, from, to, effects, actor);
+    return { order, from, to, changed: true };
+  }
+
+  /**
+   * Move one store's shipment, and the order with it when its derived status
+   * changes.
+   *
+   * Same table, same actors as whole orders. A merchant may only move their
+   * own store's shipment; tracking details can be sent with the move, or on
+   * their own with the shipment's current status.
+   *
+   * @param {string|ObjectId} orderId
+   * @param {string|ObjectId} fulfillmentId
+   * @param {string} to
+   * @param {object} actor - as for transition()
+   * @param {object} [options]
+   * @param {string} [options.reason]
+   * @param {string} [options.trackingNumber]
+   * @param {string} [options.carrier]
+   * @param {{ proof: string, deliveryCode }} [options.verification] - set by confirmDelivery only
+   * @returns {{ order: Order, fulfillment: object, from: string, to: string, changed: boolean }}
+   * @throws ServiceError
+   */
+  async transitionFulfillment(orderId, fulfillmentId, to, actor, { reason = null, trackingNumber, carrier, verification = null } = {}) {
+    const current = await Order.findById(orderId).select('status fulfillments').lean();
+    if (!current) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const group = (current.fulfillments || []).find((f) => String(f._id) === String(fulfillmentId));
+    if (!group) throw new ServiceError('Shipment not found', 'NOT_FOUND', 404);
+
+    if (actor.type === 'merchant' && String(group.merchant) !== String(actor.merchant)) {
+      throw new ServiceError('You can only update your own store\'s shipment', 'FORBIDDEN', 403);
+    }
+    if (to === 'refunded') {
+      throw new ServiceError('Refunds apply to the whole order, not to one shipment', 'INVALID_STATUS', 400);
+    }
+
+    const tracking = {};
+    if (trackingNumber !== undefined) tracking['fulfillments.$.trackingNumber'] = trackingNumber || null;
+    if (carrier !== undefined) tracking['fulfillments.$.carrier'] = carrier || null;
+
+    const from = group.status;
+    if (from === to) {
+      const order = Object.keys(tracking).length
+        ? await Order.findOneAndUpdate(
+            { _id: orderId, 'fulfillments._id': group._id },
+            { $set: tracking },
+            { new: true, runValidators: true }
+          )
+        : await Order.findById(orderId);
+      return { order, fulfillment: order.fulfillments.id(group._id), from, to, changed: false };
+    }
+
+    const { effects } = planOrThrow(from, to, actor, verification);
+
+    const orderFrom = current.status;
+    const orderTo = deriveOrderStatus(
+      current.fulfillments.map((f) => (String(f._id) === String(group._id) ? to : f.status))
+    );
+
+    const history = [historyEntry(from, to, actor, reason, group._id, verification)];
+    if (orderTo !== orderFrom) history.push(historyEntry(orderFrom, orderTo, actor, reason, null, verification));
+
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, status: orderFrom, fulfillments: { $elemMatch: { _id: group._id, status: from } } },
+      {
+        $set: {
+          status: orderTo,
+          'fulfillments.$.status': to,
+          [`fulfillments.$.${FULFILLMENT_TIMESTAMPS[to]}`]: new Date(),
+          ...tracking,
+        },
+        $push: { statusHistory: { $each: history } },
+      },
+      { new: true, runValidators: true }
+    );
+    if (!order) throw conflict();
+
+    this.#logChange(order, from, to, actor, group._id);
+
+    await this.#runShipmentEffects(order, [{ group, from, to, effects }], { notify: true, actor });
+    await this.#runEffects(order, orderFrom, orderTo, derivedStatusEffects(orderFrom, orderTo), actor);
+
+    return { order, fulfillment: order.fulfillments.id(group._id), from, to, changed: true };
+  }
+
+  /**
+   * What a merchant's status update means: their own shipment on a split
+   * order, the whole order on one placed before shipments existed. Without a
+   * `to` only the tracking details of their shipment change.
+   *
+   * @param {string|ObjectId} orderId
+   * @param {string|undefined} to
+   * @returns same as transitionFulfillment / transition
+   */
+  async transitionForMerchant(orderId, to, actor, options = {}) {
+    const current = await Order.findById(orderId).select('fulfillments').lean();
+    if (!current) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    if (!current.fulfillments?.length) {
+      if (to === undefined) {
+        throw new ServiceError('This order has no shipments to track', 'NO_UPDATE_DATA', 400);
+      }
+      return this.transition(orderId, to, actor, options);
+    }
+
+    const group = current.fulfillments.find((f) => String(f.merchant) === String(actor.merchant));
+    if (!group) {
+      throw new ServiceError('You can only update orders that contain your products', 'FORBIDDEN', 403);
+    }
+    return this.transitionFulfillment(orderId, group._id, to ?? group.status, actor, options);
+  }
+
+  /**
+   * Deliver an order, or one store's shipment, on the strength of the code
+   * the shopper gave at the door.
+   *
+   * The history entry records that the code was checked and which code it
+   * was, so whatever reads a delivery afterwards — commission, the ledger,
+   * a dispute — can tell a confirmed handover from someone's say-so. It is
+   * also the only way a merchant can deliver (see `verified` in
+   * lib/orderLifecycle.js).
+   *
+   * @param {string|ObjectId} orderId
+   * @param {object} params
+   * @param {string} params.code
+   * @param {string|ObjectId} [params.fulfillmentId] - on a split order; a
+   *   merchant's own shipment when omitted
+   * @param {{ photoUrl?: string, lat?: number, lng?: number }} [params.proof]
+   * @param {object} actor - as for transition()
+   * @returns same as transitionFulfillment / transition
+   * @throws ServiceError
+   */
+  async confirmDelivery(orderId, { code, fulfillmentId = null, proof = {} }, actor) {
+    const current = await Order.findById(orderId).select('status merchants fulfillments').lean();
+    if (!current) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    let group = null;
+    if (current.fulfillments?.length) {
+      group = fulfillmentId
+        ? current.fulfillments.find((f) => String(f._id) === String(fulfillmentId))
+        : current.fulfillments.find((f) => actor.merchant && String(f.merchant) === String(actor.merchant));
+      if (!group) {
+        if (fulfillmentId) throw new ServiceError('Shipment not found', 'NOT_FOUND', 404);
+        throw new ServiceError('This order ships from several stores — name the shipment', 'SHIPMENT_REQUIRED', 400);
+      }
+    }
+    if (actor.type === 'merchant') {
+      const ownsIt = group
+        ? String(group.merchant) === String(actor.merchant)
+        : (current.merchants || []).some((m) => String(m) === String(actor.merchant));
+      if (!ownsIt) throw new ServiceError('You can only deliver your own store\'s orders', 'FORBIDDEN', 403);
+    }
+
+    const deliveryCode = await deliveryCodeService.check({
+      orderId: current._id,
+      fulfillmentId: group?._id ?? null,
+      code,
+      status: group ? group.status : current.status,
+      actor,
+    });
+
+    const verification = { proof: 'delivery_code', deliveryCode: deliveryCode._id };
+    const result = group
+      ? await this.transitionFulfillment(current._id, group._id, 'delivered', actor, { verification })
+      : await this.transition(current._id, 'delivered', actor, { verification });
+
+    await deliveryCodeService.markUsed(deliveryCode._id, { actor, proof });
+    return result;
+  }
+
+  // ── internals ──────────────────────────────────────────────────────────────
+
+  /**
+   * An order-level move on a split order: move every shipment that can make
+   * the move, leave the rest, and re-derive. Fails only when no shipment can.
+   */
+  async #transitionAllShipments(current, to, actor, reason) {
+    const moves = [];
+    for (const group of current.fulfillments) {
+      if (group.status === to) continue;
+      const plan = planTransition({ from: group.status, to, actor: actor.type });
+      if (plan.ok) moves.push({ group, from: group.status, to, effects: plan.value.effects });
+    }
+    if (moves.length === 0) {
+      // Prefer the order-level explanation ("cannot move from delivered to
+      // pending"); it is what the caller was looking at.
+      planOrThrow(current.status, to, actor);
+      throw new ServiceError(`No shipment in this order can move to ${to}`, 'INVALID_STATUS_TRANSITION', 409);
+    }
+
+    const moving = new Set(moves.map((m) => String(m.group._id)));
+    const orderFrom = current.status;
+    const orderTo = deriveOrderStatus(
+      current.fulfillments.map((f) => (moving.has(String(f._id)) ? to : f.status))
+    );
+
+    const filter = { _id: current._id, status: orderFrom };
+    const set = { status: orderTo };
+    const at = new Date();
+    current.fulfillments.forEach((f, i) => {
+      if (!moving.has(String(f._id))) return;
+      filter[`fulfillments.${i}._id`] = f._id;
+      filter[`fulfillments.${i}.status`] = f.status;
+      set[`fulfillments.${i}.status`] = to;
+      set[`fulfillments.${i}.${FULFILLMENT_TIMESTAMPS[to]}`] = at;
+    });
+
+    const history = moves.map((m) => historyEntry(m.from, to, actor, reason, m.group._id));
+    if (orderTo !== orderFrom) history.push(historyEntry(orderFrom, orderTo, actor, reason));
+
+    const order = await Order.findOneAndUpdate(
+      filter,
+      { $set: set, $push: { statusHistory: { $each: history } } },
+      { new: true, runValidators: true }
+    );
+    if (!order) throw conflict();
+
+    this.#logChange(order, orderFrom, orderTo, actor);
+
+    // One order-wide push rather than one per parcel — the shopper asked
+    // nothing of each store, the platform acted on the whole order.
+    await this.#runShipmentEffects(order, moves, { notify: false, actor });
+    const effects = derivedStatusEffects(orderFrom, orderTo);
+    if (orderTo !== orderFrom && moves.some((m) => m.effects.includes('notify'))) effects.push('notify');
+    await this.#runEffects(order, orderFrom, orderTo, effects, actor);
+
+    return { order, from: orderFrom, to: orderTo, changed: true };
+  }
+
+  #logChange(order, from, to, actor, fulfillmentId = null) {
+    logger.info('Order status changed', {
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      fulfillmentId: fulfillmentId ? String(fulfillmentId) : undefined,
+      from,
+      to,
+      actorType: actor.type,
+      actorId: actor.id ? String(actor.id) : null,
+    });
+  }
+
+  /**
+   * Per-shipment effects: put back only that store's units, issue each
+   * parcel its own delivery code, and tell the shopper about that parcel.
+   */
+  async #runShipmentEffects(order, moves, { notify, actor }) {
+    for (const m of moves.filter((move) => move.effects.includes('delivery_code'))) {
+      await this.#issueDeliveryCode(order, m.group._id);
+    }
+
+    // A returned parcel and a cancelled one go back on the shelf for different
+    // reasons, and the stock history says which.
+    for (const type of ['cancellation', 'return']) {
+      const restockProducts = moves
+        .filter((m) => m.effects.includes('restock') && restockType(m.to) === type)
+        .flatMap((m) => m.group.items.map((item) => item.product));
+      if (!restockProducts.length) continue;
+
+      try {
+        const { released, lines } = await inventoryService.releaseForOrder(order._id, { products: restockProducts, type, actor });
+        if (released) logger.info(`Stock restored for shipments of order: ${order.orderNumber}`, { lines });
+      } catch (stockError) {
+        logger.error(`Failed to restore stock for shipments of order ${order._id}:`, stockError);
+      }
+    }
+
+    if (!notify) return;
+    for (const m of moves) {
+      if (!m.effects.includes('notify')) continue;
+      handleFulfillmentStatusChanged(order._id, m.group._id, m.from, m.to).catch((error) => {
+        logger.error('Failed to send shipment status notification', {
+          error: error.message,
+          orderId: String(order._id),
+          fulfillmentId: String(m.group._id),
+        });
+      });
+    }
+  }
+
+  /**
+   * Effects after a committed transition.
+   *
+   * Commission, the ledger entry, restock, the coupon and slot releases and
+   * the refund record are awaited: a missing commission or ledger entry is
+   * money owed to a marketer or a store, a restock that silently failed is
+   * stock the catalogue never sells again, a window never given back is a
+   * delivery place nobody can book, and a refund nobody recorded is a shopper
+   * nobody pays — all are logged loudly, and none undoes the status change.
+   * All are idempotent, so a retried transition is safe. Notifications and
+   * email are fire-and-forget and never fail the request.
+   */
+  async #runEffects(order, from, to, effects, actor) {
+    const orderId = String(order._id);
+
+    if (effects.includes('commission') && order.marketer) {
+      try {
+        const commission = await CommissionService.createCommission(order._id);
+        logger.info(`Commission record created for delivered order: ${order.orderNumber}`);
+        if (commission) await ledgerService.postCommission(commission);
+      } catch (commError) {
+        logger.error(`Failed to create commission for order ${orderId}:`, commError);
+      }
+    }
+
+    if (effects.includes('ledger')) {
+      try {
+        await ledgerService.postDelivery(order._id);
+      } catch (ledgerError) {
+        logger.error(`Failed to post ledger entry for delivered order ${orderId}:`, ledgerError);
+      }
+    }
+
+    // On a split order each shipment has its own code (#runShipmentEffects).
+    if (effects.includes('delivery_code') && !order.fulfillments?.length) {
+      await this.#issueDeliveryCode(order, null);
+    }
+
+    if (effects.includes('restock')) {
+      try {
+        const { released, lines } = await inventoryService.releaseForOrder(order._id, { type: restockType(to), actor });
+        if (released) {
+          logger.info(`Stock restored for ${to} order: ${order.orderNumber}`, { lines });
+        }
+      } catch (stockError) {
+        logger.error(`Failed to restore stock for ${to} order ${orderId}:`, stockError);
+      }
+    }
+
+    if (effects.includes('coupon')) {
+      try {
+        if (await couponService.releaseForOrder(order)) {
+          logger.info(`Coupon use released for ${to} order: ${order.orderNumber}`);
+        }
+      } catch (couponError) {
+        logger.error(`Failed to release coupon for ${to} order ${orderId}:`, couponError);
+      }
+    }
+
+    if (effects.includes('slot') && order.deliverySlot) {
+      try {
+        await deliverySlotService.releaseForOrder(order);
+      } catch (slotError) {
+        logger.error(`Failed to release delivery slot for ${to} order ${orderId}:`, slotError);
+      }
+    }
+
+    if (effects.includes('refund') && order.paymentStatus === 'paid') {
+      try {
+        const reason = order.statusHistory?.[order.statusHistory.length - 1]?.reason || '';
+        const refund = await refundService.createForCancellation(order, reason);
+        logger.info(`Refund ${refund._id} recorded for ${to} order: ${order.orderNumber}`);
+      } catch (refundError) {
+        logger.error(`Failed to record refund for ${to} order ${orderId}:`, refundError);
+      }
+    }
+
+    if (effects.includes('notify')) {
+      const notify = to === 'refunded'
+        ? handleRefundProcessed(order._id, order.finalAmountConverted ?? order.finalAmount)
+        : handleOrderStatusChanged(order._id, from, to);
+
+      notify.catch((error) => {
+        logger.error('Failed to send order status change notification', {
+          error: error.message,
+          orderId,
+          oldStatus: from,
+          newStatus: to,
+        });
+      });
+    }
+
+    if (effects.includes('email')) {
+      this.#dispatchStatusEmail(order, to).catch((err) => {
+        logger.error('Failed to dispatch order status email', {
+          error: err.message,
+          orderId,
+          orderNumber: order.orderNumber,
+          status: to,
+        });
+      });
+    }
+  }
+
+  /**
+   * Awaited like the ledger entry — a parcel without a code cannot be
+   * delivered by its store — but logged, never thrown: an admin can reissue.
+   */
+  async #issueDeliveryCode(order, fulfillmentId) {
+    try {
+      await deliveryCodeService.issue(order, fulfillmentId);
+    } catch (codeError) {
+      logger.error(`Failed to issue delivery code for order ${order._id}:`, codeError);
+    }
+  }
+
+  /**
+   * The customer's status email. The queue jobId dedups on (orderNumber,
+   * status), so overlapping calls send exactly one mail.
+   */
+  async #dispatchStatusEmail(order, status) {
+    const withUser = await Order.findById(order._id)
+      .select('user')
+      .populate('user', 'fullName emailAddress')
+      .lean();
+    const user = withUser?.user;
+    if (!user?.emailAddress) {
+      logger.warn('Order status email skipped — no recipient address', {
+        orderId: String(order._id),
+        orderNumber: order.orderNumber,
+        status,
+      });
+      return;
+    }
+
+    await queueOrderStatusEmail({
+      to: user.emailAddress,
+      userName: user.fullName || '',
+      orderNumber: order.orderNumber,
+      status,
+    });
+  }
+}
+
+export default new OrderLifecycleService();
@@ -0,0 +1,432 @@
+import Order from '../models/orders.model.js';
+import Payment from '../models/payment.model.js';
+import Refund from '../models/refund.model.js';
+import User from '../models/user.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  amountDue,
+  orderPaymentStatusFor,
+  planCardPayment,
+  planGatewayRefund,
+  planPaymentStatus,
+} from '../lib/payments.js';
+import { getPaymentProvider } from './payments/index.js';
+import orderLifecycleService from './orderLifecycle.service.js';
+import refundService from './refund.service.js';
+
+const DUPLICATE_KEY = 11000;
+
+const STATUS_FOR_CODE = {
+  NOT_CARD: 400,
+  ALREADY_PAID: 409,
+  ORDER_CLOSED: 409,
+  REFUND_NOT_APPROVED: 409,
+  NO_CAPTURED_PAYMENT: 409,
+  REFUND_IN_PROGRESS: 409,
+  CURRENCY_MISMATCH: 409,
+  EXCEEDS_CAPTURED: 409,
+};
+
+/** Normalised payment event → the status it moves an attempt to. */
+const EVENT_STATUS = {
+  'payment.authorized': 'authorized',
+  'payment.captured':   'captured',
+  'payment.failed':     'failed',
+  'payment.cancelled':  'cancelled',
+};
+
+const GATEWAY_ACTOR = { type: 'system', id: 'payment-gateway' };
+
+// Read per call, like BANKAK_PAYMENT_HOURS. `manual` leaves authorised
+// payments for an admin to capture.
+const autoCapture = () => process.env.PAYMENT_CAPTURE !== 'manual';
+
+const rejectPlan = (plan) => {
+  throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400);
+};
+
+// What a shopper sees of an attempt: no event log, no refund bookkeeping.
+const forShopper = (payment) => {
+  const { processedEvents, refunds, ...rest } = payment.toObject ? payment.toObject() : payment;
+  return rest;
+};
+
+// ─── PaymentService ──────────────────────────────────────────────────────────
+
+class PaymentService {
+  /**
+   * Start a card payment on the shopper's order: a new attempt at the
+   * gateway for what the order costs them. The client secret goes back to the
+   * app to collect the card and is not stored.
+   *
+   * @param {string} clerkUserId
+   * @param {string} orderId
+   * @returns {Promise<{ payment: object, clientSecret: string|null }>}
+   * @throws ServiceError
+   */
+  async startCardPayment(clerkUserId, orderId) {
+    const { user, order } = await this.#shopperOrder(clerkUserId, orderId);
+    const plan = planCardPayment(order);
+    if (!plan.ok) rejectPlan(plan);
+
+    const latest = await Payment.findOne({ order: order._id }).sort({ attempt: -1 }).lean();
+    if (latest?.status === 'authorized') {
+      throw new ServiceError('A payment on this order is already authorised', 'PAYMENT_AUTHORIZED', 409);
+    }
+
+    const provider = getPaymentProvider();
+    const { amount, currency } = amountDue(order);
+    const intent = await provider.createIntent({
+      amount,
+      currency,
+      reference: order.orderNumber,
+      metadata: { orderId: String(order._id) },
+    });
+
+    let payment;
+    try {
+      payment = await Payment.create({
+        order: order._id,
+        user: user._id,
+        provider: provider.key,
+        attempt: (latest?.attempt || 0) + 1,
+        status: intent.status,
+        amount,
+        currency,
+        gatewayRef: intent.gatewayRef,
+      });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      throw new ServiceError('A payment on this order was started at the same time — try again', 'PAYMENT_CONFLICT', 409);
+    }
+
+    // A new attempt after a declined card: the order is waiting on payment again.
+    await Order.updateOne({ _id: order._id, paymentStatus: 'failed' }, { $set: { paymentStatus: 'pending' } });
+
+    logger.info('Card payment started', {
+      orderId: String(order._id),
+      paymentId: String(payment._id),
+      attempt: payment.attempt,
+      provider: provider.key,
+    });
+    return { payment: forShopper(payment), clientSecret: intent.clientSecret ?? null };
+  }
+
+  /**
+   * Confirm the shopper's attempt with their card. An authorised payment is
+   * captured straight away unless PAYMENT_CAPTURE=manual.
+   *
+   * @param {string} clerkUserId
+   * @param {string} orderId
+   * @param {string} paymentId
+   * @param {{ paymentToken: string }} params
+   * @returns {Promise<object>} the attempt as it now stands
+   * @throws ServiceError
+   */
+  async confirm(clerkUserId, orderId, paymentId, { paymentToken }) {
+    const { user, order } = await this.#shopperOrder(clerkUserId, orderId);
+    const plan = planCardPayment(order);
+    if (!plan.ok) rejectPlan(plan);
+
+    const payment = await Payment.findOne({ _id: paymentId, order: order._id, user: user._id }).lean();
+    if (!payment) throw new ServiceError('Payment not found', 'NOT_FOUND', 404);
+    if (payment.status !== 'requires_confirmation') {
+      throw new ServiceError(`A ${payment.status} payment cannot be confirmed`, 'PAYMENT_NOT_CONFIRMABLE', 409);
+    }
+
+    const result = await getPaymentProvider(payment.provider).confirm(payment.gatewayRef, { paymentToken });
+    let updated = await this.#apply(payment, result);
+    if (updated.status === 'authorized' && autoCapture()) updated = await this.#capture(updated);
+    return forShopper(updated);
+  }
+
+  /**
+   * Admin: take an authorised payment (PAYMENT_CAPTURE=manual).
+   *
+   * @param {string} paymentId
+   * @param {{ adminId?: string }} [options]
+   * @returns {Promise<object>}
+   */
+  async capture(paymentId, { adminId = null } = {}) {
+    const payment = await Payment.findById(paymentId).lean();
+    if (!payment) throw new ServiceError('Payment not found', 'NOT_FOUND', 404);
+    if (payment.status !== 'authorized') {
+      throw new ServiceError(`A ${payment.status} payment cannot be captured`, 'PAYMENT_NOT_CAPTURABLE', 409);
+    }
+    return this.#capture(payment, { adminId });
+  }
+
+  /** A shopper's attempts on their order, latest first. */
+  async listMine(clerkUserId, orderId) {
+    const { order } = await this.#shopperOrder(clerkUserId, orderId);
+    const payments = await Payment.find({ order: order._id }).sort({ attempt: -1 }).lean();
+    return payments.map(forShopper);
+  }
+
+  /** Admin: every attempt on an order, latest first, with gateway refunds. */
+  async listForOrder(orderId) {
+    return Payment.find({ order: orderId }).sort({ attempt: -1 }).lean();
+  }
+
+  /**
+   * Apply a verified gateway webhook. Events arrive late, out of order and
+   * more than once; each is applied at most once per payment, and news that
+   * would move a payment backwards is logged and dropped.
+   *
+   * @param {string} providerKey
+   * @param {import('./payments/PaymentProvider.js').PaymentEvent} event
+   * @returns {Promise<{ handled: boolean, reason?: string }>}
+   */
+  async handleWebhookEvent(providerKey, event) {
+    if (event.type.startsWith('refund.')) return this.#applyRefundEvent(providerKey, event);
+
+    const payment = await Payment.findOne({ provider: providerKey, gatewayRef: event.gatewayRef }).lean();
+    if (!payment) {
+      logger.warn('Payment webhook for an unknown payment', { provider: providerKey, eventId: event.id, gatewayRef: event.gatewayRef });
+      return { handled: false, reason: 'unknown_payment' };
+    }
+    if (payment.processedEvents.includes(event.id)) return { handled: false, reason: 'duplicate' };
+
+    let updated = await this.#apply(
+      payment,
+      { status: EVENT_STATUS[event.type], failureCode: event.failureCode, failureMessage: event.failureMessage },
+      { eventId: event.id }
+    );
+    // Gateways that authorise out of band (3-D Secure) only tell us by webhook.
+    if (updated.status === 'authorized' && autoCapture()) updated = await this.#capture(updated);
+    return { handled: true };
+  }
+
+  /**
+   * Admin: send an approved card refund back to the card, through the gateway
+   * that took the payment. A refund the gateway settles on the spot is marked
+   * paid here; one it settles later is marked paid when its webhook arrives.
+   *
+   * @param {string} refundId
+   * @param {{ adminId?: string }} [options]
+   * @returns {Promise<{ refund: object, gatewayRefund: object }>}
+   * @throws ServiceError 502 GATEWAY_REFUND_FAILED when the gateway says no;
+   *         the refund stays approved and may be sent again
+   */
+  async refundThroughGateway(refundId, { adminId = null } = {}) {
+    const refund = await Refund.findById(refundId).lean();
+    if (!refund) throw new ServiceError('Refund not found', 'NOT_FOUND', 404);
+
+    const payment = await Payment.findOne({ order: refund.order, status: 'captured' }).lean();
+    const plan = planGatewayRefund(refund, payment);
+    if (!plan.ok) rejectPlan(plan);
+
+    // Claim the send first, so two admins clicking at once cannot refund twice.
+    const entry = { refund: refund._id, ...plan.value, status: 'pending', sentBy: adminId, createdAt: new Date() };
+    const { modifiedCount } = await Payment.updateOne(
+      { _id: payment._id, refunds: { $not: { $elemMatch: { refund: refund._id, status: { $ne: 'failed' } } } } },
+      { $push: { refunds: entry } }
+    );
+    if (!modifiedCount) {
+      throw new ServiceError('This refund was already sent to the gateway', 'REFUND_IN_PROGRESS', 409);
+    }
+
+    const pendingEntry = { 'e.refund': refund._id, 'e.status': 'pending', 'e.refundRef': null };
+    let result;
+    try {
+      result = await getPaymentProvider(payment.provider).refund(payment.gatewayRef, {
+        ...plan.value,
+        reference: String(refund._id),
+      });
+    } catch (error) {
+      await Payment.updateOne(
+        { _id: payment._id },
+        { $set: { 'refunds.$[e].status': 'failed', 'refunds.$[e].failureMessage': error.message } },
+        { arrayFilters: [pendingEntry] }
+      );
+      throw error;
+    }
+
+    await Payment.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          'refunds.$[e].refundRef': result.refundRef,
+          'refunds.$[e].status': result.status,
+          'refunds.$[e].failureMessage': result.failureMessage || null,
+        },
+      },
+      { arrayFilters: [pendingEntry] }
+    );
+    const gatewayRefund = { ...entry, refundRef: result.refundRef, status: result.status };
+
+    logger.info('Refund sent through the gateway', {
+      refundId: String(refund._id),
+      paymentId: String(payment._id),
+      refundRef: result.refundRef,
+      status: result.status,
+      adminId,
+    });
+
+    if (result.status === 'failed') {
+      throw new ServiceError(
+        result.failureMessage || 'The gateway declined the refund',
+        'GATEWAY_REFUND_FAILED',
+        502
+      );
+    }
+    if (result.status === 'succeeded') {
+      const paid = await refundService.markPaid(refund._id, {
+        adminId,
+        proofUrls: [],
+        reference: result.refundRef,
+        method: 'CARD',
+      });
+      return { refund: paid, gatewayRefund };
+    }
+    return { refund, gatewayRefund };
+  }
+
+  /** The shopper and one of their orders; someone else's order is simply not found. */
+  async #shopperOrder(clerkUserId, orderId) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+
+    const order = await Order.findOne({ _id: orderId, user: user._id }).lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+    return { user, order };
+  }
+
+  async #capture(payment, { adminId = null } = {}) {
+    const result = await getPaymentProvider(payment.provider).capture(payment.gatewayRef, {
+      amount: payment.amount,
+      currency: payment.currency,
+    });
+    return this.#apply(payment, result, { capturedBy: adminId });
+  }
+
+  /**
+   * Move an attempt to what the gateway says it now is, as a conditional
+   * update on the status we read, and carry the news over to the order.
+   * Losing the race to a webhook saying the same thing is fine: re-read and
+   * go again, and the second pass finds nothing left to do.
+   */
+  async #apply(payment, { status, failureCode, failureMessage }, { eventId = null, capturedBy = null } = {}) {
+    let current = payment;
+    for (;;) {
+      const plan = planPaymentStatus({ from: current.status, to: status });
+      if (!plan.ok) {
+        logger.warn('Payment status change ignored', {
+          paymentId: String(current._id),
+          from: current.status,
+          to: status,
+          eventId,
+        });
+      }
+      if (!plan.ok || !plan.changed) {
+        if (eventId) {
+          return Payment.findByIdAndUpdate(current._id, { $addToSet: { processedEvents: eventId } }, { new: true }).lean();
+        }
+        return current;
+      }
+
+      const now = new Date();
+      const set = { status };
+      if (status === 'authorized') set.authorizedAt = now;
+      if (status === 'captured') Object.assign(set, { capturedAt: now, capturedBy, authorizedAt: current.authorizedAt || now });
+      if (status === 'failed') Object.assign(set, { failureCode: failureCode || null, failureMessage: failureMessage || null });
+
+      const updated = await Payment.findOneAndUpdate(
+        { _id: current._id, status: current.status },
+        { $set: set, ...(eventId ? { $addToSet: { processedEvents: eventId } } : {}) },
+        { new: true }
+      ).lean();
+      if (updated) {
+        logger.info('Payment status changed', {
+          paymentId: String(updated._id),
+          orderId: String(updated.order),
+          from: current.status,
+          to: status,
+          eventId,
+        });
+        await this.#syncOrder(updated);
+        return updated;
+      }
+
+      current = await Payment.findById(current._id).lean();
+    }
+  }
+
+  /**
+   * What a payment's new status means for its order. A capture pays the order
+   * and confirms it if it was waiting; a failure marks it failed, unless the
+   * shopper has already moved on to a later attempt.
+   */
+  async #syncOrder(payment) {
+    const paymentStatus = orderPaymentStatusFor(payment.status);
+
+    if (paymentStatus === 'paid') {
+      const order = await Order.findOneAndUpdate(
+        { _id: payment.order, paymentStatus: { $ne: 'paid' } },
+        { $set: { paymentStatus: 'paid' } },
+        { new: true }
+      ).lean();
+      if (!order) return;
+
+      if (order.status === 'pending') {
+        await orderLifecycleService.transition(order._id, 'confirmed', GATEWAY_ACTOR, { reason: 'Card payment captured' });
+      } else if (order.status === 'cancelled') {
+        // The card was charged after the order was cancelled: the money is
+        // owed back just as if it had been paid first.
+        await refundService.createForCancellation(order, 'Card payment captured after the order was cancelled');
+        logger.warn('Card payment captured on a cancelled order', {
+          orderId: String(order._id),
+          paymentId: String(payment._id),
+        });
+      }
+      return;
+    }
+
+    if (paymentStatus === 'failed') {
+      const later = await Payment.exists({ order: payment.order, attempt: { $gt: payment.attempt } });
+      if (later) return;
+      await Order.updateOne({ _id: payment.order, paymentStatus: 'pending' }, { $set: { paymentStatus: 'failed' } });
+    }
+  }
+
+  /**
+   * A gateway settling (or refusing) a refund it answered `pending` to. A
+   * settled one is marked paid; a refused one leaves the refund approved for
+   * an admin to send again.
+   */
+  async #applyRefundEvent(providerKey, event) {
+    const payment = await Payment.findOne({ provider: providerKey, 'refunds.refundRef': event.refundRef }).lean();
+    const entry = payment?.refunds.find((r) => r.refundRef === event.refundRef);
+    if (!entry) {
+      logger.warn('Refund webhook for an unknown refund', { provider: providerKey, eventId: event.id, refundRef: event.refundRef });
+      return { handled: false, reason: 'unknown_refund' };
+    }
+
+    const status = event.type === 'refund.succeeded' ? 'succeeded' : 'failed';
+    const { modifiedCount } = await Payment.updateOne(
+      { _id: payment._id, refunds: { $elemMatch: { refundRef: event.refundRef, status: 'pending' } } },
+      {
+        $set: {
+          'refunds.$.status': status,
+          'refunds.$.failureMessage': status === 'failed' ? event.failureMessage || 'Refused by the gateway' : null,
+        },
+        $addToSet: { processedEvents: event.id },
+      }
+    );
+    if (!modifiedCount) return { handled: false, reason: 'duplicate' };
+
+    logger.info('Gateway refund settled', { refundId: String(entry.refund), refundRef: event.refundRef, status });
+    if (status === 'succeeded') {
+      await refundService.markPaid(entry.refund, {
+        adminId: entry.sentBy,
+        proofUrls: [],
+        reference: event.refundRef,
+        method: 'CARD',
+      });
+    }
+    return { handled: true };
+  }
+}
+
+export default new PaymentService();
@@ -0,0 +1,129 @@
+/**
+ * The provider contract every card gateway adapter must satisfy.
+ *
+ * Adding a gateway = one new file under `providers/` extending this class plus
+ * a line in the registry (`providers/index.js`), like the geo providers.
+ * Nothing outside `services/payments/` sees a gateway payload: every method
+ * answers in the neutral shapes below, with statuses from lib/payments.js.
+ *
+ * Amounts are decimal amounts in `currency` (what the order costs the
+ * shopper); an adapter converts to the gateway's minor units itself.
+ */
+import { ServiceError } from '../../lib/errors.js';
+
+export class PaymentProviderError extends ServiceError {
+  constructor(message, { provider, cause, statusCode = 502, code = 'PAYMENT_PROVIDER_ERROR' } = {}) {
+    super(message, code, statusCode);
+    this.name = 'PaymentProviderError';
+    this.provider = provider;
+    this.cause = cause;
+  }
+}
+
+/**
+ * @typedef {Object} PaymentResult
+ * @property {string} status - a PAYMENT_STATUSES member
+ * @property {string} [failureCode]
+ * @property {string} [failureMessage]
+ */
+
+/**
+ * @typedef {Object} PaymentEvent
+ * @property {string} id         - the gateway's event id, for de-duplication
+ * @property {string} type       - a PAYMENT_EVENT_TYPES member
+ * @property {string} gatewayRef - the payment the event is about
+ * @property {string} [refundRef] - for refund events
+ * @property {string} [failureCode]
+ * @property {string} [failureMessage]
+ */
+
+export class PaymentProvider {
+  /**
+   * @param {Object} config - Provider-specific config, read from env by the registry.
+   */
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /** Stable key used in env (`PAYMENT_PROVIDER`) and stored on each Payment. */
+  static get key() {
+    throw new Error('PaymentProvider subclasses must define a static `key`');
+  }
+
+  get key() {
+    return /** @type {typeof PaymentProvider} */ (this.constructor).key;
+  }
+
+  /**
+   * True when the provider has everything it needs (keys, webhook secret) to
+   * take money.
+   * @returns {boolean}
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Open a payment at the gateway. `clientSecret` goes to the shopper's app so
+   * it can collect the card; it is never stored.
+   *
+   * @param {{ amount:number, currency:string, reference:string, metadata?:Object }} _params
+   * @returns {Promise<{ gatewayRef:string, clientSecret:string|null } & PaymentResult>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async createIntent(_params) {
+    throw new PaymentProviderError('createIntent not supported', { provider: this.key, statusCode: 501 });
+  }
+
+  /**
+   * Confirm a payment with the card the shopper gave (a gateway token).
+   *
+   * @param {string} _gatewayRef
+   * @param {{ paymentToken:string }} _params
+   * @returns {Promise<PaymentResult>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async confirm(_gatewayRef, _params) {
+    throw new PaymentProviderError('confirm not supported', { provider: this.key, statusCode: 501 });
+  }
+
+  /**
+   * Take an authorised payment.
+   *
+   * @param {string} _gatewayRef
+   * @param {{ amount:number, currency:string }} _params
+   * @returns {Promise<PaymentResult>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async capture(_gatewayRef, _params) {
+    throw new PaymentProviderError('capture not supported', { provider: this.key, statusCode: 501 });
+  }
+
+  /**
+   * Give some or all of a captured payment back. A gateway that settles
+   * refunds later answers `pending` and sends a refund event when it does.
+   *
+   * @param {string} _gatewayRef
+   * @param {{ amount:number, currency:string, reference:string }} _params
+   * @returns {Promise<{ refundRef:string, status:'pending'|'succeeded'|'failed', failureMessage?:string }>}
+   */
+  // eslint-disable-next-line no-unused-vars
+  async refund(_gatewayRef, _params) {
+    throw new PaymentProviderError('refund not supported', { provider: this.key, statusCode: 501 });
+  }
+
+  /**
+   * Check a webhook really came from the gateway, and translate it.
+   *
+   * @param {Buffer} _rawBody - the body exactly as received
+   * @param {Object} _headers
+   * @returns {PaymentEvent|null} null for events we have no use for
+   * @throws PaymentProviderError 400 when the signature does not check out
+   */
+  // eslint-disable-next-line no-unused-vars
+  verifyWebhook(_rawBody, _headers) {
+    throw new PaymentProviderError('verifyWebhook not supported', { provider: this.key, statusCode: 501 });
+  }
+}
+
+export default PaymentProvider;
@@ -0,0 +1,53 @@
+/**
+ * The payments facade — the one place the rest of the platform gets a card
+ * gateway from.
+ *
+ *   import { getPaymentProvider } from './payments/index.js';
+ *   const provider = getPaymentProvider();
+ *   const intent = await provider.createIntent({ amount, currency, reference });
+ *
+ * Which gateway is an env choice (`PAYMENT_PROVIDER`, `fake` by default). A
+ * Payment remembers the provider that took it, so refunds and webhooks for
+ * old payments still reach the right adapter after a swap — see
+ * `getPaymentProvider(key)`.
+ */
+import logger from '../../lib/logger.js';
+import { createProvider, PROVIDER_CLASSES } from './providers/index.js';
+import { PaymentProviderError } from './PaymentProvider.js';
+
+/**
+ * Providers, constructed lazily on first use and kept — the fake provider
+ * holds its payments in memory, and real adapters hold their HTTP clients.
+ */
+const instances = new Map();
+
+/**
+ * @param {string} [key] - a provider key; the configured one when omitted
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {import('./PaymentProvider.js').PaymentProvider}
+ * @throws PaymentProviderError 503 when the provider is unknown or not configured
+ */
+export const getPaymentProvider = (key, env = process.env) => {
+  const providerKey = key || env.PAYMENT_PROVIDER || 'fake';
+  if (instances.has(providerKey)) return instances.get(providerKey);
+
+  const provider = createProvider(providerKey, env);
+  if (!provider) {
+    logger.warn('payments: unknown provider key', { key: providerKey, known: Object.keys(PROVIDER_CLASSES) });
+    throw new PaymentProviderError(`Unknown payment provider "${providerKey}"`, { provider: providerKey, statusCode: 503 });
+  }
+  if (!provider.isConfigured()) {
+    throw new PaymentProviderError('Card payments are not available', { provider: providerKey, statusCode: 503 });
+  }
+
+  instances.set(providerKey, provider);
+  return provider;
+};
+
+/** Test seam — drops the memoised providers. */
+export const resetPaymentProviders = () => {
+  instances.clear();
+};
+
+export { PaymentProviderError };
+export default getPaymentProvider;
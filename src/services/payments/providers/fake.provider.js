@@ -0,0 +1,155 @@
+/**
+ * A local stand-in for a card gateway, for development and tests.
+ *
+ * It keeps its payments in memory and behaves like a real gateway in the ways
+ * that matter to the code calling it: cards are declined by token, capture
+ * and refund amounts are checked against what was authorised, and webhooks
+ * are signed and verified exactly as a real adapter's would be. Never
+ * configured in production.
+ *
+ * Test cards (the `paymentToken` given to confirm):
+ *   tok_visa      — authorised
+ *   tok_declined  — declined (card_declined)
+ *   tok_no_funds  — declined (insufficient_funds)
+ *
+ * Webhooks carry `x-fake-signature: t=<unix seconds>,v1=<hex>`, an HMAC-SHA256
+ * of `<t>.<raw body>` with the webhook secret; `FakePaymentProvider.sign()`
+ * makes one.
+ *
+ * Env:
+ *   PAYMENT_WEBHOOK_SECRET  shared webhook secret (a fixed dev value if unset)
+ */
+import { createHmac, randomBytes, timingSafeEqual } from 'node:crypto';
+import { PaymentProvider, PaymentProviderError } from '../PaymentProvider.js';
+
+const DECLINES = {
+  tok_declined: { failureCode: 'card_declined', failureMessage: 'The card was declined' },
+  tok_no_funds: { failureCode: 'insufficient_funds', failureMessage: 'The card has insufficient funds' },
+};
+
+/** Fake gateway event type → normalised event type. */
+const EVENT_TYPES = {
+  'intent.authorized': 'payment.authorized',
+  'intent.captured':   'payment.captured',
+  'intent.failed':     'payment.failed',
+  'intent.cancelled':  'payment.cancelled',
+  'refund.succeeded':  'refund.succeeded',
+  'refund.failed':     'refund.failed',
+};
+
+/** How old a webhook may be before it is refused as a replay. */
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+const id = (prefix) => `${prefix}_${randomBytes(12).toString('hex')}`;
+const cents = (amount) => Math.round(Number(amount) * 100);
+
+export class FakePaymentProvider extends PaymentProvider {
+  static get key() {
+    return 'fake';
+  }
+
+  constructor(config = {}) {
+    super(config);
+    this.webhookSecret = config.webhookSecret || 'whsec_fake_dev';
+    /** @type {Map<string, { amount:number, currency:string, status:string, refunded:number }>} */
+    this.intents = new Map();
+  }
+
+  isConfigured() {
+    return this.config.environment !== 'production';
+  }
+
+  /**
+   * The signature header for a webhook body — what the fake gateway would
+   * send. Used by tests and for replaying events by hand in development.
+   */
+  static sign(rawBody, secret, timestamp = Math.floor(Date.now() / 1000)) {
+    const digest = createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+    return `t=${timestamp},v1=${digest}`;
+  }
+
+  async createIntent({ amount, currency }) {
+    if (!(amount > 0)) {
+      throw new PaymentProviderError('Amount must be positive', { provider: this.key, statusCode: 400 });
+    }
+    const gatewayRef = id('fake_pi');
+    this.intents.set(gatewayRef, { amount: cents(amount), currency, status: 'requires_confirmation', refunded: 0 });
+    return { gatewayRef, clientSecret: `${gatewayRef}_secret_${randomBytes(8).toString('hex')}`, status: 'requires_confirmation' };
+  }
+
+  async confirm(gatewayRef, { paymentToken } = {}) {
+    const intent = this.#intent(gatewayRef);
+    if (intent.status !== 'requires_confirmation') return { status: intent.status };
+
+    const decline = DECLINES[paymentToken];
+    intent.status = decline ? 'failed' : 'authorized';
+    return decline ? { status: 'failed', ...decline } : { status: 'authorized' };
+  }
+
+  async capture(gatewayRef, { amount } = {}) {
+    const intent = this.#intent(gatewayRef);
+    if (intent.status === 'captured') return { status: 'captured' };
+    if (intent.status !== 'authorized') {
+      throw new PaymentProviderError(`Cannot capture a ${intent.status} payment`, { provider: this.key, statusCode: 409 });
+    }
+    if (amount != null && cents(amount) > intent.amount) {
+      throw new PaymentProviderError('Capture exceeds the authorised amount', { provider: this.key, statusCode: 400 });
+    }
+    intent.status = 'captured';
+    return { status: 'captured' };
+  }
+
+  async refund(gatewayRef, { amount }) {
+    const intent = this.#intent(gatewayRef);
+    if (intent.status !== 'captured') {
+      throw new PaymentProviderError(`Cannot refund a ${intent.status} payment`, { provider: this.key, statusCode: 409 });
+    }
+    if (intent.refunded + cents(amount) > intent.amount) {
+      return { refundRef: id('fake_re'), status: 'failed', failureMessage: 'Refund exceeds the captured amount' };
+    }
+    intent.refunded += cents(amount);
+    return { refundRef: id('fake_re'), status: 'succeeded' };
+  }
+
+  verifyWebhook(rawBody, headers) {
+    const header = String(headers['x-fake-signature'] || '');
+    const parts = Object.fromEntries(header.split(',').map((p) => p.split('=')));
+    const timestamp = Number(parts.t);
+    const reject = (message) => {
+      throw new PaymentProviderError(message, { provider: this.key, statusCode: 400, code: 'INVALID_SIGNATURE' });
+    };
+
+    if (!parts.v1 || !Number.isFinite(timestamp)) reject('Missing webhook signature');
+    if (Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS) reject('Webhook timestamp out of tolerance');
+
+    const expected = Buffer.from(FakePaymentProvider.sign(rawBody.toString('utf8'), this.webhookSecret, timestamp));
+    const given = Buffer.from(header);
+    if (expected.length !== given.length || !timingSafeEqual(expected, given)) reject('Invalid webhook signature');
+
+    let body;
+    try {
+      body = JSON.parse(rawBody.toString('utf8'));
+    } catch {
+      reject('Webhook body is not JSON');
+    }
+
+    const type = EVENT_TYPES[body.type];
+    if (!type) return null;
+    return {
+      id: body.id,
+      type,
+      gatewayRef: body.data?.intent,
+      refundRef: body.data?.refund || null,
+      failureCode: body.data?.failure_code || null,
+      failureMessage: body.data?.failure_message || null,
+    };
+  }
+
+  #intent(gatewayRef) {
+    const intent = this.intents.get(gatewayRef);
+    if (!intent) throw new PaymentProviderError('No such payment', { provider: this.key, statusCode: 404 });
+    return intent;
+  }
+}
+
+export default FakePaymentProvider;
@@ -0,0 +1,38 @@
+/**
+ * Provider registry.
+ *
+ * Adding a gateway is a two-line change here plus one adapter file. Nothing
+ * outside this directory imports a gateway SDK.
+ */
+import FakePaymentProvider from './fake.provider.js';
+
+/** @type {Record<string, typeof import('../PaymentProvider.js').PaymentProvider>} */
+export const PROVIDER_CLASSES = {
+  [FakePaymentProvider.key]: FakePaymentProvider,
+};
+
+/**
+ * Per-provider config assembled from env, so a gateway swap is an env change.
+ */
+export const buildProviderConfig = (key, env = process.env) => {
+  const shared = {
+    environment: env.NODE_ENV || 'development',
+    webhookSecret: env.PAYMENT_WEBHOOK_SECRET || '',
+  };
+
+  switch (key) {
+    default:
+      return shared;
+  }
+};
+
+/**
+ * @param {string} key
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {import('../PaymentProvider.js').PaymentProvider|null}
+ */
+export const createProvider = (key, env = process.env) => {
+  const Klass = PROVIDER_CLASSES[key];
+  if (!Klass) return null;
+  return new Klass(buildProviderConfig(key, env));
+};
@@ -0,0 +1,301 @@
+import mongoose from 'mongoose';
+import Counter from '../models/counter.model.js';
+import Merchant from '../models/merchant.model.js';
+import PayoutBatch from '../models/payoutBatch.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import {
+  DEFAULT_FIXED_WIDTH_LAYOUT,
+  DEFAULT_PAYOUT_HOLD_DAYS,
+  DEFAULT_PAYOUT_MIN_AMOUNT,
+  buildBankFile,
+  parseFixedWidthLayout,
+  planPayout,
+  planPayoutSettlement,
+} from '../lib/payouts.js';
+import ledgerService from './ledger.service.js';
+import { handlePayoutStatus } from './notificationEventHandlers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const STATUS_FOR_CODE = {
+  INVALID_STATUS: 400,
+  PAYOUT_ALREADY_SETTLED: 409,
+};
+
+const numberEnv = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 && String(process.env[name]).trim() !== '' ? value : fallback;
+};
+
+// Read per run, like RETURN_WINDOW_DAYS.
+const holdDaysSetting = () => numberEnv('PAYOUT_HOLD_DAYS', DEFAULT_PAYOUT_HOLD_DAYS);
+const minAmountSetting = () => numberEnv('PAYOUT_MIN_AMOUNT', DEFAULT_PAYOUT_MIN_AMOUNT);
+
+const fixedWidthLayout = () => {
+  const spec = process.env.PAYOUT_FIXED_WIDTH_LAYOUT || DEFAULT_FIXED_WIDTH_LAYOUT;
+  const layout = parseFixedWidthLayout(spec);
+  if (!layout.ok) {
+    throw new ServiceError(`PAYOUT_FIXED_WIDTH_LAYOUT is invalid: ${layout.message}`, 'PAYOUT_LAYOUT_INVALID', 500);
+  }
+  return layout.value;
+};
+
+const notify = (batch, items) => {
+  for (const item of items) {
+    handlePayoutStatus(batch, item).catch((error) => {
+      logger.error('Failed to send payout notification', { error: error.message, reference: item.reference });
+    });
+  }
+};
+
+// ─── PayoutService ────────────────────────────────────────────────────────────
+
+class PayoutService {
+  /**
+   * Sweep every store's payable balance into a new payout run.
+   *
+   * Runs in one transaction: the balances read, the batch written and the
+   * ledger entries moving each amount out of the store's balance all commit
+   * together. Two runs started at once both write the same stores' balances,
+   * so one of them aborts rather than paying a store twice.
+   *
+   * @param {object} options
+   * @param {string} [options.adminId]     - Clerk id
+   * @param {string} [options.note]
+   * @param {string[]} [options.merchantIds] - limit the run to these stores
+   * @param {number} [options.holdDays]    - overrides PAYOUT_HOLD_DAYS for this run
+   * @returns {Promise<PayoutBatch>}
+   * @throws ServiceError 422 NO_PAYOUTS_DUE when no store can be paid
+   */
+  async createBatch({ adminId = null, note = '', merchantIds, holdDays } = {}) {
+    const hold = holdDays ?? holdDaysSetting();
+    const minAmount = minAmountSetting();
+    const now = new Date();
+    const cutoff = new Date(now.getTime() - hold * DAY_MS);
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let batch;
+    try {
+      const filter = { balance: { $gt: 0 } };
+      if (merchantIds?.length) filter._id = { $in: merchantIds };
+      // One operation at a time: a transaction's session is not safe to share
+      // between concurrent queries.
+      const merchants = await Merchant.find(filter)
+        .select('storeName ownerName merchantType iban balance')
+        .session(session)
+        .lean();
+      const held = await ledgerService.recentDeliveryCredits(cutoff, { session });
+
+      const items = [];
+      const skipped = [];
+      for (const m of merchants) {
+        const plan = planPayout({ balance: m.balance, held: held.get(String(m._id)) || 0, iban: m.iban }, minAmount);
+        if (plan.ok) {
+          items.push({
+            merchant:    m._id,
+            storeName:   m.storeName,
+            beneficiary: m.merchantType === 'business' ? m.storeName : m.ownerName || m.storeName,
+            iban:        plan.value.iban,
+            amount:      plan.value.amount,
+          });
+        } else if (plan.code !== 'NOTHING_DUE') {
+          skipped.push({ merchant: m._id, storeName: m.storeName, amount: plan.amount, code: plan.code, message: plan.message });
+        }
+      }
+
+      if (!items.length) {
+        throw new ServiceError('No store has a balance due for payout', 'NO_PAYOUTS_DUE', 422, skipped);
+      }
+
+      const counter = await Counter.findOneAndUpdate(
+        { _id: 'payoutBatch' },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+      );
+      const reference = `PO-${now.toISOString().slice(0, 10).replace(/-/g, '')}-${String(counter.seq).padStart(4, '0')}`;
+
+      [batch] = await PayoutBatch.create(
+        [
+          {
+            reference,
+            holdDays: hold,
+            cutoff,
+            items: items.map((item, i) => ({ ...item, reference: `${reference}-${String(i + 1).padStart(3, '0')}` })),
+            total: Math.round(items.reduce((sum, i) => sum + i.amount * 100, 0)) / 100,
+            skipped,
+            note,
+            createdBy: adminId,
+          },
+        ],
+        { session }
+      );
+
+      for (const item of batch.items) {
+        await ledgerService.postPayoutBatched(batch, item, { session });
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info('Payout batch created', {
+      reference: batch.reference,
+      items: batch.items.length,
+      skipped: batch.skipped.length,
+      total: batch.total,
+      adminId,
+    });
+
+    notify(batch, batch.items);
+    return batch;
+  }
+
+  /**
+   * The bank file for a batch's pending transfers.
+   *
+   * @param {string} batchId
+   * @param {'csv'|'fixed'} format
+   * @returns {Promise<{ filename: string, contentType: string, body: string }>}
+   */
+  async exportFile(batchId, format) {
+    const batch = await PayoutBatch.findById(batchId).lean();
+    if (!batch) throw new ServiceError('Payout batch not found', 'NOT_FOUND', 404);
+    if (!batch.items.some((i) => i.status === 'pending')) {
+      throw new ServiceError('Every transfer in this batch is already settled', 'PAYOUT_BATCH_SETTLED', 409);
+    }
+
+    const body = format === 'csv' ? buildBankFile(batch, 'csv') : buildBankFile(batch, 'fixed', fixedWidthLayout());
+    await PayoutBatch.updateOne({ _id: batch._id }, { $set: { lastExportedAt: new Date() } });
+
+    return {
+      filename: `${batch.reference}.${format === 'csv' ? 'csv' : 'txt'}`,
+      contentType: format === 'csv' ? 'text/csv; charset=utf-8' : 'text/plain; charset=utf-8',
+      body,
+    };
+  }
+
+  /**
+   * Record the bank's answer for some of a batch's transfers.
+   *
+   * All or nothing: one item that cannot be settled (unknown, or already
+   * settled) rejects the whole update, so a re-uploaded bank response cannot
+   * half-apply. A paid item leaves the platform's cash; a failed one goes back
+   * to the store's balance and is picked up by the next run.
+   *
+   * @param {string} batchId
+   * @param {Array<{ itemId: string, status: 'paid'|'failed', bankReference?: string, reason?: string }>} updates
+   * @param {{ adminId?: string }} [options]
+   * @returns {Promise<PayoutBatch>}
+   */
+  async settleItems(batchId, updates, { adminId = null } = {}) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let batch;
+    const settled = [];
+    try {
+      batch = await PayoutBatch.findById(batchId).session(session);
+      if (!batch) throw new ServiceError('Payout batch not found', 'NOT_FOUND', 404);
+
+      const now = new Date();
+      for (const update of updates) {
+        const item = batch.items.id(update.itemId);
+        if (!item) {
+          throw new ServiceError('Payout item not found in this batch', 'PAYOUT_ITEM_NOT_FOUND', 404, {
+            itemId: update.itemId,
+          });
+        }
+        const plan = planPayoutSettlement({ from: item.status, to: update.status });
+        if (!plan.ok) {
+          throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400, {
+            itemId: update.itemId,
+            reference: item.reference,
+            status: item.status,
+          });
+        }
+
+        item.status = update.status;
+        item.settledAt = now;
+        item.settledBy = adminId;
+        item.bankReference = update.bankReference || null;
+        item.failureReason = update.status === 'failed' ? update.reason || null : null;
+        settled.push(item);
+      }
+
+      if (batch.items.every((i) => i.status !== 'pending')) {
+        batch.status = 'completed';
+        batch.completedAt = now;
+      }
+      await batch.save({ session });
+
+      for (const item of settled) {
+        await ledgerService.postPayoutSettled(batch, item, { session });
+      }
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    logger.info('Payout items settled', {
+      reference: batch.reference,
+      paid: settled.filter((i) => i.status === 'paid').length,
+      failed: settled.filter((i) => i.status === 'failed').length,
+      adminId,
+    });
+
+    notify(batch, settled);
+    return batch;
+  }
+
+  /**
+   * A store's own payouts, newest first — one row per run it was part of.
+   *
+   * @param {string} merchantId
+   * @param {{ page: number, limit: number }} paging
+   * @returns {Promise<{ payouts: object[], total: number }>}
+   */
+  async listForMerchant(merchantId, { page = 1, limit = 20 } = {}) {
+    const filter = { 'items.merchant': merchantId };
+    const [batches, total] = await Promise.all([
+      PayoutBatch.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select({ reference: 1, currency: 1, createdAt: 1, 'items.$': 1 })
+        .lean(),
+      PayoutBatch.countDocuments(filter),
+    ]);
+
+    const payouts = batches.map((b) => {
+      const { _id, reference, amount, status, settledAt, bankReference, failureReason, iban } = b.items[0];
+      return {
+        _id,
+        batch: b.reference,
+        reference,
+        amount,
+        currency: b.currency,
+        status,
+        // Only the tail: enough to recognise the account.
+        iban: `••••${iban.slice(-4)}`,
+        createdAt: b.createdAt,
+        settledAt,
+        bankReference,
+        failureReason,
+      };
+    });
+    return { payouts, total };
+  }
+}
+
+export default new PayoutService();
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import { csvChunks } from '../lib/csv.js';
+import { xlsxChunks } from '../lib/xlsx.js';
+import { EXPORT_COLUMNS, exportLines } from '../lib/productImport.js';
+import logger from '../lib/logger.js';
+
+const BATCH_SIZE = 200;
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+const PRODUCT_FIELDS =
+  'importSku name description category images pricingInput priorityScore featured discount variants';
+
+/**
+ * A store's catalogue as an import file (lib/productImport.js), streamed like
+ * the order exports, so it can be edited in a spreadsheet and sent back
+ * through the file import.
+ */
+class ProductExportService {
+  /**
+   * Stream a store's catalogue.
+   *
+   * Products the import cannot match back are given an importSku first — the
+   * product's id — so that sending the file back updates them rather than
+   * adding copies. Products an admin has taken down are left out: the import
+   * puts what it writes back on sale.
+   *
+   * @param {object} options
+   * @param {string|ObjectId} options.merchantId
+   * @param {'csv'|'xlsx'} [options.format]
+   * @returns {{ filename: string, contentType: string, chunks: AsyncGenerator<string|Buffer> }}
+   */
+  export({ merchantId, format = 'csv' }) {
+    const merchant = new mongoose.Types.ObjectId(String(merchantId));
+
+    async function* lines() {
+      const { modifiedCount } = await Product.updateMany(
+        { merchant, deletedAt: null, importSku: null },
+        [{ $set: { importSku: { $toString: '$_id' } } }]
+      );
+      if (modifiedCount) logger.info('Import SKUs assigned for export', { merchantId: String(merchant), modifiedCount });
+
+      const cursor = Product.find({ merchant, isActive: { $ne: false } })
+        .select(PRODUCT_FIELDS)
+        .sort({ createdAt: 1 })
+        .lean()
+        .cursor({ batchSize: BATCH_SIZE });
+      for await (const product of cursor) yield* exportLines(product);
+    }
+
+    const filename = `catalogue-${new Date().toISOString().slice(0, 10)}.${format}`;
+    return {
+      filename,
+      contentType: CONTENT_TYPES[format],
+      chunks: format === 'xlsx' ? xlsxChunks(EXPORT_COLUMNS, lines(), { sheetName: 'products' }) : csvChunks(EXPORT_COLUMNS, lines()),
+    };
+  }
+}
+
+export default new ProductExportService();
@@ -0,0 +1,290 @@
+import mongoose from 'mongoose';
+import Product from '../models/product.model.js';
+import { calculateFinalPrice } from '../lib/pricing.engine.js';
+import { DEFAULT_NUBIAN_MARKUP } from '../lib/pricing.config.js';
+import { applyPricingCurrency } from '../lib/pricingInput.js';
+import { sanitizeDiscountInput } from '../lib/discountInput.js';
+import { MAX_LOW_STOCK_THRESHOLD } from '../lib/stockAlerts.js';
+import { getInputCurrencyContext } from './currency.service.js';
+import inventoryService from './inventory.service.js';
+
+// Rows per bulkWrite when an import is written in batches, which is also how
+// often a queued import reports progress.
+const DEFAULT_BATCH_SIZE = 250;
+
+/**
+ * Product imports: upsert a store's catalogue by (merchant, importSku).
+ *
+ * Split in two so a file can be checked before anything is written: plan()
+ * validates every row and builds its write, touching nothing; apply() writes
+ * a plan. The JSON bulk-import endpoint does both in one request; an uploaded
+ * file is planned as a dry run and applied later on the import queue
+ * (importJob.service.js).
+ */
+class ProductImportService {
+  /**
+   * Validate rows and build the upsert for each one that passes.
+   *
+   * Rows with a `pricingCurrency` are converted to USD in place.
+   *
+   * @param {string|ObjectId} merchantId
+   * @param {Array<object>} rows - the bulk-import row shape (products.controller.js)
+   * @returns {Promise<{ ops: Array<object>, rowIndexes: number[], failures: Array<{ index: number, importSku: string|null, reason: string }> }>}
+   *   `rowIndexes[i]` is the row `ops[i]` came from
+   */
+  async plan(merchantId, rows) {
+    const merchantObjectId = new mongoose.Types.ObjectId(String(merchantId));
+    const failures = [];
+    const ops = [];
+    const rowIndexes = [];
+
+    // Resolve each DISTINCT currency in the batch exactly once, up front.
+    //
+    // Two reasons this is not done per row. First, a 500-row file would otherwise
+    // issue 500 rate lookups. Second and more importantly, rows sharing a currency
+    // must share a rate: resolving per row lets a long import straddle the 4 AM FX
+    // refresh, so the first half of a merchant's catalogue is priced at yesterday's
+    // rate and the second half at today's, with nothing recording that it happened.
+    //
+    // A currency that fails to resolve fails ONLY the rows that asked for it —
+    // one unconfigured currency must not reject a file that is otherwise fine.
+    const currencyContexts = new Map();
+    const currencyErrors = new Map();
+    const requestedCodes = new Set(
+      rows
+        .map((r) => String(r?.pricingCurrency || '').trim().toUpperCase())
+        .filter((c) => c && c !== 'USD'),
+    );
+
+    await Promise.all(
+      [...requestedCodes].map(async (code) => {
+        try {
+          currencyContexts.set(code, await getInputCurrencyContext(code));
+        } catch (e) {
+          currencyErrors.set(code, e.message || `Cannot price in ${code}`);
+        }
+      }),
+    );
+
+    rows.forEach((row, idx) => {
+      try {
+        if (!row.importSku || typeof row.importSku !== 'string') {
+          throw new Error('importSku is required');
+        }
+        if (!row.name || typeof row.name !== 'string') {
+          throw new Error('name is required');
+        }
+        if (!row.category || !mongoose.Types.ObjectId.isValid(row.category)) {
+          throw new Error('category must be a valid ObjectId');
+        }
+        if (!Array.isArray(row.images) || row.images.length === 0) {
+          throw new Error('At least one image is required');
+        }
+
+        // Variants are required by the Product schema.
+        if (!Array.isArray(row.variants) || row.variants.length === 0) {
+          throw new Error('At least one variant is required');
+        }
+        const seenSkus = new Set();
+        for (const v of row.variants) {
+          if (!v.sku) throw new Error('Each variant must have a SKU');
+          const sku = String(v.sku).trim().toUpperCase();
+          if (seenSkus.has(sku)) throw new Error(`Duplicate variant SKU within row: ${sku}`);
+          seenSkus.add(sku);
+          if (!v.attributes || typeof v.attributes !== 'object' || Object.keys(v.attributes).length === 0) {
+            throw new Error('Each variant must have at least one attribute');
+          }
+          if (!(v.merchantPrice > 0)) {
+            throw new Error('Each variant must have merchantPrice > 0');
+          }
+          if (!(v.stock >= 0)) {
+            throw new Error('Each variant must have stock >= 0');
+          }
+          if (v.lowStockThreshold != null &&
+              !(Number.isInteger(v.lowStockThreshold) && v.lowStockThreshold >= 0 && v.lowStockThreshold <= MAX_LOW_STOCK_THRESHOLD)) {
+            throw new Error(`Each variant's lowStockThreshold must be a whole number between 0 and ${MAX_LOW_STOCK_THRESHOLD}`);
+          }
+        }
+
+        // Convert this row's money fields to USD if it declared a currency.
+        // Must run BEFORE the discount is sanitized (that inspects `value`, which
+        // is money for a fixed discount) and before calculateFinalPrice below,
+        // which assumes dollars. Mutates `row` in place — including stamping
+        // `row.pricingInput` and each variant's, which are carried into the
+        // update document further down.
+        const rowCode = String(row.pricingCurrency || '').trim().toUpperCase();
+        if (rowCode && rowCode !== 'USD') {
+          if (currencyErrors.has(rowCode)) throw new Error(currencyErrors.get(rowCode));
+          applyPricingCurrency(row, currencyContexts.get(rowCode));
+        }
+
+        // Optional product-level discount block (Issue #25). Only honoured when
+        // the row actually carries the key — otherwise an import must not wipe a
+        // discount configured through the dashboard.
+        const discountBlock =
+          row.discount !== undefined && row.discount !== null
+            ? sanitizeDiscountInput(row.discount)
+            : null;
+
+        // bulkWrite + $set bypasses the model's pre('save') hook, so nothing
+        // computes finalPrice for us. Without this every imported variant lands
+        // with the schema default of 0 and the root finalPrice keeps a stale
+        // value, which breaks the explore minPrice/maxPrice filters, price
+        // sorting, and add-to-cart (cartUtils falls back to `finalPrice || 0`).
+        // Route through the engine — never re-derive the formula here. (Issue #8)
+        //
+        // Context caveat: `dynamicPricingEnabled` is not part of the import
+        // payload, so the schema default (true) is assumed. That only matters
+        // when a row supplies dynamicMarkup; with the usual dynamicMarkup 0 the
+        // flag has no effect on the result.
+        const pricingContext = {
+          dynamicPricingEnabled: true,
+          discount: discountBlock,
+        };
+
+        const variants = row.variants.map((v) => {
+          const variant = {
+            sku: String(v.sku).trim().toUpperCase(),
+            attributes: v.attributes,
+            merchantPrice: Number(v.merchantPrice),
+            nubianMarkup: v.nubianMarkup ?? DEFAULT_NUBIAN_MARKUP,
+            dynamicMarkup: v.dynamicMarkup ?? 0,
+            merchantDiscount: v.merchantDiscount ?? 0,
+            stock: Number(v.stock),
+            images: Array.isArray(v.images) ? v.images : [],
+            isActive: v.isActive !== false,
+            // null falls back to the store's threshold (lib/stockAlerts.js).
+            lowStockThreshold: v.lowStockThreshold ?? null,
+            // Written by applyPricingCurrency above; undefined for USD rows. This
+            // mapping builds a NEW variant object rather than spreading `v`, so
+            // without carrying it explicitly the typed amounts would be dropped
+            // and an imported foreign-currency product would not round-trip.
+            ...(v.pricingInput ? { pricingInput: v.pricingInput } : {}),
+          };
+          const { finalPrice } = calculateFinalPrice({ product: pricingContext, variant });
+          return { ...variant, finalPrice };
+        });
+
+        // Root finalPrice = cheapest ACTIVE variant, mirroring the pre-save hook.
+        // Unlike the hook this falls back to 0 rather than null, because null on
+        // a Number field never satisfies the `$gte` price-range filters.
+        const activeFinals = variants
+          .filter((v) => v.isActive && v.finalPrice > 0)
+          .map((v) => v.finalPrice);
+        const rootFinalPrice = activeFinals.length > 0 ? Math.min(...activeFinals) : 0;
+
+        // The pre-save hook also keeps the persisted root stock in sync; do the
+        // same here for the same reason.
+        const rootStock = variants
+          .filter((v) => v.isActive)
+          .reduce((sum, v) => sum + (v.stock || 0), 0);
+
+        const update = {
+          name: row.name.trim(),
+          description: row.description?.trim() || row.name.trim(),
+          category: new mongoose.Types.ObjectId(row.category),
+          images: row.images,
+          merchant: merchantObjectId,
+          variants,
+          finalPrice: rootFinalPrice,
+          stock: rootStock,
+          isActive: true,
+          deletedAt: null,
+          ...(discountBlock ? { discount: discountBlock } : {}),
+          // The FX audit record for this row. Set only when the row declared a
+          // currency: a USD row must not overwrite the block on a product that a
+          // previous import (or the wizard) priced in something else, because
+          // this is an upsert and $set would silently blank the audit trail for a
+          // price that is still stored in dollars either way.
+          ...(row.pricingInput ? { pricingInput: row.pricingInput } : {}),
+          ...(row.priorityScore !== undefined ? { priorityScore: Number(row.priorityScore) } : {}),
+          ...(row.featured !== undefined ? { featured: Boolean(row.featured) } : {}),
+        };
+
+        ops.push({
+          updateOne: {
+            filter: { merchant: merchantObjectId, importSku: row.importSku },
+            update: {
+              $set: update,
+              $setOnInsert: { importSku: row.importSku, createdAt: new Date() },
+            },
+            upsert: true,
+          },
+        });
+        rowIndexes.push(idx);
+      } catch (e) {
+        failures.push({ index: idx, importSku: row.importSku ?? null, reason: e.message });
+      }
+    });
+
+    return { ops, rowIndexes, failures };
+  }
+
+  /**
+   * Write a plan, a batch at a time.
+   *
+   * @param {string|ObjectId} merchantId
+   * @param {{ ops: Array<object>, rowIndexes: number[] }} plan
+   * @param {object} options
+   * @param {{ type: string, id?: string }} options.actor - for the inventory history
+   * @param {number} [options.batchSize]
+   * @param {(written: number) => Promise<void>|void} [options.onProgress] - ops written so far, after each batch
+   * @returns {Promise<{ insertedCount: number, updatedCount: number, failures: Array<{ index: number, importSku: string|null, reason: string }> }>}
+   */
+  async apply(merchantId, { ops, rowIndexes }, { actor, batchSize = DEFAULT_BATCH_SIZE, onProgress = null }) {
+    const merchantObjectId = new mongoose.Types.ObjectId(String(merchantId));
+    let insertedCount = 0;
+    let updatedCount = 0;
+    const failures = [];
+
+    for (let start = 0; start < ops.length; start += batchSize) {
+      const batch = ops.slice(start, start + batchSize);
+
+      // An import overwrites each product's variants; keep what it replaced for
+      // the inventory history.
+      const importSkus = batch.map((op) => op.updateOne.filter.importSku);
+      const stockBefore = await inventoryService.importSnapshot(merchantObjectId, importSkus);
+
+      try {
+        // ordered:false so a row failing in the middle doesn't abort the rest
+        const result = await Product.bulkWrite(batch, { ordered: false });
+        insertedCount += result.upsertedCount || 0;
+        updatedCount += result.modifiedCount || 0;
+      } catch (err) {
+        // Partial-failure path: a write error's index is its op's place in
+        // the batch, which rowIndexes maps back to the row.
+        for (const we of err?.writeErrors || []) {
+          const op = batch[we.index];
+          failures.push({
+            index: op ? rowIndexes[start + we.index] : -1,
+            importSku: op?.updateOne.filter.importSku ?? null,
+            reason: we.errmsg || 'Database write error',
+          });
+        }
+        insertedCount += err?.result?.upsertedCount ?? 0;
+        updatedCount += err?.result?.modifiedCount ?? 0;
+      }
+      await inventoryService.recordImport(merchantObjectId, importSkus, stockBefore, actor);
+
+      if (onProgress) await onProgress(Math.min(start + batchSize, ops.length));
+    }
+
+    return { insertedCount, updatedCount, failures };
+  }
+
+  /**
+   * Plan and apply in one go — the JSON bulk-import endpoint.
+   *
+   * @returns {Promise<{ totalRows: number, insertedCount: number, updatedCount: number, failures: Array<object> }>}
+   */
+  async run(merchantId, rows, { actor }) {
+    const plan = await this.plan(merchantId, rows);
+    const { insertedCount, updatedCount, failures } = await this.apply(merchantId, plan, {
+      actor,
+      batchSize: Math.max(plan.ops.length, 1),
+    });
+    return { totalRows: rows.length, insertedCount, updatedCount, failures: [...plan.failures, ...failures] };
+  }
+}
+
+export default new ProductImportService();
@@ -272,7 +272,7 @@ async function getFrequentlyBoughtTogether(productId, product, baseFilter, limit
   try {
     const orders = await Order.find({
       'products.product': new mongoose.Types.ObjectId(productId),
-      status: { $in: ['confirmed', 'shipped', 'delivered'] },
+      status: { $in: ['confirmed', 'ready_for_pickup', 'out_for_delivery', 'shipped', 'delivered'] },
     })
       .select('products.product')
       .lean();
@@ -0,0 +1,260 @@
+import mongoose from 'mongoose';
+import Order from '../models/orders.model.js';
+import Refund from '../models/refund.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import { convertRefund, planRefundTransition } from '../lib/refunds.js';
+import ledgerService from './ledger.service.js';
+import { handleRefundProcessed } from './notificationEventHandlers.js';
+
+const DUPLICATE_KEY = 11000;
+
+const STATUS_FOR_CODE = {
+  INVALID_STATUS: 400,
+  INVALID_REFUND_TRANSITION: 409,
+};
+
+// The order's locked rate, copied onto the refund so finance can check the
+// converted figure without the order at hand.
+const fxOf = (order) =>
+  order?.fxSnapshot
+    ? {
+        base:     order.fxSnapshot.base || 'USD',
+        date:     order.fxSnapshot.date || null,
+        rate:     order.fxSnapshot.rate ?? null,
+        provider: order.fxSnapshot.provider || null,
+      }
+    : undefined;
+
+const conflict = () =>
+  new ServiceError('The refund changed while you were updating it — reload and try again', 'REFUND_STATUS_CONFLICT', 409);
+
+class RefundService {
+  /**
+   * The refund for an approved return request. Approval is the store agreeing
+   * the money is owed, so the refund starts out approved and waits only to be
+   * paid — and it comes out of the store's ledger balance now.
+   *
+   * @param {ReturnRequest} returnRequest
+   * @returns {Promise<Refund>}
+   */
+  async createForReturn(returnRequest) {
+    const order = await Order.findById(returnRequest.order).select('fxSnapshot paymentMethod').lean();
+    const refund = await this.#createOnce({
+      order:           returnRequest.order,
+      user:            returnRequest.user,
+      merchant:        returnRequest.merchant,
+      source:          'return',
+      returnRequest:   returnRequest._id,
+      amount:          returnRequest.amount,
+      amountConverted: returnRequest.amountConverted,
+      currencyCode:    returnRequest.currencyCode,
+      fxSnapshot:      fxOf(order),
+      method:          order?.paymentMethod || 'CASH',
+      status:          'approved',
+      approvedAt:      new Date(),
+      approvedBy:      returnRequest.decidedBy || null,
+      reason:          returnRequest.decisionNote || '',
+    });
+
+    try {
+      await ledgerService.postReturnRefund(refund);
+    } catch (ledgerError) {
+      logger.error(`Failed to post ledger entry for refund ${refund._id}:`, ledgerError);
+    }
+    return refund;
+  }
+
+  /**
+   * The refund for a paid order cancelled before it left the store: everything
+   * the shopper paid, delivery included — nothing was delivered. Nobody has
+   * looked at it yet, so it starts out requested.
+   *
+   * @param {Order} order
+   * @param {string} [reason]
+   * @returns {Promise<Refund>}
+   */
+  async createForCancellation(order, reason = '') {
+    return this.#createOnce({
+      order:           order._id,
+      user:            order.user?._id || order.user,
+      merchant:        null,
+      source:          'cancellation',
+      amount:          order.finalAmount,
+      amountConverted: order.finalAmountConverted ?? null,
+      currencyCode:    order.currencyCodeSelected || 'USD',
+      fxSnapshot:      fxOf(order),
+      method:          order.paymentMethod,
+      reason:          reason || '',
+    });
+  }
+
+  /**
+   * The refund for a dispute settled in the shopper's favour, written in the
+   * transaction that settles it. The admin settling it is the approval.
+   *
+   * @param {Dispute} dispute
+   * @param {number} amount - USD
+   * @param {{ adminId: string, note?: string, session: ClientSession }} options
+   * @returns {Promise<Refund>}
+   */
+  async createForDispute(dispute, amount, { adminId, note = '', session }) {
+    const order = await Order.findById(dispute.orderId)
+      .select('fxSnapshot paymentMethod currencyCodeSelected')
+      .session(session)
+      .lean();
+    if (!order) throw new ServiceError('The disputed order no longer exists', 'NOT_FOUND', 404);
+
+    const [refund] = await Refund.create(
+      [
+        {
+          order:           dispute.orderId,
+          user:            dispute.userId,
+          merchant:        dispute.merchantId,
+          source:          'dispute',
+          dispute:         dispute._id,
+          amount,
+          amountConverted: convertRefund(amount, order.fxSnapshot),
+          currencyCode:    order.currencyCodeSelected || 'USD',
+          fxSnapshot:      fxOf(order),
+          method:          order.paymentMethod,
+          status:          'approved',
+          approvedAt:      new Date(),
+          approvedBy:      adminId ? String(adminId) : null,
+          reason:          note || dispute.reason || '',
+        },
+      ],
+      { session }
+    );
+
+    logger.info('Refund recorded', {
+      refundId: refund._id.toString(),
+      orderId: String(refund.order),
+      source: refund.source,
+      amount: refund.amount,
+    });
+    return refund;
+  }
+
+  /**
+   * Finance agrees a requested refund is owed.
+   *
+   * @param {string|ObjectId} refundId
+   * @param {{ adminId: string, note?: string }} input
+   * @returns {Promise<Refund>}
+   * @throws ServiceError
+   */
+  async approve(refundId, { adminId, note }) {
+    return this.#move(refundId, 'approved', {
+      approvedAt: new Date(),
+      approvedBy: adminId || null,
+      ...(note ? { adminNote: note } : {}),
+    });
+  }
+
+  /**
+   * Record that the money went back, with the proof of it, and post the
+   * payment to the ledger in the same transaction. This is the point at which
+   * the shopper is told.
+   *
+   * @param {string|ObjectId} refundId
+   * @param {{ adminId: string, proofUrls: string[], reference?: string, method?: string, note?: string }} input
+   * @returns {Promise<Refund>}
+   * @throws ServiceError
+   */
+  async markPaid(refundId, { adminId, proofUrls, reference, method, note }) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let refund;
+    try {
+      refund = await this.#move(
+        refundId,
+        'paid',
+        {
+          paidAt: new Date(),
+          paidBy: adminId || null,
+          proofUrls,
+          reference: reference || null,
+          ...(method ? { method } : {}),
+          ...(note ? { adminNote: note } : {}),
+        },
+        { session }
+      );
+      await ledgerService.postRefundPaid(refund, { session });
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    handleRefundProcessed(refund.order, refund.amountConverted ?? refund.amount, refund._id).catch((error) => {
+      logger.error('Failed to send refund notification', {
+        error: error.message,
+        refundId: refund._id.toString(),
+      });
+    });
+
+    return refund;
+  }
+
+  /**
+   * Move a refund one step, as a conditional update on its current status so
+   * two admins cannot both pay it.
+   */
+  async #move(refundId, to, fields, { session = null } = {}) {
+    const current = await Refund.findById(refundId).select('status').session(session).lean();
+    if (!current) throw new ServiceError('Refund not found', 'NOT_FOUND', 404);
+
+    const plan = planRefundTransition({ from: current.status, to });
+    if (!plan.ok) {
+      throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400, {
+        status: current.status,
+      });
+    }
+
+    const refund = await Refund.findOneAndUpdate(
+      { _id: refundId, status: current.status },
+      { $set: { status: to, ...fields } },
+      { new: true, runValidators: true, session }
+    );
+    if (!refund) throw conflict();
+
+    logger.info('Refund status changed', {
+      refundId: refund._id.toString(),
+      orderId: String(refund.order),
+      from: current.status,
+      to,
+      actorId: fields.approvedBy || fields.paidBy || null,
+    });
+    return refund;
+  }
+
+  /**
+   * Insert a refund, or return the one already recorded for the same cause.
+   */
+  async #createOnce(doc) {
+    let refund;
+    try {
+      refund = await Refund.create(doc);
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+      const existing = doc.source === 'return'
+        ? { returnRequest: doc.returnRequest, source: 'return' }
+        : { order: doc.order, source: doc.source };
+      return Refund.findOne(existing);
+    }
+
+    logger.info('Refund recorded', {
+      refundId: refund._id.toString(),
+      orderId: String(refund.order),
+      source: refund.source,
+      amount: refund.amount,
+    });
+    return refund;
+  }
+}
+
+export default new RefundService();
@@ -0,0 +1,206 @@
+import Order from '../models/orders.model.js';
+import Product from '../models/product.model.js';
+import ReturnRequest from '../models/returnRequest.model.js';
+import User from '../models/user.model.js';
+import { ServiceError } from '../lib/errors.js';
+import logger from '../lib/logger.js';
+import { DEFAULT_RETURN_WINDOW_DAYS, planReturn, refundForItems } from '../lib/returns.js';
+import refundService from './refund.service.js';
+
+const STATUS_FOR_CODE = {
+  NOT_DELIVERED: 409,
+  RETURN_WINDOW_CLOSED: 409,
+  QUANTITY_NOT_RETURNABLE: 409,
+};
+
+const returnWindowDays = () => {
+  const days = Number(process.env.RETURN_WINDOW_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : DEFAULT_RETURN_WINDOW_DAYS;
+};
+
+// ─── ReturnRequestService ────────────────────────────────────────────────────
+
+class ReturnRequestService {
+  /**
+   * Open return requests on a delivered order — one per store whose items
+   * are being sent back.
+   *
+   * Photo URLs are expected to have been checked against the image host at
+   * the HTTP boundary, like BANKAK transfer proofs.
+   *
+   * @param {string} clerkUserId
+   * @param {string|ObjectId} orderId
+   * @param {Array<{ line: number, quantity: number, reasonCode: string, note?: string, photos?: string[] }>} items
+   * @returns {Promise<ReturnRequest[]>}
+   * @throws ServiceError
+   */
+  async openReturn(clerkUserId, orderId, items) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+
+    // Scoped to the shopper: someone else's order is simply not found.
+    const order = await Order.findOne({ _id: orderId, user: user._id }).lean();
+    if (!order) throw new ServiceError('Order not found', 'NOT_FOUND', 404);
+
+    const existing = await ReturnRequest.find({ order: order._id }).select('status items').lean();
+
+    let merchantOf;
+    if (!order.fulfillments?.length) {
+      const products = await Product.find({ _id: { $in: order.products.map((p) => p.product) } })
+        .select('merchant')
+        .lean();
+      merchantOf = new Map(products.filter((p) => p.merchant).map((p) => [String(p._id), String(p.merchant)]));
+    }
+
+    const plan = planReturn({ order, items, existing, merchantOf, windowDays: returnWindowDays() });
+    if (!plan.ok) {
+      throw new ServiceError(plan.message, plan.code, STATUS_FOR_CODE[plan.code] || 400, {
+        line: plan.line ?? null,
+      });
+    }
+
+    const requests = await ReturnRequest.insertMany(
+      plan.value.map((group) => {
+        const { amount, amountConverted } = refundForItems(order, group.items);
+        return {
+          order:        order._id,
+          user:         user._id,
+          merchant:     group.merchant,
+          fulfillment:  group.fulfillment?._id || null,
+          items:        group.items,
+          amount,
+          amountConverted,
+          currencyCode: order.currencyCodeSelected || 'USD',
+        };
+      })
+    );
+
+    logger.info('Return requested', {
+      orderId: String(order._id),
+      orderNumber: order.orderNumber,
+      returnIds: requests.map((r) => r._id.toString()),
+    });
+
+    return requests;
+  }
+
+  /**
+   * @param {string} clerkUserId
+   * @param {{ page: number, limit: number }} paging
+   * @returns {Promise<{ requests: object[], total: number }>}
+   */
+  async listForUser(clerkUserId, { page, limit }) {
+    const user = await User.findOne({ clerkId: clerkUserId }).select('_id').lean();
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+    return this.#list({ user: user._id }, { page, limit });
+  }
+
+  /**
+   * A store's return requests, newest first, optionally by status.
+   *
+   * @param {ObjectId} merchantId
+   * @param {{ status?: string, page: number, limit: number }} options
+   * @returns {Promise<{ requests: object[], total: number }>}
+   */
+  async listForMerchant(merchantId, { status, page, limit }) {
+    const filter = { merchant: merchantId };
+    if (status) filter.status = status;
+    return this.#list(filter, { page, limit });
+  }
+
+  /**
+   * A store approves or rejects one of its return requests. Approving records
+   * an approved refund, which finance then pays out.
+   *
+   * The request only leaves `requested` once: the decision is a conditional
+   * update, so two staff members deciding at once cannot both win.
+   *
+   * @param {ObjectId} merchantId
+   * @param {string|ObjectId} returnId
+   * @param {{ decision: 'approve'|'reject', note?: string, actorId: string }} input
+   * @returns {Promise<ReturnRequest>}
+   * @throws ServiceError
+   */
+  async decide(merchantId, returnId, { decision, note = '', actorId }) {
+    const current = await ReturnRequest.findOne({ _id: returnId, merchant: merchantId }).lean();
+    if (!current) throw new ServiceError('Return request not found', 'NOT_FOUND', 404);
+    if (current.status !== 'requested') {
+      throw new ServiceError(`This return request was already ${current.status}`, 'RETURN_ALREADY_DECIDED', 409, {
+        status: current.status,
+      });
+    }
+
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+    if (status === 'approved') await this.#assertStillReturnable(current);
+
+    const request = await ReturnRequest.findOneAndUpdate(
+      { _id: returnId, merchant: merchantId, status: 'requested' },
+      { $set: { status, decidedAt: new Date(), decidedBy: actorId || null, decisionNote: note || '' } },
+      { new: true, runValidators: true }
+    );
+    if (!request) {
+      throw new ServiceError('This return request was decided while you were reviewing it', 'RETURN_ALREADY_DECIDED', 409);
+    }
+
+    logger.info('Return request decided', {
+      returnId: request._id.toString(),
+      orderId: String(request.order),
+      merchantId: String(merchantId),
+      status,
+    });
+
+    if (status === 'approved') {
+      const refund = await refundService.createForReturn(request);
+      request.refund = refund._id;
+      await ReturnRequest.updateOne({ _id: request._id }, { $set: { refund: refund._id } });
+    }
+
+    return request;
+  }
+
+  /**
+   * Two requests opened at the same moment can both pass planReturn's
+   * quantity check. Whichever is approved second would then refund units the
+   * shopper never bought; refuse it instead.
+   */
+  async #assertStillReturnable(request) {
+    const [order, approved] = await Promise.all([
+      Order.findById(request.order).select('products.quantity').lean(),
+      ReturnRequest.find({ order: request.order, status: 'approved', _id: { $ne: request._id } })
+        .select('items.line items.quantity')
+        .lean(),
+    ]);
+
+    for (const item of request.items) {
+      const already = approved
+        .flatMap((r) => r.items)
+        .filter((i) => i.line === item.line)
+        .reduce((sum, i) => sum + i.quantity, 0);
+      const bought = order?.products?.[item.line]?.quantity ?? 0;
+      if (already + item.quantity > bought) {
+        throw new ServiceError(
+          `Line ${item.line} has already been returned`,
+          'QUANTITY_NOT_RETURNABLE',
+          409,
+          { line: item.line }
+        );
+      }
+    }
+  }
+
+  async #list(filter, { page, limit }) {
+    const [requests, total] = await Promise.all([
+      ReturnRequest.find(filter)
+        .populate('order', 'orderNumber status currencyCodeSelected')
+        .populate('items.product', 'name images')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      ReturnRequest.countDocuments(filter),
+    ]);
+    return { requests, total };
+  }
+}
+
+export default new ReturnRequestService();
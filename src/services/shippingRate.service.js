@@ -0,0 +1,93 @@
+import Merchant from '../models/merchant.model.js';
+import { findZoneForPoint, pointFrom } from './deliveryArea.service.js';
+import { getInputCurrencyContext } from './currency.service.js';
+import { haversineMeters } from './geo/types.js';
+import { computeDeliveryFee, pricingInUSD } from '../lib/shippingRate.js';
+
+const originOf = (merchant) => {
+  const coords = merchant?.originLocation?.coordinates;
+  return Array.isArray(coords) && coords.length === 2 ? { lat: coords[1], lng: coords[0] } : null;
+};
+
+// ─── ShippingRateService ──────────────────────────────────────────────────────
+
+class ShippingRateService {
+  /**
+   * Delivery fees for one checkout, one per shipment.
+   *
+   * The zone is the one covering the drop-off pin (highest priority wins, as
+   * for coverage). Each store's shipment is priced on the distance from that
+   * store's pickup pin to the drop-off; the free-delivery threshold is tested
+   * against the whole order, since that is what `freeAboveOrderValue` promises
+   * the shopper.
+   *
+   * Nothing to price — no pin, or a pin no zone covers — is a zero fee with a
+   * `reason`, not an error: whether such an address may order at all is
+   * resolveAddress's decision, and it has already been made.
+   *
+   * A zone priced in a currency with no usable rate DOES throw
+   * (RATE_UNAVAILABLE): charging nothing, or a made-up conversion, on every
+   * order in that zone is worse than a refused checkout an admin can fix.
+   *
+   * @param {Object} destination - Address doc, lean row or address snapshot
+   * @param {Array<{ merchant: string|null }>} groups - one per shipment
+   * @param {number} orderSubtotal - USD, before discounts
+   * @returns {Promise<{
+   *   zone: Object|null, reason: string|null, rate: number,
+   *   groups: Array<{ merchant: string|null, fee: number, distanceKm: number|null,
+   *                   baseFee: number, distanceFee: number, chargeableKm: number,
+   *                   capped: boolean, free: boolean }>,
+   *   totalUSD: number
+   * }>}
+   */
+  async quote(destination, groups, orderSubtotal) {
+    const unpriced = (reason) => ({
+      zone: null,
+      reason,
+      rate: 1,
+      groups: (groups || []).map((g) => ({
+        merchant: g.merchant, fee: 0, distanceKm: null,
+        baseFee: 0, distanceFee: 0, chargeableKm: 0, capped: false, free: false,
+      })),
+      totalUSD: 0,
+    });
+
+    const point = pointFrom(destination);
+    if (!point) return unpriced('no_pin');
+
+    const zone = await findZoneForPoint(point);
+    if (!zone) return unpriced('no_zone');
+
+    const currencyCode = zone.pricing?.currencyCode || 'USD';
+    const { rate } = await getInputCurrencyContext(currencyCode);
+    const pricing = pricingInUSD(zone.pricing, rate);
+
+    const merchantIds = (groups || []).map((g) => g.merchant).filter(Boolean);
+    const merchants = merchantIds.length
+      ? await Merchant.find({ _id: { $in: merchantIds } }).select('_id originLocation').lean()
+      : [];
+    const origins = new Map(merchants.map((m) => [String(m._id), originOf(m)]));
+
+    let totalUSD = 0;
+    const priced = (groups || []).map((g) => {
+      const origin = g.merchant ? origins.get(String(g.merchant)) : null;
+      const result = computeDeliveryFee({
+        pricing,
+        distanceMeters: origin ? haversineMeters(origin, point) : null,
+        subtotal: orderSubtotal,
+      });
+      totalUSD += result.fee;
+      return { merchant: g.merchant, ...result };
+    });
+
+    return {
+      zone,
+      reason: null,
+      rate,
+      groups: priced,
+      totalUSD: Math.round(totalUSD * 100) / 100,
+    };
+  }
+}
+
+export default new ShippingRateService();
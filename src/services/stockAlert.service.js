@@ -0,0 +1,109 @@
+import Product from '../models/product.model.js';
+import StockAlert from '../models/stockAlert.model.js';
+import InventoryMovement from '../models/inventoryMovement.model.js';
+import { STOCK_ALERT_DEBOUNCE_MS, alertsFor, mayAlert, thresholdFor } from '../lib/stockAlerts.js';
+import { handleBackInStock, handleLowStock } from './notificationEventHandlers.js';
+import variantSubscriptionService from './variantSubscription.service.js';
+import logger from '../lib/logger.js';
+
+/**
+ * Low-stock and back-in-stock alerts (lib/stockAlerts.js), raised from the
+ * movements inventory.service.js writes.
+ *
+ * Called once the stock write has committed — an alert for a sale that then
+ * rolled back would be a lie — and never throws: the stock change has already
+ * happened and an alert is not worth failing it over.
+ */
+class StockAlertService {
+  /**
+   * @param {Array<{ product, variantId, before: number, after: number }>} movements
+   * @returns {Promise<number>} alerts sent
+   */
+  async afterMovements(movements) {
+    try {
+      const candidates = (movements || []).filter((m) => m.variantId && mayAlert(m));
+      if (!candidates.length) return 0;
+
+      const products = await Product.find({ _id: { $in: [...new Set(candidates.map((m) => String(m.product)))] } })
+        .select('merchant variants._id variants.lowStockThreshold')
+        .populate('merchant', 'lowStockThreshold')
+        .lean();
+      const byId = new Map(products.map((p) => [String(p._id), p]));
+
+      let sent = 0;
+      for (const movement of candidates) {
+        const product = byId.get(String(movement.product));
+        const variant = product?.variants.find((v) => String(v._id) === String(movement.variantId));
+        if (!variant) continue;
+
+        const threshold = thresholdFor(variant, product.merchant);
+        for (const kind of alertsFor(movement, threshold)) {
+          // A restock subscription fires once and is gone, so it is not
+          // debounced; only the wishlist broadcast after it is.
+          const subscribed = kind === 'back_in_stock'
+            ? await variantSubscriptionService.notifyRestock(product._id, variant._id, movement.after)
+            : new Set();
+
+          const alertAt = await this.#claim(product._id, variant._id, kind, movement.after);
+          if (!alertAt) continue;
+          if (kind === 'low_stock') {
+            await handleLowStock(product._id, variant._id, movement.after, threshold, alertAt);
+          } else {
+            await handleBackInStock(product._id, variant._id, movement.after, alertAt, subscribed);
+          }
+          sent += 1;
+        }
+      }
+      return sent;
+    } catch (error) {
+      logger.error('Failed to raise stock alerts', { movements: movements?.length || 0, error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * The sales behind an order, once it has committed — reserve() runs inside
+   * the checkout transaction and cannot raise them itself.
+   *
+   * @param {string|ObjectId} orderId
+   * @returns {Promise<number>} alerts sent
+   */
+  async afterOrder(orderId) {
+    try {
+      const movements = await InventoryMovement.find({ order: orderId, type: 'sale' })
+        .select('product variantId before after')
+        .lean();
+      return await this.afterMovements(movements);
+    } catch (error) {
+      logger.error('Failed to raise stock alerts for order', { orderId: String(orderId), error: error.message });
+      return 0;
+    }
+  }
+
+  /**
+   * Take the alert for a variant unless one of its kind went out within the
+   * debounce window.
+   *
+   * Either moves an old `sentAt` forward or inserts the first row; when a
+   * recent row exists the filter misses it, the upsert collides with the
+   * unique index, and the alert is someone else's (or too soon).
+   *
+   * @returns {Promise<Date|null>} the claim time, or null when debounced
+   */
+  async #claim(product, variantId, kind, stock) {
+    const now = new Date();
+    try {
+      await StockAlert.updateOne(
+        { product, variantId, kind, sentAt: { $lte: new Date(now.getTime() - STOCK_ALERT_DEBOUNCE_MS[kind]) } },
+        { $set: { sentAt: now, stock } },
+        { upsert: true }
+      );
+      return now;
+    } catch (error) {
+      if (error.code === 11000) return null;
+      throw error;
+    }
+  }
+}
+
+export default new StockAlertService();
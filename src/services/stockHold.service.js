@@ -0,0 +1,147 @@
+import mongoose from 'mongoose';
+import StockHold from '../models/stockHold.model.js';
+import logger from '../lib/logger.js';
+
+// How long a checkout hold keeps stock out of other shoppers' reach. Long
+// enough to make a BANKAK transfer and upload the screenshot, short enough
+// that an abandoned checkout doesn't sit on the last unit for the evening.
+const DEFAULT_HOLD_MINUTES = 15;
+const MAX_HOLD_MINUTES = 60;
+
+const holdMinutes = () => {
+  const raw = Number(process.env.CHECKOUT_HOLD_MINUTES);
+  if (!Number.isFinite(raw) || raw <= 0) return DEFAULT_HOLD_MINUTES;
+  return Math.min(raw, MAX_HOLD_MINUTES);
+};
+
+const holdKey = (productId, variantId) => `${productId}:${variantId}`;
+
+// ─── StockHoldService ─────────────────────────────────────────────────────────
+
+class StockHoldService {
+  /**
+   * Units held by *other* shoppers on the given products, right now.
+   *
+   * Returned twice over: per variant for lines that chose one, and per product
+   * for legacy lines that are stock-checked against the sum of all variants.
+   * A shopper's own holds are excluded — they are holding stock for exactly
+   * the order they are about to place.
+   *
+   * @param {Array}    productIds
+   * @param {ObjectId} [excludeUserId]
+   * @returns {{ byVariant: Map<string, number>, byProduct: Map<string, number> }}
+   */
+  async heldQuantities(productIds, excludeUserId = null) {
+    const byVariant = new Map();
+    const byProduct = new Map();
+    if (!productIds?.length) return { byVariant, byProduct };
+
+    // aggregate() does not cast — the ids must already be ObjectIds.
+    const match = {
+      product:   { $in: productIds.map((id) => new mongoose.Types.ObjectId(String(id))) },
+      status:    'active',
+      expiresAt: { $gt: new Date() },
+    };
+    if (excludeUserId) match.user = { $ne: new mongoose.Types.ObjectId(String(excludeUserId)) };
+
+    const rows = await StockHold.aggregate([
+      { $match: match },
+      { $group: { _id: { product: '$product', variantId: '$variantId' }, quantity: { $sum: '$quantity' } } },
+    ]);
+
+    for (const { _id, quantity } of rows) {
+      const productId = String(_id.product);
+      byVariant.set(holdKey(productId, _id.variantId), quantity);
+      byProduct.set(productId, (byProduct.get(productId) || 0) + quantity);
+    }
+
+    return { byVariant, byProduct };
+  }
+
+  /**
+   * Hold the quoted quantities for this shopper, replacing whatever they held
+   * before. A shopper only ever has one checkout in flight, so a fresh quote
+   * supersedes the old one instead of stacking on top of it.
+   *
+   * @param {ObjectId} userId
+   * @param {Array}    reservations - inventoryService.planReservations() output
+   * @returns {{ expiresAt: Date, minutes: number, items: Array }}
+   */
+  async placeHolds(userId, reservations) {
+    await this.releaseForUser(userId);
+
+    const minutes = holdMinutes();
+    const expiresAt = new Date(Date.now() + minutes * 60 * 1000);
+
+    await StockHold.insertMany(
+      reservations.map((r) => ({
+        user:      userId,
+        product:   r.product,
+        variantId: r.variantId,
+        quantity:  r.quantity,
+        expiresAt,
+      }))
+    );
+
+    return {
+      expiresAt,
+      minutes,
+      items: reservations.map((r) => ({
+        productId: String(r.product),
+        variantId: String(r.variantId),
+        quantity:  r.quantity,
+      })),
+    };
+  }
+
+  /**
+   * Mark the shopper's active holds on the order's lines as converted into
+   * `orderId`. Runs inside the order transaction, next to the real stock
+   * decrement it replaces. Holds on anything else — another tab's checkout —
+   * are left to be released or to lapse.
+   *
+   * @param {ObjectId} userId
+   * @param {ObjectId} orderId
+   * @param {Array<{ product, variantId }>} lines - inventoryService.planReservations() output
+   */
+  async convertForUser(userId, orderId, lines, { session } = {}) {
+    if (!lines?.length) return null;
+    return StockHold.updateMany(
+      {
+        user: userId,
+        status: 'active',
+        $or: lines.map((l) => ({ product: l.product, variantId: l.variantId })),
+      },
+      { $set: { status: 'converted', order: orderId } },
+      { session }
+    );
+  }
+
+  /** Drop every active hold the shopper has — a fresh quote replaces them. */
+  async releaseForUser(userId) {
+    return StockHold.updateMany(
+      { user: userId, status: 'active' },
+      { $set: { status: 'released', releasedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Maintenance sweep: flip lapsed holds to `released`.
+   *
+   * Availability already ignores expired rows, so this is bookkeeping rather
+   * than the thing that frees stock — it keeps `status` honest for support and
+   * for anything that lists a shopper's holds.
+   */
+  async releaseExpired() {
+    const result = await StockHold.updateMany(
+      { status: 'active', expiresAt: { $lte: new Date() } },
+      { $set: { status: 'released', releasedAt: new Date() } }
+    );
+    const released = result?.modifiedCount || 0;
+    if (released > 0) logger.info('Expired checkout holds released', { released });
+    return { released };
+  }
+}
+
+export { holdKey };
+export default new StockHoldService();
@@ -0,0 +1,253 @@
+import Product from '../models/product.model.js';
+import User from '../models/user.model.js';
+import VariantSubscription from '../models/variantSubscription.model.js';
+import { ServiceError } from '../lib/errors.js';
+import {
+  MAX_ACTIVE_SUBSCRIPTIONS,
+  checkSubscription,
+  priceTargetMet,
+  subscriptionExpiry,
+} from '../lib/subscriptions.js';
+import { convertAndFormatPriceSync, getCurrencyContext } from './currency.service.js';
+import { handleSubscribedPriceDrop, handleSubscribedRestock } from './notificationEventHandlers.js';
+import logger from '../lib/logger.js';
+
+const DUPLICATE_KEY = 11000;
+
+/**
+ * A USD price as the context's currency shows it, or null when there is no
+ * rate to convert with — comparing a dollar figure against a target typed in
+ * pounds would fire every SDG watch the first time FX is down.
+ */
+const displayPriceOf = (priceUSD, context) => {
+  const converted = convertAndFormatPriceSync(Number(priceUSD) || 0, context.upperCode, context.rate, context.config);
+  return converted.rateUnavailable ? null : converted;
+};
+
+/**
+ * Shoppers watching a variant for a restock or a price (lib/subscriptions.js).
+ *
+ * Restock watches fire from stock writes, through stockAlert.service.js; price
+ * watches from the hourly pricing cron, which is what moves prices. Either
+ * way a watch is flipped to `notified` by a conditional update before its
+ * notification goes out, so two runs racing over it send one.
+ */
+class VariantSubscriptionService {
+  /**
+   * Watch a variant, or renew the watch already on it.
+   *
+   * @param {string} clerkUserId
+   * @param {object} watch
+   * @param {string} watch.productId
+   * @param {string} watch.variantId
+   * @param {'restock'|'price'} watch.kind
+   * @param {number} [watch.targetPrice] - price watches, in `currencyCode`
+   * @param {string} [watch.currencyCode] - the shopper's display currency
+   * @returns {Promise<object>} the subscription
+   * @throws ServiceError USER_NOT_FOUND, VARIANT_NOT_FOUND, ALREADY_IN_STOCK, INVALID_TARGET,
+   *   TARGET_ALREADY_MET, RATE_UNAVAILABLE, SUBSCRIPTION_LIMIT
+   */
+  async subscribe(clerkUserId, { productId, variantId, kind, targetPrice = null, currencyCode = 'USD' }) {
+    const user = await this.#user(clerkUserId);
+
+    const product = await Product.findOne({ _id: productId, isActive: { $ne: false } })
+      .select('variants._id variants.stock variants.finalPrice variants.isActive')
+      .lean();
+    const variant = product?.variants.find((v) => String(v._id) === String(variantId) && v.isActive !== false);
+    if (!variant) throw new ServiceError('Product option not found', 'VARIANT_NOT_FOUND', 404);
+
+    let currency = 'USD';
+    let displayPrice = null;
+    if (kind === 'price') {
+      const context = await getCurrencyContext(currencyCode);
+      const converted = displayPriceOf(variant.finalPrice, context);
+      if (!converted) {
+        throw new ServiceError(`Prices in ${context.upperCode} are unavailable right now`, 'RATE_UNAVAILABLE', 503);
+      }
+      currency = context.upperCode;
+      displayPrice = converted.priceConverted;
+    }
+
+    const check = checkSubscription({ kind, stock: variant.stock, displayPrice, targetPrice });
+    if (!check.ok) throw new ServiceError(check.message, check.code, check.code === 'INVALID_TARGET' ? 400 : 409);
+
+    const filter = { user: user._id, variantId: variant._id, kind, status: 'active' };
+    const existing = await VariantSubscription.exists(filter);
+    if (!existing) {
+      const active = await VariantSubscription.countDocuments({ user: user._id, status: 'active' });
+      if (active >= MAX_ACTIVE_SUBSCRIPTIONS) {
+        throw new ServiceError(
+          `You can watch up to ${MAX_ACTIVE_SUBSCRIPTIONS} items at once`,
+          'SUBSCRIPTION_LIMIT',
+          409
+        );
+      }
+    }
+
+    const update = {
+      $set: {
+        product: product._id,
+        targetPrice: kind === 'price' ? targetPrice : null,
+        priceAtSubscribe: displayPrice,
+        currencyCode: currency,
+        expiresAt: subscriptionExpiry(),
+      },
+    };
+    try {
+      return await VariantSubscription.findOneAndUpdate(filter, update, { upsert: true, new: true, runValidators: true }).lean();
+    } catch (error) {
+      // Two taps at once: both missed, both inserted, one lost. Renew the winner.
+      if (error.code !== DUPLICATE_KEY) throw error;
+      return VariantSubscription.findOneAndUpdate(filter, update, { new: true }).lean();
+    }
+  }
+
+  /**
+   * A shopper's watches, newest first, with the product they are on.
+   *
+   * @param {string} clerkUserId
+   * @param {{ status?: 'active'|'notified' }} [filters]
+   */
+  async list(clerkUserId, { status } = {}) {
+    const user = await this.#user(clerkUserId);
+    const query = { user: user._id };
+    if (status) query.status = status;
+
+    const subscriptions = await VariantSubscription.find(query)
+      .sort({ createdAt: -1 })
+      .populate('product', 'name images variants._id variants.sku variants.attributes variants.stock')
+      .lean();
+
+    // The variant's own details, not the whole product's variant list.
+    return subscriptions.map(({ product, ...subscription }) => {
+      const variant = product?.variants?.find((v) => String(v._id) === String(subscription.variantId)) || null;
+      return {
+        ...subscription,
+        product: product ? { _id: product._id, name: product.name, image: product.images?.[0] || null } : null,
+        variant: variant ? { sku: variant.sku, attributes: variant.attributes, inStock: variant.stock > 0 } : null,
+      };
+    });
+  }
+
+  /**
+   * Stop watching.
+   *
+   * @throws ServiceError USER_NOT_FOUND, SUBSCRIPTION_NOT_FOUND
+   */
+  async cancel(clerkUserId, subscriptionId) {
+    const user = await this.#user(clerkUserId);
+    const { deletedCount } = await VariantSubscription.deleteOne({ _id: subscriptionId, user: user._id });
+    if (!deletedCount) throw new ServiceError('Subscription not found', 'SUBSCRIPTION_NOT_FOUND', 404);
+  }
+
+  /**
+   * Tell everyone watching a variant for a restock that it is back.
+   *
+   * Never throws: it runs after the stock write that restocked the variant.
+   *
+   * @param {string|ObjectId} productId
+   * @param {string|ObjectId} variantId
+   * @param {number} stock - the figure it is back at
+   * @returns {Promise<Set<string>>} the users told, so the wishlist alert can skip them
+   */
+  async notifyRestock(productId, variantId, stock) {
+    const notified = new Set();
+    try {
+      const product = await Product.findById(productId).select('name variants._id variants.attributes').lean();
+      const variant = product?.variants.find((v) => String(v._id) === String(variantId));
+      if (!variant) return notified;
+
+      const cursor = VariantSubscription.find({
+        variantId: variant._id,
+        kind: 'restock',
+        status: 'active',
+        expiresAt: { $gt: new Date() },
+      })
+        .select('user')
+        .lean()
+        .cursor();
+      for await (const subscription of cursor) {
+        if (!(await this.#fire(subscription._id))) continue;
+        await handleSubscribedRestock({ subscription, product, variant, stock });
+        notified.add(String(subscription.user));
+      }
+    } catch (error) {
+      logger.error('Failed to notify restock subscribers', {
+        productId: String(productId),
+        variantId: String(variantId),
+        error: error.message,
+      });
+    }
+    return notified;
+  }
+
+  /**
+   * Check every active price watch against the variant's price now, and tell
+   * the shoppers whose target has been met. Run by the hourly pricing cron
+   * after it has moved prices.
+   *
+   * @returns {Promise<{ checked: number, notified: number }>}
+   */
+  async evaluatePrices() {
+    const contexts = new Map();
+    const contextFor = async (code) => {
+      if (!contexts.has(code)) contexts.set(code, await getCurrencyContext(code));
+      return contexts.get(code);
+    };
+
+    let checked = 0;
+    let notified = 0;
+    let product = null;
+
+    // Sorted by product so each is read once, however many watch it.
+    const cursor = VariantSubscription.find({ kind: 'price', status: 'active', expiresAt: { $gt: new Date() } })
+      .select('user product variantId targetPrice priceAtSubscribe currencyCode')
+      .sort({ product: 1 })
+      .lean()
+      .cursor();
+
+    for await (const subscription of cursor) {
+      checked++;
+      try {
+        if (!product || !product._id.equals(subscription.product)) {
+          product = (await Product.findOne({ _id: subscription.product, isActive: { $ne: false } })
+            .select('name variants._id variants.attributes variants.finalPrice variants.isActive')
+            .lean()) || { _id: subscription.product, variants: [] };
+        }
+        const variant = product.variants.find((v) => String(v._id) === String(subscription.variantId));
+        if (!variant || variant.isActive === false) continue;
+
+        const price = displayPriceOf(variant.finalPrice, await contextFor(subscription.currencyCode));
+        if (!price || !priceTargetMet(price.priceConverted, subscription.targetPrice)) continue;
+
+        if (!(await this.#fire(subscription._id, { notifiedPrice: price.priceConverted }))) continue;
+        await handleSubscribedPriceDrop({ subscription, product, variant, price });
+        notified++;
+      } catch (error) {
+        logger.error('Failed to evaluate price subscription', {
+          subscriptionId: String(subscription._id),
+          error: error.message,
+        });
+      }
+    }
+
+    return { checked, notified };
+  }
+
+  /** Flip a watch to notified, once. False if another run got there first. */
+  async #fire(subscriptionId, fields = {}) {
+    const result = await VariantSubscription.updateOne(
+      { _id: subscriptionId, status: 'active' },
+      { $set: { status: 'notified', notifiedAt: new Date(), ...fields } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  async #user(clerkUserId) {
+    const user = clerkUserId ? await User.findOne({ clerkId: clerkUserId }).select('_id').lean() : null;
+    if (!user) throw new ServiceError('User not found', 'USER_NOT_FOUND', 404);
+    return user;
+  }
+}
+
+export default new VariantSubscriptionService();
@@ -0,0 +1,42 @@
+import { Worker, UnrecoverableError } from 'bullmq';
+import { QUEUE_NAMES, JOB_NAMES } from '../lib/queue/queueNames.js';
+import { assertVersion } from '../lib/queue/jobShapes.js';
+import { getWorkerRedis, workerTuning } from '../lib/queue/redis.js';
+import logger from '../lib/logger.js';
+import importJobService from '../services/importJob.service.js';
+
+/**
+ * Import worker — writes the product files stores upload
+ * (services/importJob.service.js). Progress goes on the ProductImportJob,
+ * which is what the store polls, and on the BullMQ job for the queue admin.
+ */
+export const createImportWorker = () => {
+  const concurrency = 1; // one catalogue at a time — each is thousands of writes
+  const prefix = process.env.REDIS_PREFIX || undefined;
+
+  const worker = new Worker(
+    QUEUE_NAMES.IMPORT,
+    async (job) => {
+      assertVersion(job);
+      if (job.name !== JOB_NAMES.IMPORT_PRODUCTS) {
+        throw new UnrecoverableError(`Unknown import job: ${job.name}`);
+      }
+      const { importJobId } = job.data;
+      if (!importJobId) throw new UnrecoverableError('Missing importJobId');
+
+      return importJobService.process(importJobId, {
+        onProgress: (written, total) => job.updateProgress({ written, total }),
+      });
+    },
+    { connection: getWorkerRedis(), prefix, concurrency, ...workerTuning() }
+  );
+
+  worker.on('completed', (job, result) => {
+    logger.info('Import job completed', { importJobId: job.data?.importJobId, result });
+  });
+  worker.on('failed', (job, err) => {
+    logger.error('Import job failed', { importJobId: job?.data?.importJobId, error: err?.message });
+  });
+
+  return worker;
+};
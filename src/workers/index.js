@@ -10,10 +10,11 @@ import { createPushWorker } from './push.worker.js';
 import { createEmailWorker } from './email.worker.js';
 import { createFanoutWorker } from './fanout.worker.js';
 import { createMaintenanceWorker } from './maintenance.worker.js';
+import { createImportWorker } from './import.worker.js';
 
 /**
  * Worker process entrypoint. Behaviour controlled by env:
- *   WORKER_ROLES=push,email,fanout,maintenance   (default — see envValidator)
+ *   WORKER_ROLES=push,email,fanout,maintenance,import   (default — see envValidator)
  *   WORKER_ROLES=all                              (shorthand for everything)
  *
  * The same factories are also called by the API process when
@@ -25,10 +26,11 @@ const ROLE_FACTORIES = {
   email: createEmailWorker,
   fanout: createFanoutWorker,
   maintenance: createMaintenanceWorker,
+  import: createImportWorker,
 };
 
 const parseRoles = () => {
-  const raw = (process.env.WORKER_ROLES || 'push,email,fanout,maintenance')
+  const raw = (process.env.WORKER_ROLES || 'push,email,fanout,maintenance,import')
     .split(',')
     .map((s) => s.trim().toLowerCase())
     .filter(Boolean);
@@ -83,6 +85,18 @@ export const scheduleMaintenanceJobs = async () => {
     { name: JOB_NAMES.MAINT_EXPIRED_NOTIFS, data: wrap({}) }
   );
 
+  await queue.upsertJobScheduler(
+    'expired-holds-5m',
+    { every: 5 * 60 * 1000 }, // every 5 min — holds only live ~15 min
+    { name: JOB_NAMES.MAINT_EXPIRED_HOLDS, data: wrap({}) }
+  );
+
+  await queue.upsertJobScheduler(
+    'bankak-deadlines-5m',
+    { every: 5 * 60 * 1000 }, // every 5 min — deadlines are hours long
+    { name: JOB_NAMES.MAINT_BANKAK_DEADLINES, data: wrap({}) }
+  );
+
   await queue.upsertJobScheduler(
     'dlq-sweep-6h',
     { every: 6 * 60 * 60 * 1000 }, // every 6h
@@ -6,11 +6,15 @@ import { getQueue } from '../lib/queue/queues.js';
 import logger from '../lib/logger.js';
 import PushToken from '../models/pushToken.model.js';
 import Notification from '../models/notification.model.js';
+import stockHoldService from '../services/stockHold.service.js';
+import bankakService from '../services/bankak.service.js';
 
 /**
  * Maintenance worker — runs repeatable housekeeping jobs:
  *  - token-cleanup:   deactivates tokens that haven't been used in 90 days
  *  - expired-notifs:  hard-deletes Notification rows past expiresAt + 30d
+ *  - expired-holds:   releases checkout stock holds past their expiresAt
+ *  - bankak-deadlines: reminds, then cancels, BANKAK orders left unpaid
  *  - dlq-sweep:       (placeholder for step 8) re-queues recoverable failures
  *
  * Repeatable jobs are scheduled by the entrypoint (workers/index.js) via
@@ -30,6 +34,10 @@ export const createMaintenanceWorker = () => {
           return runTokenCleanup();
         case JOB_NAMES.MAINT_EXPIRED_NOTIFS:
           return runExpiredNotifs();
+        case JOB_NAMES.MAINT_EXPIRED_HOLDS:
+          return stockHoldService.releaseExpired();
+        case JOB_NAMES.MAINT_BANKAK_DEADLINES:
+          return bankakService.runDeadlines();
         case JOB_NAMES.MAINT_DLQ_SWEEP:
           return runDlqSweep();
         default: